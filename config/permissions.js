@@ -34,6 +34,8 @@ export const PERMISSIONS = {
     UPDATE: 'units:update',
     DELETE: 'units:delete',
     STATISTICS: 'units:statistics',
+    HOLD: 'units:hold',                 // place/extend/release own holds
+    MANAGE_HOLDS: 'units:manage_holds', // extend/release anyone's hold
   },
 
   // ─── LEADS ─────────────────────────────────────────────
@@ -46,6 +48,8 @@ export const PERMISSIONS = {
     SCORING_VIEW: 'leads:scoring_view',
     SCORING_CONFIG: 'leads:scoring_config',
     BULK_OPERATIONS: 'leads:bulk_operations',
+    CAPTURE_CONFIG: 'leads:capture_config', // portal / ad / website lead feeds
+    ASSIGNMENT_CONFIG: 'leads:assignment_config', // routing rules, SLAs, routing audit
   },
 
   // ─── SALES ─────────────────────────────────────────────
@@ -90,6 +94,7 @@ export const PERMISSIONS = {
     RECORD_PAYMENT: 'invoices:record_payment',
     STATISTICS: 'invoices:statistics',
     EXPORT: 'invoices:export',
+    CONFIGURE_SERIES: 'invoices:configure_series', // invoice and receipt numbering
   },
 
   // ─── COMMISSIONS ───────────────────────────────────────
@@ -146,6 +151,8 @@ export const PERMISSIONS = {
   PRICING: {
     COST_SHEET: 'pricing:cost_sheet',
     DYNAMIC_PRICING: 'pricing:dynamic_pricing',
+    PRICE_LISTS: 'pricing:price_lists',               // view/preview lists, unit price history
+    MANAGE_PRICE_LISTS: 'pricing:manage_price_lists', // create/edit/submit/publish lists
   },
 
   // ─── BUDGETS ───────────────────────────────────────────
@@ -271,6 +278,33 @@ export const PERMISSIONS = {
   PORTFOLIO: {
     MANAGE: 'portfolio:manage',
   },
+
+  // ─── MESSAGING (WhatsApp / SMS) ─────────────────────────
+  MESSAGING: {
+    SEND: 'messaging:send',
+    MANAGE_TEMPLATES: 'messaging:manage_templates', // create / approve message templates
+  },
+
+  // ─── MARKETING CAMPAIGNS ────────────────────────────────
+  CAMPAIGNS: {
+    VIEW: 'campaigns:view',                 // campaigns, funnel and ROI analytics
+    MANAGE: 'campaigns:manage',             // create / edit campaigns
+    RECORD_SPEND: 'campaigns:record_spend', // add / remove spend entries
+  },
+
+  // ─── HOME LOANS ─────────────────────────────────────────
+  HOME_LOANS: {
+    VIEW: 'home_loans:view',
+    MANAGE: 'home_loans:manage',                           // cases, checklist, status, disbursement requests
+    RECORD_DISBURSEMENT: 'home_loans:record_disbursement', // record the lender's payments
+  },
+
+  // ─── POST-SALES WORKFLOW ────────────────────────────────
+  POST_SALES: {
+    VIEW: 'post_sales:view',           // sale lifecycles and the workflow
+    MANAGE: 'post_sales:manage',       // documents, appointments, completing stages
+    CONFIGURE: 'post_sales:configure', // edit the workflow's stages
+  },
 };
 
 // Flat array of all permission strings for validation
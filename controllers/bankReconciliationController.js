@@ -0,0 +1,170 @@
+// File: controllers/bankReconciliationController.js
+// Description: Bank statement upload and the finance reconciliation review
+//   queue. Matching lives in services/bankReconciliationService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  importBankStatement,
+  getReconciliationQueue,
+  confirmLineMatch,
+  ignoreLine,
+  listStatements,
+  getStatement
+} from '../services/bankReconciliationService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Upload a bank statement (CSV, MT940 or CAMT.053) and reconcile it
+ * @route   POST /api/payments/reconciliation/statements
+ * @access  Private (Finance roles)
+ */
+const uploadBankStatement = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    res.status(400);
+    throw new Error('A statement file is required.');
+  }
+  const { format, projectId } = req.body;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+
+  const { statement, summary } = await callService(
+    () => importBankStatement({
+      buffer: req.file.buffer,
+      fileName: req.file.originalname,
+      format: format || undefined,
+      projectId: projectId || null,
+      organization: req.user.organization,
+      user: req.user,
+      transactionFilter: projectAccessFilter(req)
+    }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: statement,
+    summary,
+    message: `${statement.lineCount} lines imported, ${summary.autoVerified} payments verified automatically`
+  });
+});
+
+/**
+ * @desc    List uploaded bank statements
+ * @route   GET /api/payments/reconciliation/statements
+ * @access  Private (Finance roles)
+ */
+const getBankStatements = asyncHandler(async (req, res) => {
+  const statements = await listStatements({
+    organization: req.user.organization,
+    accessFilter: projectAccessFilter(req)
+  });
+
+  res.json({
+    success: true,
+    data: statements,
+    count: statements.length
+  });
+});
+
+/**
+ * @desc    A bank statement with its lines and their reconciliation state
+ * @route   GET /api/payments/reconciliation/statements/:statementId
+ * @access  Private (Finance roles)
+ */
+const getBankStatement = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => getStatement(req.params.statementId, {
+      organization: req.user.organization,
+      accessFilter: projectAccessFilter(req)
+    }),
+    res
+  );
+  if (result.statement.project) verifyProjectAccess(req, res, result.statement.project);
+
+  res.json({
+    success: true,
+    data: result
+  });
+});
+
+/**
+ * @desc    Review queue: unmatched statement lines and unconfirmed transactions
+ * @route   GET /api/payments/reconciliation/queue
+ * @access  Private (Finance roles)
+ */
+const getReconciliationReviewQueue = asyncHandler(async (req, res) => {
+  const { statementId, limit } = req.query;
+  const queue = await getReconciliationQueue({
+    organization: req.user.organization,
+    accessFilter: projectAccessFilter(req),
+    statementId,
+    limit
+  });
+
+  res.json({
+    success: true,
+    data: queue,
+    counts: { lines: queue.lines.length, transactions: queue.transactions.length }
+  });
+});
+
+/**
+ * @desc    Confirm a statement line against a transaction and verify it
+ * @route   POST /api/payments/reconciliation/lines/:lineId/match
+ * @access  Private (Finance roles)
+ */
+const matchStatementLine = asyncHandler(async (req, res) => {
+  const { transactionId, acceptDiscrepancy } = req.body;
+  if (!transactionId) {
+    res.status(400);
+    throw new Error('transactionId is required.');
+  }
+
+  const result = await callService(
+    () => confirmLineMatch(req.params.lineId, {
+      transactionId,
+      acceptDiscrepancy: acceptDiscrepancy === true,
+      organization: req.user.organization,
+      user: req.user,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: result,
+    message: 'Statement line matched and payment verified'
+  });
+});
+
+/**
+ * @desc    Set a statement line aside (bank charges, internal transfers, …)
+ * @route   POST /api/payments/reconciliation/lines/:lineId/ignore
+ * @access  Private (Finance roles)
+ */
+const ignoreStatementLine = asyncHandler(async (req, res) => {
+  const line = await callService(
+    () => ignoreLine(req.params.lineId, {
+      reason: req.body.reason,
+      organization: req.user.organization,
+      user: req.user
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: line,
+    message: 'Statement line ignored'
+  });
+});
+
+export {
+  uploadBankStatement,
+  getBankStatements,
+  getBankStatement,
+  getReconciliationReviewQueue,
+  matchStatementLine,
+  ignoreStatementLine
+};
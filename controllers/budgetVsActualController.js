@@ -383,8 +383,14 @@ const getMarketingROI = asyncHandler(async (req, res) => {
           bestPerforming: report.marketing.summary.bestPerformingChannel,
           averageROI: report.marketing.summary.averageROI,
           totalInvestment: report.marketing.channels.reduce((sum, c) => sum + c.estimatedCost, 0),
-          totalReturn: report.marketing.channels.reduce((sum, c) => sum + c.estimatedRevenue, 0)
-        }
+          totalReturn: report.marketing.channels.reduce((sum, c) => sum + c.estimatedRevenue, 0),
+          // Recorded campaign spend and the revenue of the bookings it produced
+          actualInvestment: report.marketing.summary.campaignTotals.spend,
+          attributedRevenue: report.marketing.summary.campaignTotals.revenue,
+          campaignROI: report.marketing.summary.campaignTotals.roi
+        },
+        campaigns: report.marketing.campaigns,
+        campaignChannels: report.marketing.campaignChannels
       }
     };
 
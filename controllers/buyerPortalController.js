@@ -0,0 +1,143 @@
+// File: controllers/buyerPortalController.js
+// Description: HTTP handlers for the buyer portal (/api/public/buyer/*). Sign-in
+// is by email/phone OTP; every read is scoped to req.buyer (set by
+// protectBuyer) in services/buyerPortalService.js.
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import * as buyerPortalService from '../services/buyerPortalService.js';
+import { callService } from '../utils/httpError.js';
+
+// ?sale= narrows any list to one booking
+const saleFilter = (req, res) => {
+  const saleId = req.params.saleId || req.query.sale;
+  if (saleId && !mongoose.Types.ObjectId.isValid(saleId)) {
+    res.status(400);
+    throw new Error('Invalid booking ID format');
+  }
+  return { saleId };
+};
+
+/**
+ * @desc    Request a sign-in code by email or phone
+ * @route   POST /api/public/buyer/auth/request-otp   body: { email } | { phone }
+ * @access  Public
+ */
+const requestOtp = asyncHandler(async (req, res) => {
+  const { email, phone } = req.body || {};
+  const data = await callService(() => buyerPortalService.requestBuyerOtp({ email, phone }), res);
+  // Same response whether or not the identifier has a booking.
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Exchange a sign-in code for a buyer session token
+ * @route   POST /api/public/buyer/auth/verify-otp   body: { email | phone, otp }
+ * @access  Public
+ */
+const verifyOtp = asyncHandler(async (req, res) => {
+  const { email, phone, otp } = req.body || {};
+  const data = await callService(() => buyerPortalService.verifyBuyerOtp({ email, phone, otp }), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Signed-in buyer's profile
+ * @route   GET /api/public/buyer/me
+ * @access  Buyer
+ */
+const getMe = asyncHandler(async (req, res) => {
+  res.json({ success: true, data: buyerPortalService.buyerProfile(req.buyer) });
+});
+
+/**
+ * @desc    Buyer's live bookings
+ * @route   GET /api/public/buyer/bookings
+ * @access  Buyer
+ */
+const getBookings = asyncHandler(async (req, res) => {
+  const bookings = await buyerPortalService.getBookings(req.buyer);
+  res.json({ success: true, count: bookings.length, data: bookings });
+});
+
+/**
+ * @desc    One booking with its cost sheet and payment plan summary
+ * @route   GET /api/public/buyer/bookings/:saleId
+ * @access  Buyer
+ */
+const getBooking = asyncHandler(async (req, res) => {
+  const { saleId } = saleFilter(req, res);
+  const booking = await callService(() => buyerPortalService.getBooking(req.buyer, saleId), res);
+  res.json({ success: true, data: booking });
+});
+
+/**
+ * @desc    Installment schedule and dues
+ * @route   GET /api/public/buyer/installments?sale=
+ * @access  Buyer
+ */
+const getInstallments = asyncHandler(async (req, res) => {
+  const filter = saleFilter(req, res);
+  const installments = await callService(() => buyerPortalService.getInstallments(req.buyer, filter), res);
+  res.json({ success: true, count: installments.length, data: installments });
+});
+
+/**
+ * @desc    Payments received and their receipts
+ * @route   GET /api/public/buyer/receipts?sale=
+ * @access  Buyer
+ */
+const getReceipts = asyncHandler(async (req, res) => {
+  const filter = saleFilter(req, res);
+  const receipts = await callService(() => buyerPortalService.getReceipts(req.buyer, filter), res);
+  res.json({ success: true, count: receipts.length, data: receipts });
+});
+
+/**
+ * @desc    Issued invoices with PDF links
+ * @route   GET /api/public/buyer/invoices?sale=
+ * @access  Buyer
+ */
+const getInvoices = asyncHandler(async (req, res) => {
+  const filter = saleFilter(req, res);
+  const invoices = await callService(() => buyerPortalService.getInvoices(req.buyer, filter), res);
+  res.json({ success: true, count: invoices.length, data: invoices });
+});
+
+/**
+ * @desc    Documents shared with the buyer
+ * @route   GET /api/public/buyer/documents?sale=
+ * @access  Buyer
+ */
+const getDocuments = asyncHandler(async (req, res) => {
+  const filter = saleFilter(req, res);
+  const documents = await callService(() => buyerPortalService.getDocuments(req.buyer, filter), res);
+  res.json({ success: true, count: documents.length, data: documents });
+});
+
+/**
+ * @desc    Construction milestones and progress photos for booked projects
+ * @route   GET /api/public/buyer/construction?sale=
+ * @access  Buyer
+ */
+const getConstructionUpdates = asyncHandler(async (req, res) => {
+  const filter = saleFilter(req, res);
+  const milestones = await callService(
+    () => buyerPortalService.getConstructionUpdates(req.buyer, filter),
+    res
+  );
+  res.json({ success: true, count: milestones.length, data: milestones });
+});
+
+export {
+  requestOtp,
+  verifyOtp,
+  getMe,
+  getBookings,
+  getBooking,
+  getInstallments,
+  getReceipts,
+  getInvoices,
+  getDocuments,
+  getConstructionUpdates,
+};
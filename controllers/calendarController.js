@@ -0,0 +1,105 @@
+// File: controllers/calendarController.js
+// Description: Calendar sync — a user's tokenized ICS feed URLs (create, list,
+//   revoke), a one-off ICS export of their schedule, and the public feed
+//   endpoint calendar clients poll. Logic lives in services/calendarService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  createCalendarFeed,
+  listCalendarFeeds,
+  revokeCalendarFeed,
+  renderCalendarFeed,
+  exportCalendar,
+} from '../services/calendarService.js';
+import { ICS_CONTENT_TYPE } from '../utils/icsCalendar.js';
+import { callService } from '../utils/httpError.js';
+
+// ?types=followUps,tasks → { followUps: true, meetings: false, ... }
+const parseTypes = (types) => {
+  if (!types) return undefined;
+  const wanted = new Set(String(types).split(',').map((t) => t.trim()));
+  return {
+    followUps: wanted.has('followUps'),
+    meetings: wanted.has('meetings'),
+    siteVisits: wanted.has('siteVisits'),
+    tasks: wanted.has('tasks'),
+  };
+};
+
+/**
+ * @desc    Create an ICS feed URL for the signed-in user (token shown once)
+ * @route   POST /api/calendar/feeds
+ * @access  Private
+ */
+const createFeed = asyncHandler(async (req, res) => {
+  const { name, include } = req.body;
+  const result = await callService(
+    () => createCalendarFeed({ user: req.user, name, include }),
+    res
+  );
+  res.status(201).json({
+    success: true,
+    data: result.feed,
+    url: result.url,
+    message: 'Copy this URL into your calendar app now — it will not be shown again.',
+  });
+});
+
+/**
+ * @desc    The signed-in user's calendar feeds
+ * @route   GET /api/calendar/feeds
+ * @access  Private
+ */
+const getFeeds = asyncHandler(async (req, res) => {
+  const feeds = await listCalendarFeeds(req.user);
+  res.json({ success: true, data: feeds, count: feeds.length });
+});
+
+/**
+ * @desc    Revoke a calendar feed; its URL stops working immediately
+ * @route   DELETE /api/calendar/feeds/:feedId
+ * @access  Private
+ */
+const revokeFeed = asyncHandler(async (req, res) => {
+  const feed = await callService(
+    () => revokeCalendarFeed(req.params.feedId, { user: req.user }),
+    res
+  );
+  res.json({ success: true, data: feed, message: 'Calendar feed revoked.' });
+});
+
+/**
+ * @desc    Download the signed-in user's schedule as an .ics file
+ * @route   GET /api/calendar/export.ics?from=&to=&types=
+ * @access  Private
+ */
+const exportSchedule = asyncHandler(async (req, res) => {
+  const { from, to, types } = req.query;
+  const { ics } = await callService(
+    () => exportCalendar({ user: req.user, from, to, include: parseTypes(types) }),
+    res
+  );
+  res.set('Content-Type', ICS_CONTENT_TYPE);
+  res.set('Content-Disposition', 'attachment; filename="propvantage-schedule.ics"');
+  res.send(ics);
+});
+
+/**
+ * @desc    Public: a subscribed ICS feed, authorised by its URL token
+ * @route   GET /api/public/calendar/:token.ics
+ * @access  Public
+ */
+const getPublicFeed = asyncHandler(async (req, res) => {
+  const ics = await callService(() => renderCalendarFeed(req.params.token), res);
+  res.set('Content-Type', ICS_CONTENT_TYPE);
+  res.set('Cache-Control', 'private, max-age=300');
+  res.send(ics);
+});
+
+export {
+  createFeed,
+  getFeeds,
+  revokeFeed,
+  exportSchedule,
+  getPublicFeed,
+};
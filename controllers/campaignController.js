@@ -0,0 +1,175 @@
+// File: controllers/campaignController.js
+// Description: Marketing campaigns — CRUD, spend entries, and per-campaign
+//   funnel / ROI analytics (cost per lead, site visit and booking). Logic lives
+//   in services/campaignService.js and services/roiTrackingService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  createCampaign,
+  listCampaigns,
+  getCampaign,
+  updateCampaign,
+  addCampaignSpend,
+  removeCampaignSpend,
+} from '../services/campaignService.js';
+import { getCampaignRoi, getCampaignFunnel } from '../services/roiTrackingService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+/**
+ * @desc    Create a campaign
+ * @route   POST /api/campaigns
+ * @access  Private (CAMPAIGNS.MANAGE)
+ */
+const createNewCampaign = asyncHandler(async (req, res) => {
+  const campaign = await callService(
+    () => createCampaign({
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: campaign });
+});
+
+/**
+ * @desc    Campaigns, filtered by project, status or channel
+ * @route   GET /api/campaigns?projectId=&status=&channel=
+ * @access  Private (CAMPAIGNS.VIEW)
+ */
+const getCampaigns = asyncHandler(async (req, res) => {
+  const { projectId, status, channel } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const campaigns = await listCampaigns({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+    status,
+    channel,
+  });
+  res.json({ success: true, data: campaigns, count: campaigns.length });
+});
+
+/**
+ * @desc    Funnel and ROI for every campaign in a period, with channel roll-up
+ * @route   GET /api/campaigns/roi?from=&to=&projectId=&channel=&status=
+ * @access  Private (CAMPAIGNS.VIEW)
+ */
+const getCampaignsRoi = asyncHandler(async (req, res) => {
+  const { from, to, projectId, channel, status } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const report = await callService(
+    () => getCampaignRoi({
+      organization: req.user.organization,
+      projectFilter: projectAccessFilter(req),
+      projectId,
+      channel,
+      status,
+      from,
+      to,
+    }),
+    res
+  );
+  res.json({ success: true, data: report });
+});
+
+/**
+ * @desc    One campaign with its spend entries
+ * @route   GET /api/campaigns/:id
+ * @access  Private (CAMPAIGNS.VIEW)
+ */
+const getCampaignById = asyncHandler(async (req, res) => {
+  const campaign = await callService(
+    () => getCampaign(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: campaign });
+});
+
+/**
+ * @desc    Edit a campaign
+ * @route   PUT /api/campaigns/:id
+ * @access  Private (CAMPAIGNS.MANAGE)
+ */
+const updateCampaignById = asyncHandler(async (req, res) => {
+  const campaign = await callService(
+    () => updateCampaign(req.params.id, {
+      organization: req.user.organization,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: campaign });
+});
+
+/**
+ * @desc    A campaign's funnel, unit costs, ROI and monthly spend
+ * @route   GET /api/campaigns/:id/funnel?from=&to=
+ * @access  Private (CAMPAIGNS.VIEW)
+ */
+const getCampaignFunnelById = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const funnel = await callService(
+    () => getCampaignFunnel(req.params.id, {
+      organization: req.user.organization,
+      from,
+      to,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: funnel });
+});
+
+/**
+ * @desc    Record spend against a campaign
+ * @route   POST /api/campaigns/:id/spend
+ * @access  Private (CAMPAIGNS.RECORD_SPEND)
+ */
+const addSpend = asyncHandler(async (req, res) => {
+  const campaign = await callService(
+    () => addCampaignSpend(req.params.id, {
+      organization: req.user.organization,
+      entry: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: campaign });
+});
+
+/**
+ * @desc    Remove a spend entry
+ * @route   DELETE /api/campaigns/:id/spend/:entryId
+ * @access  Private (CAMPAIGNS.RECORD_SPEND)
+ */
+const removeSpend = asyncHandler(async (req, res) => {
+  const campaign = await callService(
+    () => removeCampaignSpend(req.params.id, req.params.entryId, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: campaign, message: 'Spend entry removed.' });
+});
+
+export {
+  createNewCampaign,
+  getCampaigns,
+  getCampaignsRoi,
+  getCampaignById,
+  updateCampaignById,
+  getCampaignFunnelById,
+  addSpend,
+  removeSpend,
+};
@@ -0,0 +1,115 @@
+// File: controllers/cancellationSettlementController.js
+// Description: Cancellation settlement statements for sales — preview,
+//   request (REFUND_APPROVAL), history and the refund payout.
+//   Rules live in services/cancellationSettlementService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  buildCancellationSettlement,
+  requestCancellationSettlement,
+  recordSettlementRefund,
+  getSaleSettlements
+} from '../services/cancellationSettlementService.js';
+import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Preview what the buyer would get back if the sale were cancelled
+ * @route   GET /api/sales/:id/cancellation-settlement/preview
+ * @access  Private (Senior Management roles)
+ */
+const previewCancellationSettlement = asyncHandler(async (req, res) => {
+  const { sale, ...statement } = await callService(
+    () => buildCancellationSettlement(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: { sale: sale._id, ...statement }
+  });
+});
+
+/**
+ * @desc    Cancel a sale through a settlement statement (REFUND_APPROVAL)
+ * @route   POST /api/sales/:id/cancellation-settlement
+ * @access  Private (Senior Management roles)
+ */
+const createCancellationSettlement = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => requestCancellationSettlement(req.params.id, {
+      organization: req.user.organization,
+      reason: req.body.reason,
+      user: req.user,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.status(result.pendingApproval ? 202 : 201).json({
+    success: true,
+    data: result.settlement,
+    pendingApproval: result.pendingApproval,
+    message: result.pendingApproval
+      ? 'Cancellation settlement submitted for refund approval'
+      : 'Sale cancelled and settlement approved'
+  });
+});
+
+/**
+ * @desc    Cancellation settlements raised for a sale
+ * @route   GET /api/sales/:id/cancellation-settlement
+ * @access  Private (Sales/Finance roles)
+ */
+const getCancellationSettlements = asyncHandler(async (req, res) => {
+  const settlements = await callService(
+    () => getSaleSettlements(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: settlements,
+    count: settlements.length
+  });
+});
+
+/**
+ * @desc    Record the refund payout of an approved settlement
+ * @route   POST /api/sales/cancellation-settlements/:settlementId/refund
+ * @access  Private (Finance roles)
+ */
+const recordCancellationRefund = asyncHandler(async (req, res) => {
+  const { refundMethod, refundReference, refundDate } = req.body;
+
+  const settlement = await callService(
+    () => recordSettlementRefund(req.params.settlementId, {
+      organization: req.user.organization,
+      refundMethod,
+      refundReference,
+      refundDate,
+      user: req.user,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: settlement,
+    message: `Refund of ${settlement.refundAmount} recorded`
+  });
+});
+
+export {
+  previewCancellationSettlement,
+  createCancellationSettlement,
+  getCancellationSettlements,
+  recordCancellationRefund
+};
@@ -0,0 +1,171 @@
+// File: controllers/chequeController.js
+// Description: Cheque register, deposit batches, clearing and bounces.
+//   Lifecycle rules live in services/chequeService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  getChequeRegister as buildChequeRegister,
+  createDepositBatch,
+  listDepositBatches,
+  getDepositBatch,
+  clearCheque,
+  bounceCheque
+} from '../services/chequeService.js';
+import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Cheque register for a project, by stage
+ * @route   GET /api/payments/cheques/register/:projectId
+ * @access  Private (Finance roles)
+ */
+const getChequeRegister = asyncHandler(async (req, res) => {
+  const { projectId } = req.params;
+  const { stage, batchId } = req.query;
+  verifyProjectAccess(req, res, projectId);
+
+  const { cheques, summary } = await callService(
+    () => buildChequeRegister({ organization: req.user.organization, projectId, stage, batchId }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: cheques,
+    summary,
+    count: cheques.length
+  });
+});
+
+/**
+ * @desc    Deposit cheques in hand as one batch
+ * @route   POST /api/payments/cheques/deposit-batches
+ * @access  Private (Finance roles)
+ */
+const createChequeDepositBatch = asyncHandler(async (req, res) => {
+  const { projectId, transactionIds, depositDate, depositedInAccount, slipNumber } = req.body;
+  if (!projectId || !Array.isArray(transactionIds)) {
+    res.status(400);
+    throw new Error('projectId and transactionIds are required.');
+  }
+  verifyProjectAccess(req, res, projectId);
+
+  const batch = await callService(
+    () => createDepositBatch({
+      organization: req.user.organization,
+      projectId,
+      transactionIds,
+      depositDate,
+      depositedInAccount,
+      slipNumber,
+      user: req.user
+    }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: batch,
+    message: `${batch.cheques.length} cheque(s) deposited in batch ${batch.batchNumber}`
+  });
+});
+
+/**
+ * @desc    Deposit batches for a project
+ * @route   GET /api/payments/cheques/deposit-batches?projectId=
+ * @access  Private (Finance roles)
+ */
+const getChequeDepositBatches = asyncHandler(async (req, res) => {
+  const { projectId, status } = req.query;
+  if (!projectId) {
+    res.status(400);
+    throw new Error('projectId is required.');
+  }
+  verifyProjectAccess(req, res, projectId);
+
+  const batches = await listDepositBatches({ organization: req.user.organization, projectId, status });
+
+  res.json({
+    success: true,
+    data: batches,
+    count: batches.length
+  });
+});
+
+/**
+ * @desc    A deposit batch with its cheques
+ * @route   GET /api/payments/cheques/deposit-batches/:batchId
+ * @access  Private (Finance roles)
+ */
+const getChequeDepositBatch = asyncHandler(async (req, res) => {
+  const batch = await callService(
+    () => getDepositBatch(req.params.batchId, { organization: req.user.organization }),
+    res
+  );
+  verifyProjectAccess(req, res, batch.project);
+
+  res.json({
+    success: true,
+    data: batch
+  });
+});
+
+/**
+ * @desc    Mark a cheque as cleared by the bank
+ * @route   POST /api/payments/cheques/:transactionId/clear
+ * @access  Private (Finance roles)
+ */
+const markChequeCleared = asyncHandler(async (req, res) => {
+  const transaction = await callService(
+    () => clearCheque(req.params.transactionId, {
+      organization: req.user.organization,
+      clearingDate: req.body.clearingDate,
+      user: req.user,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: transaction,
+    message: 'Cheque marked as cleared'
+  });
+});
+
+/**
+ * @desc    Record a bounced cheque and reverse its allocations
+ * @route   POST /api/payments/cheques/:transactionId/bounce
+ * @access  Private (Finance roles)
+ */
+const markChequeBounced = asyncHandler(async (req, res) => {
+  const { reason, bounceDate } = req.body;
+
+  const result = await callService(
+    () => bounceCheque(req.params.transactionId, {
+      organization: req.user.organization,
+      reason,
+      bounceDate,
+      user: req.user,
+      verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId)
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: result,
+    message: result.bounceCharge
+      ? `Cheque bounced; allocations reversed and a bounce charge of ${result.bounceCharge.amount} applied`
+      : 'Cheque bounced; allocations reversed'
+  });
+});
+
+export {
+  getChequeRegister,
+  createChequeDepositBatch,
+  getChequeDepositBatches,
+  getChequeDepositBatch,
+  markChequeCleared,
+  markChequeBounced
+};
@@ -6,7 +6,9 @@ import ConstructionMilestone from '../models/constructionMilestoneModel.js';
 import Contractor from '../models/contractorModel.js';
 import Project from '../models/projectModel.js';
 import File from '../models/fileModel.js';
+import Tower from '../models/towerModel.js';
 import { uploadFileToS3 } from '../services/s3Service.js';
+import { raiseMilestoneDemands } from '../services/milestoneDemandService.js';
 import mongoose from 'mongoose';
 import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
 
@@ -14,6 +16,43 @@ import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccess
 // CONSTRUCTION MILESTONE MANAGEMENT
 // =============================================================================
 
+/**
+ * Only requireQualityChecks is client-settable on installmentDemand; the
+ * raised* fields are written by services/milestoneDemandService.js.
+ */
+const sanitizeInstallmentDemand = (body) => {
+  const { installmentDemand, ...rest } = body;
+  if (installmentDemand?.requireQualityChecks === undefined) return rest;
+  return { ...rest, 'installmentDemand.requireQualityChecks': !!installmentDemand.requireQualityChecks };
+};
+
+/**
+ * A milestone's tower must belong to its project.
+ */
+const verifyMilestoneTower = async (res, projectId, towerId) => {
+  if (!towerId) return;
+  const tower = await Tower.findOne({ _id: towerId, project: projectId }).select('_id');
+  if (!tower) {
+    res.status(400);
+    throw new Error('Tower does not belong to this project');
+  }
+};
+
+/**
+ * Raise the installment demands linked to a milestone once it is complete
+ * (and its quality checks pass, if required). The milestone is already saved,
+ * so a failure here is reported rather than failing the request.
+ */
+const raiseDemandsIfReady = async (milestone, user) => {
+  if (milestone.status !== 'Completed' || milestone.installmentDemand?.raisedAt) return null;
+  try {
+    return await raiseMilestoneDemands(milestone, { user });
+  } catch (err) {
+    console.error(`[milestoneDemand] milestone ${milestone._id}: ${err.message}`);
+    return { raised: false, reason: 'error', error: err.message };
+  }
+};
+
 /**
  * @desc    Create a new construction milestone
  * @route   POST /api/construction/milestones
@@ -88,8 +127,10 @@ const createMilestone = asyncHandler(async (req, res) => {
     }
   }
 
+  await verifyMilestoneTower(res, project, req.body.tower);
+
   const milestone = await ConstructionMilestone.create({
-    ...req.body,
+    ...sanitizeInstallmentDemand(req.body),
     organization: req.user.organization,
     createdBy: req.user._id,
     progress: {
@@ -236,15 +277,22 @@ const updateMilestone = asyncHandler(async (req, res) => {
     }
   }
 
+  if (req.body.tower) {
+    await verifyMilestoneTower(res, milestone.project, req.body.tower);
+  }
+
   // Update milestone
-  Object.assign(milestone, req.body);
+  milestone.set(sanitizeInstallmentDemand(req.body));
   milestone.lastModifiedBy = req.user._id;
 
   await milestone.save();
 
+  const installmentDemand = await raiseDemandsIfReady(milestone, req.user);
+
   res.json({
     success: true,
     data: milestone,
+    installmentDemand,
     message: 'Milestone updated successfully'
   });
 });
@@ -290,13 +338,16 @@ const updateMilestoneProgress = asyncHandler(async (req, res) => {
 
   await milestone.save();
 
+  const installmentDemand = await raiseDemandsIfReady(milestone, req.user);
+
   res.json({
     success: true,
     data: {
       milestoneId: milestone._id,
       progress: milestone.progress,
       status: milestone.status,
-      healthScore: milestone.healthScore
+      healthScore: milestone.healthScore,
+      installmentDemand
     },
     message: `Progress updated to ${percentage}%`
   });
@@ -383,9 +434,13 @@ const updateQualityCheck = asyncHandler(async (req, res) => {
 
   await milestone.save();
 
+  // Demands held back for quality checks go out once the last one passes
+  const installmentDemand = await raiseDemandsIfReady(milestone, req.user);
+
   res.json({
     success: true,
     data: qualityCheck,
+    installmentDemand,
     message: 'Quality check updated successfully'
   });
 });
@@ -7,15 +7,7 @@
 import asyncHandler from 'express-async-handler';
 import * as cpAnalytics from '../services/analytics/cpAnalyticsService.js';
 import * as reconciliation from '../services/analytics/commissionReconciliationService.js';
-
-const callService = async (fn, res) => {
-  try {
-    return await fn();
-  } catch (err) {
-    if (err?.statusCode) res.status(err.statusCode);
-    throw err;
-  }
-};
+import { callService } from '../utils/httpError.js';
 
 // ─── Area 1 ────────────────────────────────────────────────────────────────
 export const getPipeline = asyncHandler(async (req, res) => {
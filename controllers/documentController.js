@@ -5,7 +5,15 @@ import asyncHandler from 'express-async-handler';
 import DocumentCategory from '../models/documentCategoryModel.js';
 import File from '../models/fileModel.js';
 import { uploadFileToS3 } from '../services/s3Service.js';
+import {
+  generateDocumentFromTemplate,
+  previewTemplateDocument
+} from '../services/documentGenerationService.js';
+import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
 import mongoose from 'mongoose';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
 
 // =============================================================================
 // DOCUMENT CATEGORY MANAGEMENT
@@ -488,7 +496,7 @@ const updateDocument = asyncHandler(async (req, res) => {
   }
 
   // Update allowed fields
-  const allowedFields = ['title', 'description', 'tags', 'customFields', 'accessLevel', 'expiryDate'];
+  const allowedFields = ['title', 'description', 'tags', 'customFields', 'accessLevel', 'expiryDate', 'sharedWithBuyer'];
   const updates = {};
 
   allowedFields.forEach(field => {
@@ -553,6 +561,68 @@ const deleteDocument = asyncHandler(async (req, res) => {
   });
 });
 
+// =============================================================================
+// TEMPLATE DOCUMENTS
+// =============================================================================
+
+/**
+ * @desc    Generate a document from a template and store it on the record
+ * @route   POST /api/documents/templates/:templateId/generate
+ * @access  Private
+ */
+const generateFromTemplate = asyncHandler(async (req, res) => {
+  const { resourceType, resourceId, data = {} } = req.body;
+
+  if (!resourceType || !resourceId) {
+    res.status(400);
+    throw new Error('Resource type and resource ID are required');
+  }
+
+  const result = await callService(
+    () => generateDocumentFromTemplate(
+      req.params.templateId,
+      data,
+      req.user,
+      resourceId,
+      resourceType,
+      { verifyAccess: accessFor(req, res) }
+    ),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: result.document,
+    generationTime: result.generationTime,
+    message: result.message
+  });
+});
+
+/**
+ * @desc    Render a template without storing it (optionally from a record)
+ * @route   POST /api/documents/templates/:templateId/preview
+ * @access  Private
+ */
+const previewFromTemplate = asyncHandler(async (req, res) => {
+  const { resourceType, resourceId, data = {}, outputFormat } = req.body;
+
+  const preview = await callService(
+    () => previewTemplateDocument(
+      req.params.templateId,
+      data,
+      req.user,
+      resourceId,
+      resourceType,
+      { outputFormat, verifyAccess: accessFor(req, res) }
+    ),
+    res
+  );
+
+  res.set('Content-Type', preview.mimeType);
+  res.set('Content-Disposition', `inline; filename="${encodeURIComponent(preview.fileName)}"`);
+  res.send(preview.buffer);
+});
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -601,5 +671,9 @@ export {
   getDocuments,
   getDocumentById,
   updateDocument,
-  deleteDocument
+  deleteDocument,
+
+  // Template documents
+  generateFromTemplate,
+  previewFromTemplate
 };
\ No newline at end of file
@@ -0,0 +1,59 @@
+// File: controllers/documentSeriesController.js
+// Description: Numbering series for tax invoices and payment receipts — per
+//   project and financial year. Logic lives in
+//   services/documentSeriesService.js.
+
+import asyncHandler from 'express-async-handler';
+import { listSeries, configureSeries } from '../services/documentSeriesService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Series with the next number each will issue
+ * @route   GET /api/document-series?project=<id|organization>&documentType=&financialYear=
+ * @access  Private (INVOICES.VIEW)
+ */
+const getSeries = asyncHandler(async (req, res) => {
+  const { project, documentType, financialYear } = req.query;
+  if (project && project !== 'organization') verifyProjectAccess(req, res, project);
+  const series = await callService(
+    () => listSeries({
+      organization: req.user.organization,
+      project,
+      documentType,
+      financialYear,
+      projectFilter: projectAccessFilter(req),
+    }),
+    res
+  );
+  res.json({ success: true, data: series, count: series.length });
+});
+
+/**
+ * @desc    Create or change a series. Omit project for the organization-wide
+ *          series; omit financialYear for the current one.
+ * @route   PUT /api/document-series
+ * @access  Private (INVOICES.CONFIGURE_SERIES)
+ * @body    { documentType, project?, financialYear?, prefix?, format?, padding?, startNumber? }
+ */
+const saveSeries = asyncHandler(async (req, res) => {
+  const { documentType, project, financialYear, prefix, format, padding, startNumber } = req.body;
+  const series = await callService(
+    () => configureSeries({
+      organization: req.user.organization,
+      project: project || null,
+      documentType,
+      financialYear,
+      prefix,
+      format,
+      padding,
+      startNumber,
+      user: req.user,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({ success: true, data: series, message: `Next number: ${series.nextNumber}` });
+});
+
+export { getSeries, saveSeries };
@@ -5,15 +5,7 @@
 
 import asyncHandler from 'express-async-handler';
 import * as svc from '../services/externalDeveloperService.js';
-
-const callService = async (fn, res) => {
-  try {
-    return await fn();
-  } catch (err) {
-    if (err?.statusCode) res.status(err.statusCode);
-    throw err;
-  }
-};
+import { callService } from '../utils/httpError.js';
 
 // ─── Authenticated CP-side CRUD ────────────────────────────────────────────
 
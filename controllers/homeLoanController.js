@@ -0,0 +1,282 @@
+// File: controllers/homeLoanController.js
+// Description: Buyers' home loan cases — lender, sanction, document checklist,
+//   disbursement schedule and lender request letters — plus each project's
+//   tie-up banks. Logic lives in services/homeLoanService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  listTieUps,
+  addTieUp,
+  updateTieUp,
+  createHomeLoan,
+  listHomeLoans,
+  getHomeLoan,
+  updateHomeLoan,
+  changeHomeLoanStatus,
+  updateLoanDocument,
+  rebuildDisbursementSchedule,
+  requestDisbursement,
+  getDisbursementLetter,
+  recordDisbursement,
+} from '../services/homeLoanService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+// ─── Tie-up banks ──────────────────────────────────────────────────────────
+
+/**
+ * @desc    A project's home loan tie-up banks
+ * @route   GET /api/home-loans/projects/:projectId/tie-ups
+ * @access  Private (HOME_LOANS.VIEW)
+ */
+const getTieUps = asyncHandler(async (req, res) => {
+  const tieUps = await callService(
+    () => listTieUps({
+      organization: req.user.organization,
+      projectId: req.params.projectId,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: tieUps });
+});
+
+/**
+ * @desc    Add a tie-up bank to a project
+ * @route   POST /api/home-loans/projects/:projectId/tie-ups
+ * @access  Private (PROJECT_PAYMENTS.UPDATE_CONFIG)
+ */
+const createTieUp = asyncHandler(async (req, res) => {
+  const tieUps = await callService(
+    () => addTieUp({
+      organization: req.user.organization,
+      projectId: req.params.projectId,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: tieUps });
+});
+
+/**
+ * @desc    Edit or deactivate a tie-up bank
+ * @route   PUT /api/home-loans/projects/:projectId/tie-ups/:tieUpId
+ * @access  Private (PROJECT_PAYMENTS.UPDATE_CONFIG)
+ */
+const editTieUp = asyncHandler(async (req, res) => {
+  const tieUps = await callService(
+    () => updateTieUp({
+      organization: req.user.organization,
+      projectId: req.params.projectId,
+      tieUpId: req.params.tieUpId,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: tieUps });
+});
+
+// ─── Cases ─────────────────────────────────────────────────────────────────
+
+/**
+ * @desc    Open a home loan case for a sale
+ * @route   POST /api/home-loans
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const createLoan = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => createHomeLoan({
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: loan });
+});
+
+/**
+ * @desc    Home loan cases, filtered by project, status or sale
+ * @route   GET /api/home-loans?projectId=&status=&saleId=
+ * @access  Private (HOME_LOANS.VIEW)
+ */
+const getLoans = asyncHandler(async (req, res) => {
+  const { projectId, status, saleId } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const loans = await listHomeLoans({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+    status,
+    saleId,
+  });
+  res.json({ success: true, data: loans, count: loans.length });
+});
+
+/**
+ * @desc    One home loan case with its checklist and disbursement schedule
+ * @route   GET /api/home-loans/:id
+ * @access  Private (HOME_LOANS.VIEW)
+ */
+const getLoanById = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => getHomeLoan(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+/**
+ * @desc    Edit a case's lender, amounts and references
+ * @route   PUT /api/home-loans/:id
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const updateLoan = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => updateHomeLoan(req.params.id, {
+      organization: req.user.organization,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+/**
+ * @desc    Move a case to under_process, sanctioned, rejected or cancelled
+ * @route   PATCH /api/home-loans/:id/status
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const changeLoanStatus = asyncHandler(async (req, res) => {
+  const { status, note, ...details } = req.body;
+  const loan = await callService(
+    () => changeHomeLoanStatus(req.params.id, {
+      organization: req.user.organization,
+      status,
+      note,
+      details,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+/**
+ * @desc    Update (or add) a loan document checklist item
+ * @route   PUT /api/home-loans/:id/documents/:key
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const updateDocument = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => updateLoanDocument(req.params.id, req.params.key, {
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+// ─── Disbursements ─────────────────────────────────────────────────────────
+
+/**
+ * @desc    Re-plan the disbursements not yet requested from the current installments
+ * @route   POST /api/home-loans/:id/disbursements/rebuild
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const rebuildSchedule = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => rebuildDisbursementSchedule(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+/**
+ * @desc    Send the lender a disbursement request letter now
+ * @route   POST /api/home-loans/:id/disbursements/:entryId/request
+ * @access  Private (HOME_LOANS.MANAGE)
+ */
+const requestLoanDisbursement = asyncHandler(async (req, res) => {
+  const { loan, emailed } = await callService(
+    () => requestDisbursement(req.params.id, req.params.entryId, {
+      organization: req.user.organization,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    data: loan,
+    message: emailed
+      ? `Request letter emailed to ${loan.lender.contactEmail}.`
+      : 'Request letter generated. The lender has no contact email; download the letter and send it by hand.',
+  });
+});
+
+/**
+ * @desc    The disbursement request letter, as HTML
+ * @route   GET /api/home-loans/:id/disbursements/:entryId/letter
+ * @access  Private (HOME_LOANS.VIEW)
+ */
+const getDisbursementRequestLetter = asyncHandler(async (req, res) => {
+  const letter = await callService(
+    () => getDisbursementLetter(req.params.id, req.params.entryId, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.type('html').send(letter.html);
+});
+
+/**
+ * @desc    Record the lender's payment of a disbursement
+ * @route   POST /api/home-loans/:id/disbursements/:entryId/record
+ * @access  Private (HOME_LOANS.RECORD_DISBURSEMENT)
+ */
+const recordLoanDisbursement = asyncHandler(async (req, res) => {
+  const loan = await callService(
+    () => recordDisbursement(req.params.id, req.params.entryId, {
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: loan });
+});
+
+export {
+  getTieUps,
+  createTieUp,
+  editTieUp,
+  createLoan,
+  getLoans,
+  getLoanById,
+  updateLoan,
+  changeLoanStatus,
+  updateDocument,
+  rebuildSchedule,
+  requestLoanDisbursement,
+  getDisbursementRequestLetter,
+  recordLoanDisbursement,
+};
@@ -11,72 +11,26 @@ import Unit from '../models/unitModel.js';
 import Lead from '../models/leadModel.js';
 import Project from '../models/projectModel.js';
 import Organization from '../models/organizationModel.js';
+import AdjustmentNote, { ADJUSTMENT_NOTE_TYPES, ADJUSTMENT_NOTE_REASONS } from '../models/adjustmentNoteModel.js';
 import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
 import {
   checkApprovalRequired,
   createApprovalRequest,
 } from '../services/approvalService.js';
-
-/**
- * Helper function to convert number to words for Indian currency
- */
-const convertNumberToWords = (num) => {
-  const ones = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
-  const teens = ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
-  const tens = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
-  const numberGroups = ['', 'Thousand', 'Lakh', 'Crore'];
-
-  if (num === 0) return 'Zero Rupees Only';
-
-  const convertHundreds = (n) => {
-    let result = '';
-    if (n >= 100) {
-      result += ones[Math.floor(n / 100)] + ' Hundred ';
-      n %= 100;
-    }
-    if (n >= 20) {
-      result += tens[Math.floor(n / 10)] + ' ';
-      n %= 10;
-    } else if (n >= 10) {
-      result += teens[n - 10] + ' ';
-      n = 0;
-    }
-    if (n > 0) {
-      result += ones[n] + ' ';
-    }
-    return result;
-  };
-
-  const integerPart = Math.floor(num);
-  const decimalPart = Math.round((num - integerPart) * 100);
-
-  let result = '';
-  let crores = Math.floor(integerPart / 10000000);
-  let lakhs = Math.floor((integerPart % 10000000) / 100000);
-  let thousandGroup = Math.floor((integerPart % 100000) / 1000);
-  let hundreds = integerPart % 1000;
-
-  if (crores > 0) {
-    result += convertHundreds(crores) + 'Crore ';
-  }
-  if (lakhs > 0) {
-    result += convertHundreds(lakhs) + 'Lakh ';
-  }
-  if (thousands > 0) {
-    result += convertHundreds(thousands) + 'Thousand ';
-  }
-  if (hundreds > 0) {
-    result += convertHundreds(hundreds);
-  }
-
-  result += 'Rupees';
-  
-  if (decimalPart > 0) {
-    result += ' and ' + convertHundreds(decimalPart) + 'Paise';
-  }
-  
-  return result.trim() + ' Only';
-};
+import {
+  applyInvoiceTax,
+  issueInvoice as issueInvoiceDocument,
+  issueInvoiceReceipt,
+  sendInvoiceEmail,
+  getInvoicePdfLink,
+  getInvoiceReceiptLink,
+  createAdjustmentNote,
+  cancelAdjustmentNote,
+  listAdjustmentNotes,
+  getAdjustmentNotePdfLink,
+} from '../services/financeDocumentService.js';
+import { amountInWords } from '../utils/amountInWords.js';
+import { callService } from '../utils/httpError.js';
 
 /**
  * @desc    Create invoice from sale
@@ -101,7 +55,7 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
       _id: saleId,
       organization: req.user.organization
     })
-    .populate('project', 'name location address gstNumber')
+    .populate('project', 'name type location address gstNumber invoicing')
     .populate('unit', 'unitNumber floor area fullAddress')
     .populate('lead', 'firstName lastName email phone address')
     .populate('salesPerson', 'firstName lastName email');
@@ -142,7 +96,8 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
     // Process cost sheet components
     if (costSheetSnapshot.components && Array.isArray(costSheetSnapshot.components)) {
       costSheetSnapshot.components.forEach(component => {
-        const itemTotal = component.amount || 0;
+        // v2 cost sheets carry recurring charges as amount × periods in `total`
+        const itemTotal = component.total ?? component.amount ?? 0;
         const gstRate = component.gstRate || 0;
         const gstAmount = (itemTotal * gstRate) / 100;
 
@@ -155,7 +110,8 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
           totalPrice: itemTotal,
           taxable: component.taxable !== false,
           gstRate: gstRate,
-          gstAmount: gstAmount
+          gstAmount: gstAmount,
+          ...(component.sacCode ? { hsnSacCode: component.sacCode } : {})
         });
 
         subtotal += itemTotal;
@@ -184,14 +140,7 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
       .filter(item => item.taxable)
       .reduce((sum, item) => sum + item.totalPrice, 0);
 
-    // For Indian GST - split between CGST/SGST or IGST
-    // Assuming same state transaction for now (CGST + SGST)
-    const cgstAmount = totalGstAmount / 2;
-    const sgstAmount = totalGstAmount / 2;
-    const igstAmount = 0; // For inter-state transactions
-
     const totalAmount = subtotal + totalGstAmount;
-    const amountInWords = convertNumberToWords(totalAmount);
 
     // Create invoice data
     const invoiceData = {
@@ -210,12 +159,8 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
         subtotal: subtotal,
         discountAmount: sale.discountAmount || 0,
         taxableAmount: taxableAmount,
-        cgstAmount: cgstAmount,
-        sgstAmount: sgstAmount,
-        igstAmount: igstAmount,
         totalGstAmount: totalGstAmount,
-        totalAmount: totalAmount,
-        amountInWords: amountInWords
+        totalAmount: totalAmount
       },
       paymentDetails: {
         totalPaid: 0,
@@ -235,8 +180,9 @@ const createInvoiceFromSale = asyncHandler(async (req, res) => {
       }
     };
 
-    // Create invoice
+    // Create invoice; GST splits into CGST + SGST or IGST by place of supply
     const invoice = new Invoice(invoiceData);
+    applyInvoiceTax(invoice, sale.project);
     await invoice.save();
 
     // Populate the created invoice for response
@@ -488,11 +434,17 @@ const getInvoice = asyncHandler(async (req, res) => {
     // Verify project-level access
     verifyProjectAccess(req, res, invoice.project?._id || invoice.project);
 
+    const adjustmentNotes = await AdjustmentNote.find({ invoice: invoice._id })
+      .select('noteType noteNumber noteDate reason status totals.totalAmount pdfFile.s3Key createdBy')
+      .populate('createdBy', 'firstName lastName')
+      .sort({ noteDate: 1 })
+      .lean();
+
     console.log('✅ Invoice fetched successfully:', invoice.invoiceNumber);
 
     res.json({
       success: true,
-      data: invoice
+      data: { ...invoice.toObject({ virtuals: true }), adjustmentNotes }
     });
 
   } catch (error) {
@@ -578,6 +530,20 @@ const updateInvoice = asyncHandler(async (req, res) => {
       }
     }
 
+    // An issued invoice is a tax document: its lines are fixed and it never
+    // goes back to draft
+    if (invoice.isIssued && updateData.lineItems) {
+      res.status(409);
+      throw new Error('Line items of an issued invoice cannot be changed; cancel it and raise a new one');
+    }
+    if (invoice.isIssued && updateData.status === 'draft') {
+      res.status(409);
+      throw new Error('An issued invoice cannot return to draft');
+    }
+
+    // Leaving draft issues the invoice: number, PDF and (for 'sent') email
+    const issuing = !invoice.isIssued && ['generated', 'sent'].includes(updateData.status);
+
     // Update allowed fields
     const allowedUpdates = [
       'status',
@@ -591,6 +557,7 @@ const updateInvoice = asyncHandler(async (req, res) => {
 
     // Apply updates
     allowedUpdates.forEach(field => {
+      if (field === 'status' && issuing) return;
       if (updateData[field] !== undefined) {
         if (field.includes('.')) {
           const [parent, child] = field.split('.');
@@ -602,21 +569,10 @@ const updateInvoice = asyncHandler(async (req, res) => {
       }
     });
 
-    // Recalculate financial summary if line items changed
+    // Recalculate tax and totals if line items changed
     if (updateData.lineItems) {
-      const subtotal = updateData.lineItems.reduce((sum, item) => sum + item.totalPrice, 0);
-      const totalGstAmount = updateData.lineItems.reduce((sum, item) => sum + item.gstAmount, 0);
-      const totalAmount = subtotal + totalGstAmount;
-
-      invoice.financialSummary.subtotal = subtotal;
-      invoice.financialSummary.totalGstAmount = totalGstAmount;
-      invoice.financialSummary.cgstAmount = totalGstAmount / 2;
-      invoice.financialSummary.sgstAmount = totalGstAmount / 2;
-      invoice.financialSummary.totalAmount = totalAmount;
-      invoice.financialSummary.amountInWords = convertNumberToWords(totalAmount);
-      
-      // Update pending amount
-      invoice.paymentDetails.pendingAmount = totalAmount - invoice.paymentDetails.totalPaid;
+      const project = await Project.findById(invoice.project).select('type location gstNumber invoicing');
+      applyInvoiceTax(invoice, project);
     }
 
     // Increment revision number
@@ -624,6 +580,15 @@ const updateInvoice = asyncHandler(async (req, res) => {
 
     await invoice.save();
 
+    let issued = null;
+    if (issuing) {
+      issued = await callService(() => issueInvoiceDocument(invoice._id, {
+        organization: req.user.organization,
+        user: req.user,
+        send: updateData.status === 'sent',
+      }), res);
+    }
+
     // Populate updated invoice
     const updatedInvoice = await Invoice.findById(id)
       .populate('project', 'name location address')
@@ -636,12 +601,13 @@ const updateInvoice = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       data: updatedInvoice,
-      message: 'Invoice updated successfully'
+      ...(issued ? { pdf: issued.pdf, delivery: issued.delivery } : {}),
+      message: issued ? `Invoice issued as ${updatedInvoice.invoiceNumber}` : 'Invoice updated successfully'
     });
 
   } catch (error) {
     console.error('❌ Error updating invoice:', error.message);
-    res.status(400);
+    if (res.statusCode < 400) res.status(400);
     throw new Error(`Failed to update invoice: ${error.message}`);
   }
 });
@@ -694,6 +660,20 @@ const recordInvoicePayment = asyncHandler(async (req, res) => {
       paymentDate: paymentDate ? new Date(paymentDate) : new Date()
     });
 
+    // The payment stands even if its receipt can't be issued right now
+    let receipt;
+    try {
+      receipt = await issueInvoiceReceipt(invoice._id, {
+        amount: parseFloat(amount),
+        paymentMethod,
+        paymentReference,
+        paymentDate: paymentDate ? new Date(paymentDate) : new Date()
+      }, { organization: req.user.organization, user: req.user });
+    } catch (receiptError) {
+      console.error('❌ Error issuing receipt:', receiptError.message);
+      receipt = { error: receiptError.message };
+    }
+
     // Populate updated invoice
     const updatedInvoice = await Invoice.findById(id)
       .populate('project', 'name location')
@@ -704,6 +684,7 @@ const recordInvoicePayment = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       data: updatedInvoice,
+      receipt,
       message: `Payment of ${amount} recorded successfully`
     });
 
@@ -743,6 +724,12 @@ const cancelInvoice = asyncHandler(async (req, res) => {
     // Verify project-level access
     verifyProjectAccess(req, res, invoice.project?._id || invoice.project);
 
+    // Notes adjust the invoice as issued; they have to be cancelled first
+    const issuedNotes = await AdjustmentNote.countDocuments({ invoice: invoice._id, status: 'issued' });
+    if (issuedNotes > 0) {
+      throw new Error(`${issuedNotes} credit/debit note(s) are issued against this invoice; cancel them first`);
+    }
+
     // Cancel invoice
     await invoice.cancelInvoice({ reason }, req.user._id);
 
@@ -765,6 +752,193 @@ const cancelInvoice = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Issue a draft invoice: GST by place of supply, tax invoice number,
+ *          PDF and (unless send is false) email to the customer
+ * @route   POST /api/invoices/:id/issue
+ * @access  Private (INVOICES.UPDATE)
+ * @body    { placeOfSupply?, recipient?: { name?, gstin?, address?, state? }, send?, to? }
+ */
+const issueInvoice = asyncHandler(async (req, res) => {
+  const { placeOfSupply, recipient, send, to } = req.body || {};
+  const result = await callService(() => issueInvoiceDocument(req.params.id, {
+    organization: req.user.organization,
+    user: req.user,
+    placeOfSupply,
+    recipient: recipient || {},
+    send: send !== false,
+    to,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+
+  res.json({
+    success: true,
+    data: result.invoice,
+    pdf: result.pdf,
+    delivery: result.delivery,
+    message: `Invoice issued as ${result.invoice.invoiceNumber}`
+  });
+});
+
+/**
+ * @desc    Download link for the invoice PDF (generated on first request)
+ * @route   GET /api/invoices/:id/pdf?regenerate=true
+ * @access  Private (INVOICES.VIEW)
+ */
+const generateInvoicePDF = asyncHandler(async (req, res) => {
+  const data = await callService(() => getInvoicePdfLink(req.params.id, {
+    organization: req.user.organization,
+    user: req.user,
+    regenerate: req.query.regenerate === 'true',
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Email the invoice PDF to the customer, or to `to`
+ * @route   POST /api/invoices/:id/send-email
+ * @access  Private (INVOICES.UPDATE)
+ */
+const sendInvoiceViaEmail = asyncHandler(async (req, res) => {
+  const { invoice, delivery } = await callService(() => sendInvoiceEmail(req.params.id, {
+    organization: req.user.organization,
+    to: req.body?.to,
+    user: req.user,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({
+    success: true,
+    data: { invoiceNumber: invoice.invoiceNumber, status: invoice.status, delivery },
+    message: `Invoice ${invoice.invoiceNumber} sent to ${delivery.to}`
+  });
+});
+
+/**
+ * @desc    Download link for a receipt issued against the invoice
+ * @route   GET /api/invoices/:id/receipts/:receiptId/pdf
+ * @access  Private (INVOICES.VIEW)
+ */
+const getInvoiceReceiptPDF = asyncHandler(async (req, res) => {
+  const data = await callService(() => getInvoiceReceiptLink(req.params.id, req.params.receiptId, {
+    organization: req.user.organization,
+    user: req.user,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Issue a credit or debit note against an issued invoice
+ * @route   POST /api/invoices/:id/adjustment-notes
+ * @access  Private (INVOICES.UPDATE)
+ * @body    { noteType: 'credit_note'|'debit_note', reason, reasonDetails?,
+ *            lines: [{ lineItemId?, amount, description?, gstRate?, category?, hsnSacCode? }],
+ *            send?, to? }
+ */
+const createInvoiceAdjustmentNote = asyncHandler(async (req, res) => {
+  const { noteType, reason, reasonDetails, lines, send, to } = req.body || {};
+  const result = await callService(() => createAdjustmentNote(req.params.id, {
+    organization: req.user.organization,
+    user: req.user,
+    noteType,
+    reason,
+    reasonDetails,
+    lines,
+    send: send !== false,
+    to,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+
+  res.status(201).json({
+    success: true,
+    data: result.note,
+    invoice: {
+      invoiceNumber: result.invoice.invoiceNumber,
+      status: result.invoice.status,
+      netAmount: result.invoice.netPayableAmount(),
+      adjustments: result.invoice.adjustments,
+      paymentDetails: result.invoice.paymentDetails,
+    },
+    pdf: result.pdf,
+    delivery: result.delivery,
+    message: `${ADJUSTMENT_NOTE_TYPES[result.note.noteType]} ${result.note.noteNumber} issued against ${result.invoice.invoiceNumber}`
+  });
+});
+
+/**
+ * @desc    Credit and debit notes issued against an invoice
+ * @route   GET /api/invoices/:id/adjustment-notes
+ * @access  Private (INVOICES.VIEW)
+ */
+const getInvoiceAdjustmentNotes = asyncHandler(async (req, res) => {
+  const notes = await callService(() => listAdjustmentNotes({
+    organization: req.user.organization,
+    invoice: req.params.id,
+    noteType: req.query.noteType,
+    status: req.query.status,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, count: notes.length, data: notes });
+});
+
+/**
+ * @desc    Credit and debit notes across the organization
+ * @route   GET /api/invoices/adjustment-notes?noteType=&status=&project=
+ * @access  Private (INVOICES.VIEW)
+ */
+const getAdjustmentNotes = asyncHandler(async (req, res) => {
+  const notes = await callService(() => listAdjustmentNotes({
+    organization: req.user.organization,
+    noteType: req.query.noteType,
+    status: req.query.status,
+    project: req.query.project,
+    projectFilter: projectAccessFilter(req),
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, count: notes.length, data: notes });
+});
+
+/**
+ * @desc    Download link for a credit or debit note PDF
+ * @route   GET /api/invoices/:id/adjustment-notes/:noteId/pdf
+ * @access  Private (INVOICES.VIEW)
+ */
+const getAdjustmentNotePDF = asyncHandler(async (req, res) => {
+  const data = await callService(() => getAdjustmentNotePdfLink(req.params.id, req.params.noteId, {
+    organization: req.user.organization,
+    user: req.user,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Cancel a credit or debit note issued in error
+ * @route   PUT /api/invoices/:id/adjustment-notes/:noteId/cancel
+ * @access  Private (INVOICES.CANCEL)
+ */
+const cancelInvoiceAdjustmentNote = asyncHandler(async (req, res) => {
+  const { note, invoice } = await callService(() => cancelAdjustmentNote(req.params.id, req.params.noteId, {
+    organization: req.user.organization,
+    user: req.user,
+    reason: req.body?.reason,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({
+    success: true,
+    data: note,
+    invoice: {
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      netAmount: invoice.netPayableAmount(),
+      adjustments: invoice.adjustments,
+      paymentDetails: invoice.paymentDetails,
+    },
+    message: `${ADJUSTMENT_NOTE_TYPES[note.noteType]} ${note.noteNumber} cancelled`
+  });
+});
+
 /**
  * @desc    Get invoice statistics
  * @route   GET /api/invoices/statistics
@@ -907,9 +1081,25 @@ const exportInvoices = asyncHandler(async (req, res) => {
       .populate('generatedBy', 'firstName lastName')
       .sort({ invoiceDate: -1 });
 
+    // Credit and debit notes are listed under the invoice they adjust
+    const notes = await AdjustmentNote.find({
+      organization: req.user.organization,
+      invoice: { $in: invoices.map(invoice => invoice._id) }
+    })
+      .populate('createdBy', 'firstName lastName')
+      .sort({ noteDate: 1 })
+      .lean();
+    const notesByInvoice = new Map();
+    notes.forEach(note => {
+      const key = note.invoice.toString();
+      notesByInvoice.set(key, [...(notesByInvoice.get(key) || []), note]);
+    });
+
     // Transform data for export
-    const exportData = invoices.map(invoice => ({
+    const exportData = invoices.flatMap(invoice => [{
+      'Document Type': 'Tax Invoice',
       'Invoice Number': invoice.invoiceNumber,
+      'Original Invoice': '',
       'Invoice Date': invoice.invoiceDate.toLocaleDateString(),
       'Due Date': invoice.dueDate.toLocaleDateString(),
       'Customer Name': `${invoice.customer.firstName} ${invoice.customer.lastName}`,
@@ -922,12 +1112,48 @@ const exportInvoices = asyncHandler(async (req, res) => {
       'Subtotal': invoice.financialSummary.subtotal,
       'GST Amount': invoice.financialSummary.totalGstAmount,
       'Total Amount': invoice.financialSummary.totalAmount,
+      'Credit Notes': invoice.adjustments?.creditNoteAmount,
+      'Debit Notes': invoice.adjustments?.debitNoteAmount,
+      'Net Amount': invoice.netPayableAmount(),
       'Paid Amount': invoice.paymentDetails.totalPaid,
       'Pending Amount': invoice.paymentDetails.pendingAmount,
+      'Refund Due': invoice.paymentDetails.refundDue,
       'Payment Status': invoice.paymentDetails.pendingAmount > 0 ? 'PENDING' : 'PAID',
+      'Note Reason': '',
       'Generated By': `${invoice.generatedBy.firstName} ${invoice.generatedBy.lastName}`,
       'Generated Date': invoice.createdAt.toLocaleDateString()
-    }));
+    }, ...(notesByInvoice.get(invoice._id.toString()) || []).map(note => {
+      // Credit notes are negative so the amount columns add up to the net;
+      // cancelled notes keep their row (the number stays used) at zero
+      const sign = note.status === 'cancelled' ? 0 : note.noteType === 'credit_note' ? -1 : 1;
+      return {
+        'Document Type': ADJUSTMENT_NOTE_TYPES[note.noteType],
+        'Invoice Number': note.noteNumber,
+        'Original Invoice': invoice.invoiceNumber,
+        'Invoice Date': new Date(note.noteDate).toLocaleDateString(),
+        'Due Date': '',
+        'Customer Name': `${invoice.customer.firstName} ${invoice.customer.lastName}`,
+        'Customer Email': invoice.customer.email,
+        'Customer Phone': invoice.customer.phone,
+        'Project Name': invoice.project.name,
+        'Unit Number': invoice.unit.unitNumber,
+        'Invoice Type': invoice.type.replace('_', ' ').toUpperCase(),
+        'Status': note.status.toUpperCase(),
+        'Subtotal': sign * note.totals.subtotal,
+        'GST Amount': sign * note.totals.totalGstAmount,
+        'Total Amount': sign * note.totals.totalAmount,
+        'Credit Notes': '',
+        'Debit Notes': '',
+        'Net Amount': '',
+        'Paid Amount': '',
+        'Pending Amount': '',
+        'Refund Due': '',
+        'Payment Status': '',
+        'Note Reason': ADJUSTMENT_NOTE_REASONS[note.reason],
+        'Generated By': note.createdBy ? `${note.createdBy.firstName} ${note.createdBy.lastName}` : '',
+        'Generated Date': new Date(note.createdAt).toLocaleDateString()
+      };
+    })]);
 
     // Set response headers for download
     const timestamp = new Date().toISOString().split('T')[0];
@@ -972,6 +1198,15 @@ export {
   updateInvoice,
   recordInvoicePayment,
   cancelInvoice,
+  issueInvoice,
+  generateInvoicePDF,
+  sendInvoiceViaEmail,
+  getInvoiceReceiptPDF,
+  createInvoiceAdjustmentNote,
+  getInvoiceAdjustmentNotes,
+  getAdjustmentNotes,
+  getAdjustmentNotePDF,
+  cancelInvoiceAdjustmentNote,
   getInvoiceStatistics,
   getOverdueInvoices,
   exportInvoices
@@ -0,0 +1,141 @@
+// File: controllers/leadAssignmentController.js
+// Description: Lead routing — per-project assignment rules, re-running them
+//   for a lead, and the routing audit trail. Matching, load caps, working
+//   hours and SLAs live in services/leadAssignmentService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  createAssignmentRule,
+  listAssignmentRules,
+  updateAssignmentRule,
+  deleteAssignmentRule,
+  rerouteLead,
+  listRoutingLogs,
+} from '../services/leadAssignmentService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Create an assignment rule for a project
+ * @route   POST /api/lead-assignment/rules
+ * @access  Private (LEADS.ASSIGNMENT_CONFIG)
+ */
+const createLeadAssignmentRule = asyncHandler(async (req, res) => {
+  const { projectId, ...fields } = req.body;
+  if (!projectId) {
+    res.status(400);
+    throw new Error('projectId is required.');
+  }
+
+  const rule = await callService(
+    () => createAssignmentRule({
+      organization: req.user.organization,
+      projectId,
+      fields,
+      user: req.user,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Assignment rules, optionally for one project, in evaluation order
+ * @route   GET /api/lead-assignment/rules?projectId=
+ * @access  Private (LEADS.ASSIGNMENT_CONFIG)
+ */
+const getLeadAssignmentRules = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+
+  const rules = await listAssignmentRules({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+  });
+  res.json({ success: true, data: rules, count: rules.length });
+});
+
+/**
+ * @desc    Update an assignment rule
+ * @route   PUT /api/lead-assignment/rules/:ruleId
+ * @access  Private (LEADS.ASSIGNMENT_CONFIG)
+ */
+const updateLeadAssignmentRule = asyncHandler(async (req, res) => {
+  const rule = await callService(
+    () => updateAssignmentRule(req.params.ruleId, {
+      organization: req.user.organization,
+      updates: req.body,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Delete an assignment rule
+ * @route   DELETE /api/lead-assignment/rules/:ruleId
+ * @access  Private (LEADS.ASSIGNMENT_CONFIG)
+ */
+const deleteLeadAssignmentRule = asyncHandler(async (req, res) => {
+  await callService(
+    () => deleteAssignmentRule(req.params.ruleId, {
+      organization: req.user.organization,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({ success: true, message: 'Assignment rule deleted.' });
+});
+
+/**
+ * @desc    Run a lead through its project's assignment rules again
+ * @route   POST /api/lead-assignment/leads/:leadId/route
+ * @access  Private (LEADS.ASSIGN)
+ */
+const routeLeadByRules = asyncHandler(async (req, res) => {
+  const { lead, decision } = await callService(
+    () => rerouteLead(req.params.leadId, {
+      organization: req.user.organization,
+      user: req.user,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    data: { leadId: lead._id, assignedTo: lead.assignedTo, action: decision.action, slaDueAt: decision.slaDueAt },
+    message: decision.assignee ? decision.reason : `Not re-assigned: ${decision.reason}`,
+  });
+});
+
+/**
+ * @desc    Routing audit trail, newest first
+ * @route   GET /api/lead-assignment/logs?projectId=&leadId=&action=&limit=
+ * @access  Private (LEADS.ASSIGNMENT_CONFIG)
+ */
+const getRoutingLogs = asyncHandler(async (req, res) => {
+  const { projectId, leadId, action, limit } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+
+  const logs = await listRoutingLogs({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+    leadId,
+    action,
+    limit,
+  });
+  res.json({ success: true, data: logs, count: logs.length });
+});
+
+export {
+  createLeadAssignmentRule,
+  getLeadAssignmentRules,
+  updateLeadAssignmentRule,
+  deleteLeadAssignmentRule,
+  routeLeadByRules,
+  getRoutingLogs,
+};
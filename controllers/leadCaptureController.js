@@ -0,0 +1,201 @@
+// File: controllers/leadCaptureController.js
+// Description: Inbound lead capture — the unauthenticated webhook portals, ad
+//   platforms and website forms post to, and management of the capture
+//   sources behind it. Mapping, dedupe, scoring and assignment live in
+//   services/leadCapture/leadCaptureService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  getCaptureAdapter,
+  resolveInboundSource,
+  ingestCapturedLeads,
+  createCaptureSource,
+  listCaptureSources,
+  updateCaptureSource,
+  rotateCaptureSecret,
+} from '../services/leadCapture/leadCaptureService.js';
+import LeadCaptureSource from '../models/leadCaptureSourceModel.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+// =============================================================================
+// INBOUND WEBHOOK (UNAUTHENTICATED — provider-abstracted)
+// =============================================================================
+
+/**
+ * @desc    Subscription handshake (Facebook's hub.challenge GET)
+ * @route   GET /api/lead-capture/inbound/:provider/:key
+ * @access  Public (verify token per source)
+ */
+const verifyLeadCaptureSubscription = asyncHandler(async (req, res) => {
+  const { provider, key } = req.params;
+  const source = await resolveInboundSource(provider, key);
+  const adapter = getCaptureAdapter(provider);
+  if (!source || !adapter?.handshake) {
+    res.status(404);
+    throw new Error('Unknown lead capture endpoint');
+  }
+
+  const challenge = adapter.handshake(req, source);
+  if (challenge === null || challenge === undefined) {
+    res.status(403);
+    throw new Error('Subscription verification failed');
+  }
+  res.status(200).send(String(challenge));
+});
+
+/**
+ * @desc    Receive leads from a portal, ad platform or website form
+ * @route   POST /api/lead-capture/inbound/:provider/:key
+ * @access  Public (routed by the key in the URL, verified per provider)
+ *
+ * Answers 2xx for anything accepted, duplicated or skipped so providers don't
+ * retry; 4xx for an unknown endpoint, a failed signature or an unreadable
+ * body. A provider API failure while reading lead details is a 502 so the
+ * delivery is retried.
+ */
+const receiveCapturedLeads = asyncHandler(async (req, res) => {
+  const { provider, key } = req.params;
+  const source = await resolveInboundSource(provider, key);
+  if (!source) {
+    res.status(404);
+    throw new Error('Unknown lead capture endpoint');
+  }
+  const adapter = getCaptureAdapter(provider);
+
+  // 1. Verify before touching anything.
+  let verified = false;
+  try {
+    verified = await adapter.verify(req, source);
+  } catch (err) {
+    console.warn(`⚠️ [lead-capture] verify threw for ${provider}:`, err.message);
+  }
+  if (!verified) {
+    res.status(401);
+    throw new Error('Lead capture signature verification failed');
+  }
+
+  // 2. Normalize into capture records.
+  let records;
+  try {
+    records = await adapter.normalize(req, source);
+  } catch (err) {
+    console.warn(`⚠️ [lead-capture] normalize threw for ${provider}:`, err.message);
+    await LeadCaptureSource.updateOne({ _id: source._id }, { $set: { 'stats.lastError': err.message } });
+    res.status(err.response ? 502 : 400);
+    throw new Error('Could not read the captured leads');
+  }
+  if (!records?.length) {
+    return res.status(200).json({ success: true, received: 0 });
+  }
+
+  // 3. Map, dedupe, score and assign.
+  const summary = await ingestCapturedLeads(source, records);
+  res.status(200).json({ success: true, received: records.length, ...summary });
+});
+
+// =============================================================================
+// CAPTURE SOURCES
+// =============================================================================
+
+/**
+ * @desc    Create a capture source; the secret is only returned here
+ * @route   POST /api/lead-capture/sources
+ * @access  Private (LEADS.CAPTURE_CONFIG)
+ */
+const createLeadCaptureSource = asyncHandler(async (req, res) => {
+  const { projectId, name, provider, secret, accessToken, fieldMapping, defaults, assignees } = req.body;
+  if (!projectId || !provider) {
+    res.status(400);
+    throw new Error('projectId and provider are required.');
+  }
+
+  const result = await callService(
+    () => createCaptureSource({
+      organization: req.user.organization,
+      projectId,
+      name,
+      provider,
+      secret,
+      accessToken,
+      fieldMapping,
+      defaults,
+      assignees,
+      user: req.user,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: result.source,
+    secret: result.secret,
+    webhookUrl: result.webhookUrl,
+    message: 'Lead capture source created. Store the secret now; it is not shown again.',
+  });
+});
+
+/**
+ * @desc    Capture sources, optionally for one project
+ * @route   GET /api/lead-capture/sources
+ * @access  Private (LEADS.CAPTURE_CONFIG)
+ */
+const getLeadCaptureSources = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+
+  const sources = await listCaptureSources({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+  });
+  res.json({ success: true, data: sources, count: sources.length });
+});
+
+/**
+ * @desc    Update a capture source's name, mapping, defaults, team or status
+ * @route   PUT /api/lead-capture/sources/:sourceId
+ * @access  Private (LEADS.CAPTURE_CONFIG)
+ */
+const updateLeadCaptureSource = asyncHandler(async (req, res) => {
+  const source = await callService(
+    () => updateCaptureSource(req.params.sourceId, {
+      organization: req.user.organization,
+      updates: req.body,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({ success: true, data: source });
+});
+
+/**
+ * @desc    Issue a new secret for a capture source
+ * @route   POST /api/lead-capture/sources/:sourceId/rotate-secret
+ * @access  Private (LEADS.CAPTURE_CONFIG)
+ */
+const rotateLeadCaptureSecret = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => rotateCaptureSecret(req.params.sourceId, {
+      organization: req.user.organization,
+      secret: req.body?.secret,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    ...result,
+    message: 'Secret rotated. Update the provider before the next delivery.',
+  });
+});
+
+export {
+  verifyLeadCaptureSubscription,
+  receiveCapturedLeads,
+  createLeadCaptureSource,
+  getLeadCaptureSources,
+  updateLeadCaptureSource,
+  rotateLeadCaptureSecret,
+};
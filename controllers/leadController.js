@@ -16,99 +16,23 @@ import {
 } from '../utils/projectAccessHelper.js';
 import { runLeadEnrichment, hasEnrichmentSources } from '../services/leadEnrichmentService.js';
 import { createNotification, notifyUsersWithPermission } from '../services/notificationService.js';
+import {
+  syncProspectStatusFromLead,
+  handleLeadStatusChangeSideEffects,
+} from '../services/leadStatusSyncService.js';
 import { partnerAccessScope } from '../utils/partnerAccessHelper.js';
 import { assertTransition } from '../utils/leadStatusMachine.js';
 import { derivePriorityFromTimeline } from '../utils/leadPriority.js';
-
-// ─── Cross-org status sync helper ─────────────────────────────────────────
-// When a developer updates a CP-attributed Lead.status (via proposal accept,
-// registration accept, or direct PUT), the source Prospect on the CP side
-// must mirror that change. Without this sync the CP sees a stale status
-// indefinitely (the SP4 design intends both sides to stay in lockstep).
-//
-// Lead.status enum is a strict superset of Prospect.status — we only sync
-// when the new value is in Prospect's enum. 'pending' is dev-only and
-// never propagates back.
-// Lead.status values that also exist on the CP-side Prospect enum and are safe
-// to mirror. 'Revived' is intentionally excluded (no Prospect equivalent).
-const PROSPECT_STATUS_VALUES = new Set([
-  'New', 'Qualified', 'Site Visit Completed', 'Negotiating', 'Booked', 'Lost',
-]);
-
-async function syncProspectStatusFromLead(lead, newStatus, devUser) {
-  if (!lead?.sourceProspect || !newStatus) return;
-  if (!PROSPECT_STATUS_VALUES.has(newStatus)) return;
-  try {
-    const { default: Prospect } = await import('../models/prospectModel.js');
-    const prospect = await Prospect.findById(lead.sourceProspect);
-    if (!prospect) return;
-    if (prospect.status === newStatus) return; // nothing to do
-    const oldStatus = prospect.status;
-    prospect.status = newStatus;
-    prospect.activities.push({
-      type: 'status_change',
-      note: `${oldStatus} → ${newStatus} (synced from developer side)`,
-      at: new Date(),
-      by: devUser?._id || null,
-    });
-    await prospect.save();
-  } catch (err) {
-    // Non-fatal — never block the dev's action because the CP-side sync hit a snag.
-    console.warn('[syncProspectStatusFromLead] failed (non-fatal):', err.message);
-  }
-}
-
-// Side-effects when a developer changes a CP-attributed lead's status: keep the
-// source Prospect in lockstep AND notify the CP agent + CP managers. Best-effort
-// and never throws — shared by updateLead and changeLeadStatus so the quick
-// status-change path stays consistent with the full update path.
-async function handleLeadStatusChangeSideEffects(lead, previousStatus, newStatus, devUser) {
-  if (!lead || !newStatus || !previousStatus || newStatus === previousStatus) return;
-
-  // Sync prospect even when not viaCp — covers the edge case where attribution
-  // is set differently but sourceProspect still points back to a CP prospect.
-  await syncProspectStatusFromLead(lead, newStatus, devUser);
-
-  try {
-    const viaCp = lead.channelPartnerAttribution?.viaChannelPartner;
-    if (!viaCp) return;
-    const agentUserId = lead.channelPartnerAttribution?.partners?.[0]?.agentUser;
-    const cpRecordId = lead.channelPartnerAttribution?.partners?.[0]?.channelPartner;
-    const cpRecord = cpRecordId
-      ? await ChannelPartner.findById(cpRecordId).select('channelPartnerOrg').lean()
-      : null;
-    const cpOrgId = cpRecord?.channelPartnerOrg;
-    if (!cpOrgId) return;
-
-    const title = `Lead status updated: ${previousStatus} → ${newStatus}`;
-    const message = `${lead.firstName} ${lead.lastName || ''}`.trim();
-    if (agentUserId) {
-      await createNotification({
-        organization: cpOrgId,
-        recipient: agentUserId,
-        type: 'cp_lead_status_changed',
-        title,
-        message,
-        actionUrl: '/partner/prospects',
-        relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: lead.firstName },
-        actor: devUser._id,
-      });
-    }
-    await notifyUsersWithPermission({
-      organizationId: cpOrgId,
-      permission: 'cp_org:manage',
-      excludeUserIds: agentUserId ? [agentUserId] : [],
-      type: 'cp_lead_status_changed',
-      title,
-      message,
-      actionUrl: '/partner/prospects',
-      relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: lead.firstName },
-      actor: devUser._id,
-    });
-  } catch (notifyErr) {
-    console.error('[handleLeadStatusChangeSideEffects] cp_lead_status_changed notification failed:', notifyErr?.message);
-  }
-}
+import { findDuplicateLeads } from '../services/leadDedupeService.js';
+import { resolveLeadCampaign } from '../services/campaignService.js';
+import { contactKeysOf } from '../utils/contactNormalizer.js';
+import { callService } from '../utils/httpError.js';
+import {
+  chooseAssignee,
+  stampAssignment,
+  logRoutingDecision,
+  recordManualAssignment,
+} from '../services/leadAssignmentService.js';
 
 // Import background job service if it exists, otherwise provide fallback
 let addLeadScoreUpdateJob, addEngagementMetricsUpdateJob;
@@ -132,6 +56,23 @@ try {
   updateLeadScore = () => Promise.resolve({ message: 'Scoring service not available' });
 }
 
+// Server-maintained lead fields, dropped from client payloads on create and
+// update: dedupe keys, merge/score history, routing and capture details.
+// Consent changes go through PUT /api/messaging/leads/:leadId/consent, which
+// applies them to the number and notes them on the timeline.
+const SERVER_MAINTAINED_FIELDS = [
+  'contactKeys',
+  'mergeHistory',
+  'scoreHistory',
+  'routing',
+  'capture',
+  'messagingConsent',
+];
+
+const dropServerMaintainedFields = (body) => {
+  for (const field of SERVER_MAINTAINED_FIELDS) delete body[field];
+};
+
 /**
  * @desc    Create a new lead
  * @route   POST /api/leads
@@ -146,11 +87,7 @@ const createLead = asyncHandler(async (req, res) => {
     throw new Error('Project, first name, and phone are required fields.');
   }
 
-  // 2026-06 refactor (#20): every lead must be assigned to a sales agent/manager.
-  if (!assignedTo) {
-    res.status(400);
-    throw new Error('A sales manager/agent must be assigned to every lead.');
-  }
+  dropServerMaintainedFields(req.body);
 
   // Verify the project exists and belongs to the user's organization
   const projectExists = await Project.findOne({
@@ -165,9 +102,37 @@ const createLead = asyncHandler(async (req, res) => {
 
   verifyProjectAccess(req, res, project);
 
+  // Duplicate guard: the same contact in this project is blocked unless the
+  // caller explicitly overrides; matches in other projects only warn.
+  const duplicates = await findDuplicateLeads({
+    organization: req.user.organization,
+    phone,
+    email,
+    projectFilter: projectAccessFilter(req),
+  });
+  const sameProject = duplicates.filter((d) => String(d.project?._id || d.project) === String(project));
+  const otherProjects = duplicates.filter((d) => !sameProject.includes(d));
+  if (sameProject.length && !req.body.allowDuplicate) {
+    return res.status(409).json({
+      success: false,
+      code: 'DUPLICATE_LEAD',
+      message: 'A lead with this phone or email already exists in this project. Open it, merge, or resend with allowDuplicate.',
+      duplicates: sameProject,
+    });
+  }
+
+  // The campaign picked on the form, else whichever campaign the UTM tags match.
+  const campaign = await callService(() => resolveLeadCampaign({
+    organization: req.user.organization,
+    project,
+    campaignId: req.body.campaign,
+    attribution: req.body.attribution,
+  }), res);
+
   // Create the lead with enhanced fields
   const lead = new Lead({
     ...req.body,
+    campaign,
     organization: req.user.organization, // Set organization from logged-in user
     // 2026-06 refactor (#12): direct creation is always status 'New' — there is
     // no client-chosen "initial status". (CP-pushed 'pending' leads are created
@@ -194,7 +159,31 @@ const createLead = asyncHandler(async (req, res) => {
     })
   });
 
+  // 2026-06 refactor (#20): every lead must be assigned to a sales agent/manager.
+  // Without an explicit pick, the project's assignment rules choose one.
+  const routedAt = new Date();
+  let routingDecision = null;
+  if (assignedTo) {
+    lead.routing = { method: 'manual', assignedAt: routedAt };
+  } else {
+    routingDecision = await chooseAssignee(lead, { now: routedAt });
+    if (!routingDecision.assignee) {
+      res.status(400);
+      throw new Error(`A sales manager/agent must be assigned to every lead. ${routingDecision.reason}.`);
+    }
+    stampAssignment(lead, routingDecision, routedAt);
+  }
+
   const createdLead = await lead.save();
+  await logRoutingDecision({
+    lead: createdLead,
+    action: routingDecision ? 'assigned' : 'manual',
+    trigger: 'created',
+    decision: routingDecision || undefined,
+    to: createdLead.assignedTo,
+    reason: routingDecision ? undefined : 'Assigned by hand on creation',
+    actor: req.user._id,
+  });
 
   // Trigger initial score calculation in background with delay
   addLeadScoreUpdateJob(createdLead._id, { delay: 2000 }); // 2 second delay
@@ -216,6 +205,12 @@ const createLead = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: createdLead,
+    ...((otherProjects.length || sameProject.length) && {
+      duplicateWarning: {
+        message: 'This contact already exists as a lead elsewhere; consider merging.',
+        duplicates: [...sameProject, ...otherProjects],
+      },
+    }),
     message: hasSources
       ? 'Lead created successfully. AI enrichment in progress.'
       : 'Lead created successfully. Score calculation in progress.'
@@ -487,6 +482,25 @@ const updateLead = asyncHandler(async (req, res) => {
   // status/summary/signals cannot be forged through a plain lead update.
   delete req.body.enrichment;
 
+  // The update below bypasses the pre-save hook, so contact keys are re-keyed
+  // here when contacts change.
+  dropServerMaintainedFields(req.body);
+  // Re-attributing to another campaign must name one that fits the lead's
+  // project; null clears it.
+  if (req.body.campaign) {
+    req.body.campaign = await callService(() => resolveLeadCampaign({
+      organization: req.user.organization,
+      project: req.body.project || lead.project,
+      campaignId: req.body.campaign,
+    }), res);
+  }
+  if (req.body.phone !== undefined || req.body.email !== undefined) {
+    req.body.contactKeys = contactKeysOf({
+      phone: req.body.phone ?? lead.phone,
+      email: req.body.email ?? lead.email,
+    });
+  }
+
   // SP4 — remember the prior status so we can detect a developer-driven
   // status change on a CP-attributed lead (fires cp_lead_status_changed).
   const previousStatus = lead.status;
@@ -511,6 +525,19 @@ const updateLead = asyncHandler(async (req, res) => {
     req.body.priority = derivePriorityFromTimeline(req.body.requirements.timeline);
   }
 
+  // Re-assigning through a plain update counts as a manual assignment.
+  const reassigning = req.body.assignedTo !== undefined
+    && String(req.body.assignedTo || '') !== String(lead.assignedTo || '');
+  if (reassigning) {
+    req.body.routing = {
+      method: 'manual',
+      rule: null,
+      assignedAt: new Date(),
+      slaDueAt: null,
+      reassignments: lead.routing?.reassignments || 0,
+    };
+  }
+
   // Track what fields are being updated
   const updatedFields = Object.keys(req.body);
   const scoreAffectingFields = ['budget', 'requirements', 'status', 'qualificationStatus'];
@@ -539,6 +566,18 @@ const updateLead = asyncHandler(async (req, res) => {
     }
   }
 
+  if (reassigning) {
+    await logRoutingDecision({
+      lead: updatedLead,
+      action: 'manual',
+      trigger: 'manual',
+      from: lead.assignedTo || null,
+      to: updatedLead.assignedTo?._id || null,
+      reason: 'Assigned by hand',
+      actor: req.user._id,
+    });
+  }
+
   // If score-affecting fields were updated, trigger recalculation
   if (shouldRecalculateScore) {
     addLeadScoreUpdateJob(updatedLead._id, { delay: 1000 });
@@ -760,9 +799,10 @@ const assignLead = asyncHandler(async (req, res) => {
 
   verifyProjectAccess(req, res, lead.project);
 
-  // Update the assignment
+  // Update the assignment; a hand-made assignment leaves any rule SLA.
+  const previousAssignee = lead.assignedTo;
   lead.assignedTo = assignedTo;
-  await lead.save();
+  await recordManualAssignment(lead, { from: previousAssignee, actor: req.user });
 
   // Trigger score recalculation since assignment affects prioritization
   addLeadScoreUpdateJob(lead._id, { delay: 1000 });
@@ -1007,8 +1047,8 @@ const getLeadRegistrations = asyncHandler(async (req, res) => {
 
       // Single best duplicate-match by recency (SP4 plan Decision 3).
       const dupOr = [];
-      if (lead.email) dupOr.push({ email: lead.email });
-      if (lead.phone) dupOr.push({ phone: lead.phone });
+      if (lead.contactKeys?.email) dupOr.push({ 'contactKeys.email': lead.contactKeys.email });
+      if (lead.contactKeys?.phone) dupOr.push({ 'contactKeys.phone': lead.contactKeys.phone });
       let duplicateMatch = null;
       if (dupOr.length > 0 && (lead.project?._id || lead.project)) {
         const dup = await Lead.findOne({
@@ -0,0 +1,112 @@
+// File: controllers/leadDedupeController.js
+// Description: Duplicate lead review — clusters across projects, on-demand
+//   duplicate checks for a contact or an existing lead, and merging
+//   duplicates into a survivor. Logic lives in services/leadDedupeService.js.
+
+import asyncHandler from 'express-async-handler';
+import Lead from '../models/leadModel.js';
+import {
+  findDuplicateLeads,
+  findDuplicateClusters,
+  mergeLeads,
+} from '../services/leadDedupeService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * @desc    Groups of leads sharing a phone or email, across projects
+ * @route   GET /api/leads/duplicates?limit=
+ * @access  Private (LEADS.BULK_OPERATIONS)
+ */
+const getDuplicateClusters = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const result = await findDuplicateClusters({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    limit,
+  });
+  res.json({ success: true, data: result.clusters, count: result.clusters.length, total: result.total });
+});
+
+/**
+ * @desc    Existing leads matching a phone and/or email (pre-create check)
+ * @route   GET /api/leads/duplicates/check?phone=&email=
+ * @access  Private (LEADS.VIEW)
+ */
+const checkDuplicateLeads = asyncHandler(async (req, res) => {
+  const { phone, email } = req.query;
+  if (!phone && !email) {
+    res.status(400);
+    throw new Error('Provide a phone or email to check.');
+  }
+  const duplicates = await findDuplicateLeads({
+    organization: req.user.organization,
+    phone,
+    email,
+    projectFilter: projectAccessFilter(req),
+  });
+  res.json({ success: true, data: duplicates, count: duplicates.length });
+});
+
+/**
+ * @desc    Other leads sharing this lead's phone or email
+ * @route   GET /api/leads/:id/duplicates
+ * @access  Private (LEADS.VIEW)
+ */
+const getLeadDuplicates = asyncHandler(async (req, res) => {
+  const lead = await Lead.findOne({ _id: req.params.id, organization: req.user.organization })
+    .select('phone email project')
+    .lean();
+  if (!lead) {
+    res.status(404);
+    throw new Error('Lead not found');
+  }
+  verifyProjectAccess(req, res, lead.project);
+
+  const duplicates = await findDuplicateLeads({
+    organization: req.user.organization,
+    phone: lead.phone,
+    email: lead.email,
+    excludeId: lead._id,
+    projectFilter: projectAccessFilter(req),
+  });
+  res.json({ success: true, data: duplicates, count: duplicates.length });
+});
+
+/**
+ * @desc    Merge duplicate leads into this one (the survivor)
+ * @route   POST /api/leads/:id/merge
+ * @access  Private (LEADS.BULK_OPERATIONS)
+ */
+const mergeDuplicateLeads = asyncHandler(async (req, res) => {
+  const { mergeLeadIds } = req.body;
+  if (!Array.isArray(mergeLeadIds)) {
+    res.status(400);
+    throw new Error('mergeLeadIds must be an array of lead ids.');
+  }
+
+  const result = await callService(
+    () => mergeLeads(req.params.id, {
+      organization: req.user.organization,
+      mergeLeadIds,
+      user: req.user,
+      verifyAccess: (p) => verifyProjectAccess(req, res, p),
+    }),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: result.lead,
+    mergedCount: result.mergedCount,
+    moved: result.moved,
+    message: `Merged ${result.mergedCount} duplicate lead${result.mergedCount === 1 ? '' : 's'}.`,
+  });
+});
+
+export {
+  getDuplicateClusters,
+  checkDuplicateLeads,
+  getLeadDuplicates,
+  mergeDuplicateLeads,
+};
@@ -7,9 +7,41 @@ import {
   calculateLeadScore,
   updateLeadScore,
   bulkUpdateLeadScores,
-  DEFAULT_SCORING_CONFIG
+  getActiveScoringConfig
 } from '../services/leadScoringService.js';
+import {
+  listScoringConfigs,
+  getScoringConfigVersion,
+  createScoringConfig,
+  updateScoringConfig as updateScoringConfigVersion,
+  trainScoringConfig,
+  backtestScoringConfig,
+  activateScoringConfig,
+  explainLeadScore,
+} from '../services/scoringModelService.js';
 import mongoose from 'mongoose';
+import { callService } from '../utils/httpError.js';
+
+// Load a lead in the caller's organization; Sales Executives only their own.
+const loadScoredLead = async (req, res, action) => {
+  const lead = await Lead.findOne({
+    _id: req.params.id,
+    organization: req.user.organization,
+  });
+
+  if (!lead) {
+    res.status(404);
+    throw new Error('Lead not found');
+  }
+
+  if (req.user.role === 'Sales Executive' &&
+      lead.assignedTo &&
+      lead.assignedTo.toString() !== req.user._id.toString()) {
+    res.status(403);
+    throw new Error(`You can only ${action} for your assigned leads`);
+  }
+  return lead;
+};
 
 /**
  * @desc    Get lead score for a specific lead
@@ -370,47 +402,164 @@ const getLeadScoreHistory = asyncHandler(async (req, res) => {
     throw new Error('You can only view score history for your assigned leads');
   }
 
-  // For now, return current score data
-  // In future versions, this could include historical score changes
   res.json({
     leadId: lead._id,
     currentScore: lead.score,
     scoreGrade: lead.scoreGrade,
     lastUpdate: lead.lastScoreUpdate,
     breakdown: lead.scoreBreakdown,
-    // Future: Add historical score data
-    history: []
+    // Oldest first; merged duplicates' history is folded in (leadDedupeService)
+    history: lead.scoreHistory || []
   });
 });
 
 /**
- * @desc    Get scoring configuration
+ * @desc    Get the scoring configuration currently used to score leads
  * @route   GET /api/leads/scoring-config
  * @access  Private (Management roles)
  */
 const getScoringConfig = asyncHandler(async (req, res) => {
-  // Return the current scoring configuration
+  const { version, config } = await getActiveScoringConfig(req.user.organization);
   res.json({
-    config: DEFAULT_SCORING_CONFIG,
+    config,
     description: 'Current lead scoring configuration with weights and rules',
-    lastUpdated: new Date(),
-    version: '1.0'
+    // 0 = built-in default
+    version
   });
 });
 
 /**
- * @desc    Update scoring configuration (for future implementation)
+ * @desc    Propose a scoring configuration change as a new draft version
+ *          (back-test and activate it through /api/leads/scoring-models)
  * @route   PUT /api/leads/scoring-config
  * @access  Private (Senior Management roles)
  */
 const updateScoringConfig = asyncHandler(async (req, res) => {
-  // For future implementation - allow customization of scoring rules
-  res.status(501).json({
-    message: 'Scoring configuration updates will be available in future versions',
-    currentConfig: DEFAULT_SCORING_CONFIG
+  const { config, name, notes } = req.body;
+  const draft = await callService(
+    () => createScoringConfig({ organization: req.user.organization, user: req.user, factors: config, name, notes }),
+    res
+  );
+  res.status(201).json({
+    success: true,
+    message: `Saved as draft version ${draft.version}. Back-test it, then activate it to start scoring with it.`,
+    data: draft
+  });
+});
+
+/**
+ * @desc    Scoring model versions, newest first, and which one is active
+ * @route   GET /api/leads/scoring-models
+ * @access  Private (LEADS.SCORING_VIEW)
+ */
+const getScoringModels = asyncHandler(async (req, res) => {
+  const result = await listScoringConfigs({ organization: req.user.organization });
+  res.json({ success: true, data: result });
+});
+
+/**
+ * @desc    One scoring model version, with its training and back-test results
+ * @route   GET /api/leads/scoring-models/:version
+ * @access  Private (LEADS.SCORING_VIEW)
+ */
+const getScoringModel = asyncHandler(async (req, res) => {
+  const config = await callService(
+    () => getScoringConfigVersion({ organization: req.user.organization, version: req.params.version }),
+    res
+  );
+  res.json({ success: true, data: config });
+});
+
+/**
+ * @desc    Create a draft version from a base version and weight / rule changes
+ * @route   POST /api/leads/scoring-models
+ * @access  Private (LEADS.SCORING_CONFIG)
+ */
+const createScoringModel = asyncHandler(async (req, res) => {
+  const { factors, basedOnVersion, name, notes } = req.body;
+  const config = await callService(
+    () => createScoringConfig({ organization: req.user.organization, user: req.user, factors, basedOnVersion, name, notes }),
+    res
+  );
+  res.status(201).json({ success: true, data: config });
+});
+
+/**
+ * @desc    Edit a draft version
+ * @route   PUT /api/leads/scoring-models/:version
+ * @access  Private (LEADS.SCORING_CONFIG)
+ */
+const updateScoringModel = asyncHandler(async (req, res) => {
+  const { factors, name, notes } = req.body;
+  const config = await callService(
+    () => updateScoringConfigVersion({
+      organization: req.user.organization,
+      version: req.params.version,
+      factors,
+      name,
+      notes
+    }),
+    res
+  );
+  res.json({ success: true, data: config });
+});
+
+/**
+ * @desc    Fit a draft version's weights from leads Booked / Lost in a period
+ * @route   POST /api/leads/scoring-models/train
+ * @access  Private (LEADS.SCORING_CONFIG)
+ */
+const trainScoringModel = asyncHandler(async (req, res) => {
+  const { from, to, name, notes } = req.body;
+  const config = await callService(
+    () => trainScoringConfig({ organization: req.user.organization, user: req.user, from, to, name, notes }),
+    res
+  );
+  res.status(201).json({ success: true, data: config });
+});
+
+/**
+ * @desc    Back-test a version against leads closed in a period
+ * @route   POST /api/leads/scoring-models/:version/backtest
+ * @access  Private (LEADS.SCORING_CONFIG)
+ */
+const backtestScoringModel = asyncHandler(async (req, res) => {
+  const { from, to } = req.body;
+  const backtest = await callService(
+    () => backtestScoringConfig({ organization: req.user.organization, version: req.params.version, from, to }),
+    res
+  );
+  res.json({ success: true, data: backtest });
+});
+
+/**
+ * @desc    Start scoring leads with a version (0 = built-in default)
+ * @route   POST /api/leads/scoring-models/:version/activate
+ * @access  Private (LEADS.SCORING_CONFIG)
+ */
+const activateScoringModel = asyncHandler(async (req, res) => {
+  const config = await callService(
+    () => activateScoringConfig({ organization: req.user.organization, version: req.params.version, user: req.user }),
+    res
+  );
+  res.json({
+    success: true,
+    message: `Version ${config.version} is now scoring leads. Existing scores update as leads are re-scored.`,
+    data: config
   });
 });
 
+/**
+ * @desc    Explain a lead's score factor by factor
+ * @route   GET /api/leads/:id/score/explanation
+ * @access  Private (LEADS.SCORING_VIEW)
+ */
+const getLeadScoreExplanation = asyncHandler(async (req, res) => {
+  const lead = await loadScoredLead(req, res, 'view score explanations');
+  const explanation = await explainLeadScore(lead);
+  res.json({ success: true, data: explanation });
+});
+
 export {
   getLeadScore,
   recalculateLeadScore,
@@ -420,5 +569,13 @@ export {
   bulkRecalculateScores,
   getLeadScoreHistory,
   getScoringConfig,
-  updateScoringConfig
+  updateScoringConfig,
+  getScoringModels,
+  getScoringModel,
+  createScoringModel,
+  updateScoringModel,
+  trainScoringModel,
+  backtestScoringModel,
+  activateScoringModel,
+  getLeadScoreExplanation
 };
\ No newline at end of file
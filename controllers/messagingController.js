@@ -0,0 +1,210 @@
+// File: controllers/messagingController.js
+// Description: WhatsApp / SMS messaging — message templates and their
+//   approval, sending from a lead or a sale, a lead's message thread, consent
+//   and the provider webhook for delivery receipts and replies. Logic lives in
+//   services/messaging/messagingService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  createMessageTemplate,
+  listMessageTemplates,
+  updateMessageTemplate,
+  reviewMessageTemplate,
+  sendMessage,
+  listLeadMessages,
+  updateMessagingConsent,
+  handleMessagingWebhook,
+} from '../services/messaging/messagingService.js';
+import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+/**
+ * @desc    Create a message template (pending approval)
+ * @route   POST /api/messaging/templates
+ * @access  Private (MESSAGING.MANAGE_TEMPLATES)
+ */
+const createTemplate = asyncHandler(async (req, res) => {
+  const template = await callService(
+    () => createMessageTemplate({
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: template, message: 'Template submitted for approval.' });
+});
+
+/**
+ * @desc    Message templates, filtered by channel, status or project
+ * @route   GET /api/messaging/templates?channel=&status=&projectId=
+ * @access  Private (MESSAGING.SEND or MESSAGING.MANAGE_TEMPLATES)
+ */
+const getTemplates = asyncHandler(async (req, res) => {
+  const { channel, status, projectId } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const templates = await listMessageTemplates({
+    organization: req.user.organization,
+    channel,
+    status,
+    projectId,
+  });
+  res.json({ success: true, data: templates, count: templates.length });
+});
+
+/**
+ * @desc    Edit a message template; content changes need re-approval
+ * @route   PUT /api/messaging/templates/:templateId
+ * @access  Private (MESSAGING.MANAGE_TEMPLATES)
+ */
+const updateTemplate = asyncHandler(async (req, res) => {
+  const template = await callService(
+    () => updateMessageTemplate(req.params.templateId, {
+      organization: req.user.organization,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: template });
+});
+
+/**
+ * @desc    Approve, reject or archive a message template
+ * @route   POST /api/messaging/templates/:templateId/review
+ * @access  Private (MESSAGING.MANAGE_TEMPLATES)
+ */
+const reviewTemplate = asyncHandler(async (req, res) => {
+  const { decision, reason } = req.body;
+  const template = await callService(
+    () => reviewMessageTemplate(req.params.templateId, {
+      organization: req.user.organization,
+      decision,
+      reason,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: template, message: `Template ${template.status.replace('_', ' ')}.` });
+});
+
+/**
+ * @desc    Send a WhatsApp / SMS message to a lead
+ * @route   POST /api/messaging/leads/:leadId/messages
+ * @access  Private (MESSAGING.SEND)
+ */
+const sendLeadMessage = asyncHandler(async (req, res) => {
+  const { channel, templateId, variables, body } = req.body;
+  const message = await callService(
+    () => sendMessage({
+      organization: req.user.organization,
+      leadId: req.params.leadId,
+      channel,
+      templateId,
+      variables,
+      body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: message });
+});
+
+/**
+ * @desc    Send a WhatsApp / SMS message to the buyer on a sale
+ * @route   POST /api/messaging/sales/:saleId/messages
+ * @access  Private (MESSAGING.SEND)
+ */
+const sendSaleMessage = asyncHandler(async (req, res) => {
+  const { channel, templateId, variables, body } = req.body;
+  const message = await callService(
+    () => sendMessage({
+      organization: req.user.organization,
+      saleId: req.params.saleId,
+      channel,
+      templateId,
+      variables,
+      body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: message });
+});
+
+/**
+ * @desc    A lead's WhatsApp / SMS thread, newest first
+ * @route   GET /api/messaging/leads/:leadId/messages?channel=&before=&limit=
+ * @access  Private (LEADS.VIEW)
+ */
+const getLeadMessages = asyncHandler(async (req, res) => {
+  const { channel, before, limit } = req.query;
+  const messages = await callService(
+    () => listLeadMessages(req.params.leadId, {
+      organization: req.user.organization,
+      channel,
+      before,
+      limit,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: messages, count: messages.length });
+});
+
+/**
+ * @desc    Record a lead's WhatsApp / SMS consent
+ * @route   PUT /api/messaging/leads/:leadId/consent
+ * @access  Private (MESSAGING.SEND)
+ */
+const updateConsent = asyncHandler(async (req, res) => {
+  const { channel, status, source } = req.body;
+  const consent = await callService(
+    () => updateMessagingConsent(req.params.leadId, {
+      organization: req.user.organization,
+      channel,
+      status,
+      source,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: consent });
+});
+
+/**
+ * @desc    Provider webhook: delivery receipts and inbound replies
+ * @route   POST /api/messaging/webhooks/:provider/:organizationId
+ * @access  Public (verified per provider)
+ */
+const receiveMessagingWebhook = asyncHandler(async (req, res) => {
+  const { provider, organizationId } = req.params;
+  const { summary, reply } = await callService(
+    () => handleMessagingWebhook(provider, organizationId, req),
+    res
+  );
+  if (reply) {
+    res.type(reply.contentType).send(reply.body);
+    return;
+  }
+  res.json({ success: true, data: summary });
+});
+
+export {
+  createTemplate,
+  getTemplates,
+  updateTemplate,
+  reviewTemplate,
+  sendLeadMessage,
+  sendSaleMessage,
+  getLeadMessages,
+  updateConsent,
+  receiveMessagingWebhook,
+};
@@ -16,6 +16,31 @@ import {
   getPaymentSummary,
   getOverduePaymentsReport
 } from '../services/paymentService.js';
+import {
+  sendReminderNow,
+  logManualReminder,
+  getReminderHistory
+} from '../services/dunningService.js';
+import { getInterestStatement as buildInterestStatement, requestLateFeeWaiver } from '../services/lateFeeService.js';
+import { issuePaymentReceipt, getPaymentReceiptLink } from '../services/financeDocumentService.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * Load an installment's project in the caller's org and verify access.
+ */
+const verifyInstallmentAccess = async (req, res) => {
+  const installment = await Installment.findOne({
+    _id: req.params.installmentId,
+    organization: req.user.organization
+  }).select('project');
+
+  if (!installment) {
+    res.status(404);
+    throw new Error('Installment not found.');
+  }
+
+  verifyProjectAccess(req, res, installment.project);
+};
 
 /**
  * @desc    Create a new payment plan for a sale
@@ -314,6 +339,124 @@ const waiveInstallment = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Ask to waive part or all of an installment's accrued late fee.
+ *          Routed through INSTALLMENT_MODIFICATION approval when a policy applies.
+ * @route   POST /api/payments/installments/:installmentId/late-fee-waivers
+ * @access  Private (Senior Management roles)
+ */
+const waiveLateFee = asyncHandler(async (req, res) => {
+  await verifyInstallmentAccess(req, res);
+  const { amount, reason } = req.body;
+
+  const result = await callService(
+    () => requestLateFeeWaiver(req.params.installmentId, {
+      organization: req.user.organization,
+      amount,
+      reason,
+      user: req.user
+    }),
+    res
+  );
+
+  res.status(result.pendingApproval ? 202 : 200).json({
+    success: true,
+    data: {
+      waiver: result.adjustment,
+      lateFeeAccrued: result.installment.lateFeeAccrued,
+      approvalRequest: result.approvalRequest?._id
+    },
+    pendingApproval: result.pendingApproval,
+    message: result.pendingApproval
+      ? 'Late fee waiver submitted for approval'
+      : 'Late fee waived'
+  });
+});
+
+/**
+ * @desc    Interest/late fee statement for a sale's payment plan, as of today
+ * @route   GET /api/payments/plans/:saleId/interest-statement
+ * @access  Private (Sales/Finance roles)
+ */
+const getInterestStatement = asyncHandler(async (req, res) => {
+  const statement = await callService(
+    () => buildInterestStatement(req.params.saleId, req.user.organization),
+    res
+  );
+
+  verifyProjectAccess(req, res, statement.project);
+
+  res.json({
+    success: true,
+    data: statement
+  });
+});
+
+/**
+ * @desc    Reminder and demand letter history for an installment
+ * @route   GET /api/payments/installments/:installmentId/reminders
+ * @access  Private (Sales/Finance roles)
+ */
+const getInstallmentReminders = asyncHandler(async (req, res) => {
+  await verifyInstallmentAccess(req, res);
+
+  const { installment, history } = await callService(
+    () => getReminderHistory(req.params.installmentId, req.user.organization),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: {
+      installment: {
+        _id: installment._id,
+        installmentNumber: installment.installmentNumber,
+        description: installment.description,
+        status: installment.status,
+        currentDueDate: installment.currentDueDate,
+        pendingAmount: installment.pendingAmount
+      },
+      history
+    },
+    count: history.length
+  });
+});
+
+/**
+ * @desc    Email a demand letter/reminder now, or log one made offline
+ *          (call, visit, courier letter, SMS) when a non-email method is given
+ * @route   POST /api/payments/installments/:installmentId/reminders
+ * @access  Private (Sales/Finance roles)
+ */
+const sendInstallmentReminder = asyncHandler(async (req, res) => {
+  await verifyInstallmentAccess(req, res);
+  const { reminderType, method = 'email', response, sentDate } = req.body;
+  const context = { organization: req.user.organization, reminderType, user: req.user };
+
+  if (method === 'email') {
+    const result = await callService(
+      () => sendReminderNow(req.params.installmentId, context),
+      res
+    );
+    return res.json({
+      success: true,
+      data: result.installment.remindersSent.at(-1),
+      message: `${result.reminderType.replace('_', ' ')} letter emailed to the buyer`
+    });
+  }
+
+  const installment = await callService(
+    () => logManualReminder(req.params.installmentId, { ...context, method, response, sentDate }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: installment.remindersSent.at(-1),
+    message: 'Reminder logged'
+  });
+});
+
 /**
  * @desc    Record a new payment transaction
  * @route   POST /api/payments/transactions
@@ -559,6 +702,44 @@ const verifyPaymentTransaction = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Issue a payment's receipt (numbered from the project's receipt
+ *          series), or regenerate and resend an issued one
+ * @route   POST /api/payments/transactions/:transactionId/receipt
+ * @access  Private (PAYMENTS.RECORD)
+ * @body    { send?: boolean, to?: string }
+ */
+const issueReceipt = asyncHandler(async (req, res) => {
+  const { send, to } = req.body || {};
+  const result = await callService(() => issuePaymentReceipt(req.params.transactionId, {
+    organization: req.user.organization,
+    user: req.user,
+    send: send !== false,
+    to,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+
+  res.json({
+    success: true,
+    data: result,
+    message: `Receipt ${result.receiptNumber} issued`
+  });
+});
+
+/**
+ * @desc    Download link for a payment's receipt PDF
+ * @route   GET /api/payments/transactions/:transactionId/receipt
+ * @access  Private (PAYMENTS.VIEW)
+ */
+const getReceiptDownload = asyncHandler(async (req, res) => {
+  const data = await callService(() => getPaymentReceiptLink(req.params.transactionId, {
+    organization: req.user.organization,
+    user: req.user,
+    verifyAccess: (projectId) => verifyProjectAccess(req, res, projectId),
+  }), res);
+  res.json({ success: true, data });
+});
+
 /**
  * @desc    Get overdue payments report
  * @route   GET /api/payments/reports/overdue
@@ -723,10 +904,16 @@ export {
   getInstallments,
   updateInstallment,
   waiveInstallment,
+  waiveLateFee,
+  getInterestStatement,
+  getInstallmentReminders,
+  sendInstallmentReminder,
   recordPayment,
   updatePaymentTransactionAmount,
   getPaymentTransactions,
   verifyPaymentTransaction,
+  issueReceipt,
+  getReceiptDownload,
   getOverduePayments,
   getPaymentsDueToday,
   getPaymentStatistics
@@ -0,0 +1,202 @@
+// File: controllers/postSalesController.js
+// Description: The post-booking workflow — its configurable stages and each
+//   sale's run through them (documents, appointments, completing stages).
+//   Logic lives in services/postSalesService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  getWorkflow,
+  saveWorkflow,
+  resetProjectWorkflow,
+  startSaleLifecycle,
+  getSaleLifecycle,
+  listSaleLifecycles,
+  updateStage,
+  updateStageDocument,
+  completeStage,
+} from '../services/postSalesService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+// ─── Workflow ──────────────────────────────────────────────────────────────
+
+/**
+ * @desc    The workflow a project follows (or the org-wide one)
+ * @route   GET /api/post-sales/workflow?projectId=
+ * @access  Private (POST_SALES.VIEW)
+ */
+const getPostSalesWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await callService(
+    () => getWorkflow({
+      organization: req.user.organization,
+      projectId: req.query.projectId,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: workflow });
+});
+
+/**
+ * @desc    Save the org-wide workflow, or a project's override
+ * @route   PUT /api/post-sales/workflow
+ * @access  Private (POST_SALES.CONFIGURE)
+ */
+const savePostSalesWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await callService(
+    () => saveWorkflow({
+      organization: req.user.organization,
+      projectId: req.body.projectId,
+      stages: req.body.stages,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: workflow });
+});
+
+/**
+ * @desc    Drop a project's override so it follows the org-wide workflow
+ * @route   DELETE /api/post-sales/workflow/projects/:projectId
+ * @access  Private (POST_SALES.CONFIGURE)
+ */
+const resetPostSalesWorkflow = asyncHandler(async (req, res) => {
+  const removed = await callService(
+    () => resetProjectWorkflow({
+      organization: req.user.organization,
+      projectId: req.params.projectId,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    message: removed
+      ? 'Project workflow removed; the project follows the organization workflow.'
+      : 'The project had no workflow of its own.',
+  });
+});
+
+// ─── Sale lifecycles ───────────────────────────────────────────────────────
+
+/**
+ * @desc    Sale lifecycles, filtered by project, status, current stage or overdue
+ * @route   GET /api/post-sales/lifecycles?projectId=&status=&stage=&overdue=true
+ * @access  Private (POST_SALES.VIEW)
+ */
+const getLifecycles = asyncHandler(async (req, res) => {
+  const { projectId, status, stage, overdue } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const lifecycles = await listSaleLifecycles({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+    status: status === 'all' ? undefined : status || 'active',
+    stage,
+    overdue: overdue === 'true',
+  });
+  res.json({ success: true, data: lifecycles, count: lifecycles.length });
+});
+
+/**
+ * @desc    Start the workflow for a sale booked before it existed
+ * @route   POST /api/post-sales/sales/:saleId
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const startLifecycle = asyncHandler(async (req, res) => {
+  const lifecycle = await callService(
+    () => startSaleLifecycle({
+      organization: req.user.organization,
+      saleId: req.params.saleId,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: lifecycle });
+});
+
+/**
+ * @desc    A sale's lifecycle with stage tasks and documents
+ * @route   GET /api/post-sales/sales/:saleId
+ * @access  Private (POST_SALES.VIEW)
+ */
+const getLifecycleForSale = asyncHandler(async (req, res) => {
+  const lifecycle = await callService(
+    () => getSaleLifecycle(req.params.saleId, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: lifecycle });
+});
+
+/**
+ * @desc    Schedule a stage's appointment, edit notes or reassign it
+ * @route   PUT /api/post-sales/lifecycles/:id/stages/:stageKey
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const editStage = asyncHandler(async (req, res) => {
+  const lifecycle = await callService(
+    () => updateStage(req.params.id, req.params.stageKey, {
+      organization: req.user.organization,
+      fields: req.body,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: lifecycle });
+});
+
+/**
+ * @desc    Update (or add) a stage's checklist document
+ * @route   PUT /api/post-sales/lifecycles/:id/stages/:stageKey/documents/:docKey
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const editStageDocument = asyncHandler(async (req, res) => {
+  const lifecycle = await callService(
+    () => updateStageDocument(req.params.id, req.params.stageKey, req.params.docKey, {
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: lifecycle });
+});
+
+/**
+ * @desc    Complete the current stage and start the next
+ * @route   POST /api/post-sales/lifecycles/:id/stages/:stageKey/complete
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const completeLifecycleStage = asyncHandler(async (req, res) => {
+  const lifecycle = await callService(
+    () => completeStage(req.params.id, req.params.stageKey, {
+      organization: req.user.organization,
+      note: req.body.note,
+      handoverDate: req.body.handoverDate,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: lifecycle });
+});
+
+export {
+  getPostSalesWorkflow,
+  savePostSalesWorkflow,
+  resetPostSalesWorkflow,
+  getLifecycles,
+  startLifecycle,
+  getLifecycleForSale,
+  editStage,
+  editStageDocument,
+  completeLifecycleStage,
+};
@@ -0,0 +1,245 @@
+// File: controllers/priceListController.js
+// Description: HTTP handlers for versioned price lists and unit price history
+//   (/api/pricing/price-lists/* and /api/pricing/units/:unitId/price-history).
+//   Org + project access checks live here; the escalation engine and the
+//   approve/publish lifecycle live in services/priceListService.js.
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import PriceList, { PRICE_LIST_STATUSES } from '../models/priceListModel.js';
+import Project from '../models/projectModel.js';
+import Unit from '../models/unitModel.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import * as priceListService from '../services/priceListService.js';
+import { callService } from '../utils/httpError.js';
+
+/**
+ * Load a price list in the caller's org and verify project access.
+ */
+const loadPriceList = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid price list ID format');
+  }
+  const priceList = await PriceList.findOne({ _id: id, organization: req.user.organization });
+  if (!priceList) {
+    res.status(404);
+    throw new Error('Price list not found');
+  }
+  verifyProjectAccess(req, res, priceList.project);
+  return priceList;
+};
+
+/**
+ * @desc    List price lists (latest version first)
+ * @route   GET /api/pricing/price-lists
+ * @access  Private (pricing:price_lists)
+ */
+const getPriceLists = asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const projectId = req.query.project || req.query.projectId;
+  const towerId = req.query.tower || req.query.towerId;
+
+  const query = { organization: req.user.organization, ...projectAccessFilter(req) };
+  if (projectId) {
+    verifyProjectAccess(req, res, projectId);
+    query.project = projectId;
+  }
+  if (towerId) query.tower = towerId === 'none' ? null : towerId;
+  if (status) {
+    if (!PRICE_LIST_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`status must be one of: ${PRICE_LIST_STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+
+  const priceLists = await PriceList.find(query)
+    .populate('project', 'name')
+    .populate('tower', 'towerName towerCode')
+    .populate('createdBy', 'firstName lastName')
+    .populate('publishedBy', 'firstName lastName')
+    .sort({ project: 1, tower: 1, version: -1 });
+
+  res.json({ success: true, count: priceLists.length, data: priceLists });
+});
+
+/**
+ * @desc    Get a single price list
+ * @route   GET /api/pricing/price-lists/:id
+ * @access  Private (pricing:price_lists)
+ */
+const getPriceList = asyncHandler(async (req, res) => {
+  const priceList = await loadPriceList(req, res);
+  await priceList.populate([
+    { path: 'project', select: 'name' },
+    { path: 'tower', select: 'towerName towerCode' },
+    { path: 'approvalRequest', select: 'requestNumber status resolvedAt' },
+  ]);
+  res.json({ success: true, data: priceList });
+});
+
+/**
+ * @desc    Create a draft price list for a project or one of its towers
+ * @route   POST /api/pricing/price-lists
+ * @access  Private (pricing:manage_price_lists)
+ */
+const createPriceList = asyncHandler(async (req, res) => {
+  const { project: projectId, tower: towerId, name, description, rules } = req.body;
+
+  if (!projectId || !mongoose.Types.ObjectId.isValid(projectId)) {
+    res.status(400);
+    throw new Error('A valid project is required');
+  }
+  const project = await Project.findOne({ _id: projectId, organization: req.user.organization })
+    .select('_id');
+  if (!project) {
+    res.status(404);
+    throw new Error('Project not found or you do not have permission to access it.');
+  }
+  verifyProjectAccess(req, res, projectId);
+
+  const priceList = await callService(
+    () => priceListService.createPriceList({
+      projectId, towerId, name, description, rules, user: req.user,
+    }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: priceList,
+    message: `Price list "${priceList.name}" v${priceList.version} created`,
+  });
+});
+
+/**
+ * @desc    Edit a draft or rejected price list
+ * @route   PUT /api/pricing/price-lists/:id
+ * @access  Private (pricing:manage_price_lists)
+ */
+const updatePriceList = asyncHandler(async (req, res) => {
+  const priceList = await loadPriceList(req, res);
+  const { name, description, rules } = req.body;
+
+  const updated = await callService(
+    () => priceListService.updatePriceList(priceList, { name, description, rules }, req.user),
+    res
+  );
+
+  res.json({ success: true, data: updated, message: 'Price list updated' });
+});
+
+/**
+ * @desc    Preview the prices a list would produce, without writing anything
+ * @route   POST /api/pricing/price-lists/:id/preview
+ * @access  Private (pricing:price_lists)
+ */
+const previewPriceList = asyncHandler(async (req, res) => {
+  const priceList = await loadPriceList(req, res);
+  const { asOf } = req.body || {};
+
+  if (asOf && Number.isNaN(new Date(asOf).getTime())) {
+    res.status(400);
+    throw new Error('asOf must be a valid date');
+  }
+
+  const preview = await priceListService.previewPriceList(priceList, { asOf });
+  res.json({ success: true, data: preview });
+});
+
+/**
+ * @desc    Submit a draft for PRICE_OVERRIDE approval
+ * @route   POST /api/pricing/price-lists/:id/submit
+ * @access  Private (pricing:manage_price_lists)
+ */
+const submitPriceList = asyncHandler(async (req, res) => {
+  const priceList = await loadPriceList(req, res);
+
+  const result = await callService(
+    () => priceListService.submitPriceList(priceList, req.user),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: result.priceList,
+    summary: result.summary,
+    pendingApproval: result.pendingApproval,
+    approvalRequest: result.approvalRequest
+      ? { _id: result.approvalRequest._id, requestNumber: result.approvalRequest.requestNumber }
+      : undefined,
+    message: result.pendingApproval
+      ? 'Price list submitted for approval'
+      : 'Price list approved — ready to publish',
+  });
+});
+
+/**
+ * @desc    Publish an approved list to Unit.currentPrice
+ * @route   POST /api/pricing/price-lists/:id/publish
+ * @access  Private (pricing:manage_price_lists)
+ */
+const publishPriceList = asyncHandler(async (req, res) => {
+  const priceList = await loadPriceList(req, res);
+
+  const result = await callService(
+    () => priceListService.publishPriceList(priceList, req.user),
+    res
+  );
+
+  res.json({
+    success: true,
+    data: result.priceList,
+    summary: result.summary,
+    message: `Published — ${result.summary.unitsRepriced} unit(s) re-priced`,
+  });
+});
+
+/**
+ * @desc    Price change history for a unit
+ * @route   GET /api/pricing/units/:unitId/price-history
+ * @access  Private (pricing:price_lists)
+ */
+const getUnitPriceHistory = asyncHandler(async (req, res) => {
+  const { unitId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(unitId)) {
+    res.status(400);
+    throw new Error('Invalid unit ID format');
+  }
+
+  const unit = await Unit.findOne({ _id: unitId, organization: req.user.organization })
+    .select('unitNumber project currentPrice basePrice');
+  if (!unit) {
+    res.status(404);
+    throw new Error('Unit not found');
+  }
+  verifyProjectAccess(req, res, unit.project);
+
+  const limit = Math.min(500, Math.max(1, parseInt(req.query.limit) || 100));
+  const history = await priceListService.getUnitPriceHistory(unitId, { limit });
+
+  res.json({
+    success: true,
+    unit: {
+      _id: unit._id,
+      unitNumber: unit.unitNumber,
+      basePrice: unit.basePrice,
+      currentPrice: unit.currentPrice,
+    },
+    count: history.length,
+    data: history,
+  });
+});
+
+export {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  previewPriceList,
+  submitPriceList,
+  publishPriceList,
+  getUnitPriceHistory,
+};
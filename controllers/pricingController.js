@@ -8,16 +8,19 @@ import {
 } from '../services/pricingService.js';
 import Unit from '../models/unitModel.js';
 import Project from '../models/projectModel.js';
+import StampDutyRule from '../models/stampDutyRuleModel.js';
 import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
 
 /**
- * @desc    Generate a cost sheet for a specific unit
+ * @desc    Generate a cost sheet for a specific unit. Pass `asOf` to rebuild
+ *          the cost sheet as it stood on a past date.
  * @route   POST /api/pricing/cost-sheet/:unitId
  * @access  Private
  */
 const getCostSheet = asyncHandler(async (req, res) => {
   const { unitId } = req.params;
-  const { discountPercentage } = req.body;
+  const { discountPercentage, discountAmount, discountSchemes, optionalCharges, asOf } = req.body;
 
   // 1. Verify unit exists and belongs to the user's organization
   const unit = await Unit.findById(unitId);
@@ -29,7 +32,13 @@ const getCostSheet = asyncHandler(async (req, res) => {
   verifyProjectAccess(req, res, unit.project);
 
   // 2. Call the service to generate the cost sheet
-  const costSheet = await generateCostSheetForUnit(unitId, { discountPercentage });
+  const costSheet = await callService(() => generateCostSheetForUnit(unitId, {
+    discountPercentage,
+    discountAmount,
+    discountSchemes,
+    optionalCharges,
+    asOf,
+  }), res);
 
   res.json(costSheet);
 });
@@ -57,4 +66,108 @@ const getDynamicPricing = asyncHandler(async (req, res) => {
   res.json(pricingData);
 });
 
-export { getCostSheet, getDynamicPricing };
+/**
+ * @desc    List stamp duty / registration rules (optionally for one state)
+ * @route   GET /api/pricing/stamp-duty-rules
+ * @access  Private
+ */
+const getStampDutyRules = asyncHandler(async (req, res) => {
+  const query = { organization: req.user.organization };
+  if (req.query.state) query.stateKey = String(req.query.state).trim().toLowerCase();
+
+  const rules = await StampDutyRule.find(query).sort({ stateKey: 1, effectiveFrom: -1 });
+  res.json({ success: true, count: rules.length, data: rules });
+});
+
+/**
+ * @desc    Add a stamp duty / registration rule for a state. A rule already
+ *          in force for the state is end-dated at the new rule's start.
+ * @route   POST /api/pricing/stamp-duty-rules
+ * @access  Private
+ */
+const createStampDutyRule = asyncHandler(async (req, res) => {
+  const {
+    state, stampDutyPercent, cessPercent, registrationPercent,
+    registrationMaxAmount, effectiveFrom, notes,
+  } = req.body;
+
+  if (!state || stampDutyPercent === undefined || registrationPercent === undefined || !effectiveFrom) {
+    res.status(400);
+    throw new Error('state, stampDutyPercent, registrationPercent and effectiveFrom are required');
+  }
+  const from = new Date(effectiveFrom);
+  if (Number.isNaN(from.getTime())) {
+    res.status(400);
+    throw new Error('effectiveFrom must be a valid date');
+  }
+
+  const stateKey = state.trim().toLowerCase();
+  const clash = await StampDutyRule.findOne({
+    organization: req.user.organization,
+    stateKey,
+    effectiveFrom: { $gte: from },
+  });
+  if (clash) {
+    res.status(409);
+    throw new Error(`A rule for ${state} already starts on or after ${from.toISOString().slice(0, 10)}`);
+  }
+
+  await StampDutyRule.updateMany(
+    { organization: req.user.organization, stateKey, effectiveTo: null },
+    { $set: { effectiveTo: from, updatedBy: req.user._id } }
+  );
+
+  const rule = await StampDutyRule.create({
+    organization: req.user.organization,
+    state,
+    stampDutyPercent,
+    cessPercent,
+    registrationPercent,
+    registrationMaxAmount,
+    effectiveFrom: from,
+    notes,
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({ success: true, data: rule });
+});
+
+/**
+ * @desc    Correct a stamp duty rule's notes or end date. Rates are not
+ *          edited in place — add a new rule so older cost sheets still match.
+ * @route   PUT /api/pricing/stamp-duty-rules/:id
+ * @access  Private
+ */
+const updateStampDutyRule = asyncHandler(async (req, res) => {
+  const rule = await StampDutyRule.findOne({
+    _id: req.params.id,
+    organization: req.user.organization,
+  });
+  if (!rule) {
+    res.status(404);
+    throw new Error('Stamp duty rule not found');
+  }
+
+  const { effectiveTo, notes } = req.body;
+  if (effectiveTo !== undefined) {
+    const to = effectiveTo === null ? null : new Date(effectiveTo);
+    if (to && (Number.isNaN(to.getTime()) || to <= rule.effectiveFrom)) {
+      res.status(400);
+      throw new Error('effectiveTo must be a valid date after effectiveFrom');
+    }
+    rule.effectiveTo = to;
+  }
+  if (notes !== undefined) rule.notes = notes;
+  rule.updatedBy = req.user._id;
+  await rule.save();
+
+  res.json({ success: true, data: rule });
+});
+
+export {
+  getCostSheet,
+  getDynamicPricing,
+  getStampDutyRules,
+  createStampDutyRule,
+  updateStampDutyRule,
+};
@@ -3,8 +3,40 @@
 
 import asyncHandler from 'express-async-handler';
 import Project from '../models/projectModel.js';
+import ConstructionMilestone from '../models/constructionMilestoneModel.js';
 import mongoose from 'mongoose';
 
+const MILESTONE_LINKED_TYPES = ['construction', 'possession'];
+
+/**
+ * Template installments may only reference this project's construction
+ * milestones, and only on construction/possession entries.
+ */
+const validateInstallmentMilestones = async (res, projectId, installments) => {
+  const ids = [];
+  for (const inst of installments) {
+    const linked = inst.constructionMilestones || [];
+    if (!linked.length) continue;
+    if (!MILESTONE_LINKED_TYPES.includes(inst.milestoneType)) {
+      res.status(400);
+      throw new Error('Only construction or possession installments can be linked to construction milestones.');
+    }
+    ids.push(...linked);
+  }
+  if (!ids.length) return;
+
+  const unique = [...new Set(ids.map(String))];
+  if (unique.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+    res.status(400);
+    throw new Error('Invalid construction milestone id.');
+  }
+  const found = await ConstructionMilestone.countDocuments({ _id: { $in: unique }, project: projectId });
+  if (found !== unique.length) {
+    res.status(400);
+    throw new Error('Construction milestones must belong to this project.');
+  }
+};
+
 /**
  * @desc    Get payment configuration for a project
  * @route   GET /api/projects/:projectId/payment-config
@@ -46,7 +78,10 @@ const updateProjectPaymentConfig = asyncHandler(async (req, res) => {
     taxConfiguration, 
     discountConfiguration,
     acceptedPaymentMethods,
-    bankAccountDetails
+    bankAccountDetails,
+    reminderCadence,
+    chequeHandling,
+    cancellationPolicy
   } = req.body;
 
   const project = await Project.findOne({
@@ -76,6 +111,18 @@ const updateProjectPaymentConfig = asyncHandler(async (req, res) => {
     Object.assign(project.paymentConfiguration.discountConfiguration, discountConfiguration);
   }
 
+  if (reminderCadence) {
+    Object.assign(project.paymentConfiguration.reminderCadence, reminderCadence);
+  }
+
+  if (chequeHandling) {
+    Object.assign(project.paymentConfiguration.chequeHandling, chequeHandling);
+  }
+
+  if (cancellationPolicy) {
+    Object.assign(project.paymentConfiguration.cancellationPolicy, cancellationPolicy);
+  }
+
   if (acceptedPaymentMethods) {
     project.paymentConfiguration.acceptedPaymentMethods = acceptedPaymentMethods;
   }
@@ -175,6 +222,8 @@ const createPaymentPlanTemplate = asyncHandler(async (req, res) => {
     throw new Error('Payment plan template with this name already exists.');
   }
 
+  await validateInstallmentMilestones(res, projectId, installments);
+
   // Create new template
   const newTemplate = {
     name,
@@ -235,6 +284,7 @@ const updatePaymentPlanTemplate = asyncHandler(async (req, res) => {
       res.status(400);
       throw new Error('Total installment percentages must equal 100%.');
     }
+    await validateInstallmentMilestones(res, projectId, updateData.installments);
   }
 
   // Update template
@@ -5,18 +5,7 @@
 
 import asyncHandler from 'express-async-handler';
 import * as prospectService from '../services/prospectService.js';
-
-// Tiny wrapper — service throws errors with .statusCode; controller sets
-// res.status before re-throwing so express-async-handler / errorMiddleware
-// reports the right code.
-const callService = async (fn, res) => {
-  try {
-    return await fn();
-  } catch (err) {
-    if (err?.statusCode) res.status(err.statusCode);
-    throw err;
-  }
-};
+import { callService } from '../utils/httpError.js';
 
 // GET /api/cp/prospects — list with filters.
 export const listProspects = asyncHandler(async (req, res) => {
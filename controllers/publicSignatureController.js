@@ -0,0 +1,66 @@
+// File: controllers/publicSignatureController.js
+// Description: HTTP handlers for signers (/api/public/signatures/:token/*).
+//   No staff session — the link token identifies the signer and the emailed
+//   one-time code confirms them. Logic lives in services/signatureService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  getSigningSession,
+  requestSigningOtp,
+  signDocument,
+  declineSigning,
+} from '../services/signatureService.js';
+import { callService } from '../utils/httpError.js';
+
+// Recorded on the audit trail and the signature certificate
+const clientOf = (req) => ({ ip: req.ip, userAgent: req.get('User-Agent') || '' });
+
+/**
+ * @desc    Open a signing link: the document and who is signing
+ * @route   GET /api/public/signatures/:token
+ * @access  Public
+ */
+const getSession = asyncHandler(async (req, res) => {
+  const data = await callService(() => getSigningSession(req.params.token, clientOf(req)), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Email the signer a one-time code
+ * @route   POST /api/public/signatures/:token/request-otp
+ * @access  Public
+ */
+const requestOtp = asyncHandler(async (req, res) => {
+  const data = await callService(() => requestSigningOtp(req.params.token, clientOf(req)), res);
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Sign with the one-time code
+ * @route   POST /api/public/signatures/:token/sign
+ *          body: { otp, typedName, signatureImage?, consent: true }
+ * @access  Public
+ */
+const sign = asyncHandler(async (req, res) => {
+  const { otp, typedName, signatureImage, consent } = req.body || {};
+  const data = await callService(
+    () => signDocument(req.params.token, { otp, typedName, signatureImage, consent, ...clientOf(req) }),
+    res
+  );
+  res.json({ success: true, data });
+});
+
+/**
+ * @desc    Decline to sign
+ * @route   POST /api/public/signatures/:token/decline   body: { reason? }
+ * @access  Public
+ */
+const decline = asyncHandler(async (req, res) => {
+  const data = await callService(
+    () => declineSigning(req.params.token, { reason: req.body?.reason, ...clientOf(req) }),
+    res
+  );
+  res.json({ success: true, data });
+});
+
+export { getSession, requestOtp, sign, decline };
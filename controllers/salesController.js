@@ -22,7 +22,11 @@ import {
 } from '../services/approvalService.js';
 import { syncCommissionForSale } from '../services/commissionService.js';
 import { buildSaleAttributionFromLead } from '../services/salesAttributionHelper.js';
+import { findActiveHold, markHoldConverted } from '../services/unitHoldService.js';
 import { createNotification, notifyUsersWithPermission } from '../services/notificationService.js';
+import { startSaleLifecycle, hasActiveLifecycle } from '../services/postSalesService.js';
+import { generatePackForBooking } from '../services/salesDocumentPackService.js';
+import { cancelSaleRecord, afterSaleCancelled } from '../services/saleCancellationService.js';
 
 /**
  * @desc    Create a new sale (book a unit) - UPDATED for frontend compatibility
@@ -36,6 +40,8 @@ const createSale = asyncHandler(async (req, res) => {
     discountPercentage = 0,
     discountAmount = 0,
     costSheetSnapshot,
+    discountSchemes, // Project discount scheme codes for a server-built cost sheet
+    optionalCharges, // Optional project charge codes for a server-built cost sheet
     paymentPlanSnapshot, // Frontend sends this with templateId, templateName, schedule
     channelPartnerAttribution
   } = req.body;
@@ -74,7 +80,17 @@ const createSale = asyncHandler(async (req, res) => {
     if (!unit) {
       throw new Error('Unit not found or not accessible.');
     }
-    if (unit.status !== 'available') {
+
+    // 2a. A blocked unit can still be booked when it is held for THIS lead —
+    // the hold is converted into the sale below. Held for anyone else = no.
+    let activeHold = null;
+    if (unit.status === 'blocked') {
+      activeHold = await findActiveHold(unit._id, session);
+      if (activeHold && String(activeHold.lead) !== String(leadId)) {
+        throw new Error('Unit is held for another lead.');
+      }
+    }
+    if (unit.status !== 'available' && !activeHold) {
       throw new Error(`Unit is not available. Current status: ${unit.status}`);
     }
 
@@ -115,9 +131,12 @@ const createSale = asyncHandler(async (req, res) => {
       console.log('✅ Using provided cost sheet snapshot');
     } else {
       // Fallback: Generate cost sheet if not provided
-      costSheet = await generateCostSheetForUnit(unitId, { 
+      costSheet = await generateCostSheetForUnit(unitId, {
         discountPercentage,
-        discountAmount 
+        discountAmount,
+        discountSchemes,
+        optionalCharges,
+        asOf: new Date(),
       });
       console.log('✅ Generated new cost sheet');
     }
@@ -133,7 +152,9 @@ const createSale = asyncHandler(async (req, res) => {
     console.log('💰 Final sale price calculated:', finalSalePrice);
 
     // 6. Create the sale record with proper discount amount
-    const calculatedDiscountAmount = discountAmount || (finalSalePrice * discountPercentage / 100);
+    const calculatedDiscountAmount = discountAmount ||
+      costSheet.totals?.discountTotal ||
+      (finalSalePrice * discountPercentage / 100);
 
     // 6a. Check if discount approval is required
     const effectiveDiscountPercent = unit.currentPrice > 0
@@ -177,6 +198,10 @@ const createSale = asyncHandler(async (req, res) => {
         unit.status = 'blocked';
         await unit.save({ session });
 
+        if (activeHold) {
+          await markHoldConverted(activeHold, createdPendingSale._id, session);
+        }
+
         // Do NOT update lead status yet
         // Do NOT create payment plan yet
 
@@ -252,6 +277,11 @@ const createSale = asyncHandler(async (req, res) => {
     await unit.save({ session });
     console.log('✅ Unit status updated to sold');
 
+    if (activeHold) {
+      await markHoldConverted(activeHold, createdSale._id, session);
+      console.log('✅ Unit hold converted to sale');
+    }
+
     lead.status = 'Booked';
     // `lastContactDate` is not a field on the Lead schema — Mongoose strict mode
     // silently drops the write. Removed 2026-05-24 to avoid confusing readers.
@@ -291,6 +321,27 @@ const createSale = asyncHandler(async (req, res) => {
     // Generate channel-partner commission records for the new booking.
     await syncCommissionForSale(createdSale._id, req.user._id);
 
+    // Start the post-booking workflow (KYC, agreement, registration, ...).
+    // Best-effort — it can be started by hand from the sale if this fails.
+    try {
+      await startSaleLifecycle({
+        organization: req.user.organization,
+        saleId: createdSale._id,
+        user: req.user,
+      });
+    } catch (lifecycleErr) {
+      console.warn('[createSale] post-sales workflow start failed (non-fatal):', lifecycleErr.message);
+    }
+
+    // Booking acknowledgement, cost sheet, schedule, allotment letter and
+    // agreement draft. Rendering takes a while, so it isn't awaited; failures
+    // are logged and the pack can be generated from the sale.
+    generatePackForBooking({
+      organization: req.user.organization,
+      saleId: createdSale._id,
+      user: req.user,
+    });
+
     // 2026-05-24 lifecycle-repair: audit + notifications. Best-effort —
     // never fail the booking response because a notification or interaction
     // log entry failed. Each step is in its own try/catch.
@@ -716,6 +767,16 @@ const updateSale = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const updateData = req.body;
 
+  // Once a sale has a post-sales workflow its status follows the workflow's
+  // stages (POST /api/post-sales/lifecycles/:id/stages/:stageKey/complete).
+  if (updateData.status !== undefined) {
+    const current = await Sale.findOne({ _id: id, organization: req.user.organization }).select('status');
+    if (current && updateData.status !== current.status && await hasActiveLifecycle(current._id)) {
+      res.status(409);
+      throw new Error('This sale\'s status follows its post-sales workflow; complete the workflow stage instead.');
+    }
+  }
+
   try {
     const sale = await Sale.findOne({
       _id: id,
@@ -781,6 +842,10 @@ const cancelSale = asyncHandler(async (req, res) => {
 
     verifyProjectAccess(req, res, sale.project);
 
+    if (sale.status === 'Cancelled') {
+      throw new Error('Sale is already cancelled');
+    }
+
     // Check if cancellation approval is required
     const cancellationCheck = await checkApprovalRequired(
       req.user.organization,
@@ -816,129 +881,16 @@ const cancelSale = asyncHandler(async (req, res) => {
       });
     }
 
-    // Capture CP attribution before sale.status flips — needed for downstream
-    // commission cancellation + CP notification.
-    const wasCpAttributed = sale.channelPartnerAttribution?.viaChannelPartner === true;
-    const cpPartners = (sale.channelPartnerAttribution?.partners || []).slice();
-
-    // Update sale status
-    sale.status = 'cancelled';
-    sale.cancellationReason = reason || 'No reason provided';
-    sale.cancelledBy = cancelledBy || req.user._id;
-    sale.cancelledAt = new Date();
-    await sale.save({ session });
-
-    // Update unit status back to available
-    await Unit.findByIdAndUpdate(
-      sale.unit,
-      { status: 'available' },
-      { session }
-    );
-
-    // 2026-05-24 lifecycle-repair (B14): use .save() with a valid enum value
-    // instead of findByIdAndUpdate which bypasses Mongoose validators.
-    // 'Active' was never in the Lead status enum — using 'Negotiating' to put
-    // the lead back in active pipeline so the dev sales team can re-engage.
-    const lead = await Lead.findById(sale.lead).session(session);
-    if (lead) {
-      lead.status = 'Negotiating';
-      await lead.save({ session });
-    }
+    const { cpAttribution } = await cancelSaleRecord(sale, {
+      reason,
+      cancelledBy: cancelledBy || req.user._id,
+      session,
+    });
 
     await session.commitTransaction();
     session.endSession();
 
-    // 2026-05-24 lifecycle-repair (B9): cancel commission state for this sale.
-    // Best-effort post-transaction — we don't want to roll back the sale
-    // cancellation if commission cleanup fails. Each step in its own try/catch.
-
-    if (wasCpAttributed) {
-      // (a) Cancel any open CommissionInvoice for this sale. Drafts/submitted/
-      //     approved invoices should not survive a cancelled sale.
-      try {
-        const { default: CommissionInvoice } = await import('../models/commissionInvoiceModel.js');
-        const openInvoices = await CommissionInvoice.find({
-          sale: sale._id,
-          status: { $in: ['draft', 'submitted', 'approved'] },
-        });
-        for (const inv of openInvoices) {
-          inv.status = 'cancelled';
-          inv.history.push({
-            at: new Date(),
-            by: req.user._id,
-            byOrg: req.user.organization,
-            action: 'cancelled',
-            note: 'Cancelled because the underlying sale was cancelled.',
-          });
-          await inv.save();
-        }
-      } catch (err) {
-        console.warn('[cancelSale] CommissionInvoice cleanup failed (non-fatal):', err.message);
-      }
-
-      // (b) Cancel any CommissionRecord(s) for this sale with no paid payouts.
-      //     If any payout is paid, leave the record alone (manual reconciliation
-      //     needed) but append a history entry flagging it.
-      try {
-        const { default: CommissionRecord } = await import('../models/commissionRecordModel.js');
-        const records = await CommissionRecord.find({ sale: sale._id });
-        for (const rec of records) {
-          const hasPaid = (rec.payouts || []).some((p) => p.status === 'paid');
-          if (hasPaid) {
-            rec.history.push({
-              by: req.user._id,
-              action: 'sale_cancelled_paid_payout_warning',
-              note: 'Underlying sale was cancelled but a payout was already paid — needs manual reconciliation.',
-            });
-          } else if (rec.status !== 'cancelled') {
-            rec.status = 'cancelled';
-            rec.history.push({
-              by: req.user._id,
-              action: 'cancelled',
-              note: 'Underlying sale was cancelled.',
-            });
-          }
-          await rec.save();
-        }
-      } catch (err) {
-        console.warn('[cancelSale] CommissionRecord cleanup failed (non-fatal):', err.message);
-      }
-
-      // (c) Notify CP side that the deal was cancelled.
-      try {
-        const cpRecordId = cpPartners[0]?.channelPartner;
-        const cpShadow = cpRecordId
-          ? await ChannelPartner.findById(cpRecordId).select('channelPartnerOrg firmName').lean()
-          : null;
-        const cpOrgId = cpShadow?.channelPartnerOrg;
-        const agentUserId = cpPartners[0]?.agentUser;
-        if (cpOrgId) {
-          const baseProps = {
-            organization: cpOrgId,
-            type: 'sale_cancelled',
-            title: 'Booking cancelled',
-            message: `A CP-attributed sale of ₹${Number(sale.salePrice).toLocaleString('en-IN')} ` +
-                     `was cancelled by the developer. ${reason ? `Reason: ${reason}.` : ''} ` +
-                     `Any open commission invoices have been cancelled.`,
-            actionUrl: '/partner/prospects',
-            relatedEntity: { type: 'Sale', id: sale._id },
-            priority: 'high',
-            actor: req.user._id,
-          };
-          if (agentUserId) {
-            await createNotification({ ...baseProps, recipient: agentUserId });
-          }
-          await notifyUsersWithPermission({
-            organizationId: cpOrgId,
-            permission: 'cp_commission_invoices:manage',
-            excludeUserIds: agentUserId ? [agentUserId] : [],
-            ...baseProps,
-          });
-        }
-      } catch (err) {
-        console.warn('[cancelSale] sale_cancelled notify failed (non-fatal):', err.message);
-      }
-    }
+    await afterSaleCancelled(sale, { reason, actor: req.user._id, cpAttribution });
 
     res.json({
       success: true,
@@ -0,0 +1,116 @@
+// File: controllers/salesDocumentPackController.js
+// Description: A sale's booking document pack — generating it, sending it to
+//   the buyer and recording signed copies. Logic lives in
+//   services/salesDocumentPackService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  generateSalesDocumentPack,
+  getSalesDocumentPack,
+  getPackDocumentDownload,
+  sendSalesDocuments,
+  updatePackDocument,
+} from '../services/salesDocumentPackService.js';
+import { verifyProjectAccess } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+/**
+ * @desc    The sale's document pack with a summary of what's sent and signed
+ * @route   GET /api/document-packs/sales/:saleId
+ * @access  Private (POST_SALES.VIEW)
+ */
+const getPackForSale = asyncHandler(async (req, res) => {
+  const pack = await callService(
+    () => getSalesDocumentPack(req.params.saleId, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: pack });
+});
+
+/**
+ * @desc    Generate the pack, or (re)generate some of its documents
+ * @route   POST /api/document-packs/sales/:saleId
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const generatePack = asyncHandler(async (req, res) => {
+  const pack = await callService(
+    () => generateSalesDocumentPack({
+      organization: req.user.organization,
+      saleId: req.params.saleId,
+      user: req.user,
+      keys: req.body.keys,
+      regenerate: Boolean(req.body.regenerate),
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: pack });
+});
+
+/**
+ * @desc    Email pack documents to the buyer
+ * @route   POST /api/document-packs/sales/:saleId/send
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const sendPack = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => sendSalesDocuments(req.params.saleId, {
+      organization: req.user.organization,
+      keys: req.body.keys,
+      to: req.body.to,
+      message: req.body.message,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: result });
+});
+
+/**
+ * @desc    Record a document as sent another way, or as signed by the buyer
+ * @route   PUT /api/document-packs/sales/:saleId/documents/:key
+ * @access  Private (POST_SALES.MANAGE)
+ */
+const editPackDocument = asyncHandler(async (req, res) => {
+  const pack = await callService(
+    () => updatePackDocument(req.params.saleId, req.params.key, {
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: pack });
+});
+
+/**
+ * @desc    Download link for a pack document (?signed=true for the signed copy)
+ * @route   GET /api/document-packs/sales/:saleId/documents/:key/download
+ * @access  Private (POST_SALES.VIEW)
+ */
+const downloadPackDocument = asyncHandler(async (req, res) => {
+  const link = await callService(
+    () => getPackDocumentDownload(req.params.saleId, req.params.key, {
+      organization: req.user.organization,
+      signed: req.query.signed === 'true',
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: link });
+});
+
+export {
+  getPackForSale,
+  generatePack,
+  sendPack,
+  editPackDocument,
+  downloadPackDocument,
+};
@@ -0,0 +1,177 @@
+// File: controllers/signatureController.js
+// Description: Staff side of document e-signature — sending documents for
+//   signature, following them up and checking sealed copies. Logic lives in
+//   services/signatureService.js; signers use controllers/publicSignatureController.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  createSignatureRequest,
+  listSignatureRequests,
+  getSignatureRequest,
+  remindSigners,
+  cancelSignatureRequest,
+  retrySealing,
+  verifySignedDocument,
+  getSignatureDocumentLinks,
+} from '../services/signatureService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+/**
+ * @desc    Send a document for signature
+ * @route   POST /api/signatures
+ *          body: { fileId | saleId + packDocument, signers?, title?, message?, lifecycleDocument?, expiresInDays? }
+ * @access  Private (DOCUMENTS.SHARE)
+ */
+const sendForSignature = asyncHandler(async (req, res) => {
+  const { fileId, saleId, packDocument, signers, title, message, lifecycleDocument, expiresInDays } = req.body;
+  const result = await callService(
+    () => createSignatureRequest({
+      organization: req.user.organization,
+      fileId,
+      saleId,
+      packDocument,
+      signers,
+      title,
+      message,
+      lifecycleDocument,
+      expiresInDays,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: result });
+});
+
+/**
+ * @desc    Signature requests (?saleId=&fileId=&status=)
+ * @route   GET /api/signatures
+ * @access  Private (DOCUMENTS.VIEW)
+ */
+const getSignatureRequests = asyncHandler(async (req, res) => {
+  const { saleId, fileId, status } = req.query;
+  const requests = await callService(
+    () => listSignatureRequests({
+      organization: req.user.organization,
+      projectFilter: projectAccessFilter(req),
+      saleId,
+      fileId,
+      status,
+    }),
+    res
+  );
+  res.json({ success: true, data: requests, count: requests.length });
+});
+
+/**
+ * @desc    A signature request with its signers and audit trail
+ * @route   GET /api/signatures/:id
+ * @access  Private (DOCUMENTS.VIEW)
+ */
+const getSignatureRequestById = asyncHandler(async (req, res) => {
+  const request = await callService(
+    () => getSignatureRequest(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: request });
+});
+
+/**
+ * @desc    Download links for the document as sent and as signed
+ * @route   GET /api/signatures/:id/documents
+ * @access  Private (DOCUMENTS.VIEW)
+ */
+const getSignatureDocuments = asyncHandler(async (req, res) => {
+  const links = await callService(
+    () => getSignatureDocumentLinks(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: links });
+});
+
+/**
+ * @desc    Email fresh signing links to everyone who hasn't signed
+ * @route   POST /api/signatures/:id/remind
+ * @access  Private (DOCUMENTS.SHARE)
+ */
+const remindSignatureRequest = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => remindSigners(req.params.id, {
+      organization: req.user.organization,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: result });
+});
+
+/**
+ * @desc    Withdraw a pending signature request
+ * @route   POST /api/signatures/:id/cancel   body: { reason? }
+ * @access  Private (DOCUMENTS.SHARE)
+ */
+const cancelSignature = asyncHandler(async (req, res) => {
+  const request = await callService(
+    () => cancelSignatureRequest(req.params.id, {
+      organization: req.user.organization,
+      reason: req.body.reason,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: request });
+});
+
+/**
+ * @desc    Retry sealing a fully signed document
+ * @route   POST /api/signatures/:id/seal
+ * @access  Private (DOCUMENTS.SHARE)
+ */
+const sealSignature = asyncHandler(async (req, res) => {
+  const request = await callService(
+    () => retrySealing(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: request });
+});
+
+/**
+ * @desc    Check the stored signed document against its sealed hash
+ * @route   GET /api/signatures/:id/verify
+ * @access  Private (DOCUMENTS.VIEW)
+ */
+const verifySignature = asyncHandler(async (req, res) => {
+  const result = await callService(
+    () => verifySignedDocument(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: result });
+});
+
+export {
+  sendForSignature,
+  getSignatureRequests,
+  getSignatureRequestById,
+  getSignatureDocuments,
+  remindSignatureRequest,
+  cancelSignature,
+  sealSignature,
+  verifySignature,
+};
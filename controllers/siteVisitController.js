@@ -0,0 +1,249 @@
+// File: controllers/siteVisitController.js
+// Description: Site visits — slot availability, booking, rescheduling and
+//   cancelling, on-site check-in, outcome capture and the manager's daily
+//   roster. Logic lives in services/siteVisitService.js.
+
+import asyncHandler from 'express-async-handler';
+import {
+  bookSiteVisit,
+  rescheduleSiteVisit,
+  cancelSiteVisit,
+  checkInSiteVisit,
+  recordSiteVisitOutcome,
+  markSiteVisitNoShow,
+  getSiteVisitAvailability,
+  listSiteVisits,
+  getSiteVisit,
+  getDailyRoster,
+} from '../services/siteVisitService.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { callService } from '../utils/httpError.js';
+
+const accessFor = (req, res) => (p) => verifyProjectAccess(req, res, p);
+
+/**
+ * @desc    Free slots at a project's sales office on a date
+ * @route   GET /api/site-visits/availability?projectId=&date=&salesExecutive=
+ * @access  Private (LEADS.VIEW)
+ */
+const getAvailability = asyncHandler(async (req, res) => {
+  const { projectId, date, salesExecutive } = req.query;
+  if (!projectId) {
+    res.status(400);
+    throw new Error('projectId is required.');
+  }
+  const result = await callService(
+    () => getSiteVisitAvailability({
+      organization: req.user.organization,
+      projectId,
+      date,
+      salesExecutive,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: result });
+});
+
+/**
+ * @desc    A project's visits for a day, grouped by sales executive
+ * @route   GET /api/site-visits/roster?projectId=&date=
+ * @access  Private (LEADS.ASSIGN)
+ */
+const getRoster = asyncHandler(async (req, res) => {
+  const { projectId, date } = req.query;
+  if (!projectId) {
+    res.status(400);
+    throw new Error('projectId is required.');
+  }
+  const roster = await callService(
+    () => getDailyRoster({
+      organization: req.user.organization,
+      projectId,
+      date,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: roster });
+});
+
+/**
+ * @desc    Book a site visit for a lead
+ * @route   POST /api/site-visits
+ * @access  Private (LEADS.UPDATE)
+ */
+const createSiteVisit = asyncHandler(async (req, res) => {
+  const { leadId, ...fields } = req.body;
+  if (!leadId) {
+    res.status(400);
+    throw new Error('leadId is required.');
+  }
+  const visit = await callService(
+    () => bookSiteVisit({
+      organization: req.user.organization,
+      leadId,
+      fields,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.status(201).json({ success: true, data: visit, message: 'Site visit booked.' });
+});
+
+/**
+ * @desc    Site visits, filtered by project, lead, executive, status or date range
+ * @route   GET /api/site-visits?projectId=&leadId=&salesExecutive=&status=&from=&to=&limit=
+ * @access  Private (LEADS.VIEW)
+ */
+const getSiteVisits = asyncHandler(async (req, res) => {
+  const { projectId, leadId, salesExecutive, status, from, to } = req.query;
+  if (projectId) verifyProjectAccess(req, res, projectId);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+
+  const visits = await listSiteVisits({
+    organization: req.user.organization,
+    projectFilter: projectAccessFilter(req),
+    projectId,
+    leadId,
+    salesExecutive,
+    status,
+    from,
+    to,
+    limit,
+  });
+  res.json({ success: true, data: visits, count: visits.length });
+});
+
+/**
+ * @desc    One site visit
+ * @route   GET /api/site-visits/:id
+ * @access  Private (LEADS.VIEW)
+ */
+const getSiteVisitById = asyncHandler(async (req, res) => {
+  const visit = await callService(
+    () => getSiteVisit(req.params.id, {
+      organization: req.user.organization,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: visit });
+});
+
+/**
+ * @desc    Move a scheduled visit to a new slot
+ * @route   POST /api/site-visits/:id/reschedule
+ * @access  Private (LEADS.UPDATE)
+ */
+const rescheduleVisit = asyncHandler(async (req, res) => {
+  const visit = await callService(
+    () => rescheduleSiteVisit(req.params.id, {
+      organization: req.user.organization,
+      fields: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: visit, message: 'Site visit rescheduled.' });
+});
+
+/**
+ * @desc    Cancel a scheduled visit
+ * @route   POST /api/site-visits/:id/cancel
+ * @access  Private (LEADS.UPDATE)
+ */
+const cancelVisit = asyncHandler(async (req, res) => {
+  const visit = await callService(
+    () => cancelSiteVisit(req.params.id, {
+      organization: req.user.organization,
+      reason: req.body.reason,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: visit, message: 'Site visit cancelled.' });
+});
+
+/**
+ * @desc    Check the visitor in at the sales office
+ * @route   POST /api/site-visits/:id/check-in
+ * @access  Private (LEADS.UPDATE)
+ */
+const checkInVisit = asyncHandler(async (req, res) => {
+  const { visit, attribution } = await callService(
+    () => checkInSiteVisit(req.params.id, {
+      organization: req.user.organization,
+      visitors: req.body.visitors,
+      channelPartner: req.body.channelPartner,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    data: visit,
+    attribution,
+    message: attribution === 'conflict'
+      ? 'Checked in. The lead is attributed to a different channel partner — flagged for review.'
+      : 'Checked in.',
+  });
+});
+
+/**
+ * @desc    Record the visit's outcome and advance the lead
+ * @route   POST /api/site-visits/:id/outcome
+ * @access  Private (LEADS.UPDATE)
+ */
+const recordVisitOutcome = asyncHandler(async (req, res) => {
+  const { visit, lead, previousStatus } = await callService(
+    () => recordSiteVisitOutcome(req.params.id, {
+      organization: req.user.organization,
+      outcome: req.body,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({
+    success: true,
+    data: visit,
+    lead: { _id: lead._id, status: lead.status, previousStatus },
+    message: 'Site visit completed.',
+  });
+});
+
+/**
+ * @desc    Mark a scheduled visit as a no-show
+ * @route   POST /api/site-visits/:id/no-show
+ * @access  Private (LEADS.UPDATE)
+ */
+const markNoShow = asyncHandler(async (req, res) => {
+  const visit = await callService(
+    () => markSiteVisitNoShow(req.params.id, {
+      organization: req.user.organization,
+      note: req.body.note,
+      user: req.user,
+      verifyAccess: accessFor(req, res),
+    }),
+    res
+  );
+  res.json({ success: true, data: visit, message: 'Marked as no-show.' });
+});
+
+export {
+  getAvailability,
+  getRoster,
+  createSiteVisit,
+  getSiteVisits,
+  getSiteVisitById,
+  rescheduleVisit,
+  cancelVisit,
+  checkInVisit,
+  recordVisitOutcome,
+  markNoShow,
+};
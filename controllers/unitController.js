@@ -11,6 +11,8 @@ import {
   checkApprovalRequired,
   createApprovalRequest,
 } from '../services/approvalService.js';
+import { getActiveHoldSummary } from '../services/unitHoldService.js';
+import { recordUnitPriceChanges } from '../services/priceListService.js';
 
 // Import Tower model with error handling for backward compatibility
 let Tower;
@@ -399,11 +401,11 @@ const getUnitStatistics = asyncHandler(async (req, res) => {
   let matchQuery = { organization: req.user.organization, ...projectAccessFilter(req) };
 
   if (projectId) {
-    matchQuery.project = mongoose.Types.ObjectId(projectId);
+    matchQuery.project = new mongoose.Types.ObjectId(projectId);
   }
 
   if (towerId && Tower) {
-    matchQuery.tower = mongoose.Types.ObjectId(towerId);
+    matchQuery.tower = new mongoose.Types.ObjectId(towerId);
   }
 
   try {
@@ -453,6 +455,10 @@ const getUnitStatistics = asyncHandler(async (req, res) => {
     result.occupancyPercentage = result.totalUnits > 0 ? 
       Math.round(((result.soldUnits + result.bookedUnits) / result.totalUnits) * 100) : 0;
 
+    // Active holds and how long they have been sitting out of inventory.
+    // Same match keys as the unit query — UnitHold carries org/project/tower.
+    result.holds = await getActiveHoldSummary(matchQuery);
+
     res.json({
       success: true,
       data: result,
@@ -721,9 +727,22 @@ const updateUnit = asyncHandler(async (req, res) => {
   }
 
   try {
+    const previousPrice = unit.currentPrice;
     Object.assign(unit, updateData);
     await unit.save();
 
+    if (unit.currentPrice !== previousPrice) {
+      await recordUnitPriceChanges([
+        {
+          unit,
+          previousPrice,
+          newPrice: unit.currentPrice,
+          source: 'manual',
+          changedBy: req.user._id,
+        },
+      ]);
+    }
+
     const updatedUnit = await Unit.findById(unit._id)
       .populate('project', 'name type')
       .populate(Tower ? 'tower' : null, 'towerName towerCode');
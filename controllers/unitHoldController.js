@@ -0,0 +1,225 @@
+// File: controllers/unitHoldController.js
+// Description: HTTP handlers for time-boxed unit holds (/api/units/holds/*
+//   and /api/units/:id/hold). Org + project access checks live here; the
+//   hold lifecycle itself lives in services/unitHoldService.js.
+
+import asyncHandler from 'express-async-handler';
+import mongoose from 'mongoose';
+import Unit from '../models/unitModel.js';
+import UnitHold, { UNIT_HOLD_STATUSES } from '../models/unitHoldModel.js';
+import { verifyProjectAccess, projectAccessFilter } from '../utils/projectAccessHelper.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import * as holdService from '../services/unitHoldService.js';
+import { callService } from '../utils/httpError.js';
+
+const canManageHolds = (req) =>
+  req.isOwner || (req.userPermissions || []).includes(PERMISSIONS.UNITS.MANAGE_HOLDS);
+
+/**
+ * Load a hold in the caller's org and verify project access.
+ */
+const loadHold = async (req, res) => {
+  const { holdId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(holdId)) {
+    res.status(400);
+    throw new Error('Invalid hold ID format');
+  }
+  const hold = await UnitHold.findOne({ _id: holdId, organization: req.user.organization });
+  if (!hold) {
+    res.status(404);
+    throw new Error('Hold not found');
+  }
+  verifyProjectAccess(req, res, hold.project);
+  return hold;
+};
+
+/**
+ * @desc    Place a time-boxed hold on a unit for a lead
+ * @route   POST /api/units/:id/hold
+ * @access  Private (units:hold)
+ */
+const placeUnitHold = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { leadId, hours, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid unit ID format');
+  }
+
+  const unit = await Unit.findOne({ _id: id, organization: req.user.organization });
+  if (!unit) {
+    res.status(404);
+    throw new Error('Unit not found');
+  }
+  verifyProjectAccess(req, res, unit.project);
+
+  const hold = await callService(
+    () => holdService.placeHold({ unit, leadId, hours, reason, user: req.user }),
+    res
+  );
+
+  res.status(201).json({
+    success: true,
+    data: hold,
+    message: `Unit ${unit.unitNumber} held until ${hold.expiresAt.toISOString()}`,
+  });
+});
+
+/**
+ * @desc    List unit holds (defaults to active holds)
+ * @route   GET /api/units/holds
+ * @access  Private (units:view)
+ */
+const getUnitHolds = asyncHandler(async (req, res) => {
+  const { status = 'active', leadId, heldBy, mine, page = 1, limit = 20 } = req.query;
+  const projectId = req.query.project || req.query.projectId;
+  const towerId = req.query.tower || req.query.towerId;
+
+  const query = { organization: req.user.organization, ...projectAccessFilter(req) };
+  if (status !== 'all') {
+    if (!UNIT_HOLD_STATUSES.includes(status)) {
+      res.status(400);
+      throw new Error(`status must be one of: all, ${UNIT_HOLD_STATUSES.join(', ')}`);
+    }
+    query.status = status;
+  }
+  if (projectId) {
+    verifyProjectAccess(req, res, projectId);
+    query.project = projectId;
+  }
+  if (towerId) query.tower = towerId;
+  if (leadId) query.lead = leadId;
+  if (mine === 'true') query.heldBy = req.user._id;
+  else if (heldBy) query.heldBy = heldBy;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const [holds, total] = await Promise.all([
+    UnitHold.find(query)
+      .populate('unit', 'unitNumber floor type currentPrice status')
+      .populate('lead', 'firstName lastName phone email')
+      .populate('heldBy', 'firstName lastName')
+      .populate('project', 'name')
+      .sort(status === 'active' ? { expiresAt: 1 } : { createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum),
+    UnitHold.countDocuments(query),
+  ]);
+
+  res.json({
+    success: true,
+    count: holds.length,
+    totalCount: total,
+    pagination: {
+      currentPage: pageNum,
+      totalPages: Math.ceil(total / limitNum),
+      hasNext: pageNum < Math.ceil(total / limitNum),
+      hasPrev: pageNum > 1,
+    },
+    data: holds,
+  });
+});
+
+/**
+ * @desc    Get a single hold with its extension history
+ * @route   GET /api/units/holds/:holdId
+ * @access  Private (units:view)
+ */
+const getUnitHold = asyncHandler(async (req, res) => {
+  const hold = await loadHold(req, res);
+  await hold.populate([
+    { path: 'unit', select: 'unitNumber floor type currentPrice status' },
+    { path: 'lead', select: 'firstName lastName phone email' },
+    { path: 'heldBy', select: 'firstName lastName' },
+    { path: 'extensions.requestedBy', select: 'firstName lastName' },
+  ]);
+  res.json({ success: true, data: hold });
+});
+
+/**
+ * @desc    Hold history for a unit, newest first
+ * @route   GET /api/units/:id/holds
+ * @access  Private (units:view)
+ */
+const getHoldsForUnit = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400);
+    throw new Error('Invalid unit ID format');
+  }
+  const unit = await Unit.findOne({ _id: id, organization: req.user.organization })
+    .select('project')
+    .lean();
+  if (!unit) {
+    res.status(404);
+    throw new Error('Unit not found');
+  }
+  verifyProjectAccess(req, res, unit.project);
+
+  const holds = await UnitHold.find({ unit: id, organization: req.user.organization })
+    .populate('lead', 'firstName lastName')
+    .populate('heldBy', 'firstName lastName')
+    .sort({ createdAt: -1 });
+
+  res.json({ success: true, count: holds.length, data: holds });
+});
+
+/**
+ * @desc    Extend an active hold (may route through UNIT_HOLD_EXTENSION approval)
+ * @route   POST /api/units/holds/:holdId/extend
+ * @access  Private (units:hold — own holds; units:manage_holds — any hold)
+ */
+const extendUnitHold = asyncHandler(async (req, res) => {
+  const hold = await loadHold(req, res);
+  if (String(hold.heldBy) !== String(req.user._id) && !canManageHolds(req)) {
+    res.status(403);
+    throw new Error('Only the holder or a manager can extend this hold');
+  }
+
+  const { hours, reason } = req.body;
+  const result = await callService(
+    () => holdService.extendHold({ hold, hours, reason, user: req.user }),
+    res
+  );
+
+  res.json({
+    success: true,
+    pendingApproval: result.pendingApproval,
+    data: result.hold,
+    approvalRequest: result.approvalRequest?.requestNumber,
+    message: result.pendingApproval
+      ? 'Hold extension submitted for approval'
+      : `Hold extended until ${result.hold.expiresAt.toISOString()}`,
+  });
+});
+
+/**
+ * @desc    Release an active hold and return the unit to inventory
+ * @route   POST /api/units/holds/:holdId/release
+ * @access  Private (units:hold — own holds; units:manage_holds — any hold)
+ */
+const releaseUnitHold = asyncHandler(async (req, res) => {
+  const hold = await loadHold(req, res);
+  if (String(hold.heldBy) !== String(req.user._id) && !canManageHolds(req)) {
+    res.status(403);
+    throw new Error('Only the holder or a manager can release this hold');
+  }
+
+  const released = await callService(
+    () => holdService.releaseHold({ hold, reason: req.body.reason, user: req.user }),
+    res
+  );
+
+  res.json({ success: true, data: released, message: 'Hold released' });
+});
+
+export {
+  placeUnitHold,
+  getUnitHolds,
+  getUnitHold,
+  getHoldsForUnit,
+  extendUnitHold,
+  releaseUnitHold,
+};
@@ -0,0 +1,47 @@
+// File: data/backfillCampaignPermissions.js
+// One-time: grant the marketing campaign permissions to existing role
+//   documents that predate campaign tracking.
+//
+//   - Business Head / Project Director / Marketing Head → view + manage + record_spend
+//   - Sales Head                                         → view + manage
+//   - Finance Head / Finance Manager                     → view + record_spend
+//   - Sales Manager                                      → view
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillCampaignPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const GRANTS = [
+  [['business-head', 'project-director', 'marketing-head'], ['campaigns:view', 'campaigns:manage', 'campaigns:record_spend']],
+  [['sales-head'], ['campaigns:view', 'campaigns:manage']],
+  [['finance-head', 'finance-manager'], ['campaigns:view', 'campaigns:record_spend']],
+  [['sales-manager'], ['campaigns:view']],
+];
+
+const run = async () => {
+  try {
+    await connectDB();
+    let modified = 0;
+    for (const [slugs, permissions] of GRANTS) {
+      const result = await Role.updateMany(
+        { slug: { $in: slugs } },
+        { $addToSet: { permissions: { $each: permissions } } }
+      );
+      modified += result.modifiedCount;
+    }
+    console.log(`Campaign permissions backfill — ${modified} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
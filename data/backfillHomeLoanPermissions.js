@@ -0,0 +1,44 @@
+// File: data/backfillHomeLoanPermissions.js
+// One-time: grant the home loan permissions to existing role documents that
+//   predate home loan tracking.
+//
+//   - Business Head / Project Director / Finance Head / Finance Manager
+//       → view + manage + record_disbursement
+//   - Sales Head / Sales Manager / Sales Executive → view + manage
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillHomeLoanPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const GRANTS = [
+  [['business-head', 'project-director', 'finance-head', 'finance-manager'], ['home_loans:view', 'home_loans:manage', 'home_loans:record_disbursement']],
+  [['sales-head', 'sales-manager', 'sales-executive'], ['home_loans:view', 'home_loans:manage']],
+];
+
+const run = async () => {
+  try {
+    await connectDB();
+    let modified = 0;
+    for (const [slugs, permissions] of GRANTS) {
+      const result = await Role.updateMany(
+        { slug: { $in: slugs } },
+        { $addToSet: { permissions: { $each: permissions } } }
+      );
+      modified += result.modifiedCount;
+    }
+    console.log(`Home loan permissions backfill — ${modified} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
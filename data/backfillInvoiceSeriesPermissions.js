@@ -0,0 +1,39 @@
+// File: data/backfillInvoiceSeriesPermissions.js
+// One-time: grant the permission to configure invoice and receipt numbering
+//   series to existing Project Director and Finance Head role documents.
+//   (Business Head has every permission; Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillInvoiceSeriesPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const GRANTS = [
+  [['project-director', 'finance-head'], ['invoices:configure_series']],
+];
+
+const run = async () => {
+  try {
+    await connectDB();
+    let modified = 0;
+    for (const [slugs, permissions] of GRANTS) {
+      const result = await Role.updateMany(
+        { slug: { $in: slugs } },
+        { $addToSet: { permissions: { $each: permissions } } }
+      );
+      modified += result.modifiedCount;
+    }
+    console.log(`Invoice series permissions backfill — ${modified} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
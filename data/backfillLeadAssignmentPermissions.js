@@ -0,0 +1,34 @@
+// File: data/backfillLeadAssignmentPermissions.js
+// One-time: grant leads:assignment_config (lead routing rules, SLAs and the
+//   routing audit) to existing role documents that predate rule-based
+//   assignment.
+//
+//   - Business Head / Project Director / Sales Head
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillLeadAssignmentPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+    const result = await Role.updateMany(
+      { slug: { $in: ['business-head', 'project-director', 'sales-head'] } },
+      { $addToSet: { permissions: 'leads:assignment_config' } }
+    );
+    console.log(`Lead assignment backfill — ${result.modifiedCount} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// File: data/backfillLeadCapturePermissions.js
+// One-time: grant leads:capture_config (portal / ad / website lead feeds) to
+//   existing role documents that predate inbound lead capture.
+//
+//   - Business Head / Project Director / Sales Head / Marketing Head
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillLeadCapturePermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+    const result = await Role.updateMany(
+      { slug: { $in: ['business-head', 'project-director', 'sales-head', 'marketing-head'] } },
+      { $addToSet: { permissions: 'leads:capture_config' } }
+    );
+    console.log(`Lead capture backfill — ${result.modifiedCount} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
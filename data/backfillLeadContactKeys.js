@@ -0,0 +1,59 @@
+// File: data/backfillLeadContactKeys.js
+// One-time: seed Lead.contactKeys (normalized phone + email) for existing
+// rows so duplicate checks, duplicate clusters and lead capture dedupe see
+// them. New and edited leads are keyed by the leadSchema pre-save hook.
+//
+// Bulk-writes the keys directly rather than re-saving each lead, so other
+// pre-save side effects (priority, statusChangedAt) don't fire.
+//
+// Idempotent — recomputes the keys from phone/email every run.
+//   node data/backfillLeadContactKeys.js
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Lead from '../models/leadModel.js';
+import { contactKeysOf } from '../utils/contactNormalizer.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  try {
+    await connectDB();
+    console.log('🔑 Backfilling Lead.contactKeys from phone/email…');
+
+    let scanned = 0;
+    let updated = 0;
+    let ops = [];
+    const flush = async () => {
+      if (!ops.length) return;
+      const res = await Lead.collection.bulkWrite(ops, { ordered: false });
+      updated += res.modifiedCount;
+      ops = [];
+    };
+
+    const cursor = Lead.collection.find({}, { projection: { phone: 1, email: 1 } });
+    for await (const lead of cursor) {
+      scanned += 1;
+      ops.push({
+        updateOne: {
+          filter: { _id: lead._id },
+          update: { $set: { contactKeys: contactKeysOf(lead) } },
+        },
+      });
+      if (ops.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`✅ Scanned ${scanned} leads, updated ${updated}.`);
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (err) {
+    console.error('❌ Backfill failed:', err);
+    process.exit(1);
+  }
+};
+
+run();
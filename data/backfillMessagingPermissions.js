@@ -0,0 +1,46 @@
+// File: data/backfillMessagingPermissions.js
+// One-time: grant the WhatsApp / SMS messaging permissions to existing role
+//   documents that predate the messaging channel.
+//
+//   - Business Head / Project Director / Sales Head / Marketing Head
+//       → messaging:send + messaging:manage_templates
+//   - Sales Manager / Sales Executive / Finance Head / Finance Manager
+//       → messaging:send
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillMessagingPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const TEMPLATE_MANAGER_SLUGS = ['business-head', 'project-director', 'sales-head', 'marketing-head'];
+const SENDER_SLUGS = ['sales-manager', 'sales-executive', 'finance-head', 'finance-manager'];
+
+const run = async () => {
+  try {
+    await connectDB();
+    const managers = await Role.updateMany(
+      { slug: { $in: TEMPLATE_MANAGER_SLUGS } },
+      { $addToSet: { permissions: { $each: ['messaging:send', 'messaging:manage_templates'] } } }
+    );
+    const senders = await Role.updateMany(
+      { slug: { $in: SENDER_SLUGS } },
+      { $addToSet: { permissions: 'messaging:send' } }
+    );
+    console.log(
+      `Messaging backfill — template managers: ${managers.modifiedCount} updated; ` +
+      `senders: ${senders.modifiedCount} updated.`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+// File: data/backfillPostSalesPermissions.js
+// One-time: grant the post-sales workflow permissions to existing role documents
+//   that predate the post-booking workflow.
+//
+//   - Business Head / Project Director / Sales Head → view + manage + configure
+//   - Sales Manager / Sales Executive → view + manage
+//   - Finance Head / Finance Manager → view
+//   (Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillPostSalesPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const GRANTS = [
+  [['business-head', 'project-director', 'sales-head'], ['post_sales:view', 'post_sales:manage', 'post_sales:configure']],
+  [['sales-manager', 'sales-executive'], ['post_sales:view', 'post_sales:manage']],
+  [['finance-head', 'finance-manager'], ['post_sales:view']],
+];
+
+const run = async () => {
+  try {
+    await connectDB();
+    let modified = 0;
+    for (const [slugs, permissions] of GRANTS) {
+      const result = await Role.updateMany(
+        { slug: { $in: slugs } },
+        { $addToSet: { permissions: { $each: permissions } } }
+      );
+      modified += result.modifiedCount;
+    }
+    console.log(`Post-sales permissions backfill — ${modified} role(s) updated.`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,42 @@
+// File: data/backfillPriceListPermissions.js
+// One-time: grant the price list permissions to existing role documents
+//   that predate the price escalation engine.
+//
+//   - Project Director / Sales Head → pricing:price_lists + pricing:manage_price_lists
+//   - Finance Head / Sales Manager  → pricing:price_lists
+//   (Business Head derives from ALL_PERMISSIONS only at seed time, so it is
+//   included in the first group; Organization Owner bypasses checks.)
+//
+//   Idempotent ($addToSet). Run after deploy:
+//     node data/backfillPriceListPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+    const managers = await Role.updateMany(
+      { slug: { $in: ['business-head', 'project-director', 'sales-head'] } },
+      { $addToSet: { permissions: { $each: ['pricing:price_lists', 'pricing:manage_price_lists'] } } }
+    );
+    const viewers = await Role.updateMany(
+      { slug: { $in: ['finance-head', 'sales-manager'] } },
+      { $addToSet: { permissions: 'pricing:price_lists' } }
+    );
+    console.log(
+      `Price list backfill — managers: ${managers.modifiedCount} updated; ` +
+      `viewers: ${viewers.modifiedCount} updated.`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
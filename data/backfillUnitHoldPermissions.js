@@ -0,0 +1,73 @@
+// File: data/backfillUnitHoldPermissions.js
+// One-time: grant the unit-hold permissions to existing roles that predate
+//   the feature, and seed the UNIT_HOLD_EXTENSION approval policy for every
+//   organization that already has its default policies.
+//
+//   - Business Head / Project Director / Sales Head / Sales Manager
+//       → units:hold + units:manage_holds
+//   - Sales Executive → units:hold
+//   (Organization Owner bypasses permission checks.)
+//
+//   Idempotent ($addToSet / $setOnInsert). Run after deploy:
+//     node data/backfillUnitHoldPermissions.js
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Role from '../models/roleModel.js';
+import ApprovalPolicy from '../models/approvalPolicyModel.js';
+import { DEFAULT_POLICIES } from './seedDefaultApprovalPolicies.js';
+
+dotenv.config();
+
+const MANAGER_SLUGS = ['business-head', 'project-director', 'sales-head', 'sales-manager'];
+
+const run = async () => {
+  try {
+    await connectDB();
+
+    const managers = await Role.updateMany(
+      { slug: { $in: MANAGER_SLUGS } },
+      { $addToSet: { permissions: { $each: ['units:hold', 'units:manage_holds'] } } }
+    );
+    const executives = await Role.updateMany(
+      { slug: 'sales-executive' },
+      { $addToSet: { permissions: 'units:hold' } }
+    );
+
+    // Only orgs that were seeded with default policies get the new one —
+    // an org without any policy keeps auto-applying every extension.
+    const policyData = DEFAULT_POLICIES.find((p) => p.approvalType === 'UNIT_HOLD_EXTENSION');
+    const seeded = await ApprovalPolicy.find({ project: null, approvalType: 'SALE_CANCELLATION' })
+      .select('organization createdBy')
+      .lean();
+    let policies = 0;
+    for (const p of seeded) {
+      const res = await ApprovalPolicy.updateOne(
+        { organization: p.organization, approvalType: 'UNIT_HOLD_EXTENSION', project: null },
+        {
+          $setOnInsert: {
+            ...policyData,
+            organization: p.organization,
+            project: null,
+            createdBy: p.createdBy,
+          },
+        },
+        { upsert: true }
+      );
+      policies += res.upsertedCount || 0;
+    }
+
+    console.log(
+      `Unit hold backfill — manager roles: ${managers.modifiedCount} updated; ` +
+      `Sales Executive: ${executives.modifiedCount} updated; ` +
+      `UNIT_HOLD_EXTENSION policies created: ${policies}.`
+    );
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Backfill failed:', err);
+  process.exit(1);
+});
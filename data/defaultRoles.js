@@ -34,23 +34,29 @@ const DEFAULT_ROLES = [
       'towers:analytics', 'towers:bulk_create_units',
       // Units — full
       'units:view', 'units:create', 'units:update', 'units:delete', 'units:statistics',
+      'units:hold', 'units:manage_holds',
       // Leads — full
       'leads:view', 'leads:create', 'leads:update', 'leads:delete',
       'leads:assign', 'leads:scoring_view', 'leads:scoring_config', 'leads:bulk_operations',
+      'leads:capture_config', 'leads:assignment_config',
       // Sales — full
       'sales:view', 'sales:create', 'sales:update', 'sales:cancel',
       'sales:analytics', 'sales:pipeline', 'sales:documents',
+      'messaging:send', 'messaging:manage_templates',
+      'campaigns:view', 'campaigns:manage', 'campaigns:record_spend',
       // Payments — full
       'payments:view', 'payments:create_plan', 'payments:update_plan',
       'payments:record', 'payments:update_transaction', 'payments:verify',
       'payments:waive', 'payments:reports',
+      'home_loans:view', 'home_loans:manage', 'home_loans:record_disbursement',
+      'post_sales:view', 'post_sales:manage', 'post_sales:configure',
       // Project Payments — full
       'project_payments:view_config', 'project_payments:update_config',
       'project_payments:view_templates', 'project_payments:manage_templates',
       'project_payments:manage_bank', 'project_payments:calculate',
       // Invoices — full
       'invoices:view', 'invoices:create', 'invoices:update', 'invoices:cancel',
-      'invoices:record_payment', 'invoices:statistics', 'invoices:export',
+      'invoices:record_payment', 'invoices:statistics', 'invoices:export', 'invoices:configure_series',
       // Commissions — full
       'commissions:view', 'commissions:create', 'commissions:manage_structures',
       'commissions:approve', 'commissions:reject', 'commissions:hold',
@@ -71,6 +77,7 @@ const DEFAULT_ROLES = [
       'contractors:analytics',
       // Pricing — full
       'pricing:cost_sheet', 'pricing:dynamic_pricing',
+      'pricing:price_lists', 'pricing:manage_price_lists',
       // Budgets — full
       'budgets:view', 'budgets:update_target', 'budgets:variance_view', 'budgets:dashboard',
       // Analytics — full
@@ -117,12 +124,18 @@ const DEFAULT_ROLES = [
       'projects:view',
       'towers:view',
       'units:view', 'units:create', 'units:update', 'units:delete', 'units:statistics',
+      'units:hold', 'units:manage_holds',
       'leads:view', 'leads:create', 'leads:update', 'leads:delete',
       'leads:assign', 'leads:scoring_view', 'leads:bulk_operations',
+      'leads:capture_config', 'leads:assignment_config',
       'sales:view', 'sales:create', 'sales:update', 'sales:cancel',
       'sales:analytics', 'sales:pipeline', 'sales:documents',
+      'messaging:send', 'messaging:manage_templates',
+      'campaigns:view', 'campaigns:manage',
       'payments:view', 'payments:create_plan', 'payments:update_plan',
       'payments:record', 'payments:reports',
+      'home_loans:view', 'home_loans:manage',
+      'post_sales:view', 'post_sales:manage', 'post_sales:configure',
       'project_payments:view_config', 'project_payments:view_templates',
       'project_payments:calculate',
       'invoices:view', 'invoices:create', 'invoices:statistics', 'invoices:export',
@@ -141,6 +154,7 @@ const DEFAULT_ROLES = [
       'contractors:view', 'contractors:create', 'contractors:update',
       'contractors:manage', 'contractors:documents', 'contractors:reviews',
       'pricing:cost_sheet',
+      'pricing:price_lists', 'pricing:manage_price_lists',
       'budgets:view', 'budgets:variance_view', 'budgets:dashboard',
       'analytics:basic', 'analytics:advanced', 'analytics:reports',
       'analytics:budget_vs_actual', 'analytics:marketing_roi',
@@ -180,8 +194,10 @@ const DEFAULT_ROLES = [
       'towers:view',
       'units:view', 'units:create', 'units:update', 'units:delete', 'units:statistics',
       'leads:view', 'leads:create', 'leads:update',
-      'leads:scoring_view',
+      'leads:scoring_view', 'leads:capture_config',
       'sales:view', 'sales:analytics', 'sales:pipeline',
+      'messaging:send', 'messaging:manage_templates',
+      'campaigns:view', 'campaigns:manage', 'campaigns:record_spend',
       'documents:view', 'documents:upload', 'documents:update', 'documents:delete',
       'documents:manage_categories', 'documents:approve',
       'documents:version_control', 'documents:share', 'documents:analytics',
@@ -224,14 +240,18 @@ const DEFAULT_ROLES = [
       'units:view', 'units:create', 'units:update', 'units:delete', 'units:statistics',
       'leads:view',
       'sales:view', 'sales:analytics',
+      'messaging:send',
+      'campaigns:view', 'campaigns:record_spend',
       'payments:view', 'payments:create_plan', 'payments:update_plan',
       'payments:record', 'payments:update_transaction', 'payments:verify',
       'payments:waive', 'payments:reports',
+      'home_loans:view', 'home_loans:manage', 'home_loans:record_disbursement',
+      'post_sales:view',
       'project_payments:view_config', 'project_payments:update_config',
       'project_payments:view_templates', 'project_payments:manage_templates',
       'project_payments:manage_bank', 'project_payments:calculate',
       'invoices:view', 'invoices:create', 'invoices:update', 'invoices:cancel',
-      'invoices:record_payment', 'invoices:statistics', 'invoices:export',
+      'invoices:record_payment', 'invoices:statistics', 'invoices:export', 'invoices:configure_series',
       'commissions:view', 'commissions:manage_structures',
       'commissions:approve', 'commissions:reject', 'commissions:hold',
       'commissions:record_payment', 'commissions:reports', 'commissions:recalculate',
@@ -239,6 +259,7 @@ const DEFAULT_ROLES = [
       'documents:manage_categories', 'documents:approve',
       'documents:version_control', 'documents:share', 'documents:analytics',
       'pricing:dynamic_pricing',
+      'pricing:price_lists',
       'budgets:view', 'budgets:update_target', 'budgets:variance_view', 'budgets:dashboard',
       'analytics:basic', 'analytics:advanced', 'analytics:reports',
       'analytics:budget_vs_actual',
@@ -273,12 +294,17 @@ const DEFAULT_ROLES = [
       'projects:view',
       'towers:view', 'towers:create', 'towers:update', 'towers:analytics',
       'units:view', 'units:create', 'units:update', 'units:statistics',
+      'units:hold', 'units:manage_holds',
       'leads:view', 'leads:create', 'leads:update',
       'leads:assign', 'leads:scoring_view', 'leads:bulk_operations',
       'sales:view', 'sales:create', 'sales:update',
       'sales:analytics', 'sales:pipeline', 'sales:documents',
+      'messaging:send',
+      'campaigns:view',
       'payments:view', 'payments:create_plan', 'payments:update_plan',
       'payments:record', 'payments:reports',
+      'home_loans:view', 'home_loans:manage',
+      'post_sales:view', 'post_sales:manage',
       'project_payments:view_config', 'project_payments:update_config',
       'project_payments:view_templates', 'project_payments:manage_templates',
       'project_payments:calculate',
@@ -296,6 +322,7 @@ const DEFAULT_ROLES = [
       'contractors:view', 'contractors:create', 'contractors:update',
       'contractors:manage', 'contractors:documents', 'contractors:reviews',
       'pricing:cost_sheet',
+      'pricing:price_lists',
       'budgets:view', 'budgets:variance_view', 'budgets:dashboard',
       'analytics:basic', 'analytics:advanced',
       'analytics:budget_vs_actual',
@@ -328,9 +355,13 @@ const DEFAULT_ROLES = [
       'units:view', 'units:create', 'units:update', 'units:statistics',
       'leads:view',
       'sales:view', 'sales:analytics',
+      'messaging:send',
+      'campaigns:view', 'campaigns:record_spend',
       'payments:view', 'payments:create_plan', 'payments:update_plan',
       'payments:record', 'payments:update_transaction', 'payments:verify',
       'payments:reports',
+      'home_loans:view', 'home_loans:manage', 'home_loans:record_disbursement',
+      'post_sales:view',
       'project_payments:view_config', 'project_payments:update_config',
       'project_payments:view_templates', 'project_payments:manage_templates',
       'project_payments:manage_bank', 'project_payments:calculate',
@@ -368,12 +399,15 @@ const DEFAULT_ROLES = [
     permissions: [
       'projects:view',
       'towers:view',
-      'units:view', 'units:statistics',
+      'units:view', 'units:statistics', 'units:hold',
       'leads:view', 'leads:create', 'leads:update',
       'leads:scoring_view',
       'sales:view', 'sales:create', 'sales:update',
       'sales:documents',
+      'messaging:send',
       'payments:view', 'payments:create_plan', 'payments:record',
+      'home_loans:view', 'home_loans:manage',
+      'post_sales:view', 'post_sales:manage',
       'project_payments:view_templates', 'project_payments:calculate',
       'invoices:create',
       'commissions:view', 'commissions:create',
@@ -0,0 +1,39 @@
+// File: data/migrateInvoiceNumberIndex.js
+// Description: One-time migration for per-organization invoice numbering.
+//   invoiceNumber used to be unique across all organizations (index
+//   invoiceNumber_1); numbers now come from each organization's series and
+//   are unique per organization ({ organization, invoiceNumber }). Drops the
+//   old index and builds the invoice and receipt indexes.
+// Usage: node data/migrateInvoiceNumberIndex.js
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import connectDB from '../config/db.js';
+import Invoice from '../models/invoiceModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import DocumentSeries from '../models/documentSeriesModel.js';
+
+dotenv.config();
+
+const run = async () => {
+  try {
+    await connectDB();
+    const indexes = await Invoice.collection.indexes();
+    const legacy = indexes.find((index) => index.name === 'invoiceNumber_1' && index.unique);
+    if (legacy) {
+      await Invoice.collection.dropIndex('invoiceNumber_1');
+      console.log('Dropped the global unique index on invoiceNumber.');
+    } else {
+      console.log('No global invoiceNumber index to drop.');
+    }
+    await Promise.all([Invoice.syncIndexes(), PaymentTransaction.createIndexes(), DocumentSeries.createIndexes()]);
+    console.log('Invoice, receipt and series indexes are in place.');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -69,7 +69,7 @@ const DEFAULT_POLICIES = [
     approvalType: 'PRICE_OVERRIDE',
     displayName: 'Price Override Approval',
     description:
-      'Triggers when a unit price is changed by more than the configured threshold percentage from the base price.',
+      'Triggers when a unit price is changed by more than the configured threshold percentage from the base price, or when a price list would move any unit by more than that percentage.',
     isEnabled: true,
     priceOverrideThresholdPercent: 10,
     approverRules: [
@@ -167,6 +167,27 @@ const DEFAULT_POLICIES = [
       level3AfterHours: 72,
     },
   },
+
+  // ─── 8. UNIT HOLD EXTENSION ───────────────────────────────────
+  {
+    approvalType: 'UNIT_HOLD_EXTENSION',
+    displayName: 'Unit Hold Extension Approval',
+    description:
+      'Requires sales leadership approval when a salesperson extends a unit hold by more than the configured number of hours. Keeps held inventory from sitting off the market.',
+    isEnabled: true,
+    holdExtensionThresholdHours: 24,
+    approverRules: [
+      { roleSlug: 'sales-manager', roleLevel: 4, assignmentMode: 'hierarchy' },
+    ],
+    requiredApprovals: 1,
+    slaHours: 8,
+    escalationConfig: {
+      enabled: true,
+      level1AfterHours: 8,
+      level2AfterHours: 16,
+      level3AfterHours: 24,
+    },
+  },
 ];
 
 /**
@@ -0,0 +1,46 @@
+// File: jobs/accrueLateFees.js
+// Description: node-cron — nightly late fee / interest accrual. Recomputes
+//   Installment.lateFeeAccrued for every installment past its grace period
+//   (services/lateFeeService.js) and refreshes the plans' totalLateFees.
+//
+//   Registration mirrors jobs/sendInstallmentReminders.js: the work function
+//   (runLateFeeAccrualSweep) is exported separately from the registration
+//   function (registerLateFeeAccrualJob). NEVER fires on import.
+
+import cron from 'node-cron';
+import { runLateFeeAccrual } from '../services/lateFeeService.js';
+
+// 01:00 local — well before the morning dunning sweep quotes the fee
+const LATE_FEE_ACCRUAL_CRON = process.env.LATE_FEE_ACCRUAL_CRON || '0 1 * * *';
+const TZ = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Run one accrual sweep.
+ *
+ * @param {Date} [now=new Date()] - reference "now", injectable for tests.
+ * @returns {Promise<{scanned:number, updated:number, plans:number, failed:Array}>}
+ */
+export async function runLateFeeAccrualSweep(now = new Date()) {
+  const summary = await runLateFeeAccrual(now);
+  console.log('[lateFees]', JSON.stringify(summary));
+  return summary;
+}
+
+/**
+ * Register the late fee accrual cron.
+ * Call ONCE from server startup (httpServer.listen), never on import.
+ */
+export function registerLateFeeAccrualJob() {
+  cron.schedule(
+    LATE_FEE_ACCRUAL_CRON,
+    () => {
+      runLateFeeAccrualSweep().catch((err) =>
+        console.error('[lateFees] fatal:', err.message)
+      );
+    },
+    { timezone: TZ }
+  );
+  console.log(`[lateFees] cron registered (cron='${LATE_FEE_ACCRUAL_CRON}', tz='${TZ}')`);
+}
+
+export default { registerLateFeeAccrualJob, runLateFeeAccrualSweep };
@@ -0,0 +1,48 @@
+// File: jobs/reassignStaleLeads.js
+// Description: node-cron — lead assignment SLA sweep. Every 10 minutes:
+//   rule-routed leads nobody has contacted by their SLA deadline are moved to
+//   another member of the project's rules, or escalated to lead assigners
+//   once the rule's re-assignments are used up.
+//
+//   Registration mirrors jobs/releaseExpiredUnitHolds.js: the work function
+//   (runLeadAssignmentSlaSweep) is exported separately from the registration
+//   function (registerLeadAssignmentSlaJob). NEVER fires on import.
+
+import cron from 'node-cron';
+import { sweepAssignmentSlas } from '../services/leadAssignmentService.js';
+
+const LEAD_ASSIGNMENT_SLA_CRON = process.env.LEAD_ASSIGNMENT_SLA_CRON || '*/10 * * * *';
+const TZ = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Run one SLA sweep.
+ *
+ * @param {Date} [now=new Date()] - reference "now", injectable for tests.
+ * @returns {Promise<{checked:number, touched:number, reassigned:number, escalated:number, failed:Array}>}
+ */
+export async function runLeadAssignmentSlaSweep(now = new Date()) {
+  const summary = await sweepAssignmentSlas(now);
+  if (summary.reassigned || summary.escalated || summary.failed.length) {
+    console.log('[leadAssignment]', JSON.stringify(summary));
+  }
+  return summary;
+}
+
+/**
+ * Register the lead assignment SLA cron.
+ * Call ONCE from server startup (httpServer.listen), never on import.
+ */
+export function registerLeadAssignmentSlaJob() {
+  cron.schedule(
+    LEAD_ASSIGNMENT_SLA_CRON,
+    () => {
+      runLeadAssignmentSlaSweep().catch((err) =>
+        console.error('[leadAssignment] fatal:', err.message)
+      );
+    },
+    { timezone: TZ }
+  );
+  console.log(`[leadAssignment] cron registered (cron='${LEAD_ASSIGNMENT_SLA_CRON}', tz='${TZ}')`);
+}
+
+export default { registerLeadAssignmentSlaJob, runLeadAssignmentSlaSweep };
@@ -0,0 +1,47 @@
+// File: jobs/releaseExpiredUnitHolds.js
+// Description: node-cron — unit hold expiry sweep. Every 15 minutes:
+//   expired holds are closed, their units go back to 'available' and the
+//   holder is notified; holds about to lapse get a one-time reminder.
+//
+//   Registration mirrors jobs/reflectionReminders.js: the work function
+//   (runUnitHoldExpirySweep) is exported separately from the registration
+//   function (registerUnitHoldExpiryJob). NEVER fires on import.
+
+import cron from 'node-cron';
+import { releaseExpiredHolds } from '../services/unitHoldService.js';
+
+const UNIT_HOLD_CRON = process.env.UNIT_HOLD_CRON || '*/15 * * * *';
+const TZ = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Run one expiry sweep.
+ *
+ * @param {Date} [now=new Date()] - reference "now", injectable for tests.
+ * @returns {Promise<{expired:number, reminded:number, failed:Array}>}
+ */
+export async function runUnitHoldExpirySweep(now = new Date()) {
+  const summary = await releaseExpiredHolds(now);
+  if (summary.expired || summary.reminded || summary.failed.length) {
+    console.log('[unitHolds]', JSON.stringify(summary));
+  }
+  return summary;
+}
+
+/**
+ * Register the unit hold expiry cron.
+ * Call ONCE from server startup (httpServer.listen), never on import.
+ */
+export function registerUnitHoldExpiryJob() {
+  cron.schedule(
+    UNIT_HOLD_CRON,
+    () => {
+      runUnitHoldExpirySweep().catch((err) =>
+        console.error('[unitHolds] fatal:', err.message)
+      );
+    },
+    { timezone: TZ }
+  );
+  console.log(`[unitHolds] cron registered (cron='${UNIT_HOLD_CRON}', tz='${TZ}')`);
+}
+
+export default { registerUnitHoldExpiryJob, runUnitHoldExpirySweep };
@@ -0,0 +1,47 @@
+// File: jobs/sendInstallmentReminders.js
+// Description: node-cron — daily installment dunning sweep. Emails the demand
+//   letter or reminder each open installment is due for under its project's
+//   reminder cadence and logs it in Installment.remindersSent.
+//
+//   Registration mirrors jobs/releaseExpiredUnitHolds.js: the work function
+//   (runInstallmentReminderSweep) is exported separately from the
+//   registration function (registerInstallmentReminderJob). NEVER fires on
+//   import.
+
+import cron from 'node-cron';
+import { runDunningCycle } from '../services/dunningService.js';
+
+// 09:30 local — letters land at the start of the business day
+const INSTALLMENT_REMINDER_CRON = process.env.INSTALLMENT_REMINDER_CRON || '30 9 * * *';
+const TZ = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Run one dunning sweep.
+ *
+ * @param {Date} [now=new Date()] - reference "now", injectable for tests.
+ * @returns {Promise<{scanned:number, sent:object, skipped:number, failed:Array}>}
+ */
+export async function runInstallmentReminderSweep(now = new Date()) {
+  const summary = await runDunningCycle(now);
+  console.log('[dunning]', JSON.stringify(summary));
+  return summary;
+}
+
+/**
+ * Register the installment reminder cron.
+ * Call ONCE from server startup (httpServer.listen), never on import.
+ */
+export function registerInstallmentReminderJob() {
+  cron.schedule(
+    INSTALLMENT_REMINDER_CRON,
+    () => {
+      runInstallmentReminderSweep().catch((err) =>
+        console.error('[dunning] fatal:', err.message)
+      );
+    },
+    { timezone: TZ }
+  );
+  console.log(`[dunning] cron registered (cron='${INSTALLMENT_REMINDER_CRON}', tz='${TZ}')`);
+}
+
+export default { registerInstallmentReminderJob, runInstallmentReminderSweep };
@@ -0,0 +1,48 @@
+// File: jobs/sendSiteVisitReminders.js
+// Description: node-cron — site visit reminders. Every 15 minutes: scheduled
+//   visits within a day get a one-time 'day_before' reminder and, shortly
+//   before the slot, an 'upcoming' one — email to the client, in-app to the
+//   sales executive.
+//
+//   Registration mirrors jobs/releaseExpiredUnitHolds.js: the work function
+//   (runSiteVisitReminders) is exported separately from the registration
+//   function (registerSiteVisitReminderJob). NEVER fires on import.
+
+import cron from 'node-cron';
+import { sendSiteVisitReminders } from '../services/siteVisitService.js';
+
+const SITE_VISIT_REMINDER_CRON = process.env.SITE_VISIT_REMINDER_CRON || '*/15 * * * *';
+const TZ = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+/**
+ * Run one reminder sweep.
+ *
+ * @param {Date} [now=new Date()] - reference "now", injectable for tests.
+ * @returns {Promise<{reminded:number, failed:Array}>}
+ */
+export async function runSiteVisitReminders(now = new Date()) {
+  const summary = await sendSiteVisitReminders(now);
+  if (summary.reminded || summary.failed.length) {
+    console.log('[siteVisits]', JSON.stringify(summary));
+  }
+  return summary;
+}
+
+/**
+ * Register the site visit reminder cron.
+ * Call ONCE from server startup (httpServer.listen), never on import.
+ */
+export function registerSiteVisitReminderJob() {
+  cron.schedule(
+    SITE_VISIT_REMINDER_CRON,
+    () => {
+      runSiteVisitReminders().catch((err) =>
+        console.error('[siteVisits] fatal:', err.message)
+      );
+    },
+    { timezone: TZ }
+  );
+  console.log(`[siteVisits] cron registered (cron='${SITE_VISIT_REMINDER_CRON}', tz='${TZ}')`);
+}
+
+export default { registerSiteVisitReminderJob, runSiteVisitReminders };
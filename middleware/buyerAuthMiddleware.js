@@ -0,0 +1,33 @@
+// File: middleware/buyerAuthMiddleware.js
+// Description: Protects buyer portal routes. Verifies a buyer-audience JWT
+// (issued by the OTP sign-in, never a staff token) and attaches req.buyer with
+// the lead and sale ids the buyer may read.
+
+import asyncHandler from 'express-async-handler';
+import { verifyBuyerToken, resolveBuyer } from '../services/buyerPortalService.js';
+
+const protectBuyer = asyncHandler(async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer')) {
+    res.status(401);
+    throw new Error('Not authorized, no token');
+  }
+
+  let buyerKey;
+  try {
+    buyerKey = verifyBuyerToken(header.split(' ')[1]);
+  } catch (error) {
+    res.status(401);
+    throw new Error('Not authorized, token failed');
+  }
+
+  try {
+    req.buyer = await resolveBuyer(buyerKey);
+  } catch (error) {
+    if (error.statusCode) res.status(error.statusCode);
+    throw error;
+  }
+  next();
+});
+
+export { protectBuyer };
@@ -0,0 +1,190 @@
+// File: models/adjustmentNoteModel.js
+// Description: Credit and debit notes — corrections to an issued tax invoice
+//   without cancelling it (section 34 of the CGST Act). A credit note reduces
+//   lines of the invoice; a debit note raises them or adds a charge. Each
+//   line is taxed at the original line's rate and place of supply, and the
+//   note takes its number from the project's credit or debit note series.
+//   The invoice keeps running totals in invoice.adjustments, which set what
+//   the customer still owes (services/financeDocumentService.js).
+
+import mongoose from 'mongoose';
+
+export const ADJUSTMENT_NOTE_TYPES = {
+  credit_note: 'Credit Note',
+  debit_note: 'Debit Note',
+};
+
+export const ADJUSTMENT_NOTE_REASONS = {
+  price_revision: 'Revision of price',
+  discount: 'Discount after supply',
+  component_withdrawn: 'Component withdrawn or not supplied',
+  excess_charged: 'Excess amount charged',
+  short_charged: 'Amount short charged',
+  additional_charge: 'Additional charge',
+  correction_in_invoice: 'Correction in invoice',
+  other: 'Other',
+};
+
+const adjustmentLineSchema = new mongoose.Schema(
+  {
+    // The invoice line adjusted; absent for a charge a debit note adds
+    invoiceLineItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    description: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    hsnSacCode: {
+      type: String,
+      trim: true,
+    },
+    // Change in the line's value before tax
+    amount: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    taxable: {
+      type: Boolean,
+      default: true,
+    },
+    gstRate: { type: Number, default: 0, min: 0, max: 30 },
+    taxableValue: { type: Number, default: 0 },
+    cgstRate: { type: Number, default: 0, min: 0 },
+    cgstAmount: { type: Number, default: 0, min: 0 },
+    sgstRate: { type: Number, default: 0, min: 0 },
+    sgstAmount: { type: Number, default: 0, min: 0 },
+    igstRate: { type: Number, default: 0, min: 0 },
+    igstAmount: { type: Number, default: 0, min: 0 },
+    gstAmount: { type: Number, default: 0, min: 0 },
+  },
+  { _id: true }
+);
+
+const adjustmentNoteSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Project',
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Invoice',
+    },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+    unit: { type: mongoose.Schema.Types.ObjectId, ref: 'Unit' },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+
+    noteType: {
+      type: String,
+      enum: Object.keys(ADJUSTMENT_NOTE_TYPES),
+      required: true,
+    },
+    noteNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    numberSeries: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentSeries',
+    },
+    seriesSequence: Number,
+    financialYear: String,
+    noteDate: {
+      type: Date,
+      required: true,
+    },
+
+    reason: {
+      type: String,
+      enum: Object.keys(ADJUSTMENT_NOTE_REASONS),
+      required: true,
+    },
+    reasonDetails: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+
+    // Copied from the invoice: a note is taxed as the invoice was
+    placeOfSupply: {
+      code: { type: String, trim: true },
+      name: { type: String, trim: true },
+    },
+    taxType: {
+      type: String,
+      enum: ['intra_state', 'inter_state'],
+      default: 'intra_state',
+    },
+
+    lineItems: {
+      type: [adjustmentLineSchema],
+      validate: [(lines) => lines.length > 0, 'A note needs at least one line.'],
+    },
+    totals: {
+      subtotal: { type: Number, default: 0 },
+      taxableAmount: { type: Number, default: 0 },
+      cgstAmount: { type: Number, default: 0 },
+      sgstAmount: { type: Number, default: 0 },
+      igstAmount: { type: Number, default: 0 },
+      totalGstAmount: { type: Number, default: 0 },
+      totalAmount: { type: Number, default: 0 },
+      amountInWords: String,
+    },
+
+    status: {
+      type: String,
+      enum: ['issued', 'cancelled'],
+      default: 'issued',
+    },
+    cancellation: {
+      reason: String,
+      cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      cancelledAt: Date,
+    },
+
+    pdfFile: {
+      fileName: String,
+      s3Key: String,
+      file: { type: mongoose.Schema.Types.ObjectId, ref: 'File' },
+      generatedAt: Date,
+      error: String,
+    },
+    emailedTo: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    emailedAt: Date,
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+adjustmentNoteSchema.index({ organization: 1, noteNumber: 1 }, { unique: true });
+adjustmentNoteSchema.index({ organization: 1, invoice: 1, status: 1 });
+adjustmentNoteSchema.index({ organization: 1, project: 1, noteDate: -1 });
+
+const AdjustmentNote = mongoose.model('AdjustmentNote', adjustmentNoteSchema);
+
+export default AdjustmentNote;
@@ -13,6 +13,7 @@ export const APPROVAL_TYPES = [
   'INSTALLMENT_MODIFICATION',
   'COMMISSION_PAYOUT',
   'INVOICE_APPROVAL',
+  'UNIT_HOLD_EXTENSION',
 ];
 
 // ─── Sub-schemas ──────────────────────────────────────────────
@@ -100,6 +101,14 @@ const approvalPolicySchema = new mongoose.Schema(
       max: 100,
     },
 
+    // For UNIT_HOLD_EXTENSION: extensions up to this many hours apply
+    // immediately; anything longer needs approval (0 = every extension)
+    holdExtensionThresholdHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+    },
+
     // For REFUND_APPROVAL: amount-based thresholds
     amountThresholds: [amountThresholdSchema],
 
@@ -21,6 +21,9 @@ export const APPROVAL_ENTITY_TYPES = [
   'Invoice',
   'Installment',
   'PartnerCommission',
+  'UnitHold',
+  'PriceList',
+  'CancellationSettlement',
 ];
 
 // ─── Sub-schemas ──────────────────────────────────────────────
@@ -175,6 +178,12 @@ const approvalRequestSchema = new mongoose.Schema(
       proposedPrice: { type: Number },
       basePrice: { type: Number },
       deviationPercentage: { type: Number },
+      // PRICE_OVERRIDE on a PriceList (deviationPercentage = largest unit change)
+      priceListVersion: { type: Number },
+      unitsAffected: { type: Number },
+      averageChangePercent: { type: Number },
+      totalBefore: { type: Number },
+      totalAfter: { type: Number },
 
       // REFUND_APPROVAL
       refundAmount: { type: Number },
@@ -186,6 +195,12 @@ const approvalRequestSchema = new mongoose.Schema(
       originalValue: { type: mongoose.Schema.Types.Mixed },
       proposedValue: { type: mongoose.Schema.Types.Mixed },
 
+      // UNIT_HOLD_EXTENSION
+      extensionHours: { type: Number },
+      currentExpiresAt: { type: Date },
+      requestedExpiresAt: { type: Date },
+      leadId: { type: mongoose.Schema.Types.ObjectId },
+
       // SALE_CANCELLATION
       cancellationReason: { type: String },
       salePriceAtCancellation: { type: Number },
@@ -0,0 +1,93 @@
+// File: models/bankStatementLineModel.js
+// Description: One entry of an uploaded bank statement and its
+//   reconciliation state against PaymentTransaction
+//   (services/bankReconciliationService.js):
+//
+//     unmatched   — no candidate good enough; waits in the review queue
+//     suggested   — likely transaction(s) found, finance confirms or picks one
+//     discrepancy — paired by cheque/reference but the amounts differ
+//     matched     — paired and the transaction verified
+//     ignored     — not a buyer receipt (bank charges, transfers, …)
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const STATEMENT_LINE_STATUSES = ['unmatched', 'suggested', 'discrepancy', 'matched', 'ignored'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const candidateSchema = new mongoose.Schema(
+  {
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction', required: true },
+    score: { type: Number, required: true },
+    reasons: [{ type: String }],
+  },
+  { _id: false }
+);
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const bankStatementLineSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    statement: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BankStatement',
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    lineNumber: { type: Number, required: true },
+
+    // Parsed entry
+    valueDate: { type: Date, required: true },
+    bookingDate: { type: Date },
+    amount: { type: Number, required: true, min: 0 },
+    direction: { type: String, enum: ['credit', 'debit'], required: true },
+    description: { type: String, trim: true },
+    reference: { type: String, trim: true },
+    chequeNumber: { type: String, trim: true },
+    bankReference: { type: String, trim: true },
+    // Same entry uploaded twice (overlapping statements) is imported once
+    fingerprint: { type: String, required: true },
+
+    // Reconciliation
+    status: {
+      type: String,
+      enum: STATEMENT_LINE_STATUSES,
+      default: 'unmatched',
+    },
+    candidates: [candidateSchema],
+    matchedTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PaymentTransaction',
+      default: null,
+    },
+    matchScore: { type: Number },
+    matchReasons: [{ type: String }],
+    // Statement amount − transaction amount, when they differ
+    discrepancyAmount: { type: Number, default: 0 },
+    autoMatched: { type: Boolean, default: false },
+    matchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    matchedAt: { type: Date },
+    ignoreReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+bankStatementLineSchema.index({ organization: 1, fingerprint: 1 }, { unique: true });
+bankStatementLineSchema.index({ organization: 1, status: 1, valueDate: -1 });
+bankStatementLineSchema.index({ statement: 1, lineNumber: 1 });
+bankStatementLineSchema.index({ matchedTransaction: 1 });
+
+const BankStatementLine = mongoose.model('BankStatementLine', bankStatementLineSchema);
+
+export default BankStatementLine;
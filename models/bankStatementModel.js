@@ -0,0 +1,63 @@
+// File: models/bankStatementModel.js
+// Description: An uploaded bank statement (CSV, MT940 or CAMT.053). The
+//   statement's lines live in BankStatementLine; this document keeps the
+//   header (account, period, balances) and the reconciliation tally.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const BANK_STATEMENT_FORMATS = ['csv', 'mt940', 'camt053'];
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const bankStatementSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    // Optional: a statement for a project's collection account. Lines then
+    // only match that project's transactions.
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    fileName: { type: String, trim: true },
+    format: { type: String, enum: BANK_STATEMENT_FORMATS, required: true },
+    account: {
+      accountNumber: { type: String, trim: true },
+      bankName: { type: String, trim: true },
+      currency: { type: String, trim: true },
+    },
+    periodFrom: { type: Date },
+    periodTo: { type: Date },
+    openingBalance: { type: Number },
+    closingBalance: { type: Number },
+
+    lineCount: { type: Number, default: 0 },
+    // Lines already imported from an earlier statement and skipped
+    duplicateLines: { type: Number, default: 0 },
+    summary: {
+      autoVerified: { type: Number, default: 0 },
+      suggested: { type: Number, default: 0 },
+      discrepancies: { type: Number, default: 0 },
+      unmatched: { type: Number, default: 0 },
+    },
+
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bankStatementSchema.index({ organization: 1, createdAt: -1 });
+
+const BankStatement = mongoose.model('BankStatement', bankStatementSchema);
+
+export default BankStatement;
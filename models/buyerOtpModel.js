@@ -0,0 +1,25 @@
+// File: models/buyerOtpModel.js
+// Description: Short-lived one-time codes for buyer portal sign-in, keyed by the
+// normalised email or phone the buyer entered. TTL-expired.
+
+import mongoose from 'mongoose';
+
+export const BUYER_OTP_CHANNELS = ['email', 'phone'];
+
+const buyerOtpSchema = new mongoose.Schema(
+  {
+    channel: { type: String, enum: BUYER_OTP_CHANNELS, required: true },
+    // Lower-cased email, or the last 10 digits of the phone number
+    identifier: { type: String, required: true, trim: true },
+    codeHash: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    attempts: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+buyerOtpSchema.index({ channel: 1, identifier: 1 }, { unique: true });
+buyerOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL auto-cleanup
+
+const BuyerOtp = mongoose.model('BuyerOtp', buyerOtpSchema);
+export default BuyerOtp;
@@ -0,0 +1,55 @@
+// File: models/calendarFeedModel.js
+// Description: A user's subscribable ICS feed. The feed URL carries a random
+//   token; only its SHA-256 hash is stored, so a leaked database never yields
+//   working URLs. Revoking a feed stops it immediately; a user can keep a few
+//   (phone, laptop, a shared calendar) and revoke each one separately.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// What a feed can include. Every feed defaults to all of them.
+export const CALENDAR_FEED_SOURCES = ['followUps', 'meetings', 'siteVisits', 'tasks'];
+
+export const MAX_ACTIVE_FEEDS_PER_USER = 5;
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const calendarFeedSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    name: { type: String, trim: true, maxlength: 100, default: 'My PropVantage schedule' },
+    // SHA-256 of the URL token. The token itself is shown once, at creation.
+    tokenHash: { type: String, required: true, select: false },
+    // First characters of the token, so users can tell their feeds apart.
+    tokenPrefix: { type: String, required: true },
+    include: {
+      followUps: { type: Boolean, default: true },
+      meetings: { type: Boolean, default: true },
+      siteVisits: { type: Boolean, default: true },
+      tasks: { type: Boolean, default: true },
+    },
+    revokedAt: { type: Date, default: null },
+    lastAccessedAt: { type: Date },
+    accessCount: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+calendarFeedSchema.index({ tokenHash: 1 }, { unique: true });
+calendarFeedSchema.index({ user: 1, revokedAt: 1 });
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+export default CalendarFeed;
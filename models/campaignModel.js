@@ -0,0 +1,97 @@
+// File: models/campaignModel.js
+// Description: A marketing campaign — a channel, a budget, a flight window and
+//   the UTM parameters (or capture sources) that identify its leads. Spend is
+//   recorded as dated entries so cost per lead / visit / booking can be worked
+//   out for any period (services/roiTrackingService.js). Leads are linked to a
+//   campaign through Lead.campaign, set at capture or creation
+//   (services/campaignService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const CAMPAIGN_CHANNELS = [
+  'google_ads',
+  'facebook',
+  'instagram',
+  'property_portal',
+  'email',
+  'sms',
+  'whatsapp',
+  'print',
+  'outdoor',
+  'radio',
+  'tv',
+  'event',
+  'referral',
+  'other',
+];
+
+export const CAMPAIGN_STATUSES = ['draft', 'active', 'paused', 'completed'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const spendEntrySchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    description: { type: String, trim: true, maxlength: 300 },
+    // Vendor invoice / ad-platform billing reference
+    reference: { type: String, trim: true, maxlength: 100 },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    recordedAt: { type: Date, default: Date.now },
+  }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const campaignSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    // null = a brand campaign for every project
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    name: { type: String, required: true, trim: true, maxlength: 150 },
+    channel: { type: String, enum: CAMPAIGN_CHANNELS, required: true },
+    status: { type: String, enum: CAMPAIGN_STATUSES, default: 'draft' },
+    budget: { type: Number, min: 0, default: 0 },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date },
+    // A captured lead whose attribution matches these (case-insensitive) is
+    // linked to the campaign. utm.campaign is required for matching; the
+    // others narrow it when set.
+    utm: {
+      source: { type: String, trim: true, lowercase: true },
+      medium: { type: String, trim: true, lowercase: true },
+      campaign: { type: String, trim: true, lowercase: true },
+      content: { type: String, trim: true, lowercase: true },
+      term: { type: String, trim: true, lowercase: true },
+    },
+    // Every lead from these capture sources belongs to the campaign while it runs.
+    captureSources: [{ type: mongoose.Schema.Types.ObjectId, ref: 'LeadCaptureSource' }],
+    spendEntries: [spendEntrySchema],
+    // Sum of spendEntries, kept by the pre-save hook for list views.
+    totalSpend: { type: Number, default: 0 },
+    notes: { type: String, trim: true, maxlength: 2000 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+campaignSchema.pre('save', function (next) {
+  this.totalSpend = (this.spendEntries || []).reduce((sum, e) => sum + (e.amount || 0), 0);
+  next();
+});
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+campaignSchema.index({ organization: 1, status: 1, startDate: -1 });
+campaignSchema.index({ organization: 1, 'utm.campaign': 1 });
+campaignSchema.index({ organization: 1, captureSources: 1 });
+
+const Campaign = mongoose.model('Campaign', campaignSchema);
+
+export default Campaign;
@@ -0,0 +1,101 @@
+// File: models/cancellationSettlementModel.js
+// Description: What a buyer is owed when a booking is cancelled — the money
+//   received, each deduction under the project's cancellationPolicy and the
+//   net refund. Goes through REFUND_APPROVAL; approval cancels the sale and
+//   releases the unit, and the refund payout is recorded against the sale's
+//   PaymentTransactions (services/cancellationSettlementService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// pending_approval → approved → refunding → refunded
+//                  → rejected
+// approved with nothing to refund closes straight away ('closed')
+export const SETTLEMENT_STATUSES = ['pending_approval', 'approved', 'refunding', 'rejected', 'refunded', 'closed'];
+export const SETTLEMENT_DEDUCTION_CODES = ['forfeiture', 'brokerage', 'gst', 'interest'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const deductionSchema = new mongoose.Schema(
+  {
+    code: { type: String, enum: SETTLEMENT_DEDUCTION_CODES, required: true },
+    label: { type: String, required: true },
+    amount: { type: Number, required: true, min: 0 },
+    // How the amount was arrived at, for the statement
+    basis: { type: String },
+  },
+  { _id: false }
+);
+
+const refundTransactionSchema = new mongoose.Schema(
+  {
+    transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction', required: true },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: false }
+);
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const cancellationSettlementSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+    unit: { type: mongoose.Schema.Types.ObjectId, ref: 'Unit' },
+    customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead' },
+    paymentPlan: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentPlan' },
+
+    statementNumber: { type: String, required: true, trim: true },
+    reason: { type: String, required: true, trim: true },
+
+    // Policy as applied, so later config edits don't rewrite the statement
+    policy: { type: Object, required: true },
+
+    agreementValue: { type: Number, required: true },
+    amountReceived: { type: Number, required: true },
+    principalReceived: { type: Number, default: 0 },
+    gstReceived: { type: Number, default: 0 },
+    interestReceived: { type: Number, default: 0 },
+    brokeragePaid: { type: Number, default: 0 },
+
+    deductions: [deductionSchema],
+    totalDeductions: { type: Number, required: true },
+    refundAmount: { type: Number, required: true, min: 0 },
+    // Deductions the money received did not cover; not collected
+    uncoveredDeductions: { type: Number, default: 0 },
+
+    status: { type: String, enum: SETTLEMENT_STATUSES, default: 'pending_approval' },
+    approvalRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRequest' },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    rejectedAt: { type: Date },
+
+    // PartnerCommission adjustments made when the sale was cancelled
+    commissionAdjustments: [{ type: Object }],
+
+    refund: {
+      refundDate: { type: Date },
+      refundMethod: { type: String, enum: ['bank_transfer', 'cheque', 'cash', 'adjustment'] },
+      refundReference: { type: String, trim: true },
+      refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      transactions: [refundTransactionSchema],
+    },
+
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+cancellationSettlementSchema.index({ organization: 1, sale: 1, createdAt: -1 });
+cancellationSettlementSchema.index({ organization: 1, status: 1 });
+cancellationSettlementSchema.index({ organization: 1, statementNumber: 1 }, { unique: true });
+
+const CancellationSettlement = mongoose.model('CancellationSettlement', cancellationSettlementSchema);
+
+export default CancellationSettlement;
@@ -0,0 +1,62 @@
+// File: models/chequeDepositBatchModel.js
+// Description: A deposit slip — buyer cheques for one project handed to the
+//   bank together. Each cheque is a PaymentTransaction pointing back here via
+//   paymentMethodDetails.depositBatch; the batch closes once every cheque on
+//   it has cleared or bounced (services/chequeService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const DEPOSIT_BATCH_STATUSES = ['deposited', 'partially_cleared', 'closed'];
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const chequeDepositBatchSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    batchNumber: { type: String, required: true, trim: true },
+    depositDate: { type: Date, required: true },
+    // depositDate plus the project's chequeHandling.clearingDays
+    expectedClearingDate: { type: Date },
+    depositedInAccount: {
+      bankName: { type: String, trim: true },
+      accountNumber: { type: String, trim: true },
+      ifscCode: { type: String, trim: true },
+    },
+    slipNumber: { type: String, trim: true },
+
+    cheques: [{ type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction' }],
+    totalAmount: { type: Number, default: 0 },
+    clearedCount: { type: Number, default: 0 },
+    clearedAmount: { type: Number, default: 0 },
+    bouncedCount: { type: Number, default: 0 },
+    bouncedAmount: { type: Number, default: 0 },
+
+    status: { type: String, enum: DEPOSIT_BATCH_STATUSES, default: 'deposited' },
+    closedAt: { type: Date },
+
+    depositedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+chequeDepositBatchSchema.index({ organization: 1, batchNumber: 1 }, { unique: true });
+chequeDepositBatchSchema.index({ project: 1, depositDate: -1 });
+
+const ChequeDepositBatch = mongoose.model('ChequeDepositBatch', chequeDepositBatchSchema);
+
+export default ChequeDepositBatch;
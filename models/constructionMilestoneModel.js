@@ -60,6 +60,33 @@ const constructionMilestoneSchema = new mongoose.Schema(
       ],
       required: true
     },
+    // Tower the milestone belongs to; null = project-wide
+    tower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tower',
+      default: null
+    },
+    // Installment demands raised when this milestone completes
+    // (services/milestoneDemandService.js)
+    installmentDemand: {
+      // Hold the demands until every required quality check has passed
+      requireQualityChecks: {
+        type: Boolean,
+        default: false
+      },
+      raisedAt: {
+        type: Date,
+        default: null
+      },
+      raisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      installmentsRaised: {
+        type: Number,
+        default: 0
+      }
+    },
     // Milestone hierarchy
     parentMilestone: {
       type: mongoose.Schema.Types.ObjectId,
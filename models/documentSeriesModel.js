@@ -0,0 +1,115 @@
+// File: models/documentSeriesModel.js
+// Description: Numbering series for tax invoices, payment receipts and credit
+//   and debit notes. One
+//   document per organization, project, document type and financial year
+//   holds the format and the last number issued. A project without its own
+//   series shares the organization-wide one (project: null). Numbers are
+//   taken by services/documentSeriesService.js in the same transaction that
+//   stamps them on the document, so the series has no gaps.
+
+import mongoose from 'mongoose';
+
+// Document types with their default prefix
+export const SERIES_DOCUMENT_TYPES = {
+  tax_invoice: { label: 'Tax invoice', prefix: 'INV' },
+  receipt: { label: 'Payment receipt', prefix: 'RCT' },
+  credit_note: { label: 'Credit note', prefix: 'CN' },
+  debit_note: { label: 'Debit note', prefix: 'DN' },
+};
+export const SERIES_DOCUMENT_TYPE_KEYS = Object.keys(SERIES_DOCUMENT_TYPES);
+
+// Placeholders: {PREFIX}, {FY} (2026-27), {FY_SHORT} (2627), {SEQ} (zero-padded)
+export const DEFAULT_SERIES_FORMAT = '{PREFIX}/{FY_SHORT}/{SEQ}';
+export const DEFAULT_SERIES_PADDING = 5;
+
+const documentSeriesSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    // null = the organization-wide series
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null,
+    },
+    documentType: {
+      type: String,
+      enum: SERIES_DOCUMENT_TYPE_KEYS,
+      required: true,
+    },
+    // '2026-27'
+    financialYear: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}$/,
+    },
+    prefix: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 10,
+    },
+    format: {
+      type: String,
+      default: DEFAULT_SERIES_FORMAT,
+      trim: true,
+    },
+    padding: {
+      type: Number,
+      default: DEFAULT_SERIES_PADDING,
+      min: 1,
+      max: 10,
+    },
+    // First number of the year; above 1 when continuing a book kept elsewhere
+    startNumber: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Last number issued; startNumber - 1 until the first is taken
+    lastNumber: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+documentSeriesSchema.index(
+  { organization: 1, project: 1, documentType: 1, financialYear: 1 },
+  { unique: true }
+);
+
+documentSeriesSchema.virtual('issuedCount').get(function () {
+  return Math.max(0, this.lastNumber - (this.startNumber - 1));
+});
+
+/**
+ * The document number for a sequence value in this series.
+ */
+documentSeriesSchema.methods.formatNumber = function (sequence) {
+  return formatSeriesNumber(this, sequence);
+};
+
+/**
+ * Render a series format. Works on plain objects too (lean reads, previews).
+ */
+export const formatSeriesNumber = ({ prefix, format, padding, financialYear }, sequence) => {
+  const [startYear, endYear] = String(financialYear).split('-');
+  return String(format || DEFAULT_SERIES_FORMAT)
+    .replace(/\{PREFIX\}/g, prefix)
+    .replace(/\{FY\}/g, financialYear)
+    .replace(/\{FY_SHORT\}/g, `${startYear.slice(-2)}${endYear}`)
+    .replace(/\{SEQ\}/g, String(sequence).padStart(padding || DEFAULT_SERIES_PADDING, '0'));
+};
+
+const DocumentSeries = mongoose.model('DocumentSeries', documentSeriesSchema);
+
+export default DocumentSeries;
@@ -2,6 +2,8 @@
 // Description: Defines the Mongoose schema for document templates
 
 import mongoose from 'mongoose';
+import { SALES_PACK_DOCUMENT_KEYS } from './salesDocumentPackModel.js';
+import { SERIES_DOCUMENT_TYPE_KEYS } from './documentSeriesModel.js';
 
 const documentTemplateSchema = new mongoose.Schema(
   {
@@ -44,11 +46,30 @@ const documentTemplateSchema = new mongoose.Schema(
       ],
       required: true
     },
-    // Template file reference
+    // Template file reference (an uploaded HTML/text template)
     templateFile: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'File',
-      required: true
+      required: function() { return !this.content; }
+    },
+    // Template markup kept inline; takes precedence over templateFile
+    content: {
+      type: String,
+      maxlength: [500000, 'Template content cannot exceed 500000 characters']
+    },
+    // Replaces the built-in template for this booking pack document
+    // (services/salesDocumentPackService.js)
+    salesPackDocument: {
+      type: String,
+      enum: [...SALES_PACK_DOCUMENT_KEYS, null],
+      default: null
+    },
+    // Replaces the built-in layout for tax invoices or payment receipts
+    // (services/financeDocumentService.js)
+    financeDocument: {
+      type: String,
+      enum: [...SERIES_DOCUMENT_TYPE_KEYS, null],
+      default: null
     },
     // Template fields that can be populated
     fields: [{
@@ -150,7 +171,7 @@ const documentTemplateSchema = new mongoose.Schema(
       // Resource types this template can be used for
       applicableResourceTypes: [{
         type: String,
-        enum: ['Lead', 'Project', 'Sale', 'Unit', 'User', 'Organization', 'Commission', 'Payment']
+        enum: ['Lead', 'Project', 'Sale', 'Unit', 'User', 'Organization', 'Commission', 'Payment', 'PaymentPlan']
       }],
       // Whether template requires approval after generation
       requiresApproval: {
@@ -248,6 +269,8 @@ documentTemplateSchema.index({ organization: 1, category: 1 });
 documentTemplateSchema.index({ organization: 1, type: 1 });
 documentTemplateSchema.index({ tags: 1 });
 documentTemplateSchema.index({ 'usage.applicableResourceTypes': 1 });
+documentTemplateSchema.index({ organization: 1, salesPackDocument: 1, isActive: 1 });
+documentTemplateSchema.index({ organization: 1, financeDocument: 1, isActive: 1 });
 
 // Text index for search functionality
 documentTemplateSchema.index({ 
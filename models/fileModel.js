@@ -29,7 +29,7 @@ const fileSchema = new mongoose.Schema(
     resourceType: {
       type: String,
       required: true,
-      enum: ['Lead', 'Project', 'Sale', 'Unit', 'User', 'Organization', 'Commission', 'Payment', 'Message'],
+      enum: ['Lead', 'Project', 'Sale', 'Unit', 'User', 'Organization', 'Commission', 'Payment', 'PaymentPlan', 'Message', 'Invoice'],
     },
     // File metadata
     originalName: {
@@ -173,6 +173,11 @@ const fileSchema = new mongoose.Schema(
         'Channel Partner Agent'
       ]
     }],
+    // Visible to the buyer in the buyer portal (Sale and Lead documents only)
+    sharedWithBuyer: {
+      type: Boolean,
+      default: false
+    },
     // Document expiry
     expiryDate: {
       type: Date,
@@ -311,6 +316,7 @@ fileSchema.index({ parentFile: 1, version: 1 });
 fileSchema.index({ tags: 1 });
 fileSchema.index({ expiryDate: 1, isExpired: 1 });
 fileSchema.index({ createdAt: -1 });
+fileSchema.index({ associatedResource: 1, sharedWithBuyer: 1 });
 
 // Text index for search functionality
 fileSchema.index({ 
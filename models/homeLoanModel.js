@@ -0,0 +1,163 @@
+// File: models/homeLoanModel.js
+// Description: A buyer's home loan case for one Sale — the lender (a project
+//   tie-up bank or any other), applied and sanctioned amounts, the sanction /
+//   disbursement status, the loan document checklist, and the expected
+//   disbursement schedule mapped to the sale's installments. When a
+//   construction-linked installment on the schedule falls due, a disbursement
+//   request letter goes to the lender (services/homeLoanService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const HOME_LOAN_STATUSES = [
+  'applied',
+  'under_process',
+  'sanctioned',
+  'rejected',
+  'partially_disbursed',
+  'fully_disbursed',
+  'cancelled',
+];
+
+export const LOAN_DOCUMENT_STATUSES = ['pending', 'submitted', 'verified', 'rejected'];
+
+export const DISBURSEMENT_STATUSES = ['scheduled', 'requested', 'disbursed', 'cancelled'];
+
+// The checklist every new case starts with; more items can be added per case.
+export const DEFAULT_LOAN_DOCUMENTS = [
+  { key: 'pan', label: 'PAN card' },
+  { key: 'aadhaar', label: 'Aadhaar' },
+  { key: 'income_proof', label: 'Income proof (salary slips / ITR)' },
+  { key: 'bank_statements', label: 'Bank statements (6 months)' },
+  { key: 'allotment_letter', label: 'Allotment letter' },
+  { key: 'agreement_for_sale', label: 'Agreement for sale' },
+  { key: 'builder_noc', label: 'Builder NOC for the loan' },
+  { key: 'own_contribution_receipts', label: 'Own contribution receipts' },
+  { key: 'sanction_letter', label: 'Sanction letter' },
+  { key: 'tripartite_agreement', label: 'Tripartite agreement', required: false },
+];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const loanDocumentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    required: { type: Boolean, default: true },
+    status: { type: String, enum: LOAN_DOCUMENT_STATUSES, default: 'pending' },
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null },
+    note: { type: String, trim: true, maxlength: 500 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const disbursementSchema = new mongoose.Schema({
+  installment: { type: mongoose.Schema.Types.ObjectId, ref: 'Installment', required: true },
+  installmentNumber: { type: Number },
+  description: { type: String, trim: true },
+  // The part of the installment the lender is expected to pay
+  expectedAmount: { type: Number, required: true, min: 0 },
+  // The installment's due date; a placeholder until a construction-linked
+  // installment's milestone completes
+  expectedDate: { type: Date },
+  status: { type: String, enum: DISBURSEMENT_STATUSES, default: 'scheduled' },
+
+  // The request letter sent to the lender
+  requestedAt: { type: Date },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  requestLetter: {
+    reference: { type: String },
+    subject: { type: String },
+    html: { type: String },
+    text: { type: String },
+    emailedTo: { type: String },
+  },
+
+  disbursedAmount: { type: Number, min: 0 },
+  disbursedAt: { type: Date },
+  // The lender's UTR / cheque reference
+  reference: { type: String, trim: true },
+  transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentTransaction', default: null },
+  recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+});
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const homeLoanSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+    // The buyer
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+
+    lender: {
+      name: { type: String, required: true, trim: true },
+      branch: { type: String, trim: true },
+      // The project's homeLoanTieUps entry, when the lender is a tie-up bank
+      tieUp: { type: mongoose.Schema.Types.ObjectId, default: null },
+      contactName: { type: String, trim: true },
+      contactEmail: { type: String, trim: true, lowercase: true },
+      contactPhone: { type: String, trim: true },
+    },
+    loanAccountNumber: { type: String, trim: true },
+    applicationReference: { type: String, trim: true },
+
+    appliedAmount: { type: Number, min: 0 },
+    sanctionedAmount: { type: Number, min: 0, default: 0 },
+    interestRate: { type: Number, min: 0, max: 100 },
+    tenureMonths: { type: Number, min: 1, max: 480 },
+    sanctionedAt: { type: Date },
+    sanctionValidUntil: { type: Date },
+    sanctionReference: { type: String, trim: true },
+    rejectionReason: { type: String, trim: true },
+
+    status: { type: String, enum: HOME_LOAN_STATUSES, default: 'applied' },
+    statusHistory: [
+      {
+        status: { type: String, enum: HOME_LOAN_STATUSES },
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        note: { type: String, trim: true },
+        _id: false,
+      },
+    ],
+
+    documents: [loanDocumentSchema],
+    disbursements: [disbursementSchema],
+    // Sum of disbursed amounts, kept by the pre-save hook
+    totalDisbursed: { type: Number, default: 0 },
+
+    notes: { type: String, trim: true, maxlength: 2000 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+homeLoanSchema.pre('save', function (next) {
+  this.totalDisbursed = (this.disbursements || [])
+    .filter((d) => d.status === 'disbursed')
+    .reduce((sum, d) => sum + (d.disbursedAmount || 0), 0);
+  next();
+});
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+// One open case per sale; rejected / cancelled cases stay for the record.
+homeLoanSchema.index(
+  { sale: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['applied', 'under_process', 'sanctioned', 'partially_disbursed', 'fully_disbursed'] } } }
+);
+homeLoanSchema.index({ organization: 1, project: 1, status: 1 });
+homeLoanSchema.index({ 'disbursements.installment': 1 });
+
+const HomeLoan = mongoose.model('HomeLoan', homeLoanSchema);
+
+export default HomeLoan;
@@ -7,7 +7,7 @@ import mongoose from 'mongoose';
 const installmentAdjustmentSchema = new mongoose.Schema({
   adjustmentType: {
     type: String,
-    enum: ['amount_change', 'date_change', 'late_fee', 'waiver', 'penalty', 'bonus', 'other'],
+    enum: ['amount_change', 'date_change', 'late_fee', 'late_fee_waiver', 'waiver', 'penalty', 'bonus', 'other'],
     required: true
   },
   originalAmount: {
@@ -43,6 +43,17 @@ const installmentAdjustmentSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Late fee waivers go through INSTALLMENT_MODIFICATION approval; a pending
+  // or rejected waiver stays inactive (services/lateFeeService.js)
+  approvalStatus: {
+    type: String,
+    enum: ['not_required', 'pending', 'approved', 'rejected'],
+    default: 'not_required'
+  },
+  approvalRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApprovalRequest'
   }
 });
 
@@ -94,6 +105,18 @@ const installmentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Construction milestone whose completion raises this installment's demand
+  // (services/milestoneDemandService.js). Until then the due date is a
+  // placeholder and the installment stays 'pending'.
+  constructionMilestone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConstructionMilestone',
+    default: null
+  },
+  demandRaisedAt: {
+    type: Date,
+    default: null
+  },
   
   // Amount details
   originalAmount: {
@@ -148,6 +171,8 @@ const installmentSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Late fee/interest accrued net of approved waivers, recomputed nightly by
+  // jobs/accrueLateFees.js from the plan's paymentTerms
   lateFeeAccrued: {
     type: Number,
     default: 0,
@@ -421,6 +446,9 @@ installmentSchema.methods.updateStatus = function() {
     this.pendingAmount = 0;
   } else if (this.paidAmount > 0) {
     this.status = 'partially_paid';
+  } else if (this.constructionMilestone && !this.demandRaisedAt) {
+    // Linked milestone not complete yet — the due date is only a placeholder
+    this.status = 'pending';
   } else if (now > graceEndDate) {
     this.status = 'overdue';
   } else if (now >= this.currentDueDate) {
@@ -533,6 +561,7 @@ installmentSchema.index({ status: 1 });
 installmentSchema.index({ currentDueDate: 1 });
 installmentSchema.index({ gracePeriodEndDate: 1 });
 installmentSchema.index({ installmentNumber: 1 });
+installmentSchema.index({ constructionMilestone: 1, status: 1 });
 
 const Installment = mongoose.model('Installment', installmentSchema);
 
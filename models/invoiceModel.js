@@ -16,10 +16,34 @@ const autoIncrement = AutoIncrement(mongoose);
 const invoiceSchema = new mongoose.Schema({
   // === BASIC IDENTIFICATION ===
   
-  // Auto-generated invoice number (per organization)
+  // Auto-generated invoice number (per organization). Drafts carry a
+  // DRAFT- reference; issuing takes the tax invoice number from the
+  // project's numbering series (services/documentSeriesService.js).
+  // Unique per organization — see the compound index below.
   invoiceNumber: {
     type: String,
-    unique: true,
+    index: true
+  },
+
+  // The DRAFT- reference the invoice had before it was issued
+  draftNumber: {
+    type: String,
+    trim: true
+  },
+
+  // Numbering series and position the tax invoice number came from
+  numberSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentSeries'
+  },
+  seriesSequence: {
+    type: Number
+  },
+
+  // When the invoice was issued: numbered, its GST fixed and its PDF produced
+  issuedAt: {
+    type: Date,
+    default: null,
     index: true
   },
   
@@ -121,7 +145,8 @@ const invoiceSchema = new mongoose.Schema({
       'paid',         // Payment received
       'overdue',      // Payment overdue
       'cancelled',    // Invoice cancelled
-      'partially_paid' // Partial payment received
+      'partially_paid', // Partial payment received
+      'credited'      // Fully reversed by credit notes
     ],
     required: true,
     default: 'draft',
@@ -210,8 +235,62 @@ const invoiceSchema = new mongoose.Schema({
       type: Number,
       default: 0,
       min: 0
-    }
+    },
+    // SAC code printed on the tax invoice (utils/gst.js resolveSacCode)
+    hsnSacCode: {
+      type: String,
+      trim: true
+    },
+    // GST split by place of supply (utils/gst.js splitGst)
+    taxableValue: {
+      type: Number,
+      default: 0
+    },
+    cgstRate: { type: Number, default: 0, min: 0 },
+    cgstAmount: { type: Number, default: 0, min: 0 },
+    sgstRate: { type: Number, default: 0, min: 0 },
+    sgstAmount: { type: Number, default: 0, min: 0 },
+    igstRate: { type: Number, default: 0, min: 0 },
+    igstAmount: { type: Number, default: 0, min: 0 }
   }],
+
+  // === GST PARTICULARS ===
+
+  // Where the supply is made — for real estate, the state the property is in.
+  // Set from the project unless overridden; fixed when the invoice is issued.
+  placeOfSupply: {
+    code: { type: String, trim: true },
+    name: { type: String, trim: true }
+  },
+
+  // intra_state = CGST + SGST, inter_state = IGST
+  taxType: {
+    type: String,
+    enum: ['intra_state', 'inter_state'],
+    default: 'intra_state'
+  },
+
+  // Tax payable by the recipient under reverse charge
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+
+  // Supplier and recipient as printed on the issued invoice
+  supplier: {
+    name: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true },
+    address: { type: String, trim: true },
+    stateCode: { type: String, trim: true },
+    stateName: { type: String, trim: true }
+  },
+  recipient: {
+    name: { type: String, trim: true },
+    gstin: { type: String, trim: true, uppercase: true },
+    address: { type: String, trim: true },
+    stateCode: { type: String, trim: true },
+    stateName: { type: String, trim: true }
+  },
   
   // Financial summary
   financialSummary: {
@@ -283,6 +362,28 @@ const invoiceSchema = new mongoose.Schema({
     paymentReference: {
       type: String,
       trim: true
+    },
+    // Paid beyond what is owed once credit notes reduce the invoice
+    refundDue: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // Credit and debit notes issued against the invoice
+  // (models/adjustmentNoteModel.js). The customer owes
+  // totalAmount + debitNoteAmount - creditNoteAmount.
+  adjustments: {
+    creditNoteAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    debitNoteAmount: {
+      type: Number,
+      default: 0,
+      min: 0
     }
   },
   
@@ -327,8 +428,72 @@ const invoiceSchema = new mongoose.Schema({
     },
     generatedAt: {
       type: Date
+    },
+    s3Key: {
+      type: String,
+      trim: true
+    },
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    },
+    // Why the last generation failed, cleared on success
+    error: {
+      type: String,
+      trim: true
     }
   },
+
+  // Receipts for payments recorded against the invoice
+  receipts: [{
+    receiptNumber: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    numberSeries: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DocumentSeries'
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    paymentDate: {
+      type: Date
+    },
+    paymentMethod: {
+      type: String,
+      trim: true
+    },
+    paymentReference: {
+      type: String,
+      trim: true
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now
+    },
+    pdfFile: {
+      fileName: String,
+      s3Key: String,
+      file: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File'
+      },
+      generatedAt: Date,
+      error: String
+    },
+    emailedTo: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    emailedAt: {
+      type: Date
+    }
+  }],
   
   // Email details
   emailDetails: {
@@ -465,6 +630,7 @@ invoiceSchema.index({ organization: 1, customer: 1, invoiceDate: -1 });
 invoiceSchema.index({ organization: 1, project: 1, invoiceDate: -1 });
 invoiceSchema.index({ organization: 1, dueDate: 1, status: 1 });
 invoiceSchema.index({ organization: 1, financialYear: 1, sequenceNumber: 1 });
+invoiceSchema.index({ organization: 1, 'receipts.receiptNumber': 1 });
 
 // Text search index
 invoiceSchema.index({
@@ -493,9 +659,21 @@ invoiceSchema.virtual('paymentProgress').get(function() {
 
 // Generate display invoice number
 invoiceSchema.virtual('displayInvoiceNumber').get(function() {
+  if (this.invoiceNumber) return this.invoiceNumber;
   return `${this.invoicePrefix}-${this.financialYear}-${String(this.sequenceNumber).padStart(6, '0')}`;
 });
 
+// What the customer owes after credit and debit notes
+invoiceSchema.virtual('netAmount').get(function() {
+  return this.netPayableAmount();
+});
+
+// Issued invoices carry a tax invoice number; legacy invoices that left draft
+// before issuing existed count as issued under their original number.
+invoiceSchema.virtual('isIssued').get(function() {
+  return Boolean(this.issuedAt) || this.status !== 'draft';
+});
+
 // === PRE-SAVE MIDDLEWARE ===
 
 invoiceSchema.pre('save', async function(next) {
@@ -555,8 +733,10 @@ invoiceSchema.methods.generateInvoiceNumber = async function() {
     // Generate next sequence number
     this.sequenceNumber = lastInvoice ? lastInvoice.sequenceNumber + 1 : 1;
     
-    // Generate formatted invoice number
-    this.invoiceNumber = `${this.invoicePrefix}-${this.financialYear}-${String(this.sequenceNumber).padStart(6, '0')}`;
+    // Generate formatted invoice number. A draft gets a DRAFT- reference so
+    // the tax invoice series only advances when the invoice is issued.
+    const prefix = this.status === 'draft' ? 'DRAFT' : this.invoicePrefix;
+    this.invoiceNumber = `${prefix}-${this.financialYear}-${String(this.sequenceNumber).padStart(6, '0')}`;
     
     return this.invoiceNumber;
   } catch (error) {
@@ -564,15 +744,28 @@ invoiceSchema.methods.generateInvoiceNumber = async function() {
   }
 };
 
+/**
+ * Invoice total after credit and debit notes
+ */
+invoiceSchema.methods.netPayableAmount = function() {
+  const total = this.financialSummary?.totalAmount || 0;
+  const debits = this.adjustments?.debitNoteAmount || 0;
+  const credits = this.adjustments?.creditNoteAmount || 0;
+  return Math.round((total + debits - credits) * 100) / 100;
+};
+
 /**
  * Update invoice status based on payment amount
  */
 invoiceSchema.methods.updateStatusBasedOnPayment = function() {
-  const totalAmount = this.financialSummary.totalAmount;
+  const totalAmount = this.netPayableAmount();
   const paidAmount = this.paymentDetails.totalPaid;
   const currentDate = new Date();
   
-  if (paidAmount === 0) {
+  if (this.adjustments?.creditNoteAmount > 0 && totalAmount <= 0) {
+    // Nothing left to bill
+    if (this.status !== 'cancelled') this.status = 'credited';
+  } else if (paidAmount === 0) {
     // No payment received
     if (currentDate > this.dueDate && this.status !== 'cancelled') {
       this.status = 'overdue';
@@ -594,6 +787,7 @@ invoiceSchema.methods.updateStatusBasedOnPayment = function() {
   
   // Update pending amount
   this.paymentDetails.pendingAmount = Math.max(0, totalAmount - paidAmount);
+  this.paymentDetails.refundDue = Math.max(0, Math.round((paidAmount - totalAmount) * 100) / 100);
 };
 
 /**
@@ -608,7 +802,7 @@ invoiceSchema.methods.recordPayment = async function(paymentData) {
       throw new Error('Payment amount must be greater than 0');
     }
     
-    if (this.paymentDetails.totalPaid + amount > this.financialSummary.totalAmount) {
+    if (this.paymentDetails.totalPaid + amount > this.netPayableAmount()) {
       throw new Error('Payment amount exceeds invoice total');
     }
     
@@ -693,10 +887,18 @@ invoiceSchema.statics.getInvoiceStatistics = async function(organizationId, filt
           _id: null,
           totalInvoices: { $sum: 1 },
           totalAmount: { $sum: '$financialSummary.totalAmount' },
+          totalCreditNotes: { $sum: { $ifNull: ['$adjustments.creditNoteAmount', 0] } },
+          totalDebitNotes: { $sum: { $ifNull: ['$adjustments.debitNoteAmount', 0] } },
           totalPaid: { $sum: '$paymentDetails.totalPaid' },
           totalPending: { $sum: '$paymentDetails.pendingAmount' },
+          totalRefundDue: { $sum: { $ifNull: ['$paymentDetails.refundDue', 0] } },
           averageInvoiceValue: { $avg: '$financialSummary.totalAmount' }
         }
+      },
+      {
+        $addFields: {
+          netAmount: { $subtract: [{ $add: ['$totalAmount', '$totalDebitNotes'] }, '$totalCreditNotes'] }
+        }
       }
     ]);
     
@@ -711,15 +913,35 @@ invoiceSchema.statics.getInvoiceStatistics = async function(organizationId, filt
       }
     ]);
     
+    // Credit and debit notes issued against these invoices
+    const invoiceIds = await this.distinct('_id', matchQuery);
+    const adjustmentNotes = await mongoose.model('AdjustmentNote').aggregate([
+      { $match: { organization: organizationId, invoice: { $in: invoiceIds }, status: 'issued' } },
+      {
+        $group: {
+          _id: '$noteType',
+          count: { $sum: 1 },
+          taxableAmount: { $sum: '$totals.taxableAmount' },
+          gstAmount: { $sum: '$totals.totalGstAmount' },
+          amount: { $sum: '$totals.totalAmount' }
+        }
+      }
+    ]);
+    
     return {
       summary: stats[0] || {
         totalInvoices: 0,
         totalAmount: 0,
+        totalCreditNotes: 0,
+        totalDebitNotes: 0,
+        netAmount: 0,
         totalPaid: 0,
         totalPending: 0,
+        totalRefundDue: 0,
         averageInvoiceValue: 0
       },
-      statusBreakdown
+      statusBreakdown,
+      adjustmentNotes
     };
   } catch (error) {
     throw new Error(`Failed to get invoice statistics: ${error.message}`);
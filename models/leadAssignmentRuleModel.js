@@ -0,0 +1,99 @@
+// File: models/leadAssignmentRuleModel.js
+// Description: How a project's new leads are routed to its sales team. Rules
+//   are tried in `priority` order; the first whose conditions match the lead
+//   (source, budget band, language, channel partner) and whose working hours
+//   allow it picks a member by `strategy`, skipping inactive members and
+//   members over their load caps. A rule-routed lead left untouched past the
+//   rule's SLA is re-assigned (services/leadAssignmentService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// round_robin: members in turn; weighted: fewest open leads per unit of weight
+export const ASSIGNMENT_STRATEGIES = ['round_robin', 'weighted'];
+
+// What a rule does when a lead arrives outside its working hours
+export const OUTSIDE_HOURS_ACTIONS = ['assign', 'next_rule'];
+
+const HH_MM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Relative share for the weighted strategy
+    weight: { type: Number, default: 1, min: 1, max: 100 },
+    // Per-member load caps; fall back to the rule's loadCaps
+    maxOpenLeads: { type: Number, min: 0 },
+    maxOpenTasks: { type: Number, min: 0 },
+    lastAssignedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const leadAssignmentRuleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    name: { type: String, required: [true, 'A name is required'], trim: true },
+    // Lower runs first
+    priority: { type: Number, default: 100 },
+    active: { type: Boolean, default: true },
+
+    // Empty / unset condition = matches any lead
+    conditions: {
+      sources: [{
+        type: String,
+        enum: ['Channel Partner', 'Management', 'Direct', 'Referral', 'Marketing', 'Cold Calling'],
+      }],
+      budgetMin: { type: Number, min: 0 },
+      budgetMax: { type: Number, min: 0 },
+      languages: [{ type: String, trim: true, lowercase: true }],
+      channelPartners: [{ type: mongoose.Schema.Types.ObjectId, ref: 'ChannelPartner' }],
+    },
+
+    strategy: { type: String, enum: ASSIGNMENT_STRATEGIES, default: 'round_robin' },
+    members: [memberSchema],
+    // Round-robin position; advanced atomically per assignment
+    cursor: { type: Number, default: 0 },
+
+    loadCaps: {
+      maxOpenLeads: { type: Number, min: 0 },
+      maxOpenTasks: { type: Number, min: 0 },
+    },
+
+    workingHours: {
+      enabled: { type: Boolean, default: false },
+      timezone: { type: String, default: 'Asia/Kolkata' },
+      // 0 = Sunday … 6 = Saturday
+      days: { type: [Number], default: [1, 2, 3, 4, 5, 6] },
+      start: { type: String, default: '09:30', match: HH_MM },
+      end: { type: String, default: '19:00', match: HH_MM },
+      outsideHours: { type: String, enum: OUTSIDE_HOURS_ACTIONS, default: 'assign' },
+    },
+
+    // Re-assign when the assignee hasn't touched the lead within `minutes`
+    // (counted in working hours when they're enabled)
+    sla: {
+      enabled: { type: Boolean, default: false },
+      minutes: { type: Number, default: 60, min: 5 },
+      // After this many re-assignments the lead is escalated instead
+      maxReassignments: { type: Number, default: 2, min: 0 },
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+leadAssignmentRuleSchema.index({ organization: 1, project: 1, active: 1, priority: 1 });
+
+const LeadAssignmentRule = mongoose.model('LeadAssignmentRule', leadAssignmentRuleSchema);
+
+export default LeadAssignmentRule;
@@ -0,0 +1,90 @@
+// File: models/leadCaptureSourceModel.js
+// Description: One inbound lead feed — a property portal, a Facebook Lead Ads
+//   form or a website form — pointed at a project. The public webhook routes by
+//   `key` (in the URL) only, never by an org/project id in the payload, and
+//   verifies every delivery with `secret` (services/leadCapture/inbound/*).
+
+import mongoose from 'mongoose';
+import encryptionPlugin from '../utils/encryptionPlugin.js';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const LEAD_CAPTURE_PROVIDERS = ['website', 'facebook', '99acres', 'magicbricks', 'housing', 'test'];
+
+// Lead fields a payload field can be mapped onto (see leadCaptureService.mapCapturedFields)
+export const CAPTURE_FIELDS = [
+  'fullName', 'firstName', 'lastName', 'email', 'phone',
+  'budget', 'budgetMin', 'budgetMax', 'unitType', 'timeline', 'message',
+  'campaign', 'medium', 'adSource', 'content', 'term', 'externalId', 'ignore',
+];
+
+// ─── Schema ───────────────────────────────────────────────────
+
+const leadCaptureSourceSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    name: { type: String, required: [true, 'A name is required'], trim: true },
+    provider: { type: String, enum: LEAD_CAPTURE_PROVIDERS, required: true },
+
+    // Public routing key, part of the webhook URL
+    key: { type: String, required: true, unique: true },
+    // HMAC key / shared token (Facebook: the app secret). Encrypted at rest.
+    secret: { type: String, required: true, select: false },
+    // Facebook subscription handshake token (hub.verify_token)
+    verifyToken: { type: String },
+    credentials: {
+      // Facebook page access token, to fetch lead details from the Graph API
+      accessToken: { type: String, select: false },
+    },
+
+    // Payload field → CAPTURE_FIELDS entry, on top of the adapter's defaults
+    fieldMapping: { type: Map, of: { type: String, enum: CAPTURE_FIELDS }, default: {} },
+
+    // Applied to every lead this feed creates
+    defaults: {
+      source: {
+        type: String,
+        enum: ['Channel Partner', 'Management', 'Direct', 'Referral', 'Marketing', 'Cold Calling'],
+        default: 'Marketing',
+      },
+      sourceDetail: { type: String, trim: true },
+      campaign: { type: String, trim: true },
+      medium: { type: String, trim: true },
+    },
+
+    // Round-robin over `assignees`; `cursor` counts assignments made
+    assignment: {
+      assignees: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      cursor: { type: Number, default: 0 },
+    },
+
+    active: { type: Boolean, default: true },
+
+    stats: {
+      received: { type: Number, default: 0 },
+      created: { type: Number, default: 0 },
+      duplicates: { type: Number, default: 0 },
+      rejected: { type: Number, default: 0 },
+      lastReceivedAt: { type: Date },
+      lastError: { type: String },
+    },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+leadCaptureSourceSchema.index({ organization: 1, project: 1 });
+
+leadCaptureSourceSchema.plugin(encryptionPlugin, {
+  fields: ['secret', 'credentials.accessToken'],
+});
+
+const LeadCaptureSource = mongoose.model('LeadCaptureSource', leadCaptureSourceSchema);
+
+export default LeadCaptureSource;
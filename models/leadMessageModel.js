@@ -0,0 +1,75 @@
+// File: models/leadMessageModel.js
+// Description: One WhatsApp / SMS message to or from a lead. Outbound messages
+//   move queued → sent → delivered → read (or failed) as provider status
+//   callbacks arrive; inbound replies are 'received'. Both sides are mirrored
+//   into the lead's Interaction timeline. See services/messaging/. (Team chat
+//   messages are models/messageModel.js.)
+
+import mongoose from 'mongoose';
+import { MESSAGE_CHANNELS } from './messageTemplateModel.js';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const MESSAGE_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed', 'received'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const statusEventSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: MESSAGE_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    errorCode: { type: String },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const leadMessageSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    // Null only for an inbound message from a number no lead has.
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', default: null },
+    // Set when the message was sent from a booking.
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+    channel: { type: String, enum: MESSAGE_CHANNELS, required: true },
+    direction: { type: String, enum: ['outbound', 'inbound'], required: true },
+    to: { type: String, required: true },
+    from: { type: String },
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'MessageTemplate' },
+    variables: { type: Object },
+    body: { type: String, required: true, maxlength: 4096 },
+    status: { type: String, enum: MESSAGE_STATUSES, required: true },
+    statusHistory: [statusEventSchema],
+    sentAt: { type: Date },
+    deliveredAt: { type: Date },
+    readAt: { type: Date },
+    provider: { type: String, required: true },
+    providerMessageId: { type: String },
+    error: {
+      code: { type: String },
+      message: { type: String },
+    },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    interaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Interaction' },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+leadMessageSchema.index(
+  { provider: 1, providerMessageId: 1 },
+  { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } }
+);
+leadMessageSchema.index({ lead: 1, createdAt: -1 });
+leadMessageSchema.index({ organization: 1, channel: 1, direction: 1, createdAt: -1 });
+
+const LeadMessage = mongoose.model('LeadMessage', leadMessageSchema);
+
+export default LeadMessage;
@@ -5,6 +5,7 @@
 
 import mongoose from 'mongoose';
 import { derivePriorityFromTimeline } from '../utils/leadPriority.js';
+import { contactKeysOf } from '../utils/contactNormalizer.js';
 
 const leadSchema = new mongoose.Schema(
   {
@@ -22,6 +23,18 @@ const leadSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User', // Sales Executive or Manager
     },
+    // How the current assignment was made (services/leadAssignmentService.js).
+    // `slaDueAt` is set only for rule-routed leads whose rule has an SLA; the
+    // SLA sweep clears it once the lead is touched, re-assigned or escalated.
+    routing: {
+      method: { type: String, enum: ['rule', 'manual', 'capture'] },
+      rule: { type: mongoose.Schema.Types.ObjectId, ref: 'LeadAssignmentRule', default: null },
+      assignedAt: { type: Date },
+      slaDueAt: { type: Date, default: null },
+      touchedAt: { type: Date },
+      reassignments: { type: Number, default: 0 },
+      escalatedAt: { type: Date },
+    },
     // SP4: when this Lead was created by a CP pushing a Prospect, this links
     // back to that source Prospect (in the CP's organization). Null for any
     // lead created directly by the developer.
@@ -65,6 +78,31 @@ const leadSchema = new mongoose.Schema(
       required: [true, 'Please add a phone number'],
       trim: true,
     },
+    // Normalized phone / email (utils/contactNormalizer.js) — the dedupe keys.
+    // Maintained by the pre-save hook; never set directly.
+    contactKeys: {
+      phone: { type: String, default: null },
+      email: { type: String, default: null },
+    },
+    // Language the buyer prefers to be spoken to in (e.g. 'en', 'hi', 'mr');
+    // matched by lead assignment rules.
+    preferredLanguage: { type: String, trim: true, lowercase: true },
+    // WhatsApp / SMS consent (services/messaging/messagingService.js).
+    // 'unknown' may receive utility / transactional templates; marketing needs
+    // 'opted_in'. 'opted_out' blocks the channel entirely — set by a STOP reply
+    // or by staff recording the buyer's request.
+    messagingConsent: {
+      whatsapp: {
+        status: { type: String, enum: ['unknown', 'opted_in', 'opted_out'], default: 'unknown' },
+        updatedAt: { type: Date },
+        source: { type: String, trim: true }, // 'inbound_keyword', 'staff', 'web_form', ...
+      },
+      sms: {
+        status: { type: String, enum: ['unknown', 'opted_in', 'opted_out'], default: 'unknown' },
+        updatedAt: { type: Date },
+        source: { type: String, trim: true },
+      },
+    },
     source: {
       type: String,
       enum: [
@@ -198,6 +236,20 @@ const leadSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
+
+    // One entry per score calculation (leadScoringService.updateLeadScore),
+    // newest last, capped at SCORE_HISTORY_LIMIT.
+    scoreHistory: [
+      {
+        score: { type: Number },
+        grade: { type: String },
+        // ScoringConfig version that produced the score (0 = built-in
+        // default; null = calculated before versioning or with an ad-hoc config)
+        modelVersion: { type: Number, default: null },
+        calculatedAt: { type: Date, default: Date.now },
+        _id: false,
+      },
+    ],
     
     // ====================================================================
     // NEW ENHANCED FIELDS - ADDING GRADUALLY FOR COMPATIBILITY
@@ -329,6 +381,22 @@ const leadSchema = new mongoose.Schema(
     
     // Lead notes and comments
     notes: { type: String },
+
+    // Duplicates folded into this lead (services/leadDedupeService.mergeLeads).
+    // `snapshot` is the merged lead as it was, for audit.
+    mergeHistory: [
+      {
+        lead: { type: mongoose.Schema.Types.ObjectId },
+        name: { type: String },
+        phone: { type: String },
+        email: { type: String },
+        project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+        status: { type: String },
+        mergedAt: { type: Date, default: Date.now },
+        mergedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        snapshot: { type: Object },
+      },
+    ],
     
     // NEW ENHANCED: Structured activity tracking (safe to add)
     activitySummary: {
@@ -353,6 +421,18 @@ const leadSchema = new mongoose.Schema(
       lastTouchpoint: { type: String },
       touchpointCount: { type: Number, default: 1 }
     },
+    // Marketing campaign the lead is attributed to (services/campaignService.js);
+    // set from the capture source or UTM match, or chosen when the lead is created.
+    campaign: { type: mongoose.Schema.Types.ObjectId, ref: 'Campaign', default: null },
+
+    // Inbound lead capture (portal / ad / website webhook). externalIds holds
+    // every provider lead id seen for this lead, so re-deliveries are skipped.
+    capture: {
+      source: { type: mongoose.Schema.Types.ObjectId, ref: 'LeadCaptureSource' },
+      provider: { type: String },
+      externalIds: [{ type: String }],
+      capturedAt: { type: Date },
+    },
 
     // AI lead enrichment — background research from public web sources
     enrichment: {
@@ -437,6 +517,12 @@ leadSchema.index({ organization: 1, status: 1 });             // Organization +
 leadSchema.index({ lastScoreUpdate: -1 });                    // Recent score updates
 leadSchema.index({ 'followUpSchedule.nextFollowUpDate': 1 }); // Follow-up scheduling
 leadSchema.index({ createdAt: -1 });                          // Recent leads
+leadSchema.index({ email: 1 });                               // Buyer portal sign-in
+leadSchema.index({ organization: 1, 'capture.externalIds': 1 }, { sparse: true }); // Lead capture re-delivery
+leadSchema.index({ organization: 1, 'contactKeys.phone': 1 });  // Duplicate detection
+leadSchema.index({ organization: 1, 'contactKeys.email': 1 });  // Duplicate detection
+leadSchema.index({ organization: 1, campaign: 1, createdAt: -1 });  // Campaign funnel / ROI
+leadSchema.index({ 'routing.slaDueAt': 1 });                      // Assignment SLA sweep
 
 // ====================================================================
 // VIRTUAL FIELDS - COMPUTED PROPERTIES
@@ -610,6 +696,11 @@ leadSchema.pre('save', function(next) {
     this.statusChangedAt = new Date();
   }
 
+  // Dedupe keys follow the phone / email as entered
+  if (this.isNew || this.isModified('phone') || this.isModified('email')) {
+    this.contactKeys = contactKeysOf(this);
+  }
+
   // Update priority from requirements.timeline (see updatePriority / leadPriority.js)
   this.updatePriority();
 
@@ -641,6 +732,8 @@ leadSchema.post('save', function(doc) {
 // CREATE AND EXPORT MODEL
 // ====================================================================
 
+export const SCORE_HISTORY_LIMIT = 100;
+
 const Lead = mongoose.model('Lead', leadSchema);
 
 export default Lead;
\ No newline at end of file
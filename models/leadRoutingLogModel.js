@@ -0,0 +1,60 @@
+// File: models/leadRoutingLogModel.js
+// Description: Audit trail of lead routing — one row per decision, whether a
+//   rule assigned the lead, a manager assigned it by hand, the SLA sweep
+//   re-assigned or escalated it, or no rule/member could take it. `candidates`
+//   records every member considered and why they were passed over.
+
+import mongoose from 'mongoose';
+
+export const ROUTING_ACTIONS = [
+  'assigned',           // a rule picked an assignee
+  'manual',             // assigned by hand (PUT /api/leads/:id/assign, create form)
+  'capture',            // a capture source's own round-robin picked the assignee
+  'sla_reassigned',     // untouched past the SLA → moved to another member
+  'sla_escalated',      // SLA breached with no re-assignment left → managers told
+  'no_match',           // no active rule matched the lead
+  'no_eligible_member', // a rule matched but every member was inactive or capped
+];
+
+export const ROUTING_TRIGGERS = ['created', 'captured', 'manual', 'sla', 'rerun'];
+
+const leadRoutingLogSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+    action: { type: String, enum: ROUTING_ACTIONS, required: true },
+    trigger: { type: String, enum: ROUTING_TRIGGERS, required: true },
+    rule: { type: mongoose.Schema.Types.ObjectId, ref: 'LeadAssignmentRule', default: null },
+    ruleName: { type: String },
+    strategy: { type: String },
+    from: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    to: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, trim: true },
+    candidates: [
+      {
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        openLeads: { type: Number },
+        openTasks: { type: Number },
+        weight: { type: Number },
+        skipped: { type: String }, // why the member was passed over, if they were
+      },
+    ],
+    slaDueAt: { type: Date },
+    // Null for system decisions (rules, SLA sweep)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+leadRoutingLogSchema.index({ lead: 1, createdAt: -1 });
+leadRoutingLogSchema.index({ organization: 1, project: 1, createdAt: -1 });
+
+const LeadRoutingLog = mongoose.model('LeadRoutingLog', leadRoutingLogSchema);
+
+export default LeadRoutingLog;
@@ -0,0 +1,70 @@
+// File: models/messageTemplateModel.js
+// Description: A reusable WhatsApp / SMS message with {{variable}} slots.
+//   Only approved templates can be sent: WhatsApp business-initiated messages
+//   must match a template the provider has approved, and Indian SMS must match
+//   a DLT-registered template. Editing the body of an approved template sends
+//   it back for approval.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const MESSAGE_CHANNELS = ['whatsapp', 'sms'];
+
+// marketing needs explicit opt-in; utility / transactional only need the
+// buyer not to have opted out.
+export const TEMPLATE_CATEGORIES = ['marketing', 'utility', 'transactional'];
+
+export const TEMPLATE_STATUSES = ['pending_approval', 'approved', 'rejected', 'archived'];
+
+// {{firstName}}, {{ unit.number }} — names are letters, digits, _ and dots.
+export const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([A-Za-z][\w.]*)\s*\}\}/g;
+
+/** Distinct variable names in a template body, in order of first use. */
+export const templateVariablesOf = (body) =>
+  [...new Set([...String(body || '').matchAll(TEMPLATE_VARIABLE_PATTERN)].map((m) => m[1]))];
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const messageTemplateSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    // null = available on every project
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    channel: { type: String, enum: MESSAGE_CHANNELS, required: true },
+    category: { type: String, enum: TEMPLATE_CATEGORIES, default: 'utility' },
+    language: { type: String, trim: true, lowercase: true, default: 'en' },
+    body: { type: String, required: true, trim: true, maxlength: 1024 },
+    // Derived from body by the pre-validate hook.
+    variables: [{ type: String }],
+    status: { type: String, enum: TEMPLATE_STATUSES, default: 'pending_approval' },
+    // The provider's id for the approved WhatsApp template, if it has one.
+    providerTemplateId: { type: String, trim: true },
+    // TRAI DLT template id — required before an SMS template can be approved.
+    dltTemplateId: { type: String, trim: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    rejectionReason: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true }
+);
+
+messageTemplateSchema.pre('validate', function (next) {
+  this.variables = templateVariablesOf(this.body);
+  next();
+});
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+messageTemplateSchema.index({ organization: 1, channel: 1, name: 1, language: 1 }, { unique: true });
+messageTemplateSchema.index({ organization: 1, status: 1 });
+
+const MessageTemplate = mongoose.model('MessageTemplate', messageTemplateSchema);
+
+export default MessageTemplate;
@@ -76,6 +76,27 @@ export const NOTIFICATION_TYPES = [
   'reflection_overdue',        // Mon reminder when last week's reflection was not submitted
   // People & Performance — morale roll-ups (Task 6)
   'morale_summary_ready',      // weekly morale roll-up is ready for a Head or Owner
+  // Unit holds
+  'unit_hold_expiring',        // → holder: their hold lapses soon
+  'unit_hold_released',        // → holder: the hold expired or was released by someone else
+  // Cheque lifecycle
+  'cheque_bounced',            // → salesperson: a buyer's cheque was returned unpaid
+  // Inbound lead capture (portals / ads / website)
+  'lead_captured',             // → assignee (or lead assigners when unassigned): a new captured lead
+  'lead_re_enquiry',           // → lead owner: an existing lead enquired again through a capture feed
+  // Lead assignment rules
+  'lead_assigned',             // → assignee: a rule (or the SLA sweep) routed a lead to them
+  'lead_sla_breached',         // → previous owner / lead assigners: a lead sat untouched past its SLA
+  // Site visits
+  'site_visit_scheduled',      // → sales executive: a visit was booked (or moved) onto their calendar
+  'site_visit_reminder',       // → sales executive: a visit is tomorrow / starting soon
+  'site_visit_cancelled',      // → sales executive: a visit on their calendar was cancelled
+  'site_visit_checked_in',     // → sales executive: their visitor has arrived at the sales office
+  // WhatsApp / SMS messaging
+  'message_received',          // → lead owner (or last sender): the buyer replied on WhatsApp / SMS
+  'message_failed',            // → sender: the provider could not deliver a message they sent
+  'signature_completed',       // → sender: every signer signed a document they sent for e-signature
+  'signature_declined',        // → sender: a signer declined to sign
 ];
 
 export const NOTIFICATION_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
@@ -93,6 +114,15 @@ export const RELATED_ENTITY_TYPES = [
   'SupportTicket',
   // People & Performance — morale roll-ups (Task 6)
   'MoraleSummary',
+  // Unit holds
+  'UnitHold',
+  // Cheque lifecycle
+  'PaymentTransaction',
+  // Site visits
+  'SiteVisit',
+  // WhatsApp / SMS messaging
+  'LeadMessage',
+  'SignatureRequest',
 ];
 
 // =============================================================================
@@ -673,7 +673,8 @@ partnerCommissionSchema.methods.adjustCommissionAmount = async function(newAmoun
   const adjustmentAmount = newAmount - previousAmount;
   
   this.commissionCalculation.netCommission = newAmount;
-  this.paymentDetails.totalPending = newAmount - this.paymentDetails.totalPaid;
+  // Paid beyond the new amount (e.g. a cancelled sale) leaves nothing pending
+  this.paymentDetails.totalPending = Math.max(0, newAmount - this.paymentDetails.totalPaid);
   
   this.adjustments.push({
     adjustmentType: adjustmentAmount > 0 ? 'amount_increase' : 'amount_decrease',
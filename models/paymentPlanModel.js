@@ -35,6 +35,12 @@ const installmentConfigSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Construction milestones that raise this installment's demand on
+  // completion — typically one per tower ('construction'/'possession' only)
+  constructionMilestones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConstructionMilestone'
+  }],
   isOptional: {
     type: Boolean,
     default: false
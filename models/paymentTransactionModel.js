@@ -24,6 +24,10 @@ const paymentAllocationSchema = new mongoose.Schema({
     type: String,
     enum: ['principal', 'late_fee', 'interest', 'penalty', 'adjustment'],
     default: 'principal'
+  },
+  // Set when the allocation was backed out of the installment (bounced cheque)
+  reversedAt: {
+    type: Date
   }
 });
 
@@ -38,6 +42,16 @@ const paymentMethodDetailsSchema = new mongoose.Schema({
     enum: ['pending', 'cleared', 'bounced', 'cancelled'],
     default: 'pending'
   },
+  // Cheque lifecycle (services/chequeService.js)
+  depositBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChequeDepositBatch'
+  },
+  depositDate: Date,
+  clearingDate: Date,
+  bounceDate: Date,
+  bounceReason: String,
+  bounceCharge: Number,
   
   // For bank transfer/NEFT/RTGS
   referenceNumber: String,
@@ -205,6 +219,31 @@ const paymentTransactionSchema = new mongoose.Schema({
   receiptDate: {
     type: Date
   },
+  // Numbering series the receipt number came from (services/documentSeriesService.js)
+  receiptSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DocumentSeries'
+  },
+  // Receipt PDF (services/financeDocumentService.js)
+  receiptFile: {
+    fileName: String,
+    s3Key: String,
+    file: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'File'
+    },
+    generatedAt: Date,
+    // Why the last generation failed, cleared on success
+    error: String
+  },
+  receiptEmailedTo: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  receiptEmailedAt: {
+    type: Date
+  },
   
   // Modification tracking
   modifications: [{
@@ -455,22 +494,19 @@ paymentTransactionSchema.methods.processRefund = async function(refundAmount, re
   return this;
 };
 
-// Method to generate receipt
+// Method to generate receipt. The number comes from the project's receipt
+// series (services/financeDocumentService.js numberPaymentReceipt); a receipt
+// already numbered keeps its number.
 paymentTransactionSchema.methods.generateReceipt = async function() {
   if (this.receiptGenerated) {
     return this.receiptNumber;
   }
-  
-  // Generate receipt number
-  const receiptNumber = `RCP-${this.organization}-${Date.now()}`;
-  
-  this.receiptGenerated = true;
-  this.receiptNumber = receiptNumber;
-  this.receiptDate = new Date();
-  
-  await this.save();
-  
-  return receiptNumber;
+
+  // Dynamic import — the service imports this model.
+  const { numberPaymentReceipt } = await import('../services/financeDocumentService.js');
+  await numberPaymentReceipt(this);
+
+  return this.receiptNumber;
 };
 
 // Static methods
@@ -530,6 +566,13 @@ paymentTransactionSchema.index({ status: 1 });
 paymentTransactionSchema.index({ paymentDate: 1 });
 paymentTransactionSchema.index({ transactionNumber: 1 });
 paymentTransactionSchema.index({ 'paymentMethodDetails.referenceNumber': 1 });
+paymentTransactionSchema.index({ project: 1, paymentMethod: 1, 'paymentMethodDetails.chequeStatus': 1 });
+paymentTransactionSchema.index({ 'paymentMethodDetails.depositBatch': 1 });
+// Series-issued receipt numbers are unique within an organization
+paymentTransactionSchema.index(
+  { organization: 1, receiptNumber: 1 },
+  { unique: true, partialFilterExpression: { receiptSeries: { $exists: true } } }
+);
 
 // Field-level encryption for PII data
 paymentTransactionSchema.plugin(encryptionPlugin, {
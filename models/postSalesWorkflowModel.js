@@ -0,0 +1,124 @@
+// File: models/postSalesWorkflowModel.js
+// Description: The configurable post-booking workflow — the ordered stages a
+//   sale goes through after booking (KYC, allotment letter, agreement for
+//   sale, registration, possession handover, snag closure), each with its
+//   required documents, SLA and what completing it does to the Sale / Unit.
+//   One org-wide workflow, optionally overridden per project. Each sale runs a
+//   snapshot of it as a SaleLifecycle (models/saleLifecycleModel.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// Sale.status values a stage can move the sale to when it completes.
+export const LIFECYCLE_SALE_STATUSES = ['Agreement Signed', 'Registered', 'Completed'];
+
+// Used when neither the project nor the organization has configured a workflow.
+export const DEFAULT_POST_SALES_STAGES = [
+  {
+    key: 'kyc',
+    label: 'KYC',
+    slaDays: 7,
+    requiredDocuments: [
+      { key: 'pan', label: 'PAN card' },
+      { key: 'aadhaar', label: 'Aadhaar' },
+      { key: 'photo', label: 'Passport-size photographs' },
+      { key: 'address_proof', label: 'Address proof' },
+    ],
+  },
+  {
+    key: 'allotment_letter',
+    label: 'Allotment letter',
+    slaDays: 7,
+    requiredDocuments: [{ key: 'signed_allotment_letter', label: 'Allotment letter signed by the buyer' }],
+  },
+  {
+    key: 'agreement_for_sale',
+    label: 'Agreement for sale',
+    slaDays: 30,
+    requiredDocuments: [
+      { key: 'stamp_duty_receipt', label: 'Stamp duty payment receipt' },
+      { key: 'signed_agreement', label: 'Executed agreement for sale' },
+    ],
+    saleStatusOnComplete: 'Agreement Signed',
+  },
+  {
+    key: 'registration',
+    label: 'Registration appointment',
+    slaDays: 30,
+    requiredDocuments: [{ key: 'registration_receipt', label: 'Registration fee receipt' }],
+    requiresAppointment: true,
+    saleStatusOnComplete: 'Registered',
+  },
+  {
+    key: 'possession_handover',
+    label: 'Possession handover',
+    slaDays: 15,
+    requiredDocuments: [
+      { key: 'possession_letter', label: 'Possession letter' },
+      { key: 'handover_checklist', label: 'Signed handover checklist' },
+    ],
+    handsOverPossession: true,
+  },
+  {
+    key: 'snag_closure',
+    label: 'Snag closure',
+    slaDays: 30,
+    requiredDocuments: [{ key: 'snag_signoff', label: 'Snag list sign-off' }],
+    saleStatusOnComplete: 'Completed',
+  },
+];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const requiredDocumentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
+
+const stageConfigSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    // Days from the stage starting to it being overdue
+    slaDays: { type: Number, required: true, min: 1, max: 365 },
+    requiredDocuments: [requiredDocumentSchema],
+    // The stage can't complete without a scheduled appointment (e.g. registration)
+    requiresAppointment: { type: Boolean, default: false },
+    saleStatusOnComplete: { type: String, enum: [...LIFECYCLE_SALE_STATUSES, null], default: null },
+    // Completing the stage marks the unit handed over
+    handsOverPossession: { type: Boolean, default: false },
+    // Who gets the stage's task; the sale's salesperson when unset
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const postSalesWorkflowSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project',
+      default: null, // null = org-wide; if set, overrides it for this project
+    },
+    stages: [stageConfigSchema],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+postSalesWorkflowSchema.index({ organization: 1, project: 1 }, { unique: true });
+
+const PostSalesWorkflow = mongoose.model('PostSalesWorkflow', postSalesWorkflowSchema);
+
+export default PostSalesWorkflow;
@@ -0,0 +1,171 @@
+// File: models/priceListModel.js
+// Description: Versioned price list for a project (or a single tower). A list
+//   carries the escalation rules — base rate, per-floor rise, facing/PLC
+//   premiums, tranche increases after N% sold and date-based escalations —
+//   that services/priceListService.js evaluates per unit. Lists move
+//   draft → pending_approval → approved → published; publishing writes the
+//   computed prices to Unit.currentPrice and supersedes the previously
+//   published list for the same scope.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const PRICE_LIST_STATUSES = [
+  'draft',
+  'pending_approval',
+  'approved',
+  'rejected',
+  'published',
+  'superseded',
+];
+
+// How an amount is applied to a unit:
+//   per_sqft  — amount × unit.areaSqft
+//   lump_sum  — flat amount
+//   percent   — % of the running price at that step
+export const PRICE_RULE_MODES = ['per_sqft', 'lump_sum', 'percent'];
+
+// What a premium matches on. `feature` values are keys of Unit.features
+// (e.g. 'isParkFacing', 'isCornerUnit').
+export const PREMIUM_CRITERIA = ['facing', 'feature', 'unit_type'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const floorRiseSchema = new mongoose.Schema(
+  {
+    // Floors at or below this level carry no rise (0 = rise from the 1st floor).
+    startsAboveFloor: { type: Number, default: 0, min: 0 },
+    mode: { type: String, enum: ['per_sqft', 'lump_sum'], default: 'per_sqft' },
+    amountPerFloor: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const premiumSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    criterion: { type: String, enum: PREMIUM_CRITERIA, required: true },
+    value: { type: String, required: true, trim: true },
+    mode: { type: String, enum: PRICE_RULE_MODES, default: 'lump_sum' },
+    amount: { type: Number, required: true, min: 0 },
+  },
+  { _id: true }
+);
+
+const trancheSchema = new mongoose.Schema(
+  {
+    // Applies once at least this share of the list's inventory is booked/sold.
+    soldPercentAtLeast: { type: Number, required: true, min: 0, max: 100 },
+    mode: { type: String, enum: PRICE_RULE_MODES, default: 'percent' },
+    amount: { type: Number, required: true, min: 0 },
+    label: { type: String, trim: true, maxlength: 100 },
+  },
+  { _id: true }
+);
+
+const dateEscalationSchema = new mongoose.Schema(
+  {
+    effectiveFrom: { type: Date, required: true },
+    mode: { type: String, enum: PRICE_RULE_MODES, default: 'percent' },
+    amount: { type: Number, required: true, min: 0 },
+    label: { type: String, trim: true, maxlength: 100 },
+  },
+  { _id: true }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const priceListSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+      index: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Project',
+    },
+    // null = applies to every unit in the project
+    tower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tower',
+      default: null,
+    },
+    name: { type: String, required: true, trim: true, maxlength: 150 },
+    description: { type: String, trim: true, maxlength: 1000 },
+    // Sequential per project + tower scope, assigned on create.
+    version: { type: Number, required: true, min: 1 },
+    status: {
+      type: String,
+      enum: PRICE_LIST_STATUSES,
+      default: 'draft',
+    },
+
+    rules: {
+      // > 0 → base = areaSqft × rate; otherwise the unit's own basePrice.
+      baseRatePerSqft: { type: Number, default: 0, min: 0 },
+      floorRise: { type: floorRiseSchema, default: () => ({}) },
+      premiums: [premiumSchema],
+      tranches: [trancheSchema],
+      dateEscalations: [dateEscalationSchema],
+      // Final price is rounded to the nearest multiple (0/1 = no rounding).
+      roundTo: { type: Number, default: 1000, min: 0 },
+    },
+
+    // ─── Approval ─────────────────────────────────────────────
+    approvalRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRequest' },
+    submittedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    submittedAt: { type: Date },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    // The preview the PRICE_OVERRIDE request was raised with. Publish refuses
+    // a larger maxChangePercent than this.
+    approvalSummary: {
+      unitsChanged: { type: Number },
+      averageChangePercent: { type: Number },
+      maxChangePercent: { type: Number },
+      totalBefore: { type: Number },
+      totalAfter: { type: Number },
+      soldPercent: { type: Number },
+    },
+
+    // ─── Publication ──────────────────────────────────────────
+    publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    publishedAt: { type: Date },
+    publishSummary: {
+      unitsRepriced: { type: Number },
+      totalBefore: { type: Number },
+      totalAfter: { type: Number },
+      soldPercent: { type: Number },
+    },
+    supersededBy: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+    supersededAt: { type: Date },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+priceListSchema.index({ project: 1, tower: 1, version: 1 }, { unique: true });
+priceListSchema.index({ organization: 1, project: 1, status: 1 });
+
+// ─── Virtuals ─────────────────────────────────────────────────
+
+priceListSchema.virtual('isEditable').get(function () {
+  return this.status === 'draft' || this.status === 'rejected';
+});
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+export default PriceList;
@@ -4,23 +4,120 @@
 
 import mongoose from 'mongoose';
 import encryptionPlugin from '../utils/encryptionPlugin.js';
+import { isValidGstin } from '../utils/gst.js';
+
+// Invoice line-item categories a cost sheet component can map to.
+export const CHARGE_CATEGORIES = [
+  'base_price', 'development_charges', 'amenity_charges', 'parking_charges',
+  'club_membership', 'maintenance_charges', 'legal_charges', 'other_charges',
+];
 
 // Schema for defining additional one-time or recurring charges for a project.
+// Each charge is a cost sheet component (services/costSheetService.js).
 const additionalChargeSchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
     trim: true,
   },
+  // Short stable code used on cost sheets and invoices (e.g. 'CLUB', 'IFMS')
+  code: {
+    type: String,
+    trim: true,
+    uppercase: true,
+  },
+  category: {
+    type: String,
+    enum: CHARGE_CATEGORIES,
+    default: 'other_charges',
+  },
   amount: {
     type: Number,
     required: true,
   },
+  // lump_sum = amount as-is; per_sqft = amount × unit area
+  basis: {
+    type: String,
+    enum: ['lump_sum', 'per_sqft'],
+    default: 'lump_sum',
+  },
   type: {
     type: String,
     enum: ['one-time', 'monthly', 'yearly'],
     default: 'one-time',
   },
+  // Recurring charges: periods collected upfront (default 12 monthly / 1 yearly)
+  billingPeriods: {
+    type: Number,
+    min: 1,
+  },
+  taxable: {
+    type: Boolean,
+    default: true,
+  },
+  // GST slab for this component; unset = the project's base GST rate
+  gstRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+  },
+  // SAC code on tax invoices; unset = the code for the category
+  sacCode: {
+    type: String,
+    trim: true,
+  },
+  // Counts toward the agreement value (and so stamp duty / discounts)
+  partOfAgreementValue: {
+    type: Boolean,
+    default: false,
+  },
+  // Optional charges are only added when explicitly requested
+  isOptional: {
+    type: Boolean,
+    default: false,
+  },
+  // Empty = every unit type
+  appliesToUnitTypes: [String],
+  // Validity window — end-date a charge instead of editing it so older
+  // cost sheets can still be reproduced.
+  effectiveFrom: Date,
+  effectiveTo: Date,
+});
+
+// Named discount schemes selectable on a cost sheet.
+const discountSchemeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // percent = % of the agreement value; flat = fixed amount; per_sqft = × area
+  type: {
+    type: String,
+    enum: ['percent', 'flat', 'per_sqft'],
+    required: true,
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  maxAmount: {
+    type: Number,
+    min: 0,
+  },
+  validFrom: Date,
+  validUntil: Date,
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
 });
 
 // Schema for defining the financial rules applicable to a project.
@@ -69,6 +166,12 @@ const installmentSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Construction milestones that raise this installment's demand on
+  // completion — typically one per tower ('construction'/'possession' only)
+  constructionMilestones: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ConstructionMilestone'
+  }],
   isOptional: {
     type: Boolean,
     default: false
@@ -155,6 +258,98 @@ const paymentConfigurationSchema = new mongoose.Schema({
     }
   },
   
+  // Dunning cadence for installment demand letters and reminders
+  // (services/dunningService.js). Day counts are whole calendar days.
+  reminderCadence: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    // Courtesy reminder this many days before a scheduled due date
+    // (time-based installments only; 0 disables it)
+    preDueDays: {
+      type: Number,
+      default: 7,
+      min: 0,
+      max: 30
+    },
+    // Repeat the overdue reminder this often once the grace period ends
+    overdueIntervalDays: {
+      type: Number,
+      default: 7,
+      min: 1,
+      max: 90
+    },
+    maxOverdueReminders: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 12
+    },
+    // Final notice once the installment is this many days past grace
+    finalNoticeAfterDays: {
+      type: Number,
+      default: 45,
+      min: 1,
+      max: 365
+    }
+  },
+
+  // Cheque clearing and bounce handling (services/chequeService.js)
+  chequeHandling: {
+    // Working days the bank takes to clear a deposited cheque; cheques still
+    // pending after this show as overdue in the register
+    clearingDays: {
+      type: Number,
+      default: 2,
+      min: 0,
+      max: 30
+    },
+    // Flat charge added to the installment when a buyer's cheque bounces
+    bounceCharge: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  // Deductions when a booking is cancelled
+  // (services/cancellationSettlementService.js)
+  cancellationPolicy: {
+    // Forfeiture is a percentage of the agreement value or of the money received
+    forfeitureBasis: {
+      type: String,
+      enum: ['agreement_value', 'amount_received'],
+      default: 'agreement_value'
+    },
+    forfeiturePercent: {
+      type: Number,
+      default: 10,
+      min: 0,
+      max: 100
+    },
+    minimumForfeiture: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Deduct channel partner brokerage already paid out on the booking
+    recoverBrokerage: {
+      type: Boolean,
+      default: true
+    },
+    // GST collected on the booking is refunded only when true
+    gstRefundable: {
+      type: Boolean,
+      default: false
+    },
+    // Late fee / interest the buyer has paid is kept
+    retainInterestPaid: {
+      type: Boolean,
+      default: true
+    }
+  },
+
   // Available payment plan templates for this project
   paymentPlanTemplates: [paymentPlanTemplateSchema],
   
@@ -241,6 +436,21 @@ const paymentConfigurationSchema = new mongoose.Schema({
     branch: { type: String },
     isPrimary: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true }
+  }],
+
+  // Lenders that have approved the project for home loans (services/homeLoanService.js)
+  homeLoanTieUps: [{
+    bankName: { type: String, required: true, trim: true },
+    branch: { type: String, trim: true },
+    // The lender's approved-project-finance reference for this project
+    approvalReference: { type: String, trim: true },
+    contactName: { type: String, trim: true },
+    contactEmail: { type: String, trim: true, lowercase: true },
+    contactPhone: { type: String, trim: true },
+    // Indicative terms to quote to buyers
+    interestRateFrom: { type: Number, min: 0, max: 100 },
+    maxLoanToValuePct: { type: Number, min: 0, max: 100 },
+    isActive: { type: Boolean, default: true }
   }]
 });
 
@@ -389,6 +599,20 @@ const projectSchema = new mongoose.Schema(
       state: { type: String },
       landmark: { type: String },
     },
+    // Where site visits happen. Opening/closing are local 'HH:MM' in
+    // `timezone`; closedDays are weekdays (0 = Sunday) with no visits.
+    // Bookings outside these hours are refused; the visit confirmation
+    // email carries the address, map link and phone.
+    salesOffice: {
+      address: { type: String, trim: true },
+      mapUrl: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      timezone: { type: String, default: 'Asia/Kolkata' },
+      openingTime: { type: String, default: '10:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      closingTime: { type: String, default: '19:00', match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      visitSlotMinutes: { type: Number, default: 60, min: 15, max: 240 },
+      closedDays: [{ type: Number, min: 0, max: 6 }],
+    },
     totalUnits: {
       type: Number,
       required: [true, 'Total units is required'],
@@ -431,6 +655,26 @@ const projectSchema = new mongoose.Schema(
         date: Date 
       },
     },
+    // GST registration the project invoices under — a developer registers in
+    // each state it builds in. Its state code decides CGST + SGST or IGST.
+    gstNumber: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+      validate: {
+        validator: (v) => !v || isValidGstin(v),
+        message: 'gstNumber must be a valid 15-character GSTIN',
+      },
+    },
+    // Tax invoice particulars (services/financeDocumentService.js)
+    invoicing: {
+      // Supplier name and address as registered for GST
+      legalName: { type: String, trim: true },
+      address: { type: String, trim: true },
+      // SAC codes by invoice line category, over utils/gst.js DEFAULT_SAC_CODES
+      sacCodes: { type: Map, of: String },
+    },
     amenities: [String],
     configuration: {
       type: Map,
@@ -439,6 +683,7 @@ const projectSchema = new mongoose.Schema(
     // Existing schemas (UNCHANGED)
     pricingRules: pricingRulesSchema,
     additionalCharges: [additionalChargeSchema],
+    discountSchemes: [discountSchemeSchema],
     paymentConfiguration: {
       type: paymentConfigurationSchema,
       default: () => ({
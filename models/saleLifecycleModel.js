@@ -0,0 +1,102 @@
+// File: models/saleLifecycleModel.js
+// Description: One sale's run through the post-booking workflow. The stages
+//   are a snapshot of the PostSalesWorkflow when the sale was booked, so later
+//   configuration changes don't move sales already under way. Stages run one
+//   at a time; each carries its document checklist, SLA deadline, appointment
+//   and the auto-generated task working it (services/postSalesService.js).
+
+import mongoose from 'mongoose';
+import { LIFECYCLE_SALE_STATUSES } from './postSalesWorkflowModel.js';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const LIFECYCLE_STATUSES = ['active', 'completed', 'cancelled'];
+
+export const LIFECYCLE_STAGE_STATUSES = ['pending', 'in_progress', 'completed'];
+
+export const STAGE_DOCUMENT_STATUSES = ['pending', 'received', 'verified', 'rejected'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const stageDocumentSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    required: { type: Boolean, default: true },
+    status: { type: String, enum: STAGE_DOCUMENT_STATUSES, default: 'pending' },
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null },
+    note: { type: String, trim: true, maxlength: 500 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedAt: { type: Date },
+  },
+  { _id: false }
+);
+
+const lifecycleStageSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    order: { type: Number, required: true },
+    slaDays: { type: Number, required: true, min: 1 },
+    requiresAppointment: { type: Boolean, default: false },
+    saleStatusOnComplete: { type: String, enum: [...LIFECYCLE_SALE_STATUSES, null], default: null },
+    handsOverPossession: { type: Boolean, default: false },
+    assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    status: { type: String, enum: LIFECYCLE_STAGE_STATUSES, default: 'pending' },
+    startedAt: { type: Date },
+    // startedAt + slaDays
+    dueAt: { type: Date },
+    // Set by the SLA check the first time the stage runs past dueAt
+    slaBreachedAt: { type: Date, default: null },
+    completedAt: { type: Date },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    task: { type: mongoose.Schema.Types.ObjectId, ref: 'Task', default: null },
+
+    documents: [stageDocumentSchema],
+    appointment: {
+      scheduledAt: { type: Date },
+      location: { type: String, trim: true },
+      note: { type: String, trim: true, maxlength: 500 },
+    },
+    notes: { type: String, trim: true, maxlength: 2000 },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const saleLifecycleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+    unit: { type: mongoose.Schema.Types.ObjectId, ref: 'Unit', required: true },
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+
+    stages: [lifecycleStageSchema],
+    // Key of the in-progress stage; null once completed or cancelled
+    currentStage: { type: String, default: null },
+    status: { type: String, enum: LIFECYCLE_STATUSES, default: 'active' },
+
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    cancellationReason: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+saleLifecycleSchema.index({ sale: 1 }, { unique: true });
+saleLifecycleSchema.index({ organization: 1, project: 1, status: 1, currentStage: 1 });
+saleLifecycleSchema.index({ status: 1, 'stages.dueAt': 1 });
+
+const SaleLifecycle = mongoose.model('SaleLifecycle', saleLifecycleSchema);
+
+export default SaleLifecycle;
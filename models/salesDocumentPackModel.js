@@ -0,0 +1,95 @@
+// File: models/salesDocumentPackModel.js
+// Description: The standard set of documents generated for a booking —
+//   booking acknowledgement, cost sheet, payment schedule, allotment letter
+//   and agreement-for-sale draft — and where each stands with the buyer:
+//   generated → sent → signed. One pack per sale; each document points at the
+//   File it was stored as (services/salesDocumentPackService.js).
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// In pack order. `requiresSignature` documents must come back signed before
+// the pack counts as signed; `lifecycleDocument` is the post-sales stage
+// checklist entry a signed copy fills in.
+export const SALES_PACK_DOCUMENTS = [
+  { key: 'booking_acknowledgement', label: 'Booking acknowledgement', requiresSignature: false },
+  { key: 'cost_sheet', label: 'Cost sheet', requiresSignature: true },
+  { key: 'payment_schedule', label: 'Payment schedule', requiresSignature: true },
+  {
+    key: 'allotment_letter',
+    label: 'Allotment letter',
+    requiresSignature: true,
+    lifecycleDocument: { stage: 'allotment_letter', key: 'signed_allotment_letter' },
+  },
+  { key: 'agreement_draft', label: 'Agreement for sale (draft)', requiresSignature: true },
+];
+
+export const SALES_PACK_DOCUMENT_KEYS = SALES_PACK_DOCUMENTS.map((d) => d.key);
+
+export const PACK_DOCUMENT_STATUSES = ['generated', 'failed', 'sent', 'signed'];
+
+export const PACK_SEND_CHANNELS = ['email', 'in_person', 'courier', 'other'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const packDocumentSchema = new mongoose.Schema(
+  {
+    key: { type: String, enum: SALES_PACK_DOCUMENT_KEYS, required: true },
+    label: { type: String, required: true, trim: true },
+    requiresSignature: { type: Boolean, default: false },
+    status: { type: String, enum: PACK_DOCUMENT_STATUSES, default: 'generated' },
+
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null },
+    // null when the built-in template was used
+    template: { type: mongoose.Schema.Types.ObjectId, ref: 'DocumentTemplate', default: null },
+    templateVersion: { type: Number, default: null },
+    generatedAt: { type: Date },
+    generatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    // Why the last generation failed
+    error: { type: String, trim: true },
+
+    sentAt: { type: Date },
+    sentVia: { type: String, enum: [...PACK_SEND_CHANNELS, null], default: null },
+    sentTo: { type: String, trim: true },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    signedAt: { type: Date },
+    // The buyer-signed copy, when one was uploaded
+    signedFile: { type: mongoose.Schema.Types.ObjectId, ref: 'File', default: null },
+    signedRecordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+    note: { type: String, trim: true, maxlength: 500 },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const salesDocumentPackSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', required: true },
+    lead: { type: mongoose.Schema.Types.ObjectId, ref: 'Lead', required: true },
+
+    documents: [packDocumentSchema],
+    // void once the sale is cancelled; nothing more is generated or sent
+    status: { type: String, enum: ['active', 'void'], default: 'active' },
+    voidedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+salesDocumentPackSchema.index({ sale: 1 }, { unique: true });
+salesDocumentPackSchema.index({ organization: 1, project: 1, 'documents.status': 1 });
+
+const SalesDocumentPack = mongoose.model('SalesDocumentPack', salesDocumentPackSchema);
+
+export default SalesDocumentPack;
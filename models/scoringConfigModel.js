@@ -0,0 +1,118 @@
+// File: models/scoringConfigModel.js
+// Description: A numbered version of an organization's lead scoring model —
+//   the weight and rule table for each factor that leadScoringService applies.
+//   Versions are written by hand or fitted from the organization's own Booked
+//   vs Lost leads, back-tested against closed leads, and then activated; one
+//   version is active at a time and it is frozen once activated. Lead score
+//   history entries record the version that produced them. With no active
+//   version the built-in DEFAULT_SCORING_CONFIG is used (version 0).
+//   See services/scoringModelService.js.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+// draft: editable, not used for scoring; active: used for scoring;
+// retired: a previously active version, kept for score-history lookups
+export const SCORING_CONFIG_STATUSES = ['draft', 'active', 'retired'];
+
+// manual: weights entered by hand; trained: fitted from historical outcomes
+export const SCORING_CONFIG_ORIGINS = ['manual', 'trained'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const gradeBandSchema = new mongoose.Schema(
+  {
+    grade: { type: String },
+    leads: { type: Number },
+    booked: { type: Number },
+    bookingRate: { type: Number },
+  },
+  { _id: false }
+);
+
+const factorStatSchema = new mongoose.Schema(
+  {
+    factor: { type: String },
+    // Mean raw score (0-100) among Booked and Lost leads
+    bookedMean: { type: Number },
+    lostMean: { type: Number },
+    // Chance a Booked lead out-scores a Lost one on this factor alone (0.5 = no signal)
+    auc: { type: Number },
+    fittedWeight: { type: Number },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const scoringConfigSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Organization',
+      required: true,
+    },
+    // 1, 2, 3 … per organization. 0 is reserved for the built-in default.
+    version: { type: Number, required: true, min: 1 },
+    name: { type: String, trim: true, maxlength: 120 },
+    status: { type: String, enum: SCORING_CONFIG_STATUSES, default: 'draft' },
+    origin: { type: String, enum: SCORING_CONFIG_ORIGINS, default: 'manual' },
+    // The version this one was derived from (0 = built-in default)
+    basedOnVersion: { type: Number, default: 0 },
+
+    // Same shape as DEFAULT_SCORING_CONFIG: { budgetAlignment: { weight, rules }, … }
+    factors: { type: mongoose.Schema.Types.Mixed, required: true },
+
+    // How a trained version was fitted
+    training: {
+      trainedAt: { type: Date },
+      from: { type: Date },
+      to: { type: Date },
+      booked: { type: Number },
+      lost: { type: Number },
+      // Share of the fitted weights vs the base version's (the rest), by sample size
+      blend: { type: Number },
+      factorStats: [factorStatSchema],
+    },
+
+    // Latest back-test against closed leads; cleared when the factors change
+    backtest: {
+      ranAt: { type: Date },
+      from: { type: Date },
+      to: { type: Date },
+      sampleSize: { type: Number },
+      booked: { type: Number },
+      lost: { type: Number },
+      // Chance a Booked lead out-scores a Lost one (0.5 = no better than chance)
+      auc: { type: Number, default: null },
+      averageScoreBooked: { type: Number, default: null },
+      averageScoreLost: { type: Number, default: null },
+      byGrade: [gradeBandSchema],
+      // The same numbers for the version active when the back-test ran
+      baseline: {
+        version: { type: Number },
+        auc: { type: Number, default: null },
+      },
+    },
+
+    notes: { type: String, trim: true, maxlength: 2000 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    activatedAt: { type: Date },
+    activatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    retiredAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+scoringConfigSchema.index({ organization: 1, version: 1 }, { unique: true });
+scoringConfigSchema.index(
+  { organization: 1, status: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+const ScoringConfig = mongoose.model('ScoringConfig', scoringConfigSchema);
+
+export default ScoringConfig;
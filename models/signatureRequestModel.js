@@ -0,0 +1,139 @@
+// File: models/signatureRequestModel.js
+// Description: A generated document sent out for e-signature. Each signer gets
+//   their own tokenized link, reviews the document and signs after confirming
+//   a one-time code sent to their email. Every step is kept in the audit
+//   trail. Once everyone has signed, a sealed PDF (the original pages plus an
+//   audit certificate) is stored as a new version of the File
+//   (services/signatureService.js).
+//
+//   Only hashes of link tokens and codes are stored.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const SIGNER_ROLES = ['buyer', 'co_applicant', 'authorised_signatory', 'witness'];
+
+export const SIGNER_STATUSES = ['pending', 'viewed', 'signed', 'declined'];
+
+// pending → completed once every signer has signed; declined when any signer
+// declines; cancelled by staff; expired when the links lapse.
+export const SIGNATURE_REQUEST_STATUSES = ['pending', 'completed', 'declined', 'cancelled', 'expired'];
+
+export const SIGNATURE_AUDIT_EVENTS = [
+  'created', 'sent', 'reminded', 'viewed', 'otp_sent', 'otp_failed',
+  'signed', 'declined', 'cancelled', 'expired', 'completed', 'sealing_failed',
+];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const signerSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: SIGNER_ROLES, required: true },
+    name: { type: String, required: true, trim: true, maxlength: 200 },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    phone: { type: String, trim: true },
+    status: { type: String, enum: SIGNER_STATUSES, default: 'pending' },
+
+    // SHA-256 of the link token; re-issued on every reminder
+    tokenHash: { type: String, required: true },
+    otp: {
+      codeHash: { type: String },
+      expiresAt: { type: Date },
+      attempts: { type: Number, default: 0 },
+    },
+
+    viewedAt: { type: Date },
+    signedAt: { type: Date },
+    signature: {
+      // The name as typed by the signer
+      typedName: { type: String, trim: true },
+      // Optional drawn signature, a PNG data URL
+      image: { type: String },
+      ip: { type: String },
+      userAgent: { type: String },
+      // SHA-256 over the document hash and this signer's signing details
+      hash: { type: String },
+    },
+    declinedAt: { type: Date },
+    declineReason: { type: String, trim: true, maxlength: 1000 },
+  },
+  { _id: true }
+);
+
+const auditEntrySchema = new mongoose.Schema(
+  {
+    event: { type: String, enum: SIGNATURE_AUDIT_EVENTS, required: true },
+    at: { type: Date, required: true },
+    signer: { type: mongoose.Schema.Types.ObjectId, default: null },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    ip: { type: String },
+    userAgent: { type: String },
+    detail: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const signatureRequestSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', default: null },
+    sale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale', default: null },
+    title: { type: String, required: true, trim: true, maxlength: 200 },
+    message: { type: String, trim: true, maxlength: 2000 },
+
+    // The document as it was sent: the File, which version, and the exact
+    // bytes' location and hash — signers sign those bytes
+    file: { type: mongoose.Schema.Types.ObjectId, ref: 'File', required: true },
+    fileVersion: { type: Number, required: true },
+    documentS3Key: { type: String, required: true },
+    documentHash: { type: String, required: true },
+
+    // The booking pack document this signs, if any
+    packDocument: { type: String, default: null },
+    // The post-sales checklist entry the signed copy satisfies
+    lifecycleDocument: {
+      stage: { type: String, trim: true },
+      key: { type: String, trim: true },
+    },
+
+    signers: { type: [signerSchema], validate: (v) => v.length > 0 },
+    status: { type: String, enum: SIGNATURE_REQUEST_STATUSES, default: 'pending' },
+    expiresAt: { type: Date, required: true },
+
+    completedAt: { type: Date },
+    // The sealed PDF: the File version it became, and its hash for later checks
+    signedFileVersion: { type: Number },
+    signedS3Key: { type: String },
+    signedHash: { type: String },
+    // HMAC over the audit certificate's contents, printed on the certificate
+    seal: { type: String },
+    // Set while the sealed PDF is being built, so only one caller builds it
+    sealingStartedAt: { type: Date, default: null },
+    sealingError: { type: String },
+
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true, maxlength: 1000 },
+
+    audit: [auditEntrySchema],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  },
+  { timestamps: true }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+signatureRequestSchema.index({ 'signers.tokenHash': 1 });
+signatureRequestSchema.index({ organization: 1, sale: 1, createdAt: -1 });
+signatureRequestSchema.index({ organization: 1, status: 1, expiresAt: 1 });
+signatureRequestSchema.index({ file: 1, status: 1 });
+
+const SignatureRequest = mongoose.model('SignatureRequest', signatureRequestSchema);
+
+export default SignatureRequest;
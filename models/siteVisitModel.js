@@ -0,0 +1,139 @@
+// File: models/siteVisitModel.js
+// Description: A lead's booked visit to a project's sales office with a sales
+//   executive. Visits move scheduled → checked_in → completed (or cancelled /
+//   no_show); check-in captures the channel partner who brought the client
+//   and the outcome feeds the lead's status and activity summary.
+//   Reminders are sent by jobs/sendSiteVisitReminders.js.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const SITE_VISIT_STATUSES = ['scheduled', 'checked_in', 'completed', 'cancelled', 'no_show'];
+
+// Visits in these statuses still occupy the executive's calendar.
+export const ACTIVE_VISIT_STATUSES = ['scheduled', 'checked_in'];
+
+export const VISIT_INTEREST_LEVELS = ['hot', 'warm', 'cold', 'not_interested'];
+
+// day_before goes out the evening before; upcoming shortly before the slot.
+export const VISIT_REMINDER_TYPES = ['day_before', 'upcoming'];
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const reminderSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: VISIT_REMINDER_TYPES, required: true },
+    channel: { type: String, enum: ['email', 'in_app'], required: true },
+    sentAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const siteVisitSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+      index: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Project',
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Lead',
+    },
+    salesExecutive: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    scheduledAt: { type: Date, required: true },
+    durationMinutes: { type: Number, default: 60, min: 15, max: 240 },
+    // scheduledAt + durationMinutes, kept by the pre-validate hook so overlap
+    // checks are a single range query.
+    endsAt: { type: Date },
+    status: {
+      type: String,
+      enum: SITE_VISIT_STATUSES,
+      default: 'scheduled',
+    },
+    visitors: { type: Number, default: 1, min: 1, max: 50 },
+    notes: { type: String, trim: true, maxlength: 1000 },
+    bookedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+
+    // Channel partner who brought the client, as declared at booking or
+    // confirmed at check-in. Drives the lead's channelPartnerAttribution.
+    channelPartner: {
+      channelPartner: { type: mongoose.Schema.Types.ObjectId, ref: 'ChannelPartner' },
+      agentUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      agentName: { type: String, trim: true },
+    },
+
+    checkIn: {
+      at: { type: Date },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      visitors: { type: Number, min: 1, max: 50 },
+      // Set when the visit's CP differs from the one already attributed on
+      // the lead — left for a manager to resolve, attribution is not changed.
+      attributionConflict: { type: Boolean, default: false },
+    },
+
+    outcome: {
+      rating: { type: Number, min: 1, max: 5 },
+      interestLevel: { type: String, enum: VISIT_INTEREST_LEVELS },
+      unitsShown: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Unit' }],
+      feedback: { type: String, trim: true, maxlength: 2000 },
+      nextStep: { type: String, trim: true, maxlength: 500 },
+      recordedAt: { type: Date },
+      recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    },
+
+    reminders: [reminderSchema],
+
+    cancellation: {
+      at: { type: Date },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      reason: { type: String, trim: true, maxlength: 500 },
+    },
+
+    // The visit this one replaced when it was rescheduled.
+    rescheduledFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'SiteVisit' },
+    // Calendar invite identity emailed to the client. A reschedule keeps the
+    // UID and bumps the sequence so the client's calendar moves the event
+    // instead of adding a second one. Unset = UID derived from _id, sequence 0.
+    invite: {
+      uid: { type: String },
+      sequence: { type: Number, default: 0 },
+    },
+    // 'Site Visit' Interaction logged when the outcome was recorded.
+    interaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Interaction' },
+  },
+  { timestamps: true }
+);
+
+siteVisitSchema.pre('validate', function (next) {
+  if (this.scheduledAt) {
+    this.endsAt = new Date(this.scheduledAt.getTime() + (this.durationMinutes || 60) * 60 * 1000);
+  }
+  next();
+});
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+siteVisitSchema.index({ organization: 1, project: 1, scheduledAt: 1 });
+siteVisitSchema.index({ salesExecutive: 1, status: 1, scheduledAt: 1 });
+siteVisitSchema.index({ lead: 1, scheduledAt: -1 });
+// Reminder sweep: upcoming scheduled visits.
+siteVisitSchema.index({ status: 1, scheduledAt: 1 });
+
+const SiteVisit = mongoose.model('SiteVisit', siteVisitSchema);
+
+export default SiteVisit;
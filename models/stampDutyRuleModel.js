@@ -0,0 +1,69 @@
+// File: models/stampDutyRuleModel.js
+// Description: State-specific stamp duty and registration rates with validity
+//   windows. The cost sheet builder picks the rule for the project's state in
+//   force on the cost sheet date; with no rule it falls back to the project's
+//   paymentConfiguration.taxConfiguration rates. Rates change by adding a new
+//   rule and end-dating the old one, so historical cost sheets stay
+//   reproducible.
+
+import mongoose from 'mongoose';
+
+const stampDutyRuleSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    state: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Lower-cased state used for matching against project.location.state
+    stateKey: {
+      type: String,
+      required: true,
+    },
+    // Stamp duty and any surcharge/cess levied with it (e.g. metro cess),
+    // both as % of the agreement value.
+    stampDutyPercent: { type: Number, required: true, min: 0, max: 100 },
+    cessPercent: { type: Number, default: 0, min: 0, max: 100 },
+    registrationPercent: { type: Number, required: true, min: 0, max: 100 },
+    // Registration fee cap in rupees (e.g. ₹30,000); unset = uncapped
+    registrationMaxAmount: { type: Number, min: 0 },
+    effectiveFrom: { type: Date, required: true },
+    // Exclusive; unset = still in force
+    effectiveTo: { type: Date, default: null },
+    notes: { type: String, trim: true, maxlength: 500 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+stampDutyRuleSchema.index({ organization: 1, stateKey: 1, effectiveFrom: -1 });
+
+stampDutyRuleSchema.pre('validate', function (next) {
+  if (this.state) this.stateKey = this.state.trim().toLowerCase();
+  next();
+});
+
+/**
+ * The rule in force for a state on a date, or null.
+ */
+stampDutyRuleSchema.statics.findInForce = function (organizationId, state, asOf = new Date()) {
+  if (!state) return Promise.resolve(null);
+  return this.findOne({
+    organization: organizationId,
+    stateKey: state.trim().toLowerCase(),
+    effectiveFrom: { $lte: asOf },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gt: asOf } }],
+  })
+    .sort({ effectiveFrom: -1 })
+    .lean();
+};
+
+const StampDutyRule = mongoose.model('StampDutyRule', stampDutyRuleSchema);
+
+export default StampDutyRule;
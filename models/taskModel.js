@@ -121,8 +121,11 @@ const TRIGGER_TYPES = [
   'overdue_payment',
   'missed_follow_up',
   'delayed_milestone',
+  'milestone_demand',
+  'cheque_bounce',
   'pending_approval',
   'new_sale_onboarding',
+  'sale_lifecycle_stage',
   'recurring_schedule',
   'manual',
 ];
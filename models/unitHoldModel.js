@@ -0,0 +1,137 @@
+// File: models/unitHoldModel.js
+// Description: Time-boxed hold on a unit for a specific lead. While a hold is
+//   active the unit sits in status 'blocked'; the hold records who blocked it,
+//   for which lead and until when. Holds end by manual release, automatic
+//   expiry (jobs/releaseExpiredUnitHolds.js) or conversion into a Sale.
+
+import mongoose from 'mongoose';
+
+// ─── Constants ────────────────────────────────────────────────
+
+export const UNIT_HOLD_STATUSES = ['active', 'released', 'expired', 'converted'];
+
+// Default and maximum hold windows. A hold can be extended past the default
+// but a single extension can never push expiry beyond MAX_HOLD_HOURS from now.
+export const DEFAULT_HOLD_HOURS = 48;
+export const MAX_HOLD_HOURS = 14 * 24;
+
+// ─── Sub-schemas ──────────────────────────────────────────────
+
+const extensionSchema = new mongoose.Schema(
+  {
+    previousExpiresAt: { type: Date, required: true },
+    newExpiresAt: { type: Date, required: true },
+    reason: { type: String, trim: true, maxlength: 500 },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    requestedAt: { type: Date, default: Date.now },
+    // 'applied' = expiry was moved; 'pending' = waiting on UNIT_HOLD_EXTENSION
+    // approval; 'rejected' = approver declined, expiry unchanged.
+    status: {
+      type: String,
+      enum: ['applied', 'pending', 'rejected'],
+      default: 'applied',
+    },
+    approvalRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRequest' },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: { type: Date },
+  },
+  { _id: true }
+);
+
+// ─── Main schema ──────────────────────────────────────────────
+
+const unitHoldSchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+      index: true,
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Project',
+    },
+    tower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tower',
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Unit',
+    },
+    lead: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Lead',
+    },
+    heldBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'User',
+    },
+    status: {
+      type: String,
+      enum: UNIT_HOLD_STATUSES,
+      default: 'active',
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Unit price at the time the hold was placed — lets the booking desk see
+    // whether the price moved while the unit was held.
+    priceAtHold: { type: Number },
+    heldAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+
+    extensions: [extensionSchema],
+
+    // Set when the 'expiring soon' reminder has gone out so the job does not
+    // repeat it on every run. Reset whenever the expiry moves.
+    expiryReminderSentAt: { type: Date, default: null },
+
+    // ─── Resolution ───────────────────────────────────────
+    releasedAt: { type: Date },
+    releasedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    releaseReason: { type: String, trim: true, maxlength: 500 },
+    convertedSale: { type: mongoose.Schema.Types.ObjectId, ref: 'Sale' },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// ─── Indexes ──────────────────────────────────────────────────
+
+// At most one active hold per unit — the database is the final arbiter when
+// two salespeople race to hold the same unit.
+unitHoldSchema.index(
+  { unit: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+unitHoldSchema.index({ organization: 1, project: 1, status: 1 });
+unitHoldSchema.index({ status: 1, expiresAt: 1 });
+unitHoldSchema.index({ lead: 1, status: 1 });
+unitHoldSchema.index({ heldBy: 1, status: 1 });
+
+// ─── Virtuals ─────────────────────────────────────────────────
+
+unitHoldSchema.virtual('ageHours').get(function () {
+  if (!this.heldAt) return 0;
+  const end = this.status === 'active' ? new Date() : this.releasedAt || new Date();
+  return Math.max(0, Math.floor((end - this.heldAt) / (1000 * 60 * 60)));
+});
+
+unitHoldSchema.virtual('hasPendingExtension').get(function () {
+  return (this.extensions || []).some((e) => e.status === 'pending');
+});
+
+const UnitHold = mongoose.model('UnitHold', unitHoldSchema);
+
+export default UnitHold;
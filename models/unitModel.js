@@ -49,6 +49,15 @@ const unitSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    // Set when currentPrice came from a published price list. That price
+    // already includes floor rise and location premiums.
+    priceList: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PriceList',
+    },
+    priceListVersion: {
+      type: Number,
+    },
     facing: {
       type: String,
       enum: ['North', 'South', 'East', 'West', 'North-East', 'North-West', 'South-East', 'South-West'],
@@ -0,0 +1,62 @@
+// File: models/unitPriceHistoryModel.js
+// Description: Append-only log of every change to a unit's currentPrice —
+//   price list publications, approved price overrides and direct edits.
+//   Written by services/priceListService.js (recordUnitPriceChanges).
+
+import mongoose from 'mongoose';
+
+export const PRICE_CHANGE_SOURCES = ['price_list', 'price_override', 'manual'];
+
+const unitPriceHistorySchema = new mongoose.Schema(
+  {
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Organization',
+    },
+    project: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Project',
+    },
+    tower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tower',
+    },
+    unit: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: 'Unit',
+    },
+    previousPrice: { type: Number, required: true },
+    newPrice: { type: Number, required: true },
+    source: {
+      type: String,
+      enum: PRICE_CHANGE_SOURCES,
+      required: true,
+    },
+    priceList: { type: mongoose.Schema.Types.ObjectId, ref: 'PriceList' },
+    priceListVersion: { type: Number },
+    approvalRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRequest' },
+    // Rule-by-rule breakdown for price list changes: [{ label, amount }]
+    components: [
+      {
+        _id: false,
+        label: { type: String },
+        amount: { type: Number },
+      },
+    ],
+    reason: { type: String, trim: true, maxlength: 500 },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: false }
+);
+
+unitPriceHistorySchema.index({ unit: 1, changedAt: -1 });
+unitPriceHistorySchema.index({ organization: 1, project: 1, changedAt: -1 });
+unitPriceHistorySchema.index({ priceList: 1 });
+
+const UnitPriceHistory = mongoose.model('UnitPriceHistory', unitPriceHistorySchema);
+
+export default UnitPriceHistory;
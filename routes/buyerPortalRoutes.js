@@ -0,0 +1,65 @@
+// File: routes/buyerPortalRoutes.js
+// Description: Buyer portal routes. NO staff `protect` — buyers sign in with an
+// email/phone OTP and carry a buyer-audience token checked by protectBuyer.
+// OTP endpoints are rate-limited per identifier + IP to throttle code-guessing.
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { protectBuyer } from '../middleware/buyerAuthMiddleware.js';
+import {
+  requestOtp,
+  verifyOtp,
+  getMe,
+  getBookings,
+  getBooking,
+  getInstallments,
+  getReceipts,
+  getInvoices,
+  getDocuments,
+  getConstructionUpdates,
+} from '../controllers/buyerPortalController.js';
+
+const router = express.Router();
+
+const buyerOtpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many sign-in attempts. Please try again later.',
+    code: 'BUYER_OTP_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.body?.email || req.body?.phone || 'unknown'}_${req.ip}`,
+});
+
+const buyerViewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 300, // generous: the portal loads several lists per page
+  message: {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    code: 'BUYER_PORTAL_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+router.post('/auth/request-otp', buyerOtpLimiter, requestOtp);
+router.post('/auth/verify-otp', buyerOtpLimiter, verifyOtp);
+
+router.use(buyerViewLimiter, protectBuyer);
+
+router.get('/me', getMe);
+router.get('/bookings', getBookings);
+router.get('/bookings/:saleId', getBooking);
+router.get('/installments', getInstallments);
+router.get('/receipts', getReceipts);
+router.get('/invoices', getInvoices);
+router.get('/documents', getDocuments);
+router.get('/construction', getConstructionUpdates);
+
+export default router;
@@ -0,0 +1,24 @@
+// File: routes/calendarRoutes.js
+// Description: The signed-in user's calendar feeds and ICS export. Every
+//   route is scoped to req.user, so no extra permission is required.
+
+import express from 'express';
+import { protect } from '../middleware/authMiddleware.js';
+import {
+  createFeed,
+  getFeeds,
+  revokeFeed,
+  exportSchedule,
+} from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/feeds')
+  .post(createFeed)
+  .get(getFeeds);
+router.delete('/feeds/:feedId', revokeFeed);
+router.get('/export.ics', exportSchedule);
+
+export default router;
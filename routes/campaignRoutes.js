@@ -0,0 +1,35 @@
+// File: routes/campaignRoutes.js
+// Description: Marketing campaigns, spend entries and campaign ROI analytics.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  createNewCampaign,
+  getCampaigns,
+  getCampaignsRoi,
+  getCampaignById,
+  updateCampaignById,
+  getCampaignFunnelById,
+  addSpend,
+  removeSpend,
+} from '../controllers/campaignController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/roi', hasPermission(PERMISSIONS.CAMPAIGNS.VIEW), getCampaignsRoi);
+
+router.route('/')
+  .post(hasPermission(PERMISSIONS.CAMPAIGNS.MANAGE), createNewCampaign)
+  .get(hasPermission(PERMISSIONS.CAMPAIGNS.VIEW), getCampaigns);
+router.route('/:id')
+  .get(hasPermission(PERMISSIONS.CAMPAIGNS.VIEW), getCampaignById)
+  .put(hasPermission(PERMISSIONS.CAMPAIGNS.MANAGE), updateCampaignById);
+router.get('/:id/funnel', hasPermission(PERMISSIONS.CAMPAIGNS.VIEW), getCampaignFunnelById);
+
+router.post('/:id/spend', hasPermission(PERMISSIONS.CAMPAIGNS.RECORD_SPEND), addSpend);
+router.delete('/:id/spend/:entryId', hasPermission(PERMISSIONS.CAMPAIGNS.RECORD_SPEND), removeSpend);
+
+export default router;
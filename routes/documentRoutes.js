@@ -16,7 +16,11 @@ import {
   getDocuments,
   getDocumentById,
   updateDocument,
-  deleteDocument
+  deleteDocument,
+
+  // Template documents
+  generateFromTemplate,
+  previewFromTemplate
 } from '../controllers/documentController.js';
 
 // Import security middleware
@@ -116,6 +120,28 @@ router.delete(
   deleteDocumentCategory
 );
 
+// =============================================================================
+// TEMPLATE DOCUMENT ROUTES
+// =============================================================================
+
+// @route   POST /api/documents/templates/:templateId/generate
+// @desc    Generate a document from a template and store it on the record
+// @access  Private (All roles)
+router.post(
+  '/templates/:templateId/generate',
+  hasPermission(PERMISSIONS.DOCUMENTS.UPLOAD),
+  generateFromTemplate
+);
+
+// @route   POST /api/documents/templates/:templateId/preview
+// @desc    Render a template without storing it
+// @access  Private (All roles)
+router.post(
+  '/templates/:templateId/preview',
+  hasPermission(PERMISSIONS.DOCUMENTS.VIEW),
+  previewFromTemplate
+);
+
 // =============================================================================
 // DOCUMENT UPLOAD AND MANAGEMENT ROUTES
 // =============================================================================
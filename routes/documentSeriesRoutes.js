@@ -0,0 +1,17 @@
+// File: routes/documentSeriesRoutes.js
+// Description: Invoice and receipt numbering series.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { getSeries, saveSeries } from '../controllers/documentSeriesController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(hasPermission(PERMISSIONS.INVOICES.VIEW), getSeries)
+  .put(hasPermission(PERMISSIONS.INVOICES.CONFIGURE_SERIES), saveSeries);
+
+export default router;
@@ -0,0 +1,47 @@
+// File: routes/homeLoanRoutes.js
+// Description: Buyers' home loan cases and project tie-up banks.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  getTieUps,
+  createTieUp,
+  editTieUp,
+  createLoan,
+  getLoans,
+  getLoanById,
+  updateLoan,
+  changeLoanStatus,
+  updateDocument,
+  rebuildSchedule,
+  requestLoanDisbursement,
+  getDisbursementRequestLetter,
+  recordLoanDisbursement,
+} from '../controllers/homeLoanController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+// Tie-up banks. `/projects/...` MUST sit before `/:id`.
+router.route('/projects/:projectId/tie-ups')
+  .get(hasPermission(PERMISSIONS.HOME_LOANS.VIEW), getTieUps)
+  .post(hasPermission(PERMISSIONS.PROJECT_PAYMENTS.UPDATE_CONFIG), createTieUp);
+router.put('/projects/:projectId/tie-ups/:tieUpId', hasPermission(PERMISSIONS.PROJECT_PAYMENTS.UPDATE_CONFIG), editTieUp);
+
+router.route('/')
+  .post(hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), createLoan)
+  .get(hasPermission(PERMISSIONS.HOME_LOANS.VIEW), getLoans);
+router.route('/:id')
+  .get(hasPermission(PERMISSIONS.HOME_LOANS.VIEW), getLoanById)
+  .put(hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), updateLoan);
+router.patch('/:id/status', hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), changeLoanStatus);
+router.put('/:id/documents/:key', hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), updateDocument);
+
+router.post('/:id/disbursements/rebuild', hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), rebuildSchedule);
+router.post('/:id/disbursements/:entryId/request', hasPermission(PERMISSIONS.HOME_LOANS.MANAGE), requestLoanDisbursement);
+router.get('/:id/disbursements/:entryId/letter', hasPermission(PERMISSIONS.HOME_LOANS.VIEW), getDisbursementRequestLetter);
+router.post('/:id/disbursements/:entryId/record', hasPermission(PERMISSIONS.HOME_LOANS.RECORD_DISBURSEMENT), recordLoanDisbursement);
+
+export default router;
@@ -11,6 +11,15 @@ import {
   updateInvoice,
   recordInvoicePayment,
   cancelInvoice,
+  issueInvoice,
+  generateInvoicePDF,
+  sendInvoiceViaEmail,
+  getInvoiceReceiptPDF,
+  createInvoiceAdjustmentNote,
+  getInvoiceAdjustmentNotes,
+  getAdjustmentNotes,
+  getAdjustmentNotePDF,
+  cancelInvoiceAdjustmentNote,
   getInvoiceStatistics,
   getOverdueInvoices,
   exportInvoices
@@ -56,6 +65,15 @@ router.get(
   exportInvoices
 );
 
+// @route   GET /api/invoices/adjustment-notes
+// @desc    Credit and debit notes across the organization
+// @access  Private (Management and Finance roles)
+router.get(
+  '/adjustment-notes',
+  hasPermission(PERMISSIONS.INVOICES.VIEW),
+  getAdjustmentNotes
+);
+
 // =============================================================================
 // INVOICE CREATION ROUTES
 // =============================================================================
@@ -115,22 +133,17 @@ router.put(
   cancelInvoice
 );
 
-// =============================================================================
-// FUTURE ENHANCEMENT ROUTES (commented for now)
-// =============================================================================
-
-/*
-// @route   POST /api/invoices/:id/duplicate
-// @desc    Create a duplicate invoice from an existing one
+// @route   POST /api/invoices/:id/issue
+// @desc    Issue a draft invoice: tax invoice number, PDF and email
 // @access  Private (Finance roles)
 router.post(
-  '/:id/duplicate',
-  hasPermission(PERMISSIONS.INVOICES.CREATE),
-  duplicateInvoice
+  '/:id/issue',
+  hasPermission(PERMISSIONS.INVOICES.UPDATE),
+  issueInvoice
 );
 
 // @route   GET /api/invoices/:id/pdf
-// @desc    Generate and download PDF for invoice
+// @desc    Download link for the invoice PDF
 // @access  Private (Sales and Finance roles)
 router.get(
   '/:id/pdf',
@@ -140,13 +153,66 @@ router.get(
 
 // @route   POST /api/invoices/:id/send-email
 // @desc    Send invoice via email
-// @access  Private (Sales and Finance roles)
+// @access  Private (Finance roles)
 router.post(
   '/:id/send-email',
-  hasPermission(PERMISSIONS.INVOICES.CREATE),
+  hasPermission(PERMISSIONS.INVOICES.UPDATE),
   sendInvoiceViaEmail
 );
 
+// @route   GET /api/invoices/:id/receipts/:receiptId/pdf
+// @desc    Download link for a payment receipt issued against the invoice
+// @access  Private (Sales and Finance roles)
+router.get(
+  '/:id/receipts/:receiptId/pdf',
+  hasPermission(PERMISSIONS.INVOICES.VIEW),
+  getInvoiceReceiptPDF
+);
+
+// =============================================================================
+// CREDIT AND DEBIT NOTE ROUTES
+// =============================================================================
+
+// @route   GET /api/invoices/:id/adjustment-notes
+// @route   POST /api/invoices/:id/adjustment-notes
+// @desc    List, or issue a credit/debit note against an issued invoice
+// @access  Private (View: Management/Finance, Issue: Finance roles)
+router.route('/:id/adjustment-notes')
+  .get(hasPermission(PERMISSIONS.INVOICES.VIEW), getInvoiceAdjustmentNotes)
+  .post(hasPermission(PERMISSIONS.INVOICES.UPDATE), createInvoiceAdjustmentNote);
+
+// @route   GET /api/invoices/:id/adjustment-notes/:noteId/pdf
+// @desc    Download link for a credit or debit note PDF
+// @access  Private (Sales and Finance roles)
+router.get(
+  '/:id/adjustment-notes/:noteId/pdf',
+  hasPermission(PERMISSIONS.INVOICES.VIEW),
+  getAdjustmentNotePDF
+);
+
+// @route   PUT /api/invoices/:id/adjustment-notes/:noteId/cancel
+// @desc    Cancel a credit or debit note issued in error
+// @access  Private (Senior Management roles only)
+router.put(
+  '/:id/adjustment-notes/:noteId/cancel',
+  hasPermission(PERMISSIONS.INVOICES.CANCEL),
+  cancelInvoiceAdjustmentNote
+);
+
+// =============================================================================
+// FUTURE ENHANCEMENT ROUTES (commented for now)
+// =============================================================================
+
+/*
+// @route   POST /api/invoices/:id/duplicate
+// @desc    Create a duplicate invoice from an existing one
+// @access  Private (Finance roles)
+router.post(
+  '/:id/duplicate',
+  hasPermission(PERMISSIONS.INVOICES.CREATE),
+  duplicateInvoice
+);
+
 // @route   GET /api/invoices/templates
 // @desc    Get available invoice templates
 // @access  Private (Sales and Finance roles)
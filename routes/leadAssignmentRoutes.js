@@ -0,0 +1,30 @@
+// File: routes/leadAssignmentRoutes.js
+// Description: Lead routing rules, on-demand re-routing and the routing audit.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  createLeadAssignmentRule,
+  getLeadAssignmentRules,
+  updateLeadAssignmentRule,
+  deleteLeadAssignmentRule,
+  routeLeadByRules,
+  getRoutingLogs,
+} from '../controllers/leadAssignmentController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/rules')
+  .post(hasPermission(PERMISSIONS.LEADS.ASSIGNMENT_CONFIG), createLeadAssignmentRule)
+  .get(hasPermission(PERMISSIONS.LEADS.ASSIGNMENT_CONFIG), getLeadAssignmentRules);
+router.route('/rules/:ruleId')
+  .put(hasPermission(PERMISSIONS.LEADS.ASSIGNMENT_CONFIG), updateLeadAssignmentRule)
+  .delete(hasPermission(PERMISSIONS.LEADS.ASSIGNMENT_CONFIG), deleteLeadAssignmentRule);
+
+router.post('/leads/:leadId/route', hasPermission(PERMISSIONS.LEADS.ASSIGN), routeLeadByRules);
+router.get('/logs', hasPermission(PERMISSIONS.LEADS.ASSIGNMENT_CONFIG), getRoutingLogs);
+
+export default router;
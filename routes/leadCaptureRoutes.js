@@ -0,0 +1,54 @@
+// File: routes/leadCaptureRoutes.js
+// Description: Inbound lead capture. The webhook (/inbound/:provider/:key) is
+//   UNAUTHENTICATED — registered BEFORE `router.use(protect)`, routed by the
+//   source key in the URL, verified per provider, rate-limited and body-size
+//   capped. Source management below requires auth and leads:capture_config.
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  verifyLeadCaptureSubscription,
+  receiveCapturedLeads,
+  createLeadCaptureSource,
+  getLeadCaptureSources,
+  updateLeadCaptureSource,
+  rotateLeadCaptureSecret,
+} from '../controllers/leadCaptureController.js';
+
+const router = express.Router();
+
+// ─── UNAUTHENTICATED INBOUND WEBHOOK (must precede `protect`) ────────────────
+// Keyed by source + IP: a portal pushing a backlog shouldn't starve other feeds.
+const captureLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 600,
+  message: {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    code: 'LEAD_CAPTURE_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.params.key || 'unknown'}_${req.ip}`,
+});
+
+router.get('/inbound/:provider/:key', captureLimiter, verifyLeadCaptureSubscription);
+router.post('/inbound/:provider/:key', captureLimiter, receiveCapturedLeads);
+
+// ─── EVERYTHING BELOW REQUIRES AUTH ──────────────────────────────────────────
+router.use(protect);
+
+router.route('/sources')
+  .post(hasPermission(PERMISSIONS.LEADS.CAPTURE_CONFIG), createLeadCaptureSource)
+  .get(hasPermission(PERMISSIONS.LEADS.CAPTURE_CONFIG), getLeadCaptureSources);
+router.put('/sources/:sourceId', hasPermission(PERMISSIONS.LEADS.CAPTURE_CONFIG), updateLeadCaptureSource);
+router.post(
+  '/sources/:sourceId/rotate-secret',
+  hasPermission(PERMISSIONS.LEADS.CAPTURE_CONFIG),
+  rotateLeadCaptureSecret
+);
+
+export default router;
@@ -26,8 +26,22 @@ import {
   bulkRecalculateScores,
   getLeadScoreHistory,
   getScoringConfig,
-  updateScoringConfig
+  updateScoringConfig,
+  getScoringModels,
+  getScoringModel,
+  createScoringModel,
+  updateScoringModel,
+  trainScoringModel,
+  backtestScoringModel,
+  activateScoringModel,
+  getLeadScoreExplanation
 } from '../controllers/leadScoringController.js';
+import {
+  getDuplicateClusters,
+  checkDuplicateLeads,
+  getLeadDuplicates,
+  mergeDuplicateLeads,
+} from '../controllers/leadDedupeController.js';
 import { protect, hasPermission } from '../middleware/authMiddleware.js';
 import { PERMISSIONS } from '../config/permissions.js';
 
@@ -61,6 +75,12 @@ router.patch(
   decideLeadProposal
 );
 
+// Duplicate review + merge. `/duplicates*` MUST sit before `/:id` too.
+router.get('/duplicates', hasPermission(PERMISSIONS.LEADS.BULK_OPERATIONS), getDuplicateClusters);
+router.get('/duplicates/check', hasPermission(PERMISSIONS.LEADS.VIEW), checkDuplicateLeads);
+router.get('/:id/duplicates', hasPermission(PERMISSIONS.LEADS.VIEW), getLeadDuplicates);
+router.post('/:id/merge', hasPermission(PERMISSIONS.LEADS.BULK_OPERATIONS), mergeDuplicateLeads);
+
 // 2026-06 refactor: assign/reassign (the controller existed but was never
 // wired) + quick status change from the detail-page three-dots.
 router.put('/:id/assign', hasPermission(PERMISSIONS.LEADS.UPDATE), assignLead);
@@ -73,6 +93,7 @@ router.patch('/:id/status', hasPermission(PERMISSIONS.LEADS.UPDATE), changeLeadS
 router.get('/:id/score', hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getLeadScore);
 router.put('/:id/recalculate-score', hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), recalculateLeadScore);
 router.get('/:id/score-history', hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getLeadScoreHistory);
+router.get('/:id/score/explanation', hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getLeadScoreExplanation);
 
 router.get('/high-priority', hasPermission(PERMISSIONS.LEADS.VIEW), getHighPriorityLeads);
 router.get('/needs-attention', hasPermission(PERMISSIONS.LEADS.VIEW), getLeadsNeedingAttention);
@@ -83,6 +104,18 @@ router.route('/scoring-config')
   .get(hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getScoringConfig)
   .put(hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), updateScoringConfig);
 
+// Versioned scoring models: draft → (train) → back-test → activate.
+// `/scoring-models/train` MUST sit before `/scoring-models/:version`.
+router.route('/scoring-models')
+  .get(hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getScoringModels)
+  .post(hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), createScoringModel);
+router.post('/scoring-models/train', hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), trainScoringModel);
+router.route('/scoring-models/:version')
+  .get(hasPermission(PERMISSIONS.LEADS.SCORING_VIEW), getScoringModel)
+  .put(hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), updateScoringModel);
+router.post('/scoring-models/:version/backtest', hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), backtestScoringModel);
+router.post('/scoring-models/:version/activate', hasPermission(PERMISSIONS.LEADS.SCORING_CONFIG), activateScoringModel);
+
 // =============================================================================
 // SIMPLE PLACEHOLDER ROUTES
 // =============================================================================
@@ -195,7 +228,9 @@ router.get('/scoring-health', (req, res) => {
       getHighPriorityLeads: true, getLeadsNeedingAttention: true,
       getScoreAnalytics: true, bulkRecalculateScores: true,
       getLeadScoreHistory: true, getScoringConfig: true,
-      updateScoringConfig: true,
+      updateScoringConfig: true, getScoringModels: true,
+      trainScoringModel: true, backtestScoringModel: true,
+      activateScoringModel: true, getLeadScoreExplanation: true,
     },
     message: 'Lead scoring system available.'
   });
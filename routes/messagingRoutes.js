@@ -0,0 +1,59 @@
+// File: routes/messagingRoutes.js
+// Description: WhatsApp / SMS messaging. The provider webhook
+//   (/webhooks/:provider/:organizationId) is UNAUTHENTICATED — registered
+//   BEFORE `router.use(protect)`, verified per provider and rate-limited.
+//   Everything else requires auth.
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { protect, hasPermission, hasAnyPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  createTemplate,
+  getTemplates,
+  updateTemplate,
+  reviewTemplate,
+  sendLeadMessage,
+  sendSaleMessage,
+  getLeadMessages,
+  updateConsent,
+  receiveMessagingWebhook,
+} from '../controllers/messagingController.js';
+
+const router = express.Router();
+
+// ─── UNAUTHENTICATED PROVIDER WEBHOOK (must precede `protect`) ───────────────
+// Every delivery receipt is a request, so the ceiling is generous; keyed by
+// organization + IP so one busy tenant doesn't throttle the rest.
+const webhookLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 3000,
+  message: {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    code: 'MESSAGING_WEBHOOK_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.params.organizationId || 'unknown'}_${req.ip}`,
+});
+
+router.post('/webhooks/:provider/:organizationId', webhookLimiter, receiveMessagingWebhook);
+
+// ─── EVERYTHING BELOW REQUIRES AUTH ──────────────────────────────────────────
+router.use(protect);
+
+router.route('/templates')
+  .post(hasPermission(PERMISSIONS.MESSAGING.MANAGE_TEMPLATES), createTemplate)
+  .get(hasAnyPermission(PERMISSIONS.MESSAGING.SEND, PERMISSIONS.MESSAGING.MANAGE_TEMPLATES), getTemplates);
+router.put('/templates/:templateId', hasPermission(PERMISSIONS.MESSAGING.MANAGE_TEMPLATES), updateTemplate);
+router.post('/templates/:templateId/review', hasPermission(PERMISSIONS.MESSAGING.MANAGE_TEMPLATES), reviewTemplate);
+
+router.route('/leads/:leadId/messages')
+  .post(hasPermission(PERMISSIONS.MESSAGING.SEND), sendLeadMessage)
+  .get(hasPermission(PERMISSIONS.LEADS.VIEW), getLeadMessages);
+router.put('/leads/:leadId/consent', hasPermission(PERMISSIONS.MESSAGING.SEND), updateConsent);
+router.post('/sales/:saleId/messages', hasPermission(PERMISSIONS.MESSAGING.SEND), sendSaleMessage);
+
+export default router;
@@ -2,6 +2,7 @@
 // Description: Defines API routes for payment system - plans, installments, transactions, and reports
 
 import express from 'express';
+import multer from 'multer';
 import {
   createNewPaymentPlan,
   getPaymentPlanDetails,
@@ -9,19 +10,54 @@ import {
   getInstallments,
   updateInstallment,
   waiveInstallment,
+  waiveLateFee,
+  getInterestStatement,
+  getInstallmentReminders,
+  sendInstallmentReminder,
   recordPayment,
   updatePaymentTransactionAmount,
   getPaymentTransactions,
   verifyPaymentTransaction,
+  issueReceipt,
+  getReceiptDownload,
   getOverduePayments,
   getPaymentsDueToday,
   getPaymentStatistics
 } from '../controllers/paymentController.js';
+import {
+  uploadBankStatement,
+  getBankStatements,
+  getBankStatement,
+  getReconciliationReviewQueue,
+  matchStatementLine,
+  ignoreStatementLine
+} from '../controllers/bankReconciliationController.js';
+import {
+  getChequeRegister,
+  createChequeDepositBatch,
+  getChequeDepositBatches,
+  getChequeDepositBatch,
+  markChequeCleared,
+  markChequeBounced
+} from '../controllers/chequeController.js';
 
 // Import security middleware
 import { protect, hasPermission } from '../middleware/authMiddleware.js';
 import { PERMISSIONS } from '../config/permissions.js';
 
+// Multer config for bank statements (memory storage, 10MB, CSV/MT940/CAMT.053)
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|txt|sta|940|mt940|xml)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV, MT940 (.sta/.940/.txt) or CAMT.053 (.xml) statements are allowed'), false);
+    }
+  },
+});
+
 const router = express.Router();
 
 // Apply the 'protect' middleware to all routes in this file
@@ -49,6 +85,15 @@ router.get(
   getPaymentPlanDetails
 );
 
+// @route   GET /api/payments/plans/:saleId/interest-statement
+// @desc    Late fee/interest statement for a sale
+// @access  Private (Sales/Finance roles)
+router.get(
+  '/plans/:saleId/interest-statement',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getInterestStatement
+);
+
 // @route   PUT /api/payments/plans/:planId
 // @desc    Update payment plan details
 // @access  Private (Management roles)
@@ -89,6 +134,33 @@ router.post(
   waiveInstallment
 );
 
+// @route   POST /api/payments/installments/:installmentId/late-fee-waivers
+// @desc    Waive accrued late fee (approval-backed)
+// @access  Private (Senior Management roles)
+router.post(
+  '/installments/:installmentId/late-fee-waivers',
+  hasPermission(PERMISSIONS.PAYMENTS.WAIVE),
+  waiveLateFee
+);
+
+// @route   GET /api/payments/installments/:installmentId/reminders
+// @desc    Demand letter and reminder history for an installment
+// @access  Private (Sales/Finance roles)
+router.get(
+  '/installments/:installmentId/reminders',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getInstallmentReminders
+);
+
+// @route   POST /api/payments/installments/:installmentId/reminders
+// @desc    Email a reminder now, or log an offline one
+// @access  Private (Sales/Finance roles)
+router.post(
+  '/installments/:installmentId/reminders',
+  hasPermission(PERMISSIONS.PAYMENTS.RECORD),
+  sendInstallmentReminder
+);
+
 // =============================================================================
 // PAYMENT TRANSACTION ROUTES
 // =============================================================================
@@ -129,6 +201,141 @@ router.post(
   verifyPaymentTransaction
 );
 
+// @route   POST /api/payments/transactions/:transactionId/receipt
+// @desc    Issue the payment's receipt, or regenerate and resend it
+// @access  Private (Sales/Finance roles)
+router.post(
+  '/transactions/:transactionId/receipt',
+  hasPermission(PERMISSIONS.PAYMENTS.RECORD),
+  issueReceipt
+);
+
+// @route   GET /api/payments/transactions/:transactionId/receipt
+// @desc    Download link for the payment's receipt PDF
+// @access  Private (Sales/Finance roles)
+router.get(
+  '/transactions/:transactionId/receipt',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getReceiptDownload
+);
+
+// =============================================================================
+// CHEQUE ROUTES
+// =============================================================================
+
+// @route   GET /api/payments/cheques/register/:projectId
+// @desc    Cheque register for a project
+// @access  Private (Finance roles)
+router.get(
+  '/cheques/register/:projectId',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getChequeRegister
+);
+
+// @route   POST /api/payments/cheques/deposit-batches
+// @desc    Deposit cheques in hand as one batch
+// @access  Private (Finance roles)
+router.post(
+  '/cheques/deposit-batches',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  createChequeDepositBatch
+);
+
+// @route   GET /api/payments/cheques/deposit-batches
+// @desc    Deposit batches for a project
+// @access  Private (Finance roles)
+router.get(
+  '/cheques/deposit-batches',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getChequeDepositBatches
+);
+
+// @route   GET /api/payments/cheques/deposit-batches/:batchId
+// @desc    Deposit batch with its cheques
+// @access  Private (Finance roles)
+router.get(
+  '/cheques/deposit-batches/:batchId',
+  hasPermission(PERMISSIONS.PAYMENTS.VIEW),
+  getChequeDepositBatch
+);
+
+// @route   POST /api/payments/cheques/:transactionId/clear
+// @desc    Mark a cheque as cleared
+// @access  Private (Finance roles)
+router.post(
+  '/cheques/:transactionId/clear',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  markChequeCleared
+);
+
+// @route   POST /api/payments/cheques/:transactionId/bounce
+// @desc    Record a bounced cheque
+// @access  Private (Finance roles)
+router.post(
+  '/cheques/:transactionId/bounce',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  markChequeBounced
+);
+
+// =============================================================================
+// BANK RECONCILIATION ROUTES
+// =============================================================================
+
+// @route   POST /api/payments/reconciliation/statements
+// @desc    Upload a bank statement and auto-match it to payments
+// @access  Private (Finance roles)
+router.post(
+  '/reconciliation/statements',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  statementUpload.single('file'),
+  uploadBankStatement
+);
+
+// @route   GET /api/payments/reconciliation/statements
+// @desc    List uploaded bank statements
+// @access  Private (Finance roles)
+router.get(
+  '/reconciliation/statements',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  getBankStatements
+);
+
+// @route   GET /api/payments/reconciliation/statements/:statementId
+// @desc    Bank statement with its lines
+// @access  Private (Finance roles)
+router.get(
+  '/reconciliation/statements/:statementId',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  getBankStatement
+);
+
+// @route   GET /api/payments/reconciliation/queue
+// @desc    Unmatched statement lines and unconfirmed transactions
+// @access  Private (Finance roles)
+router.get(
+  '/reconciliation/queue',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  getReconciliationReviewQueue
+);
+
+// @route   POST /api/payments/reconciliation/lines/:lineId/match
+// @desc    Confirm a statement line against a transaction
+// @access  Private (Finance roles)
+router.post(
+  '/reconciliation/lines/:lineId/match',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  matchStatementLine
+);
+
+// @route   POST /api/payments/reconciliation/lines/:lineId/ignore
+// @desc    Set a statement line aside
+// @access  Private (Finance roles)
+router.post(
+  '/reconciliation/lines/:lineId/ignore',
+  hasPermission(PERMISSIONS.PAYMENTS.VERIFY),
+  ignoreStatementLine
+);
+
 // =============================================================================
 // PAYMENT REPORTS ROUTES
 // =============================================================================
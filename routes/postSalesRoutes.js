@@ -0,0 +1,37 @@
+// File: routes/postSalesRoutes.js
+// Description: Post-booking workflow configuration and sale lifecycles.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  getPostSalesWorkflow,
+  savePostSalesWorkflow,
+  resetPostSalesWorkflow,
+  getLifecycles,
+  startLifecycle,
+  getLifecycleForSale,
+  editStage,
+  editStageDocument,
+  completeLifecycleStage,
+} from '../controllers/postSalesController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/workflow')
+  .get(hasPermission(PERMISSIONS.POST_SALES.VIEW), getPostSalesWorkflow)
+  .put(hasPermission(PERMISSIONS.POST_SALES.CONFIGURE), savePostSalesWorkflow);
+router.delete('/workflow/projects/:projectId', hasPermission(PERMISSIONS.POST_SALES.CONFIGURE), resetPostSalesWorkflow);
+
+router.get('/lifecycles', hasPermission(PERMISSIONS.POST_SALES.VIEW), getLifecycles);
+router.route('/sales/:saleId')
+  .get(hasPermission(PERMISSIONS.POST_SALES.VIEW), getLifecycleForSale)
+  .post(hasPermission(PERMISSIONS.POST_SALES.MANAGE), startLifecycle);
+
+router.put('/lifecycles/:id/stages/:stageKey', hasPermission(PERMISSIONS.POST_SALES.MANAGE), editStage);
+router.put('/lifecycles/:id/stages/:stageKey/documents/:docKey', hasPermission(PERMISSIONS.POST_SALES.MANAGE), editStageDocument);
+router.post('/lifecycles/:id/stages/:stageKey/complete', hasPermission(PERMISSIONS.POST_SALES.MANAGE), completeLifecycleStage);
+
+export default router;
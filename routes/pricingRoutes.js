@@ -2,7 +2,23 @@
 // Description: Defines the API routes for the pricing engine and cost sheet generator.
 
 import express from 'express';
-import { getCostSheet, getDynamicPricing } from '../controllers/pricingController.js';
+import {
+  getCostSheet,
+  getDynamicPricing,
+  getStampDutyRules,
+  createStampDutyRule,
+  updateStampDutyRule,
+} from '../controllers/pricingController.js';
+import {
+  getPriceLists,
+  getPriceList,
+  createPriceList,
+  updatePriceList,
+  previewPriceList,
+  submitPriceList,
+  publishPriceList,
+  getUnitPriceHistory,
+} from '../controllers/priceListController.js';
 
 // Import the security middleware
 import { protect, hasPermission } from '../middleware/authMiddleware.js';
@@ -31,4 +47,107 @@ router.get(
   getDynamicPricing
 );
 
+// ─── Stamp duty / registration rules ────────────────────────
+
+// @route   GET /api/pricing/stamp-duty-rules
+// @desc    List state stamp duty and registration rules
+// @access  Private
+router.get(
+  '/stamp-duty-rules',
+  hasPermission(PERMISSIONS.PRICING.COST_SHEET),
+  getStampDutyRules
+);
+
+// @route   POST /api/pricing/stamp-duty-rules
+// @desc    Add a rule for a state (end-dates the one in force)
+// @access  Private
+router.post(
+  '/stamp-duty-rules',
+  hasPermission(PERMISSIONS.PROJECT_PAYMENTS.UPDATE_CONFIG),
+  createStampDutyRule
+);
+
+// @route   PUT /api/pricing/stamp-duty-rules/:id
+// @desc    Update a rule's end date or notes
+// @access  Private
+router.put(
+  '/stamp-duty-rules/:id',
+  hasPermission(PERMISSIONS.PROJECT_PAYMENTS.UPDATE_CONFIG),
+  updateStampDutyRule
+);
+
+// ─── Price lists (versioned escalation rules) ───────────────
+
+// @route   GET /api/pricing/price-lists
+// @desc    List price lists, filterable by project/tower/status
+// @access  Private
+router.get(
+  '/price-lists',
+  hasPermission(PERMISSIONS.PRICING.PRICE_LISTS),
+  getPriceLists
+);
+
+// @route   POST /api/pricing/price-lists
+// @desc    Create a draft price list
+// @access  Private
+router.post(
+  '/price-lists',
+  hasPermission(PERMISSIONS.PRICING.MANAGE_PRICE_LISTS),
+  createPriceList
+);
+
+// @route   GET /api/pricing/price-lists/:id
+// @desc    Get a price list
+// @access  Private
+router.get(
+  '/price-lists/:id',
+  hasPermission(PERMISSIONS.PRICING.PRICE_LISTS),
+  getPriceList
+);
+
+// @route   PUT /api/pricing/price-lists/:id
+// @desc    Edit a draft or rejected price list
+// @access  Private
+router.put(
+  '/price-lists/:id',
+  hasPermission(PERMISSIONS.PRICING.MANAGE_PRICE_LISTS),
+  updatePriceList
+);
+
+// @route   POST /api/pricing/price-lists/:id/preview
+// @desc    Preview per-unit prices without applying them
+// @access  Private
+router.post(
+  '/price-lists/:id/preview',
+  hasPermission(PERMISSIONS.PRICING.PRICE_LISTS),
+  previewPriceList
+);
+
+// @route   POST /api/pricing/price-lists/:id/submit
+// @desc    Submit a price list for PRICE_OVERRIDE approval
+// @access  Private
+router.post(
+  '/price-lists/:id/submit',
+  hasPermission(PERMISSIONS.PRICING.MANAGE_PRICE_LISTS),
+  submitPriceList
+);
+
+// @route   POST /api/pricing/price-lists/:id/publish
+// @desc    Publish an approved price list to unit prices
+// @access  Private
+router.post(
+  '/price-lists/:id/publish',
+  hasPermission(PERMISSIONS.PRICING.MANAGE_PRICE_LISTS),
+  publishPriceList
+);
+
+// @route   GET /api/pricing/units/:unitId/price-history
+// @desc    Every price change recorded for a unit
+// @access  Private
+router.get(
+  '/units/:unitId/price-history',
+  hasPermission(PERMISSIONS.PRICING.PRICE_LISTS),
+  getUnitPriceHistory
+);
+
 export default router;
@@ -0,0 +1,29 @@
+// File: routes/publicCalendarRoutes.js
+// Description: Unauthenticated, rate-limited ICS feed endpoint polled by
+// calendar clients. NO `protect` — access is controlled by the unguessable
+// feed token. Rate-limited by token + IP (mirrors the public ticket limiter)
+// to throttle token-guessing while leaving room for normal client polling.
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getPublicFeed } from '../controllers/calendarController.js';
+
+const router = express.Router();
+
+const feedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // clients poll every 15–60 minutes; this is ample
+  message: {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    code: 'CALENDAR_FEED_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.params.token || 'unknown'}_${req.ip}`,
+});
+
+router.get('/:token.ics', feedLimiter, getPublicFeed);
+
+export default router;
@@ -0,0 +1,45 @@
+// File: routes/publicSignatureRoutes.js
+// Description: Unauthenticated, rate-limited routes for signers.
+// NO `protect` — access is controlled by the unguessable link token, the
+// emailed one-time code and the request's expiry.
+
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { getSession, requestOtp, sign, decline } from '../controllers/publicSignatureController.js';
+
+const router = express.Router();
+
+const signingViewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // generous: signers reload while reviewing; throttles token-guessing
+  message: {
+    success: false,
+    message: 'Too many requests. Please try again later.',
+    code: 'SIGNING_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.params.token || 'unknown'}_${req.ip}`,
+});
+
+const signingOtpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    success: false,
+    message: 'Too many attempts. Please try again later.',
+    code: 'SIGNING_OTP_RATE_LIMITED',
+    retryAfter: 900,
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${req.params.token || 'unknown'}_${req.ip}`,
+});
+
+router.get('/:token', signingViewLimiter, getSession);
+router.post('/:token/request-otp', signingOtpLimiter, requestOtp);
+router.post('/:token/sign', signingOtpLimiter, sign);
+router.post('/:token/decline', signingViewLimiter, decline);
+
+export default router;
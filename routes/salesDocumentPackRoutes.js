@@ -0,0 +1,26 @@
+// File: routes/salesDocumentPackRoutes.js
+// Description: Booking document packs — generate, send, record signatures.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  getPackForSale,
+  generatePack,
+  sendPack,
+  editPackDocument,
+  downloadPackDocument,
+} from '../controllers/salesDocumentPackController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/sales/:saleId')
+  .get(hasPermission(PERMISSIONS.POST_SALES.VIEW), getPackForSale)
+  .post(hasPermission(PERMISSIONS.POST_SALES.MANAGE), generatePack);
+router.post('/sales/:saleId/send', hasPermission(PERMISSIONS.POST_SALES.MANAGE), sendPack);
+router.put('/sales/:saleId/documents/:key', hasPermission(PERMISSIONS.POST_SALES.MANAGE), editPackDocument);
+router.get('/sales/:saleId/documents/:key/download', hasPermission(PERMISSIONS.POST_SALES.VIEW), downloadPackDocument);
+
+export default router;
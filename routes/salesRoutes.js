@@ -13,6 +13,12 @@ import {
   getSalesAnalytics,
   getSalesPipeline
 } from '../controllers/salesController.js';
+import {
+  previewCancellationSettlement,
+  createCancellationSettlement,
+  getCancellationSettlements,
+  recordCancellationRefund
+} from '../controllers/cancellationSettlementController.js';
 
 // Import the security middleware
 import { protect, hasPermission } from '../middleware/authMiddleware.js';
@@ -35,6 +41,15 @@ router.get('/analytics', hasPermission(PERMISSIONS.SALES.ANALYTICS), getSalesAna
 // @access  Private (Sales and Management roles)
 router.get('/pipeline', hasPermission(PERMISSIONS.SALES.PIPELINE), getSalesPipeline);
 
+// @route   POST /api/sales/cancellation-settlements/:settlementId/refund
+// @desc    Record the refund payout of an approved cancellation settlement
+// @access  Private (Finance roles)
+router.post(
+  '/cancellation-settlements/:settlementId/refund',
+  hasPermission(PERMISSIONS.PAYMENTS.UPDATE_TRANSACTION),
+  recordCancellationRefund
+);
+
 // @route   GET /api/sales
 // @route   POST /api/sales
 // @desc    Get all sales records with filtering/pagination OR create a new sale
@@ -58,6 +73,23 @@ router.route('/:id')
 // @access  Private (Senior Management roles)
 router.put('/:id/cancel', hasPermission(PERMISSIONS.SALES.CANCEL), cancelSale);
 
+// @route   GET /api/sales/:id/cancellation-settlement/preview
+// @desc    What the buyer would be refunded if the sale were cancelled
+// @access  Private (Senior Management roles)
+router.get(
+  '/:id/cancellation-settlement/preview',
+  hasPermission(PERMISSIONS.SALES.CANCEL),
+  previewCancellationSettlement
+);
+
+// @route   GET /api/sales/:id/cancellation-settlement
+// @route   POST /api/sales/:id/cancellation-settlement
+// @desc    Settlement history, or cancel the sale through a settlement (REFUND_APPROVAL)
+// @access  Private (View: Sales/Finance, Create: Senior Management)
+router.route('/:id/cancellation-settlement')
+  .get(hasPermission(PERMISSIONS.SALES.VIEW), getCancellationSettlements)
+  .post(hasPermission(PERMISSIONS.SALES.CANCEL), createCancellationSettlement);
+
 // @route   POST /api/sales/:id/documents
 // @desc    Generate sale documents (receipts, agreements, etc.)
 // @access  Private (Sales and Management roles)
@@ -0,0 +1,32 @@
+// File: routes/signatureRoutes.js
+// Description: Sending documents for e-signature and following them up.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  sendForSignature,
+  getSignatureRequests,
+  getSignatureRequestById,
+  getSignatureDocuments,
+  remindSignatureRequest,
+  cancelSignature,
+  sealSignature,
+  verifySignature,
+} from '../controllers/signatureController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(hasPermission(PERMISSIONS.DOCUMENTS.VIEW), getSignatureRequests)
+  .post(hasPermission(PERMISSIONS.DOCUMENTS.SHARE), sendForSignature);
+router.get('/:id', hasPermission(PERMISSIONS.DOCUMENTS.VIEW), getSignatureRequestById);
+router.get('/:id/documents', hasPermission(PERMISSIONS.DOCUMENTS.VIEW), getSignatureDocuments);
+router.get('/:id/verify', hasPermission(PERMISSIONS.DOCUMENTS.VIEW), verifySignature);
+router.post('/:id/remind', hasPermission(PERMISSIONS.DOCUMENTS.SHARE), remindSignatureRequest);
+router.post('/:id/cancel', hasPermission(PERMISSIONS.DOCUMENTS.SHARE), cancelSignature);
+router.post('/:id/seal', hasPermission(PERMISSIONS.DOCUMENTS.SHARE), sealSignature);
+
+export default router;
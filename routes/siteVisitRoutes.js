@@ -0,0 +1,38 @@
+// File: routes/siteVisitRoutes.js
+// Description: Site visit booking, check-in, outcomes and the daily roster.
+
+import express from 'express';
+import { protect, hasPermission } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import {
+  getAvailability,
+  getRoster,
+  createSiteVisit,
+  getSiteVisits,
+  getSiteVisitById,
+  rescheduleVisit,
+  cancelVisit,
+  checkInVisit,
+  recordVisitOutcome,
+  markNoShow,
+} from '../controllers/siteVisitController.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+router.get('/availability', hasPermission(PERMISSIONS.LEADS.VIEW), getAvailability);
+router.get('/roster', hasPermission(PERMISSIONS.LEADS.ASSIGN), getRoster);
+
+router.route('/')
+  .post(hasPermission(PERMISSIONS.LEADS.UPDATE), createSiteVisit)
+  .get(hasPermission(PERMISSIONS.LEADS.VIEW), getSiteVisits);
+router.get('/:id', hasPermission(PERMISSIONS.LEADS.VIEW), getSiteVisitById);
+
+router.post('/:id/reschedule', hasPermission(PERMISSIONS.LEADS.UPDATE), rescheduleVisit);
+router.post('/:id/cancel', hasPermission(PERMISSIONS.LEADS.UPDATE), cancelVisit);
+router.post('/:id/check-in', hasPermission(PERMISSIONS.LEADS.UPDATE), checkInVisit);
+router.post('/:id/outcome', hasPermission(PERMISSIONS.LEADS.UPDATE), recordVisitOutcome);
+router.post('/:id/no-show', hasPermission(PERMISSIONS.LEADS.UPDATE), markNoShow);
+
+export default router;
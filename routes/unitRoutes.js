@@ -10,6 +10,14 @@ import {
   deleteUnit,
   getUnitStatistics
 } from '../controllers/unitController.js';
+import {
+  placeUnitHold,
+  getUnitHolds,
+  getUnitHold,
+  getHoldsForUnit,
+  extendUnitHold,
+  releaseUnitHold
+} from '../controllers/unitHoldController.js';
 import { protect, hasPermission } from '../middleware/authMiddleware.js';
 import { PERMISSIONS } from '../config/permissions.js';
 
@@ -20,6 +28,12 @@ router.use(protect);
 // Statistics route (MUST come before /:id route)
 router.get('/statistics', hasPermission(PERMISSIONS.UNITS.STATISTICS), getUnitStatistics);
 
+// Unit holds (MUST come before /:id route)
+router.get('/holds', hasPermission(PERMISSIONS.UNITS.VIEW), getUnitHolds);
+router.get('/holds/:holdId', hasPermission(PERMISSIONS.UNITS.VIEW), getUnitHold);
+router.post('/holds/:holdId/extend', hasPermission(PERMISSIONS.UNITS.HOLD), extendUnitHold);
+router.post('/holds/:holdId/release', hasPermission(PERMISSIONS.UNITS.HOLD), releaseUnitHold);
+
 // Main CRUD routes
 router.route('/')
   .get(hasPermission(PERMISSIONS.UNITS.VIEW), getUnits)
@@ -30,4 +44,7 @@ router.route('/:id')
   .put(hasPermission(PERMISSIONS.UNITS.UPDATE), updateUnit)
   .delete(hasPermission(PERMISSIONS.UNITS.DELETE), deleteUnit);
 
+router.post('/:id/hold', hasPermission(PERMISSIONS.UNITS.HOLD), placeUnitHold);
+router.get('/:id/holds', hasPermission(PERMISSIONS.UNITS.VIEW), getHoldsForUnit);
+
 export default router;
@@ -24,6 +24,16 @@ import projectRoutes from './routes/projectRoutes.js';
 import unitRoutes from './routes/unitRoutes.js';
 import leadRoutes from './routes/leadRoutes.js';
 import leadScoringRoutes from './routes/leadScoringRoutes.js';
+import leadCaptureRoutes from './routes/leadCaptureRoutes.js';
+import leadAssignmentRoutes from './routes/leadAssignmentRoutes.js';
+import siteVisitRoutes from './routes/siteVisitRoutes.js';
+import calendarRoutes from './routes/calendarRoutes.js';
+import messagingRoutes from './routes/messagingRoutes.js';
+import campaignRoutes from './routes/campaignRoutes.js';
+import homeLoanRoutes from './routes/homeLoanRoutes.js';
+import postSalesRoutes from './routes/postSalesRoutes.js';
+import salesDocumentPackRoutes from './routes/salesDocumentPackRoutes.js';
+import signatureRoutes from './routes/signatureRoutes.js';
 import amenityRoutes from './routes/amenityRoutes.js';
 import searchRoutes from './routes/searchRoutes.js';
 import salesRoutes from './routes/salesRoutes.js';
@@ -44,6 +54,7 @@ import contractorRoutes from './routes/contractorRoutes.js';
 import predictiveRoutes from './routes/predictiveRoutes.js';
 import towerRoutes from './routes/towerRoutes.js';
 import invoiceRoutes from './routes/invoiceRoutes.js';
+import documentSeriesRoutes from './routes/documentSeriesRoutes.js';
 import budgetVarianceRoutes from './routes/budgetVarianceRoutes.js';
 import aiCopilotRoutes from './routes/aiCopilotRoutes.js';
 import roleRoutes from './routes/roleRoutes.js';
@@ -53,6 +64,9 @@ import leadershipDashboardRoutes from './routes/leadershipDashboardRoutes.js';
 import reportRoutes from './routes/reportRoutes.js';
 import publicReportRoutes from './routes/publicReportRoutes.js';
 import publicTicketRoutes from './routes/publicTicketRoutes.js';
+import publicCalendarRoutes from './routes/publicCalendarRoutes.js';
+import publicSignatureRoutes from './routes/publicSignatureRoutes.js';
+import buyerPortalRoutes from './routes/buyerPortalRoutes.js';
 import workspaceRoutes from './routes/workspaceRoutes.js';
 import supportRoutes from './routes/supportRoutes.js';
 import homeRoutes from './routes/homeRoutes.js';
@@ -86,6 +100,11 @@ import { registerScheduledReportJobs } from './jobs/generateScheduledReports.js'
 import { registerNightlyPerformanceSnapshotJob } from './jobs/nightlyPerformanceSnapshot.js';
 import { registerMoraleSummariesJob } from './jobs/generateMoraleSummaries.js';
 import { registerReflectionDueReminderJob } from './jobs/reflectionReminders.js';
+import { registerUnitHoldExpiryJob } from './jobs/releaseExpiredUnitHolds.js';
+import { registerInstallmentReminderJob } from './jobs/sendInstallmentReminders.js';
+import { registerLateFeeAccrualJob } from './jobs/accrueLateFees.js';
+import { registerLeadAssignmentSlaJob } from './jobs/reassignStaleLeads.js';
+import { registerSiteVisitReminderJob } from './jobs/sendSiteVisitReminders.js';
 
 // Load environment variables
 dotenv.config();
@@ -127,9 +146,13 @@ app.use(cors({
   allowedHeaders: ['Content-Type', 'Authorization'],
 }));
 
-// 3. Body parsing with reduced limits
-app.use(express.json({ limit: '2mb' }));
-app.use(express.urlencoded({ extended: true, limit: '2mb' }));
+// 3. Body parsing with reduced limits. Lead capture webhooks are signed over
+//    the raw body, so keep it for those requests.
+const keepLeadCaptureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/lead-capture/inbound/')) req.rawBody = buf;
+};
+app.use(express.json({ limit: '2mb', verify: keepLeadCaptureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '2mb', verify: keepLeadCaptureRawBody }));
 
 // 3b. Cookie parsing — required for refresh token httpOnly cookies
 app.use(cookieParser());
@@ -172,6 +195,16 @@ app.use('/api/projects', projectRoutes);
 app.use('/api/units', unitRoutes);
 app.use('/api/leads', leadRoutes);
 app.use('/api/leads', leadScoringRoutes);
+app.use('/api/lead-capture', leadCaptureRoutes);
+app.use('/api/lead-assignment', leadAssignmentRoutes);
+app.use('/api/site-visits', siteVisitRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/messaging', messagingRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/home-loans', homeLoanRoutes);
+app.use('/api/post-sales', postSalesRoutes);
+app.use('/api/document-packs', salesDocumentPackRoutes);
+app.use('/api/signatures', signatureRoutes);
 app.use('/api/amenities', amenityRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/sales', salesRoutes);
@@ -196,6 +229,7 @@ app.use('/api/contractors', contractorRoutes);
 app.use('/api/analytics/predictions', predictiveRoutes);
 app.use('/api/towers', towerRoutes);
 app.use('/api/invoices', invoiceRoutes);
+app.use('/api/document-series', documentSeriesRoutes);
 app.use('/api/ai/copilot', aiCopilotRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/tasks', taskRoutes);
@@ -209,6 +243,9 @@ app.use('/api/people', peopleRoutes);
 app.use('/api/home', homeRoutes);
 app.use('/api/public/reports', publicReportRoutes);
 app.use('/api/public/tickets', publicTicketRoutes);
+app.use('/api/public/calendar', publicCalendarRoutes);
+app.use('/api/public/signatures', publicSignatureRoutes);
+app.use('/api/public/buyer', buyerPortalRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/project-access', projectAccessRoutes);
 app.use('/api/approvals', approvalRoutes);
@@ -524,4 +561,29 @@ httpServer.listen(PORT, () => {
   } catch (err) {
     console.error('[people] Failed to register reflection due reminder job:', err.message);
   }
+  try {
+    registerUnitHoldExpiryJob();
+  } catch (err) {
+    console.error('[unitHolds] Failed to register unit hold expiry job:', err.message);
+  }
+  try {
+    registerInstallmentReminderJob();
+  } catch (err) {
+    console.error('[dunning] Failed to register installment reminder job:', err.message);
+  }
+  try {
+    registerLateFeeAccrualJob();
+  } catch (err) {
+    console.error('[lateFees] Failed to register late fee accrual job:', err.message);
+  }
+  try {
+    registerLeadAssignmentSlaJob();
+  } catch (err) {
+    console.error('[leadAssignment] Failed to register lead assignment SLA job:', err.message);
+  }
+  try {
+    registerSiteVisitReminderJob();
+  } catch (err) {
+    console.error('[siteVisits] Failed to register site visit reminder job:', err.message);
+  }
 });
\ No newline at end of file
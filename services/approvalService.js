@@ -107,9 +107,10 @@ function findDiscountApproverLevel(policy, requestedDiscountPercent) {
  * @param {String} approvalType - e.g. 'DISCOUNT_APPROVAL'
  * @param {Object} contextData - type-specific context
  *   - For DISCOUNT_APPROVAL: { discountPercentage, userRoleLevel, userRoleSlug, requestedBy }
- *   - For PRICE_OVERRIDE: { deviationPercent, requestedBy }
+ *   - For PRICE_OVERRIDE: { deviationPercent, requestedBy } (price lists pass the largest unit change)
  *   - For REFUND_APPROVAL: { refundAmount, requestedBy }
  *   - For SALE_CANCELLATION/INSTALLMENT_MODIFICATION/INVOICE_APPROVAL: { requestedBy }
+ *   - For UNIT_HOLD_EXTENSION: { extensionHours, requestedBy }
  *   - For COMMISSION_PAYOUT: returns { required: false }
  * @param {ObjectId} [projectId] - optional project-level override
  * @returns {{ required: boolean, policy: Object|null, approvers: ObjectId[] }}
@@ -175,7 +176,9 @@ export async function checkApprovalRequired(
     }
 
     case 'PRICE_OVERRIDE': {
-      const { deviationPercent } = contextData;
+      // createApprovalRequest forwards requestData, which stores the value
+      // as deviationPercentage.
+      const deviationPercent = contextData.deviationPercent ?? contextData.deviationPercentage;
       if (
         deviationPercent !== undefined &&
         deviationPercent > policy.priceOverrideThresholdPercent
@@ -212,6 +215,18 @@ export async function checkApprovalRequired(
       }
       break;
     }
+
+    case 'UNIT_HOLD_EXTENSION': {
+      const { extensionHours } = contextData;
+      if (
+        policy.alwaysRequire ||
+        (extensionHours !== undefined &&
+          extensionHours > (policy.holdExtensionThresholdHours ?? 0))
+      ) {
+        required = true;
+      }
+      break;
+    }
   }
 
   if (!required) {
@@ -546,41 +561,90 @@ async function propagateApproval(approvalRequest) {
             ppErr.message
           );
         }
+
+        try {
+          const { startSaleLifecycle } = await import('./postSalesService.js');
+          await startSaleLifecycle({
+            organization: sale.organization,
+            saleId: sale._id,
+            user: { _id: approvalRequest.resolvedBy },
+          });
+        } catch (lcErr) {
+          console.error(
+            '⚠️ [ApprovalService] Post-sales workflow start failed after discount approval:',
+            lcErr.message
+          );
+        }
+
+        // Not awaited — the pack renders in the background and logs failures
+        const { generatePackForBooking } = await import('./salesDocumentPackService.js');
+        generatePackForBooking({
+          organization: sale.organization,
+          saleId: sale._id,
+          user: { _id: approvalRequest.resolvedBy },
+        });
         break;
       }
 
       case 'SALE_CANCELLATION': {
         const Sale = mongoose.model('Sale');
-        const Unit = mongoose.model('Unit');
-        const Lead = mongoose.model('Lead');
 
         const sale = await Sale.findById(entityId);
-        if (!sale) break;
+        if (!sale || sale.status === 'Cancelled') break;
 
-        sale.status = 'Cancelled';
-        sale.cancellationReason = requestData.cancellationReason;
-        sale.cancelledBy = approvalRequest.resolvedBy;
-        sale.cancelledAt = new Date();
-        await sale.save();
-
-        await Unit.findByIdAndUpdate(sale.unit, { status: 'available' });
-        if (sale.lead) {
-          await Lead.findByIdAndUpdate(sale.lead, { status: 'Active' });
-        }
+        const { cancelSaleRecord, afterSaleCancelled } = await import('./saleCancellationService.js');
+        const { cpAttribution } = await cancelSaleRecord(sale, {
+          reason: requestData.cancellationReason,
+          cancelledBy: approvalRequest.resolvedBy,
+        });
+        await afterSaleCancelled(sale, {
+          reason: requestData.cancellationReason,
+          actor: approvalRequest.resolvedBy,
+          cpAttribution,
+        });
         break;
       }
 
       case 'PRICE_OVERRIDE': {
+        // Dynamic import — priceListService imports this module.
+        const { resolvePriceListApproval, recordUnitPriceChanges } = await import(
+          './priceListService.js'
+        );
+        if (entityType === 'PriceList') {
+          await resolvePriceListApproval(entityId, 'approved', approvalRequest.resolvedBy);
+          break;
+        }
+
         const Unit = mongoose.model('Unit');
         if (requestData.proposedPrice) {
-          await Unit.findByIdAndUpdate(entityId, {
+          const unit = await Unit.findByIdAndUpdate(entityId, {
             currentPrice: requestData.proposedPrice,
           });
+          if (unit) {
+            await recordUnitPriceChanges([
+              {
+                unit,
+                previousPrice: unit.currentPrice,
+                newPrice: requestData.proposedPrice,
+                source: 'price_override',
+                approvalRequest: approvalRequest._id,
+                reason: approvalRequest.title,
+                changedBy: approvalRequest.requestedBy,
+              },
+            ]);
+          }
         }
         break;
       }
 
       case 'REFUND_APPROVAL': {
+        if (approvalRequest.entityType === 'CancellationSettlement') {
+          // Dynamic import — cancellationSettlementService imports this module.
+          const { resolveCancellationSettlement } = await import('./cancellationSettlementService.js');
+          await resolveCancellationSettlement(entityId, 'approved', approvalRequest.resolvedBy);
+          break;
+        }
+
         // Mark the refund as approved — actual refund processing is handled by the payment controller
         const PaymentTransaction = mongoose.model('PaymentTransaction');
         const txn = await PaymentTransaction.findById(entityId);
@@ -592,6 +656,13 @@ async function propagateApproval(approvalRequest) {
       }
 
       case 'INSTALLMENT_MODIFICATION': {
+        if (requestData.modificationType === 'late_fee_waiver') {
+          // Dynamic import — lateFeeService imports this module.
+          const { resolveLateFeeWaiver } = await import('./lateFeeService.js');
+          await resolveLateFeeWaiver(entityId, 'approved', approvalRequest.resolvedBy);
+          break;
+        }
+
         const Installment = mongoose.model('Installment');
         const installment = await Installment.findById(entityId);
         if (!installment) break;
@@ -622,6 +693,24 @@ async function propagateApproval(approvalRequest) {
           'approvalWorkflow.approvedBy': approvalRequest.resolvedBy,
           'approvalWorkflow.approvedAt': new Date(),
         });
+
+        // The approval was to send it: issue a draft, or send an issued one.
+        // Loaded on demand — it brings in the PDF renderer and S3.
+        const { issueInvoice, sendInvoiceEmail } = await import('./financeDocumentService.js');
+        const invoice = await Invoice.findById(entityId).select('status issuedAt');
+        const context = { organization: approvalRequest.organization, user: approvalRequest.resolvedBy };
+        if (invoice && !invoice.issuedAt && invoice.status === 'draft') {
+          await issueInvoice(entityId, { ...context, send: true });
+        } else if (invoice && invoice.status !== 'cancelled') {
+          await sendInvoiceEmail(entityId, context);
+        }
+        break;
+      }
+
+      case 'UNIT_HOLD_EXTENSION': {
+        // Dynamic import — unitHoldService imports this module.
+        const { resolveHoldExtension } = await import('./unitHoldService.js');
+        await resolveHoldExtension(entityId, 'approved', approvalRequest.resolvedBy);
         break;
       }
     }
@@ -653,10 +742,35 @@ async function propagateRejection(approvalRequest) {
         break;
       }
 
+      case 'PRICE_OVERRIDE': {
+        // A unit override needs no revert; a price list goes back to editable.
+        if (approvalRequest.entityType === 'PriceList') {
+          const { resolvePriceListApproval } = await import('./priceListService.js');
+          await resolvePriceListApproval(entityId, 'rejected', approvalRequest.resolvedBy);
+        }
+        break;
+      }
+
+      case 'INSTALLMENT_MODIFICATION': {
+        // A late fee waiver is closed out; other modifications leave the
+        // installment as-is
+        if (requestData.modificationType === 'late_fee_waiver') {
+          const { resolveLateFeeWaiver } = await import('./lateFeeService.js');
+          await resolveLateFeeWaiver(entityId, 'rejected', approvalRequest.resolvedBy);
+        }
+        break;
+      }
+
+      case 'REFUND_APPROVAL': {
+        // A cancellation settlement is closed out; the sale stays as-is
+        if (approvalRequest.entityType === 'CancellationSettlement') {
+          const { resolveCancellationSettlement } = await import('./cancellationSettlementService.js');
+          await resolveCancellationSettlement(entityId, 'rejected', approvalRequest.resolvedBy);
+        }
+        break;
+      }
+
       case 'SALE_CANCELLATION':
-      case 'PRICE_OVERRIDE':
-      case 'REFUND_APPROVAL':
-      case 'INSTALLMENT_MODIFICATION':
         // No action — original entity stays as-is
         break;
 
@@ -669,6 +783,13 @@ async function propagateRejection(approvalRequest) {
         });
         break;
       }
+
+      case 'UNIT_HOLD_EXTENSION': {
+        // Expiry stays where it was; the pending extension is closed out.
+        const { resolveHoldExtension } = await import('./unitHoldService.js');
+        await resolveHoldExtension(entityId, 'rejected', approvalRequest.resolvedBy);
+        break;
+      }
     }
   } catch (err) {
     console.error(
@@ -0,0 +1,587 @@
+// File: services/bankReconciliationService.js
+// Description: Bank statement reconciliation. An uploaded statement
+//   (services/bankStatementParser.js) is stored line by line and each credit
+//   line is scored against open PaymentTransactions on:
+//
+//     amount      exact (or net of processing fee / bank charges) or within 1%
+//     cheque      cheque / DD number on the line or in its narration
+//     reference   UTR / gateway id / loan reference found on the line
+//     date        paymentDate close to the line's value date (window below)
+//
+//   Pairs are assigned greedily, best score first, one transaction per line.
+//   Confident, unambiguous, amount-exact pairs verify the transaction (status
+//   'cleared', verification.bankStatementMatched, and chequeStatus 'cleared'
+//   for cheques) automatically; a cheque or
+//   reference hit with a different amount flags the transaction as a
+//   discrepancy; everything else lands in the finance review queue with its
+//   candidates.
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import BankStatement from '../models/bankStatementModel.js';
+import BankStatementLine from '../models/bankStatementLineModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import { parseBankStatement } from './bankStatementParser.js';
+import { refreshDepositBatch } from './chequeService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RECONCILIATION_SETTINGS = {
+  // A transaction recorded up to 10 days before (cheque clearing) or 3 days
+  // after (recorded late) the line's value date is a candidate
+  windowBeforeDays: 10,
+  windowAfterDays: 3,
+  autoVerifyScore: 85,
+  suggestScore: 50,
+  // Runner-up within this many points makes the best pair ambiguous
+  ambiguityMargin: 15,
+  maxCandidates: 5,
+};
+
+// Transactions still waiting for money to be confirmed
+const OPEN_STATUSES = ['pending', 'processing', 'completed'];
+const QUEUE_LINE_STATUSES = ['unmatched', 'suggested', 'discrepancy'];
+const CANDIDATE_FIELDS = 'transactionNumber amount netAmount processingFee bankCharges paymentDate paymentMethod '
+  + 'paymentMethodDetails status verification project paymentPlan customer';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const startOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+
+const dayDiff = (a, b) => Math.round(Math.abs(startOfDay(a) - startOfDay(b)) / DAY_MS);
+
+const normaliseCheque = (value) => String(value || '').replace(/\D/g, '').replace(/^0+/, '');
+
+/**
+ * Stable identity of a statement entry, so overlapping statements import each
+ * entry once. `occurrence` separates identical entries within one statement.
+ */
+export const lineFingerprint = (line, occurrence = 1) => crypto
+  .createHash('sha1')
+  .update([
+    startOfDay(line.valueDate).toISOString().slice(0, 10),
+    line.direction,
+    Number(line.amount).toFixed(2),
+    line.reference || '',
+    line.chequeNumber || '',
+    line.bankReference || '',
+    (line.description || '').toLowerCase(),
+    occurrence,
+  ].join('|'))
+  .digest('hex');
+
+const transactionIdentifiers = (txn) => {
+  const d = txn.paymentMethodDetails || {};
+  return {
+    cheques: [d.chequeNumber, d.ddNumber].map(normaliseCheque).filter(Boolean),
+    references: [d.referenceNumber, d.transactionId, d.gatewayTransactionId, d.loanReferenceNumber]
+      .filter((r) => r && String(r).trim().length >= 6)
+      .map((r) => String(r).trim().toLowerCase()),
+  };
+};
+
+/**
+ * Score one statement line against one transaction. Pure.
+ * @returns {{ score: number, reasons: string[], amountDiff: number, amountMatches: boolean, strongId: boolean }}
+ */
+export const scoreMatch = (line, txn) => {
+  const reasons = [];
+  let score = 0;
+
+  let amountDiff = round2(line.amount - txn.amount);
+  const net = txn.netAmount ?? round2(txn.amount - (txn.processingFee || 0) - (txn.bankCharges || 0));
+  let amountMatches = false;
+  if (Math.abs(amountDiff) < 0.01) {
+    score += 50;
+    reasons.push('amount');
+    amountMatches = true;
+  } else if (net !== txn.amount && Math.abs(line.amount - net) < 0.01) {
+    score += 45;
+    reasons.push('net_amount');
+    amountMatches = true;
+    amountDiff = 0;
+  } else if (Math.abs(amountDiff) <= txn.amount * 0.01) {
+    score += 15;
+    reasons.push('amount_close');
+  }
+
+  const { cheques, references } = transactionIdentifiers(txn);
+  const text = [line.reference, line.bankReference, line.description].filter(Boolean).join(' ').toLowerCase();
+  const lineCheques = [line.chequeNumber, ...(text.match(/\b\d{6}\b/g) || [])].map(normaliseCheque).filter(Boolean);
+
+  const chequeHit = cheques.some((c) => lineCheques.includes(c));
+  if (chequeHit) {
+    score += 35;
+    reasons.push('cheque_number');
+  }
+  const referenceHit = references.some((r) => text.includes(r));
+  if (referenceHit) {
+    score += 35;
+    reasons.push('reference');
+  }
+
+  const days = dayDiff(line.valueDate, txn.paymentDate);
+  if (days === 0) {
+    score += 15;
+    reasons.push('same_day');
+  } else if (days <= 3) {
+    score += 10;
+    reasons.push('date_close');
+  } else {
+    score += 5;
+    reasons.push('date_window');
+  }
+
+  return { score, reasons, amountDiff, amountMatches, strongId: chequeHit || referenceHit };
+};
+
+const inWindow = (line, txn, settings) => {
+  const paid = startOfDay(txn.paymentDate).getTime();
+  const value = startOfDay(line.valueDate).getTime();
+  return paid >= value - settings.windowBeforeDays * DAY_MS && paid <= value + settings.windowAfterDays * DAY_MS;
+};
+
+/**
+ * Pair statement lines with transactions. Pure.
+ *
+ * @param {Array} lines - statement lines (only credits are matched)
+ * @param {Array} transactions - open, not yet bank-matched transactions
+ * @returns {Array<{ line, decision: 'auto'|'discrepancy'|'suggested'|'unmatched',
+ *   transaction?, score?, reasons?, amountDiff?, candidates }>} one per line, same order
+ */
+export const matchStatementLines = (lines, transactions, settings = RECONCILIATION_SETTINGS) => {
+  const scored = lines.map((line) => {
+    if (line.direction !== 'credit') return [];
+    return transactions
+      .filter((txn) => inWindow(line, txn, settings))
+      .map((txn) => ({ txn, ...scoreMatch(line, txn) }))
+      .filter((c) => c.score >= settings.suggestScore || c.strongId)
+      .sort((a, b) => b.score - a.score);
+  });
+
+  // Greedy assignment, best pairs first
+  const pairs = scored
+    .flatMap((candidates, i) => candidates.map((c) => ({ i, c })))
+    .sort((a, b) => b.c.score - a.c.score);
+  const assigned = new Map();
+  const taken = new Set();
+  for (const { i, c } of pairs) {
+    const id = String(c.txn._id);
+    if (assigned.has(i) || taken.has(id)) continue;
+    assigned.set(i, c);
+    taken.add(id);
+  }
+
+  return lines.map((line, i) => {
+    const candidates = scored[i].slice(0, settings.maxCandidates).map((c) => ({
+      transaction: c.txn._id,
+      score: c.score,
+      reasons: c.reasons,
+    }));
+    const best = assigned.get(i);
+    if (!best) return { line, decision: 'unmatched', candidates };
+
+    const id = String(best.txn._id);
+    const lineRunnerUp = scored[i].find((c) => String(c.txn._id) !== id)?.score ?? 0;
+    const txnRunnerUp = Math.max(0, ...scored
+      .filter((_, j) => j !== i)
+      .map((cands) => cands.find((c) => String(c.txn._id) === id)?.score ?? 0));
+    const ambiguous = Math.max(lineRunnerUp, txnRunnerUp) > best.score - settings.ambiguityMargin;
+
+    let decision = 'suggested';
+    if (best.strongId && !best.amountMatches && !ambiguous) decision = 'discrepancy';
+    else if (best.amountMatches && best.score >= settings.autoVerifyScore && !ambiguous) decision = 'auto';
+    else if (best.score < settings.suggestScore) decision = 'unmatched';
+
+    return {
+      line,
+      decision,
+      transaction: best.txn,
+      score: best.score,
+      reasons: best.reasons,
+      amountDiff: best.amountDiff,
+      candidates,
+    };
+  });
+};
+
+// ─── Transaction updates ──────────────────────────────────────
+
+const verifyTransaction = async (txn, { userId, notes, discrepancyAmount = 0, discrepancyReason, clearingDate }) => {
+  if (txn.paymentMethod === 'cheque') {
+    txn.set({
+      'paymentMethodDetails.chequeStatus': 'cleared',
+      'paymentMethodDetails.clearingDate': clearingDate,
+    });
+  }
+  txn.set({
+    'verification.verificationStatus': 'verified',
+    'verification.verifiedBy': userId,
+    'verification.verificationDate': new Date(),
+    'verification.verificationNotes': notes,
+    'verification.bankStatementMatched': true,
+    'verification.discrepancyAmount': discrepancyAmount,
+    'verification.discrepancyReason': discrepancyReason,
+  });
+  txn.status = 'cleared';
+  txn.lastModifiedBy = userId;
+  await txn.save();
+  await txn.recalculatePaymentPlan();
+  if (txn.paymentMethod === 'cheque') await refreshDepositBatch(txn.paymentMethodDetails?.depositBatch);
+};
+
+const flagDiscrepancy = async (txn, { userId, amountDiff, lineLabel }) => {
+  txn.set({
+    'verification.verificationStatus': 'discrepancy',
+    'verification.bankStatementMatched': true,
+    'verification.discrepancyAmount': amountDiff,
+    'verification.discrepancyReason': `Bank statement ${lineLabel} shows ${amountDiff > 0 ? 'more' : 'less'} than recorded (${amountDiff})`,
+  });
+  txn.lastModifiedBy = userId;
+  await txn.save();
+};
+
+const lineLabel = (line) => `line ${line.lineNumber} (${startOfDay(line.valueDate).toISOString().slice(0, 10)})`;
+
+// ─── Import ───────────────────────────────────────────────────
+
+/**
+ * Parse, store and reconcile an uploaded statement.
+ *
+ * @param {object} params
+ * @param {Buffer} params.buffer - file content
+ * @param {string} [params.fileName]
+ * @param {string} [params.format] - 'csv' | 'mt940' | 'camt053'; detected when omitted
+ * @param {ObjectId} [params.projectId] - limit matching to one project
+ * @param {object} params.organization
+ * @param {object} params.user
+ * @param {object} [params.transactionFilter] - caller's project access filter
+ * @returns {Promise<{ statement, summary }>}
+ */
+export const importBankStatement = async ({
+  buffer,
+  fileName,
+  format,
+  projectId = null,
+  organization,
+  user,
+  transactionFilter = {},
+}) => {
+  const parsed = parseBankStatement(buffer, { format, fileName });
+
+  const occurrences = new Map();
+  const withPrints = parsed.lines.map((line) => {
+    const key = lineFingerprint(line, 0);
+    const n = (occurrences.get(key) || 0) + 1;
+    occurrences.set(key, n);
+    return { ...line, fingerprint: lineFingerprint(line, n) };
+  });
+  const existing = await BankStatementLine.find({
+    organization,
+    fingerprint: { $in: withPrints.map((l) => l.fingerprint) },
+  }).select('fingerprint').lean();
+  const seen = new Set(existing.map((l) => l.fingerprint));
+  const fresh = withPrints.filter((l) => !seen.has(l.fingerprint));
+
+  const statement = await BankStatement.create({
+    organization,
+    project: projectId,
+    fileName,
+    format: parsed.format,
+    account: parsed.account,
+    periodFrom: parsed.periodFrom,
+    periodTo: parsed.periodTo,
+    openingBalance: parsed.openingBalance,
+    closingBalance: parsed.closingBalance,
+    lineCount: fresh.length,
+    duplicateLines: withPrints.length - fresh.length,
+    uploadedBy: user._id,
+  });
+
+  const lines = fresh.length
+    ? await BankStatementLine.insertMany(fresh.map((line, i) => ({
+      ...line,
+      organization,
+      statement: statement._id,
+      project: projectId,
+      lineNumber: i + 1,
+    })))
+    : [];
+
+  const summary = await reconcileLines(lines, { organization, projectId, user, transactionFilter });
+  statement.summary = summary;
+  await statement.save();
+
+  return { statement, summary };
+};
+
+/**
+ * Match stored lines against open transactions and apply the outcome.
+ */
+export const reconcileLines = async (lines, { organization, projectId = null, user, transactionFilter = {} }) => {
+  const summary = { autoVerified: 0, suggested: 0, discrepancies: 0, unmatched: 0 };
+  const credits = lines.filter((l) => l.direction === 'credit');
+  summary.unmatched += lines.length - credits.length;
+  if (!credits.length) return summary;
+
+  const settings = RECONCILIATION_SETTINGS;
+  const dates = credits.map((l) => startOfDay(l.valueDate).getTime());
+  const transactions = await PaymentTransaction.find({
+    ...transactionFilter,
+    organization,
+    ...(projectId ? { project: projectId } : {}),
+    status: { $in: OPEN_STATUSES },
+    'verification.bankStatementMatched': { $ne: true },
+    paymentDate: {
+      $gte: new Date(Math.min(...dates) - settings.windowBeforeDays * DAY_MS),
+      $lt: new Date(Math.max(...dates) + (settings.windowAfterDays + 1) * DAY_MS),
+    },
+  }).select(CANDIDATE_FIELDS);
+
+  for (const result of matchStatementLines(credits, transactions, settings)) {
+    const { line, decision, transaction, candidates } = result;
+    line.candidates = candidates;
+
+    try {
+      if (decision === 'auto') {
+        await verifyTransaction(transaction, {
+          userId: user._id,
+          notes: `Auto-matched to bank statement ${lineLabel(line)} (${result.reasons.join(', ')})`,
+          clearingDate: line.valueDate,
+        });
+      } else if (decision === 'discrepancy') {
+        await flagDiscrepancy(transaction, { userId: user._id, amountDiff: result.amountDiff, lineLabel: lineLabel(line) });
+      }
+    } catch (err) {
+      console.error(`[reconciliation] transaction ${transaction?._id} update failed: ${err.message}`);
+      line.status = 'suggested';
+      await line.save();
+      summary.suggested += 1;
+      continue;
+    }
+
+    if (decision === 'auto' || decision === 'discrepancy') {
+      line.status = decision === 'auto' ? 'matched' : 'discrepancy';
+      line.matchedTransaction = transaction._id;
+      line.matchScore = result.score;
+      line.matchReasons = result.reasons;
+      line.discrepancyAmount = result.amountDiff;
+      line.autoMatched = true;
+      line.matchedAt = new Date();
+    } else {
+      line.status = candidates.length ? 'suggested' : 'unmatched';
+    }
+    await line.save();
+
+    if (decision === 'auto') summary.autoVerified += 1;
+    else if (decision === 'discrepancy') summary.discrepancies += 1;
+    else if (line.status === 'suggested') summary.suggested += 1;
+    else summary.unmatched += 1;
+  }
+
+  return summary;
+};
+
+// ─── Review queue ─────────────────────────────────────────────
+
+const lineAccessFilter = (accessFilter) => (accessFilter.project
+  ? { $or: [{ project: null }, accessFilter] }
+  : {});
+
+/**
+ * Lines and transactions still needing a human: statement lines not yet
+ * matched or ignored, and open transactions no statement line has confirmed.
+ */
+export const getReconciliationQueue = async ({ organization, accessFilter = {}, statementId, limit = 100 }) => {
+  const cap = Math.min(Number(limit) || 100, 500);
+  const [lines, transactions] = await Promise.all([
+    BankStatementLine.find({
+      organization,
+      status: { $in: QUEUE_LINE_STATUSES },
+      ...(statementId ? { statement: statementId } : {}),
+      ...lineAccessFilter(accessFilter),
+    })
+      .populate('candidates.transaction', 'transactionNumber amount paymentDate paymentMethod status customer project')
+      .populate('matchedTransaction', 'transactionNumber amount paymentDate paymentMethod status verification')
+      .sort({ valueDate: -1 })
+      .limit(cap)
+      .lean(),
+    PaymentTransaction.find({
+      ...accessFilter,
+      organization,
+      status: { $in: OPEN_STATUSES },
+      'verification.bankStatementMatched': { $ne: true },
+    })
+      .select('transactionNumber amount paymentDate paymentMethod paymentMethodDetails.chequeNumber '
+        + 'paymentMethodDetails.referenceNumber status customer project')
+      .populate('customer', 'firstName lastName')
+      .sort({ paymentDate: 1 })
+      .limit(cap)
+      .lean(),
+  ]);
+
+  return { lines, transactions };
+};
+
+// A discrepancy line that ends up matched elsewhere or ignored hands its
+// flagged transaction back to the queue.
+const releaseFlaggedTransaction = async (line, keepTransactionId, userId) => {
+  if (line.status !== 'discrepancy' || !line.matchedTransaction) return;
+  if (String(line.matchedTransaction) === String(keepTransactionId)) return;
+  await PaymentTransaction.updateOne(
+    { _id: line.matchedTransaction, 'verification.verificationStatus': 'discrepancy' },
+    {
+      $set: {
+        'verification.verificationStatus': 'pending',
+        'verification.bankStatementMatched': false,
+        'verification.discrepancyAmount': 0,
+        'verification.discrepancyReason': null,
+        lastModifiedBy: userId,
+      },
+    }
+  );
+};
+
+const loadQueueLine = async (lineId, organization) => {
+  const line = await BankStatementLine.findOne({ _id: lineId, organization });
+  if (!line) throw httpError(404, 'Statement line not found.');
+  return line;
+};
+
+/**
+ * Finance confirms a line ↔ transaction pair. Differing amounts need
+ * acceptDiscrepancy, and the difference is recorded on the transaction.
+ *
+ * @param {Function} [verifyAccess] - called with the transaction's project
+ */
+export const confirmLineMatch = async (lineId, { transactionId, acceptDiscrepancy = false, organization, user, verifyAccess }) => {
+  const line = await loadQueueLine(lineId, organization);
+  if (!QUEUE_LINE_STATUSES.includes(line.status)) {
+    throw httpError(409, `Line is already ${line.status}`);
+  }
+  if (line.direction !== 'credit') throw httpError(400, 'Only credit lines can be matched to receipts');
+
+  const txn = await PaymentTransaction.findOne({ _id: transactionId, organization });
+  if (!txn) throw httpError(404, 'Payment transaction not found.');
+  verifyAccess?.(txn.project);
+
+  const flaggedByThisLine = String(line.matchedTransaction) === String(txn._id);
+  if (!OPEN_STATUSES.includes(txn.status)) {
+    throw httpError(409, `Transaction is ${txn.status}`);
+  }
+  if (txn.verification?.bankStatementMatched && !flaggedByThisLine) {
+    throw httpError(409, 'Transaction is already matched to a statement line');
+  }
+
+  const { score, reasons, amountDiff, amountMatches } = scoreMatch(line, txn);
+  if (!amountMatches && !acceptDiscrepancy) {
+    throw httpError(400, `Amounts differ by ${amountDiff}; confirm with acceptDiscrepancy to record the difference`);
+  }
+
+  await releaseFlaggedTransaction(line, txn._id, user._id);
+  await verifyTransaction(txn, {
+    userId: user._id,
+    notes: `Matched to bank statement ${lineLabel(line)}`,
+    discrepancyAmount: amountMatches ? 0 : amountDiff,
+    discrepancyReason: amountMatches ? undefined : `Accepted statement difference on ${lineLabel(line)}`,
+    clearingDate: line.valueDate,
+  });
+
+  line.status = 'matched';
+  line.matchedTransaction = txn._id;
+  line.matchScore = score;
+  line.matchReasons = reasons;
+  line.discrepancyAmount = amountMatches ? 0 : amountDiff;
+  line.autoMatched = false;
+  line.matchedBy = user._id;
+  line.matchedAt = new Date();
+  await line.save();
+
+  return { line, transaction: txn };
+};
+
+/**
+ * Set a line aside as not a buyer receipt.
+ */
+export const ignoreLine = async (lineId, { reason, organization, user }) => {
+  const line = await loadQueueLine(lineId, organization);
+  if (!QUEUE_LINE_STATUSES.includes(line.status)) {
+    throw httpError(409, `Line is already ${line.status}`);
+  }
+  if (!reason || !String(reason).trim()) throw httpError(400, 'A reason is required to ignore a line');
+  await releaseFlaggedTransaction(line, null, user._id);
+  line.status = 'ignored';
+  line.matchedTransaction = null;
+  line.ignoreReason = reason;
+  line.matchedBy = user._id;
+  line.matchedAt = new Date();
+  await line.save();
+  return line;
+};
+
+export const listStatements = async ({ organization, accessFilter = {} }) => BankStatement.find({
+  organization,
+  ...lineAccessFilter(accessFilter),
+})
+  .populate('uploadedBy', 'firstName lastName')
+  .sort({ createdAt: -1 })
+  .limit(100)
+  .lean();
+
+/**
+ * A statement with its lines. Lines of an organization-wide statement can be
+ * matched to any project's transactions, so a caller limited to some projects
+ * (accessFilter) sees only the unmatched lines and those matched within
+ * their projects, and only candidates from their projects.
+ */
+export const getStatement = async (statementId, { organization, accessFilter = {} }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(statementId))) {
+    throw httpError(400, 'Invalid bank statement id.');
+  }
+  const statement = await BankStatement.findOne({ _id: statementId, organization })
+    .populate('uploadedBy', 'firstName lastName')
+    .lean();
+  if (!statement) throw httpError(404, 'Bank statement not found.');
+  const lines = await BankStatementLine.find({ statement: statement._id })
+    .sort({ lineNumber: 1 })
+    .lean();
+
+  const transactionIds = lines.flatMap((line) => [
+    line.matchedTransaction,
+    ...(line.candidates || []).map((c) => c.transaction),
+  ]).filter(Boolean);
+  const transactions = transactionIds.length
+    ? await PaymentTransaction.find({ ...accessFilter, organization, _id: { $in: transactionIds } })
+      .select('transactionNumber amount paymentDate status project')
+      .lean()
+    : [];
+  const visible = new Map(transactions.map((t) => [String(t._id), t]));
+
+  return {
+    statement,
+    lines: lines
+      .filter((line) => !line.matchedTransaction || visible.has(String(line.matchedTransaction)))
+      .map((line) => ({
+        ...line,
+        matchedTransaction: line.matchedTransaction ? visible.get(String(line.matchedTransaction)) : null,
+        candidates: (line.candidates || []).filter((c) => visible.has(String(c.transaction))),
+      })),
+  };
+};
+
+export default {
+  scoreMatch,
+  matchStatementLines,
+  importBankStatement,
+  reconcileLines,
+  getReconciliationQueue,
+  confirmLineMatch,
+  ignoreLine,
+  listStatements,
+  getStatement,
+};
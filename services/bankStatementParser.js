@@ -0,0 +1,337 @@
+// File: services/bankStatementParser.js
+// Description: Bank statement parsers for reconciliation. Each parser turns a
+//   file into the same shape:
+//
+//     { format, account: { accountNumber, bankName, currency },
+//       periodFrom, periodTo, openingBalance, closingBalance,
+//       lines: [{ valueDate, bookingDate, amount, direction, description,
+//                 reference, chequeNumber, bankReference }] }
+//
+//   - CSV: header-driven; recognises the common Indian bank export columns
+//     (Date / Narration / Chq./Ref.No. / Value Dt / Withdrawal / Deposit) as
+//     well as a signed Amount or Amount + Dr/Cr column.
+//   - MT940 (SWIFT): :25: account, :60F:/:62F: balances, :61: entries with
+//     their :86: information.
+//   - CAMT.053 (ISO 20022 XML): <Stmt> with <Bal> and <Ntry> elements.
+//
+//   Amounts are always positive; direction says credit (money in) or debit.
+
+import { parse } from 'csv-parse/sync';
+import { httpError } from '../utils/httpError.js';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parse the date formats banks export: 2026-01-31, 31/01/2026, 31-01-26,
+ * 31-Jan-2026, 31 Jan 2026. Day-first for the numeric forms. Local midnight.
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value) => {
+  if (!value) return null;
+  const s = String(value).trim();
+  let m = s.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3]);
+
+  m = s.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return new Date(year, +m[2] - 1, +m[1]);
+  }
+
+  m = s.match(/^(\d{1,2})[\s/-]([A-Za-z]{3})[A-Za-z]*[\s/-](\d{2}|\d{4})$/);
+  if (m) {
+    const month = MONTHS.indexOf(m[2].toLowerCase());
+    if (month === -1) return null;
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    return new Date(year, month, +m[1]);
+  }
+  return null;
+};
+
+/**
+ * '1,23,456.50' → 123456.5; '(500.00)' and '-500' → -500; blank → null.
+ */
+export const parseStatementAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  let s = String(value).trim();
+  if (!s) return null;
+  const negative = /^\(.*\)$/.test(s) || s.startsWith('-');
+  s = s.replace(/[^\d.]/g, '');
+  if (!s) return null;
+  const n = Number(s);
+  if (!Number.isFinite(n)) return null;
+  return negative ? -n : n;
+};
+
+// ─── CSV ──────────────────────────────────────────────────────
+
+const CSV_COLUMNS = {
+  date: ['date', 'txn date', 'transaction date', 'tran date', 'posting date', 'booking date'],
+  valueDate: ['value date', 'value dt', 'val date'],
+  description: ['narration', 'description', 'particulars', 'remarks', 'transaction details', 'details'],
+  reference: ['chq./ref.no.', 'chq/ref no', 'ref no', 'reference', 'reference no', 'ref no./cheque no.', 'utr', 'utr no', 'transaction id'],
+  cheque: ['cheque no', 'cheque number', 'chq no', 'instrument no'],
+  credit: ['deposit amt.', 'deposit amt', 'deposit', 'deposits', 'credit', 'credit amount', 'cr amount'],
+  debit: ['withdrawal amt.', 'withdrawal amt', 'withdrawal', 'withdrawals', 'debit', 'debit amount', 'dr amount'],
+  amount: ['amount', 'transaction amount', 'amt'],
+  drCr: ['dr/cr', 'cr/dr', 'type', 'debit/credit', 'txn type'],
+};
+
+const normaliseHeader = (h) => String(h).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const resolveCsvColumns = (headers) => {
+  const byName = new Map(headers.map((h) => [normaliseHeader(h), h]));
+  const resolved = {};
+  for (const [key, names] of Object.entries(CSV_COLUMNS)) {
+    const hit = names.find((n) => byName.has(n));
+    if (hit) resolved[key] = byName.get(hit);
+  }
+  return resolved;
+};
+
+// A 6-digit reference in a cheque column is the cheque number
+const chequeFrom = (value) => {
+  const s = String(value || '').trim().replace(/^0+(?=\d{6}$)/, '');
+  return /^\d{6}$/.test(s) ? s : undefined;
+};
+
+export const parseCsvStatement = (content) => {
+  let records;
+  try {
+    records = parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true,
+      bom: true,
+    });
+  } catch (err) {
+    throw httpError(400, `CSV parsing failed: ${err.message}`);
+  }
+  if (!records.length) throw httpError(400, 'The statement has no entries');
+
+  const cols = resolveCsvColumns(Object.keys(records[0]));
+  if (!cols.date && !cols.valueDate) throw httpError(400, 'No date column found in the statement');
+  if (!cols.amount && !cols.credit && !cols.debit) throw httpError(400, 'No amount column found in the statement');
+
+  const lines = [];
+  for (const row of records) {
+    const bookingDate = parseStatementDate(row[cols.date]);
+    const valueDate = parseStatementDate(row[cols.valueDate]) || bookingDate;
+    if (!valueDate) continue; // separator, opening-balance or footer rows
+
+    let signed;
+    if (cols.credit || cols.debit) {
+      const credit = parseStatementAmount(row[cols.credit]) || 0;
+      const debit = parseStatementAmount(row[cols.debit]) || 0;
+      signed = credit - Math.abs(debit);
+    } else {
+      signed = parseStatementAmount(row[cols.amount]) || 0;
+      if (cols.drCr && /^d/i.test(String(row[cols.drCr]).trim())) signed = -Math.abs(signed);
+    }
+    if (!signed) continue;
+
+    const reference = cols.reference ? String(row[cols.reference] || '').trim() : '';
+    lines.push({
+      valueDate,
+      bookingDate: bookingDate || valueDate,
+      amount: Math.abs(signed),
+      direction: signed > 0 ? 'credit' : 'debit',
+      description: cols.description ? String(row[cols.description] || '').trim() : '',
+      reference: reference || undefined,
+      chequeNumber: chequeFrom(cols.cheque ? row[cols.cheque] : reference),
+    });
+  }
+
+  return { format: 'csv', account: {}, lines };
+};
+
+// ─── MT940 ────────────────────────────────────────────────────
+
+const mt940Date = (yymmdd) => new Date(2000 + +yymmdd.slice(0, 2), +yymmdd.slice(2, 4) - 1, +yymmdd.slice(4, 6));
+const mt940Amount = (s) => Number(s.replace(',', '.'));
+
+// :60F:C260101INR1234,56
+const mt940Balance = (value) => {
+  const m = value.match(/^([CD])(\d{6})([A-Z]{3})([\d,]+)/);
+  if (!m) return {};
+  const amount = mt940Amount(m[4]);
+  return { date: mt940Date(m[2]), currency: m[3], amount: m[1] === 'D' ? -amount : amount };
+};
+
+// :61:2601020102C15000,00NCHK000123//HDFC0001\nsupplementary
+const MT940_ENTRY = /^(\d{6})(\d{4})?(R?[CD])[A-Z]?([\d,]+)([A-Z][A-Z0-9]{3})([^/\n]*)(?:\/\/([^\n]*))?(?:\n(.*))?/s;
+
+export const parseMt940Statement = (content) => {
+  const text = String(content).replace(/\r\n?/g, '\n');
+  // Split into tags; a tag runs until the next line that starts with :NN?:
+  const fields = [];
+  for (const chunk of text.split(/\n(?=:\d{2}[A-Z]?:)/)) {
+    const m = chunk.match(/^:?(\d{2}[A-Z]?):([\s\S]*)$/);
+    if (m) fields.push({ tag: m[1], value: m[2].replace(/\n-}?\s*$/, '').trim() });
+  }
+  if (!fields.some((f) => f.tag === '61')) throw httpError(400, 'No MT940 statement entries (:61:) found');
+
+  const result = { format: 'mt940', account: {}, lines: [] };
+  let current = null;
+  for (const { tag, value } of fields) {
+    if (tag === '25') {
+      result.account.accountNumber = value.split('/').pop().trim();
+    } else if (tag === '60F' || tag === '60M') {
+      const bal = mt940Balance(value);
+      if (result.openingBalance === undefined) {
+        result.openingBalance = bal.amount;
+        result.periodFrom = bal.date;
+        result.account.currency = bal.currency;
+      }
+    } else if (tag === '62F' || tag === '62M') {
+      const bal = mt940Balance(value);
+      result.closingBalance = bal.amount;
+      result.periodTo = bal.date;
+    } else if (tag === '61') {
+      const m = value.match(MT940_ENTRY);
+      if (!m) { current = null; continue; }
+      const valueDate = mt940Date(m[1]);
+      let bookingDate = valueDate;
+      if (m[2]) {
+        bookingDate = new Date(valueDate.getFullYear(), +m[2].slice(0, 2) - 1, +m[2].slice(2, 4));
+        // Booked in January for a December value date
+        if (bookingDate < valueDate && valueDate.getMonth() === 11 && bookingDate.getMonth() === 0) {
+          bookingDate.setFullYear(bookingDate.getFullYear() + 1);
+        }
+      }
+      const customerRef = m[6].trim();
+      current = {
+        valueDate,
+        bookingDate,
+        amount: mt940Amount(m[4]),
+        // RC (reversal of credit) takes money out; RD puts it back
+        direction: m[3] === 'C' || m[3] === 'RD' ? 'credit' : 'debit',
+        description: (m[8] || '').trim(),
+        reference: customerRef && customerRef !== 'NONREF' ? customerRef : undefined,
+        chequeNumber: m[5] === 'NCHK' ? chequeFrom(customerRef) : undefined,
+        bankReference: m[7]?.trim() || undefined,
+      };
+      result.lines.push(current);
+    } else if (tag === '86' && current) {
+      current.description = [current.description, value.replace(/\n/g, ' ')].filter(Boolean).join(' ');
+    }
+  }
+  return result;
+};
+
+// ─── CAMT.053 ─────────────────────────────────────────────────
+
+// Namespace-prefix tolerant helpers: <Ntry> and <ns:Ntry> both match.
+const xmlBlocks = (xml, name) => {
+  const re = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  return [...xml.matchAll(re)].map((m) => m[1]);
+};
+const xmlText = (xml, ...path) => {
+  let scope = xml;
+  for (const name of path) {
+    scope = xmlBlocks(scope, name)[0];
+    if (scope === undefined) return undefined;
+  }
+  return scope
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+const xmlDate = (xml, name) => parseStatementDate(xmlText(xml, name, 'Dt') || xmlText(xml, name, 'DtTm'));
+
+export const parseCamt053Statement = (content) => {
+  const xml = String(content);
+  const stmt = xmlBlocks(xml, 'Stmt')[0];
+  if (!stmt) throw httpError(400, 'No CAMT.053 <Stmt> found');
+
+  const result = {
+    format: 'camt053',
+    account: {
+      // <Acct><Id> nests another <Id> under <Othr>, so address the leaf directly
+      accountNumber: xmlText(stmt, 'Acct', 'IBAN') || xmlText(stmt, 'Acct', 'Othr', 'Id'),
+      bankName: xmlText(stmt, 'Acct', 'Svcr', 'FinInstnId', 'Nm'),
+      currency: xmlText(stmt, 'Acct', 'Ccy'),
+    },
+    lines: [],
+  };
+
+  for (const bal of xmlBlocks(stmt, 'Bal')) {
+    const code = xmlText(bal, 'Tp', 'CdOrPrtry', 'Cd');
+    const amount = Number(xmlText(bal, 'Amt'));
+    const signed = xmlText(bal, 'CdtDbtInd') === 'DBIT' ? -amount : amount;
+    if (code === 'OPBD' || code === 'PRCD') {
+      result.openingBalance = signed;
+      result.periodFrom = parseStatementDate(xmlText(bal, 'Dt'));
+    } else if (code === 'CLBD') {
+      result.closingBalance = signed;
+      result.periodTo = parseStatementDate(xmlText(bal, 'Dt'));
+    }
+  }
+
+  for (const entry of xmlBlocks(stmt, 'Ntry')) {
+    const tx = xmlBlocks(entry, 'TxDtls')[0] || '';
+    const bookingDate = xmlDate(entry, 'BookgDt');
+    const valueDate = xmlDate(entry, 'ValDt') || bookingDate;
+    if (!valueDate) continue;
+    const reference = xmlText(tx, 'Refs', 'EndToEndId') || xmlText(tx, 'Refs', 'InstrId') || xmlText(tx, 'Refs', 'TxId');
+    result.lines.push({
+      valueDate,
+      bookingDate: bookingDate || valueDate,
+      amount: Number(xmlText(entry, 'Amt')),
+      direction: xmlText(entry, 'CdtDbtInd') === 'DBIT' ? 'debit' : 'credit',
+      description: [xmlText(tx, 'RmtInf', 'Ustrd'), xmlText(entry, 'AddtlNtryInf')].filter(Boolean).join(' '),
+      reference: reference && reference !== 'NOTPROVIDED' ? reference : undefined,
+      chequeNumber: chequeFrom(xmlText(tx, 'Refs', 'ChqNb')),
+      bankReference: xmlText(entry, 'AcctSvcrRef'),
+    });
+  }
+  return result;
+};
+
+// ─── Entry point ──────────────────────────────────────────────
+
+/**
+ * Guess the format from the file name and content.
+ * @returns {'csv'|'mt940'|'camt053'}
+ */
+export const detectStatementFormat = (content, fileName = '') => {
+  const head = String(content).slice(0, 2000);
+  if (/<(?:\w+:)?BkToCstmrStmt\b/.test(head) || /camt\.053/.test(head)) return 'camt053';
+  if (/^\s*(?:\{1:|:20:)/.test(head) || /\n:61:/.test(String(content))) return 'mt940';
+  if (/\.(sta|mt940|940)$/i.test(fileName)) return 'mt940';
+  if (/\.xml$/i.test(fileName)) return 'camt053';
+  return 'csv';
+};
+
+/**
+ * Parse a statement file.
+ * @param {Buffer|string} content
+ * @param {{ format?: string, fileName?: string }} [options]
+ */
+export const parseBankStatement = (content, { format, fileName } = {}) => {
+  const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content || '');
+  if (!text.trim()) throw httpError(400, 'The statement file is empty');
+
+  const resolved = format || detectStatementFormat(text, fileName);
+  let parsed;
+  if (resolved === 'csv') parsed = parseCsvStatement(text);
+  else if (resolved === 'mt940') parsed = parseMt940Statement(text);
+  else if (resolved === 'camt053') parsed = parseCamt053Statement(text);
+  else throw httpError(400, `Unsupported statement format: ${resolved}`);
+
+  parsed.lines = parsed.lines.filter((l) => Number.isFinite(l.amount) && l.amount > 0);
+  if (!parsed.lines.length) throw httpError(400, 'The statement has no entries');
+  if (!parsed.periodFrom) parsed.periodFrom = new Date(Math.min(...parsed.lines.map((l) => l.valueDate)));
+  if (!parsed.periodTo) parsed.periodTo = new Date(Math.max(...parsed.lines.map((l) => l.valueDate)));
+  return parsed;
+};
+
+export default {
+  parseBankStatement,
+  detectStatementFormat,
+  parseCsvStatement,
+  parseMt940Statement,
+  parseCamt053Statement,
+};
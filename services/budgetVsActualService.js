@@ -4,6 +4,7 @@
 // Location: services/budgetVsActualService.js
 
 import mongoose from 'mongoose';
+import { getCampaignRoi } from './roiTrackingService.js';
 
 // Import models dynamically to avoid circular dependencies
 let Project, Unit, Sale, Lead, ConstructionMilestone;
@@ -826,9 +827,21 @@ const calculateMarketingAnalysis = async (baseQuery, dateRange) => {
       };
     });
     
+    // Actual spend and attributed revenue from campaigns. The per-source
+    // figures above stay estimates for leads that came in without a campaign.
+    const campaignRoi = await getCampaignRoi({
+      organization: baseQuery.lead.organization,
+      projectId: baseQuery.lead.project,
+      from: dateRange.start,
+      to: dateRange.end
+    });
+
     return {
       channels: sourceROI,
+      campaigns: campaignRoi.campaigns,
+      campaignChannels: campaignRoi.byChannel,
       summary: {
+        campaignTotals: campaignRoi.totals,
         totalLeads: sourceAnalysis.reduce((sum, s) => sum + s.totalLeads, 0),
         totalQualified: sourceAnalysis.reduce((sum, s) => sum + s.qualifiedLeads, 0),
         totalBooked: sourceAnalysis.reduce((sum, s) => sum + s.bookedLeads, 0),
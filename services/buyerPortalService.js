@@ -0,0 +1,366 @@
+// File: services/buyerPortalService.js
+// Description: Buyer portal — OTP sign-in by email or phone and read-only views
+//   of the buyer's own bookings: sale, installments, receipts, invoices, shared
+//   documents and construction progress for the booked projects.
+//
+//   A buyer is not a User. They are identified by the email/phone on the Lead
+//   records that own a live (non-cancelled) Sale. Every read re-resolves those
+//   sales from the token's identifier and filters by them, so a cancelled
+//   booking disappears from the portal immediately.
+
+import jwt from 'jsonwebtoken';
+import Lead from '../models/leadModel.js';
+import Sale from '../models/salesModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import Installment from '../models/installmentModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import Invoice from '../models/invoiceModel.js';
+import File from '../models/fileModel.js';
+import ConstructionMilestone from '../models/constructionMilestoneModel.js';
+import BuyerOtp from '../models/buyerOtpModel.js';
+import { generateOtp, hashOtp, verifyOtp } from './reports/otp.js';
+import { getPresignedDownloadUrl } from './s3Service.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const BUYER_TOKEN_AUDIENCE = 'buyer-portal';
+const BUYER_TOKEN_TTL = '2h';
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 6;
+const URL_TTL_SECONDS = 3600;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Fields a buyer may see; everything else on these models is internal.
+const INSTALLMENT_FIELDS = 'sale installmentNumber description milestoneType milestoneDescription '
+  + 'currentAmount paidAmount pendingAmount currentDueDate status lateFeeAccrued lastPaymentDate';
+const TRANSACTION_FIELDS = 'paymentPlan transactionNumber amount paymentDate paymentMethod status '
+  + 'receiptGenerated receiptNumber receiptDate receiptFile.s3Key '
+  + 'paymentAllocations.installment paymentAllocations.allocatedAmount';
+const INVOICE_FIELDS = 'sale invoiceNumber type status invoiceDate dueDate financialSummary pdfFile.s3Key';
+
+// ─── Identifier handling ─────────────────────────────────────
+
+/**
+ * Normalise the sign-in identifier. Phones compare on their last 10 digits so
+ * "+91 98450-12345" and "9845012345" are the same buyer.
+ * @returns {{ channel: 'email'|'phone', identifier: string } | null}
+ */
+export const parseBuyerIdentifier = ({ email, phone } = {}) => {
+  if (email) {
+    const norm = String(email).toLowerCase().trim();
+    return EMAIL_RE.test(norm) ? { channel: 'email', identifier: norm } : null;
+  }
+  if (phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    return digits.length >= 10 ? { channel: 'phone', identifier: digits.slice(-10) } : null;
+  }
+  return null;
+};
+
+/**
+ * Regex matching a stored phone whose last 10 digits are `digits`, tolerating
+ * spaces, dashes and a country code in the stored value.
+ */
+export const phoneMatcher = (digits) => new RegExp(`${digits.split('').join('\\D*')}\\D*$`);
+
+const leadQuery = ({ channel, identifier }) => (channel === 'email'
+  ? { email: identifier }
+  : { phone: phoneMatcher(identifier) });
+
+/**
+ * Leads matching the identifier (or, for a signed-in session, the leads
+ * resolved at sign-in) that own at least one live sale.
+ * @returns {Promise<{ leads: object[], sales: object[] }>}
+ */
+export const findBuyerBookings = async (buyerKey) => {
+  const query = buyerKey.leadIds ? { _id: { $in: buyerKey.leadIds } } : leadQuery(buyerKey);
+  const leads = await Lead.find(query)
+    .select('firstName lastName email phone organization')
+    .lean();
+  if (!leads.length) return { leads: [], sales: [] };
+
+  const sales = await Sale.find({
+    lead: { $in: leads.map((l) => l._id) },
+    status: { $ne: 'Cancelled' },
+  })
+    .select('lead organization project unit status bookingDate')
+    .lean();
+
+  const bookedLeadIds = new Set(sales.map((s) => s.lead.toString()));
+  return { leads: leads.filter((l) => bookedLeadIds.has(l._id.toString())), sales };
+};
+
+// ─── OTP sign-in ─────────────────────────────────────────────
+
+/**
+ * Email the code. There is no SMS gateway yet, so a phone sign-in receives the
+ * code at the email address on the matching booking.
+ */
+const deliverOtp = async ({ channel, identifier }, leads, code) => {
+  const to = channel === 'email'
+    ? identifier
+    : leads.find((l) => l.email)?.email;
+  if (!to) return;
+
+  try {
+    await sendEmail({
+      to,
+      subject: 'Your buyer portal sign-in code',
+      html: `<p>Your one-time code is <b style="font-size:20px;letter-spacing:2px">${code}</b>.</p><p>It expires in 10 minutes. If you did not request it, ignore this email.</p>`,
+      text: `Your one-time code is ${code}. It expires in 10 minutes.`,
+    });
+  } catch (err) { /* best-effort; the caller always reports success */ }
+};
+
+/**
+ * Issue a sign-in code. Silently does nothing for identifiers without a live
+ * booking so the endpoint cannot be used to discover buyers.
+ */
+export const requestBuyerOtp = async (input) => {
+  const buyerKey = parseBuyerIdentifier(input);
+  if (!buyerKey) throw httpError(400, 'A valid email or phone number is required');
+
+  const { leads } = await findBuyerBookings(buyerKey);
+  if (!leads.length) return { sent: true };
+
+  const code = generateOtp();
+  await BuyerOtp.findOneAndUpdate(
+    buyerKey,
+    { $set: { codeHash: hashOtp(code), expiresAt: new Date(Date.now() + OTP_TTL_MS), attempts: 0 } },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  await deliverOtp(buyerKey, leads, code);
+
+  return { sent: true };
+};
+
+/**
+ * The lead ids resolved at sign-in ride in the token so requests do not
+ * re-match phone numbers across every lead; a booking made after sign-in
+ * shows up at the next sign-in.
+ */
+export const signBuyerToken = ({ channel, identifier, leadIds }) => jwt.sign(
+  { channel, identifier, leads: leadIds.map(String) },
+  process.env.JWT_SECRET,
+  { expiresIn: BUYER_TOKEN_TTL, algorithm: 'HS256', audience: BUYER_TOKEN_AUDIENCE }
+);
+
+/**
+ * Check the code and exchange it for a buyer session token.
+ * @returns {Promise<{ token: string, buyer: object }>}
+ */
+export const verifyBuyerOtp = async ({ otp, ...input }) => {
+  const buyerKey = parseBuyerIdentifier(input);
+  if (!buyerKey) throw httpError(400, 'A valid email or phone number is required');
+
+  const otpDoc = await BuyerOtp.findOne(buyerKey);
+  const ok = otpDoc
+    && otpDoc.expiresAt > new Date()
+    && (otpDoc.attempts || 0) < MAX_OTP_ATTEMPTS
+    && verifyOtp(otp, otpDoc.codeHash);
+  if (!ok) {
+    if (otpDoc) { otpDoc.attempts = (otpDoc.attempts || 0) + 1; await otpDoc.save(); }
+    throw httpError(401, 'Invalid or expired code');
+  }
+  await BuyerOtp.deleteOne({ _id: otpDoc._id }); // consume on success
+
+  const buyer = await resolveBuyer(buyerKey);
+  return { token: signBuyerToken(buyer), buyer: buyerProfile(buyer) };
+};
+
+// ─── Session ─────────────────────────────────────────────────
+
+/**
+ * Decode a buyer token. Staff tokens carry no buyer audience and are rejected.
+ */
+export const verifyBuyerToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+    algorithms: ['HS256'],
+    audience: BUYER_TOKEN_AUDIENCE,
+  });
+  const buyerKey = parseBuyerIdentifier({ [decoded.channel]: decoded.identifier });
+  if (!buyerKey || !Array.isArray(decoded.leads)) throw httpError(401, 'Not authorized, token failed');
+  return { ...buyerKey, leadIds: decoded.leads };
+};
+
+/**
+ * Current bookings for an identifier or session. Throws 401 once none remain
+ * live.
+ */
+export const resolveBuyer = async (buyerKey) => {
+  const { leads, sales } = await findBuyerBookings(buyerKey);
+  if (!sales.length) throw httpError(401, 'No active bookings found for this sign-in');
+  return {
+    channel: buyerKey.channel,
+    identifier: buyerKey.identifier,
+    leads,
+    leadIds: leads.map((l) => l._id),
+    saleIds: sales.map((s) => s._id),
+    projectIds: [...new Set(sales.map((s) => s.project.toString()))],
+  };
+};
+
+export const buyerProfile = (buyer) => {
+  const lead = buyer.leads[0] || {};
+  return {
+    name: [lead.firstName, lead.lastName].filter(Boolean).join(' '),
+    email: lead.email || null,
+    phone: lead.phone || null,
+    bookings: buyer.saleIds.length,
+  };
+};
+
+/**
+ * Sale ids to read. A requested sale outside the buyer's bookings is a 404,
+ * not a 403, so ids of other buyers' sales are not confirmed.
+ */
+export const scopeSaleIds = (buyer, saleId) => {
+  if (!saleId) return buyer.saleIds;
+  const match = buyer.saleIds.find((id) => id.toString() === String(saleId));
+  if (!match) throw httpError(404, 'Booking not found');
+  return [match];
+};
+
+// ─── Reads ───────────────────────────────────────────────────
+
+// saleNumber is a virtual; hydrate to reuse it rather than re-derive it.
+const withSaleNumber = (sale) => sale && { ...sale, saleNumber: Sale.hydrate({ _id: sale._id }).saleNumber };
+
+export const getBookings = async (buyer) => {
+  const sales = await Sale.find({ _id: { $in: buyer.saleIds } })
+    .select('project unit status bookingDate salePrice discountAmount')
+    .populate('project', 'name location')
+    .populate('unit', 'unitNumber type floor areaSqft facing')
+    .sort({ bookingDate: -1 })
+    .lean();
+  return sales.map(withSaleNumber);
+};
+
+export const getBooking = async (buyer, saleId) => {
+  const [id] = scopeSaleIds(buyer, saleId);
+  const sale = await Sale.findById(id)
+    .select('project unit status bookingDate salePrice discountAmount costSheetSnapshot')
+    .populate('project', 'name location')
+    .populate('unit', 'unitNumber type floor areaSqft facing')
+    .lean();
+
+  const paymentPlan = await PaymentPlan.findOne({ sale: id })
+    .select('planType totalAmount status financialSummary')
+    .lean();
+
+  return { ...withSaleNumber(sale), paymentPlan };
+};
+
+export const getInstallments = async (buyer, { saleId } = {}) => Installment.find({
+  sale: { $in: scopeSaleIds(buyer, saleId) },
+  status: { $ne: 'cancelled' },
+})
+  .select(INSTALLMENT_FIELDS)
+  .sort({ sale: 1, installmentNumber: 1 })
+  .lean();
+
+export const getReceipts = async (buyer, { saleId } = {}) => {
+  const plans = await PaymentPlan.find({ sale: { $in: scopeSaleIds(buyer, saleId) } })
+    .select('_id sale')
+    .lean();
+  if (!plans.length) return [];
+
+  const saleByPlan = new Map(plans.map((p) => [p._id.toString(), p.sale]));
+  const transactions = await PaymentTransaction.find({
+    paymentPlan: { $in: plans.map((p) => p._id) },
+    status: { $nin: ['pending', 'cancelled'] },
+  })
+    .select(TRANSACTION_FIELDS)
+    .sort({ paymentDate: -1 })
+    .lean();
+
+  return Promise.all(transactions.map(async ({ receiptFile, ...t }) => ({
+    ...t,
+    sale: saleByPlan.get(t.paymentPlan.toString()),
+    pdf: receiptFile?.s3Key ? await withDownloadUrl(receiptFile.s3Key) : null,
+  })));
+};
+
+const withDownloadUrl = async (s3Key) => (s3Key
+  ? { url: await getPresignedDownloadUrl(s3Key, URL_TTL_SECONDS), urlExpiresAt: new Date(Date.now() + URL_TTL_SECONDS * 1000) }
+  : {});
+
+export const getInvoices = async (buyer, { saleId } = {}) => {
+  const invoices = await Invoice.find({
+    sale: { $in: scopeSaleIds(buyer, saleId) },
+    status: { $nin: ['draft', 'cancelled'] },
+  })
+    .select(INVOICE_FIELDS)
+    .sort({ invoiceDate: -1 })
+    .lean();
+
+  return Promise.all(invoices.map(async ({ pdfFile, ...invoice }) => ({
+    ...invoice,
+    pdf: pdfFile?.s3Key ? await withDownloadUrl(pdfFile.s3Key) : null,
+  })));
+};
+
+/**
+ * Active documents staff have flagged sharedWithBuyer on the buyer's sales or
+ * leads.
+ */
+export const getDocuments = async (buyer, { saleId } = {}) => {
+  const saleIds = scopeSaleIds(buyer, saleId);
+  const resources = saleId
+    ? [{ resourceType: 'Sale', associatedResource: { $in: saleIds } }]
+    : [
+      { resourceType: 'Sale', associatedResource: { $in: saleIds } },
+      { resourceType: 'Lead', associatedResource: { $in: buyer.leadIds } },
+    ];
+
+  const files = await File.find({
+    sharedWithBuyer: true,
+    status: 'active',
+    isLatestVersion: true,
+    $or: resources,
+  })
+    .select('title originalName mimeType size resourceType associatedResource s3Key createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return Promise.all(files.map(async ({ s3Key, ...file }) => ({
+    ...file,
+    ...(await withDownloadUrl(s3Key)),
+  })));
+};
+
+/**
+ * Milestones for the booked projects with signed URLs for progress photos.
+ * Costs, contractors and quality records stay internal.
+ */
+export const getConstructionUpdates = async (buyer, { saleId } = {}) => {
+  const saleIds = scopeSaleIds(buyer, saleId);
+  const projectIds = saleId
+    ? (await Sale.find({ _id: { $in: saleIds } }).select('project').lean()).map((s) => s.project)
+    : buyer.projectIds;
+
+  const milestones = await ConstructionMilestone.find({
+    project: { $in: projectIds },
+    status: { $ne: 'Cancelled' },
+  })
+    .select('project name description type phase plannedStartDate plannedEndDate actualStartDate actualEndDate status progress.percentage progress.lastUpdated progressPhotos')
+    .populate('project', 'name')
+    .populate('progressPhotos.photo', 's3Key mimeType status')
+    .sort({ project: 1, plannedStartDate: 1 })
+    .lean();
+
+  return Promise.all(milestones.map(async ({ progressPhotos = [], ...milestone }) => ({
+    ...milestone,
+    photos: await Promise.all(
+      progressPhotos
+        .filter((p) => p.photo?.s3Key && p.photo.status === 'active')
+        .map(async (p) => ({
+          takenAt: p.takenAt,
+          description: p.description,
+          location: p.location,
+          ...(await withDownloadUrl(p.photo.s3Key)),
+        }))
+    ),
+  })));
+};
@@ -0,0 +1,284 @@
+// File: services/calendarService.js
+// Description: A user's PropVantage schedule as iCalendar — lead follow-ups,
+//   scheduled meetings/callbacks, site visits and task due dates. Served as
+//   tokenized, revocable ICS feed URLs that any calendar client can subscribe
+//   to, as an authenticated one-off export, and as the invite attached to task
+//   assignment emails (site visit invites: services/siteVisitService.js).
+//   Text rendering lives in utils/icsCalendar.js.
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import CalendarFeed, { CALENDAR_FEED_SOURCES, MAX_ACTIVE_FEEDS_PER_USER } from '../models/calendarFeedModel.js';
+import Lead from '../models/leadModel.js';
+import Interaction from '../models/interactionModel.js';
+import SiteVisit, { ACTIVE_VISIT_STATUSES } from '../models/siteVisitModel.js';
+import Task from '../models/taskModel.js';
+import User from '../models/userModel.js';
+import { buildIcsCalendar, icsUid } from '../utils/icsCalendar.js';
+import { localDateKey, siteVisitEvent } from './siteVisitService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Feeds cover a month back (recently missed items) and six months ahead.
+export const FEED_WINDOW_PAST_DAYS = 30;
+export const FEED_WINDOW_FUTURE_DAYS = 180;
+export const MAX_EXPORT_DAYS = 366;
+// Suggested client poll interval for subscribed feeds.
+const FEED_REFRESH_MINUTES = 15;
+// Per-source cap so a runaway backlog can't produce a multi-megabyte feed.
+const MAX_EVENTS_PER_SOURCE = 1000;
+
+const CLOSED_LEAD_STATUSES = ['Booked', 'Lost'];
+const CLOSED_TASK_STATUSES = ['Completed', 'Cancelled'];
+const DEFAULT_TIMEZONE = process.env.INSIGHT_DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const fullName = (doc) =>
+  [doc?.firstName, doc?.lastName].filter(Boolean).join(' ') || 'Lead';
+
+const appUrl = (path) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/** Public subscription URL for a feed token. */
+export const feedUrl = (token) =>
+  `${process.env.CALENDAR_FEED_BASE_URL || ''}/api/public/calendar/${token}.ics`;
+
+const describe = (pairs) => pairs.filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`).join('\n');
+
+// ─── Event mappers (pure) ──────────────────────────────────────────────────
+
+/** Lead.followUpSchedule.nextFollowUpDate as a 30-minute event. */
+export const followUpEvent = (lead) => {
+  const type = lead.followUpSchedule?.followUpType || 'call';
+  return {
+    uid: icsUid('lead-follow-up', lead._id),
+    start: lead.followUpSchedule.nextFollowUpDate,
+    summary: `Follow-up (${type.replace(/_/g, ' ')}): ${fullName(lead)}`,
+    description: describe([
+      ['Phone', lead.phone],
+      ['Email', lead.email],
+      ['Status', lead.status],
+      ['Notes', lead.followUpSchedule?.notes],
+    ]),
+    url: appUrl(`/leads/${lead._id}`),
+    alarmMinutes: 15,
+  };
+};
+
+/** An interaction's scheduled next action (callback, meeting) as an event. */
+export const meetingEvent = (interaction) => ({
+  uid: icsUid('interaction', interaction._id),
+  start: interaction.scheduledAt,
+  end: new Date(new Date(interaction.scheduledAt).getTime() + (interaction.type === 'Meeting' ? 60 : 30) * 60 * 1000),
+  summary: `${interaction.nextAction || interaction.type}: ${fullName(interaction.lead)}`,
+  description: describe([
+    ['Type', interaction.type],
+    ['Phone', interaction.lead?.phone],
+    ['Last note', interaction.content],
+  ]),
+  url: interaction.lead?._id ? appUrl(`/leads/${interaction.lead._id}`) : undefined,
+  alarmMinutes: 15,
+});
+
+/** A task's due date as an all-day event on the local due date. */
+export const taskEvent = (task, timezone = DEFAULT_TIMEZONE) => ({
+  uid: icsUid('task', task._id),
+  date: localDateKey(new Date(task.dueDate), timezone),
+  summary: `Task ${task.taskNumber ? `${task.taskNumber}: ` : ''}${task.title}`,
+  description: describe([
+    ['Priority', task.priority],
+    ['Status', task.status],
+    ['Details', task.description],
+  ]),
+  url: appUrl(`/tasks/${task._id}`),
+});
+
+// ─── Collecting a schedule ─────────────────────────────────────────────────
+
+const normalizeInclude = (include) =>
+  Object.fromEntries(CALENDAR_FEED_SOURCES.map((k) => [k, include?.[k] !== false]));
+
+/**
+ * Every calendar event for a user in [from, to).
+ *
+ * @param {Object} params
+ * @param {Object} params.user - { _id, organization }
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {Object} [params.include] - { followUps, meetings, siteVisits, tasks }; unset = included
+ * @returns {Promise<Array<Object>>} events sorted by start
+ */
+export const collectCalendarEvents = async ({ user, from, to, include }) => {
+  const want = normalizeInclude(include);
+  const organization = user.organization;
+  const range = { $gte: from, $lt: to };
+
+  const [leads, interactions, visits, tasks] = await Promise.all([
+    want.followUps
+      ? Lead.find({
+        organization,
+        assignedTo: user._id,
+        status: { $nin: CLOSED_LEAD_STATUSES },
+        'followUpSchedule.nextFollowUpDate': range,
+      })
+        .select('firstName lastName phone email status followUpSchedule')
+        .limit(MAX_EVENTS_PER_SOURCE)
+        .lean()
+      : [],
+    want.meetings
+      ? Interaction.find({ organization, user: user._id, scheduledAt: range })
+        .select('type content nextAction scheduledAt lead')
+        .populate('lead', 'firstName lastName phone')
+        .limit(MAX_EVENTS_PER_SOURCE)
+        .lean()
+      : [],
+    want.siteVisits
+      ? SiteVisit.find({
+        organization,
+        salesExecutive: user._id,
+        status: { $in: ACTIVE_VISIT_STATUSES },
+        scheduledAt: range,
+      })
+        .populate('lead', 'firstName lastName phone')
+        .populate('project', 'name salesOffice')
+        .populate('channelPartner.channelPartner', 'firmName')
+        .limit(MAX_EVENTS_PER_SOURCE)
+        .lean()
+      : [],
+    want.tasks
+      ? Task.find({
+        organization,
+        assignedTo: user._id,
+        status: { $nin: CLOSED_TASK_STATUSES },
+        dueDate: range,
+      })
+        .select('taskNumber title description priority status dueDate')
+        .limit(MAX_EVENTS_PER_SOURCE)
+        .lean()
+      : [],
+  ]);
+
+  const events = [
+    ...leads.map(followUpEvent),
+    ...interactions.map(meetingEvent),
+    ...visits.map((v) => siteVisitEvent(v)),
+    ...tasks.map((t) => taskEvent(t)),
+  ];
+  const sortKey = (e) => (e.date ? new Date(`${e.date}T00:00:00Z`) : new Date(e.start)).getTime();
+  return events.sort((a, b) => sortKey(a) - sortKey(b));
+};
+
+// ─── Feeds ─────────────────────────────────────────────────────────────────
+
+/**
+ * Create a feed for the user. The token is only ever returned here.
+ * @returns {Promise<{feed: Object, token: string, url: string}>}
+ */
+export const createCalendarFeed = async ({ user, name, include }) => {
+  const active = await CalendarFeed.countDocuments({ user: user._id, revokedAt: null });
+  if (active >= MAX_ACTIVE_FEEDS_PER_USER) {
+    throw httpError(409, `You already have ${MAX_ACTIVE_FEEDS_PER_USER} calendar feeds — revoke one first.`);
+  }
+  const token = crypto.randomBytes(24).toString('base64url');
+  const feed = await CalendarFeed.create({
+    organization: user.organization,
+    user: user._id,
+    name,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, 6),
+    include: normalizeInclude(include),
+  });
+  const plain = feed.toObject ? feed.toObject() : { ...feed };
+  delete plain.tokenHash;
+  return { feed: plain, token, url: feedUrl(token) };
+};
+
+/** The user's feeds, newest first, revoked ones included. */
+export const listCalendarFeeds = async (user) =>
+  CalendarFeed.find({ user: user._id }).sort({ createdAt: -1 }).lean();
+
+/** Revoke one of the user's feeds. Idempotent. */
+export const revokeCalendarFeed = async (feedId, { user, now = new Date() }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(feedId))) throw httpError(400, 'Invalid feed id.');
+  const feed = await CalendarFeed.findOne({ _id: feedId, user: user._id });
+  if (!feed) throw httpError(404, 'Calendar feed not found.');
+  if (!feed.revokedAt) {
+    feed.revokedAt = now;
+    await feed.save();
+  }
+  return feed;
+};
+
+/**
+ * Render the ICS for a feed token. Unknown, revoked and deactivated-user
+ * feeds are all a plain 404 so tokens can't be probed.
+ * @param {string} token
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<string>}
+ */
+export const renderCalendarFeed = async (token, now = new Date()) => {
+  const feed = token
+    ? await CalendarFeed.findOne({ tokenHash: hashToken(token), revokedAt: null }).lean()
+    : null;
+  const user = feed
+    ? await User.findOne({ _id: feed.user, organization: feed.organization, isActive: true })
+      .select('_id organization')
+      .lean()
+    : null;
+  if (!user) throw httpError(404, 'Calendar feed not found.');
+
+  const events = await collectCalendarEvents({
+    user,
+    from: new Date(now.getTime() - FEED_WINDOW_PAST_DAYS * DAY_MS),
+    to: new Date(now.getTime() + FEED_WINDOW_FUTURE_DAYS * DAY_MS),
+    include: feed.include,
+  });
+
+  CalendarFeed.updateOne({ _id: feed._id }, { $set: { lastAccessedAt: now }, $inc: { accessCount: 1 } })
+    .catch((err) => console.warn('[calendarService] feed access stamp failed (non-fatal):', err.message));
+
+  return buildIcsCalendar({ events, name: feed.name, refreshMinutes: FEED_REFRESH_MINUTES, now });
+};
+
+/**
+ * One-off ICS export of the signed-in user's schedule.
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {string|Date} [params.from] - default today
+ * @param {string|Date} [params.to] - default from + 30 days
+ * @param {Object} [params.include]
+ * @returns {Promise<{ics: string, count: number}>}
+ */
+export const exportCalendar = async ({ user, from, to, include, now = new Date() }) => {
+  const start = from ? new Date(from) : new Date(now.getTime() - DAY_MS);
+  const end = to ? new Date(to) : new Date(start.getTime() + 30 * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    throw httpError(400, 'from and to must be valid dates.');
+  }
+  if (end <= start) throw httpError(400, 'to must be after from.');
+  if (end - start > MAX_EXPORT_DAYS * DAY_MS) {
+    throw httpError(400, `Export at most ${MAX_EXPORT_DAYS} days at a time.`);
+  }
+  const events = await collectCalendarEvents({ user, from: start, to: end, include });
+  return { ics: buildIcsCalendar({ events, name: 'PropVantage schedule', now }), count: events.length };
+};
+
+// ─── Invites ───────────────────────────────────────────────────────────────
+
+/** All-day invite for a task's due date, attached to the assignment email. */
+export const buildTaskInvite = (task, now = new Date()) =>
+  buildIcsCalendar({ events: [taskEvent(task)], now });
+
+export default {
+  collectCalendarEvents,
+  createCalendarFeed,
+  listCalendarFeeds,
+  revokeCalendarFeed,
+  renderCalendarFeed,
+  exportCalendar,
+  buildTaskInvite,
+};
@@ -0,0 +1,259 @@
+// File: services/campaignService.js
+// Description: Marketing campaigns — create / edit, record spend, and link
+//   leads to the campaign that produced them. A captured lead is linked when
+//   its capture source is one of a campaign's captureSources, or when its UTM
+//   attribution matches the campaign's utm parameters; a lead created by hand
+//   can name its campaign or be matched the same way. Funnel and ROI numbers
+//   live in services/roiTrackingService.js.
+
+import mongoose from 'mongoose';
+import Campaign, { CAMPAIGN_CHANNELS, CAMPAIGN_STATUSES } from '../models/campaignModel.js';
+import LeadCaptureSource from '../models/leadCaptureSourceModel.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ads keep converting for a while after a flight ends (cached pages, saved
+// posts), so UTM matches are accepted this long past endDate.
+export const ATTRIBUTION_GRACE_DAYS = 30;
+
+const UTM_KEYS = ['source', 'medium', 'campaign', 'content', 'term'];
+
+const CAMPAIGN_FIELDS = ['name', 'channel', 'status', 'budget', 'startDate', 'endDate', 'project', 'utm', 'captureSources', 'notes'];
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const sameId = (a, b) => Boolean(a && b) && String(a?._id || a) === String(b?._id || b);
+
+const lower = (v) => (v === undefined || v === null || v === '' ? undefined : String(v).trim().toLowerCase());
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const toDate = (value, label) => {
+  const date = new Date(value);
+  if (value === undefined || value === null || value === '' || Number.isNaN(date.getTime())) {
+    throw httpError(400, `${label} must be a date.`);
+  }
+  return date;
+};
+
+/**
+ * A project-access filter that also lets through org-wide (project: null)
+ * campaigns — every user who can see campaigns can see brand campaigns.
+ */
+export const withOrgWideCampaigns = (projectFilter = {}) =>
+  projectFilter.project?.$in ? { project: { $in: [...projectFilter.project.$in, null] } } : projectFilter;
+
+const pickCampaignFields = (fields) =>
+  Object.fromEntries(CAMPAIGN_FIELDS.filter((k) => fields[k] !== undefined).map((k) => [k, fields[k]]));
+
+const normalizeCampaignFields = async (data, organization) => {
+  if (data.channel !== undefined && !CAMPAIGN_CHANNELS.includes(data.channel)) {
+    throw httpError(400, `channel must be one of: ${CAMPAIGN_CHANNELS.join(', ')}.`);
+  }
+  if (data.status !== undefined && !CAMPAIGN_STATUSES.includes(data.status)) {
+    throw httpError(400, `status must be one of: ${CAMPAIGN_STATUSES.join(', ')}.`);
+  }
+  if (data.budget !== undefined) {
+    const budget = Number(data.budget);
+    if (!Number.isFinite(budget) || budget < 0) throw httpError(400, 'budget must be zero or more.');
+    data.budget = budget;
+  }
+  if (data.startDate !== undefined) data.startDate = toDate(data.startDate, 'startDate');
+  if (data.endDate !== undefined) data.endDate = data.endDate ? toDate(data.endDate, 'endDate') : null;
+  if (data.project === '') data.project = null;
+  if (data.utm !== undefined) {
+    data.utm = Object.fromEntries(UTM_KEYS.map((k) => [k, lower(data.utm?.[k])]).filter(([, v]) => v));
+  }
+  if (data.captureSources !== undefined) {
+    const ids = [...new Set((data.captureSources || []).map(String))];
+    ids.forEach((id) => assertObjectId(id, 'capture source'));
+    const found = ids.length ? await LeadCaptureSource.countDocuments({ _id: { $in: ids }, organization }) : 0;
+    if (found !== ids.length) throw httpError(400, 'One or more capture sources were not found.');
+    data.captureSources = ids;
+  }
+  return data;
+};
+
+const assertWindow = (campaign) => {
+  if (campaign.endDate && campaign.startDate && campaign.endDate < campaign.startDate) {
+    throw httpError(400, 'endDate cannot be before startDate.');
+  }
+};
+
+const loadCampaign = async (campaignId, organization, verifyAccess) => {
+  assertObjectId(campaignId, 'campaign');
+  const campaign = await Campaign.findOne({ _id: campaignId, organization });
+  if (!campaign) throw httpError(404, 'Campaign not found.');
+  if (campaign.project) verifyAccess?.(campaign.project);
+  return campaign;
+};
+
+// ─── CRUD ──────────────────────────────────────────────────────────────────
+
+/**
+ * Create a campaign.
+ * @returns {Promise<Object>} the Campaign
+ */
+export const createCampaign = async ({ organization, fields = {}, user, verifyAccess }) => {
+  const data = await normalizeCampaignFields(pickCampaignFields(fields), organization);
+  if (!data.name || !data.channel || !data.startDate) {
+    throw httpError(400, 'name, channel and startDate are required.');
+  }
+  if (data.project) verifyAccess?.(data.project);
+  assertWindow(data);
+  return Campaign.create({ ...data, organization, createdBy: user._id });
+};
+
+/** Campaigns the caller can see, newest flight first. Spend entries are left out. */
+export const listCampaigns = async ({ organization, projectFilter = {}, projectId, status, channel }) => {
+  const query = { organization, ...withOrgWideCampaigns(projectFilter) };
+  if (projectId) query.project = projectId;
+  if (status) query.status = status;
+  if (channel) query.channel = channel;
+  return Campaign.find(query)
+    .select('-spendEntries')
+    .sort({ startDate: -1 })
+    .populate('project', 'name')
+    .lean();
+};
+
+/** One campaign with its spend entries. */
+export const getCampaign = async (campaignId, { organization, verifyAccess }) => {
+  const campaign = await loadCampaign(campaignId, organization, verifyAccess);
+  return campaign.populate([
+    { path: 'project', select: 'name' },
+    { path: 'captureSources', select: 'name provider' },
+    { path: 'spendEntries.recordedBy', select: 'firstName lastName' },
+  ]);
+};
+
+/**
+ * Edit a campaign's settings. Spend is changed through the spend endpoints.
+ * @returns {Promise<Object>} the Campaign
+ */
+export const updateCampaign = async (campaignId, { organization, fields = {}, verifyAccess }) => {
+  const campaign = await loadCampaign(campaignId, organization, verifyAccess);
+  const data = await normalizeCampaignFields(pickCampaignFields(fields), organization);
+  if (data.project && !sameId(data.project, campaign.project)) verifyAccess?.(data.project);
+  Object.assign(campaign, data);
+  assertWindow(campaign);
+  return campaign.save();
+};
+
+// ─── Spend ─────────────────────────────────────────────────────────────────
+
+/**
+ * Record spend against a campaign.
+ * @param {{ date, amount, description?, reference? }} params.entry
+ * @returns {Promise<Object>} the Campaign
+ */
+export const addCampaignSpend = async (campaignId, { organization, entry = {}, user, verifyAccess }) => {
+  const campaign = await loadCampaign(campaignId, organization, verifyAccess);
+  const amount = Number(entry.amount);
+  if (!Number.isFinite(amount) || amount <= 0) throw httpError(400, 'amount must be more than zero.');
+  const date = toDate(entry.date, 'date');
+  campaign.spendEntries.push({
+    date,
+    amount,
+    description: entry.description,
+    reference: entry.reference,
+    recordedBy: user._id,
+  });
+  return campaign.save();
+};
+
+/**
+ * Remove a spend entry recorded in error.
+ * @returns {Promise<Object>} the Campaign
+ */
+export const removeCampaignSpend = async (campaignId, entryId, { organization, verifyAccess }) => {
+  const campaign = await loadCampaign(campaignId, organization, verifyAccess);
+  const entry = campaign.spendEntries.id(entryId);
+  if (!entry) throw httpError(404, 'Spend entry not found.');
+  entry.deleteOne();
+  return campaign.save();
+};
+
+// ─── Lead attribution ──────────────────────────────────────────────────────
+
+// How well a campaign fits a lead: a capture-source link beats a UTM match, a
+// UTM match on more parameters beats a looser one, and a project campaign
+// beats a brand one. 0 = no match.
+const matchScore = (campaign, { captureSource, attribution = {} }) => {
+  let score = 0;
+  if (captureSource && (campaign.captureSources || []).some((s) => sameId(s, captureSource))) {
+    score = 100;
+  } else if (campaign.utm?.campaign && campaign.utm.campaign === lower(attribution.campaign)) {
+    for (const key of UTM_KEYS) {
+      if (key === 'campaign' || !campaign.utm[key]) continue;
+      if (campaign.utm[key] !== lower(attribution[key])) return 0;
+      score += 1;
+    }
+    score += 10;
+  } else {
+    return 0;
+  }
+  return campaign.project ? score + 0.5 : score;
+};
+
+/**
+ * The campaign a new lead belongs to, if any: a running (or recently ended)
+ * campaign on the lead's project, or a brand campaign, that lists the lead's
+ * capture source or whose UTM parameters match its attribution.
+ * @returns {Promise<Object|null>} the Campaign (lean)
+ */
+export const findMatchingCampaign = async ({ organization, project, captureSource, attribution = {}, at = new Date() }) => {
+  const utmCampaign = lower(attribution.campaign);
+  if (!captureSource && !utmCampaign) return null;
+
+  const or = [];
+  if (captureSource) or.push({ captureSources: captureSource });
+  if (utmCampaign) or.push({ 'utm.campaign': utmCampaign });
+  const candidates = await Campaign.find({
+    organization,
+    project: { $in: [project || null, null] },
+    status: { $ne: 'draft' },
+    startDate: { $lte: at },
+    $and: [
+      { $or: [{ endDate: null }, { endDate: { $gte: new Date(at.getTime() - ATTRIBUTION_GRACE_DAYS * DAY_MS) } }] },
+      { $or: or },
+    ],
+  })
+    .select('project utm captureSources startDate')
+    .lean();
+
+  let best = null;
+  let bestScore = 0;
+  for (const campaign of candidates) {
+    const score = matchScore(campaign, { captureSource, attribution });
+    // Ties go to the most recently started campaign.
+    if (score > bestScore || (score && score === bestScore && campaign.startDate > best.startDate)) {
+      best = campaign;
+      bestScore = score;
+    }
+  }
+  return best;
+};
+
+/**
+ * The campaign for a lead being created by hand: the one named (which must
+ * belong to the organization and fit the lead's project), else a UTM match.
+ * @returns {Promise<ObjectId|null>}
+ * @throws 400 when a named campaign doesn't exist or is for another project
+ */
+export const resolveLeadCampaign = async ({ organization, project, campaignId, attribution }) => {
+  if (campaignId) {
+    assertObjectId(campaignId, 'campaign');
+    const campaign = await Campaign.findOne({ _id: campaignId, organization }).select('project').lean();
+    if (!campaign) throw httpError(400, 'Campaign not found.');
+    if (campaign.project && !sameId(campaign.project, project)) {
+      throw httpError(400, 'That campaign is for a different project.');
+    }
+    return campaign._id;
+  }
+  const match = await findMatchingCampaign({ organization, project, attribution });
+  return match?._id || null;
+};
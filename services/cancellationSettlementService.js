@@ -0,0 +1,459 @@
+// File: services/cancellationSettlementService.js
+// Description: Cancellation settlement for a booking. Works out what the
+//   buyer has paid and what the project's cancellationPolicy keeps back:
+//
+//     forfeiture  forfeiturePercent of the agreement value (or of the money
+//                 received), at least minimumForfeiture
+//     brokerage   channel partner commission already paid out on the booking
+//     gst         GST collected on the booking, unless gstRefundable
+//     interest    late fee / interest the buyer has paid
+//
+//   Deductions never exceed the money received. The statement goes through
+//   REFUND_APPROVAL; approval cancels the sale, closes the payment plan,
+//   zeroes channel partner commission and releases the unit. The payout is
+//   then recorded on the sale's PaymentTransaction.refundDetails.
+
+import CancellationSettlement from '../models/cancellationSettlementModel.js';
+import Sale from '../models/salesModel.js';
+import Project from '../models/projectModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import Installment from '../models/installmentModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import PartnerCommission from '../models/partnerCommissionModel.js';
+import CommissionRecord from '../models/commissionRecordModel.js';
+import { createApprovalRequest } from './approvalService.js';
+import { adjustCommissionForSaleChange } from './commissionService.js';
+import { cancelSaleRecord, afterSaleCancelled } from './saleCancellationService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const DEFAULT_CANCELLATION_POLICY = Object.freeze({
+  forfeitureBasis: 'agreement_value',
+  forfeiturePercent: 10,
+  minimumForfeiture: 0,
+  recoverBrokerage: true,
+  gstRefundable: false,
+  retainInterestPaid: true,
+});
+
+const RECEIVED_STATUSES = ['completed', 'cleared'];
+const CHARGE_ALLOCATIONS = ['late_fee', 'interest', 'penalty'];
+const OPEN_SETTLEMENT_STATUSES = ['pending_approval', 'approved', 'refunding'];
+const OPEN_INSTALLMENT_STATUSES = ['pending', 'due', 'overdue', 'partially_paid'];
+const REFUND_METHODS = ['bank_transfer', 'cheque', 'cash', 'adjustment'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Project cancellation policy merged over the defaults.
+ */
+export const resolveCancellationPolicy = (project) => {
+  const configured = project?.paymentConfiguration?.cancellationPolicy;
+  const plain = typeof configured?.toObject === 'function' ? configured.toObject() : configured;
+  return { ...DEFAULT_CANCELLATION_POLICY, ...(plain || {}) };
+};
+
+/**
+ * Money received on a booking, split into principal and late fee / interest.
+ * Refunds already made are netted off; reversed allocations are ignored. Pure.
+ *
+ * @param {Array} transactions - the plan's PaymentTransactions
+ * @returns {{ received: number, charges: number, principal: number }}
+ */
+export const summariseReceipts = (transactions) => {
+  let received = 0;
+  let charges = 0;
+  for (const txn of transactions) {
+    if (!RECEIVED_STATUSES.includes(txn.status)) continue;
+    received += txn.amount - (txn.refundDetails?.refundAmount || 0);
+    for (const a of txn.paymentAllocations || []) {
+      if (!a.reversedAt && CHARGE_ALLOCATIONS.includes(a.allocationType)) charges += a.allocatedAmount;
+    }
+  }
+  received = round2(Math.max(0, received));
+  charges = round2(Math.min(charges, received));
+  return { received, charges, principal: round2(received - charges) };
+};
+
+/**
+ * The settlement statement. Pure.
+ *
+ * @param {object} params
+ * @param {number} params.agreementValue
+ * @param {{ received, charges, principal }} params.receipts - see summariseReceipts
+ * @param {number} params.gstShare - GST as a fraction of the booking's payable total
+ * @param {number} params.brokeragePaid - commission already paid out on the sale
+ * @param {object} params.policy - see DEFAULT_CANCELLATION_POLICY
+ * @returns {{ gstReceived, deductions: object[], totalDeductions, refundAmount, uncoveredDeductions }}
+ */
+export const computeSettlement = ({ agreementValue, receipts, gstShare = 0, brokeragePaid = 0, policy }) => {
+  const gstReceived = round2(receipts.principal * gstShare);
+  const deductions = [];
+
+  const forfeitureBase = policy.forfeitureBasis === 'amount_received' ? receipts.received : agreementValue;
+  const forfeiture = round2(Math.max(
+    (forfeitureBase * (policy.forfeiturePercent || 0)) / 100,
+    policy.minimumForfeiture || 0
+  ));
+  if (forfeiture > 0) {
+    deductions.push({
+      code: 'forfeiture',
+      label: 'Forfeiture',
+      amount: forfeiture,
+      basis: `${policy.forfeiturePercent}% of ${policy.forfeitureBasis === 'amount_received' ? 'amount received' : 'agreement value'} `
+        + `(${round2(forfeitureBase)})${policy.minimumForfeiture > 0 ? `, minimum ${policy.minimumForfeiture}` : ''}`,
+    });
+  }
+  if (policy.recoverBrokerage && brokeragePaid > 0) {
+    deductions.push({
+      code: 'brokerage',
+      label: 'Brokerage recovery',
+      amount: round2(brokeragePaid),
+      basis: 'Channel partner commission paid on this booking',
+    });
+  }
+  if (!policy.gstRefundable && gstReceived > 0) {
+    deductions.push({
+      code: 'gst',
+      label: 'GST (non-refundable)',
+      amount: gstReceived,
+      basis: `${round2(gstShare * 100)}% of principal received (${receipts.principal})`,
+    });
+  }
+  if (policy.retainInterestPaid && receipts.charges > 0) {
+    deductions.push({
+      code: 'interest',
+      label: 'Late fee / interest paid',
+      amount: receipts.charges,
+      basis: 'Late fee and interest allocations on received payments',
+    });
+  }
+
+  const totalDeductions = round2(deductions.reduce((sum, d) => sum + d.amount, 0));
+  const refundAmount = round2(Math.max(0, receipts.received - totalDeductions));
+  return {
+    gstReceived,
+    deductions,
+    totalDeductions,
+    refundAmount,
+    uncoveredDeductions: round2(Math.max(0, totalDeductions - receipts.received)),
+  };
+};
+
+// GST as a fraction of what the buyer owes the developer, from the cost sheet
+const gstShareOf = (sale) => {
+  const totals = sale.costSheetSnapshot?.totals;
+  if (!totals?.gstTotal || !totals?.developerTotal) return 0;
+  return totals.gstTotal / totals.developerTotal;
+};
+
+const brokeragePaidOn = async (saleId) => {
+  const [commissions, records] = await Promise.all([
+    PartnerCommission.find({ sale: saleId }).select('paymentDetails.totalPaid').lean(),
+    CommissionRecord.find({ sale: saleId }).select('payouts').lean(),
+  ]);
+  const legacy = commissions.reduce((sum, c) => sum + (c.paymentDetails?.totalPaid || 0), 0);
+  const cp = records.reduce((sum, r) => sum + (r.payouts || [])
+    .filter((p) => p.status === 'paid')
+    .reduce((s, p) => s + p.amount, 0), 0);
+  return round2(legacy + cp);
+};
+
+const loadSale = async (saleId, organization, verifyAccess) => {
+  const sale = await Sale.findOne({ _id: saleId, organization });
+  if (!sale) throw httpError(404, 'Sale not found.');
+  verifyAccess?.(sale.project);
+  return sale;
+};
+
+/**
+ * Work out the settlement for a sale without saving anything.
+ *
+ * @param {Function} [verifyAccess] - called with the sale's project
+ * @returns {Promise<object>} statement fields (see CancellationSettlement)
+ */
+export const buildCancellationSettlement = async (saleId, { organization, verifyAccess }) => {
+  const sale = await loadSale(saleId, organization, verifyAccess);
+  if (sale.status === 'Cancelled') throw httpError(409, 'Sale is already cancelled');
+
+  const [project, plan, brokeragePaid] = await Promise.all([
+    Project.findById(sale.project).select('name paymentConfiguration.cancellationPolicy'),
+    PaymentPlan.findOne({ sale: sale._id }).select('_id'),
+    brokeragePaidOn(sale._id),
+  ]);
+  const transactions = plan
+    ? await PaymentTransaction.find({ paymentPlan: plan._id }).select('amount status refundDetails paymentAllocations')
+    : [];
+
+  const policy = resolveCancellationPolicy(project);
+  const agreementValue = sale.costSheetSnapshot?.totals?.agreementValue ?? sale.salePrice;
+  const receipts = summariseReceipts(transactions);
+  const result = computeSettlement({ agreementValue, receipts, gstShare: gstShareOf(sale), brokeragePaid, policy });
+
+  return {
+    sale,
+    project: sale.project,
+    unit: sale.unit,
+    customer: sale.lead,
+    paymentPlan: plan?._id || null,
+    policy,
+    agreementValue,
+    amountReceived: receipts.received,
+    principalReceived: receipts.principal,
+    gstReceived: result.gstReceived,
+    interestReceived: receipts.charges,
+    brokeragePaid,
+    deductions: result.deductions,
+    totalDeductions: result.totalDeductions,
+    refundAmount: result.refundAmount,
+    uncoveredDeductions: result.uncoveredDeductions,
+  };
+};
+
+// ─── Approval and cancellation ────────────────────────────────
+
+// Cancel the sale the way every cancellation does (saleCancellationService),
+// then close its plan and installments and zero legacy commission.
+const applySettlement = async (settlement, approvedBy) => {
+  const sale = await Sale.findById(settlement.sale);
+  if (sale && sale.status !== 'Cancelled') {
+    const { cpAttribution } = await cancelSaleRecord(sale, { reason: settlement.reason, cancelledBy: approvedBy });
+    await afterSaleCancelled(sale, { reason: settlement.reason, actor: approvedBy, cpAttribution });
+  }
+
+  if (settlement.paymentPlan) {
+    await PaymentPlan.updateOne({ _id: settlement.paymentPlan }, { $set: { status: 'cancelled' } });
+    await Installment.updateMany(
+      { paymentPlan: settlement.paymentPlan, status: { $in: OPEN_INSTALLMENT_STATUSES } },
+      { $set: { status: 'cancelled', lastModifiedBy: approvedBy } }
+    );
+  }
+
+  try {
+    if (await PartnerCommission.exists({ sale: settlement.sale })) {
+      settlement.commissionAdjustments = await adjustCommissionForSaleChange(
+        settlement.sale,
+        { cancelled: true, reason: settlement.reason },
+        approvedBy
+      );
+    }
+  } catch (err) {
+    console.error(`[cancellation] commission reversal for sale ${settlement.sale} failed: ${err.message}`);
+  }
+
+  settlement.status = settlement.refundAmount > 0 ? 'approved' : 'closed';
+  settlement.approvedBy = approvedBy;
+  settlement.approvedAt = new Date();
+  await settlement.save();
+  return settlement;
+};
+
+const STATEMENT_NUMBER_ATTEMPTS = 5;
+
+const nextStatementNumber = async (organization, attempt = 0) => {
+  const count = await CancellationSettlement.countDocuments({ organization });
+  return `CS-${String(count + 1 + attempt).padStart(5, '0')}`;
+};
+
+// A concurrent request can take the same number; the unique
+// { organization, statementNumber } index rejects it and we try the next one.
+const createWithStatementNumber = async (data) => {
+  for (let attempt = 0; attempt < STATEMENT_NUMBER_ATTEMPTS; attempt += 1) {
+    try {
+      return await CancellationSettlement.create({
+        ...data,
+        statementNumber: await nextStatementNumber(data.organization, attempt),
+      });
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+  }
+  throw httpError(409, 'Could not issue a settlement statement number; retry');
+};
+
+/**
+ * Save the settlement statement and send it for REFUND_APPROVAL. When no
+ * approval is needed the sale is cancelled straight away.
+ *
+ * @returns {Promise<{ settlement, pendingApproval: boolean, approvalRequest? }>}
+ */
+export const requestCancellationSettlement = async (saleId, { organization, reason, user, verifyAccess }) => {
+  if (!reason || !String(reason).trim()) throw httpError(400, 'A cancellation reason is required.');
+
+  const open = await CancellationSettlement.findOne({
+    organization,
+    sale: saleId,
+    status: { $in: OPEN_SETTLEMENT_STATUSES },
+  }).select('_id statementNumber');
+  if (open) throw httpError(409, `Settlement ${open.statementNumber} is already in progress for this sale`);
+
+  const { sale, ...statement } = await buildCancellationSettlement(saleId, { organization, verifyAccess });
+
+  const settlement = await createWithStatementNumber({
+    organization,
+    ...statement,
+    sale: sale._id,
+    reason: String(reason).trim(),
+    requestedBy: user._id,
+  });
+
+  const approvalResult = await createApprovalRequest({
+    organizationId: organization,
+    projectId: sale.project,
+    approvalType: 'REFUND_APPROVAL',
+    entityType: 'CancellationSettlement',
+    entityId: settlement._id,
+    requestedBy: user._id,
+    requestData: {
+      refundAmount: settlement.refundAmount,
+      refundReason: settlement.reason,
+      originalPaymentAmount: settlement.amountReceived,
+    },
+    priority: 'High',
+    title: `Cancellation settlement ${settlement.statementNumber}: refund ${settlement.refundAmount}`,
+    description: `Received ${settlement.amountReceived}, deductions ${settlement.totalDeductions} `
+      + `(${settlement.deductions.map((d) => `${d.label} ${d.amount}`).join(', ') || 'none'}). `
+      + `Reason: ${settlement.reason}`,
+  });
+
+  if (approvalResult.approved) {
+    await applySettlement(settlement, user._id);
+    return { settlement, pendingApproval: false };
+  }
+
+  settlement.approvalRequest = approvalResult.approvalRequest?._id;
+  await settlement.save();
+  return { settlement, pendingApproval: true, approvalRequest: approvalResult.approvalRequest };
+};
+
+/**
+ * Close out a settlement after its REFUND_APPROVAL is decided. Called from
+ * approvalService propagation; a no-op unless the settlement is pending.
+ *
+ * @param {string} settlementId
+ * @param {'approved'|'rejected'} decision
+ * @param {string} resolvedBy
+ */
+export const resolveCancellationSettlement = async (settlementId, decision, resolvedBy) => {
+  const settlement = await CancellationSettlement.findById(settlementId);
+  if (!settlement || settlement.status !== 'pending_approval') return settlement;
+
+  if (decision === 'approved') return applySettlement(settlement, resolvedBy);
+
+  settlement.status = 'rejected';
+  settlement.rejectedAt = new Date();
+  await settlement.save();
+  return settlement;
+};
+
+// ─── Refund payout ────────────────────────────────────────────
+
+/**
+ * Record the refund payout. The amount is spread over the sale's received
+ * payments, latest first, on each PaymentTransaction.refundDetails.
+ */
+export const recordSettlementRefund = async (settlementId, {
+  organization,
+  refundMethod,
+  refundReference,
+  refundDate,
+  user,
+  verifyAccess,
+}) => {
+  const settlement = await CancellationSettlement.findOne({ _id: settlementId, organization });
+  if (!settlement) throw httpError(404, 'Cancellation settlement not found.');
+  verifyAccess?.(settlement.project);
+  if (settlement.status !== 'approved') {
+    throw httpError(409, `Settlement is ${settlement.status.replace('_', ' ')}; only approved settlements can be refunded`);
+  }
+  if (!REFUND_METHODS.includes(refundMethod)) {
+    throw httpError(400, `refundMethod must be one of: ${REFUND_METHODS.join(', ')}`);
+  }
+  const paidOn = refundDate ? new Date(refundDate) : new Date();
+  if (Number.isNaN(paidOn.getTime())) throw httpError(400, 'refundDate is not a valid date');
+
+  // Claim the settlement so a double submit cannot refund it twice
+  const claim = await CancellationSettlement.updateOne(
+    { _id: settlement._id, organization, status: 'approved' },
+    { $set: { status: 'refunding' } }
+  );
+  if (claim.modifiedCount !== 1) throw httpError(409, `Settlement ${settlement.statementNumber} is already being refunded`);
+
+  const applied = [];
+  try {
+    const transactions = await PaymentTransaction.find({
+      paymentPlan: settlement.paymentPlan,
+      status: { $in: RECEIVED_STATUSES },
+    }).sort({ paymentDate: -1 });
+
+    let remaining = settlement.refundAmount;
+    const shares = [];
+    for (const txn of transactions) {
+      if (remaining <= 0) break;
+      const share = round2(Math.min(remaining, txn.amount - (txn.refundDetails?.refundAmount || 0)));
+      if (share <= 0) continue;
+      shares.push({ txn, share });
+      remaining = round2(remaining - share);
+    }
+    if (remaining > 0) {
+      throw httpError(409, `Received payments cover only ${round2(settlement.refundAmount - remaining)} of the refund`);
+    }
+
+    for (const { txn, share } of shares) {
+      const alreadyRefunded = txn.refundDetails?.refundAmount || 0;
+      txn.refundDetails = {
+        refundAmount: round2(alreadyRefunded + share),
+        refundDate: paidOn,
+        refundReason: `Cancellation settlement ${settlement.statementNumber}`,
+        refundMethod,
+        refundReference,
+        refundedBy: user._id,
+      };
+      txn.modifications.push({
+        modifiedBy: user._id,
+        previousAmount: txn.amount,
+        newAmount: txn.amount,
+        reason: `Refunded ${share} under cancellation settlement ${settlement.statementNumber}`,
+        modificationType: 'status_change',
+      });
+      txn.status = 'refunded';
+      txn.lastModifiedBy = user._id;
+      await txn.save();
+
+      applied.push({ transaction: txn._id, amount: share });
+    }
+  } catch (err) {
+    // Nothing written yet → release the claim so the refund can be retried.
+    // Once a payment carries part of the refund the settlement stays in
+    // 'refunding' for someone to reconcile by hand.
+    if (applied.length === 0) {
+      await CancellationSettlement.updateOne({ _id: settlement._id, status: 'refunding' }, { $set: { status: 'approved' } });
+    } else {
+      console.error(`[cancellation] refund of settlement ${settlement.statementNumber} stopped part-way: ${err.message}`);
+    }
+    throw err;
+  }
+
+  settlement.refund = { refundDate: paidOn, refundMethod, refundReference, refundedBy: user._id, transactions: applied };
+  settlement.status = 'refunded';
+  await settlement.save();
+  return settlement;
+};
+
+export const getSaleSettlements = async (saleId, { organization, verifyAccess }) => {
+  await loadSale(saleId, organization, verifyAccess);
+  return CancellationSettlement.find({ organization, sale: saleId })
+    .populate('requestedBy approvedBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+export default {
+  resolveCancellationPolicy,
+  summariseReceipts,
+  computeSettlement,
+  buildCancellationSettlement,
+  requestCancellationSettlement,
+  resolveCancellationSettlement,
+  recordSettlementRefund,
+  getSaleSettlements,
+};
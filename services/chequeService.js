@@ -0,0 +1,558 @@
+// File: services/chequeService.js
+// Description: Cheque lifecycle for buyer payments recorded as
+//   PaymentTransactions with paymentMethod 'cheque':
+//
+//     in hand    recorded, chequeStatus 'pending', not yet on a deposit slip
+//     deposited  on a ChequeDepositBatch, waiting for the bank to clear it;
+//                overdue once past the batch's expectedClearingDate
+//     cleared    funds received (manually, or by bank reconciliation)
+//     bounced    returned unpaid — allocations are backed out of the
+//                installments, the project's bounce charge is added to the
+//                installment, the buyer and salesperson are told and a
+//                collections task is opened
+//
+//   processPayment allocates a cheque to installments as soon as it is
+//   recorded, so a bounce is the only point where those allocations have to
+//   be reversed.
+
+import ChequeDepositBatch from '../models/chequeDepositBatchModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import Installment from '../models/installmentModel.js';
+import Project from '../models/projectModel.js';
+import Task from '../models/taskModel.js';
+import { createNotification, notifyTaskAutoGenerated } from './notificationService.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const DEFAULT_CHEQUE_HANDLING = Object.freeze({
+  clearingDays: 2,
+  bounceCharge: 0,
+});
+
+export const CHEQUE_STAGES = ['in_hand', 'deposited', 'overdue_clearing', 'cleared', 'bounced', 'cancelled'];
+
+const OPEN_INSTALLMENT_STATUSES = ['pending', 'due', 'overdue', 'partially_paid'];
+const RESOLVED_CHEQUE_STATUSES = ['cleared', 'bounced', 'cancelled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatInr = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (d) => new Date(d).toLocaleDateString('en-IN', {
+  day: 'numeric', month: 'short', year: 'numeric',
+});
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return new Date();
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, `${field} is not a valid date`);
+  return d;
+};
+
+/**
+ * Project cheque settings merged over the defaults.
+ */
+export const resolveChequeHandling = (project) => {
+  const configured = project?.paymentConfiguration?.chequeHandling;
+  const plain = typeof configured?.toObject === 'function' ? configured.toObject() : configured;
+  return { ...DEFAULT_CHEQUE_HANDLING, ...(plain || {}) };
+};
+
+/**
+ * `date` plus `days` working days (Saturdays and Sundays skipped). Pure.
+ */
+export const addWorkingDays = (date, days) => {
+  const d = new Date(date);
+  let remaining = days;
+  while (remaining > 0) {
+    d.setTime(d.getTime() + DAY_MS);
+    const weekday = d.getDay();
+    if (weekday !== 0 && weekday !== 6) remaining -= 1;
+  }
+  return d;
+};
+
+/**
+ * Where a cheque transaction sits in the register. Pure — `batch` is the
+ * populated depositBatch (or null).
+ */
+export const chequeStage = (txn, now = new Date()) => {
+  const details = txn.paymentMethodDetails || {};
+  const status = details.chequeStatus || 'pending';
+  if (status !== 'pending') return status;
+  const batch = details.depositBatch;
+  if (!batch) return 'in_hand';
+  if (batch.expectedClearingDate && new Date(batch.expectedClearingDate) < now) return 'overdue_clearing';
+  return 'deposited';
+};
+
+const assertCheque = (txn) => {
+  if (txn.paymentMethod !== 'cheque') throw httpError(400, `${txn.transactionNumber} is not a cheque payment`);
+};
+
+const loadCheque = async (transactionId, organization, verifyAccess) => {
+  const txn = await PaymentTransaction.findOne({ _id: transactionId, organization });
+  if (!txn) throw httpError(404, 'Payment transaction not found.');
+  verifyAccess?.(txn.project);
+  assertCheque(txn);
+  return txn;
+};
+
+// ─── Register ─────────────────────────────────────────────────
+
+/**
+ * A project's cheques with their stage, plus count and amount per stage.
+ *
+ * @param {object} params
+ * @param {string} [params.stage] - one of CHEQUE_STAGES
+ * @param {string} [params.batchId] - only cheques on this deposit slip
+ * @returns {Promise<{ cheques: object[], summary: object }>}
+ */
+export const getChequeRegister = async ({ organization, projectId, stage, batchId, now = new Date() }) => {
+  if (stage && !CHEQUE_STAGES.includes(stage)) {
+    throw httpError(400, `stage must be one of: ${CHEQUE_STAGES.join(', ')}`);
+  }
+
+  const query = { organization, project: projectId, paymentMethod: 'cheque' };
+  if (batchId) query['paymentMethodDetails.depositBatch'] = batchId;
+
+  const rows = await PaymentTransaction.find(query)
+    .select('transactionNumber amount paymentDate receivedDate status paymentMethodDetails customer paymentPlan')
+    .populate('customer', 'firstName lastName phone')
+    .populate('paymentMethodDetails.depositBatch', 'batchNumber depositDate expectedClearingDate')
+    .sort({ paymentDate: -1 })
+    .lean();
+
+  const summary = Object.fromEntries(CHEQUE_STAGES.map((s) => [s, { count: 0, amount: 0 }]));
+  const cheques = [];
+  for (const row of rows) {
+    const rowStage = chequeStage(row, now);
+    summary[rowStage].count += 1;
+    summary[rowStage].amount = round2(summary[rowStage].amount + row.amount);
+    if (!stage || stage === rowStage) cheques.push({ ...row, stage: rowStage });
+  }
+
+  return { cheques, summary };
+};
+
+// ─── Deposit batches ──────────────────────────────────────────
+
+const nextBatchNumber = async (organization, depositDate) => {
+  const prefix = `CHQ-${depositDate.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  const count = await ChequeDepositBatch.countDocuments({
+    organization,
+    batchNumber: { $regex: `^${prefix}` },
+  });
+  return `${prefix}${String(count + 1).padStart(3, '0')}`;
+};
+
+/**
+ * Put cheques in hand on a deposit slip.
+ *
+ * @param {object} params
+ * @param {string[]} params.transactionIds - cheque transactions of this project
+ * @param {Date|string} [params.depositDate=now]
+ * @param {object} [params.depositedInAccount] - { bankName, accountNumber, ifscCode }
+ * @param {string} [params.slipNumber] - bank's pay-in slip number
+ */
+export const createDepositBatch = async ({
+  organization,
+  projectId,
+  transactionIds,
+  depositDate,
+  depositedInAccount,
+  slipNumber,
+  user,
+}) => {
+  const ids = [...new Set((transactionIds || []).map(String))];
+  if (!ids.length) throw httpError(400, 'Select at least one cheque to deposit.');
+  const depositedOn = parseDate(depositDate, 'depositDate');
+
+  const project = await Project.findOne({ _id: projectId, organization })
+    .select('paymentConfiguration.chequeHandling');
+  if (!project) throw httpError(404, 'Project not found.');
+
+  const cheques = await PaymentTransaction.find({
+    _id: { $in: ids },
+    organization,
+    project: projectId,
+    paymentMethod: 'cheque',
+  });
+  if (cheques.length !== ids.length) {
+    throw httpError(400, 'Some cheques were not found in this project.');
+  }
+  const unavailable = cheques.filter((c) => (c.paymentMethodDetails?.chequeStatus || 'pending') !== 'pending'
+    || c.paymentMethodDetails?.depositBatch
+    || ['cancelled', 'refunded'].includes(c.status));
+  if (unavailable.length) {
+    throw httpError(409, `Already deposited or settled: ${unavailable.map((c) => c.transactionNumber).join(', ')}`);
+  }
+
+  const { clearingDays } = resolveChequeHandling(project);
+  const batch = await ChequeDepositBatch.create({
+    organization,
+    project: projectId,
+    batchNumber: await nextBatchNumber(organization, depositedOn),
+    depositDate: depositedOn,
+    expectedClearingDate: addWorkingDays(depositedOn, clearingDays),
+    depositedInAccount,
+    slipNumber,
+    cheques: cheques.map((c) => c._id),
+    totalAmount: round2(cheques.reduce((sum, c) => sum + c.amount, 0)),
+    depositedBy: user._id,
+  });
+
+  for (const cheque of cheques) {
+    cheque.set({
+      'paymentMethodDetails.depositBatch': batch._id,
+      'paymentMethodDetails.depositDate': depositedOn,
+    });
+    cheque.lastModifiedBy = user._id;
+    await cheque.save();
+  }
+
+  return batch;
+};
+
+/**
+ * Recount a batch's cleared / bounced cheques and close it once none are
+ * left pending.
+ */
+export const refreshDepositBatch = async (batchId) => {
+  if (!batchId) return null;
+  const cheques = await PaymentTransaction.find({ 'paymentMethodDetails.depositBatch': batchId })
+    .select('amount paymentMethodDetails.chequeStatus')
+    .lean();
+
+  const tally = { clearedCount: 0, clearedAmount: 0, bouncedCount: 0, bouncedAmount: 0 };
+  let resolved = 0;
+  for (const c of cheques) {
+    const status = c.paymentMethodDetails?.chequeStatus;
+    if (status === 'cleared') {
+      tally.clearedCount += 1;
+      tally.clearedAmount = round2(tally.clearedAmount + c.amount);
+    } else if (status === 'bounced') {
+      tally.bouncedCount += 1;
+      tally.bouncedAmount = round2(tally.bouncedAmount + c.amount);
+    }
+    if (RESOLVED_CHEQUE_STATUSES.includes(status)) resolved += 1;
+  }
+
+  let status = 'deposited';
+  if (cheques.length && resolved === cheques.length) status = 'closed';
+  else if (resolved > 0) status = 'partially_cleared';
+
+  await ChequeDepositBatch.updateOne(
+    { _id: batchId },
+    { $set: { ...tally, status, closedAt: status === 'closed' ? new Date() : null } }
+  );
+  return { ...tally, status };
+};
+
+export const listDepositBatches = async ({ organization, projectId, status }) => {
+  const query = { organization, project: projectId };
+  if (status) query.status = status;
+  return ChequeDepositBatch.find(query)
+    .populate('depositedBy', 'firstName lastName')
+    .sort({ depositDate: -1 })
+    .lean();
+};
+
+export const getDepositBatch = async (batchId, { organization }) => {
+  const batch = await ChequeDepositBatch.findOne({ _id: batchId, organization })
+    .populate({
+      path: 'cheques',
+      select: 'transactionNumber amount paymentDate status paymentMethodDetails customer',
+      populate: { path: 'customer', select: 'firstName lastName' },
+    })
+    .populate('depositedBy', 'firstName lastName')
+    .lean();
+  if (!batch) throw httpError(404, 'Deposit batch not found.');
+  return batch;
+};
+
+// ─── Clearing ─────────────────────────────────────────────────
+
+/**
+ * Record that the bank has cleared a cheque.
+ *
+ * @param {Function} [verifyAccess] - called with the transaction's project
+ */
+export const clearCheque = async (transactionId, { organization, clearingDate, user, verifyAccess }) => {
+  const txn = await loadCheque(transactionId, organization, verifyAccess);
+  const current = txn.paymentMethodDetails?.chequeStatus || 'pending';
+  if (current !== 'pending') throw httpError(409, `Cheque is already ${current}`);
+  if (['cancelled', 'refunded'].includes(txn.status)) throw httpError(409, `Transaction is ${txn.status}`);
+
+  const clearedOn = parseDate(clearingDate, 'clearingDate');
+  const depositDate = txn.paymentMethodDetails?.depositDate;
+  if (depositDate && clearedOn < new Date(depositDate).setHours(0, 0, 0, 0)) {
+    throw httpError(400, 'Clearing date cannot be before the deposit date');
+  }
+
+  txn.set({
+    'paymentMethodDetails.chequeStatus': 'cleared',
+    'paymentMethodDetails.clearingDate': clearedOn,
+  });
+  txn.status = 'cleared';
+  txn.lastModifiedBy = user._id;
+  await txn.save();
+  await txn.recalculatePaymentPlan();
+  await refreshDepositBatch(txn.paymentMethodDetails.depositBatch);
+
+  return txn;
+};
+
+// ─── Bounce ───────────────────────────────────────────────────
+
+// Back every live allocation out of its installment. Returns the touched
+// installments, earliest due first.
+const reverseAllocations = async (txn, reversedAt) => {
+  const touched = [];
+  for (const allocation of txn.paymentAllocations) {
+    if (allocation.reversedAt) continue;
+    const installment = await Installment.findById(allocation.installment);
+    if (installment) {
+      installment.paidAmount = round2(Math.max(0, installment.paidAmount - allocation.allocatedAmount));
+      installment.pendingAmount = Math.max(0, installment.currentAmount - installment.paidAmount);
+      installment.linkedTransactions.pull(txn._id);
+      installment.updateStatus();
+      await installment.save();
+      if (!touched.some((i) => String(i._id) === String(installment._id))) touched.push(installment);
+    }
+    allocation.reversedAt = reversedAt;
+  }
+  return touched.sort((a, b) => new Date(a.currentDueDate) - new Date(b.currentDueDate));
+};
+
+/**
+ * Bounce notice to the buyer. Pure.
+ */
+export const buildBounceNotice = ({ txn, lead, project, unit, bounceCharge }) => {
+  const details = txn.paymentMethodDetails || {};
+  const name = [lead?.firstName, lead?.lastName].filter(Boolean).join(' ') || 'Customer';
+  const property = [project?.name, unit?.unitNumber && `Unit ${unit.unitNumber}`].filter(Boolean).join(', ');
+  const rows = [
+    ['Property', property],
+    ['Cheque number', details.chequeNumber || '—'],
+    ['Drawn on', details.bankName || '—'],
+    ['Amount', formatInr(txn.amount)],
+    ['Returned on', formatDate(details.bounceDate)],
+    ['Reason', details.bounceReason],
+  ];
+  if (bounceCharge > 0) rows.push(['Cheque return charge', formatInr(bounceCharge)]);
+
+  const body = `Your cheque towards the payment below has been returned unpaid by the bank. `
+    + 'The amount is outstanding again on your account; please pay it by bank transfer or a fresh cheque at the earliest.';
+
+  const table = `<table cellpadding="6" style="border-collapse:collapse">${rows
+    .map(([k, v]) => `<tr><td style="color:#555">${escapeHtml(k)}</td><td><b>${escapeHtml(v)}</b></td></tr>`)
+    .join('')}</table>`;
+
+  const html = [
+    `<p>Dear ${escapeHtml(name)},</p>`,
+    `<p>${escapeHtml(body)}</p>`,
+    table,
+    bounceCharge > 0
+      ? `<p>As per your agreement, a cheque return charge of ${escapeHtml(formatInr(bounceCharge))} has been added to your account.</p>`
+      : '',
+    `<p>Regards,<br/>${escapeHtml(project?.name || 'Collections')} — Collections</p>`,
+  ].join('\n');
+
+  const text = [
+    `Dear ${name},`,
+    '',
+    body,
+    '',
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+  ].join('\n');
+
+  return { subject: `Cheque returned unpaid${property ? ` | ${property}` : ''}`, html, text };
+};
+
+const createBounceTask = async ({ txn, sale, installment, user }) => {
+  const dedupKey = `cheque_bounce_${txn._id}`;
+  const exists = await Task.findOne({ 'autoGenerated.deduplicationKey': dedupKey }).select('_id');
+  if (exists) return null;
+
+  const details = txn.paymentMethodDetails;
+  const unitLabel = sale?.unit?.unitNumber ? `Unit ${sale.unit.unitNumber}` : 'Unit';
+  const buyer = [sale?.lead?.firstName, sale?.lead?.lastName].filter(Boolean).join(' ') || 'buyer';
+
+  const task = await Task.create({
+    organization: txn.organization,
+    title: `Bounced cheque ${details.chequeNumber || txn.transactionNumber}: ${unitLabel}`,
+    description: `Cheque ${details.chequeNumber || ''} for ${formatInr(txn.amount)} from ${buyer} was returned `
+      + `on ${formatDate(details.bounceDate)} (${details.bounceReason}). Collect a replacement payment`
+      + `${details.bounceCharge > 0 ? ` and the ${formatInr(details.bounceCharge)} return charge` : ''}.`,
+    category: 'Payment & Collection',
+    priority: 'High',
+    status: 'Open',
+    assignedTo: sale?.salesPerson || user._id,
+    assignedBy: user._id,
+    assignmentType: 'system',
+    dueDate: new Date(Date.now() + 3 * DAY_MS),
+    linkedEntity: {
+      entityType: 'PaymentTransaction',
+      entityId: txn._id,
+      displayLabel: `${txn.transactionNumber} — ${unitLabel}`,
+    },
+    autoGenerated: {
+      isAutoGenerated: true,
+      triggerType: 'cheque_bounce',
+      triggerEntityType: installment ? 'Installment' : 'PaymentTransaction',
+      triggerEntityId: installment?._id || txn._id,
+      deduplicationKey: dedupKey,
+    },
+    createdBy: user._id,
+  });
+  notifyTaskAutoGenerated({ task }).catch(() => {});
+  return task;
+};
+
+// Buyer email, salesperson notification and the collections task. Each step
+// is best-effort: the bounce itself is already recorded.
+const followUpBounce = async ({ txn, project, installment, user }) => {
+  const result = { customerNotified: false, salespersonNotified: false, task: null };
+
+  const plan = await PaymentPlan.findById(txn.paymentPlan)
+    .select('sale')
+    .populate({ path: 'sale', select: 'lead unit salesPerson', populate: [
+      { path: 'lead', select: 'firstName lastName email' },
+      { path: 'unit', select: 'unitNumber' },
+    ] });
+  const sale = plan?.sale;
+
+  try {
+    if (sale?.lead?.email) {
+      const notice = buildBounceNotice({
+        txn, lead: sale.lead, project, unit: sale.unit, bounceCharge: txn.paymentMethodDetails.bounceCharge,
+      });
+      await sendEmail({ to: sale.lead.email, ...notice });
+      result.customerNotified = true;
+    }
+  } catch (err) {
+    console.error(`[cheques] bounce email for ${txn.transactionNumber} failed: ${err.message}`);
+  }
+
+  try {
+    if (sale?.salesPerson) {
+      const notification = await createNotification({
+        organization: txn.organization,
+        recipient: sale.salesPerson,
+        type: 'cheque_bounced',
+        title: `Cheque ${txn.paymentMethodDetails.chequeNumber || txn.transactionNumber} bounced`,
+        message: `${formatInr(txn.amount)}${sale.unit?.unitNumber ? ` for Unit ${sale.unit.unitNumber}` : ''} was returned unpaid: ${txn.paymentMethodDetails.bounceReason}`,
+        actionUrl: `/payments/transactions/${txn._id}`,
+        relatedEntity: { entityType: 'PaymentTransaction', entityId: txn._id, displayLabel: txn.transactionNumber },
+        priority: 'high',
+        actor: user._id,
+      });
+      result.salespersonNotified = Boolean(notification);
+    }
+  } catch (err) {
+    console.error(`[cheques] bounce notification for ${txn.transactionNumber} failed: ${err.message}`);
+  }
+
+  try {
+    result.task = await createBounceTask({ txn, sale, installment, user });
+  } catch (err) {
+    console.error(`[cheques] bounce task for ${txn.transactionNumber} failed: ${err.message}`);
+  }
+
+  return result;
+};
+
+/**
+ * Record a returned cheque: reverse its installment allocations, apply the
+ * project's bounce charge and start collections follow-up.
+ *
+ * @param {object} params
+ * @param {string} params.reason - bank's return reason (e.g. 'Funds insufficient')
+ * @param {Date|string} [params.bounceDate=now]
+ * @param {Function} [params.verifyAccess] - called with the transaction's project
+ * @returns {Promise<{ transaction, reversedInstallments: object[], bounceCharge: object|null,
+ *   customerNotified: boolean, salespersonNotified: boolean, task: object|null }>}
+ */
+export const bounceCheque = async (transactionId, { organization, reason, bounceDate, user, verifyAccess }) => {
+  const txn = await loadCheque(transactionId, organization, verifyAccess);
+  const current = txn.paymentMethodDetails?.chequeStatus || 'pending';
+  if (!['pending', 'cleared'].includes(current)) throw httpError(409, `Cheque is already ${current}`);
+  if (['cancelled', 'refunded'].includes(txn.status)) throw httpError(409, `Transaction is ${txn.status}`);
+  if (!reason || !String(reason).trim()) throw httpError(400, 'A bounce reason is required');
+  const bouncedOn = parseDate(bounceDate, 'bounceDate');
+
+  const project = await Project.findById(txn.project).select('name paymentConfiguration.chequeHandling');
+  const { bounceCharge } = resolveChequeHandling(project);
+
+  const reversed = await reverseAllocations(txn, bouncedOn);
+
+  let charged = null;
+  if (bounceCharge > 0) {
+    const installment = reversed[0] || await Installment.findOne({
+      paymentPlan: txn.paymentPlan,
+      status: { $in: OPEN_INSTALLMENT_STATUSES },
+    }).sort({ currentDueDate: 1 });
+    if (installment) {
+      const label = txn.paymentMethodDetails?.chequeNumber || txn.transactionNumber;
+      await installment.addAdditionalCharge(`Cheque bounce charge (${label})`, bounceCharge, 'penalty', user._id);
+      charged = { installment: installment._id, installmentNumber: installment.installmentNumber, amount: bounceCharge };
+    }
+  }
+
+  const previousStatus = txn.status;
+  txn.set({
+    'paymentMethodDetails.chequeStatus': 'bounced',
+    'paymentMethodDetails.bounceDate': bouncedOn,
+    'paymentMethodDetails.bounceReason': String(reason).trim(),
+    'paymentMethodDetails.bounceCharge': charged ? bounceCharge : 0,
+  });
+  txn.status = 'bounced';
+  txn.modifications.push({
+    modifiedBy: user._id,
+    previousAmount: txn.amount,
+    newAmount: txn.amount,
+    reason: `Cheque bounced (was ${previousStatus}): ${String(reason).trim()}`,
+    modificationType: 'status_change',
+  });
+  txn.lastModifiedBy = user._id;
+  await txn.save();
+  await txn.recalculatePaymentPlan();
+  await refreshDepositBatch(txn.paymentMethodDetails.depositBatch);
+
+  const followUp = await followUpBounce({ txn, project, installment: reversed[0] || null, user });
+
+  return {
+    transaction: txn,
+    reversedInstallments: reversed.map((i) => ({
+      installment: i._id,
+      installmentNumber: i.installmentNumber,
+      status: i.status,
+      pendingAmount: i.pendingAmount,
+    })),
+    bounceCharge: charged,
+    ...followUp,
+  };
+};
+
+export default {
+  resolveChequeHandling,
+  addWorkingDays,
+  chequeStage,
+  getChequeRegister,
+  createDepositBatch,
+  refreshDepositBatch,
+  listDepositBatches,
+  getDepositBatch,
+  clearCheque,
+  buildBounceNotice,
+  bounceCheque,
+};
@@ -21,15 +21,10 @@ import Organization from '../models/organizationModel.js';
 import ChannelPartner from '../models/channelPartnerModel.js';
 import CommissionRecord from '../models/commissionRecordModel.js';
 import { createNotification, notifyUsersWithPermission } from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
 
 // ─── Helpers ───────────────────────────────────────────────────────────
 
-const httpError = (status, message) => {
-  const err = new Error(message);
-  err.statusCode = status;
-  return err;
-};
-
 const isCpAgent = (user) =>
   user?.roleRef?.name === 'CP Agent' || user?.roleRef?.slug === 'cp-agent';
 
@@ -528,7 +528,8 @@ const processCommissionPayments = async (commissionIds, paymentData, userId) =>
 /**
  * Calculates commission adjustments for sale modifications
  * @param {string} saleId - Sale ID
- * @param {Object} saleChanges - Changes to the sale
+ * @param {Object} saleChanges - Changes to the sale; { cancelled: true, reason }
+ *   zeroes the commission
  * @param {string} userId - User making the adjustment
  * @returns {Object} Adjustment results
  */
@@ -547,31 +548,40 @@ const adjustCommissionForSaleChange = async (saleId, saleChanges, userId) => {
     const adjustmentResults = [];
     
     for (const commission of commissions) {
-      const commissionStructure = await CommissionStructure.findById(commission.commissionStructure).session(session);
-      
-      if (!commissionStructure) {
-        continue;
+      let newAmount;
+      if (saleChanges.cancelled) {
+        // A cancelled sale earns nothing; anything already paid stays in
+        // paymentDetails.totalPaid for recovery
+        newAmount = 0;
+      } else {
+        const commissionStructure = await CommissionStructure.findById(commission.commissionStructure).session(session);
+        
+        if (!commissionStructure) {
+          continue;
+        }
+        
+        // Recalculate commission with new sale data
+        const newSaleDetails = {
+          salePrice: saleChanges.salePrice || commission.saleDetails.salePrice,
+          basePrice: saleChanges.basePrice || commission.saleDetails.basePrice,
+          unitType: saleChanges.unitType || commission.saleDetails.unitType,
+          saleDate: commission.saleDetails.saleDate,
+          partnerSalesVolume: commission.partnerPerformance.totalSalesVolume
+        };
+        
+        const newCommissionCalculation = commissionStructure.calculateCommission(newSaleDetails, commission.partnerPerformance);
+        newAmount = newCommissionCalculation.netCommission;
       }
       
-      // Recalculate commission with new sale data
-      const newSaleDetails = {
-        salePrice: saleChanges.salePrice || commission.saleDetails.salePrice,
-        basePrice: saleChanges.basePrice || commission.saleDetails.basePrice,
-        unitType: saleChanges.unitType || commission.saleDetails.unitType,
-        saleDate: commission.saleDetails.saleDate,
-        partnerSalesVolume: commission.partnerPerformance.totalSalesVolume
-      };
-      
-      const newCommissionCalculation = commissionStructure.calculateCommission(newSaleDetails, commission.partnerPerformance);
-      
       const oldAmount = commission.commissionCalculation.netCommission;
-      const newAmount = newCommissionCalculation.netCommission;
       
       if (Math.abs(oldAmount - newAmount) > 0.01) {
         // Adjust commission amount
         await commission.adjustCommissionAmount(
           newAmount,
-          `Sale modification: ${JSON.stringify(saleChanges)}`,
+          saleChanges.cancelled
+            ? `Sale cancelled${saleChanges.reason ? `: ${saleChanges.reason}` : ''}`
+            : `Sale modification: ${JSON.stringify(saleChanges)}`,
           userId
         );
         
@@ -580,7 +590,8 @@ const adjustCommissionForSaleChange = async (saleId, saleChanges, userId) => {
           partnerId: commission.partner,
           oldAmount,
           newAmount,
-          adjustment: newAmount - oldAmount
+          adjustment: newAmount - oldAmount,
+          alreadyPaid: commission.paymentDetails?.totalPaid || 0
         });
       }
     }
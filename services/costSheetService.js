@@ -0,0 +1,379 @@
+// File: services/costSheetService.js
+// Description: Rule-driven cost sheet builder. A cost sheet is a list of
+//   charge components (base price, floor rise, PLC, the project's default
+//   and additional charges), named discount schemes, GST per component slab,
+//   and state stamp duty / registration. Everything is evaluated "as of" a
+//   date — the unit price from UnitPriceHistory, charges and schemes by
+//   their validity windows, stamp duty by the rule in force — so a sale's
+//   cost sheet can be rebuilt for its booking date.
+
+import Unit from '../models/unitModel.js';
+import Project from '../models/projectModel.js';
+import StampDutyRule from '../models/stampDutyRuleModel.js';
+import UnitPriceHistory from '../models/unitPriceHistoryModel.js';
+import { httpError } from '../utils/httpError.js';
+
+export const COST_SHEET_VERSION = 2;
+
+// paymentConfiguration.defaultCharges → component metadata. Parking is part
+// of the agreement value and taxed at the base rate; the rest are services
+// at 18% except the maintenance deposit, which is refundable and not taxed.
+export const DEFAULT_CHARGE_COMPONENTS = {
+  parkingCharges: { code: 'PARKING', name: 'Car Parking', category: 'parking_charges', partOfAgreementValue: true },
+  clubMembership: { code: 'CLUB', name: 'Club Membership', category: 'club_membership', gstRate: 18 },
+  maintenanceDeposit: { code: 'MAINT_DEPOSIT', name: 'Maintenance Deposit', category: 'maintenance_charges', taxable: false },
+  legalCharges: { code: 'LEGAL', name: 'Legal Charges', category: 'legal_charges', gstRate: 18 },
+  powerConnectionCharges: { code: 'POWER', name: 'Power Connection', category: 'development_charges', gstRate: 18 },
+  waterConnectionCharges: { code: 'WATER', name: 'Water Connection', category: 'development_charges', gstRate: 18 },
+  sewerageConnectionCharges: { code: 'SEWERAGE', name: 'Sewerage Connection', category: 'development_charges', gstRate: 18 },
+};
+
+const DEFAULT_PERIODS = { 'one-time': 1, monthly: 12, yearly: 1 };
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const inWindow = (from, to, asOf) =>
+  (!from || new Date(from) <= asOf) && (!to || new Date(to) > asOf);
+
+const slugCode = (name) =>
+  String(name || 'CHARGE').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// ─── Pure builder ──────────────────────────────────────────────────────────
+
+/**
+ * Build a cost sheet from already-loaded inputs. No I/O.
+ *
+ * @param {Object} params
+ * @param {Object} params.unit
+ * @param {Object} params.project
+ * @param {number} params.basePrice - unit price as of `asOf`
+ * @param {boolean} [params.priceIncludesPremiums] - price came from a price
+ *   list, so floor rise and PLC are already in it
+ * @param {Object|null} [params.stampDutyRule] - StampDutyRule in force, if any
+ * @param {Date} [params.asOf=new Date()]
+ * @param {string[]} [params.discountSchemes] - scheme codes to apply
+ * @param {number} [params.discountPercentage] - ad-hoc % discount
+ * @param {number} [params.discountAmount] - ad-hoc flat discount
+ * @param {string[]} [params.optionalCharges] - codes of optional charges to include
+ * @returns {Object} cost sheet (see COST_SHEET_VERSION)
+ */
+export function buildCostSheet({
+  unit,
+  project,
+  basePrice,
+  priceIncludesPremiums = false,
+  stampDutyRule = null,
+  asOf = new Date(),
+  discountSchemes = [],
+  discountPercentage = 0,
+  discountAmount = 0,
+  optionalCharges = [],
+}) {
+  const when = new Date(asOf);
+  const area = unit.areaSqft || 0;
+  // Rates a project has not configured are 0, as the pre-cost-sheet pricing
+  // charged them, rather than assumed.
+  const taxConfig = project.paymentConfiguration?.taxConfiguration || {};
+  const baseGstRate =
+    taxConfig.gstApplicable === false ? 0 : project.pricingRules?.gstRate ?? taxConfig.gstRate ?? 0;
+
+  const components = [];
+  const addComponent = ({
+    code, name, category = 'other_charges', basis = 'lump_sum', rate, quantity = 1,
+    frequency = 'one-time', periods = 1, taxable = true, gstRate, partOfAgreementValue = false, sacCode,
+  }) => {
+    const amount = round2(rate * quantity);
+    if (!(amount > 0)) return;
+    components.push({
+      code,
+      name,
+      category,
+      basis,
+      rate,
+      quantity,
+      amount,
+      frequency,
+      periods,
+      total: round2(amount * periods),
+      taxable,
+      gstRate: taxable ? gstRate ?? baseGstRate : 0,
+      partOfAgreementValue,
+      ...(sacCode ? { sacCode } : {}),
+    });
+  };
+
+  // 1. Base price
+  addComponent({
+    code: 'BASE', name: 'Base Price', category: 'base_price',
+    rate: basePrice, partOfAgreementValue: true,
+  });
+
+  // 2. Floor rise and PLC — already inside a price-list price
+  if (!priceIncludesPremiums) {
+    const rules = project.pricingRules || {};
+    const floors = unit.floor > 0 ? unit.floor : 0;
+    addComponent({
+      code: 'FLOOR_RISE', name: 'Floor Rise Charges', rate: rules.floorRiseCharge || 0,
+      quantity: floors, partOfAgreementValue: true,
+    });
+    if (unit.features?.isParkFacing) {
+      addComponent({
+        code: 'PLC_PARK', name: 'PLC (Park Facing)', rate: rules.plcCharges?.parkFacing || 0,
+        partOfAgreementValue: true,
+      });
+    }
+    if (unit.features?.isCornerUnit) {
+      addComponent({
+        code: 'PLC_CORNER', name: 'PLC (Corner Unit)', rate: rules.plcCharges?.cornerUnit || 0,
+        partOfAgreementValue: true,
+      });
+    }
+  }
+
+  // 3. Project default charges
+  const defaults = project.paymentConfiguration?.defaultCharges || {};
+  for (const [key, meta] of Object.entries(DEFAULT_CHARGE_COMPONENTS)) {
+    const rate = defaults[key] || 0;
+    if (!(rate > 0)) continue;
+    let quantity = 1;
+    if (key === 'parkingCharges') {
+      quantity = unit.parking?.covered || (unit.features?.hasParkingSlot ? 1 : 0);
+    }
+    addComponent({ ...meta, rate, quantity });
+  }
+
+  // 4. Additional charges in force on the date
+  const optional = new Set(optionalCharges.map((c) => String(c).toUpperCase()));
+  for (const charge of project.additionalCharges || []) {
+    const code = charge.code || slugCode(charge.name);
+    if (!inWindow(charge.effectiveFrom, charge.effectiveTo, when)) continue;
+    if (charge.isOptional && !optional.has(code)) continue;
+    if (
+      charge.appliesToUnitTypes?.length &&
+      !charge.appliesToUnitTypes.some((t) => t.toLowerCase() === String(unit.type).toLowerCase())
+    ) {
+      continue;
+    }
+    const frequency = charge.type || 'one-time';
+    addComponent({
+      code,
+      name: charge.name,
+      category: charge.category || 'other_charges',
+      basis: charge.basis || 'lump_sum',
+      rate: charge.amount,
+      quantity: charge.basis === 'per_sqft' ? area : 1,
+      frequency,
+      periods: frequency === 'one-time' ? 1 : charge.billingPeriods || DEFAULT_PERIODS[frequency],
+      taxable: charge.taxable !== false,
+      gstRate: charge.gstRate ?? undefined,
+      partOfAgreementValue: !!charge.partOfAgreementValue,
+      sacCode: charge.sacCode,
+    });
+  }
+
+  // 5. Discounts — on the agreement value, never below zero
+  const grossAgreementValue = round2(
+    components.filter((c) => c.partOfAgreementValue).reduce((s, c) => s + c.total, 0)
+  );
+  const discounts = [];
+  const schemesByCode = new Map(
+    (project.discountSchemes || []).map((s) => [String(s.code).toUpperCase(), s])
+  );
+  for (const raw of discountSchemes) {
+    const code = String(raw).toUpperCase();
+    const scheme = schemesByCode.get(code);
+    if (!scheme || scheme.isActive === false) {
+      throw httpError(400, `Unknown or inactive discount scheme: ${code}`);
+    }
+    if (!inWindow(scheme.validFrom, scheme.validUntil, when)) {
+      throw httpError(400, `Discount scheme ${code} is not valid on ${when.toISOString().slice(0, 10)}`);
+    }
+    let amount =
+      scheme.type === 'percent' ? (grossAgreementValue * scheme.value) / 100
+        : scheme.type === 'per_sqft' ? scheme.value * area
+          : scheme.value;
+    if (scheme.maxAmount > 0) amount = Math.min(amount, scheme.maxAmount);
+    discounts.push({ code, name: scheme.name, type: scheme.type, value: scheme.value, amount: round2(amount) });
+  }
+  if (discountPercentage > 0) {
+    discounts.push({
+      code: 'SPECIAL', name: `Special Discount (${discountPercentage}%)`, type: 'percent',
+      value: discountPercentage, amount: round2((grossAgreementValue * discountPercentage) / 100),
+    });
+  }
+  if (discountAmount > 0) {
+    discounts.push({
+      code: 'SPECIAL_FLAT', name: 'Special Discount', type: 'flat',
+      value: discountAmount, amount: round2(discountAmount),
+    });
+  }
+  const discountTotal = round2(Math.min(grossAgreementValue, discounts.reduce((s, d) => s + d.amount, 0)));
+  const agreementValue = round2(grossAgreementValue - discountTotal);
+
+  // 6. GST per component; the discount reduces agreement components' taxable
+  // value pro rata.
+  const discountShare = grossAgreementValue > 0 ? discountTotal / grossAgreementValue : 0;
+  const slabs = new Map();
+  for (const c of components) {
+    const taxableValue = c.taxable
+      ? round2(c.total * (c.partOfAgreementValue ? 1 - discountShare : 1))
+      : 0;
+    c.gstAmount = round2((taxableValue * c.gstRate) / 100);
+    if (c.gstAmount > 0) {
+      const slab = slabs.get(c.gstRate) || { rate: c.gstRate, taxableValue: 0, amount: 0 };
+      slab.taxableValue = round2(slab.taxableValue + taxableValue);
+      slab.amount = round2(slab.amount + c.gstAmount);
+      slabs.set(c.gstRate, slab);
+    }
+  }
+  const gstTotal = round2(components.reduce((s, c) => s + c.gstAmount, 0));
+
+  // 7. Stamp duty and registration on the agreement value
+  const stampDutyRate = stampDutyRule
+    ? stampDutyRule.stampDutyPercent + (stampDutyRule.cessPercent || 0)
+    : taxConfig.stampDutyRate ?? 0;
+  const registrationRate = stampDutyRule
+    ? stampDutyRule.registrationPercent
+    : taxConfig.registrationFeeRate ?? 0;
+  const stampDuty = Math.round((agreementValue * stampDutyRate) / 100);
+  let registration = Math.round((agreementValue * registrationRate) / 100);
+  if (stampDutyRule?.registrationMaxAmount > 0) {
+    registration = Math.min(registration, stampDutyRule.registrationMaxAmount);
+  }
+
+  // 8. Totals
+  const chargesTotal = round2(components.reduce((s, c) => s + c.total, 0));
+  const oneTimeCharges = round2(
+    components.filter((c) => c.frequency === 'one-time').reduce((s, c) => s + c.total, 0)
+  );
+  const developerTotal = round2(chargesTotal - discountTotal + gstTotal);
+  const governmentCharges = stampDuty + registration;
+
+  // Legacy flat breakdown for existing cost sheet screens
+  const costBreakdown = [
+    ...components.map((c) => ({ item: c.name, amount: c.total })),
+    { item: 'Sub-Total', amount: chargesTotal, isBold: true },
+    ...discounts.map((d) => ({ item: d.name, amount: -d.amount })),
+    ...[...slabs.values()].map((s) => ({ item: `GST (${s.rate}%)`, amount: s.amount })),
+    { item: 'Total Payable to Developer', amount: developerTotal, isBold: true },
+    ...(stampDuty > 0 ? [{ item: `Stamp Duty (${stampDutyRate}%)`, amount: stampDuty }] : []),
+    ...(registration > 0 ? [{ item: `Registration (${registrationRate}%)`, amount: registration }] : []),
+    { item: 'All-inclusive Cost', amount: developerTotal + governmentCharges, isBold: true },
+  ];
+
+  return {
+    version: COST_SHEET_VERSION,
+    asOf: when,
+    generatedAt: new Date(),
+    unitDetails: {
+      unitId: unit._id,
+      unitNumber: unit.unitNumber,
+      type: unit.type,
+      areaSqft: unit.areaSqft,
+      floor: unit.floor,
+      facing: unit.facing,
+    },
+    projectDetails: {
+      projectId: project._id,
+      name: project.name,
+      location: project.location?.city,
+      state: project.location?.state,
+    },
+    basePrice,
+    priceIncludesPremiums,
+    components,
+    discounts,
+    taxes: {
+      gst: { baseRate: baseGstRate, total: gstTotal, bySlab: [...slabs.values()] },
+      stampDuty: {
+        state: stampDutyRule?.state || project.location?.state || null,
+        ruleId: stampDutyRule?._id || null,
+        rate: stampDutyRate,
+        amount: stampDuty,
+      },
+      registration: {
+        rate: registrationRate,
+        maxAmount: stampDutyRule?.registrationMaxAmount ?? null,
+        amount: registration,
+      },
+    },
+    costBreakdown,
+    totals: {
+      grossAgreementValue,
+      discountTotal,
+      agreementValue,
+      chargesTotal,
+      oneTimeCharges,
+      recurringCharges: round2(chargesTotal - oneTimeCharges),
+      gstTotal,
+      developerTotal,
+      governmentCharges,
+      grandTotal: round2(developerTotal + governmentCharges),
+      // What the buyer pays the developer — used as the sale price.
+      finalAmount: developerTotal,
+    },
+    finalPayableAmount: developerTotal,
+  };
+}
+
+// ─── Loaders ───────────────────────────────────────────────────────────────
+
+/**
+ * Unit price on a date from the price history. Without history the current
+ * price stands. Also reports whether a price list had been published for the
+ * unit by then (its prices already include floor rise and PLC).
+ */
+export async function resolveUnitPriceAsOf(unit, asOf) {
+  if (!asOf) return { price: unit.currentPrice, priceIncludesPremiums: !!unit.priceList };
+
+  const [last, next, listBefore] = await Promise.all([
+    UnitPriceHistory.findOne({ unit: unit._id, changedAt: { $lte: asOf } })
+      .sort({ changedAt: -1 }).select('newPrice').lean(),
+    UnitPriceHistory.findOne({ unit: unit._id, changedAt: { $gt: asOf } })
+      .sort({ changedAt: 1 }).select('previousPrice').lean(),
+    UnitPriceHistory.exists({ unit: unit._id, source: 'price_list', changedAt: { $lte: asOf } }),
+  ]);
+
+  const price = last?.newPrice ?? next?.previousPrice ?? unit.currentPrice;
+  return { price, priceIncludesPremiums: !!listBefore };
+}
+
+/**
+ * Load the unit, project, as-of price and stamp duty rule, then build.
+ *
+ * @param {string} unitId
+ * @param {Object} [options] - asOf, discountSchemes, discountPercentage,
+ *   discountAmount, optionalCharges (see buildCostSheet)
+ */
+export async function generateCostSheet(unitId, options = {}) {
+  const unit = await Unit.findById(unitId).lean();
+  if (!unit) throw httpError(404, 'Unit not found');
+
+  const project = await Project.findById(unit.project).lean();
+  if (!project) throw httpError(404, 'Project associated with the unit not found');
+
+  const asOf = options.asOf ? new Date(options.asOf) : null;
+  if (asOf && Number.isNaN(asOf.getTime())) throw httpError(400, 'asOf must be a valid date');
+
+  const [{ price, priceIncludesPremiums }, stampDutyRule] = await Promise.all([
+    resolveUnitPriceAsOf(unit, asOf),
+    StampDutyRule.findInForce(project.organization, project.location?.state, asOf || new Date()),
+  ]);
+
+  return buildCostSheet({
+    unit,
+    project,
+    basePrice: price,
+    priceIncludesPremiums,
+    stampDutyRule,
+    asOf: asOf || new Date(),
+    discountSchemes: options.discountSchemes || [],
+    discountPercentage: Number(options.discountPercentage) || 0,
+    discountAmount: Number(options.discountAmount) || 0,
+    optionalCharges: options.optionalCharges || [],
+  });
+}
+
+export default { buildCostSheet, resolveUnitPriceAsOf, generateCostSheet };
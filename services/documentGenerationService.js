@@ -1,10 +1,133 @@
 // File: services/documentGenerationService.js
-// Description: Service for generating documents from templates
+// Description: Service for generating documents from templates. Templates are
+//   rendered by their engine and written out as PDF, DOCX or HTML through
+//   services/documents/, filled from the linked Lead, Sale, Unit or
+//   PaymentPlan plus the values the user entered.
 
 import DocumentTemplate from '../models/documentTemplateModel.js';
 import File from '../models/fileModel.js';
-import { uploadFileToS3 } from './s3Service.js';
+import { uploadFileToS3, getFileFromS3 } from './s3Service.js';
+import { renderDocument } from './documents/renderDocument.js';
+import { loadTemplateData, TEMPLATE_DATA_RESOURCES } from './documents/templateData.js';
 import mongoose from 'mongoose';
+import { httpError } from '../utils/httpError.js';
+
+// Keep the status code of a wrapped error so controllers can report it
+const wrapError = (prefix, error) => {
+  const wrapped = new Error(`${prefix}: ${error.message}`);
+  if (error.statusCode) wrapped.statusCode = error.statusCode;
+  return wrapped;
+};
+
+// Template files are markup; anything else (a scanned PDF, a Word file) has
+// no source to render and falls back to the field listing.
+const TEXT_TEMPLATE_TYPES = ['text/html', 'text/plain', 'application/xhtml+xml'];
+
+/**
+ * Load a template and check the user may use it
+ * @param {string} templateId - Template ID
+ * @param {Object} user - User using the template
+ * @returns {Object} Template with category and templateFile populated
+ */
+const loadUsableTemplate = async (templateId, user) => {
+  const template = await DocumentTemplate.findOne({
+    _id: templateId,
+    organization: user.organization,
+    isActive: true
+  }).populate('templateFile').populate('category');
+
+  if (!template) {
+    throw httpError(404, 'Template not found');
+  }
+
+  if (!template.canUserUse(user)) {
+    throw httpError(403, 'You do not have permission to use this template');
+  }
+
+  return template;
+};
+
+/**
+ * Get a template's markup: inline content, else the uploaded template file
+ * @param {Object} template - Template with templateFile populated
+ * @returns {string|null} Template source, or null when there is none
+ */
+export const getTemplateSource = async (template) => {
+  if (template.content) return template.content;
+
+  const file = template.templateFile;
+  if (!file?.s3Key || !TEXT_TEMPLATE_TYPES.includes(file.mimeType)) return null;
+
+  const buffer = await getFileFromS3(file.s3Key);
+  return buffer.toString('utf8');
+};
+
+/**
+ * Build the data a template renders with: the linked record's context
+ * (see services/documents/templateData.js) overlaid with the caller's values
+ * @param {Object} template - Template object
+ * @param {Object} data - Caller-supplied field values
+ * @param {Object} user - User generating the document
+ * @param {string} associatedResource - Record ID
+ * @param {string} resourceType - Record type
+ * @param {Function} [verifyAccess] - Project access check
+ * @returns {Object} Template data
+ */
+const buildRenderData = async (template, data, user, associatedResource, resourceType, verifyAccess) => {
+  const validation = template.validateTemplateData(data);
+  if (!validation.isValid) {
+    throw httpError(400, `Template data validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  const recordData = associatedResource && TEMPLATE_DATA_RESOURCES.includes(resourceType)
+    ? await loadTemplateData({
+        organization: user.organization,
+        resourceType,
+        resourceId: associatedResource,
+        verifyAccess
+      })
+    : {};
+
+  return {
+    ...recordData,
+    ...data,
+    fields: data,
+    generatedBy: `${user.firstName || ''} ${user.lastName || ''}`.trim()
+  };
+};
+
+/**
+ * Render a template to its output format without storing it
+ * @param {Object} template - Template object
+ * @param {Object} data - Data to populate template
+ * @param {Object} user - User generating the document
+ * @param {string} [outputFormat] - Overrides the template's output format
+ * @returns {Object} { buffer, mimeType, extension, html }
+ */
+const renderTemplateDocument = async (template, data, user, outputFormat) => {
+  const { configuration } = template;
+  const format = outputFormat || configuration.outputFormat;
+  const source = await getTemplateSource(template);
+
+  if (source === null) {
+    return renderDocument({
+      html: generateSimpleHtmlContent(template, data, user),
+      outputFormat: format,
+      pageSettings: configuration.pageSettings,
+      title: template.name
+    });
+  }
+
+  return renderDocument({
+    source,
+    engine: configuration.engine,
+    data,
+    outputFormat: format,
+    pageSettings: configuration.pageSettings,
+    headerFooter: configuration.headerFooter,
+    title: template.name
+  });
+};
 
 /**
  * Generate document from template
@@ -13,53 +136,21 @@ import mongoose from 'mongoose';
  * @param {Object} user - User generating the document
  * @param {string} associatedResource - Associated resource ID
  * @param {string} resourceType - Resource type
+ * @param {Object} [options]
+ * @param {Function} [options.verifyAccess] - Project access check for the linked record
  * @returns {Object} Generated document information
  */
-export const generateDocumentFromTemplate = async (templateId, data, user, associatedResource, resourceType) => {
+export const generateDocumentFromTemplate = async (templateId, data, user, associatedResource, resourceType, options = {}) => {
   const startTime = Date.now();
   
   try {
-    // Get template
-    const template = await DocumentTemplate.findOne({
-      _id: templateId,
-      organization: user.organization,
-      isActive: true
-    }).populate('templateFile').populate('category');
-    
-    if (!template) {
-      throw new Error('Template not found');
-    }
-    
-    // Check if user can use this template
-    if (!template.canUserUse(user)) {
-      throw new Error('You do not have permission to use this template');
-    }
-    
-    // Validate template data
-    const validation = template.validateTemplateData(data);
-    if (!validation.isValid) {
-      throw new Error(`Template data validation failed: ${validation.errors.join(', ')}`);
-    }
-    
-    // Generate document based on template type
-    let generatedDocument;
-    switch (template.configuration.engine) {
-      case 'handlebars':
-        generatedDocument = await generateHandlebarsDocument(template, data, user);
-        break;
-      case 'mustache':
-        generatedDocument = await generateMustacheDocument(template, data, user);
-        break;
-      case 'ejs':
-        generatedDocument = await generateEjsDocument(template, data, user);
-        break;
-      default:
-        generatedDocument = await generateSimpleDocument(template, data, user);
-    }
+    const template = await loadUsableTemplate(templateId, user);
+    const renderData = await buildRenderData(template, data, user, associatedResource, resourceType, options.verifyAccess);
+    const generatedDocument = await renderTemplateDocument(template, renderData, user);
     
     // Upload generated document to S3
     const folder = `generated-documents/${resourceType.toLowerCase()}s/${associatedResource}`;
-    const fileName = `${template.name}-${Date.now()}.${template.configuration.outputFormat}`;
+    const fileName = `${template.name}-${Date.now()}.${generatedDocument.extension}`;
     
     const { url, s3Key } = await uploadFileToS3({
       buffer: generatedDocument.buffer,
@@ -76,6 +167,7 @@ export const generateDocumentFromTemplate = async (templateId, data, user, assoc
       resourceType,
       originalName: fileName,
       fileName,
+      fileExtension: generatedDocument.extension,
       title: `${template.name} - Generated Document`,
       description: `Generated from template: ${template.name}`,
       tags: ['generated', 'template', template.type.toLowerCase()],
@@ -85,8 +177,9 @@ export const generateDocumentFromTemplate = async (templateId, data, user, assoc
       s3Key,
       accessLevel: 'organization',
       customFields: new Map([
-        ['templateId', templateId],
+        ['templateId', String(templateId)],
         ['templateName', template.name],
+        ['templateVersion', String(template.version)],
         ['generatedAt', new Date().toISOString()],
         ['templateData', JSON.stringify(data)]
       ]),
@@ -106,46 +199,36 @@ export const generateDocumentFromTemplate = async (templateId, data, user, assoc
     };
     
   } catch (error) {
-    throw new Error(`Document generation failed: ${error.message}`);
+    throw wrapError('Document generation failed', error);
   }
 };
 
 /**
- * Generate document using simple text replacement
- * @param {Object} template - Template object
- * @param {Object} data - Data to populate
- * @param {Object} user - User generating document
- * @returns {Object} Generated document
+ * Render a template for review without storing anything
+ * @param {string} templateId - Template ID
+ * @param {Object} data - Data to populate template
+ * @param {Object} user - User previewing
+ * @param {string} associatedResource - Record to take data from (optional)
+ * @param {string} resourceType - Record type
+ * @param {Object} [options]
+ * @param {string} [options.outputFormat] - pdf | docx | html (default: the template's)
+ * @param {Function} [options.verifyAccess] - Project access check for the linked record
+ * @returns {Object} { buffer, mimeType, extension, html, fileName }
  */
-const generateSimpleDocument = async (template, data, user) => {
+export const previewTemplateDocument = async (templateId, data, user, associatedResource, resourceType, options = {}) => {
   try {
-    // This is a simplified implementation
-    // In a real application, you would use proper template engines
-    
-    let content = generateSimpleHtmlContent(template, data, user);
-    
-    // Convert to PDF if needed
-    if (template.configuration.outputFormat === 'pdf') {
-      const buffer = await convertHtmlToPdf(content, template.configuration.pageSettings);
-      return {
-        buffer,
-        mimeType: 'application/pdf'
-      };
-    }
-    
-    // Return as HTML
-    return {
-      buffer: Buffer.from(content, 'utf8'),
-      mimeType: 'text/html'
-    };
-    
+    const template = await loadUsableTemplate(templateId, user);
+    const renderData = await buildRenderData(template, data, user, associatedResource, resourceType, options.verifyAccess);
+    const rendered = await renderTemplateDocument(template, renderData, user, options.outputFormat);
+    return { ...rendered, fileName: `${template.name}-preview.${rendered.extension}` };
   } catch (error) {
-    throw new Error(`Simple document generation failed: ${error.message}`);
+    throw wrapError('Document preview failed', error);
   }
 };
 
 /**
  * Generate simple HTML content from template
+
  * @param {Object} template - Template object
  * @param {Object} data - Data to populate
  * @param {Object} user - User generating document
@@ -255,64 +338,6 @@ const formatFieldValue = (value, fieldType) => {
   }
 };
 
-/**
- * Convert HTML to PDF (simplified implementation)
- * @param {string} html - HTML content
- * @param {Object} pageSettings - Page settings
- * @returns {Buffer} PDF buffer
- */
-const convertHtmlToPdf = async (html, pageSettings) => {
-  // This is a placeholder implementation
-  // In a real application, you would use libraries like puppeteer, html-pdf, or similar
-  
-  try {
-    // For now, return HTML as buffer with PDF mime type
-    // In production, implement actual PDF conversion
-    return Buffer.from(html, 'utf8');
-  } catch (error) {
-    throw new Error(`PDF conversion failed: ${error.message}`);
-  }
-};
-
-/**
- * Generate document using Handlebars template engine
- * @param {Object} template - Template object
- * @param {Object} data - Data to populate
- * @param {Object} user - User generating document
- * @returns {Object} Generated document
- */
-const generateHandlebarsDocument = async (template, data, user) => {
-  // Placeholder for Handlebars implementation
-  // Would require handlebars package: npm install handlebars
-  return generateSimpleDocument(template, data, user);
-};
-
-/**
- * Generate document using Mustache template engine
- * @param {Object} template - Template object
- * @param {Object} data - Data to populate
- * @param {Object} user - User generating document
- * @returns {Object} Generated document
- */
-const generateMustacheDocument = async (template, data, user) => {
-  // Placeholder for Mustache implementation
-  // Would require mustache package: npm install mustache
-  return generateSimpleDocument(template, data, user);
-};
-
-/**
- * Generate document using EJS template engine
- * @param {Object} template - Template object
- * @param {Object} data - Data to populate
- * @param {Object} user - User generating document
- * @returns {Object} Generated document
- */
-const generateEjsDocument = async (template, data, user) => {
-  // Placeholder for EJS implementation
-  // Would require ejs package: npm install ejs
-  return generateSimpleDocument(template, data, user);
-};
-
 /**
  * Get template fields with data pre-filled from resource
  * @param {string} templateId - Template ID
@@ -437,6 +462,7 @@ export const getAvailableTemplates = async (resourceType, user) => {
 
 export default {
   generateDocumentFromTemplate,
+  previewTemplateDocument,
   getTemplateWithPrefilledData,
   getAvailableTemplates
 };
\ No newline at end of file
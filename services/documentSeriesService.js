@@ -0,0 +1,273 @@
+// File: services/documentSeriesService.js
+// Description: Numbering series for tax invoices and payment receipts
+//   (models/documentSeriesModel.js). A series is kept per project and
+//   financial year; a project without one of its own numbers from the
+//   organization-wide series. A new financial year starts at 1 with last
+//   year's format, created when its first number is taken.
+//
+//   issueNumber() takes the next number and stamps it on the document in one
+//   transaction: if stamping fails the counter rolls back, so no number is
+//   skipped, and two documents numbered at once conflict and retry rather
+//   than share a number.
+
+import mongoose from 'mongoose';
+import DocumentSeries, {
+  SERIES_DOCUMENT_TYPES,
+  SERIES_DOCUMENT_TYPE_KEYS,
+  DEFAULT_SERIES_FORMAT,
+  DEFAULT_SERIES_PADDING,
+  formatSeriesNumber,
+} from '../models/documentSeriesModel.js';
+import Project from '../models/projectModel.js';
+import {
+  financialYearOf,
+  DOCUMENT_NUMBER_MAX_LENGTH,
+  DOCUMENT_NUMBER_RE,
+} from '../utils/gst.js';
+import { httpError } from '../utils/httpError.js';
+
+const FORMAT_TOKEN_RE = /\{(PREFIX|FY|FY_SHORT|SEQ)\}/g;
+
+const assertDocumentType = (documentType) => {
+  if (!SERIES_DOCUMENT_TYPE_KEYS.includes(documentType)) {
+    throw httpError(400, `documentType must be one of: ${SERIES_DOCUMENT_TYPE_KEYS.join(', ')}.`);
+  }
+};
+
+const assertFinancialYear = (financialYear) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(financialYear));
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+    throw httpError(400, 'financialYear must look like 2026-27.');
+  }
+};
+
+// The series an organization starts with when nothing is configured
+const defaultSettings = (documentType) => ({
+  prefix: SERIES_DOCUMENT_TYPES[documentType].prefix,
+  format: DEFAULT_SERIES_FORMAT,
+  padding: DEFAULT_SERIES_PADDING,
+});
+
+const settingsOf = (series) => ({ prefix: series.prefix, format: series.format, padding: series.padding });
+
+const describe = (series) => ({
+  ...(typeof series.toObject === 'function' ? series.toObject({ virtuals: true }) : series),
+  issuedCount: Math.max(0, series.lastNumber - (series.startNumber - 1)),
+  nextNumber: formatSeriesNumber(series, series.lastNumber + 1),
+});
+
+/**
+ * Check a prefix/format/padding renders GST-valid numbers: at most 16 letters,
+ * digits, '-' or '/', and unique across financial years.
+ */
+const validateSettings = ({ prefix, format, padding, financialYear }) => {
+  if (!prefix || !/^[A-Z0-9/-]{1,10}$/.test(prefix)) {
+    throw httpError(400, 'prefix must be 1–10 letters, digits, "-" or "/".');
+  }
+  if (!format.includes('{SEQ}')) throw httpError(400, 'format must include {SEQ}.');
+  if (!format.includes('{FY}') && !format.includes('{FY_SHORT}')) {
+    // Numbers restart every April, so the year keeps them unique
+    throw httpError(400, 'format must include {FY} or {FY_SHORT}.');
+  }
+  if (!Number.isInteger(padding) || padding < 1 || padding > 10) {
+    throw httpError(400, 'padding must be a whole number from 1 to 10.');
+  }
+  const literal = format.replace(FORMAT_TOKEN_RE, '');
+  if (literal && !DOCUMENT_NUMBER_RE.test(literal)) {
+    throw httpError(400, 'format may only use letters, digits, "-", "/" and the {PREFIX}, {FY}, {FY_SHORT}, {SEQ} placeholders.');
+  }
+  const longest = formatSeriesNumber({ prefix, format, padding, financialYear }, 10 ** padding - 1);
+  if (longest.length > DOCUMENT_NUMBER_MAX_LENGTH) {
+    throw httpError(400, `Numbers in this format run to ${longest.length} characters (e.g. ${longest}); GST allows at most ${DOCUMENT_NUMBER_MAX_LENGTH}.`);
+  }
+};
+
+// ─── Reading and configuring ───────────────────────────────────────────────
+
+/**
+ * Series for an organization, with the next number each will issue.
+ * @param {Object} params
+ * @param {Object} [params.projectFilter] - projectAccessFilter(req); org-wide series are always included
+ */
+export const listSeries = async ({ organization, project, documentType, financialYear, projectFilter = {} }) => {
+  const filter = { organization };
+  if (documentType) {
+    assertDocumentType(documentType);
+    filter.documentType = documentType;
+  }
+  if (financialYear) filter.financialYear = financialYear;
+  if (project) {
+    filter.project = project === 'organization' ? null : project;
+  }
+  if (projectFilter.project) {
+    filter.$or = [{ project: null }, { project: projectFilter.project }];
+  }
+  const series = await DocumentSeries.find(filter)
+    .populate('project', 'name')
+    .sort({ financialYear: -1, documentType: 1, project: 1 })
+    .lean();
+  return series.map(describe);
+};
+
+/**
+ * Create or change the series for a project (or the organization) in a
+ * financial year. Once a number has been issued the year's format is fixed.
+ * @throws 409 when numbers were already issued in the year, or the numbers
+ *   would collide with another series of the organization
+ */
+export const configureSeries = async ({
+  organization,
+  project = null,
+  documentType,
+  financialYear,
+  prefix,
+  format,
+  padding,
+  startNumber,
+  user,
+  verifyAccess,
+  now = new Date(),
+}) => {
+  assertDocumentType(documentType);
+  const year = financialYear || financialYearOf(now);
+  assertFinancialYear(year);
+
+  if (project) {
+    if (!mongoose.Types.ObjectId.isValid(String(project))) throw httpError(400, 'Invalid project id.');
+    const exists = await Project.findOne({ _id: project, organization }).select('_id').lean();
+    if (!exists) throw httpError(404, 'Project not found.');
+    verifyAccess?.(project);
+  }
+
+  const existing = await DocumentSeries.findOne({ organization, project, documentType, financialYear: year });
+  const base = existing ? settingsOf(existing) : defaultSettings(documentType);
+  const settings = {
+    prefix: prefix !== undefined ? String(prefix).trim().toUpperCase() : base.prefix,
+    format: format !== undefined ? String(format).trim() : base.format,
+    padding: padding !== undefined ? Number(padding) : base.padding,
+    financialYear: year,
+  };
+  const start = startNumber !== undefined ? Number(startNumber) : existing?.startNumber ?? 1;
+  if (!Number.isInteger(start) || start < 1) throw httpError(400, 'startNumber must be a whole number of 1 or more.');
+  validateSettings(settings);
+
+  if (existing && existing.lastNumber >= existing.startNumber) {
+    const changed = settings.prefix !== existing.prefix || settings.format !== existing.format ||
+      settings.padding !== existing.padding || start !== existing.startNumber;
+    if (changed) {
+      throw httpError(409, `${existing.lastNumber - existing.startNumber + 1} number(s) have already been issued in ${year}; the series can be changed from the next financial year.`);
+    }
+  }
+
+  // Another series of the organization printing the same numbers
+  const others = await DocumentSeries.find({
+    organization,
+    documentType,
+    financialYear: year,
+    project: { $ne: project },
+  }).populate('project', 'name').lean();
+  if (project && !others.some((s) => s.project === null)) {
+    // The organization-wide series this year, even if not taken from yet
+    const orgSeries = await DocumentSeries.findOne({ organization, project: null, documentType })
+      .sort({ financialYear: -1 })
+      .lean();
+    others.push({ ...(orgSeries ? settingsOf(orgSeries) : defaultSettings(documentType)), project: null, financialYear: year });
+  }
+  const sample = formatSeriesNumber(settings, start);
+  const clash = others.find((s) => formatSeriesNumber({ ...s, financialYear: year }, start) === sample);
+  if (clash) {
+    const owner = clash.project ? `${clash.project.name || 'another project'}'s` : 'the organization-wide';
+    throw httpError(409, `Numbers like ${sample} are already issued by ${owner} series; choose another prefix.`);
+  }
+
+  const series = existing || new DocumentSeries({
+    organization,
+    project,
+    documentType,
+    financialYear: year,
+    createdBy: user?._id,
+  });
+  series.prefix = settings.prefix;
+  series.format = settings.format;
+  series.padding = settings.padding;
+  if (series.lastNumber < series.startNumber || series.isNew) {
+    series.startNumber = start;
+    series.lastNumber = start - 1;
+  }
+  series.updatedBy = user?._id;
+  await series.save();
+  return describe(series);
+};
+
+// ─── Issuing numbers ───────────────────────────────────────────────────────
+
+// Which series document a number comes from: the project's own for the year,
+// else the project's from an earlier year carried forward, else the
+// organization-wide series (carried forward or defaults).
+const seriesKeyFor = async ({ organization, project, documentType, financialYear, session }) => {
+  const latest = (projectKey) => DocumentSeries.findOne({ organization, project: projectKey, documentType })
+    .sort({ financialYear: -1 })
+    .session(session)
+    .lean();
+
+  if (project) {
+    const own = await latest(project);
+    if (own) return { project, template: own.financialYear === financialYear ? null : own };
+  }
+  const shared = await latest(null);
+  return { project: null, template: shared && shared.financialYear === financialYear ? null : shared };
+};
+
+/**
+ * Take the next number in a series. Only call this inside a transaction that
+ * also stamps the number — use issueNumber().
+ * @returns {Promise<{ series, sequence: number, number: string, financialYear: string }>}
+ */
+export const allocateNumber = async ({ organization, project = null, documentType, date = new Date(), session }) => {
+  assertDocumentType(documentType);
+  const financialYear = financialYearOf(date);
+  const key = await seriesKeyFor({ organization, project, documentType, financialYear, session });
+  const settings = key.template ? settingsOf(key.template) : defaultSettings(documentType);
+
+  const series = await DocumentSeries.findOneAndUpdate(
+    { organization, project: key.project, documentType, financialYear },
+    {
+      $setOnInsert: { ...settings, startNumber: 1 },
+      $inc: { lastNumber: 1 },
+    },
+    { new: true, upsert: true, session }
+  );
+
+  return {
+    series: series._id,
+    sequence: series.lastNumber,
+    number: formatSeriesNumber(series, series.lastNumber),
+    financialYear,
+  };
+};
+
+/**
+ * Number a document. `stamp(allocated, session)` writes the number on the
+ * document in the same transaction and resolves true, or false when the
+ * document turns out to be numbered already — then nothing is taken.
+ * @returns {Promise<Object|null>} the allocated number, or null when not stamped
+ */
+export const issueNumber = async ({ organization, project, documentType, date }, stamp) => {
+  const session = await mongoose.startSession();
+  let issued = null;
+  try {
+    // withTransaction retries on write conflicts between concurrent issuers
+    await session.withTransaction(async () => {
+      issued = null;
+      const allocated = await allocateNumber({ organization, project, documentType, date, session });
+      if (!(await stamp(allocated, session))) {
+        await session.abortTransaction();
+        return;
+      }
+      issued = allocated;
+    });
+    return issued;
+  } finally {
+    await session.endSession();
+  }
+};
@@ -0,0 +1,252 @@
+// File: services/documents/docxRenderer.js
+// Description: Writes document blocks (./htmlBlocks.js) as a Word document
+//   with the docx package. Page size, orientation and margins come from the
+//   template's pageSettings; header and footer lines become real Word
+//   headers / footers, with [[page]] / [[pages]] as page number fields, and
+//   table header rows repeat on every page.
+
+import {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Footer,
+  Header,
+  HeadingLevel,
+  LevelFormat,
+  Packer,
+  PageBreak,
+  PageNumber,
+  PageOrientation,
+  Paragraph,
+  ShadingType,
+  Table,
+  TableCell,
+  TableRow,
+  TextRun,
+  WidthType,
+} from 'docx';
+import { PAGE_SIZES_MM, resolvePageSetup, mmToTwips } from './pageSetup.js';
+import { runsText } from './htmlBlocks.js';
+
+const FONT = 'Calibri';
+// Half-points
+const BODY_SIZE = 21;
+const HEADER_FOOTER_SIZE = 17;
+const ORDERED_LIST = 'ordered-list';
+
+const HEADINGS = {
+  1: HeadingLevel.HEADING_1,
+  2: HeadingLevel.HEADING_2,
+  3: HeadingLevel.HEADING_3,
+  4: HeadingLevel.HEADING_4,
+  5: HeadingLevel.HEADING_5,
+  6: HeadingLevel.HEADING_6,
+};
+
+const ALIGNMENTS = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+  justify: AlignmentType.JUSTIFIED,
+};
+
+// ─── Runs ─────────────────────────────────────────────────────
+
+// '\n' inside a run is a line break within the paragraph. A null size
+// leaves the paragraph style's size (headings).
+const textRuns = (runs, { size = BODY_SIZE, bold = false } = {}) =>
+  runs.flatMap((run) =>
+    run.text.split('\n').map((text, i) =>
+      new TextRun({
+        text,
+        break: i > 0 ? 1 : 0,
+        bold: bold || run.bold,
+        italics: run.italic,
+        underline: run.underline ? {} : undefined,
+        size: size || undefined,
+        font: FONT,
+      })
+    )
+  );
+
+// ─── Blocks ───────────────────────────────────────────────────
+
+const tableFor = (block, contentWidth) => {
+  const count = Math.max(...block.rows.map((row) => row.cells.reduce((sum, c) => sum + c.span, 0)));
+  // Column widths proportional to the longest text in each column
+  const lengths = new Array(count).fill(4);
+  for (const row of block.rows) {
+    let col = 0;
+    for (const cell of row.cells) {
+      if (cell.span === 1 && col < count) {
+        const longest = runsText(cell.runs).split('\n').reduce((max, line) => Math.max(max, line.length), 0);
+        lengths[col] = Math.max(lengths[col], longest);
+      }
+      col += cell.span;
+    }
+  }
+  const total = lengths.reduce((a, b) => a + b, 0);
+  const columnWidths = lengths.map((len) => Math.floor((contentWidth * len) / total));
+
+  let leadingHeader = true;
+  const rows = block.rows.map((row) => {
+    const repeat = leadingHeader && row.header;
+    leadingHeader = repeat;
+    return new TableRow({
+      tableHeader: repeat,
+      cantSplit: true,
+      children: row.cells.map((cell) =>
+        new TableCell({
+          columnSpan: cell.span > 1 ? cell.span : undefined,
+          shading: row.header ? { type: ShadingType.CLEAR, fill: 'F0F0F0', color: 'auto' } : undefined,
+          margins: { top: 60, bottom: 60, left: 80, right: 80 },
+          children: [
+            new Paragraph({
+              alignment: ALIGNMENTS[cell.align],
+              children: textRuns(cell.runs, { bold: row.header }),
+            }),
+          ],
+        })
+      ),
+    });
+  });
+
+  return new Table({
+    width: { size: contentWidth, type: WidthType.DXA },
+    columnWidths,
+    rows,
+  });
+};
+
+const blockChildren = (blocks, contentWidth) => {
+  const children = [];
+  let listInstance = 0;
+  let breakBefore = false;
+
+  // A page break is carried onto the next paragraph so it doesn't leave an
+  // empty paragraph behind at the top of the new page.
+  const paragraph = (options) => {
+    const p = new Paragraph({ ...options, pageBreakBefore: breakBefore || undefined });
+    breakBefore = false;
+    return p;
+  };
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'heading':
+        children.push(paragraph({
+          heading: HEADINGS[block.level],
+          alignment: ALIGNMENTS[block.align],
+          children: textRuns(block.runs, { size: null }),
+        }));
+        break;
+      case 'paragraph':
+        children.push(paragraph({
+          alignment: ALIGNMENTS[block.align],
+          spacing: { after: 120 },
+          children: textRuns(block.runs),
+        }));
+        break;
+      case 'list':
+        listInstance += 1;
+        block.items.forEach((runs) => {
+          children.push(paragraph({
+            ...(block.ordered
+              ? { numbering: { reference: ORDERED_LIST, level: 0, instance: listInstance } }
+              : { bullet: { level: 0 } }),
+            children: textRuns(runs),
+          }));
+        });
+        break;
+      case 'table':
+        if (breakBefore) {
+          children.push(new Paragraph({ children: [new PageBreak()] }));
+          breakBefore = false;
+        }
+        children.push(tableFor(block, contentWidth));
+        // Word needs a paragraph between consecutive tables
+        children.push(new Paragraph({ children: [] }));
+        break;
+      case 'rule':
+        children.push(paragraph({
+          border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '666666', space: 1 } },
+          children: [],
+        }));
+        break;
+      case 'pageBreak':
+        breakBefore = true;
+        break;
+      default:
+        break;
+    }
+  }
+  return children;
+};
+
+// ─── Header / footer ──────────────────────────────────────────
+
+const pageLine = (text) => {
+  const children = text.split(/(\[\[page\]\]|\[\[pages\]\])/).filter(Boolean).map((part) => {
+    if (part === '[[page]]') return new TextRun({ children: [PageNumber.CURRENT], size: HEADER_FOOTER_SIZE, font: FONT, color: '555555' });
+    if (part === '[[pages]]') return new TextRun({ children: [PageNumber.TOTAL_PAGES], size: HEADER_FOOTER_SIZE, font: FONT, color: '555555' });
+    return new TextRun({ text: part, size: HEADER_FOOTER_SIZE, font: FONT, color: '555555' });
+  });
+  return new Paragraph({ alignment: AlignmentType.CENTER, children });
+};
+
+// ─── Entry point ──────────────────────────────────────────────
+
+/**
+ * Render blocks to a .docx file.
+ * @param {Array<Object>} blocks - From htmlToBlocks
+ * @param {Object} options
+ * @param {Object} [options.pageSettings] - DocumentTemplate configuration.pageSettings
+ * @param {string} [options.header] - Header line ([[page]] / [[pages]] tokens)
+ * @param {string} [options.footer] - Footer line
+ * @param {string} [options.title] - Document title property
+ * @returns {Promise<Buffer>}
+ */
+export const renderDocx = async (blocks, { pageSettings, header, footer, title } = {}) => {
+  const setup = resolvePageSetup(pageSettings);
+  const portrait = PAGE_SIZES_MM[setup.format];
+  const margins = {
+    top: mmToTwips(setup.margins.top),
+    right: mmToTwips(setup.margins.right),
+    bottom: mmToTwips(setup.margins.bottom),
+    left: mmToTwips(setup.margins.left),
+  };
+  const contentWidth = mmToTwips(setup.widthMm) - margins.left - margins.right;
+
+  const doc = new Document({
+    title: title || 'Document',
+    styles: { default: { document: { run: { font: FONT, size: BODY_SIZE } } } },
+    numbering: {
+      config: [{
+        reference: ORDERED_LIST,
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }],
+      }],
+    },
+    sections: [{
+      properties: {
+        page: {
+          // docx swaps width and height itself for landscape
+          size: {
+            width: mmToTwips(portrait.width),
+            height: mmToTwips(portrait.height),
+            orientation: setup.orientation === 'landscape' ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT,
+          },
+          margin: {
+            ...margins,
+            header: Math.round(margins.top / 2),
+            footer: Math.round(margins.bottom / 2),
+          },
+        },
+      },
+      headers: header ? { default: new Header({ children: [pageLine(header)] }) } : undefined,
+      footers: footer ? { default: new Footer({ children: [pageLine(footer)] }) } : undefined,
+      children: blockChildren(blocks, contentWidth),
+    }],
+  });
+
+  return Packer.toBuffer(doc);
+};
@@ -0,0 +1,163 @@
+// File: services/documents/financeTemplates.js
+// Description: Built-in Handlebars layouts for tax invoices, payment
+//   receipts and credit and debit notes. An organization replaces any of them
+//   with an active DocumentTemplate whose financeDocument names it. They bind
+//   to the context built by services/financeDocumentService.js: the usual
+//   organization, project, buyer, unit and sale sections plus supplier,
+//   recipient and invoice, receipt or note.
+//
+//   The tax invoice carries the particulars rule 46 of the CGST Rules asks
+//   for: supplier GSTIN, a consecutive number, recipient, place of supply with
+//   state code, SAC per line, taxable value, CGST/SGST or IGST rate and
+//   amount, reverse charge and an authorised signatory. Credit and debit
+//   notes add the original invoice's number and date (rule 53).
+
+const SUPPLIER_RECIPIENT = `
+<table>
+  <tr>
+    <td><b>Supplier</b><br>{{supplier.name}}<br>{{supplier.address}}<br>GSTIN: {{#if supplier.gstin}}{{supplier.gstin}}{{else}}Unregistered{{/if}}<br>State: {{supplier.stateName}}{{#if supplier.stateCode}} ({{supplier.stateCode}}){{/if}}</td>
+    <td><b>Recipient</b><br>{{recipient.name}}{{#if recipient.address}}<br>{{recipient.address}}{{/if}}{{#if recipient.gstin}}<br>GSTIN: {{recipient.gstin}}{{/if}}{{#if recipient.phone}}<br>Phone: {{recipient.phone}}{{/if}}{{#if recipient.email}}<br>Email: {{recipient.email}}{{/if}}</td>
+  </tr>
+</table>`;
+
+// Credit and debit notes share a layout; note.title tells them apart
+const ADJUSTMENT_NOTE = `
+<h1 align="center">{{note.title}}</h1>
+<table>
+  <tr><th>{{note.title}} number</th><td>{{note.number}}</td><th>Date</th><td>{{note.dateFormatted}}</td></tr>
+  <tr><th>Against invoice</th><td>{{note.invoice.number}}</td><th>Invoice date</th><td>{{note.invoice.dateFormatted}}</td></tr>
+  <tr><th>Place of supply</th><td>{{note.placeOfSupply.name}}{{#if note.placeOfSupply.code}} ({{note.placeOfSupply.code}}){{/if}}</td><th>Booking reference</th><td>{{sale.reference}}</td></tr>
+</table>
+${SUPPLIER_RECIPIENT}
+<p>Reason: {{note.reasonLabel}}{{#if note.reasonDetails}} — {{note.reasonDetails}}{{/if}}</p>
+<p>Project: {{project.name}}{{#if project.reraNumber}} (RERA {{project.reraNumber}}){{/if}} · Unit {{unit.number}}{{#if unit.tower}}, {{unit.tower}}{{/if}}</p>
+<table>
+  <thead>
+    {{#if note.isInterState}}
+    <tr><th>#</th><th>Description</th><th>SAC</th><th align="right">Value</th><th align="right">IGST %</th><th align="right">IGST</th><th align="right">Total</th></tr>
+    {{else}}
+    <tr><th>#</th><th>Description</th><th>SAC</th><th align="right">Value</th><th align="right">CGST %</th><th align="right">CGST</th><th align="right">SGST %</th><th align="right">SGST</th><th align="right">Total</th></tr>
+    {{/if}}
+  </thead>
+  <tbody>
+    {{#each note.lines}}
+    {{#if ../note.isInterState}}
+    <tr><td>{{number}}</td><td>{{description}}</td><td>{{hsnSacCode}}</td><td align="right">{{amountFormatted}}</td><td align="right">{{igstRate}}</td><td align="right">{{igstAmountFormatted}}</td><td align="right">{{totalFormatted}}</td></tr>
+    {{else}}
+    <tr><td>{{number}}</td><td>{{description}}</td><td>{{hsnSacCode}}</td><td align="right">{{amountFormatted}}</td><td align="right">{{cgstRate}}</td><td align="right">{{cgstAmountFormatted}}</td><td align="right">{{sgstRate}}</td><td align="right">{{sgstAmountFormatted}}</td><td align="right">{{totalFormatted}}</td></tr>
+    {{/if}}
+    {{/each}}
+  </tbody>
+</table>
+<table>
+  <tr><td>Value before tax</td><td align="right">{{note.totals.subtotalFormatted}}</td></tr>
+  {{#if note.isInterState}}
+  <tr><td>IGST</td><td align="right">{{note.totals.igstAmountFormatted}}</td></tr>
+  {{else}}
+  <tr><td>CGST</td><td align="right">{{note.totals.cgstAmountFormatted}}</td></tr>
+  <tr><td>SGST</td><td align="right">{{note.totals.sgstAmountFormatted}}</td></tr>
+  {{/if}}
+  <tr><td><b>{{note.title}} total</b></td><td align="right"><b>{{note.totals.totalAmountFormatted}}</b></td></tr>
+</table>
+<p>Amount in words: <b>{{note.amountInWords}}</b></p>
+<p>Invoice {{note.invoice.number}} now stands at {{note.invoice.netAmountFormatted}}{{#if note.invoice.pendingAmount}}, of which {{note.invoice.pendingAmountFormatted}} is due{{/if}}{{#if note.invoice.refundDue}}; {{note.invoice.refundDueFormatted}} received in excess will be refunded{{/if}}.</p>
+<p>&nbsp;</p>
+<p align="right">For {{supplier.name}}<br><br><br>Authorised signatory</p>`;
+
+export const FINANCE_TEMPLATES = {
+  tax_invoice: `
+<h1 align="center">{{invoice.title}}</h1>
+<table>
+  <tr><th>Invoice number</th><td>{{invoice.number}}</td><th>Invoice date</th><td>{{invoice.dateFormatted}}</td></tr>
+  <tr><th>Place of supply</th><td>{{invoice.placeOfSupply.name}}{{#if invoice.placeOfSupply.code}} ({{invoice.placeOfSupply.code}}){{/if}}</td><th>Due date</th><td>{{invoice.dueDateFormatted}}</td></tr>
+  <tr><th>Reverse charge</th><td>{{#if invoice.reverseCharge}}Yes{{else}}No{{/if}}</td><th>Booking reference</th><td>{{sale.reference}}</td></tr>
+</table>
+${SUPPLIER_RECIPIENT}
+<p>Project: {{project.name}}{{#if project.reraNumber}} (RERA {{project.reraNumber}}){{/if}} · Unit {{unit.number}}{{#if unit.tower}}, {{unit.tower}}{{/if}}</p>
+<table>
+  <thead>
+    {{#if invoice.isInterState}}
+    <tr><th>#</th><th>Description</th><th>SAC</th><th align="right">Taxable value</th><th align="right">IGST %</th><th align="right">IGST</th><th align="right">Total</th></tr>
+    {{else}}
+    <tr><th>#</th><th>Description</th><th>SAC</th><th align="right">Taxable value</th><th align="right">CGST %</th><th align="right">CGST</th><th align="right">SGST %</th><th align="right">SGST</th><th align="right">Total</th></tr>
+    {{/if}}
+  </thead>
+  <tbody>
+    {{#each invoice.lines}}
+    {{#if ../invoice.isInterState}}
+    <tr><td>{{number}}</td><td>{{description}}</td><td>{{hsnSacCode}}</td><td align="right">{{taxableValueFormatted}}</td><td align="right">{{igstRate}}</td><td align="right">{{igstAmountFormatted}}</td><td align="right">{{totalFormatted}}</td></tr>
+    {{else}}
+    <tr><td>{{number}}</td><td>{{description}}</td><td>{{hsnSacCode}}</td><td align="right">{{taxableValueFormatted}}</td><td align="right">{{cgstRate}}</td><td align="right">{{cgstAmountFormatted}}</td><td align="right">{{sgstRate}}</td><td align="right">{{sgstAmountFormatted}}</td><td align="right">{{totalFormatted}}</td></tr>
+    {{/if}}
+    {{/each}}
+  </tbody>
+</table>
+<h3>Tax summary</h3>
+<table>
+  <thead>
+    <tr><th>SAC</th><th align="right">GST %</th><th align="right">Taxable value</th>{{#if invoice.isInterState}}<th align="right">IGST</th>{{else}}<th align="right">CGST</th><th align="right">SGST</th>{{/if}}<th align="right">Total tax</th></tr>
+  </thead>
+  <tbody>
+    {{#each invoice.hsnSummary}}
+    <tr><td>{{hsnSacCode}}</td><td align="right">{{gstRate}}</td><td align="right">{{taxableValueFormatted}}</td>{{#if ../invoice.isInterState}}<td align="right">{{igstAmountFormatted}}</td>{{else}}<td align="right">{{cgstAmountFormatted}}</td><td align="right">{{sgstAmountFormatted}}</td>{{/if}}<td align="right">{{totalTaxFormatted}}</td></tr>
+    {{/each}}
+  </tbody>
+</table>
+<table>
+  <tr><td>Value before tax</td><td align="right">{{invoice.totals.subtotalFormatted}}</td></tr>
+  {{#if invoice.isInterState}}
+  <tr><td>IGST</td><td align="right">{{invoice.totals.igstAmountFormatted}}</td></tr>
+  {{else}}
+  <tr><td>CGST</td><td align="right">{{invoice.totals.cgstAmountFormatted}}</td></tr>
+  <tr><td>SGST</td><td align="right">{{invoice.totals.sgstAmountFormatted}}</td></tr>
+  {{/if}}
+  <tr><td><b>Invoice total</b></td><td align="right"><b>{{invoice.totals.totalAmountFormatted}}</b></td></tr>
+  {{#if invoice.totals.paid}}
+  <tr><td>Received</td><td align="right">{{invoice.totals.paidFormatted}}</td></tr>
+  <tr><td><b>Balance due</b></td><td align="right"><b>{{invoice.totals.pendingFormatted}}</b></td></tr>
+  {{/if}}
+</table>
+<p>Amount in words: <b>{{invoice.amountInWords}}</b></p>
+{{#if invoice.customerNotes}}<p>{{invoice.customerNotes}}</p>{{/if}}
+{{#if invoice.paymentInstructions}}<p>{{invoice.paymentInstructions}}</p>{{/if}}
+<p>&nbsp;</p>
+<p align="right">For {{supplier.name}}<br><br><br>Authorised signatory</p>`,
+
+  receipt: `
+<h1 align="center">Payment Receipt</h1>
+<table>
+  <tr><th>Receipt number</th><td>{{receipt.number}}</td><th>Receipt date</th><td>{{receipt.dateFormatted}}</td></tr>
+  <tr><th>Received from</th><td>{{recipient.name}}</td><th>Booking reference</th><td>{{sale.reference}}</td></tr>
+  <tr><th>Project</th><td>{{project.name}}</td><th>Unit</th><td>{{unit.number}}{{#if unit.tower}}, {{unit.tower}}{{/if}}</td></tr>
+</table>
+<p>Received with thanks from {{recipient.name}} the sum of <b>{{receipt.amountFormatted}}</b> ({{receipt.amountInWords}}) by {{receipt.paymentMethodLabel}}{{#if receipt.reference}}, reference {{receipt.reference}}{{/if}}, dated {{receipt.paymentDateFormatted}}{{#if receipt.invoiceNumber}}, against invoice {{receipt.invoiceNumber}}{{/if}}.</p>
+{{#if receipt.allocations.length}}
+<table>
+  <thead><tr><th>Towards</th><th align="right">Amount</th></tr></thead>
+  <tbody>
+    {{#each receipt.allocations}}
+    <tr><td>{{description}}</td><td align="right">{{amountFormatted}}</td></tr>
+    {{/each}}
+  </tbody>
+</table>
+{{/if}}
+{{#if receipt.subjectToRealisation}}<p><i>This receipt is subject to realisation of the {{receipt.paymentMethodLabel}}.</i></p>{{/if}}
+<p>Supplier GSTIN: {{#if supplier.gstin}}{{supplier.gstin}}{{else}}Unregistered{{/if}}{{#if receipt.transactionNumber}} · Transaction {{receipt.transactionNumber}}{{/if}}</p>
+<p>&nbsp;</p>
+<p align="right">For {{supplier.name}}<br><br><br>Authorised signatory</p>`,
+
+  credit_note: ADJUSTMENT_NOTE,
+  debit_note: ADJUSTMENT_NOTE,
+};
+
+export const FINANCE_DOCUMENT_CONFIGURATION = {
+  outputFormat: 'pdf',
+  engine: 'handlebars',
+  pageSettings: { format: 'A4', orientation: 'portrait', margins: { top: 18, right: 15, bottom: 18, left: 15 } },
+  headerFooter: {
+    includeHeader: true,
+    headerTemplate: '{{supplier.name}}{{#if supplier.gstin}} — GSTIN {{supplier.gstin}}{{/if}}',
+    includeFooter: true,
+    footerTemplate: '{{documentNumber}} · Page [[page]] of [[pages]]',
+  },
+};
@@ -0,0 +1,223 @@
+// File: services/documents/htmlBlocks.js
+// Description: Turns rendered template HTML into the small block model the
+//   PDF and DOCX renderers draw. Templates are documents, not web pages, so
+//   only document structure is kept:
+//     { type: 'heading', level, runs, align }
+//     { type: 'paragraph', runs, align }
+//     { type: 'list', ordered, items: [runs] }
+//     { type: 'table', rows: [{ header, cells: [{ runs, align, span }] }] }
+//     { type: 'rule' }  { type: 'pageBreak' }
+//   A run is { text, bold, italic, underline }; <br> becomes '\n'. Alignment
+//   comes from align="" or text-align; a page break from
+//   page-break-before/after (or break-before/after) or class="page-break".
+
+import { parseDocument } from 'htmlparser2';
+
+const SKIPPED_TAGS = new Set(['head', 'style', 'script', 'title', 'img', 'svg']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+const CONTAINER_TAGS = new Set([
+  'html', 'body', 'div', 'section', 'article', 'header', 'footer', 'main',
+  'aside', 'nav', 'blockquote', 'p', 'pre', 'address', 'figure', 'center',
+]);
+const BOLD_TAGS = new Set(['b', 'strong', 'th']);
+const ITALIC_TAGS = new Set(['i', 'em']);
+const UNDERLINE_TAGS = new Set(['u', 'ins']);
+const ALIGNMENTS = new Set(['left', 'center', 'right', 'justify']);
+
+// ─── Attribute helpers ────────────────────────────────────────
+
+const parseStyle = (style = '') =>
+  Object.fromEntries(
+    style
+      .split(';')
+      .map((rule) => rule.split(':').map((part) => part.trim().toLowerCase()))
+      .filter(([name, value]) => name && value)
+  );
+
+const alignmentOf = (node, inherited) => {
+  const attr = node.attribs?.align?.toLowerCase();
+  const style = parseStyle(node.attribs?.style)['text-align'];
+  if (ALIGNMENTS.has(style)) return style;
+  if (ALIGNMENTS.has(attr)) return attr;
+  return node.name === 'center' ? 'center' : inherited;
+};
+
+const breaks = (node, edge) => {
+  const style = parseStyle(node.attribs?.style);
+  const classes = (node.attribs?.class || '').split(/\s+/);
+  if (edge === 'before' && classes.includes('page-break')) return true;
+  return style[`page-break-${edge}`] === 'always' || style[`break-${edge}`] === 'page';
+};
+
+const marksFor = (node, marks) => {
+  const style = parseStyle(node.attribs?.style);
+  const weight = style['font-weight'];
+  return {
+    bold: marks.bold || BOLD_TAGS.has(node.name) || weight === 'bold' || Number(weight) >= 600,
+    italic: marks.italic || ITALIC_TAGS.has(node.name) || style['font-style'] === 'italic',
+    underline: marks.underline || UNDERLINE_TAGS.has(node.name) || /underline/.test(style['text-decoration'] || ''),
+  };
+};
+
+// ─── Runs ─────────────────────────────────────────────────────
+
+const NO_MARKS = { bold: false, italic: false, underline: false };
+
+/**
+ * Collect the inline text under nodes. Nested block elements are flattened
+ * into line breaks so nothing a template renders is silently lost.
+ */
+const collectRuns = (nodes, marks, runs = []) => {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      const text = node.data.replace(/\s+/g, ' ');
+      if (text) runs.push({ text, ...marks });
+    } else if (node.type === 'tag' || node.type === 'script' || node.type === 'style') {
+      if (SKIPPED_TAGS.has(node.name)) continue;
+      if (node.name === 'br') {
+        runs.push({ text: '\n', ...marks });
+        continue;
+      }
+      const isBlock = CONTAINER_TAGS.has(node.name) || HEADING_TAGS.has(node.name) || node.name === 'li' || node.name === 'tr';
+      if (isBlock && runs.length) runs.push({ text: '\n', ...marks });
+      collectRuns(node.children || [], marksFor(node, marks), runs);
+      if (node.name === 'td' || node.name === 'th') runs.push({ text: ' ', ...marks });
+    }
+  }
+  return runs;
+};
+
+/**
+ * Collapse whitespace across run boundaries and trim the ends, HTML-style.
+ * Returns [] when nothing but whitespace is left.
+ */
+export const normalizeRuns = (runs) => {
+  const out = [];
+  let lastChar = '\n';
+  for (const run of runs) {
+    let text = run.text;
+    if (text === '\n') {
+      if (!out.length) continue;
+      out[out.length - 1].text = out[out.length - 1].text.replace(/ +$/, '');
+    } else if (lastChar === ' ' || lastChar === '\n') {
+      text = text.replace(/^ +/, '');
+    }
+    if (!text) continue;
+    const prev = out[out.length - 1];
+    if (prev && prev.bold === run.bold && prev.italic === run.italic && prev.underline === run.underline) {
+      prev.text += text;
+    } else {
+      out.push({ ...run, text });
+    }
+    lastChar = text[text.length - 1];
+  }
+  // Drop trailing breaks and spaces
+  while (out.length) {
+    const last = out[out.length - 1];
+    last.text = last.text.replace(/[\s]+$/, '');
+    if (last.text) break;
+    out.pop();
+  }
+  return out;
+};
+
+// ─── Blocks ───────────────────────────────────────────────────
+
+const tableRows = (node, inHead = false, rows = []) => {
+  for (const child of node.children || []) {
+    if (child.type !== 'tag') continue;
+    if (child.name === 'tr') {
+      const cells = (child.children || [])
+        .filter((c) => c.type === 'tag' && (c.name === 'td' || c.name === 'th'))
+        .map((cell) => ({
+          runs: normalizeRuns(collectRuns(cell.children || [], marksFor(cell, NO_MARKS))),
+          align: alignmentOf(cell, alignmentOf(child, null)),
+          span: Math.max(1, parseInt(cell.attribs?.colspan, 10) || 1),
+        }));
+      if (cells.length) {
+        const header = inHead || (child.children || []).every((c) => c.type !== 'tag' || c.name === 'th');
+        rows.push({ header, cells });
+      }
+    } else if (['thead', 'tbody', 'tfoot'].includes(child.name)) {
+      tableRows(child, child.name === 'thead', rows);
+    }
+  }
+  return rows;
+};
+
+const walk = (nodes, state) => {
+  const { blocks } = state;
+  let pending = [];
+
+  const flush = () => {
+    const runs = normalizeRuns(pending);
+    if (runs.length) blocks.push({ type: 'paragraph', runs, align: state.align });
+    pending = [];
+  };
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      collectRuns([node], state.marks, pending);
+      continue;
+    }
+    if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') continue;
+    if (SKIPPED_TAGS.has(node.name)) continue;
+
+    const blockLevel =
+      CONTAINER_TAGS.has(node.name) || HEADING_TAGS.has(node.name) ||
+      ['ul', 'ol', 'table', 'hr', 'li'].includes(node.name);
+
+    if (!blockLevel) {
+      if (breaks(node, 'before')) {
+        flush();
+        blocks.push({ type: 'pageBreak' });
+      }
+      collectRuns([node], state.marks, pending);
+      continue;
+    }
+
+    flush();
+    if (breaks(node, 'before')) blocks.push({ type: 'pageBreak' });
+    const align = alignmentOf(node, state.align);
+
+    if (HEADING_TAGS.has(node.name)) {
+      const runs = normalizeRuns(collectRuns(node.children || [], { ...marksFor(node, state.marks), bold: true }));
+      if (runs.length) blocks.push({ type: 'heading', level: Number(node.name[1]), runs, align });
+    } else if (node.name === 'ul' || node.name === 'ol') {
+      const items = (node.children || [])
+        .filter((c) => c.type === 'tag' && c.name === 'li')
+        .map((li) => normalizeRuns(collectRuns(li.children || [], marksFor(li, state.marks))))
+        .filter((runs) => runs.length);
+      if (items.length) blocks.push({ type: 'list', ordered: node.name === 'ol', items });
+    } else if (node.name === 'table') {
+      const rows = tableRows(node);
+      if (rows.length) blocks.push({ type: 'table', rows });
+    } else if (node.name === 'hr') {
+      blocks.push({ type: 'rule' });
+    } else {
+      walk(node.children || [], { blocks, align, marks: marksFor(node, state.marks) });
+    }
+
+    if (breaks(node, 'after')) blocks.push({ type: 'pageBreak' });
+  }
+  flush();
+  return blocks;
+};
+
+/**
+ * Parse rendered HTML into document blocks. Leading and trailing page
+ * breaks are dropped; so are repeated ones.
+ * @param {string} html
+ * @returns {Array<Object>} blocks
+ */
+export const htmlToBlocks = (html) => {
+  const dom = parseDocument(html || '', { decodeEntities: true, lowerCaseTags: true });
+  const blocks = walk(dom.children, { blocks: [], align: null, marks: NO_MARKS });
+  return blocks.filter((block, i) =>
+    block.type !== 'pageBreak' ||
+    (i > 0 && i < blocks.length - 1 && blocks[i - 1].type !== 'pageBreak')
+  );
+};
+
+/** Plain text of a run list, e.g. for a header line or a table width estimate. */
+export const runsText = (runs) => runs.map((run) => run.text).join('');
@@ -0,0 +1,44 @@
+// File: services/documents/pageSetup.js
+// Description: DocumentTemplate pageSettings → page geometry. Sizes and
+//   margins are configured in millimetres; the PDF renderer works in points
+//   and the DOCX renderer in twips.
+
+export const PAGE_SIZES_MM = {
+  A4: { width: 210, height: 297 },
+  A3: { width: 297, height: 420 },
+  Letter: { width: 215.9, height: 279.4 },
+  Legal: { width: 215.9, height: 355.6 },
+};
+
+const DEFAULT_MARGIN_MM = 20;
+
+export const mmToPoints = (mm) => (mm * 72) / 25.4;
+export const mmToTwips = (mm) => Math.round((mm * 1440) / 25.4);
+
+const marginMm = (value) =>
+  typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : DEFAULT_MARGIN_MM;
+
+/**
+ * Normalize pageSettings: unknown formats fall back to A4, landscape swaps
+ * width and height, missing margins default to 20mm.
+ * @returns {{ format, orientation, widthMm, heightMm, margins: { top, right, bottom, left } }}
+ */
+export const resolvePageSetup = (pageSettings = {}) => {
+  const format = PAGE_SIZES_MM[pageSettings.format] ? pageSettings.format : 'A4';
+  const orientation = pageSettings.orientation === 'landscape' ? 'landscape' : 'portrait';
+  const { width, height } = PAGE_SIZES_MM[format];
+  const margins = pageSettings.margins || {};
+
+  return {
+    format,
+    orientation,
+    widthMm: orientation === 'landscape' ? height : width,
+    heightMm: orientation === 'landscape' ? width : height,
+    margins: {
+      top: marginMm(margins.top),
+      right: marginMm(margins.right),
+      bottom: marginMm(margins.bottom),
+      left: marginMm(margins.left),
+    },
+  };
+};
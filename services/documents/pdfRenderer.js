@@ -0,0 +1,317 @@
+// File: services/documents/pdfRenderer.js
+// Description: Draws document blocks (./htmlBlocks.js) into a PDF with
+//   pdfkit — no browser, no network. Page size, orientation and margins come
+//   from the template's pageSettings; tables size their columns to their
+//   content and repeat header rows on every page they run onto; header and
+//   footer lines are drawn on each page once the content is laid out, with
+//   [[page]] / [[pages]] replaced by the page number and count.
+//
+//   The built-in PDF fonts only cover Latin-1, so the rupee sign prints as
+//   "Rs." unless DOCUMENT_PDF_FONT_PATH (and optionally
+//   DOCUMENT_PDF_BOLD_FONT_PATH) point to a TrueType font that has it.
+
+import PDFDocument from 'pdfkit';
+import { resolvePageSetup, mmToPoints } from './pageSetup.js';
+import { runsText } from './htmlBlocks.js';
+
+const BODY_SIZE = 10.5;
+const HEADING_SIZES = { 1: 18, 2: 15, 3: 13, 4: 11.5, 5: 11, 6: 10.5 };
+const LIST_INDENT = 18;
+const CELL_PADDING = 4;
+const MIN_COLUMN_WIDTH = 36;
+const BLOCK_GAP = 6;
+const HEADER_FOOTER_SIZE = 8.5;
+
+// ─── Fonts ────────────────────────────────────────────────────
+
+const STANDARD_FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique',
+};
+
+// Windows-1252 characters outside Latin-1 that the standard fonts can draw.
+const CP1252_EXTRAS = new Set('€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ');
+
+/** Text safe for the built-in fonts: ₹ → "Rs.", anything else unprintable → "?". */
+export const toStandardFontText = (text) =>
+  text
+    .replace(/₹\s?/g, 'Rs. ')
+    .replace(/[^\n\x20-\x7e\xa0-\xff]/g, (ch) => (CP1252_EXTRAS.has(ch) ? ch : '?'));
+
+const setupFonts = (doc) => {
+  const regularPath = process.env.DOCUMENT_PDF_FONT_PATH;
+  if (!regularPath) {
+    return { fonts: STANDARD_FONTS, clean: toStandardFontText };
+  }
+  // A custom font has no oblique face here; italics print upright.
+  doc.registerFont('Body', regularPath);
+  doc.registerFont('Body-Bold', process.env.DOCUMENT_PDF_BOLD_FONT_PATH || regularPath);
+  return {
+    fonts: { regular: 'Body', bold: 'Body-Bold', italic: 'Body', boldItalic: 'Body-Bold' },
+    clean: (text) => text,
+  };
+};
+
+const fontFor = (fonts, run) => {
+  if (run.bold && run.italic) return fonts.boldItalic;
+  if (run.bold) return fonts.bold;
+  if (run.italic) return fonts.italic;
+  return fonts.regular;
+};
+
+// ─── Drawing helpers ──────────────────────────────────────────
+
+/**
+ * Write runs as one flowing paragraph starting at (x, y). pdfkit chains
+ * differently styled runs with `continued`.
+ */
+const writeRuns = (ctx, runs, x, y, { width, align, size }) => {
+  const { doc, fonts, clean } = ctx;
+  doc.fontSize(size);
+  runs.forEach((run, i) => {
+    doc.font(fontFor(fonts, run));
+    const options = {
+      continued: i < runs.length - 1,
+      underline: run.underline,
+      lineGap: 1.5,
+    };
+    if (i === 0) {
+      doc.text(clean(run.text), x, y, { ...options, width, align: align || 'left' });
+    } else {
+      doc.text(clean(run.text), options);
+    }
+  });
+};
+
+const runsHeight = (ctx, runs, width, size) => {
+  const { doc, fonts, clean } = ctx;
+  const bold = runs.length > 0 && runs.every((run) => run.bold);
+  doc.font(bold ? fonts.bold : fonts.regular).fontSize(size);
+  return doc.heightOfString(clean(runsText(runs)) || ' ', { width, lineGap: 1.5 });
+};
+
+const ensureSpace = (ctx, height) => {
+  const { doc } = ctx;
+  if (doc.y + height > ctx.bottom && doc.y > ctx.top) {
+    doc.addPage();
+    return true;
+  }
+  return false;
+};
+
+// ─── Tables ───────────────────────────────────────────────────
+
+const columnWidths = (ctx, rows) => {
+  const { doc, fonts, clean, contentWidth } = ctx;
+  const count = Math.max(...rows.map((row) => row.cells.reduce((sum, c) => sum + c.span, 0)));
+  const natural = new Array(count).fill(MIN_COLUMN_WIDTH);
+
+  doc.fontSize(BODY_SIZE);
+  for (const row of rows) {
+    let col = 0;
+    for (const cell of row.cells) {
+      if (cell.span === 1 && col < count) {
+        doc.font(row.header ? fonts.bold : fonts.regular);
+        const longestLine = clean(runsText(cell.runs))
+          .split('\n')
+          .reduce((max, line) => Math.max(max, doc.widthOfString(line)), 0);
+        natural[col] = Math.max(natural[col], longestLine + CELL_PADDING * 2);
+      }
+      col += cell.span;
+    }
+  }
+
+  const total = natural.reduce((a, b) => a + b, 0);
+  if (total <= contentWidth) {
+    // Spread the spare width so the table spans the page
+    return natural.map((w) => w + (contentWidth - total) / count);
+  }
+  // Too wide: shrink proportionally, but never below the minimum
+  const scale = contentWidth / total;
+  return natural.map((w) => Math.max(MIN_COLUMN_WIDTH, w * scale));
+};
+
+const drawTable = (ctx, block) => {
+  const { doc, left } = ctx;
+  const widths = columnWidths(ctx, block.rows);
+  const headerRows = [];
+  for (const row of block.rows) {
+    if (!row.header) break;
+    headerRows.push(row);
+  }
+
+  const rowLayout = (row) => {
+    let col = 0;
+    const cells = row.cells.map((cell) => {
+      const width = widths.slice(col, col + cell.span).reduce((a, b) => a + b, 0);
+      const x = left + widths.slice(0, col).reduce((a, b) => a + b, 0);
+      col += cell.span;
+      const runs = row.header ? cell.runs.map((run) => ({ ...run, bold: true })) : cell.runs;
+      return { ...cell, runs, x, width };
+    });
+    const height = Math.max(
+      ...cells.map((c) => runsHeight(ctx, c.runs, c.width - CELL_PADDING * 2, BODY_SIZE))
+    ) + CELL_PADDING * 2;
+    return { row, cells, height };
+  };
+
+  const drawRow = ({ row, cells, height }) => {
+    const y = doc.y;
+    for (const cell of cells) {
+      if (row.header) {
+        doc.save().rect(cell.x, y, cell.width, height).fill('#f0f0f0').restore();
+      }
+      doc.save().lineWidth(0.5).strokeColor('#999999').rect(cell.x, y, cell.width, height).stroke().restore();
+      if (cell.runs.length) {
+        writeRuns(ctx, cell.runs, cell.x + CELL_PADDING, y + CELL_PADDING, {
+          width: cell.width - CELL_PADDING * 2,
+          align: cell.align,
+          size: BODY_SIZE,
+        });
+      }
+    }
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  const headerLayouts = headerRows.map(rowLayout);
+  block.rows.forEach((row, index) => {
+    const layout = rowLayout(row);
+    if (ensureSpace(ctx, layout.height) && index >= headerRows.length) {
+      headerLayouts.forEach(drawRow);
+    }
+    drawRow(layout);
+  });
+};
+
+// ─── Blocks ───────────────────────────────────────────────────
+
+const drawBlock = (ctx, block) => {
+  const { doc, left, contentWidth } = ctx;
+
+  switch (block.type) {
+    case 'heading': {
+      const size = HEADING_SIZES[block.level] || BODY_SIZE;
+      // Keep a heading with at least a line of what follows it
+      ensureSpace(ctx, runsHeight(ctx, block.runs, contentWidth, size) + BODY_SIZE * 2);
+      doc.moveDown(0.3);
+      writeRuns(ctx, block.runs, left, doc.y, { width: contentWidth, align: block.align, size });
+      break;
+    }
+    case 'paragraph':
+      ensureSpace(ctx, Math.min(runsHeight(ctx, block.runs, contentWidth, BODY_SIZE), BODY_SIZE * 3));
+      writeRuns(ctx, block.runs, left, doc.y, { width: contentWidth, align: block.align, size: BODY_SIZE });
+      break;
+    case 'list':
+      block.items.forEach((runs, i) => {
+        const marker = block.ordered ? `${i + 1}.` : '•';
+        ensureSpace(ctx, runsHeight(ctx, runs, contentWidth - LIST_INDENT, BODY_SIZE));
+        const y = doc.y;
+        doc.font(ctx.fonts.regular).fontSize(BODY_SIZE).text(marker, left, y, { width: LIST_INDENT });
+        writeRuns(ctx, runs, left + LIST_INDENT, y, { width: contentWidth - LIST_INDENT, size: BODY_SIZE });
+        doc.moveDown(0.2);
+      });
+      break;
+    case 'table':
+      drawTable(ctx, block);
+      break;
+    case 'rule': {
+      ensureSpace(ctx, BLOCK_GAP * 2);
+      const y = doc.y + BLOCK_GAP / 2;
+      doc.save().lineWidth(0.75).strokeColor('#666666')
+        .moveTo(left, y).lineTo(left + contentWidth, y).stroke().restore();
+      doc.y = y;
+      break;
+    }
+    case 'pageBreak':
+      doc.addPage();
+      return;
+    default:
+      return;
+  }
+  doc.x = left;
+  doc.y += BLOCK_GAP;
+};
+
+// ─── Header / footer ──────────────────────────────────────────
+
+const fillPageTokens = (text, page, pages) =>
+  text.replace(/\[\[page\]\]/g, String(page)).replace(/\[\[pages\]\]/g, String(pages));
+
+const drawHeaderFooter = (ctx, { header, footer }) => {
+  const { doc, left, contentWidth, setup } = ctx;
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start; i < start + count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the margins would otherwise make pdfkit add a page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(ctx.fonts.regular).fontSize(HEADER_FOOTER_SIZE).fillColor('#555555');
+    if (header) {
+      const y = Math.max(mmToPoints(setup.margins.top) / 2 - HEADER_FOOTER_SIZE / 2, 4);
+      doc.text(ctx.clean(fillPageTokens(header, i + 1, count)), left, y, { width: contentWidth, align: 'center', lineBreak: false });
+    }
+    if (footer) {
+      const y = doc.page.height - Math.max(mmToPoints(setup.margins.bottom) / 2 + HEADER_FOOTER_SIZE / 2, HEADER_FOOTER_SIZE + 4);
+      doc.text(ctx.clean(fillPageTokens(footer, i + 1, count)), left, y, { width: contentWidth, align: 'center', lineBreak: false });
+    }
+    doc.fillColor('black');
+    doc.page.margins.bottom = bottom;
+  }
+};
+
+// ─── Entry point ──────────────────────────────────────────────
+
+/**
+ * Render blocks to a PDF.
+ * @param {Array<Object>} blocks - From htmlToBlocks
+ * @param {Object} options
+ * @param {Object} [options.pageSettings] - DocumentTemplate configuration.pageSettings
+ * @param {string} [options.header] - Header line (plain text, [[page]] / [[pages]] tokens)
+ * @param {string} [options.footer] - Footer line
+ * @param {string} [options.title] - PDF document title
+ * @returns {Promise<Buffer>}
+ */
+export const renderPdf = (blocks, { pageSettings, header, footer, title } = {}) =>
+  new Promise((resolve, reject) => {
+    const setup = resolvePageSetup(pageSettings);
+    const margins = {
+      top: mmToPoints(setup.margins.top),
+      right: mmToPoints(setup.margins.right),
+      bottom: mmToPoints(setup.margins.bottom),
+      left: mmToPoints(setup.margins.left),
+    };
+    const doc = new PDFDocument({
+      size: [mmToPoints(setup.widthMm), mmToPoints(setup.heightMm)],
+      margins,
+      bufferPages: true,
+      info: { Title: title || 'Document' },
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      const ctx = {
+        doc,
+        setup,
+        ...setupFonts(doc),
+        left: margins.left,
+        top: margins.top,
+        contentWidth: doc.page.width - margins.left - margins.right,
+        get bottom() {
+          return doc.page.height - margins.bottom;
+        },
+      };
+      doc.font(ctx.fonts.regular).fontSize(BODY_SIZE);
+      blocks.forEach((block) => drawBlock(ctx, block));
+      if (header || footer) drawHeaderFooter(ctx, { header, footer });
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
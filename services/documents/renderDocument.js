@@ -0,0 +1,103 @@
+// File: services/documents/renderDocument.js
+// Description: Template source + data → finished file. The template is
+//   rendered to HTML by its engine, then written out as HTML, or parsed into
+//   blocks and drawn as PDF or DOCX. Everything runs in-process, offline.
+//   Used by documentGenerationService for DocumentTemplates and by anything
+//   else that produces documents from markup.
+
+import { renderTemplate } from './templateEngines.js';
+import { htmlToBlocks, runsText } from './htmlBlocks.js';
+import { renderPdf } from './pdfRenderer.js';
+import { renderDocx } from './docxRenderer.js';
+import { resolvePageSetup } from './pageSetup.js';
+
+export const OUTPUT_FORMATS = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  html: { mimeType: 'text/html', extension: 'html' },
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+
+// Header / footer templates render to one line of plain text
+const renderLine = (source, engine, data) => {
+  if (!source) return '';
+  return htmlToBlocks(renderTemplate(source, engine, data))
+    .map((block) => (block.runs ? runsText(block.runs) : ''))
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s*\n\s*/g, ' ');
+};
+
+// HTML output keeps the template's markup; a fragment gets a page wrapper
+// with the page size and margins as @page rules for printing.
+const htmlDocument = (html, { pageSettings, title }) => {
+  if (/<html[\s>]/i.test(html)) return html;
+  const { format, orientation, margins } = resolvePageSetup(pageSettings);
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title || 'Document')}</title>
+<style>
+  @page { size: ${format} ${orientation}; margin: ${margins.top}mm ${margins.right}mm ${margins.bottom}mm ${margins.left}mm; }
+  body { font-family: Arial, sans-serif; font-size: 10.5pt; line-height: 1.4; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #999; padding: 4px; }
+  .page-break { page-break-before: always; }
+</style>
+</head>
+<body>
+${html}
+</body>
+</html>`;
+};
+
+/**
+ * Render a template to a file.
+ * @param {Object} params
+ * @param {string} params.source - Template markup (HTML with engine tags)
+ * @param {string} [params.html] - Already-rendered HTML, used instead of source
+ * @param {string} [params.engine] - handlebars | mustache | ejs
+ * @param {Object} [params.data] - Template context
+ * @param {string} [params.outputFormat] - pdf | docx | html
+ * @param {Object} [params.pageSettings] - { format, orientation, margins }
+ * @param {Object} [params.headerFooter] - { includeHeader, includeFooter, headerTemplate, footerTemplate }
+ * @param {string} [params.title]
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, extension: string, html: string }>}
+ */
+export const renderDocument = async ({
+  source,
+  html: renderedHtml,
+  engine = 'handlebars',
+  data = {},
+  outputFormat = 'pdf',
+  pageSettings,
+  headerFooter = {},
+  title,
+}) => {
+  const format = OUTPUT_FORMATS[outputFormat];
+  if (!format) {
+    throw new Error(`Unsupported output format '${outputFormat}'`);
+  }
+
+  const html = renderedHtml ?? renderTemplate(source, engine, data);
+
+  if (outputFormat === 'html') {
+    return { buffer: Buffer.from(htmlDocument(html, { pageSettings, title }), 'utf8'), ...format, html };
+  }
+
+  const options = {
+    pageSettings,
+    title,
+    header: headerFooter.includeHeader ? renderLine(headerFooter.headerTemplate, engine, data) : '',
+    footer: headerFooter.includeFooter ? renderLine(headerFooter.footerTemplate, engine, data) : '',
+  };
+  const blocks = htmlToBlocks(html);
+  const buffer = outputFormat === 'pdf'
+    ? await renderPdf(blocks, options)
+    : await renderDocx(blocks, options);
+
+  return { buffer, ...format, html };
+};
@@ -0,0 +1,125 @@
+// File: services/documents/salesPackTemplates.js
+// Description: Built-in Handlebars templates for the booking document pack.
+//   An organization replaces any of them with an active DocumentTemplate
+//   whose salesPackDocument names the document. They bind to the Sale
+//   context from ./templateData.js.
+
+const PARTIES = `
+<table>
+  <tr><th>Buyer</th><td>{{buyer.name}}</td><th>Booking reference</th><td>{{sale.reference}}</td></tr>
+  <tr><th>Phone</th><td>{{buyer.phone}}</td><th>Booking date</th><td>{{sale.bookingDateFormatted}}</td></tr>
+  <tr><th>Email</th><td>{{buyer.email}}</td><th>Project</th><td>{{project.name}}</td></tr>
+  <tr><th>Unit</th><td>{{unit.number}}{{#if unit.tower}}, {{unit.tower}}{{/if}}</td><th>Configuration</th><td>{{unit.type}}, {{formatNumber unit.areaSqft}} sq ft, floor {{unit.floor}}</td></tr>
+</table>`;
+
+const INSTALLMENT_TABLE = `
+<table>
+  <thead>
+    <tr><th>#</th><th>Milestone</th><th>Due date</th><th align="right">Amount</th><th align="right">Paid</th><th align="right">Balance</th></tr>
+  </thead>
+  <tbody>
+    {{#each installments}}
+    <tr>
+      <td>{{number}}</td>
+      <td>{{description}}{{#if milestoneDescription}} — {{milestoneDescription}}{{/if}}</td>
+      <td>{{#if dueDate}}{{dueDateFormatted}}{{else}}On milestone{{/if}}</td>
+      <td align="right">{{amountFormatted}}</td>
+      <td align="right">{{paidAmountFormatted}}</td>
+      <td align="right">{{pendingAmountFormatted}}</td>
+    </tr>
+    {{/each}}
+    <tr>
+      <td></td><td><b>Total</b></td><td></td>
+      <td align="right"><b>{{installmentTotals.amountFormatted}}</b></td>
+      <td align="right"><b>{{installmentTotals.paidFormatted}}</b></td>
+      <td align="right"><b>{{installmentTotals.pendingFormatted}}</b></td>
+    </tr>
+  </tbody>
+</table>`;
+
+const SIGNATURES = `
+<p>&nbsp;</p>
+<table>
+  <tr><td>For {{organization.name}}<br><br><br>Authorised signatory</td><td>Accepted by the buyer<br><br><br>{{buyer.name}}</td></tr>
+</table>`;
+
+export const SALES_PACK_TEMPLATES = {
+  booking_acknowledgement: `
+<h1 align="center">Booking Acknowledgement</h1>
+<p align="right">Date: {{todayFormatted}}</p>
+<p>Dear {{buyer.name}},</p>
+<p>Thank you for booking with {{organization.name}}. We acknowledge your booking of the unit below in {{project.name}}{{#if project.city}}, {{project.city}}{{/if}}.</p>
+${PARTIES}
+<p>Sale consideration: <b>{{sale.salePriceFormatted}}</b>{{#if sale.paymentPlanName}} under the {{sale.paymentPlanName}} payment plan{{/if}}.</p>
+<p>Amount received so far: <b>{{installmentTotals.paidFormatted}}</b>.</p>
+<p>The cost sheet, payment schedule, allotment letter and a draft of the agreement for sale accompany this acknowledgement.{{#if project.reraNumber}} The project is registered under RERA as {{project.reraNumber}}.{{/if}}</p>
+<p>Regards,<br>{{organization.name}}{{#if sale.salesPerson}}<br>{{sale.salesPerson}}{{/if}}</p>`,
+
+  cost_sheet: `
+<h1 align="center">Cost Sheet</h1>
+${PARTIES}
+<h3>Price breakdown</h3>
+<table>
+  <thead><tr><th>Item</th><th align="right">Amount</th></tr></thead>
+  <tbody>
+    {{#each sale.costSheet.lines}}
+    <tr>{{#if isBold}}<td><b>{{item}}</b></td><td align="right"><b>{{amountFormatted}}</b></td>{{else}}<td>{{item}}</td><td align="right">{{amountFormatted}}</td>{{/if}}</tr>
+    {{else}}
+    <tr><td>Sale consideration</td><td align="right">{{sale.salePriceFormatted}}</td></tr>
+    {{/each}}
+  </tbody>
+</table>
+<p>Stamp duty and registration are paid by the buyer to the government and are shown as estimates at today's rates.</p>
+${SIGNATURES}`,
+
+  payment_schedule: `
+<h1 align="center">Payment Schedule</h1>
+${PARTIES}
+<p>Payment plan: {{#if sale.paymentPlanName}}{{sale.paymentPlanName}}{{else}}{{paymentPlan.planType}}{{/if}}</p>
+${INSTALLMENT_TABLE}
+<p>Construction-linked installments fall due when the milestone is reached; a demand letter is sent for each.</p>
+${SIGNATURES}`,
+
+  allotment_letter: `
+<h1 align="center">Allotment Letter</h1>
+<p align="right">Date: {{todayFormatted}}<br>Ref: {{sale.reference}}</p>
+<p>To,<br>{{buyer.name}}</p>
+<p>Dear {{buyer.name}},</p>
+<p>Further to your booking dated {{sale.bookingDateFormatted}}, {{organization.name}} is pleased to allot you the following unit in {{project.name}}{{#if project.reraNumber}} (RERA registration {{project.reraNumber}}){{/if}}:</p>
+<ul>
+  <li>Unit {{unit.number}}{{#if unit.tower}}, {{unit.tower}}{{/if}}, floor {{unit.floor}}</li>
+  <li>{{unit.type}}, carpet area {{formatNumber unit.areaSqft}} sq ft</li>
+  <li>Sale consideration {{sale.salePriceFormatted}}</li>
+</ul>
+<p>The allotment is subject to payment as per the enclosed payment schedule and to the execution and registration of the agreement for sale.</p>
+${SIGNATURES}`,
+
+  agreement_draft: `
+<h1 align="center">Agreement for Sale</h1>
+<p align="center"><i>Draft for the buyer's review — not for execution</i></p>
+<p>This agreement is made on ____________ between {{organization.name}} ("the Promoter") and {{buyer.name}} ("the Allottee").</p>
+<h3>1. The unit</h3>
+<p>The Promoter agrees to sell and the Allottee agrees to purchase unit {{unit.number}}{{#if unit.tower}} in {{unit.tower}}{{/if}} of {{project.name}}{{#if project.city}}, {{project.city}}{{/if}}, a {{unit.type}} of {{formatNumber unit.areaSqft}} sq ft on floor {{unit.floor}}{{#if project.reraNumber}}, the project being registered under RERA as {{project.reraNumber}}{{/if}}.</p>
+<h3>2. Consideration</h3>
+<p>The total consideration is {{sale.salePriceFormatted}}, exclusive of stamp duty and registration charges, payable as per the schedule below.</p>
+<div class="page-break"></div>
+<h3>3. Payment schedule</h3>
+${INSTALLMENT_TABLE}
+<h3>4. Possession</h3>
+<p>The Promoter shall hand over possession of the unit on completion, subject to the Allottee having paid all amounts due under this agreement.</p>
+<h3>5. Execution</h3>
+<p>This agreement shall be executed and registered before the competent sub-registrar; stamp duty and registration charges are borne by the Allottee.</p>
+${SIGNATURES}`,
+};
+
+export const SALES_PACK_CONFIGURATION = {
+  outputFormat: 'pdf',
+  engine: 'handlebars',
+  pageSettings: { format: 'A4', orientation: 'portrait', margins: { top: 20, right: 18, bottom: 20, left: 18 } },
+  headerFooter: {
+    includeHeader: true,
+    headerTemplate: '{{organization.name}} — {{project.name}}',
+    includeFooter: true,
+    footerTemplate: 'Booking {{sale.reference}} · Page [[page]] of [[pages]]',
+  },
+};
@@ -0,0 +1,195 @@
+// File: services/documents/signedPdf.js
+// Description: Seals an e-signed PDF with pdf-lib. The original pages are
+//   kept byte-for-byte in content, with a one-line stamp added at the foot of
+//   each; an audit certificate is appended listing the document's SHA-256,
+//   each signer's signature (typed name and drawn image), time, IP, device
+//   and signature hash, the audit trail, and the seal — an HMAC over all of
+//   it that only the server can produce. The document and seal hashes are
+//   also written to the PDF's keywords.
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { toStandardFontText } from './pdfRenderer.js';
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const GREY = rgb(0.33, 0.33, 0.33);
+const LIGHT = rgb(0.8, 0.8, 0.8);
+const BLACK = rgb(0, 0, 0);
+
+const ROLE_LABELS = {
+  buyer: 'Buyer',
+  co_applicant: 'Co-applicant',
+  authorised_signatory: 'Authorised signatory',
+  witness: 'Witness',
+};
+
+/** "2026-10-20 06:00:00 UTC" */
+export const formatTimestamp = (date) =>
+  date ? `${new Date(date).toISOString().slice(0, 19).replace('T', ' ')} UTC` : '—';
+
+const wrap = (text, font, size, width) => {
+  const lines = [];
+  for (const paragraph of toStandardFontText(String(text ?? '')).split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/)) {
+      // Hashes and long tokens break anywhere
+      let rest = word;
+      while (font.widthOfTextAtSize(rest, size) > width) {
+        let cut = rest.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(rest.slice(0, cut), size) > width) cut -= 1;
+        if (line) { lines.push(line); line = ''; }
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      const candidate = line ? `${line} ${rest}` : rest;
+      if (font.widthOfTextAtSize(candidate, size) > width && line) {
+        lines.push(line);
+        line = rest;
+      } else {
+        line = candidate;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+};
+
+// Top-down writer over as many certificate pages as it takes.
+const certificateWriter = (pdf, fonts) => {
+  let page;
+  let y;
+  const newPage = () => {
+    page = pdf.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensure = (height) => {
+    if (!page || y - height < MARGIN) newPage();
+  };
+  newPage();
+
+  return {
+    text(value, { size = 9.5, font = fonts.regular, color = BLACK, indent = 0, gap = 2 } = {}) {
+      const lineHeight = size * 1.3;
+      for (const line of wrap(value, font, size, CONTENT_WIDTH - indent)) {
+        ensure(lineHeight);
+        page.drawText(line, { x: MARGIN + indent, y: y - size, size, font, color });
+        y -= lineHeight;
+      }
+      y -= gap;
+    },
+    field(label, value, opts = {}) {
+      this.text(`${label}: ${value ?? '—'}`, { ...opts, gap: 1 });
+    },
+    rule() {
+      ensure(10);
+      page.drawLine({ start: { x: MARGIN, y: y - 4 }, end: { x: PAGE_WIDTH - MARGIN, y: y - 4 }, thickness: 0.5, color: LIGHT });
+      y -= 12;
+    },
+    space(height) {
+      y -= height;
+    },
+    image(embedded, { maxWidth = 160, maxHeight = 50 } = {}) {
+      const scale = Math.min(maxWidth / embedded.width, maxHeight / embedded.height, 1);
+      const width = embedded.width * scale;
+      const height = embedded.height * scale;
+      ensure(height + 4);
+      page.drawImage(embedded, { x: MARGIN, y: y - height, width, height });
+      y -= height + 4;
+    },
+  };
+};
+
+const stampPages = (pages, stamp, font) => {
+  const size = 6.5;
+  for (const page of pages) {
+    const { width } = page.getSize();
+    const line = wrap(stamp, font, size, width - 24)[0];
+    page.drawText(line, { x: 12, y: 8, size, font, color: GREY });
+  }
+};
+
+/**
+ * Seal a fully signed document.
+ * @param {Object} params
+ * @param {Buffer} params.original - The PDF exactly as sent for signature
+ * @param {Object} params.request - The SignatureRequest (signers signed)
+ * @param {string} params.seal - HMAC over the certificate's contents
+ * @param {string} [params.organizationName]
+ * @param {Date} params.completedAt
+ * @returns {Promise<Buffer>}
+ */
+export const sealSignedPdf = async ({ original, request, seal, organizationName, completedAt }) => {
+  const pdf = await PDFDocument.load(original, { updateMetadata: false });
+  const fonts = {
+    regular: await pdf.embedFont(StandardFonts.Helvetica),
+    bold: await pdf.embedFont(StandardFonts.HelveticaBold),
+    italic: await pdf.embedFont(StandardFonts.HelveticaOblique),
+  };
+  const originalPages = pdf.getPages();
+  const envelope = String(request._id);
+
+  stampPages(
+    originalPages,
+    `Electronically signed · Envelope ${envelope} · Document SHA-256 ${request.documentHash} · Audit certificate on the last page(s)`,
+    fonts.regular
+  );
+
+  const signerIndex = new Map(request.signers.map((s, i) => [String(s._id), i + 1]));
+  const w = certificateWriter(pdf, fonts);
+  w.text('Certificate of Completion', { size: 16, font: fonts.bold, gap: 6 });
+  w.field('Document', request.title);
+  w.field('Envelope', envelope);
+  if (organizationName) w.field('Sent by', organizationName);
+  w.field('Original document SHA-256', request.documentHash);
+  w.field('Pages', `${originalPages.length} document page(s), followed by this certificate`);
+  w.field('Sent', formatTimestamp(request.createdAt));
+  w.field('Completed', formatTimestamp(completedAt));
+  w.rule();
+
+  w.text('Signatures', { size: 12, font: fonts.bold, gap: 4 });
+  for (const [i, signer] of request.signers.entries()) {
+    w.text(`${i + 1}. ${signer.name} — ${ROLE_LABELS[signer.role] || signer.role}`, { font: fonts.bold, size: 10.5 });
+    if (signer.signature?.image) {
+      const base64 = signer.signature.image.replace(/^data:image\/png;base64,/, '');
+      w.image(await pdf.embedPng(Buffer.from(base64, 'base64')));
+    }
+    w.text(signer.signature?.typedName || signer.name, { font: fonts.italic, size: 15, gap: 3 });
+    w.field('Email', signer.email, { indent: 12, color: GREY });
+    w.field('Identity check', 'One-time code sent to the email above', { indent: 12, color: GREY });
+    w.field('Viewed', formatTimestamp(signer.viewedAt), { indent: 12, color: GREY });
+    w.field('Signed', formatTimestamp(signer.signedAt), { indent: 12, color: GREY });
+    w.field('IP address', signer.signature?.ip, { indent: 12, color: GREY });
+    w.field('Device', signer.signature?.userAgent, { indent: 12, color: GREY });
+    w.field('Signature hash', signer.signature?.hash, { indent: 12, color: GREY });
+    w.space(6);
+  }
+  w.rule();
+
+  w.text('Audit trail', { size: 12, font: fonts.bold, gap: 4 });
+  for (const entry of request.audit) {
+    const who = entry.signer ? `signer ${signerIndex.get(String(entry.signer)) || '?'}` : 'sender';
+    const where = entry.ip ? ` · IP ${entry.ip}` : '';
+    const detail = entry.detail ? ` · ${entry.detail}` : '';
+    w.text(`${formatTimestamp(entry.at)}  ${entry.event.replace(/_/g, ' ')} (${who})${where}${detail}`, { size: 8.5, gap: 1 });
+  }
+  w.rule();
+
+  w.text('Seal', { size: 12, font: fonts.bold, gap: 4 });
+  w.text(seal, { size: 8.5 });
+  w.text(
+    'The seal is computed by the issuer over the document hash, every signature and the completion time. ' +
+      'The issuer keeps the SHA-256 of this sealed file; any change to it, however small, can be detected by comparing the two.',
+    { size: 8, color: GREY }
+  );
+
+  pdf.setTitle(`${request.title} (signed)`);
+  pdf.setSubject(`Electronically signed — envelope ${envelope}`);
+  pdf.setKeywords([`document-sha256:${request.documentHash}`, `seal:${seal}`]);
+  pdf.setProducer('Document e-signature');
+  pdf.setModificationDate(new Date(completedAt));
+
+  return Buffer.from(await pdf.save());
+};
@@ -0,0 +1,287 @@
+// File: services/documents/templateData.js
+// Description: The data a document template binds to, built from a Lead,
+//   Sale, Unit or PaymentPlan and whatever it links to. Every template sees
+//   the same shape, whichever record it was generated for:
+//     today, organization, project, buyer, unit, sale, paymentPlan,
+//     installments[], installmentTotals
+//   Money and dates are included raw (for the formatting helpers) and
+//   pre-formatted as <field>Formatted, so logic-less Mustache templates can
+//   print them too. Installments carry their position (number, isFirst,
+//   isLast) for table loops.
+
+import Organization from '../../models/organizationModel.js';
+import Lead from '../../models/leadModel.js';
+import Sale from '../../models/salesModel.js';
+import Unit from '../../models/unitModel.js';
+import PaymentPlan from '../../models/paymentPlanModel.js';
+import Installment from '../../models/installmentModel.js';
+import { formatCurrency, formatDate } from './templateEngines.js';
+import { httpError } from '../../utils/httpError.js';
+
+export const TEMPLATE_DATA_RESOURCES = ['Lead', 'Sale', 'Unit', 'PaymentPlan'];
+
+const fullName = (person) =>
+  person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// ─── Context sections ─────────────────────────────────────────
+
+const organizationSection = (org) =>
+  org
+    ? {
+        name: org.name,
+        city: org.city,
+        country: org.country,
+        phone: org.contactInfo?.phone,
+        website: org.contactInfo?.website,
+        address: org.contactInfo?.address,
+      }
+    : {};
+
+const projectSection = (project) =>
+  project && typeof project === 'object'
+    ? {
+        name: project.name,
+        city: project.location?.city,
+        area: project.location?.area,
+        state: project.location?.state,
+        pincode: project.location?.pincode,
+        reraNumber: project.approvals?.rera?.number,
+        salesOfficeAddress: project.salesOffice?.address,
+        salesOfficePhone: project.salesOffice?.phone,
+      }
+    : {};
+
+const buyerSection = (lead) =>
+  lead && typeof lead === 'object'
+    ? {
+        name: fullName(lead),
+        firstName: lead.firstName,
+        lastName: lead.lastName,
+        email: lead.email,
+        phone: lead.phone,
+      }
+    : {};
+
+const unitSection = (unit) =>
+  unit && typeof unit === 'object'
+    ? {
+        number: unit.unitNumber,
+        type: unit.type,
+        floor: unit.floor,
+        areaSqft: unit.areaSqft,
+        facing: unit.facing,
+        tower: unit.tower?.towerName,
+        basePrice: unit.basePrice,
+        basePriceFormatted: formatCurrency(unit.basePrice),
+        currentPrice: unit.currentPrice,
+        currentPriceFormatted: formatCurrency(unit.currentPrice),
+      }
+    : {};
+
+const saleSection = (sale) => {
+  if (!sale) return {};
+  const costSheet = sale.costSheetSnapshot || {};
+  const totals = costSheet.totals || {};
+  const taxes = costSheet.taxes || {};
+  return {
+    id: String(sale._id),
+    // Short booking reference for letters
+    reference: String(sale._id).slice(-8).toUpperCase(),
+    status: sale.status,
+    bookingDate: sale.bookingDate,
+    bookingDateFormatted: formatDate(sale.bookingDate),
+    salePrice: sale.salePrice,
+    salePriceFormatted: formatCurrency(sale.salePrice),
+    discountAmount: sale.discountAmount || 0,
+    discountAmountFormatted: formatCurrency(sale.discountAmount || 0),
+    salesPerson: fullName(sale.salesPerson && typeof sale.salesPerson === 'object' ? sale.salesPerson : null),
+    paymentPlanName: sale.paymentPlanSnapshot?.templateName,
+    costSheet: {
+      agreementValue: totals.agreementValue,
+      agreementValueFormatted: formatCurrency(totals.agreementValue),
+      gstTotal: totals.gstTotal,
+      gstTotalFormatted: formatCurrency(totals.gstTotal),
+      governmentCharges: totals.governmentCharges,
+      governmentChargesFormatted: formatCurrency(totals.governmentCharges),
+      grandTotal: totals.grandTotal,
+      grandTotalFormatted: formatCurrency(totals.grandTotal),
+      stampDuty: taxes.stampDuty?.amount,
+      stampDutyFormatted: formatCurrency(taxes.stampDuty?.amount),
+      registration: taxes.registration?.amount,
+      registrationFormatted: formatCurrency(taxes.registration?.amount),
+      components: (costSheet.components || []).map((c) => ({
+        name: c.name,
+        amount: c.total ?? c.amount,
+        amountFormatted: formatCurrency(c.total ?? c.amount),
+      })),
+      // The flat line-by-line breakdown every cost sheet version carries
+      lines: (costSheet.costBreakdown || []).map((line) => ({
+        item: line.item,
+        amount: line.amount,
+        amountFormatted: formatCurrency(line.amount),
+        isBold: Boolean(line.isBold),
+      })),
+    },
+  };
+};
+
+const paymentPlanSection = (plan) =>
+  plan
+    ? {
+        planType: plan.planType,
+        totalAmount: plan.totalAmount,
+        totalAmountFormatted: formatCurrency(plan.totalAmount),
+        status: plan.status,
+      }
+    : {};
+
+const installmentRows = (installments) =>
+  installments.map((inst, i) => {
+    const amount = inst.currentAmount ?? inst.originalAmount ?? 0;
+    const paid = inst.paidAmount || 0;
+    const pending = inst.pendingAmount ?? Math.max(amount - paid, 0);
+    return {
+      number: inst.installmentNumber ?? i + 1,
+      description: inst.description,
+      milestoneType: inst.milestoneType,
+      milestoneDescription: inst.milestoneDescription,
+      status: inst.status,
+      dueDate: inst.currentDueDate,
+      dueDateFormatted: formatDate(inst.currentDueDate),
+      amount,
+      amountFormatted: formatCurrency(amount),
+      paidAmount: paid,
+      paidAmountFormatted: formatCurrency(paid),
+      pendingAmount: pending,
+      pendingAmountFormatted: formatCurrency(pending),
+      isFirst: i === 0,
+      isLast: i === installments.length - 1,
+    };
+  });
+
+/**
+ * Assemble the template context from already-loaded records. Any of them
+ * may be missing; its section is then empty.
+ */
+export const buildTemplateContext = ({
+  organization,
+  project,
+  lead,
+  unit,
+  sale,
+  paymentPlan,
+  installments = [],
+  now = new Date(),
+} = {}) => {
+  const rows = installmentRows(installments);
+  const sum = (key) => round2(rows.reduce((total, row) => total + (Number(row[key]) || 0), 0));
+  const installmentTotals = {
+    count: rows.length,
+    amount: sum('amount'),
+    amountFormatted: formatCurrency(sum('amount')),
+    paid: sum('paidAmount'),
+    paidFormatted: formatCurrency(sum('paidAmount')),
+    pending: sum('pendingAmount'),
+    pendingFormatted: formatCurrency(sum('pendingAmount')),
+  };
+
+  return {
+    today: now,
+    todayFormatted: formatDate(now),
+    organization: organizationSection(organization),
+    project: projectSection(project),
+    buyer: buyerSection(lead),
+    unit: unitSection(unit),
+    sale: saleSection(sale),
+    paymentPlan: paymentPlanSection(paymentPlan),
+    installments: rows,
+    installmentTotals,
+  };
+};
+
+// ─── Loaders ──────────────────────────────────────────────────
+
+const loadInstallments = (filter) =>
+  Installment.find({ ...filter, status: { $ne: 'cancelled' } })
+    .sort({ installmentNumber: 1 })
+    .lean();
+
+const loadSaleRecords = async (sale, organization) => {
+  const [paymentPlan, installments] = await Promise.all([
+    sale.paymentPlan
+      ? PaymentPlan.findOne({ _id: sale.paymentPlan, organization }).lean()
+      : PaymentPlan.findOne({ sale: sale._id, organization }).lean(),
+    loadInstallments({ sale: sale._id, organization }),
+  ]);
+  return {
+    project: sale.project,
+    lead: sale.lead,
+    unit: sale.unit,
+    sale,
+    paymentPlan,
+    installments,
+  };
+};
+
+const populateSale = (query) =>
+  query
+    .populate('project')
+    .populate('lead', 'firstName lastName email phone')
+    .populate({ path: 'unit', populate: { path: 'tower', select: 'towerName' } })
+    .populate('salesPerson', 'firstName lastName')
+    .lean();
+
+const LOADERS = {
+  Sale: async (id, organization) => {
+    const sale = await populateSale(Sale.findOne({ _id: id, organization }));
+    return sale && loadSaleRecords(sale, organization);
+  },
+  PaymentPlan: async (id, organization) => {
+    const plan = await PaymentPlan.findOne({ _id: id, organization }).lean();
+    if (!plan) return null;
+    const sale = plan.sale ? await populateSale(Sale.findOne({ _id: plan.sale, organization })) : null;
+    const records = sale ? await loadSaleRecords(sale, organization) : {};
+    return {
+      ...records,
+      paymentPlan: plan,
+      installments: await loadInstallments({ paymentPlan: plan._id, organization }),
+    };
+  },
+  Lead: async (id, organization) => {
+    const lead = await Lead.findOne({ _id: id, organization }).populate('project').lean();
+    return lead && { project: lead.project, lead };
+  },
+  Unit: async (id, organization) => {
+    const unit = await Unit.findOne({ _id: id, organization })
+      .populate('project')
+      .populate('tower', 'towerName')
+      .lean();
+    return unit && { project: unit.project, unit };
+  },
+};
+
+/**
+ * Load a record and what it links to, and build the template context.
+ * @param {Object} params
+ * @param {string} params.organization
+ * @param {string} params.resourceType - One of TEMPLATE_DATA_RESOURCES
+ * @param {string} params.resourceId
+ * @param {Function} [params.verifyAccess] - Called with the record's project id
+ * @returns {Promise<Object>} Template context
+ */
+export const loadTemplateData = async ({ organization, resourceType, resourceId, verifyAccess, now }) => {
+  const loader = LOADERS[resourceType];
+  if (!loader) {
+    throw httpError(400, `Templates can be filled from ${TEMPLATE_DATA_RESOURCES.join(', ')} records`);
+  }
+  const records = await loader(resourceId, organization);
+  if (!records) throw httpError(404, `${resourceType} not found`);
+
+  const projectId = records.project?._id || records.project;
+  if (projectId && verifyAccess) verifyAccess(projectId);
+
+  const org = await Organization.findById(organization).select('name city country contactInfo').lean();
+  return buildTemplateContext({ ...records, organization: org, now });
+};
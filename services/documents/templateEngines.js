@@ -0,0 +1,135 @@
+// File: services/documents/templateEngines.js
+// Description: Renders a DocumentTemplate's source with the engine it names
+//   (handlebars, mustache or ejs) into HTML. Every engine gets the same
+//   formatting helpers so one data context works with any of them:
+//     handlebars  {{formatCurrency amount}}  {{formatDate dueDate}}  {{#each installments}}
+//     mustache    {{#currency}}{{amount}}{{/currency}}  {{#date}}{{dueDate}}{{/date}}
+//     ejs         <%= formatCurrency(amount) %>  <% installments.forEach(...) %>
+//   EJS templates are JavaScript, so they run in a separate VM context with
+//   no access to Node, string code generation disabled and a time limit.
+
+import vm from 'vm';
+import Handlebars from 'handlebars';
+import Mustache from 'mustache';
+import ejs from 'ejs';
+
+export const TEMPLATE_ENGINES = ['handlebars', 'mustache', 'ejs'];
+
+const EJS_TIMEOUT_MS = 2000;
+
+// ─── Formatting ───────────────────────────────────────────────
+
+const toNumber = (value) => {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+};
+
+export const formatCurrency = (value) => {
+  const n = toNumber(value);
+  if (n === null) return '';
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 2,
+  }).format(n);
+};
+
+export const formatNumber = (value) => {
+  const n = toNumber(value);
+  return n === null ? '' : new Intl.NumberFormat('en-IN').format(n);
+};
+
+export const formatDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// ─── Handlebars ───────────────────────────────────────────────
+
+// A private instance so helpers registered here don't leak into (or get
+// overridden by) anything else using the global Handlebars.
+const handlebars = Handlebars.create();
+
+// Handlebars passes its options hash as the last argument; drop it.
+const withoutOptions = (fn) => (...args) => fn(...args.slice(0, -1));
+
+handlebars.registerHelper('formatCurrency', withoutOptions(formatCurrency));
+handlebars.registerHelper('formatNumber', withoutOptions(formatNumber));
+handlebars.registerHelper('formatDate', withoutOptions(formatDate));
+handlebars.registerHelper('add', withoutOptions((a, b) => (toNumber(a) ?? 0) + (toNumber(b) ?? 0)));
+handlebars.registerHelper('eq', withoutOptions((a, b) => a === b));
+
+const renderHandlebars = (source, data) =>
+  handlebars.compile(source, { strict: false })(data);
+
+// ─── Mustache ─────────────────────────────────────────────────
+
+// Lambdas format whatever their section renders to.
+const mustacheLambda = (format) => () => (text, render) => format(render(text).trim());
+
+const renderMustache = (source, data) =>
+  Mustache.render(source, {
+    ...data,
+    currency: mustacheLambda(formatCurrency),
+    number: mustacheLambda(formatNumber),
+    date: mustacheLambda(formatDate),
+  });
+
+// ─── EJS ──────────────────────────────────────────────────────
+
+// The helpers are re-declared inside the sandbox; functions from this
+// module would hand the template a way back into the host realm.
+const EJS_SANDBOX_HELPERS = `
+  var toNumber = ${toNumber.toString()};
+  var formatCurrency = ${formatCurrency.toString()};
+  var formatNumber = ${formatNumber.toString()};
+  var formatDate = ${formatDate.toString()};
+`;
+
+const renderEjs = (source, data) => {
+  const fn = ejs.compile(source, { client: true });
+  const context = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false },
+  });
+  // Data goes in as a JSON literal so every object the template sees belongs
+  // to the sandbox realm. The include callback refuses: templates are single
+  // documents.
+  const script = `${EJS_SANDBOX_HELPERS}
+    (${fn.toString()})(
+      Object.assign(${JSON.stringify(data ?? {})}, {
+        formatCurrency: formatCurrency, formatNumber: formatNumber, formatDate: formatDate
+      }),
+      undefined,
+      function () { throw new Error('include is not supported in document templates'); }
+    );`;
+  return vm.runInContext(script, context, { timeout: EJS_TIMEOUT_MS });
+};
+
+// ─── Entry point ──────────────────────────────────────────────
+
+const RENDERERS = {
+  handlebars: renderHandlebars,
+  mustache: renderMustache,
+  ejs: renderEjs,
+};
+
+/**
+ * Render a template source to HTML.
+ * @param {string} source - Template markup
+ * @param {string} engine - One of TEMPLATE_ENGINES (default handlebars)
+ * @param {Object} data - Context the template binds to
+ * @returns {string} HTML
+ */
+export const renderTemplate = (source, engine = 'handlebars', data = {}) => {
+  const render = RENDERERS[engine];
+  if (!render) {
+    throw new Error(`Unsupported template engine '${engine}'`);
+  }
+  try {
+    return String(render(source || '', data));
+  } catch (error) {
+    throw new Error(`${engine} template failed to render: ${error.message}`);
+  }
+};
@@ -0,0 +1,360 @@
+// File: services/dunningService.js
+// Description: Installment demand letters and reminder cadence. A daily sweep
+//   walks open installments, decides which reminder (if any) each is due per
+//   its project's paymentConfiguration.reminderCadence, emails the letter to
+//   the buyer and appends the send to Installment.remindersSent.
+//
+//   Escalation per installment:
+//     pre_due      — courtesy reminder preDueDays before a scheduled due date
+//                    (time-based installments only; construction/possession
+//                    dates are placeholders until the milestone completes)
+//     due_today    — the demand letter, once the installment is due. A
+//                    construction-linked installment is demanded as soon as it
+//                    leaves 'pending', whatever its date says.
+//     overdue      — after the grace period, every overdueIntervalDays, up to
+//                    maxOverdueReminders
+//     final_notice — once, finalNoticeAfterDays past grace; nothing after it
+//
+//   remindersSent is the full history collections sees: automatic letters are
+//   logged with method 'email' and no sentBy; manual calls, visits and letters
+//   are logged by logManualReminder.
+
+import Installment from '../models/installmentModel.js';
+import Project from '../models/projectModel.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+export const DEFAULT_REMINDER_CADENCE = Object.freeze({
+  enabled: true,
+  preDueDays: 7,
+  overdueIntervalDays: 7,
+  maxOverdueReminders: 3,
+  finalNoticeAfterDays: 45,
+});
+
+export const REMINDER_TYPES = ['pre_due', 'due_today', 'overdue', 'final_notice'];
+export const REMINDER_METHODS = ['email', 'sms', 'call', 'letter', 'in_person'];
+
+// Installments whose schedule depends on site progress, not the calendar
+const MILESTONE_LINKED_TYPES = ['construction', 'possession'];
+const OPEN_STATUSES = ['pending', 'due', 'overdue', 'partially_paid'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+
+// Whole calendar days from a to b (negative when b is before a)
+const daysBetween = (a, b) => Math.round((startOfDay(b) - startOfDay(a)) / DAY_MS);
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatInr = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (d) => new Date(d).toLocaleDateString('en-IN', {
+  day: 'numeric', month: 'short', year: 'numeric',
+});
+
+/**
+ * Project cadence merged over the defaults.
+ */
+export const resolveCadence = (project) => {
+  const configured = project?.paymentConfiguration?.reminderCadence;
+  const plain = typeof configured?.toObject === 'function' ? configured.toObject() : configured;
+  return { ...DEFAULT_REMINDER_CADENCE, ...(plain || {}) };
+};
+
+/**
+ * Which reminder an installment is due for on `now`, or null. Pure — at most
+ * one reminder per installment per day, so a daily sweep escalates one step
+ * at a time.
+ *
+ * @param {object} installment - needs status, pendingAmount, milestoneType,
+ *   currentDueDate, gracePeriodEndDate, remindersSent
+ * @param {object} cadence - see DEFAULT_REMINDER_CADENCE
+ * @param {Date} [now=new Date()]
+ * @returns {'pre_due'|'due_today'|'overdue'|'final_notice'|null}
+ */
+export const nextReminderType = (installment, cadence, now = new Date()) => {
+  if (!cadence?.enabled) return null;
+  if (!OPEN_STATUSES.includes(installment.status)) return null;
+  if ((installment.pendingAmount ?? 0) <= 0) return null;
+
+  const milestoneLinked = MILESTONE_LINKED_TYPES.includes(installment.milestoneType);
+  // The milestone has not completed yet; its due date is a placeholder.
+  if (milestoneLinked && installment.status === 'pending') return null;
+
+  const sent = installment.remindersSent || [];
+  const sentOf = (type) => sent.filter((r) => r.reminderType === type);
+  if (sentOf('final_notice').length) return null;
+
+  const lastSent = sent.reduce(
+    (latest, r) => (!latest || new Date(r.sentDate) > latest ? new Date(r.sentDate) : latest),
+    null
+  );
+  if (lastSent && daysBetween(lastSent, now) < 1) return null;
+
+  const daysToDue = daysBetween(now, installment.currentDueDate);
+  const isDue = daysToDue <= 0 || (milestoneLinked && installment.status !== 'pending');
+
+  if (!isDue) {
+    if (milestoneLinked || !cadence.preDueDays) return null;
+    return daysToDue <= cadence.preDueDays && !sentOf('pre_due').length ? 'pre_due' : null;
+  }
+
+  // Always demand formally before chasing.
+  if (!sentOf('due_today').length) return 'due_today';
+
+  const graceEnd = installment.gracePeriodEndDate || installment.currentDueDate;
+  const daysPastGrace = daysBetween(graceEnd, now);
+  if (daysPastGrace <= 0) return null;
+
+  if (daysPastGrace >= cadence.finalNoticeAfterDays) return 'final_notice';
+
+  const overdueSent = sentOf('overdue');
+  if (overdueSent.length >= cadence.maxOverdueReminders) return null;
+  const lastOverdue = overdueSent.reduce(
+    (latest, r) => (!latest || new Date(r.sentDate) > latest ? new Date(r.sentDate) : latest),
+    null
+  );
+  if (lastOverdue && daysBetween(lastOverdue, now) < cadence.overdueIntervalDays) return null;
+  return 'overdue';
+};
+
+const LETTER_HEADINGS = {
+  pre_due: (n) => `Upcoming installment ${n}`,
+  due_today: (n) => `Demand letter — installment ${n}`,
+  overdue: (n) => `Payment reminder — installment ${n} overdue`,
+  final_notice: (n) => `Final notice — installment ${n}`,
+};
+
+const LETTER_BODIES = {
+  pre_due: ({ dueDate }) => `This is a reminder that the installment below falls due on ${dueDate}.`,
+  due_today: ({ dueDate }) => `The installment below is now due for payment (due date ${dueDate}). We request you to remit the amount at the earliest.`,
+  overdue: ({ dueDate, daysOverdue }) => `Our records show the installment below, due on ${dueDate}, remains unpaid ${daysOverdue} day(s) after the due date. Late fees may apply as per your agreement.`,
+  final_notice: ({ dueDate, daysOverdue }) => `Despite earlier reminders, the installment below, due on ${dueDate}, remains unpaid ${daysOverdue} day(s) after the due date. Please pay immediately or contact us; continued default may lead to action under the terms of your agreement.`,
+};
+
+/**
+ * Subject, HTML and text for one reminder. Pure.
+ */
+export const buildDemandLetter = ({ reminderType, installment, lead, project, unit, bankAccount, now = new Date() }) => {
+  const n = installment.installmentNumber;
+  const heading = LETTER_HEADINGS[reminderType](n);
+  const dueDate = formatDate(installment.currentDueDate);
+  const daysOverdue = Math.max(0, daysBetween(installment.currentDueDate, now));
+  const body = LETTER_BODIES[reminderType]({ dueDate, daysOverdue });
+  const name = [lead?.firstName, lead?.lastName].filter(Boolean).join(' ') || 'Customer';
+  const property = [project?.name, unit?.unitNumber && `Unit ${unit.unitNumber}`].filter(Boolean).join(', ');
+
+  const rows = [
+    ['Property', property],
+    ['Installment', `${n}${installment.description ? ` — ${installment.description}` : ''}`],
+    ['Due date', dueDate],
+    ['Amount due', formatInr(installment.pendingAmount)],
+  ];
+  if (installment.lateFeeAccrued > 0) rows.push(['Late fee accrued', formatInr(installment.lateFeeAccrued)]);
+
+  const bankRows = bankAccount
+    ? [
+      ['Account name', bankAccount.accountHolderName],
+      ['Bank', [bankAccount.bankName, bankAccount.branch].filter(Boolean).join(', ')],
+      ['Account number', bankAccount.accountNumber],
+      ['IFSC', bankAccount.ifscCode],
+    ]
+    : [];
+
+  const table = (pairs) => `<table cellpadding="6" style="border-collapse:collapse">${pairs
+    .map(([k, v]) => `<tr><td style="color:#555">${escapeHtml(k)}</td><td><b>${escapeHtml(v)}</b></td></tr>`)
+    .join('')}</table>`;
+
+  const html = [
+    `<p>Dear ${escapeHtml(name)},</p>`,
+    `<p>${escapeHtml(body)}</p>`,
+    table(rows),
+    bankRows.length ? `<p>Please pay by bank transfer to:</p>${table(bankRows)}` : '',
+    '<p>Please quote the unit number with your payment. If you have already paid, kindly ignore this letter.</p>',
+    `<p>Regards,<br/>${escapeHtml(project?.name || 'Collections')} — Collections</p>`,
+  ].join('\n');
+
+  const text = [
+    `Dear ${name},`,
+    '',
+    body,
+    '',
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+    ...(bankRows.length ? ['', 'Please pay by bank transfer to:', ...bankRows.map(([k, v]) => `${k}: ${v}`)] : []),
+    '',
+    'If you have already paid, kindly ignore this letter.',
+  ].join('\n');
+
+  return { subject: `${heading}${property ? ` | ${property}` : ''}`, html, text };
+};
+
+/**
+ * Email one reminder and log it on the installment. The installment must have
+ * sale (with lead and unit) and project populated — see loadForReminder.
+ *
+ * @returns {Promise<{ sent: boolean, reason?: string }>}
+ */
+export const sendInstallmentReminder = async (installment, reminderType, { sentBy = null, now = new Date() } = {}) => {
+  const sale = installment.sale;
+  const lead = sale?.lead;
+  if (!lead?.email) return { sent: false, reason: 'no_email' };
+
+  const project = installment.project;
+  const letter = buildDemandLetter({
+    reminderType,
+    installment,
+    lead,
+    project,
+    unit: sale.unit,
+    bankAccount: project?.primaryBankAccount,
+    now,
+  });
+
+  await sendEmail({ to: lead.email, ...letter });
+
+  installment.remindersSent.push({ reminderType, sentDate: now, sentBy, method: 'email' });
+  await installment.save();
+  return { sent: true };
+};
+
+const loadForReminder = (query) => query
+  .populate({ path: 'sale', select: 'lead unit status', populate: [
+    { path: 'lead', select: 'firstName lastName email' },
+    { path: 'unit', select: 'unitNumber' },
+  ] })
+  .populate('project', 'name paymentConfiguration');
+
+/**
+ * One dunning sweep across every organization. Each installment gets at most
+ * one reminder; a failed send is reported and retried on the next sweep.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ scanned:number, sent:object, skipped:number, failed:Array }>}
+ */
+export const runDunningCycle = async (now = new Date()) => {
+  const summary = {
+    scanned: 0,
+    sent: Object.fromEntries(REMINDER_TYPES.map((t) => [t, 0])),
+    skipped: 0,
+    failed: [],
+  };
+
+  const projects = await Project.find({ 'paymentConfiguration.reminderCadence.enabled': { $ne: false } })
+    .select('_id paymentConfiguration.reminderCadence')
+    .lean();
+
+  for (const project of projects) {
+    const cadence = resolveCadence(project);
+    const horizon = new Date(startOfDay(now).getTime() + (cadence.preDueDays + 1) * DAY_MS);
+
+    const installments = await loadForReminder(Installment.find({
+      project: project._id,
+      status: { $in: OPEN_STATUSES },
+      pendingAmount: { $gt: 0 },
+      $or: [
+        { currentDueDate: { $lt: horizon } },
+        { milestoneType: { $in: MILESTONE_LINKED_TYPES }, status: { $ne: 'pending' } },
+      ],
+      'remindersSent.reminderType': { $ne: 'final_notice' },
+    }));
+
+    for (const installment of installments) {
+      summary.scanned += 1;
+      if (installment.sale?.status === 'Cancelled') { summary.skipped += 1; continue; }
+
+      const reminderType = nextReminderType(installment, cadence, now);
+      if (!reminderType) continue;
+
+      try {
+        const result = await sendInstallmentReminder(installment, reminderType, { now });
+        if (result.sent) summary.sent[reminderType] += 1;
+        else summary.skipped += 1;
+      } catch (err) {
+        summary.failed.push({ installment: installment._id.toString(), reminderType, error: err.message });
+      }
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Send a reminder now on behalf of a user, regardless of cadence. Without an
+ * explicit type, the type the cadence would pick next is used (falling back to
+ * the demand letter once due, else pre_due).
+ */
+export const sendReminderNow = async (installmentId, { organization, reminderType, user }) => {
+  const installment = await loadForReminder(Installment.findOne({ _id: installmentId, organization }));
+  if (!installment) throw httpError(404, 'Installment not found.');
+  if (!OPEN_STATUSES.includes(installment.status) || installment.pendingAmount <= 0) {
+    throw httpError(400, `No reminder can be sent for a ${installment.status} installment.`);
+  }
+  if (reminderType && !REMINDER_TYPES.includes(reminderType)) {
+    throw httpError(400, `reminderType must be one of: ${REMINDER_TYPES.join(', ')}`);
+  }
+
+  const now = new Date();
+  const type = reminderType
+    || nextReminderType(installment, { ...resolveCadence(installment.project), enabled: true }, now)
+    || (daysBetween(now, installment.currentDueDate) <= 0 ? 'due_today' : 'pre_due');
+
+  const result = await sendInstallmentReminder(installment, type, { sentBy: user._id, now });
+  if (!result.sent) throw httpError(400, 'The buyer has no email address on file.');
+  return { installment, reminderType: type };
+};
+
+/**
+ * Log a reminder made outside the system (call, visit, courier letter, SMS)
+ * so the history is complete.
+ */
+export const logManualReminder = async (installmentId, { organization, reminderType, method, response, sentDate, user }) => {
+  if (!REMINDER_TYPES.includes(reminderType)) {
+    throw httpError(400, `reminderType must be one of: ${REMINDER_TYPES.join(', ')}`);
+  }
+  if (!REMINDER_METHODS.includes(method)) {
+    throw httpError(400, `method must be one of: ${REMINDER_METHODS.join(', ')}`);
+  }
+  const date = sentDate ? new Date(sentDate) : new Date();
+  if (Number.isNaN(date.getTime()) || date > new Date()) {
+    throw httpError(400, 'sentDate must be a valid date that is not in the future');
+  }
+
+  const installment = await Installment.findOne({ _id: installmentId, organization });
+  if (!installment) throw httpError(404, 'Installment not found.');
+
+  installment.remindersSent.push({ reminderType, method, response, sentDate: date, sentBy: user._id });
+  await installment.save();
+  return installment;
+};
+
+/**
+ * Reminder history for an installment, newest first.
+ */
+export const getReminderHistory = async (installmentId, organization) => {
+  const installment = await Installment.findOne({ _id: installmentId, organization })
+    .select('project installmentNumber description status currentDueDate pendingAmount remindersSent')
+    .populate('remindersSent.sentBy', 'firstName lastName');
+  if (!installment) throw httpError(404, 'Installment not found.');
+
+  const history = [...installment.remindersSent]
+    .sort((a, b) => new Date(b.sentDate) - new Date(a.sentDate));
+  return { installment, history };
+};
+
+export default {
+  nextReminderType,
+  buildDemandLetter,
+  runDunningCycle,
+  sendReminderNow,
+  logManualReminder,
+  getReminderHistory,
+};
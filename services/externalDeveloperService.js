@@ -15,18 +15,13 @@ import Organization from '../models/organizationModel.js';
 import Partnership from '../models/partnershipModel.js';
 import { reconcileChannelPartnerRecord } from './partnershipService.js';
 import { notifyUsersWithPermission } from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
 
 const INVITE_EXPIRY_DAYS = 90;
 const INVITE_EXPIRY_MS = INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000;
 
 // ─── Internal helpers ──────────────────────────────────────────────────────
 
-const httpError = (status, message) => {
-  const e = new Error(message);
-  e.statusCode = status;
-  return e;
-};
-
 const scopeFilter = (user) => ({ organization: user.organization });
 
 const findInScope = async (id, user) => {
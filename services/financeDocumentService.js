@@ -0,0 +1,1289 @@
+// File: services/financeDocumentService.js
+// Description: Tax invoices, payment receipts and credit and debit notes as
+//   documents.
+//
+//   - Issuing an invoice fixes its GST (SAC per line, CGST + SGST or IGST by
+//     place of supply, utils/gst.js), snapshots supplier and recipient, takes
+//     the next number from the project's tax invoice series, files the PDF
+//     and emails it to the customer. Drafts carry a DRAFT- reference until
+//     then, so the series only advances for invoices actually issued.
+//   - Recording a payment — a PaymentTransaction or a payment against an
+//     invoice — numbers a receipt from the project's receipt series, files
+//     its PDF and emails it.
+//   - A credit or debit note corrects an issued invoice line by line: taxed
+//     as the invoice was, numbered from its own series, filed with the
+//     invoice and emailed. The invoice's adjustments totals change what the
+//     customer owes (Invoice.netPayableAmount()).
+//
+//   Numbers come from services/documentSeriesService.js in the transaction
+//   that stamps them. PDFs use the organization's active DocumentTemplate for
+//   the document (DocumentTemplate.financeDocument) or the built-in layout,
+//   and are stored as File records on the invoice or payment. A PDF or email
+//   that fails is recorded and can be retried; the number stands.
+
+import mongoose from 'mongoose';
+import Invoice from '../models/invoiceModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import Installment from '../models/installmentModel.js';
+import Project from '../models/projectModel.js';
+import Organization from '../models/organizationModel.js';
+import Lead from '../models/leadModel.js';
+import Sale from '../models/salesModel.js';
+import Unit from '../models/unitModel.js';
+import DocumentTemplate from '../models/documentTemplateModel.js';
+import DocumentCategory from '../models/documentCategoryModel.js';
+import File from '../models/fileModel.js';
+import AdjustmentNote, {
+  ADJUSTMENT_NOTE_TYPES,
+  ADJUSTMENT_NOTE_REASONS,
+} from '../models/adjustmentNoteModel.js';
+import { issueNumber } from './documentSeriesService.js';
+import { uploadFileToS3, getFileFromS3, getPresignedDownloadUrl } from './s3Service.js';
+import { getTemplateSource } from './documentGenerationService.js';
+import { renderDocument } from './documents/renderDocument.js';
+import { buildTemplateContext } from './documents/templateData.js';
+import { formatCurrency, formatDate } from './documents/templateEngines.js';
+import { FINANCE_TEMPLATES, FINANCE_DOCUMENT_CONFIGURATION } from './documents/financeTemplates.js';
+import { gstStateFor, stateFromGstin, isValidGstin, splitGst } from '../utils/gst.js';
+import { amountInWords } from '../utils/amountInWords.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+const FINANCE_DOCUMENTS_CATEGORY = 'Finance Documents';
+
+// Payments that never get (or no longer warrant) a receipt
+const RECEIPTLESS_STATUSES = ['cancelled', 'bounced', 'refunded'];
+
+const PAYMENT_METHOD_LABELS = {
+  cash: 'cash',
+  cheque: 'cheque',
+  bank_transfer: 'bank transfer',
+  online_payment: 'online payment',
+  online: 'online payment',
+  card_payment: 'card',
+  card: 'card',
+  demand_draft: 'demand draft',
+  home_loan: 'home loan disbursement',
+  other: 'other means',
+};
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const fullName = (person) =>
+  person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '';
+
+const userIdOf = (user) => user?._id || user || null;
+
+const safeFileName = (number) => String(number).replace(/[^A-Za-z0-9-]+/g, '-');
+
+const loadInvoice = async (invoiceId, organization, verifyAccess) => {
+  assertObjectId(invoiceId, 'invoice');
+  const invoice = await Invoice.findOne({ _id: invoiceId, organization });
+  if (!invoice) throw httpError(404, 'Invoice not found.');
+  verifyAccess?.(invoice.project);
+  return invoice;
+};
+
+// Where generated invoices and receipts are filed, created on first use.
+const financeDocumentsCategory = async (organization, userId) => {
+  const existing = await DocumentCategory.findOne({ organization, name: FINANCE_DOCUMENTS_CATEGORY });
+  if (existing) return existing._id;
+  const category = await DocumentCategory.create({
+    organization,
+    name: FINANCE_DOCUMENTS_CATEGORY,
+    description: 'Tax invoices and payment receipts issued to customers',
+    type: 'Financial',
+    createdBy: userId,
+  });
+  return category._id;
+};
+
+// The organization's layout for a finance document, else the built-in one.
+const resolveFinanceTemplate = async (organization, key) => {
+  const template = await DocumentTemplate.findOne({
+    organization,
+    financeDocument: key,
+    isActive: true,
+  }).populate('templateFile');
+
+  const source = template ? await getTemplateSource(template) : null;
+  if (template && source !== null) {
+    return { template, source, configuration: template.configuration };
+  }
+  return { template: null, source: FINANCE_TEMPLATES[key], configuration: FINANCE_DOCUMENT_CONFIGURATION };
+};
+
+/**
+ * Render a finance document and store it: a new File, or a new version of
+ * the document's existing File.
+ * @returns {Promise<{ file, buffer, fileName, mimeType, url, s3Key }>}
+ */
+const renderAndStore = async ({ key, context, title, organization, userId, existingFileId, resource, folder, tags, customFields }) => {
+  const startTime = Date.now();
+  const { template, source, configuration } = await resolveFinanceTemplate(organization, key);
+  const rendered = await renderDocument({
+    source,
+    engine: configuration.engine,
+    data: context,
+    outputFormat: configuration.outputFormat,
+    pageSettings: configuration.pageSettings,
+    headerFooter: configuration.headerFooter,
+    title,
+  });
+
+  const fileName = `${safeFileName(context.documentNumber)}.${rendered.extension}`;
+  const { url, s3Key } = await uploadFileToS3({
+    buffer: rendered.buffer,
+    originalname: fileName,
+    mimetype: rendered.mimeType,
+  }, folder);
+  const fileData = {
+    originalName: fileName,
+    fileName,
+    mimeType: rendered.mimeType,
+    size: rendered.buffer.length,
+    url,
+    s3Key,
+  };
+
+  let file = existingFileId ? await File.findOne({ _id: existingFileId, organization }) : null;
+  if (file) {
+    file.createNewVersion(fileData, { _id: userId }, 'Regenerated');
+    file.fileExtension = rendered.extension;
+    await file.save();
+  } else {
+    file = await File.create({
+      ...fileData,
+      organization,
+      uploadedBy: userId,
+      category: template?.category || await financeDocumentsCategory(organization, userId),
+      associatedResource: resource.id,
+      resourceType: resource.type,
+      fileExtension: rendered.extension,
+      title,
+      description: `${title} generated by the system`,
+      tags: ['generated', ...tags],
+      accessLevel: 'organization',
+      customFields: new Map([
+        ...Object.entries(customFields),
+        ['templateId', template ? String(template._id) : 'built-in'],
+      ]),
+      approvalStatus: 'not_required',
+    });
+  }
+
+  if (template) await template.incrementUsage(Date.now() - startTime).catch(() => {});
+  return { file, buffer: rendered.buffer, fileName, mimeType: rendered.mimeType, url, s3Key };
+};
+
+// ─── Parties ───────────────────────────────────────────────────────────────
+
+// The project's GST registration as the invoice prints it
+const supplierOf = (project, organization) => {
+  const state = stateFromGstin(project?.gstNumber) || gstStateFor(project?.location?.state);
+  return {
+    name: project?.invoicing?.legalName || organization?.name || '',
+    gstin: project?.gstNumber || undefined,
+    address: project?.invoicing?.address || organization?.contactInfo?.address || '',
+    stateCode: state?.code,
+    stateName: state?.name || project?.location?.state,
+  };
+};
+
+const recipientOf = (lead, overrides = {}) => {
+  const state = stateFromGstin(overrides.gstin) || gstStateFor(overrides.state);
+  return {
+    name: overrides.name || fullName(lead),
+    gstin: overrides.gstin ? String(overrides.gstin).trim().toUpperCase() : undefined,
+    address: overrides.address || undefined,
+    stateCode: state?.code,
+    stateName: state?.name,
+  };
+};
+
+/**
+ * Work out the invoice's GST by place of supply — SAC per line, CGST + SGST
+ * or IGST, tax summary and totals — and write it onto the invoice (unsaved).
+ * The place of supply is the one given, else the invoice's, else the
+ * project's state: real estate is supplied where the property is.
+ * @returns {Object} the splitGst() result
+ */
+export const applyInvoiceTax = (invoice, project, { placeOfSupply } = {}) => {
+  const supplierState = stateFromGstin(project?.gstNumber) || gstStateFor(project?.location?.state);
+  const place = gstStateFor(placeOfSupply) ||
+    gstStateFor(invoice.placeOfSupply?.code) ||
+    gstStateFor(project?.location?.state) ||
+    supplierState;
+
+  const split = splitGst(invoice.lineItems, {
+    supplierState,
+    placeOfSupply: place,
+    sacCodes: project?.invoicing?.sacCodes,
+    projectType: project?.type,
+  });
+
+  invoice.lineItems = split.lineItems;
+  invoice.taxType = split.taxType;
+  invoice.placeOfSupply = split.placeOfSupply ? { ...split.placeOfSupply } : undefined;
+
+  const subtotal = round2(split.lineItems.reduce((sum, line) => sum + (Number(line.totalPrice) || 0), 0));
+  const totalAmount = round2(subtotal + split.totals.totalGstAmount);
+  Object.assign(invoice.financialSummary, {
+    subtotal,
+    taxableAmount: split.totals.taxableAmount,
+    cgstAmount: split.totals.cgstAmount,
+    sgstAmount: split.totals.sgstAmount,
+    igstAmount: split.totals.igstAmount,
+    totalGstAmount: split.totals.totalGstAmount,
+    totalAmount,
+    amountInWords: amountInWords(totalAmount),
+  });
+  invoice.paymentDetails.pendingAmount = Math.max(0, round2(totalAmount - (invoice.paymentDetails.totalPaid || 0)));
+  return split;
+};
+
+// ─── Template contexts ─────────────────────────────────────────────────────
+
+const loadSaleRecords = async ({ organization, project, unit, customer, sale }) => {
+  const [org, projectDoc, unitDoc, lead, saleDoc] = await Promise.all([
+    Organization.findById(organization).lean(),
+    project ? Project.findById(project).lean() : null,
+    unit ? Unit.findById(unit).populate('tower', 'towerName').lean() : null,
+    customer ? Lead.findById(customer).select('firstName lastName email phone').lean() : null,
+    sale ? Sale.findById(sale).lean() : null,
+  ]);
+  return { organization: org, project: projectDoc, unit: unitDoc, lead, sale: saleDoc };
+};
+
+const money = (fields, source) => Object.fromEntries(fields.flatMap((field) => [
+  [field, source[field] || 0],
+  [`${field}Formatted`, formatCurrency(source[field] || 0)],
+]));
+
+const invoiceContext = (invoice, records, now) => {
+  const issued = Boolean(invoice.issuedAt) || invoice.status !== 'draft';
+  const interState = invoice.taxType === 'inter_state';
+  // An issued invoice prints the parties as they were when it was issued
+  const supplier = invoice.supplier?.name ? invoice.supplier : supplierOf(records.project, records.organization);
+  const recipient = invoice.recipient?.name ? invoice.recipient : recipientOf(records.lead);
+  const summary = invoice.financialSummary || {};
+  const lines = (invoice.lineItems || []).map((line, i) => ({
+    number: i + 1,
+    description: line.description,
+    hsnSacCode: line.hsnSacCode,
+    quantity: line.quantity,
+    gstRate: line.gstRate,
+    cgstRate: line.cgstRate,
+    sgstRate: line.sgstRate,
+    igstRate: line.igstRate,
+    ...money(['unitPrice', 'totalPrice', 'taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'gstAmount'], line),
+    total: round2((line.totalPrice || 0) + (line.gstAmount || 0)),
+    totalFormatted: formatCurrency(round2((line.totalPrice || 0) + (line.gstAmount || 0))),
+  }));
+  const { hsnSummary } = splitGst(invoice.lineItems, {
+    supplierState: supplier.stateCode,
+    placeOfSupply: invoice.placeOfSupply?.code || supplier.stateCode,
+  });
+
+  return {
+    ...buildTemplateContext({ ...records, now }),
+    documentNumber: invoice.invoiceNumber,
+    supplier: { ...supplier },
+    recipient: { ...recipient, email: records.lead?.email, phone: records.lead?.phone },
+    invoice: {
+      number: invoice.invoiceNumber,
+      title: !issued ? 'Draft Invoice' : summary.totalGstAmount > 0 ? 'Tax Invoice' : 'Invoice',
+      isIssued: issued,
+      type: invoice.type,
+      date: invoice.invoiceDate,
+      dateFormatted: formatDate(invoice.invoiceDate),
+      dueDate: invoice.dueDate,
+      dueDateFormatted: formatDate(invoice.dueDate),
+      financialYear: invoice.financialYear,
+      placeOfSupply: {
+        code: invoice.placeOfSupply?.code || supplier.stateCode,
+        name: invoice.placeOfSupply?.name || supplier.stateName,
+      },
+      taxType: invoice.taxType,
+      isInterState: interState,
+      reverseCharge: Boolean(invoice.reverseCharge),
+      lines,
+      hsnSummary: hsnSummary.map((row) => ({
+        hsnSacCode: row.hsnSacCode,
+        gstRate: row.gstRate,
+        ...money(['taxableValue', 'cgstAmount', 'sgstAmount', 'igstAmount', 'totalTax'], row),
+      })),
+      totals: {
+        ...money(['subtotal', 'taxableAmount', 'cgstAmount', 'sgstAmount', 'igstAmount', 'totalGstAmount', 'totalAmount'], summary),
+        ...money(['totalPaid', 'pendingAmount'], invoice.paymentDetails || {}),
+        paid: invoice.paymentDetails?.totalPaid || 0,
+        paidFormatted: formatCurrency(invoice.paymentDetails?.totalPaid || 0),
+        pendingFormatted: formatCurrency(invoice.paymentDetails?.pendingAmount || 0),
+      },
+      amountInWords: summary.amountInWords || amountInWords(summary.totalAmount),
+      customerNotes: invoice.notes?.customerNotes,
+      paymentInstructions: invoice.notes?.paymentInstructions,
+    },
+  };
+};
+
+const receiptContext = ({ receipt, records, now }) => ({
+  ...buildTemplateContext({ ...records, now }),
+  documentNumber: receipt.number,
+  supplier: supplierOf(records.project, records.organization),
+  recipient: { ...recipientOf(records.lead), email: records.lead?.email, phone: records.lead?.phone },
+  receipt: {
+    ...receipt,
+    dateFormatted: formatDate(receipt.date),
+    amountFormatted: formatCurrency(receipt.amount),
+    amountInWords: amountInWords(receipt.amount),
+    paymentDateFormatted: formatDate(receipt.paymentDate),
+    paymentMethodLabel: PAYMENT_METHOD_LABELS[receipt.paymentMethod] || receipt.paymentMethod || 'payment',
+    allocations: (receipt.allocations || []).map((a) => ({ ...a, amountFormatted: formatCurrency(a.amount) })),
+  },
+});
+
+// ─── Email ─────────────────────────────────────────────────────────────────
+
+const financeEmail = ({ kind, number, customerName, organizationName, projectName, amount, dueDate, invoiceNumber }) => {
+  const forUnit = projectName ? ` for your unit at ${projectName}` : '';
+  const copy = {
+    invoice: {
+      subject: `Tax invoice ${number} from ${organizationName}`,
+      lead: `Please find attached tax invoice ${number}${forUnit} for ${formatCurrency(amount)}${dueDate ? `, due on ${formatDate(dueDate)}` : ''}.`,
+    },
+    receipt: {
+      subject: `Payment receipt ${number} from ${organizationName}`,
+      lead: `Thank you for your payment of ${formatCurrency(amount)}${projectName ? ` towards your unit at ${projectName}` : ''}. Receipt ${number} is attached.`,
+    },
+    credit_note: {
+      subject: `Credit note ${number} from ${organizationName}`,
+      lead: `Please find attached credit note ${number}${forUnit}, reducing invoice ${invoiceNumber} by ${formatCurrency(amount)}.`,
+    },
+    debit_note: {
+      subject: `Debit note ${number} from ${organizationName}`,
+      lead: `Please find attached debit note ${number}${forUnit}, adding ${formatCurrency(amount)} to invoice ${invoiceNumber}.`,
+    },
+  }[kind];
+  return {
+    subject: copy.subject,
+    html: `<p>Dear ${customerName || 'Customer'},</p><p>${copy.lead}</p><p>Regards,<br>${organizationName}</p>`,
+    text: `Dear ${customerName || 'Customer'},\n\n${copy.lead}\n\nRegards,\n${organizationName}`,
+  };
+};
+
+/**
+ * Email a stored PDF. Delivery problems are reported, not thrown.
+ * @returns {Promise<{ sent: boolean, to?: string, error?: string }>}
+ */
+const deliver = async ({ to, pdf, email }) => {
+  if (!to) return { sent: false, error: 'The customer has no email address.' };
+  try {
+    const content = pdf.buffer || await getFileFromS3(pdf.s3Key);
+    await sendEmail({
+      to,
+      ...email,
+      attachments: [{ filename: pdf.fileName, content, contentType: 'application/pdf' }],
+    });
+    return { sent: true, to };
+  } catch (error) {
+    console.error('[financeDocumentService] email failed:', error.message);
+    return { sent: false, to, error: error.message };
+  }
+};
+
+// ─── Invoices ──────────────────────────────────────────────────────────────
+
+/**
+ * Render the invoice's PDF and store it on the invoice. Drafts print as
+ * "Draft Invoice".
+ * @returns {Promise<{ file, buffer, fileName, s3Key }>}
+ */
+export const generateInvoicePdf = async (invoice, { user, now = new Date() } = {}) => {
+  const records = await loadSaleRecords(invoice);
+  const context = invoiceContext(invoice, records, now);
+  const userId = userIdOf(user) || invoice.generatedBy;
+
+  try {
+    const pdf = await renderAndStore({
+      key: 'tax_invoice',
+      context,
+      title: `${context.invoice.title} ${invoice.invoiceNumber}`,
+      organization: invoice.organization,
+      userId,
+      existingFileId: invoice.pdfFile?.file,
+      resource: { id: invoice._id, type: 'Invoice' },
+      folder: `invoices/${invoice.project}`,
+      tags: ['invoice'],
+      customFields: { invoiceNumber: invoice.invoiceNumber },
+    });
+    const pdfFile = {
+      fileName: pdf.fileName,
+      filePath: pdf.url,
+      fileSize: pdf.buffer.length,
+      generatedAt: now,
+      s3Key: pdf.s3Key,
+      file: pdf.file._id,
+    };
+    // updateOne, not save: saving re-derives the invoice's status
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { pdfFile } });
+    invoice.pdfFile = pdfFile;
+    return pdf;
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id }, { $set: { 'pdfFile.error': error.message } });
+    throw error;
+  }
+};
+
+const sendInvoice = async (invoice, { pdf, to, records, now }) => {
+  const recipient = (to || records.lead?.email || '').trim();
+  const email = financeEmail({
+    kind: 'invoice',
+    number: invoice.invoiceNumber,
+    customerName: fullName(records.lead),
+    organizationName: records.organization?.name || 'our team',
+    projectName: records.project?.name,
+    amount: invoice.financialSummary?.totalAmount,
+    dueDate: invoice.dueDate,
+  });
+  const delivery = await deliver({ to: recipient, pdf, email });
+  if (delivery.sent) {
+    await invoice.markAsSent({ email: recipient, subject: email.subject, body: email.text });
+  }
+  return { ...delivery, at: delivery.sent ? now : undefined };
+};
+
+/**
+ * Issue a draft invoice: fix its GST, take the tax invoice number, file the
+ * PDF and (unless send is false) email it to the customer.
+ * @param {Object} params
+ * @param {string|Object} [params.placeOfSupply] - state name or GST code; default the project's state
+ * @param {Object} [params.recipient] - { name?, gstin?, address?, state? } for a registered buyer
+ * @returns {Promise<{ invoice, pdf: { generated, error? }, delivery }>}
+ * @throws 409 when the invoice is cancelled, already issued, awaiting
+ *   approval, or charges GST without a project GSTIN
+ */
+export const issueInvoice = async (invoiceId, {
+  organization,
+  user,
+  placeOfSupply,
+  recipient = {},
+  send = true,
+  to,
+  verifyAccess,
+  now = new Date(),
+}) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  if (invoice.status === 'cancelled') throw httpError(409, 'A cancelled invoice cannot be issued.');
+  if (invoice.issuedAt || invoice.status !== 'draft') {
+    throw httpError(409, `Invoice ${invoice.invoiceNumber} has already been issued.`);
+  }
+  if (invoice.approvalWorkflow?.requiresApproval && invoice.approvalWorkflow.approvalStatus !== 'approved') {
+    throw httpError(409, 'The invoice is awaiting approval.');
+  }
+  if (placeOfSupply && !gstStateFor(placeOfSupply)) {
+    throw httpError(400, `Unknown place of supply "${placeOfSupply}"; give an Indian state or its GST code.`);
+  }
+  if (recipient.gstin && !isValidGstin(recipient.gstin)) {
+    throw httpError(400, 'recipient.gstin is not a valid GSTIN.');
+  }
+
+  const records = await loadSaleRecords(invoice);
+  applyInvoiceTax(invoice, records.project, { placeOfSupply });
+  if (invoice.financialSummary.totalGstAmount > 0 && !records.project?.gstNumber) {
+    throw httpError(409, "Add the project's GSTIN before issuing a tax invoice.");
+  }
+  invoice.supplier = supplierOf(records.project, records.organization);
+  invoice.recipient = recipientOf(records.lead, recipient);
+  invoice.invoiceDate = now;
+  await invoice.save();
+
+  const draftNumber = invoice.invoiceNumber;
+  const issued = await issueNumber(
+    { organization: invoice.organization, project: invoice.project, documentType: 'tax_invoice', date: now },
+    async (allocated, session) => {
+      const result = await Invoice.updateOne(
+        { _id: invoice._id, organization: invoice.organization, issuedAt: null },
+        {
+          $set: {
+            invoiceNumber: allocated.number,
+            draftNumber,
+            numberSeries: allocated.series,
+            seriesSequence: allocated.sequence,
+            financialYear: allocated.financialYear,
+            issuedAt: now,
+            status: 'generated',
+          },
+        },
+        { session }
+      );
+      return result.modifiedCount === 1;
+    }
+  );
+  if (!issued) throw httpError(409, 'The invoice was issued by someone else in the meantime.');
+
+  const issuedInvoice = await Invoice.findById(invoice._id);
+  let pdf = null;
+  let pdfError;
+  try {
+    pdf = await generateInvoicePdf(issuedInvoice, { user, now });
+  } catch (error) {
+    pdfError = error.message;
+  }
+
+  let delivery = null;
+  if (send) {
+    delivery = pdf
+      ? await sendInvoice(issuedInvoice, { pdf, to, records, now })
+      : { sent: false, error: 'The PDF could not be generated.' };
+  }
+
+  return { invoice: issuedInvoice, pdf: { generated: Boolean(pdf), error: pdfError }, delivery };
+};
+
+/**
+ * Email an invoice's PDF to the customer (or `to`), generating it first if
+ * needed.
+ * @throws 409 for drafts and cancelled invoices; 400 with no address
+ */
+export const sendInvoiceEmail = async (invoiceId, { organization, to, user, verifyAccess, now = new Date() }) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  if (invoice.status === 'draft') throw httpError(409, 'Issue the invoice before sending it.');
+  if (invoice.status === 'cancelled') throw httpError(409, 'A cancelled invoice cannot be sent.');
+
+  const records = await loadSaleRecords(invoice);
+  if (!(to || records.lead?.email)) throw httpError(400, 'The customer has no email address; give one to send to.');
+  const pdf = invoice.pdfFile?.s3Key
+    ? { s3Key: invoice.pdfFile.s3Key, fileName: invoice.pdfFile.fileName }
+    : await generateInvoicePdf(invoice, { user, now });
+
+  const delivery = await sendInvoice(invoice, { pdf, to, records, now });
+  if (!delivery.sent) throw httpError(502, `The invoice could not be emailed: ${delivery.error}`);
+  return { invoice, delivery };
+};
+
+/**
+ * A download link for the invoice PDF, generated on first request.
+ */
+export const getInvoicePdfLink = async (invoiceId, { organization, user, regenerate = false, verifyAccess, now = new Date() }) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  let { s3Key, fileName } = invoice.pdfFile || {};
+  // Drafts change, so their PDF is always fresh
+  if (!s3Key || regenerate || invoice.status === 'draft') {
+    ({ s3Key, fileName } = await generateInvoicePdf(invoice, { user, now }));
+  }
+  return { url: await getPresignedDownloadUrl(s3Key), fileName, invoiceNumber: invoice.invoiceNumber };
+};
+
+// ─── Receipts ──────────────────────────────────────────────────────────────
+
+/**
+ * Give a payment its receipt number from the project's receipt series. A
+ * receipt already numbered keeps its number. Updates the passed document.
+ */
+export const numberPaymentReceipt = async (transaction, { now = new Date() } = {}) => {
+  if (transaction.receiptGenerated) return transaction;
+
+  const issued = await issueNumber(
+    { organization: transaction.organization, project: transaction.project, documentType: 'receipt', date: now },
+    async (allocated, session) => {
+      const result = await PaymentTransaction.updateOne(
+        { _id: transaction._id, receiptGenerated: { $ne: true } },
+        {
+          $set: {
+            receiptGenerated: true,
+            receiptNumber: allocated.number,
+            receiptDate: now,
+            receiptSeries: allocated.series,
+          },
+        },
+        { session }
+      );
+      return result.modifiedCount === 1;
+    }
+  );
+
+  const fields = issued
+    ? { receiptGenerated: true, receiptNumber: issued.number, receiptDate: now, receiptSeries: issued.series }
+    // Numbered concurrently elsewhere
+    : await PaymentTransaction.findById(transaction._id).select('receiptGenerated receiptNumber receiptDate receiptSeries').lean();
+  for (const [field, value] of Object.entries(fields || {})) {
+    if (field !== '_id') transaction[field] = value;
+  }
+  return transaction;
+};
+
+const paymentReceiptDetails = async (transaction) => {
+  const plan = await PaymentPlan.findById(transaction.paymentPlan).select('sale').lean();
+  const sale = plan?.sale ? await Sale.findById(plan.sale).select('unit').lean() : null;
+  const installmentIds = (transaction.paymentAllocations || [])
+    .filter((a) => !a.reversedAt)
+    .map((a) => a.installment);
+  const installments = installmentIds.length
+    ? await Installment.find({ _id: { $in: installmentIds } }).select('installmentNumber description').lean()
+    : [];
+  const byId = new Map(installments.map((inst) => [String(inst._id), inst]));
+  const method = transaction.paymentMethodDetails || {};
+  const pendingInstrument = ['cheque', 'demand_draft'].includes(transaction.paymentMethod) &&
+    transaction.status !== 'cleared' && method.chequeStatus !== 'cleared';
+
+  return {
+    records: { organization: transaction.organization, project: transaction.project, customer: transaction.customer, sale: plan?.sale, unit: sale?.unit },
+    receipt: {
+      number: transaction.receiptNumber,
+      date: transaction.receiptDate,
+      amount: transaction.amount,
+      paymentDate: transaction.paymentDate,
+      paymentMethod: transaction.paymentMethod,
+      reference: method.chequeNumber || method.ddNumber || method.referenceNumber || method.transactionId ||
+        method.gatewayTransactionId || method.loanReferenceNumber || method.receiptNumber,
+      transactionNumber: transaction.transactionNumber,
+      subjectToRealisation: pendingInstrument,
+      allocations: (transaction.paymentAllocations || [])
+        .filter((a) => !a.reversedAt)
+        .map((a) => {
+          const inst = byId.get(String(a.installment));
+          return {
+            description: inst ? `Installment ${inst.installmentNumber}${inst.description ? ` — ${inst.description}` : ''}` : 'Installment',
+            amount: a.allocatedAmount,
+          };
+        }),
+    },
+  };
+};
+
+/**
+ * Number a payment's receipt, file its PDF and email it to the customer.
+ * Calling it again keeps the number, regenerates the PDF and re-sends.
+ * @returns {Promise<{ receiptNumber, receiptDate, pdf: { generated, error? }, delivery }>}
+ * @throws 409 for cancelled, bounced or refunded payments
+ */
+export const issuePaymentReceipt = async (transactionId, { organization, user, send = true, to, verifyAccess, now = new Date() } = {}) => {
+  assertObjectId(transactionId, 'payment transaction');
+  const transaction = await PaymentTransaction.findOne({ _id: transactionId, ...(organization ? { organization } : {}) });
+  if (!transaction) throw httpError(404, 'Payment transaction not found.');
+  verifyAccess?.(transaction.project);
+  if (RECEIPTLESS_STATUSES.includes(transaction.status)) {
+    throw httpError(409, `A ${transaction.status} payment has no receipt.`);
+  }
+
+  await numberPaymentReceipt(transaction, { now });
+
+  const { records: ids, receipt } = await paymentReceiptDetails(transaction);
+  const records = await loadSaleRecords(ids);
+  const userId = userIdOf(user) || transaction.recordedBy;
+
+  let pdf = null;
+  let pdfError;
+  try {
+    pdf = await renderAndStore({
+      key: 'receipt',
+      context: receiptContext({ receipt, records, now }),
+      title: `Payment receipt ${receipt.number}`,
+      organization: transaction.organization,
+      userId,
+      existingFileId: transaction.receiptFile?.file,
+      resource: { id: transaction._id, type: 'Payment' },
+      folder: `receipts/${transaction.project}`,
+      tags: ['receipt'],
+      customFields: { receiptNumber: receipt.number },
+    });
+    await PaymentTransaction.updateOne({ _id: transaction._id }, {
+      $set: { receiptFile: { fileName: pdf.fileName, s3Key: pdf.s3Key, file: pdf.file._id, generatedAt: now } },
+    });
+  } catch (error) {
+    pdfError = error.message;
+    await PaymentTransaction.updateOne({ _id: transaction._id }, { $set: { 'receiptFile.error': error.message } });
+  }
+
+  let delivery = null;
+  if (send) {
+    delivery = pdf
+      ? await deliver({
+          to: (to || records.lead?.email || '').trim(),
+          pdf,
+          email: financeEmail({
+            kind: 'receipt',
+            number: receipt.number,
+            customerName: fullName(records.lead),
+            organizationName: records.organization?.name || 'our team',
+            projectName: records.project?.name,
+            amount: receipt.amount,
+          }),
+        })
+      : { sent: false, error: 'The PDF could not be generated.' };
+    if (delivery.sent) {
+      await PaymentTransaction.updateOne({ _id: transaction._id }, { $set: { receiptEmailedTo: delivery.to, receiptEmailedAt: now } });
+    }
+  }
+
+  return {
+    receiptNumber: transaction.receiptNumber,
+    receiptDate: transaction.receiptDate,
+    pdf: { generated: Boolean(pdf), error: pdfError },
+    delivery,
+  };
+};
+
+/**
+ * A download link for a payment's receipt PDF, generated on first request.
+ * @throws 409 when the payment has no receipt
+ */
+export const getPaymentReceiptLink = async (transactionId, { organization, user, verifyAccess, now = new Date() }) => {
+  assertObjectId(transactionId, 'payment transaction');
+  const transaction = await PaymentTransaction.findOne({ _id: transactionId, organization })
+    .select('project receiptGenerated receiptNumber receiptFile')
+    .lean();
+  if (!transaction) throw httpError(404, 'Payment transaction not found.');
+  verifyAccess?.(transaction.project);
+  if (!transaction.receiptGenerated) throw httpError(409, 'No receipt has been issued for this payment.');
+
+  let { s3Key, fileName } = transaction.receiptFile || {};
+  if (!s3Key) {
+    const result = await issuePaymentReceipt(transactionId, { organization, user, send: false, now });
+    if (!result.pdf.generated) throw httpError(502, `The receipt could not be generated: ${result.pdf.error}`);
+    ({ s3Key, fileName } = (await PaymentTransaction.findById(transactionId).select('receiptFile').lean()).receiptFile);
+  }
+  return { url: await getPresignedDownloadUrl(s3Key), fileName, receiptNumber: transaction.receiptNumber };
+};
+
+const invoiceReceiptDetails = (invoice, entry) => ({
+  records: invoice,
+  receipt: {
+    number: entry.receiptNumber,
+    date: entry.issuedAt,
+    amount: entry.amount,
+    paymentDate: entry.paymentDate,
+    paymentMethod: entry.paymentMethod,
+    reference: entry.paymentReference,
+    invoiceNumber: invoice.invoiceNumber,
+    subjectToRealisation: entry.paymentMethod === 'cheque',
+    allocations: [],
+  },
+});
+
+const storeInvoiceReceiptPdf = async (invoice, entry, { user, now }) => {
+  const { records: ids, receipt } = invoiceReceiptDetails(invoice, entry);
+  const records = await loadSaleRecords(ids);
+  try {
+    const pdf = await renderAndStore({
+      key: 'receipt',
+      context: receiptContext({ receipt, records, now }),
+      title: `Payment receipt ${receipt.number}`,
+      organization: invoice.organization,
+      userId: userIdOf(user) || invoice.generatedBy,
+      existingFileId: entry.pdfFile?.file,
+      resource: { id: invoice._id, type: 'Invoice' },
+      folder: `receipts/${invoice.project}`,
+      tags: ['receipt'],
+      customFields: { receiptNumber: receipt.number, invoiceNumber: invoice.invoiceNumber },
+    });
+    await Invoice.updateOne({ _id: invoice._id, 'receipts._id': entry._id }, {
+      $set: { 'receipts.$.pdfFile': { fileName: pdf.fileName, s3Key: pdf.s3Key, file: pdf.file._id, generatedAt: now } },
+    });
+    return { pdf, records, receipt };
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id, 'receipts._id': entry._id }, { $set: { 'receipts.$.pdfFile.error': error.message } });
+    return { pdf: null, error: error.message, records, receipt };
+  }
+};
+
+/**
+ * Receipt for a payment recorded against an invoice: numbered from the
+ * project's receipt series, kept on invoice.receipts, filed and emailed.
+ * @param {Object} payment - { amount, paymentDate, paymentMethod, paymentReference }
+ * @returns {Promise<{ receipt, pdf: { generated, error? }, delivery }>}
+ */
+export const issueInvoiceReceipt = async (invoiceId, payment, { organization, user, send = true, verifyAccess, now = new Date() }) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  const receiptId = new mongoose.Types.ObjectId();
+
+  await issueNumber(
+    { organization: invoice.organization, project: invoice.project, documentType: 'receipt', date: now },
+    async (allocated, session) => {
+      const result = await Invoice.updateOne(
+        { _id: invoice._id },
+        {
+          $push: {
+            receipts: {
+              _id: receiptId,
+              receiptNumber: allocated.number,
+              numberSeries: allocated.series,
+              amount: payment.amount,
+              paymentDate: payment.paymentDate || now,
+              paymentMethod: payment.paymentMethod,
+              paymentReference: payment.paymentReference,
+              issuedAt: now,
+            },
+          },
+        },
+        { session }
+      );
+      return result.modifiedCount === 1;
+    }
+  );
+
+  const updated = await Invoice.findById(invoice._id);
+  const entry = updated.receipts.id(receiptId);
+  const { pdf, error, records, receipt } = await storeInvoiceReceiptPdf(updated, entry, { user, now });
+
+  let delivery = null;
+  if (send) {
+    delivery = pdf
+      ? await deliver({
+          to: (records.lead?.email || '').trim(),
+          pdf,
+          email: financeEmail({
+            kind: 'receipt',
+            number: receipt.number,
+            customerName: fullName(records.lead),
+            organizationName: records.organization?.name || 'our team',
+            projectName: records.project?.name,
+            amount: receipt.amount,
+          }),
+        })
+      : { sent: false, error: 'The PDF could not be generated.' };
+    if (delivery.sent) {
+      await Invoice.updateOne({ _id: invoice._id, 'receipts._id': receiptId }, {
+        $set: { 'receipts.$.emailedTo': delivery.to, 'receipts.$.emailedAt': now },
+      });
+    }
+  }
+
+  return { receipt: entry, pdf: { generated: Boolean(pdf), error }, delivery };
+};
+
+/**
+ * A download link for a receipt kept on an invoice, generated if missing.
+ */
+export const getInvoiceReceiptLink = async (invoiceId, receiptId, { organization, user, verifyAccess, now = new Date() }) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  assertObjectId(receiptId, 'receipt');
+  const entry = invoice.receipts.id(receiptId);
+  if (!entry) throw httpError(404, 'Receipt not found on this invoice.');
+
+  let { s3Key, fileName } = entry.pdfFile || {};
+  if (!s3Key) {
+    const { pdf, error } = await storeInvoiceReceiptPdf(invoice, entry, { user, now });
+    if (!pdf) throw httpError(502, `The receipt could not be generated: ${error}`);
+    ({ s3Key, fileName } = pdf);
+  }
+  return { url: await getPresignedDownloadUrl(s3Key), fileName, receiptNumber: entry.receiptNumber };
+};
+
+// ─── Credit and debit notes ────────────────────────────────────────────────
+
+const NOTE_AMOUNT_FIELD = {
+  credit_note: 'adjustments.creditNoteAmount',
+  debit_note: 'adjustments.debitNoteAmount',
+};
+
+// Invoice.netPayableAmount() as an expression, for update filters
+const NET_PAYABLE_EXPR = {
+  $round: [{
+    $subtract: [
+      { $add: [{ $ifNull: ['$financialSummary.totalAmount', 0] }, { $ifNull: ['$adjustments.debitNoteAmount', 0] }] },
+      { $ifNull: ['$adjustments.creditNoteAmount', 0] },
+    ],
+  }, 2],
+};
+
+// What each invoice line has been credited and debited by issued notes
+const lineAdjustmentsOf = async (invoiceId, session = null) => {
+  const notes = await AdjustmentNote.find({ invoice: invoiceId, status: 'issued' })
+    .select('noteType lineItems.invoiceLineItem lineItems.amount')
+    .session(session)
+    .lean();
+  const byLine = new Map();
+  for (const note of notes) {
+    for (const line of note.lineItems) {
+      if (!line.invoiceLineItem) continue;
+      const entry = byLine.get(String(line.invoiceLineItem)) || { credited: 0, debited: 0 };
+      entry[note.noteType === 'credit_note' ? 'credited' : 'debited'] += line.amount;
+      byLine.set(String(line.invoiceLineItem), entry);
+    }
+  }
+  return byLine;
+};
+
+/**
+ * Note lines from the requested adjustments. A line naming an invoice line
+ * (lineItemId) is taxed at that line's rate and SAC; a credit note can take
+ * off at most what is left of the line. A debit note may also add a charge
+ * of its own ({ description, gstRate, category?, hsnSacCode? }).
+ */
+const buildNoteLines = (invoice, noteType, lines, adjusted) => {
+  if (!Array.isArray(lines) || !lines.length) throw httpError(400, 'lines must list at least one adjustment.');
+  const seen = new Set();
+
+  return lines.map((line, i) => {
+    const amount = round2(line?.amount);
+    if (!(amount > 0)) throw httpError(400, `lines[${i}].amount must be more than 0.`);
+
+    if (line.lineItemId) {
+      assertObjectId(line.lineItemId, `lines[${i}].lineItemId`);
+      const original = invoice.lineItems.id(line.lineItemId);
+      if (!original) throw httpError(400, `lines[${i}].lineItemId is not a line of invoice ${invoice.invoiceNumber}.`);
+      if (seen.has(String(original._id))) throw httpError(400, `"${original.description}" is adjusted twice; combine the amounts.`);
+      seen.add(String(original._id));
+
+      if (noteType === 'credit_note') {
+        const { credited = 0, debited = 0 } = adjusted.get(String(original._id)) || {};
+        const remaining = round2(original.totalPrice + debited - credited);
+        if (amount > remaining) {
+          throw httpError(400, `At most ${formatCurrency(Math.max(0, remaining))} of "${original.description}" is left to credit.`);
+        }
+      }
+      return {
+        invoiceLineItem: original._id,
+        description: line.description ? String(line.description).trim() : original.description,
+        category: original.category,
+        hsnSacCode: original.hsnSacCode,
+        amount,
+        taxable: original.taxable !== false,
+        gstRate: original.gstRate || 0,
+      };
+    }
+
+    if (noteType === 'credit_note') {
+      throw httpError(400, `lines[${i}]: a credit note line must name the invoice line it reduces (lineItemId).`);
+    }
+    if (!line.description) throw httpError(400, `lines[${i}].description is required for a new charge.`);
+    const gstRate = Number(line.gstRate ?? 0);
+    if (!(gstRate >= 0 && gstRate <= 30)) throw httpError(400, `lines[${i}].gstRate must be from 0 to 30.`);
+    return {
+      invoiceLineItem: null,
+      description: String(line.description).trim(),
+      category: line.category || 'other_charges',
+      hsnSacCode: line.hsnSacCode || undefined,
+      amount,
+      taxable: gstRate > 0,
+      gstRate,
+    };
+  });
+};
+
+/**
+ * Tax note lines as the invoice was taxed: same supplier state and place of
+ * supply, so CGST + SGST or IGST follows the invoice.
+ */
+const taxNoteLines = (noteLines, invoice, project) => {
+  const supplierState = invoice.supplier?.stateCode ||
+    stateFromGstin(project?.gstNumber) || gstStateFor(project?.location?.state);
+  const place = invoice.placeOfSupply?.code || gstStateFor(project?.location?.state) || supplierState;
+  const split = splitGst(noteLines.map((line) => ({ ...line, totalPrice: line.amount })), {
+    supplierState,
+    placeOfSupply: place,
+    sacCodes: project?.invoicing?.sacCodes,
+    projectType: project?.type,
+  });
+
+  const subtotal = round2(noteLines.reduce((sum, line) => sum + line.amount, 0));
+  const totalAmount = round2(subtotal + split.totals.totalGstAmount);
+  return {
+    taxType: split.taxType,
+    placeOfSupply: split.placeOfSupply ? { ...split.placeOfSupply } : undefined,
+    lineItems: split.lineItems.map(({ totalPrice, ...line }) => line),
+    totals: { subtotal, ...split.totals, totalAmount, amountInWords: amountInWords(totalAmount) },
+  };
+};
+
+// Re-derive status, pending amount and refund due from the invoice's totals
+const refreshInvoiceBalance = async (invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  await invoice.save();
+  return invoice;
+};
+
+const noteContext = (note, invoice, records, now) => {
+  const supplier = invoice.supplier?.name ? invoice.supplier : supplierOf(records.project, records.organization);
+  const recipient = invoice.recipient?.name ? invoice.recipient : recipientOf(records.lead);
+  const netAmount = invoice.netPayableAmount();
+  return {
+    ...buildTemplateContext({ ...records, now }),
+    documentNumber: note.noteNumber,
+    supplier: { ...supplier },
+    recipient: { ...recipient, email: records.lead?.email, phone: records.lead?.phone },
+    note: {
+      title: ADJUSTMENT_NOTE_TYPES[note.noteType],
+      type: note.noteType,
+      number: note.noteNumber,
+      date: note.noteDate,
+      dateFormatted: formatDate(note.noteDate),
+      reason: note.reason,
+      reasonLabel: ADJUSTMENT_NOTE_REASONS[note.reason],
+      reasonDetails: note.reasonDetails,
+      placeOfSupply: { code: note.placeOfSupply?.code, name: note.placeOfSupply?.name },
+      isInterState: note.taxType === 'inter_state',
+      invoice: {
+        number: invoice.invoiceNumber,
+        date: invoice.invoiceDate,
+        dateFormatted: formatDate(invoice.invoiceDate),
+        netAmount,
+        netAmountFormatted: formatCurrency(netAmount),
+        ...money(['pendingAmount', 'refundDue'], invoice.paymentDetails || {}),
+      },
+      lines: note.lineItems.map((line, i) => ({
+        number: i + 1,
+        description: line.description,
+        hsnSacCode: line.hsnSacCode,
+        gstRate: line.gstRate,
+        cgstRate: line.cgstRate,
+        sgstRate: line.sgstRate,
+        igstRate: line.igstRate,
+        ...money(['amount', 'cgstAmount', 'sgstAmount', 'igstAmount', 'gstAmount'], line),
+        total: round2(line.amount + (line.gstAmount || 0)),
+        totalFormatted: formatCurrency(round2(line.amount + (line.gstAmount || 0))),
+      })),
+      totals: money(['subtotal', 'taxableAmount', 'cgstAmount', 'sgstAmount', 'igstAmount', 'totalGstAmount', 'totalAmount'], note.totals),
+      amountInWords: note.totals.amountInWords,
+    },
+  };
+};
+
+/**
+ * Render a note's PDF and file it with its invoice.
+ */
+const generateNotePdf = async (note, invoice, { user, records, now }) => {
+  const context = noteContext(note, invoice, records || await loadSaleRecords(invoice), now);
+  try {
+    const pdf = await renderAndStore({
+      key: note.noteType,
+      context,
+      title: `${context.note.title} ${note.noteNumber}`,
+      organization: note.organization,
+      userId: userIdOf(user) || note.createdBy,
+      existingFileId: note.pdfFile?.file,
+      resource: { id: invoice._id, type: 'Invoice' },
+      folder: `invoices/${invoice.project}`,
+      tags: [note.noteType.replace('_', '-')],
+      customFields: { noteNumber: note.noteNumber, invoiceNumber: invoice.invoiceNumber },
+    });
+    const pdfFile = { fileName: pdf.fileName, s3Key: pdf.s3Key, file: pdf.file._id, generatedAt: now };
+    await AdjustmentNote.updateOne({ _id: note._id }, { $set: { pdfFile } });
+    note.pdfFile = pdfFile;
+    return pdf;
+  } catch (error) {
+    await AdjustmentNote.updateOne({ _id: note._id }, { $set: { 'pdfFile.error': error.message } });
+    throw error;
+  }
+};
+
+/**
+ * Issue a credit or debit note against an issued invoice: lines adjusted,
+ * GST recomputed as on the invoice, numbered from the project's note series
+ * together with the invoice's adjustments total, filed and emailed.
+ * @param {Object} params
+ * @param {'credit_note'|'debit_note'} params.noteType
+ * @param {string} params.reason - a key of ADJUSTMENT_NOTE_REASONS
+ * @param {Array<{ lineItemId?, amount, description?, gstRate?, category?, hsnSacCode? }>} params.lines
+ *   - amount is the change in the line's value before tax
+ * @returns {Promise<{ note, invoice, pdf: { generated, error? }, delivery }>}
+ * @throws 409 for drafts and cancelled invoices, or when notes issued
+ *   meanwhile leave too little to credit
+ */
+export const createAdjustmentNote = async (invoiceId, {
+  organization,
+  user,
+  noteType,
+  reason,
+  reasonDetails,
+  lines,
+  send = true,
+  to,
+  verifyAccess,
+  now = new Date(),
+}) => {
+  if (!ADJUSTMENT_NOTE_TYPES[noteType]) {
+    throw httpError(400, `noteType must be one of: ${Object.keys(ADJUSTMENT_NOTE_TYPES).join(', ')}.`);
+  }
+  if (!ADJUSTMENT_NOTE_REASONS[reason]) {
+    throw httpError(400, `reason must be one of: ${Object.keys(ADJUSTMENT_NOTE_REASONS).join(', ')}.`);
+  }
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  if (invoice.status === 'cancelled') throw httpError(409, 'A cancelled invoice cannot be adjusted.');
+  if (invoice.status === 'draft') throw httpError(409, 'Edit the draft instead; notes adjust issued invoices.');
+
+  const [adjusted, records] = await Promise.all([lineAdjustmentsOf(invoice._id), loadSaleRecords(invoice)]);
+  const taxed = taxNoteLines(buildNoteLines(invoice, noteType, lines, adjusted), invoice, records.project);
+  if (noteType === 'credit_note' && taxed.totals.totalAmount > invoice.netPayableAmount()) {
+    throw httpError(400, `The credit note (${formatCurrency(taxed.totals.totalAmount)}) is more than the invoice's ${formatCurrency(invoice.netPayableAmount())}.`);
+  }
+
+  let noteId;
+  await issueNumber(
+    { organization: invoice.organization, project: invoice.project, documentType: noteType, date: now },
+    async (allocated, session) => {
+      // The checks above read the invoice before this transaction. Re-check
+      // here: a credit only applies while it still fits the invoice, and a
+      // concurrent note write-conflicts on this update, so a retry sees it.
+      const result = await Invoice.updateOne(
+        noteType === 'credit_note'
+          ? { _id: invoice._id, $expr: { $gte: [NET_PAYABLE_EXPR, taxed.totals.totalAmount] } }
+          : { _id: invoice._id },
+        { $inc: { [NOTE_AMOUNT_FIELD[noteType]]: taxed.totals.totalAmount } },
+        { session }
+      );
+      if (result.modifiedCount !== 1) {
+        throw httpError(409, `Other notes have reduced invoice ${invoice.invoiceNumber} below this credit note (${formatCurrency(taxed.totals.totalAmount)}).`);
+      }
+      if (noteType === 'credit_note') {
+        buildNoteLines(invoice, noteType, lines, await lineAdjustmentsOf(invoice._id, session));
+      }
+
+      const [note] = await AdjustmentNote.create([{
+        organization: invoice.organization,
+        project: invoice.project,
+        invoice: invoice._id,
+        sale: invoice.sale,
+        unit: invoice.unit,
+        customer: invoice.customer,
+        noteType,
+        noteNumber: allocated.number,
+        numberSeries: allocated.series,
+        seriesSequence: allocated.sequence,
+        financialYear: allocated.financialYear,
+        noteDate: now,
+        reason,
+        reasonDetails,
+        ...taxed,
+        createdBy: userIdOf(user),
+      }], { session });
+      noteId = note._id;
+      return true;
+    }
+  );
+
+  const [note, updatedInvoice] = await Promise.all([
+    AdjustmentNote.findById(noteId),
+    refreshInvoiceBalance(invoice._id),
+  ]);
+
+  let pdf = null;
+  let pdfError;
+  try {
+    pdf = await generateNotePdf(note, updatedInvoice, { user, records, now });
+  } catch (error) {
+    pdfError = error.message;
+  }
+
+  let delivery = null;
+  if (send) {
+    delivery = pdf
+      ? await deliver({
+          to: (to || records.lead?.email || '').trim(),
+          pdf,
+          email: financeEmail({
+            kind: noteType,
+            number: note.noteNumber,
+            customerName: fullName(records.lead),
+            organizationName: records.organization?.name || 'our team',
+            projectName: records.project?.name,
+            amount: note.totals.totalAmount,
+            invoiceNumber: updatedInvoice.invoiceNumber,
+          }),
+        })
+      : { sent: false, error: 'The PDF could not be generated.' };
+    if (delivery.sent) {
+      await AdjustmentNote.updateOne({ _id: note._id }, { $set: { emailedTo: delivery.to, emailedAt: now } });
+    }
+  }
+
+  return { note, invoice: updatedInvoice, pdf: { generated: Boolean(pdf), error: pdfError }, delivery };
+};
+
+/**
+ * Cancel a note issued in error; its amount comes off the invoice's
+ * adjustments. The number stays used.
+ * @throws 409 when the note is already cancelled, or when it is a debit note
+ *   and the invoice's credits would then exceed what is left to bill
+ */
+export const cancelAdjustmentNote = async (invoiceId, noteId, { organization, user, reason, verifyAccess, now = new Date() }) => {
+  if (!reason || !String(reason).trim()) throw httpError(400, 'A cancellation reason is required.');
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  assertObjectId(noteId, 'note');
+  const note = await AdjustmentNote.findOne({ _id: noteId, invoice: invoice._id }).lean();
+  if (!note) throw httpError(404, 'Note not found on this invoice.');
+  if (note.status === 'cancelled') throw httpError(409, `${ADJUSTMENT_NOTE_TYPES[note.noteType]} ${note.noteNumber} is already cancelled.`);
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const result = await AdjustmentNote.updateOne(
+        { _id: note._id, status: 'issued' },
+        { $set: { status: 'cancelled', cancellation: { reason: String(reason).trim(), cancelledBy: userIdOf(user), cancelledAt: now } } },
+        { session }
+      );
+      if (result.modifiedCount !== 1) throw httpError(409, `${ADJUSTMENT_NOTE_TYPES[note.noteType]} ${note.noteNumber} is already cancelled.`);
+      // Taking a debit off must not leave the invoice credited below zero
+      const reduced = await Invoice.updateOne(
+        note.noteType === 'debit_note'
+          ? { _id: invoice._id, $expr: { $gte: [NET_PAYABLE_EXPR, note.totals.totalAmount] } }
+          : { _id: invoice._id },
+        { $inc: { [NOTE_AMOUNT_FIELD[note.noteType]]: -note.totals.totalAmount } },
+        { session }
+      );
+      if (reduced.modifiedCount !== 1) {
+        throw httpError(409, `Credit notes on invoice ${invoice.invoiceNumber} rely on debit note ${note.noteNumber}; cancel them first.`);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  const [cancelled, updatedInvoice] = await Promise.all([
+    AdjustmentNote.findById(note._id),
+    refreshInvoiceBalance(invoice._id),
+  ]);
+  return { note: cancelled, invoice: updatedInvoice };
+};
+
+/**
+ * Credit and debit notes, newest first — for one invoice or the organization.
+ * @param {Object} [params.projectFilter] - projectAccessFilter(req)
+ */
+export const listAdjustmentNotes = async ({ organization, invoice, noteType, status, project, projectFilter = {}, verifyAccess }) => {
+  const filter = { organization, ...projectFilter };
+  if (invoice) {
+    const owner = await loadInvoice(invoice, organization, verifyAccess);
+    filter.invoice = owner._id;
+  }
+  if (noteType) {
+    if (!ADJUSTMENT_NOTE_TYPES[noteType]) throw httpError(400, 'noteType must be credit_note or debit_note.');
+    filter.noteType = noteType;
+  }
+  if (status) filter.status = status;
+  if (project) {
+    verifyAccess?.(project);
+    filter.project = project;
+  }
+  return AdjustmentNote.find(filter)
+    .populate('invoice', 'invoiceNumber invoiceDate')
+    .populate('customer', 'firstName lastName')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ noteDate: -1 })
+    .lean();
+};
+
+/**
+ * A download link for a note's PDF, generated on first request.
+ */
+export const getAdjustmentNotePdfLink = async (invoiceId, noteId, { organization, user, verifyAccess, now = new Date() }) => {
+  const invoice = await loadInvoice(invoiceId, organization, verifyAccess);
+  assertObjectId(noteId, 'note');
+  const note = await AdjustmentNote.findOne({ _id: noteId, invoice: invoice._id });
+  if (!note) throw httpError(404, 'Note not found on this invoice.');
+
+  let { s3Key, fileName } = note.pdfFile || {};
+  if (!s3Key) {
+    ({ s3Key, fileName } = await generateNotePdf(note, invoice, { user, now }));
+  }
+  return { url: await getPresignedDownloadUrl(s3Key), fileName, noteNumber: note.noteNumber };
+};
@@ -0,0 +1,582 @@
+// File: services/homeLoanService.js
+// Description: Home loan cases for buyers. One open case per Sale tracks the
+//   lender (a project tie-up bank from paymentConfiguration.homeLoanTieUps or
+//   any other lender), sanction, document checklist and the disbursement
+//   schedule.
+//
+//   On sanction, the sanctioned amount is spread over the sale's unpaid
+//   installments: the buyer's own contribution (what the loan doesn't cover)
+//   pays the earliest installments and the lender the rest, so each schedule
+//   entry is the part of one installment the lender is expected to pay. When
+//   a construction-linked installment falls due (milestoneDemandService), its
+//   scheduled entry is requested from the lender with a disbursement request
+//   letter; entries can also be requested by hand. Recording the lender's
+//   payment moves the case to partially / fully disbursed.
+
+import mongoose from 'mongoose';
+import HomeLoan, {
+  HOME_LOAN_STATUSES,
+  LOAN_DOCUMENT_STATUSES,
+  DEFAULT_LOAN_DOCUMENTS,
+} from '../models/homeLoanModel.js';
+import Sale from '../models/salesModel.js';
+import Project from '../models/projectModel.js';
+import Installment from '../models/installmentModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Manual status changes. partially_disbursed / fully_disbursed follow from
+// recorded disbursements; rejected and cancelled are final.
+export const LOAN_STATUS_TRANSITIONS = {
+  applied: ['under_process', 'sanctioned', 'rejected', 'cancelled'],
+  under_process: ['sanctioned', 'rejected', 'cancelled'],
+  sanctioned: ['cancelled'],
+  partially_disbursed: [],
+  fully_disbursed: [],
+  rejected: [],
+  cancelled: [],
+};
+
+const OPEN_LOAN_STATUSES = ['applied', 'under_process', 'sanctioned', 'partially_disbursed', 'fully_disbursed'];
+// Disbursements can be requested and recorded once the loan is sanctioned.
+const DISBURSING_STATUSES = ['sanctioned', 'partially_disbursed'];
+const UNPAID_INSTALLMENT_STATUSES = ['pending', 'due', 'overdue', 'partially_paid'];
+const LOANABLE_SALE_STATUSES = ['Booked', 'Agreement Signed', 'Registered'];
+
+const LENDER_FIELDS = ['name', 'branch', 'contactName', 'contactEmail', 'contactPhone'];
+const LOAN_FIELDS = ['loanAccountNumber', 'applicationReference', 'appliedAmount', 'interestRate', 'tenureMonths', 'sanctionReference', 'sanctionValidUntil', 'notes'];
+const TIE_UP_FIELDS = ['bankName', 'branch', 'approvalReference', 'contactName', 'contactEmail', 'contactPhone', 'interestRateFrom', 'maxLoanToValuePct', 'isActive'];
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const positiveAmount = (value, label) => {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw httpError(400, `${label} must be more than zero.`);
+  return n;
+};
+
+const optionalDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, `${label} must be a date.`);
+  return d;
+};
+
+const pick = (source = {}, keys) =>
+  Object.fromEntries(keys.filter((k) => source[k] !== undefined).map((k) => [k, source[k]]));
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatInr = (n) => `₹${Math.round(n || 0).toLocaleString('en-IN')}`;
+
+const formatDate = (d) => new Date(d).toLocaleDateString('en-IN', {
+  day: 'numeric', month: 'short', year: 'numeric',
+});
+
+const loadProject = async (projectId, organization, verifyAccess) => {
+  assertObjectId(projectId, 'project');
+  const project = await Project.findOne({ _id: projectId, organization });
+  if (!project) throw httpError(404, 'Project not found.');
+  verifyAccess?.(project._id);
+  return project;
+};
+
+const loadLoan = async (loanId, organization, verifyAccess) => {
+  assertObjectId(loanId, 'home loan');
+  const loan = await HomeLoan.findOne({ _id: loanId, organization });
+  if (!loan) throw httpError(404, 'Home loan not found.');
+  verifyAccess?.(loan.project);
+  return loan;
+};
+
+const findEntry = (loan, entryId) => {
+  const entry = loan.disbursements.id(entryId);
+  if (!entry) throw httpError(404, 'Disbursement not found.');
+  return entry;
+};
+
+const pushStatus = (loan, status, user, note) => {
+  loan.status = status;
+  loan.statusHistory.push({ status, at: new Date(), by: user?._id, note });
+};
+
+// ─── Tie-up banks ──────────────────────────────────────────────────────────
+
+/** A project's tie-up banks. */
+export const listTieUps = async ({ organization, projectId, verifyAccess }) => {
+  const project = await loadProject(projectId, organization, verifyAccess);
+  return project.paymentConfiguration?.homeLoanTieUps || [];
+};
+
+/** Add a tie-up bank to a project. @returns the project's tie-ups */
+export const addTieUp = async ({ organization, projectId, fields = {}, verifyAccess }) => {
+  const project = await loadProject(projectId, organization, verifyAccess);
+  if (!fields.bankName) throw httpError(400, 'bankName is required.');
+  if (!project.paymentConfiguration) project.paymentConfiguration = {};
+  project.paymentConfiguration.homeLoanTieUps.push(pick(fields, TIE_UP_FIELDS));
+  await project.save();
+  return project.paymentConfiguration.homeLoanTieUps;
+};
+
+/** Edit (or deactivate, isActive: false) a tie-up bank. @returns the project's tie-ups */
+export const updateTieUp = async ({ organization, projectId, tieUpId, fields = {}, verifyAccess }) => {
+  const project = await loadProject(projectId, organization, verifyAccess);
+  const tieUp = project.paymentConfiguration?.homeLoanTieUps?.id(tieUpId);
+  if (!tieUp) throw httpError(404, 'Tie-up bank not found.');
+  Object.assign(tieUp, pick(fields, TIE_UP_FIELDS));
+  await project.save();
+  return project.paymentConfiguration.homeLoanTieUps;
+};
+
+// ─── Disbursement schedule ─────────────────────────────────────────────────
+
+/**
+ * Spread a loan amount over unpaid installments. The buyer's own
+ * contribution (total unpaid minus the loan) pays the earliest installments;
+ * the lender pays the rest, in installment order, until the loan is used up.
+ * Pure.
+ *
+ * @param {Array} installments - _id, installmentNumber, description, status,
+ *   pendingAmount, currentDueDate
+ * @param {number} loanAmount
+ * @returns {Array<{ installment, installmentNumber, description, expectedAmount, expectedDate }>}
+ */
+export const planDisbursements = (installments, loanAmount) => {
+  const unpaid = installments
+    .filter((i) => UNPAID_INSTALLMENT_STATUSES.includes(i.status) && (i.pendingAmount || 0) > 0)
+    .sort((a, b) => a.installmentNumber - b.installmentNumber);
+  const totalUnpaid = unpaid.reduce((sum, i) => sum + i.pendingAmount, 0);
+
+  let ownContribution = Math.max(0, totalUnpaid - loanAmount);
+  let loanLeft = Math.min(loanAmount, totalUnpaid);
+  const plan = [];
+  for (const installment of unpaid) {
+    const fromBuyer = Math.min(ownContribution, installment.pendingAmount);
+    ownContribution -= fromBuyer;
+    const fromLender = Math.min(loanLeft, installment.pendingAmount - fromBuyer);
+    loanLeft -= fromLender;
+    if (fromLender > 0) {
+      plan.push({
+        installment: installment._id,
+        installmentNumber: installment.installmentNumber,
+        description: installment.description,
+        expectedAmount: Math.round(fromLender * 100) / 100,
+        expectedDate: installment.currentDueDate,
+      });
+    }
+  }
+  return plan;
+};
+
+/**
+ * Re-plan the entries not yet requested: requested and disbursed entries are
+ * kept, and what is left of the sanction is spread over the installments
+ * they don't cover.
+ */
+const replanSchedule = async (loan) => {
+  const kept = loan.disbursements.filter((d) => ['requested', 'disbursed'].includes(d.status));
+  const committed = kept.reduce((sum, d) => sum + (d.status === 'disbursed' ? d.disbursedAmount || 0 : d.expectedAmount), 0);
+  const covered = new Set(kept.map((d) => String(d.installment)));
+
+  const installments = await Installment.find({ sale: loan.sale, status: { $in: UNPAID_INSTALLMENT_STATUSES } })
+    .select('installmentNumber description status pendingAmount currentDueDate')
+    .lean();
+  const plan = planDisbursements(
+    installments.filter((i) => !covered.has(String(i._id))),
+    Math.max(0, (loan.sanctionedAmount || 0) - committed)
+  );
+  loan.disbursements = [...kept, ...plan];
+};
+
+/**
+ * Rebuild the not-yet-requested part of the schedule, e.g. after the payment
+ * plan changed.
+ * @returns {Promise<Object>} the HomeLoan
+ */
+export const rebuildDisbursementSchedule = async (loanId, { organization, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (!DISBURSING_STATUSES.includes(loan.status)) {
+    throw httpError(409, 'The schedule can only be rebuilt for a sanctioned loan.');
+  }
+  await replanSchedule(loan);
+  return loan.save();
+};
+
+// ─── Cases ─────────────────────────────────────────────────────────────────
+
+/**
+ * Open a home loan case for a sale. With tieUpId the lender's details come
+ * from the project's tie-up bank.
+ * @returns {Promise<Object>} the HomeLoan
+ * @throws 409 when the sale already has an open case
+ */
+export const createHomeLoan = async ({ organization, fields = {}, user, verifyAccess }) => {
+  assertObjectId(fields.saleId, 'sale');
+  const sale = await Sale.findOne({ _id: fields.saleId, organization }).select('project lead status salePrice');
+  if (!sale) throw httpError(404, 'Sale not found.');
+  verifyAccess?.(sale.project);
+  if (!LOANABLE_SALE_STATUSES.includes(sale.status)) {
+    throw httpError(409, `A home loan cannot be opened for a ${sale.status} sale.`);
+  }
+  if (await HomeLoan.exists({ sale: sale._id, status: { $in: OPEN_LOAN_STATUSES } })) {
+    throw httpError(409, 'This sale already has an open home loan case.');
+  }
+
+  let lender = pick(fields.lender, LENDER_FIELDS);
+  if (fields.tieUpId) {
+    const project = await Project.findOne({ _id: sale.project, organization }).select('paymentConfiguration.homeLoanTieUps');
+    const tieUp = project?.paymentConfiguration?.homeLoanTieUps?.id(fields.tieUpId);
+    if (!tieUp || !tieUp.isActive) throw httpError(400, 'That lender is not an active tie-up bank for this project.');
+    lender = {
+      name: tieUp.bankName,
+      branch: tieUp.branch,
+      contactName: tieUp.contactName,
+      contactEmail: tieUp.contactEmail,
+      contactPhone: tieUp.contactPhone,
+      ...lender,
+      tieUp: tieUp._id,
+    };
+  }
+  if (!lender.name) throw httpError(400, 'A lender name or tieUpId is required.');
+
+  const loan = pick(fields, LOAN_FIELDS);
+  if (loan.appliedAmount !== undefined) loan.appliedAmount = positiveAmount(loan.appliedAmount, 'appliedAmount');
+  if (loan.appliedAmount > sale.salePrice) throw httpError(400, 'appliedAmount cannot be more than the sale price.');
+  loan.sanctionValidUntil = optionalDate(loan.sanctionValidUntil, 'sanctionValidUntil');
+
+  return HomeLoan.create({
+    ...loan,
+    organization,
+    project: sale.project,
+    sale: sale._id,
+    lead: sale.lead,
+    lender,
+    status: 'applied',
+    statusHistory: [{ status: 'applied', at: new Date(), by: user._id }],
+    documents: DEFAULT_LOAN_DOCUMENTS.map((d) => ({ required: true, ...d })),
+    createdBy: user._id,
+  });
+};
+
+/** Home loan cases the caller can see, newest first. */
+export const listHomeLoans = async ({ organization, projectFilter = {}, projectId, status, saleId }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  if (status) query.status = status;
+  if (saleId) query.sale = saleId;
+  return HomeLoan.find(query)
+    .select('-disbursements.requestLetter')
+    .sort({ createdAt: -1 })
+    .populate('lead', 'firstName lastName phone')
+    .populate('project', 'name')
+    .populate({ path: 'sale', select: 'unit salePrice status', populate: { path: 'unit', select: 'unitNumber' } })
+    .lean();
+};
+
+/** One case with its schedule and checklist. */
+export const getHomeLoan = async (loanId, { organization, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  return loan.populate([
+    { path: 'lead', select: 'firstName lastName phone email' },
+    { path: 'project', select: 'name' },
+    { path: 'sale', select: 'unit salePrice status bookingDate', populate: { path: 'unit', select: 'unitNumber' } },
+    { path: 'disbursements.installment', select: 'installmentNumber status currentDueDate pendingAmount milestoneType demandRaisedAt' },
+    { path: 'documents.file', select: 'originalName url' },
+  ]);
+};
+
+/**
+ * Edit a case's lender, amounts and references. Status and sanction go
+ * through changeHomeLoanStatus.
+ * @returns {Promise<Object>} the HomeLoan
+ */
+export const updateHomeLoan = async (loanId, { organization, fields = {}, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (['rejected', 'cancelled'].includes(loan.status)) throw httpError(409, `This loan is ${loan.status}.`);
+  const data = pick(fields, LOAN_FIELDS);
+  if (data.appliedAmount !== undefined) data.appliedAmount = positiveAmount(data.appliedAmount, 'appliedAmount');
+  if (data.sanctionValidUntil !== undefined) data.sanctionValidUntil = optionalDate(data.sanctionValidUntil, 'sanctionValidUntil');
+  Object.assign(loan, data);
+  for (const [k, v] of Object.entries(pick(fields.lender, LENDER_FIELDS))) loan.lender[k] = v;
+  return loan.save();
+};
+
+/**
+ * Move a case along: under_process, sanctioned (with sanctionedAmount, which
+ * builds the disbursement schedule), rejected (with a reason) or cancelled.
+ * @returns {Promise<Object>} the HomeLoan
+ */
+export const changeHomeLoanStatus = async (loanId, { organization, status, note, details = {}, user, verifyAccess }) => {
+  if (!HOME_LOAN_STATUSES.includes(status)) {
+    throw httpError(400, `status must be one of: ${HOME_LOAN_STATUSES.join(', ')}.`);
+  }
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (!LOAN_STATUS_TRANSITIONS[loan.status].includes(status)) {
+    throw httpError(409, `A ${loan.status} loan cannot be moved to ${status}.`);
+  }
+
+  if (status === 'sanctioned') {
+    const sale = await Sale.findById(loan.sale).select('salePrice');
+    const amount = positiveAmount(details.sanctionedAmount, 'sanctionedAmount');
+    if (sale && amount > sale.salePrice) throw httpError(400, 'sanctionedAmount cannot be more than the sale price.');
+    loan.sanctionedAmount = amount;
+    loan.sanctionedAt = optionalDate(details.sanctionedAt, 'sanctionedAt') || new Date();
+    Object.assign(loan, pick(details, ['sanctionReference', 'interestRate', 'tenureMonths', 'loanAccountNumber']));
+    if (details.sanctionValidUntil !== undefined) loan.sanctionValidUntil = optionalDate(details.sanctionValidUntil, 'sanctionValidUntil');
+    await replanSchedule(loan);
+  }
+  if (status === 'rejected') {
+    if (!details.rejectionReason && !note) throw httpError(400, 'A rejection reason is required.');
+    loan.rejectionReason = details.rejectionReason || note;
+  }
+  if (status === 'cancelled') {
+    for (const entry of loan.disbursements) {
+      if (entry.status === 'scheduled') entry.status = 'cancelled';
+    }
+  }
+
+  pushStatus(loan, status, user, note);
+  return loan.save();
+};
+
+/**
+ * Update a checklist item (status, uploaded file, note), or add a new one by
+ * giving a label for an unknown key.
+ * @returns {Promise<Object>} the HomeLoan
+ */
+export const updateLoanDocument = async (loanId, key, { organization, fields = {}, user, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (fields.status !== undefined && !LOAN_DOCUMENT_STATUSES.includes(fields.status)) {
+    throw httpError(400, `status must be one of: ${LOAN_DOCUMENT_STATUSES.join(', ')}.`);
+  }
+  if (fields.fileId) assertObjectId(fields.fileId, 'file');
+
+  let doc = loan.documents.find((d) => d.key === key);
+  if (!doc) {
+    if (!fields.label) throw httpError(404, `No "${key}" document on this checklist; give a label to add it.`);
+    loan.documents.push({ key, label: fields.label, required: fields.required !== false });
+    doc = loan.documents[loan.documents.length - 1];
+  }
+  if (fields.label !== undefined) doc.label = fields.label;
+  if (fields.required !== undefined) doc.required = Boolean(fields.required);
+  if (fields.note !== undefined) doc.note = fields.note;
+  if (fields.fileId) {
+    doc.file = fields.fileId;
+    if (fields.status === undefined && doc.status === 'pending') doc.status = 'submitted';
+  }
+  if (fields.status !== undefined) doc.status = fields.status;
+  doc.updatedBy = user._id;
+  doc.updatedAt = new Date();
+  return loan.save();
+};
+
+// ─── Disbursement requests ─────────────────────────────────────────────────
+
+/**
+ * Subject, HTML and text of a disbursement request letter to the lender. Pure.
+ */
+export const buildDisbursementRequestLetter = ({ loan, entry, installment, lead, project, unit, bankAccount, reference, now = new Date() }) => {
+  const borrower = [lead?.firstName, lead?.lastName].filter(Boolean).join(' ') || 'the borrower';
+  const property = [project?.name, unit?.unitNumber && `Unit ${unit.unitNumber}`].filter(Boolean).join(', ');
+  const stage = installment?.milestoneDescription || entry.description || `Installment ${entry.installmentNumber}`;
+
+  const rows = [
+    ['Reference', reference],
+    ['Date', formatDate(now)],
+    ['Borrower', borrower],
+    ['Property', property],
+    ['Loan account', loan.loanAccountNumber || '—'],
+    ['Sanction', [loan.sanctionReference, loan.sanctionedAmount && formatInr(loan.sanctionedAmount)].filter(Boolean).join(' — ') || '—'],
+    ['Stage', stage],
+    ['Installment', `${entry.installmentNumber}${entry.description ? ` — ${entry.description}` : ''}`],
+    ['Amount requested', formatInr(entry.expectedAmount)],
+  ];
+  const payeeRows = bankAccount
+    ? [
+      ['Account name', bankAccount.accountHolderName],
+      ['Bank', [bankAccount.bankName, bankAccount.branch].filter(Boolean).join(', ')],
+      ['Account number', bankAccount.accountNumber],
+      ['IFSC', bankAccount.ifscCode],
+    ]
+    : [];
+
+  const body = `The construction stage below has been reached and the installment has fallen due under the agreement for sale with ${borrower}. `
+    + 'We request you to release the amount below from the sanctioned home loan, in our favour.';
+
+  const table = (pairs) => `<table cellpadding="6" style="border-collapse:collapse">${pairs
+    .map(([k, v]) => `<tr><td style="color:#555">${escapeHtml(k)}</td><td><b>${escapeHtml(v)}</b></td></tr>`)
+    .join('')}</table>`;
+
+  const to = [loan.lender?.contactName || 'The Branch Manager', loan.lender?.name, loan.lender?.branch].filter(Boolean).join(', ');
+  const html = [
+    `<p>To,<br/>${escapeHtml(to)}</p>`,
+    `<p><b>Subject: Request for disbursement — ${escapeHtml(borrower)}${loan.loanAccountNumber ? `, loan account ${escapeHtml(loan.loanAccountNumber)}` : ''}</b></p>`,
+    '<p>Dear Sir/Madam,</p>',
+    `<p>${escapeHtml(body)}</p>`,
+    table(rows),
+    payeeRows.length ? `<p>Please credit the amount to:</p>${table(payeeRows)}` : '',
+    '<p>Please quote the reference above with the payment.</p>',
+    `<p>Regards,<br/>${escapeHtml(project?.name || 'Collections')} — Collections</p>`,
+  ].join('\n');
+
+  const text = [
+    `To, ${to}`,
+    '',
+    `Request for disbursement — ${borrower}`,
+    '',
+    body,
+    '',
+    ...rows.map(([k, v]) => `${k}: ${v}`),
+    ...(payeeRows.length ? ['', 'Please credit the amount to:', ...payeeRows.map(([k, v]) => `${k}: ${v}`)] : []),
+  ].join('\n');
+
+  return { subject: `Disbursement request ${reference} | ${borrower}${property ? ` | ${property}` : ''}`, html, text };
+};
+
+/**
+ * Generate the request letter for one scheduled entry, email it to the
+ * lender's contact (when there is one) and mark the entry requested. A
+ * letter with no email on file can be downloaded and sent by hand.
+ * @returns {Promise<{ loan, entry, emailed: boolean }>}
+ */
+const sendDisbursementRequest = async (loan, entry, { user = null, now = new Date() } = {}) => {
+  const [installment, sale, project] = await Promise.all([
+    Installment.findById(entry.installment).select('milestoneDescription description installmentNumber').lean(),
+    Sale.findById(loan.sale).select('unit lead').populate('unit', 'unitNumber').populate('lead', 'firstName lastName').lean(),
+    Project.findById(loan.project).select('name paymentConfiguration.bankAccountDetails'),
+  ]);
+
+  const reference = `DR-${String(loan._id).slice(-6).toUpperCase()}-${entry.installmentNumber}`;
+  const letter = buildDisbursementRequestLetter({
+    loan,
+    entry,
+    installment,
+    lead: sale?.lead,
+    project,
+    unit: sale?.unit,
+    bankAccount: project?.primaryBankAccount,
+    reference,
+    now,
+  });
+
+  let emailed = false;
+  if (loan.lender?.contactEmail) {
+    await sendEmail({ to: loan.lender.contactEmail, ...letter });
+    emailed = true;
+  }
+
+  entry.status = 'requested';
+  entry.requestedAt = now;
+  entry.requestedBy = user?._id || null;
+  entry.requestLetter = { reference, ...letter, emailedTo: emailed ? loan.lender.contactEmail : undefined };
+  await loan.save();
+  return { loan, entry, emailed };
+};
+
+/**
+ * Request one scheduled disbursement from the lender now.
+ * @returns {Promise<{ loan, entry, emailed: boolean }>}
+ */
+export const requestDisbursement = async (loanId, entryId, { organization, user, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (!DISBURSING_STATUSES.includes(loan.status)) {
+    throw httpError(409, 'Disbursements can only be requested on a sanctioned loan.');
+  }
+  const entry = findEntry(loan, entryId);
+  if (!['scheduled', 'requested'].includes(entry.status)) {
+    throw httpError(409, `This disbursement is already ${entry.status}.`);
+  }
+  return sendDisbursementRequest(loan, entry, { user });
+};
+
+/**
+ * Request the lender's share of an installment that has just fallen due —
+ * called for each installment a completed construction milestone raises.
+ * @returns {Promise<number>} letters generated
+ */
+export const requestDisbursementsForInstallment = async (installment, { user = null, now = new Date() } = {}) => {
+  const loans = await HomeLoan.find({
+    organization: installment.organization,
+    status: { $in: DISBURSING_STATUSES },
+    disbursements: { $elemMatch: { installment: installment._id, status: 'scheduled' } },
+  });
+  let requested = 0;
+  for (const loan of loans) {
+    const entry = loan.disbursements.find((d) => String(d.installment) === String(installment._id) && d.status === 'scheduled');
+    entry.expectedDate = installment.currentDueDate;
+    await sendDisbursementRequest(loan, entry, { user, now });
+    requested += 1;
+  }
+  return requested;
+};
+
+/** The stored request letter for a disbursement. */
+export const getDisbursementLetter = async (loanId, entryId, { organization, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  const entry = findEntry(loan, entryId);
+  if (!entry.requestLetter?.html) throw httpError(404, 'No request letter has been generated for this disbursement yet.');
+  return entry.requestLetter;
+};
+
+/**
+ * Record the lender's payment of a disbursement. A PaymentTransaction on the
+ * sale's payment plan with paymentMethod 'home_loan' can be linked.
+ * @returns {Promise<Object>} the HomeLoan
+ */
+export const recordDisbursement = async (loanId, entryId, { organization, fields = {}, user, verifyAccess }) => {
+  const loan = await loadLoan(loanId, organization, verifyAccess);
+  if (!DISBURSING_STATUSES.includes(loan.status)) {
+    throw httpError(409, 'Disbursements can only be recorded on a sanctioned loan.');
+  }
+  const entry = findEntry(loan, entryId);
+  if (!['scheduled', 'requested'].includes(entry.status)) {
+    throw httpError(409, `This disbursement is already ${entry.status}.`);
+  }
+  const amount = positiveAmount(fields.amount ?? entry.expectedAmount, 'amount');
+  const remaining = (loan.sanctionedAmount || 0) - (loan.totalDisbursed || 0);
+  if (amount > remaining + 0.01) {
+    throw httpError(400, `amount is more than the ${formatInr(remaining)} left of the sanction.`);
+  }
+
+  if (fields.transactionId) {
+    assertObjectId(fields.transactionId, 'transaction');
+    // Transactions belong to the sale through its payment plan
+    const plan = await PaymentPlan.findOne({ sale: loan.sale, organization }).select('_id');
+    const txn = plan
+      ? await PaymentTransaction.findOne({ _id: fields.transactionId, organization, paymentPlan: plan._id })
+        .select('paymentMethod')
+      : null;
+    if (!txn) throw httpError(400, 'Payment transaction not found for this sale.');
+    if (txn.paymentMethod !== 'home_loan') throw httpError(400, 'The linked payment transaction is not a home loan payment.');
+    entry.transaction = txn._id;
+  }
+
+  entry.status = 'disbursed';
+  entry.disbursedAmount = amount;
+  entry.disbursedAt = optionalDate(fields.date, 'date') || new Date();
+  entry.reference = fields.reference;
+  entry.recordedBy = user._id;
+
+  const disbursed = loan.disbursements
+    .filter((d) => d.status === 'disbursed')
+    .reduce((sum, d) => sum + (d.disbursedAmount || 0), 0);
+  const next = disbursed >= loan.sanctionedAmount - 0.01 ? 'fully_disbursed' : 'partially_disbursed';
+  if (loan.status !== next) pushStatus(loan, next, user, `${formatInr(disbursed)} disbursed`);
+  // Nothing is left to request once the whole sanction is out.
+  if (next === 'fully_disbursed') {
+    for (const d of loan.disbursements) {
+      if (d.status === 'scheduled') d.status = 'cancelled';
+    }
+  }
+  return loan.save();
+};
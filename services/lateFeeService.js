@@ -0,0 +1,507 @@
+// File: services/lateFeeService.js
+// Description: Late fee / interest accrual on overdue installments.
+//
+//   Interest runs from the day after gracePeriodEndDate (or currentDueDate when
+//   there is no grace) on the unpaid principal, day by day (actual/365):
+//
+//     - rate: PaymentPlan.paymentTerms.interestRate (% p.a.) when set, else the
+//       installment's lateFeeRate (% per month) × 12
+//     - compoundInterest: unpaid interest is added to the balance at monthly
+//       rests from the accrual start; otherwise interest is simple
+//     - partial payments: each principal allocation reduces the balance from
+//       its transaction's paymentDate; accrual stops once principal is cleared
+//     - waivers: approved 'late_fee_waiver' adjustments are deducted from the
+//       gross accrual
+//
+//   Installment.lateFeeAccrued holds gross − waivers, recomputed from scratch
+//   each night by jobs/accrueLateFees.js and on recalculatePaymentPlan, so it
+//   never drifts. Waivers go through the INSTALLMENT_MODIFICATION approval
+//   (resolved via resolveLateFeeWaiver from approvalService propagation).
+
+import Installment from '../models/installmentModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import { createApprovalRequest } from './approvalService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transaction statuses whose allocations count as money received
+const COUNTED_STATUSES = ['completed', 'cleared'];
+// Allocation types that pay the fee itself rather than principal
+const CHARGE_ALLOCATION_TYPES = ['late_fee', 'interest', 'penalty'];
+const NON_ACCRUING_STATUSES = ['waived', 'cancelled'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const startOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+
+const dayDiff = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const addMonths = (d, months) => {
+  const x = new Date(d);
+  x.setMonth(x.getMonth() + months);
+  return x;
+};
+
+/**
+ * Annual rate and compounding for an installment under its plan's terms. Pure.
+ * @returns {{ annualRate: number, compound: boolean }}
+ */
+export const resolveAccrualTerms = (installment, paymentTerms = {}) => {
+  const annualRate = paymentTerms.interestRate > 0
+    ? paymentTerms.interestRate
+    : (installment.lateFeeRate || paymentTerms.lateFeeRate || 0) * 12;
+  return { annualRate, compound: !!paymentTerms.compoundInterest };
+};
+
+/**
+ * Money received against one installment, split into principal and fee
+ * payments. Pure. When paidAmount exceeds the principal allocations found
+ * (payments recorded without allocations), the difference is dated at
+ * lastPaymentDate.
+ *
+ * @returns {{ principal: Array<{date, amount}>, charges: Array<{date, amount}> }}
+ */
+export const installmentPayments = (installment, transactions = []) => {
+  const id = String(installment._id);
+  const principal = [];
+  const charges = [];
+
+  for (const txn of transactions) {
+    if (!COUNTED_STATUSES.includes(txn.status)) continue;
+    for (const allocation of txn.paymentAllocations || []) {
+      if (String(allocation.installment) !== id) continue;
+      const entry = { date: txn.paymentDate || allocation.allocationDate, amount: allocation.allocatedAmount };
+      (CHARGE_ALLOCATION_TYPES.includes(allocation.allocationType) ? charges : principal).push(entry);
+    }
+  }
+
+  const allocated = principal.reduce((sum, p) => sum + p.amount, 0);
+  const unallocated = round2((installment.paidAmount || 0) - allocated);
+  if (unallocated > 0 && installment.lastPaymentDate) {
+    principal.push({ date: installment.lastPaymentDate, amount: unallocated });
+  }
+
+  return { principal, charges };
+};
+
+/**
+ * Interest accrued on a principal from accrualStart to asOf. Pure.
+ *
+ * @param {object} params
+ * @param {number} params.principal
+ * @param {Date} params.accrualStart - last day without interest (grace end)
+ * @param {Array<{date, amount}>} params.payments - principal payments
+ * @param {Date} params.asOf
+ * @param {number} params.annualRate - % p.a.
+ * @param {boolean} params.compound - monthly rests
+ * @returns {{ gross: number, days: number, periods: Array<{from, to, days, balance, interest}> }}
+ */
+export const computeAccrual = ({ principal, accrualStart, payments = [], asOf, annualRate, compound }) => {
+  const start = startOfDay(accrualStart);
+  const end = startOfDay(asOf);
+  const empty = { gross: 0, days: 0, periods: [] };
+  if (!(annualRate > 0) || !(principal > 0) || end <= start) return empty;
+
+  const sorted = payments
+    .filter((p) => p.amount > 0)
+    .map((p) => ({ type: 'payment', date: startOfDay(p.date), amount: p.amount }))
+    .sort((a, b) => a.date - b.date);
+
+  let balance = principal;
+  for (const p of sorted) {
+    if (p.date <= start) balance -= p.amount;
+  }
+  balance = Math.max(0, balance);
+
+  const events = sorted.filter((p) => p.date > start && p.date < end);
+  if (compound) {
+    for (let k = 1, rest = addMonths(start, 1); rest < end; k += 1, rest = addMonths(start, k)) {
+      events.push({ type: 'rest', date: rest });
+    }
+    // Capitalise before applying a payment made on a rest day
+    events.sort((a, b) => a.date - b.date || (a.type === 'rest' ? -1 : 1));
+  }
+
+  const dailyRate = annualRate / 100 / 365;
+  const periods = [];
+  let cursor = start;
+  let capitalised = 0;
+  let unrested = 0;
+
+  const accrueTo = (to) => {
+    const days = dayDiff(cursor, to);
+    if (days > 0 && balance > 0) {
+      const base = balance + capitalised;
+      const interest = base * dailyRate * days;
+      unrested += interest;
+      periods.push({ from: cursor, to, days, balance: round2(base), interest: round2(interest) });
+    }
+    cursor = to;
+  };
+
+  for (const event of events) {
+    if (balance <= 0) break;
+    accrueTo(event.date);
+    if (event.type === 'rest') {
+      capitalised += unrested;
+      unrested = 0;
+    } else {
+      balance = Math.max(0, balance - event.amount);
+    }
+  }
+  if (balance > 0) accrueTo(end);
+
+  return {
+    gross: round2(capitalised + unrested),
+    days: periods.reduce((sum, p) => sum + p.days, 0),
+    periods,
+  };
+};
+
+/**
+ * Approved late fee waivers on an installment. Pure.
+ */
+export const approvedWaiverTotal = (installment) => round2((installment.adjustments || [])
+  .filter((a) => a.adjustmentType === 'late_fee_waiver' && a.isActive
+    && ['not_required', 'approved'].includes(a.approvalStatus || 'not_required'))
+  .reduce((sum, a) => sum + Math.abs(a.adjustmentAmount), 0));
+
+/**
+ * Whether an installment accrues at all. A construction-linked installment
+ * whose demand is not raised yet only has a placeholder due date.
+ */
+const accrues = (installment) => installment.lateFeeApplicable !== false
+  && !NON_ACCRUING_STATUSES.includes(installment.status)
+  && !(installment.constructionMilestone && !installment.demandRaisedAt);
+
+/**
+ * Late fee for one installment as of `now`, without mutating it. Pure.
+ * @returns {object|null} null when the installment does not accrue
+ */
+export const calculateInstallmentCharges = (installment, { paymentTerms, transactions = [], now = new Date() }) => {
+  if (!accrues(installment)) return null;
+
+  const terms = resolveAccrualTerms(installment, paymentTerms);
+  const accrualStart = installment.gracePeriodEndDate || installment.currentDueDate;
+  const { principal, charges } = installmentPayments(installment, transactions);
+  const accrual = computeAccrual({
+    principal: installment.currentAmount,
+    accrualStart,
+    payments: principal,
+    asOf: now,
+    ...terms,
+  });
+  const waived = approvedWaiverTotal(installment);
+  const net = round2(Math.max(0, accrual.gross - waived));
+  const chargesPaid = round2(charges.reduce((sum, c) => sum + c.amount, 0));
+
+  return {
+    ...terms,
+    accrualStart,
+    ...accrual,
+    waived,
+    net,
+    chargesPaid,
+    outstanding: round2(Math.max(0, net - chargesPaid)),
+  };
+};
+
+/**
+ * Recompute and set lateFeeAccrued on an installment document (not saved).
+ * @returns {object|null} the charges, with `changed` when the amount moved
+ */
+export const accrueInstallment = (installment, options) => {
+  const now = options.now || new Date();
+  const charges = calculateInstallmentCharges(installment, { ...options, now });
+  if (!charges) return null;
+
+  const changed = charges.net !== round2(installment.lateFeeAccrued || 0);
+  installment.lateFeeAccrued = charges.net;
+  installment.lateFeeLastCalculated = now;
+  return { ...charges, changed };
+};
+
+const groupBy = (items, key) => {
+  const map = new Map();
+  for (const item of items) {
+    const k = String(item[key]);
+    if (!map.has(k)) map.set(k, []);
+    map.get(k).push(item);
+  }
+  return map;
+};
+
+/**
+ * Nightly accrual across all organizations: every installment past its
+ * grace period, plus paid ones whose final payment has not been accrued yet.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{scanned:number, updated:number, plans:number, failed:Array}>}
+ */
+export const runLateFeeAccrual = async (now = new Date()) => {
+  const unpaid = { $in: ['pending', 'due', 'overdue', 'partially_paid'] };
+  // Same test as accrues(): only an explicit false opts out. Installments
+  // without a grace date accrue from their due date.
+  const installments = await Installment.find({
+    lateFeeApplicable: { $ne: false },
+    $or: [
+      { status: unpaid, gracePeriodEndDate: { $lt: now } },
+      { status: unpaid, gracePeriodEndDate: { $exists: false }, currentDueDate: { $lt: now } },
+      {
+        status: 'paid',
+        $expr: {
+          $and: [
+            { $gt: ['$lastPaymentDate', { $ifNull: ['$gracePeriodEndDate', '$currentDueDate'] }] },
+            { $lt: [{ $ifNull: ['$lateFeeLastCalculated', new Date(0)] }, '$lastPaymentDate'] },
+          ],
+        },
+      },
+    ],
+  });
+
+  const summary = { scanned: installments.length, updated: 0, plans: 0, failed: [] };
+  if (!installments.length) return summary;
+
+  const planIds = [...new Set(installments.map((i) => String(i.paymentPlan)))];
+  const [plans, transactions] = await Promise.all([
+    PaymentPlan.find({ _id: { $in: planIds }, status: { $ne: 'cancelled' } })
+      .select('paymentTerms')
+      .lean(),
+    PaymentTransaction.find({ paymentPlan: { $in: planIds }, status: { $in: COUNTED_STATUSES } })
+      .select('paymentPlan paymentDate status paymentAllocations')
+      .lean(),
+  ]);
+  const planById = new Map(plans.map((p) => [String(p._id), p]));
+  const txnsByPlan = groupBy(transactions, 'paymentPlan');
+  const changedPlans = new Map();
+
+  for (const installment of installments) {
+    const planId = String(installment.paymentPlan);
+    const plan = planById.get(planId);
+    if (!plan) continue;
+    try {
+      const result = accrueInstallment(installment, {
+        paymentTerms: plan.paymentTerms,
+        transactions: txnsByPlan.get(planId) || [],
+        now,
+      });
+      if (!result) continue;
+      await installment.save();
+      if (result.changed) {
+        summary.updated += 1;
+        changedPlans.set(planId, installment.paymentPlan);
+      }
+    } catch (err) {
+      summary.failed.push({ installment: installment._id.toString(), error: err.message });
+    }
+  }
+
+  if (changedPlans.size) {
+    const totals = await Installment.aggregate([
+      { $match: { paymentPlan: { $in: [...changedPlans.values()] } } },
+      { $group: { _id: '$paymentPlan', total: { $sum: '$lateFeeAccrued' } } },
+    ]);
+    await PaymentPlan.bulkWrite(totals.map((t) => ({
+      updateOne: {
+        filter: { _id: t._id },
+        update: { $set: { 'financialSummary.totalLateFees': round2(t.total) } },
+      },
+    })));
+    summary.plans = totals.length;
+  }
+
+  return summary;
+};
+
+/**
+ * Per-sale interest statement: for each installment the accrual periods,
+ * gross interest, waivers, fee payments and what is still outstanding.
+ * Computed live as of `now`; nothing is saved.
+ */
+export const getInterestStatement = async (saleId, organization, now = new Date()) => {
+  const plan = await PaymentPlan.findOne({ sale: saleId, organization })
+    .select('sale project customer paymentTerms status')
+    .lean();
+  if (!plan) throw httpError(404, 'Payment plan not found.');
+
+  const [installments, transactions] = await Promise.all([
+    Installment.find({ paymentPlan: plan._id }).sort({ installmentNumber: 1 }).lean(),
+    PaymentTransaction.find({ paymentPlan: plan._id, status: { $in: COUNTED_STATUSES } })
+      .select('paymentDate status paymentAllocations')
+      .lean(),
+  ]);
+
+  const totals = { grossAccrued: 0, waived: 0, netAccrued: 0, chargesPaid: 0, outstanding: 0 };
+  const rows = installments.map((inst) => {
+    const charges = calculateInstallmentCharges(inst, { paymentTerms: plan.paymentTerms, transactions, now });
+    const stored = inst.lateFeeAccrued || 0;
+    const row = {
+      installment: {
+        _id: inst._id,
+        installmentNumber: inst.installmentNumber,
+        description: inst.description,
+        status: inst.status,
+        currentAmount: inst.currentAmount,
+        paidAmount: inst.paidAmount,
+        pendingAmount: inst.pendingAmount,
+        currentDueDate: inst.currentDueDate,
+        gracePeriodEndDate: inst.gracePeriodEndDate,
+      },
+      annualRate: charges?.annualRate ?? 0,
+      compound: charges?.compound ?? false,
+      daysCharged: charges?.days ?? 0,
+      periods: charges?.periods ?? [],
+      grossAccrued: charges ? charges.gross : stored,
+      waived: charges ? charges.waived : approvedWaiverTotal(inst),
+      netAccrued: charges ? charges.net : stored,
+      chargesPaid: charges?.chargesPaid ?? 0,
+      outstanding: charges ? charges.outstanding : stored,
+      waivers: (inst.adjustments || [])
+        .filter((a) => a.adjustmentType === 'late_fee_waiver')
+        .map((a) => ({
+          _id: a._id,
+          amount: Math.abs(a.adjustmentAmount),
+          reason: a.reason,
+          status: a.approvalStatus,
+          requestedBy: a.adjustedBy,
+          approvedBy: a.approvedBy,
+          requestedAt: a.adjustmentDate,
+          approvalRequest: a.approvalRequest,
+        })),
+    };
+    for (const key of Object.keys(totals)) totals[key] = round2(totals[key] + row[key]);
+    return row;
+  });
+
+  return {
+    paymentPlan: plan._id,
+    sale: plan.sale,
+    project: plan.project,
+    asOf: now,
+    terms: {
+      interestRate: plan.paymentTerms?.interestRate || 0,
+      lateFeeRate: plan.paymentTerms?.lateFeeRate || 0,
+      compoundInterest: !!plan.paymentTerms?.compoundInterest,
+      gracePeriodDays: plan.paymentTerms?.gracePeriodDays,
+    },
+    installments: rows,
+    totals,
+  };
+};
+
+const applyWaiver = (installment, adjustment, approvedBy, approvalStatus) => {
+  adjustment.isActive = true;
+  adjustment.approvalStatus = approvalStatus;
+  adjustment.approvedBy = approvedBy;
+  installment.lateFeeAccrued = round2(Math.max(0, (installment.lateFeeAccrued || 0) - Math.abs(adjustment.adjustmentAmount)));
+};
+
+/**
+ * Ask to waive part or all of an installment's accrued late fee. Waivers the
+ * INSTALLMENT_MODIFICATION policy doesn't cover apply immediately; others
+ * stay inactive until approved.
+ *
+ * @returns {Promise<{installment, adjustment, pendingApproval: boolean, approvalRequest?}>}
+ */
+export const requestLateFeeWaiver = async (installmentId, { organization, amount, reason, user }) => {
+  const installment = await Installment.findOne({ _id: installmentId, organization });
+  if (!installment) throw httpError(404, 'Installment not found.');
+
+  if (!reason || !String(reason).trim()) throw httpError(400, 'Reason for waiver is required.');
+  const waiveAmount = round2(Number(amount));
+  if (!Number.isFinite(waiveAmount) || waiveAmount <= 0) {
+    throw httpError(400, 'amount must be a positive number');
+  }
+  if (installment.adjustments.some((a) => a.adjustmentType === 'late_fee_waiver' && a.approvalStatus === 'pending')) {
+    throw httpError(409, 'A late fee waiver for this installment is already awaiting approval');
+  }
+  const accrued = round2(installment.lateFeeAccrued || 0);
+  if (waiveAmount > accrued) {
+    throw httpError(400, `Waiver exceeds the accrued late fee (${accrued})`);
+  }
+
+  installment.adjustments.push({
+    adjustmentType: 'late_fee_waiver',
+    originalAmount: accrued,
+    adjustmentAmount: -waiveAmount,
+    newAmount: round2(accrued - waiveAmount),
+    reason,
+    adjustedBy: user._id,
+    isActive: false,
+    approvalStatus: 'pending',
+  });
+  installment.lastModifiedBy = user._id;
+  await installment.save();
+
+  const approvalResult = await createApprovalRequest({
+    organizationId: installment.organization,
+    projectId: installment.project,
+    approvalType: 'INSTALLMENT_MODIFICATION',
+    entityType: 'Installment',
+    entityId: installment._id,
+    requestedBy: user._id,
+    requestData: {
+      modificationType: 'late_fee_waiver',
+      originalValue: accrued,
+      proposedValue: round2(accrued - waiveAmount),
+    },
+    title: `Waive late fee of ${waiveAmount} on installment #${installment.installmentNumber}`,
+    description: `Late fee accrued: ${accrued}. Waiver requested: ${waiveAmount}. Reason: ${reason}`,
+  });
+
+  const adjustment = installment.adjustments[installment.adjustments.length - 1];
+  if (approvalResult.approved) {
+    applyWaiver(installment, adjustment, user._id, 'not_required');
+    await installment.save();
+    return { installment, adjustment, pendingApproval: false };
+  }
+
+  adjustment.approvalRequest = approvalResult.approvalRequest?._id;
+  await installment.save();
+  return { installment, adjustment, pendingApproval: true, approvalRequest: approvalResult.approvalRequest };
+};
+
+/**
+ * Close out the pending late fee waiver on an installment after its approval
+ * is decided. Called from approvalService propagation; a no-op when nothing
+ * is pending.
+ *
+ * @param {string} installmentId
+ * @param {'approved'|'rejected'} decision
+ * @param {string} resolvedBy
+ */
+export const resolveLateFeeWaiver = async (installmentId, decision, resolvedBy) => {
+  const installment = await Installment.findById(installmentId);
+  if (!installment) return null;
+  const adjustment = installment.adjustments.find(
+    (a) => a.adjustmentType === 'late_fee_waiver' && a.approvalStatus === 'pending'
+  );
+  if (!adjustment) return installment;
+
+  if (decision === 'approved') {
+    applyWaiver(installment, adjustment, resolvedBy, 'approved');
+  } else {
+    adjustment.approvalStatus = 'rejected';
+  }
+  installment.lastModifiedBy = resolvedBy;
+  await installment.save();
+  return installment;
+};
+
+export default {
+  resolveAccrualTerms,
+  installmentPayments,
+  computeAccrual,
+  calculateInstallmentCharges,
+  accrueInstallment,
+  runLateFeeAccrual,
+  getInterestStatement,
+  requestLateFeeWaiver,
+  resolveLateFeeWaiver,
+};
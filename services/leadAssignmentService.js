@@ -0,0 +1,663 @@
+// File: services/leadAssignmentService.js
+// Description: Rule-based lead routing. A project's LeadAssignmentRules are
+//   tried in priority order; the first that matches the lead (source, budget
+//   band, language, channel partner) and is open for business picks a member
+//   by round-robin or capacity weighting, skipping inactive members and anyone
+//   over their open-lead / open-task caps (the same open-task workload the
+//   task dashboards report). Rule-routed leads get an SLA deadline, counted in
+//   the rule's working hours; the SLA sweep (jobs/reassignStaleLeads.js)
+//   re-assigns leads nobody has touched by then, and escalates to lead
+//   assigners once a rule's re-assignments run out. Every decision — rule,
+//   manual, capture, SLA — is written to LeadRoutingLog.
+
+import mongoose from 'mongoose';
+import Lead from '../models/leadModel.js';
+import LeadAssignmentRule, { ASSIGNMENT_STRATEGIES, OUTSIDE_HOURS_ACTIONS } from '../models/leadAssignmentRuleModel.js';
+import LeadRoutingLog from '../models/leadRoutingLogModel.js';
+import Interaction from '../models/interactionModel.js';
+import Task from '../models/taskModel.js';
+import User from '../models/userModel.js';
+import Project from '../models/projectModel.js';
+import { createNotification, notifyUsersWithPermission } from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+
+// A lead counts toward its owner's load until it's won or lost.
+const CLOSED_LEAD_STATUSES = ['Booked', 'Lost'];
+// SLA isn't enforced on leads that are closed or still in CP intake review.
+const SLA_EXEMPT_STATUSES = [...CLOSED_LEAD_STATUSES, 'pending'];
+// Same definition of "open" the task workload views use.
+const CLOSED_TASK_STATUSES = ['Completed', 'Cancelled'];
+
+// Leads examined per SLA sweep.
+const SLA_SWEEP_BATCH = 200;
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const fullName = (doc) =>
+  [doc?.firstName, doc?.lastName].filter(Boolean).join(' ') || 'the lead';
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+// ─── Working hours ─────────────────────────────────────────────────────────
+
+/**
+ * Weekday (0 = Sunday) and minutes past midnight of `date` in `timezone`.
+ * @param {Date} date
+ * @param {string} timezone - IANA zone, e.g. 'Asia/Kolkata'
+ * @returns {{ day: number, minutes: number }}
+ */
+export const localClock = (date, timezone = 'Asia/Kolkata') => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(date).map((p) => [p.type, p.value])
+  );
+  return { day: WEEKDAYS[parts.weekday], minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * Whether `date` falls inside the working hours. Disabled hours = always open.
+ * @param {Date} date
+ * @param {Object} [workingHours] - LeadAssignmentRule.workingHours
+ * @returns {boolean}
+ */
+export const isWithinWorkingHours = (date, workingHours) => {
+  if (!workingHours?.enabled) return true;
+  const { day, minutes } = localClock(date, workingHours.timezone);
+  return workingHours.days.includes(day)
+    && minutes >= toMinutes(workingHours.start)
+    && minutes < toMinutes(workingHours.end);
+};
+
+/**
+ * `from` plus `minutes` of working time: the clock only runs inside the
+ * working hours, so a lead arriving on Saturday night is due `minutes` after
+ * Monday's opening. Disabled hours = plain wall-clock minutes.
+ * @param {Date} from
+ * @param {number} minutes
+ * @param {Object} [workingHours]
+ * @returns {Date}
+ */
+export const addWorkingMinutes = (from, minutes, workingHours) => {
+  if (!workingHours?.enabled || !workingHours.days?.length) {
+    return new Date(from.getTime() + minutes * MINUTE_MS);
+  }
+  const start = toMinutes(workingHours.start);
+  const end = toMinutes(workingHours.end);
+  let at = from.getTime();
+  let remaining = minutes;
+  // Each pass either finishes, or jumps to the next window edge / midnight;
+  // three weeks of passes covers any sane configuration.
+  for (let guard = 0; guard < 64; guard++) {
+    const { day, minutes: now } = localClock(new Date(at), workingHours.timezone);
+    const workday = workingHours.days.includes(day);
+    if (workday && now >= start && now < end) {
+      const open = end - now;
+      if (remaining <= open) return new Date(at + remaining * MINUTE_MS);
+      remaining -= open;
+      at += open * MINUTE_MS;
+    } else if (workday && now < start) {
+      at += (start - now) * MINUTE_MS;
+    } else {
+      at += (DAY_MINUTES - now) * MINUTE_MS;
+    }
+  }
+  return new Date(at + remaining * MINUTE_MS);
+};
+
+// ─── Matching ──────────────────────────────────────────────────────────────
+
+/**
+ * Whether a rule's conditions accept the lead. Each unset condition matches
+ * anything; a budget band needs the lead's budget to overlap it.
+ * @param {Object} rule
+ * @param {Object} lead
+ * @returns {boolean}
+ */
+export const ruleMatchesLead = (rule, lead) => {
+  const c = rule.conditions || {};
+  if (c.sources?.length && !c.sources.includes(lead.source)) return false;
+
+  if (c.budgetMin != null || c.budgetMax != null) {
+    const low = lead.budget?.min ?? lead.budget?.max;
+    const high = lead.budget?.max ?? lead.budget?.min;
+    if (low == null) return false;
+    if (c.budgetMin != null && high < c.budgetMin) return false;
+    if (c.budgetMax != null && low > c.budgetMax) return false;
+  }
+
+  if (c.languages?.length) {
+    if (!lead.preferredLanguage || !c.languages.includes(String(lead.preferredLanguage).toLowerCase())) return false;
+  }
+
+  if (c.channelPartners?.length) {
+    const wanted = new Set(c.channelPartners.map(String));
+    const partners = lead.channelPartnerAttribution?.partners || [];
+    if (!partners.some((p) => wanted.has(String(p.channelPartner?._id || p.channelPartner)))) return false;
+  }
+  return true;
+};
+
+/**
+ * Open leads and open tasks per user.
+ * @returns {Promise<Map<string, { openLeads: number, openTasks: number }>>}
+ */
+export const memberLoads = async (organization, userIds) => {
+  const ids = userIds.map(toObjectId);
+  const [leadCounts, taskCounts] = await Promise.all([
+    Lead.aggregate([
+      { $match: { organization: toObjectId(organization), assignedTo: { $in: ids }, status: { $nin: CLOSED_LEAD_STATUSES } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } },
+    ]),
+    Task.aggregate([
+      { $match: { organization: toObjectId(organization), assignedTo: { $in: ids }, status: { $nin: CLOSED_TASK_STATUSES } } },
+      { $group: { _id: '$assignedTo', count: { $sum: 1 } } },
+    ]),
+  ]);
+  const loads = new Map(ids.map((id) => [String(id), { openLeads: 0, openTasks: 0 }]));
+  for (const row of leadCounts) {
+    const load = loads.get(String(row._id));
+    if (load) load.openLeads = row.count;
+  }
+  for (const row of taskCounts) {
+    const load = loads.get(String(row._id));
+    if (load) load.openTasks = row.count;
+  }
+  return loads;
+};
+
+/**
+ * Every member of the rule with their load and, if they can't take the
+ * lead, why not. Order follows the rule's member list.
+ */
+export const evaluateMembers = (rule, { loads, activeIds, excludeUserIds = [] }) => {
+  const excluded = new Set(excludeUserIds.map(String));
+  return (rule.members || []).map((member) => {
+    const id = String(member.user);
+    const load = loads.get(id) || { openLeads: 0, openTasks: 0 };
+    const maxLeads = member.maxOpenLeads ?? rule.loadCaps?.maxOpenLeads;
+    const maxTasks = member.maxOpenTasks ?? rule.loadCaps?.maxOpenTasks;
+    let skipped;
+    if (excluded.has(id)) skipped = 'excluded';
+    else if (!activeIds.has(id)) skipped = 'inactive';
+    else if (maxLeads != null && load.openLeads >= maxLeads) skipped = 'lead_cap';
+    else if (maxTasks != null && load.openTasks >= maxTasks) skipped = 'task_cap';
+    return {
+      user: member.user,
+      weight: member.weight || 1,
+      lastAssignedAt: member.lastAssignedAt,
+      ...load,
+      ...(skipped && { skipped }),
+    };
+  });
+};
+
+/**
+ * The weighted pick: fewest open leads per unit of weight, then whoever was
+ * assigned least recently.
+ */
+export const pickWeighted = (eligible) =>
+  [...eligible].sort((a, b) =>
+    a.openLeads / a.weight - b.openLeads / b.weight
+    || (a.lastAssignedAt ? new Date(a.lastAssignedAt).getTime() : 0)
+      - (b.lastAssignedAt ? new Date(b.lastAssignedAt).getTime() : 0)
+  )[0];
+
+const pickRoundRobin = async (rule, eligible) => {
+  // Atomic so concurrent leads don't land on the same member.
+  const before = await LeadAssignmentRule.findByIdAndUpdate(rule._id, { $inc: { cursor: 1 } }).select('cursor');
+  const cursor = before?.cursor ?? rule.cursor ?? 0;
+  return eligible[cursor % eligible.length];
+};
+
+/**
+ * Choose an assignee for a lead from its project's rules. Commits the choice
+ * on the rule (round-robin cursor, member's lastAssignedAt) but not on the
+ * lead — see stampAssignment.
+ * @param {Object} lead - saved or unsaved Lead (or a lead-shaped object with
+ *   organization + project)
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()]
+ * @param {Array} [options.excludeUserIds] - e.g. the assignee who breached the SLA
+ * @returns {Promise<{ action: string, assignee: ObjectId|null, rule: Object|null,
+ *   candidates: Array, reason: string, slaDueAt: Date|null }>}
+ */
+export const chooseAssignee = async (lead, { now = new Date(), excludeUserIds = [] } = {}) => {
+  const rules = await LeadAssignmentRule.find({
+    organization: lead.organization,
+    project: lead.project?._id || lead.project,
+    active: true,
+  }).sort({ priority: 1, createdAt: 1 });
+
+  let fallback = { action: 'no_match', assignee: null, rule: null, candidates: [], reason: 'No active assignment rule matched this lead', slaDueAt: null };
+  for (const rule of rules) {
+    if (!ruleMatchesLead(rule, lead)) continue;
+    if (rule.workingHours?.outsideHours === 'next_rule' && !isWithinWorkingHours(now, rule.workingHours)) continue;
+
+    const userIds = (rule.members || []).map((m) => m.user);
+    if (!userIds.length) continue;
+    const [loads, active] = await Promise.all([
+      memberLoads(lead.organization, userIds),
+      User.find({ _id: { $in: userIds }, organization: lead.organization, isActive: true }).select('_id').lean(),
+    ]);
+    const candidates = evaluateMembers(rule, {
+      loads,
+      activeIds: new Set(active.map((u) => String(u._id))),
+      excludeUserIds,
+    });
+    const eligible = candidates.filter((c) => !c.skipped);
+    if (!eligible.length) {
+      // Overflow: a later rule may still take the lead.
+      fallback = {
+        action: 'no_eligible_member',
+        assignee: null,
+        rule,
+        candidates,
+        reason: `Every member of "${rule.name}" is unavailable or at capacity`,
+        slaDueAt: null,
+      };
+      continue;
+    }
+
+    const picked = rule.strategy === 'weighted' ? pickWeighted(eligible) : await pickRoundRobin(rule, eligible);
+    await LeadAssignmentRule.updateOne(
+      { _id: rule._id, 'members.user': picked.user },
+      { $set: { 'members.$.lastAssignedAt': now } }
+    );
+    return {
+      action: 'assigned',
+      assignee: picked.user,
+      rule,
+      candidates,
+      reason: `${rule.strategy === 'weighted' ? 'Weighted' : 'Round-robin'} pick from "${rule.name}"`,
+      slaDueAt: rule.sla?.enabled ? addWorkingMinutes(now, rule.sla.minutes, rule.workingHours) : null,
+    };
+  }
+  return fallback;
+};
+
+/**
+ * Apply a rule decision to the lead (the caller saves it).
+ */
+export const stampAssignment = (lead, decision, now = new Date()) => {
+  lead.assignedTo = decision.assignee;
+  lead.routing = {
+    method: 'rule',
+    rule: decision.rule?._id || null,
+    assignedAt: now,
+    slaDueAt: decision.slaDueAt,
+    touchedAt: undefined,
+    reassignments: lead.routing?.reassignments || 0,
+    escalatedAt: undefined,
+  };
+};
+
+/**
+ * Write one routing decision to the audit trail. Best-effort: a failed audit
+ * write is logged, never surfaced to the caller whose action already happened.
+ */
+export const logRoutingDecision = async ({ lead, action, trigger, decision = {}, from = null, to = null, reason, actor = null }) => {
+  try {
+    await LeadRoutingLog.create({
+      organization: lead.organization,
+      project: lead.project?._id || lead.project,
+      lead: lead._id,
+      action,
+      trigger,
+      rule: decision.rule?._id || null,
+      ruleName: decision.rule?.name,
+      strategy: decision.rule?.strategy,
+      from,
+      to,
+      reason: reason ?? decision.reason,
+      candidates: (decision.candidates || []).map(({ user, openLeads, openTasks, weight, skipped }) =>
+        ({ user, openLeads, openTasks, weight, skipped })),
+      slaDueAt: decision.slaDueAt || undefined,
+      actor,
+    });
+  } catch (err) {
+    console.error(`[leadAssignment] routing log for lead ${lead._id} failed:`, err.message);
+  }
+};
+
+const notifyAssignee = async (lead, recipient, { title, message, priority = 'high' }) => {
+  try {
+    await createNotification({
+      organization: lead.organization,
+      recipient,
+      type: 'lead_assigned',
+      title,
+      message,
+      actionUrl: `/leads/${lead._id}`,
+      relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: fullName(lead) },
+      priority,
+    });
+  } catch (err) {
+    console.warn('[leadAssignment] assignee notification failed (non-fatal):', err.message);
+  }
+};
+
+/**
+ * Route a saved lead through its project's rules, save it and audit the
+ * decision. Leaves the lead untouched when nothing matches.
+ * @param {Object} lead - Lead document
+ * @param {Object} options
+ * @param {string} options.trigger - created | captured | rerun
+ * @param {Object} [options.actor] - user who asked for the routing
+ * @returns {Promise<Object>} the decision
+ */
+export const routeLead = async (lead, { trigger, actor = null, now = new Date() }) => {
+  const from = lead.assignedTo || null;
+  const decision = await chooseAssignee(lead, { now });
+  if (decision.assignee) {
+    stampAssignment(lead, decision, now);
+    await lead.save();
+    if (String(from) !== String(decision.assignee)) {
+      await notifyAssignee(lead, decision.assignee, {
+        title: `Lead assigned: ${fullName(lead)}`,
+        message: decision.slaDueAt
+          ? `Routed to you by "${decision.rule.name}". Please make first contact by ${decision.slaDueAt.toISOString()}.`
+          : `Routed to you by "${decision.rule.name}".`,
+      });
+    }
+  }
+  await logRoutingDecision({ lead, action: decision.action, trigger, decision, from, to: decision.assignee, actor: actor?._id || null });
+  return decision;
+};
+
+/**
+ * Mark an assignment made by hand (the caller saves the lead) and audit it.
+ * A manual assignment takes the lead out of rule SLAs.
+ */
+export const recordManualAssignment = async (lead, { from, actor, now = new Date(), save = true }) => {
+  lead.routing = {
+    method: 'manual',
+    rule: null,
+    assignedAt: now,
+    slaDueAt: null,
+    reassignments: lead.routing?.reassignments || 0,
+  };
+  if (save) await lead.save();
+  await logRoutingDecision({
+    lead,
+    action: 'manual',
+    trigger: 'manual',
+    from: from || null,
+    to: lead.assignedTo,
+    reason: 'Assigned by hand',
+    actor: actor?._id || null,
+  });
+};
+
+// ─── SLA sweep ─────────────────────────────────────────────────────────────
+
+const escalate = async (lead, rule, now, reason) => {
+  lead.routing.slaDueAt = null;
+  lead.routing.escalatedAt = now;
+  await lead.save();
+  await logRoutingDecision({
+    lead,
+    action: 'sla_escalated',
+    trigger: 'sla',
+    decision: { rule },
+    from: lead.assignedTo,
+    to: lead.assignedTo,
+    reason,
+  });
+  try {
+    await notifyUsersWithPermission({
+      organizationId: lead.organization,
+      permission: 'leads:assign',
+      type: 'lead_sla_breached',
+      title: `Lead untouched past SLA: ${fullName(lead)}`,
+      message: reason,
+      actionUrl: `/leads/${lead._id}`,
+      relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: fullName(lead) },
+      priority: 'urgent',
+    });
+  } catch (err) {
+    console.warn('[leadAssignment] SLA escalation notification failed (non-fatal):', err.message);
+  }
+};
+
+/**
+ * One pass over rule-routed leads whose SLA deadline has passed. A lead with
+ * an interaction logged since it was assigned counts as touched and leaves
+ * the sweep; an untouched one moves to another member of its project's rules,
+ * or is escalated when the rule's re-assignments are used up or nobody else
+ * can take it.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{ checked: number, touched: number, reassigned: number, escalated: number, failed: Array }>}
+ */
+export const sweepAssignmentSlas = async (now = new Date()) => {
+  const summary = { checked: 0, touched: 0, reassigned: 0, escalated: 0, failed: [] };
+  const leads = await Lead.find({
+    'routing.slaDueAt': { $ne: null, $lte: now },
+    status: { $nin: SLA_EXEMPT_STATUSES },
+  })
+    .sort({ 'routing.slaDueAt': 1 })
+    .limit(SLA_SWEEP_BATCH);
+
+  for (const lead of leads) {
+    summary.checked += 1;
+    try {
+      const touch = await Interaction.findOne({ lead: lead._id, createdAt: { $gte: lead.routing.assignedAt } })
+        .select('createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+      if (touch) {
+        lead.routing.touchedAt = touch.createdAt;
+        lead.routing.slaDueAt = null;
+        await lead.save();
+        summary.touched += 1;
+        continue;
+      }
+
+      const rule = lead.routing.rule ? await LeadAssignmentRule.findById(lead.routing.rule) : null;
+      const previous = lead.assignedTo;
+      const used = lead.routing.reassignments || 0;
+      if (!rule?.active || !rule.sla?.enabled || used >= rule.sla.maxReassignments) {
+        await escalate(lead, rule, now, `No first contact by the SLA deadline after ${used} re-assignment(s).`);
+        summary.escalated += 1;
+        continue;
+      }
+
+      const decision = await chooseAssignee(lead, { now, excludeUserIds: previous ? [previous] : [] });
+      if (!decision.assignee) {
+        await escalate(lead, rule, now, `No first contact by the SLA deadline and no one else can take it: ${decision.reason}.`);
+        summary.escalated += 1;
+        continue;
+      }
+
+      stampAssignment(lead, decision, now);
+      lead.routing.reassignments = used + 1;
+      await lead.save();
+      await logRoutingDecision({
+        lead,
+        action: 'sla_reassigned',
+        trigger: 'sla',
+        decision,
+        from: previous,
+        to: decision.assignee,
+        reason: `Untouched past the SLA; ${decision.reason}`,
+      });
+      await notifyAssignee(lead, decision.assignee, {
+        title: `Lead re-assigned to you: ${fullName(lead)}`,
+        message: 'The previous owner did not make contact within the SLA. Please reach out now.',
+        priority: 'urgent',
+      });
+      if (previous) {
+        try {
+          await createNotification({
+            organization: lead.organization,
+            recipient: previous,
+            type: 'lead_sla_breached',
+            title: `Lead re-assigned: ${fullName(lead)}`,
+            message: 'It was not contacted within the assignment SLA.',
+            actionUrl: `/leads/${lead._id}`,
+            relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: fullName(lead) },
+          });
+        } catch (err) {
+          console.warn('[leadAssignment] previous owner notification failed (non-fatal):', err.message);
+        }
+      }
+      summary.reassigned += 1;
+    } catch (err) {
+      summary.failed.push({ lead: String(lead._id), error: err.message });
+    }
+  }
+  return summary;
+};
+
+// ─── Rule management ───────────────────────────────────────────────────────
+
+const assertRuleShape = async (organization, fields) => {
+  const { strategy, members, conditions, workingHours, sla } = fields;
+  if (strategy !== undefined && !ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    throw httpError(400, `strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`);
+  }
+  if (members !== undefined) {
+    if (!Array.isArray(members) || !members.length) throw httpError(400, 'A rule needs at least one member');
+    const ids = members.map((m) => String(m?.user || ''));
+    if (new Set(ids).size !== ids.length) throw httpError(400, 'A user can only be listed once per rule');
+    const count = await User.countDocuments({ _id: { $in: ids }, organization });
+    if (count !== ids.length) throw httpError(400, 'Every member must be a user in your organization');
+  }
+  if (conditions?.budgetMin != null && conditions?.budgetMax != null && conditions.budgetMin > conditions.budgetMax) {
+    throw httpError(400, 'budgetMin cannot exceed budgetMax');
+  }
+  if (workingHours) {
+    if (workingHours.outsideHours !== undefined && !OUTSIDE_HOURS_ACTIONS.includes(workingHours.outsideHours)) {
+      throw httpError(400, `workingHours.outsideHours must be one of: ${OUTSIDE_HOURS_ACTIONS.join(', ')}`);
+    }
+    if (workingHours.start && workingHours.end && toMinutes(workingHours.start) >= toMinutes(workingHours.end)) {
+      throw httpError(400, 'workingHours.start must be before workingHours.end');
+    }
+    if (workingHours.days && !workingHours.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      throw httpError(400, 'workingHours.days must be weekday numbers 0 (Sunday) to 6 (Saturday)');
+    }
+    if (workingHours.timezone) {
+      try {
+        localClock(new Date(), workingHours.timezone);
+      } catch {
+        throw httpError(400, `Unknown timezone "${workingHours.timezone}"`);
+      }
+    }
+  }
+  if (sla?.minutes !== undefined && !(Number(sla.minutes) >= 5)) {
+    throw httpError(400, 'sla.minutes must be at least 5');
+  }
+};
+
+const RULE_FIELDS = ['name', 'priority', 'active', 'conditions', 'strategy', 'members', 'loadCaps', 'workingHours', 'sla'];
+
+export const createAssignmentRule = async ({ organization, projectId, fields, user, verifyAccess }) => {
+  if (!fields.name) throw httpError(400, 'A name is required');
+  const project = await Project.findOne({ _id: projectId, organization }).select('_id');
+  if (!project) throw httpError(404, 'Project not found.');
+  verifyAccess?.(project._id);
+  await assertRuleShape(organization, { ...fields, members: fields.members ?? [] });
+
+  const picked = Object.fromEntries(RULE_FIELDS.filter((k) => fields[k] !== undefined).map((k) => [k, fields[k]]));
+  return LeadAssignmentRule.create({ ...picked, organization, project: project._id, createdBy: user._id });
+};
+
+export const listAssignmentRules = async ({ organization, projectFilter = {}, projectId }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  return LeadAssignmentRule.find(query)
+    .populate('project', 'name')
+    .populate('members.user', 'firstName lastName isActive')
+    .sort({ project: 1, priority: 1, createdAt: 1 })
+    .lean();
+};
+
+const loadRule = async (ruleId, organization, verifyAccess) => {
+  const rule = await LeadAssignmentRule.findOne({ _id: ruleId, organization });
+  if (!rule) throw httpError(404, 'Assignment rule not found.');
+  verifyAccess?.(rule.project);
+  return rule;
+};
+
+/**
+ * Update a rule. Nested objects (conditions, loadCaps, workingHours, sla)
+ * are merged; members are replaced. The project never changes.
+ */
+export const updateAssignmentRule = async (ruleId, { organization, updates, verifyAccess }) => {
+  const rule = await loadRule(ruleId, organization, verifyAccess);
+  const current = rule.toObject();
+  const merged = {
+    ...updates,
+    ...(updates.conditions && { conditions: { ...current.conditions, ...updates.conditions } }),
+    ...(updates.workingHours && { workingHours: { ...current.workingHours, ...updates.workingHours } }),
+  };
+  await assertRuleShape(organization, merged);
+
+  for (const key of RULE_FIELDS) {
+    if (updates[key] === undefined) continue;
+    if (['conditions', 'loadCaps', 'workingHours', 'sla'].includes(key)) {
+      Object.assign(rule[key], updates[key]);
+    } else {
+      rule[key] = updates[key];
+    }
+  }
+  await rule.save();
+  return rule;
+};
+
+/**
+ * Delete a rule. Leads it routed keep their assignee but leave the SLA sweep.
+ */
+export const deleteAssignmentRule = async (ruleId, { organization, verifyAccess }) => {
+  const rule = await loadRule(ruleId, organization, verifyAccess);
+  await Lead.updateMany(
+    { organization, 'routing.rule': rule._id, 'routing.slaDueAt': { $ne: null } },
+    { $set: { 'routing.slaDueAt': null } }
+  );
+  await rule.deleteOne();
+  return { deleted: true };
+};
+
+/**
+ * Re-run the rules for one lead on request.
+ */
+export const rerouteLead = async (leadId, { organization, user, verifyAccess }) => {
+  const lead = await Lead.findOne({ _id: leadId, organization });
+  if (!lead) throw httpError(404, 'Lead not found.');
+  verifyAccess?.(lead.project);
+  if (CLOSED_LEAD_STATUSES.includes(lead.status) || lead.status === 'pending') {
+    throw httpError(409, `A ${lead.status} lead can't be re-routed`);
+  }
+  const decision = await routeLead(lead, { trigger: 'rerun', actor: user });
+  return { lead, decision };
+};
+
+export const listRoutingLogs = async ({ organization, projectFilter = {}, projectId, leadId, action, limit = 100 }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  if (leadId) query.lead = leadId;
+  if (action) query.action = action;
+  return LeadRoutingLog.find(query)
+    .populate('lead', 'firstName lastName')
+    .populate('from', 'firstName lastName')
+    .populate('to', 'firstName lastName')
+    .populate('actor', 'firstName lastName')
+    .populate('candidates.user', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 100, 500))
+    .lean();
+};
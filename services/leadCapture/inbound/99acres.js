@@ -0,0 +1,26 @@
+// File: services/leadCapture/inbound/99acres.js
+// Description: 99acres lead push. The portal posts each enquiry (or a batch
+//   under `leads`) to the URL configured on the advertiser account, with the
+//   source secret as the `token` query parameter.
+
+import { sharedTokenMatches, portalRecords } from './shared.js';
+
+export const FIELD_MAP = {
+  QueryId: 'externalId',
+  SenderName: 'fullName',
+  SenderEmail: 'email',
+  SenderMobile: 'phone',
+  Message: 'message',
+  QueryMessage: 'message',
+  Budget: 'budget',
+  PropertyType: 'unitType',
+  ProjectName: 'ignore',
+};
+
+export function verify(req, source) {
+  return sharedTokenMatches(req, source.secret);
+}
+
+export function normalize(req) {
+  return portalRecords(req, ['QueryId', 'queryId', 'query_id']);
+}
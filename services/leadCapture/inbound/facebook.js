@@ -0,0 +1,97 @@
+// File: services/leadCapture/inbound/facebook.js
+// Description: Facebook Lead Ads (Page `leadgen` webhook). The webhook only
+//   carries ids, so normalize() fetches each lead's field_data and ad/campaign
+//   names from the Graph API with the source's page access token. A change that
+//   already includes field_data (e.g. relayed by a forwarding tool) is used as is.
+//   verify() checks X-Hub-Signature-256 against the app secret (source.secret);
+//   handshake() answers the GET subscription challenge with source.verifyToken.
+
+import axios from 'axios';
+import { rawBodyOf, hmacMatches } from './shared.js';
+
+const GRAPH_URL = process.env.FACEBOOK_GRAPH_URL || 'https://graph.facebook.com/v19.0';
+const LEAD_FIELDS = 'created_time,field_data,ad_name,adset_name,campaign_name,form_id,platform';
+
+export const FIELD_MAP = {
+  full_name: 'fullName',
+  first_name: 'firstName',
+  last_name: 'lastName',
+  email: 'email',
+  phone_number: 'phone',
+  budget: 'budget',
+  campaign_name: 'campaign',
+  adset_name: 'content',
+  ad_name: 'term',
+  platform: 'adSource',
+  leadgen_id: 'externalId',
+  id: 'ignore',
+  form_id: 'ignore',
+  page_id: 'ignore',
+  ad_id: 'ignore',
+  adgroup_id: 'ignore',
+  created_time: 'ignore',
+};
+
+export function verify(req, source) {
+  const signature = req.get && req.get('X-Hub-Signature-256');
+  return hmacMatches(source.secret, rawBodyOf(req), signature);
+}
+
+/**
+ * GET subscription check. Returns the challenge to echo, or null.
+ */
+export function handshake(req, source) {
+  const q = req.query || {};
+  if (q['hub.mode'] !== 'subscribe' || !source.verifyToken) return null;
+  return q['hub.verify_token'] === source.verifyToken ? q['hub.challenge'] : null;
+}
+
+// [{ name, values: [...] }] → { name: 'v1, v2' }
+function fieldDataToFields(fieldData) {
+  const out = {};
+  for (const f of fieldData || []) {
+    if (f?.name && Array.isArray(f.values) && f.values.length) out[f.name] = f.values.join(', ');
+  }
+  return out;
+}
+
+// Webhook values carry unix seconds; the Graph API returns ISO strings
+function createdAt(value) {
+  if (!value) return new Date();
+  return new Date(typeof value === 'number' ? value * 1000 : value);
+}
+
+async function fetchLead(leadgenId, accessToken) {
+  const { data } = await axios.get(`${GRAPH_URL}/${leadgenId}`, {
+    params: { fields: LEAD_FIELDS, access_token: accessToken },
+    timeout: 8000,
+  });
+  return data;
+}
+
+export async function normalize(req, source) {
+  const body = req.body || {};
+  if (body.object !== 'page' || !Array.isArray(body.entry)) return [];
+
+  const changes = body.entry
+    .flatMap((entry) => entry.changes || [])
+    .filter((change) => change.field === 'leadgen' && change.value?.leadgen_id);
+
+  const records = [];
+  for (const { value } of changes) {
+    let lead = value.field_data ? value : null;
+    if (!lead) {
+      if (!source.credentials?.accessToken) {
+        throw new Error('Facebook source has no page access token to fetch lead details');
+      }
+      lead = await fetchLead(value.leadgen_id, source.credentials.accessToken);
+    }
+    const { field_data: fieldData, ...meta } = lead;
+    records.push({
+      externalId: String(value.leadgen_id),
+      fields: { ...meta, ...fieldDataToFields(fieldData) },
+      receivedAt: createdAt(lead.created_time),
+    });
+  }
+  return records;
+}
@@ -0,0 +1,27 @@
+// File: services/leadCapture/inbound/housing.js
+// Description: Housing.com lead push. One enquiry or a `data` batch,
+//   authenticated by the `token` query parameter (or X-Capture-Token header).
+//   The portal sends the dialling code separately from the number.
+
+import { sharedTokenMatches, portalRecords } from './shared.js';
+
+export const FIELD_MAP = {
+  lead_id: 'externalId',
+  name: 'fullName',
+  email: 'email',
+  phone: 'phone',
+  country_code: 'ignore',
+  message: 'message',
+  budget_min: 'budgetMin',
+  budget_max: 'budgetMax',
+  configuration: 'unitType',
+  project_name: 'ignore',
+};
+
+export function verify(req, source) {
+  return sharedTokenMatches(req, source.secret);
+}
+
+export function normalize(req) {
+  return portalRecords(req, ['lead_id', 'id']);
+}
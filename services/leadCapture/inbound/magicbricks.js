@@ -0,0 +1,25 @@
+// File: services/leadCapture/inbound/magicbricks.js
+// Description: MagicBricks lead push. Same delivery as the other portals: one
+//   enquiry or a `leads` batch, authenticated by the `token` query parameter
+//   (or X-Capture-Token header).
+
+import { sharedTokenMatches, portalRecords } from './shared.js';
+
+export const FIELD_MAP = {
+  leadId: 'externalId',
+  name: 'fullName',
+  email: 'email',
+  mobile: 'phone',
+  message: 'message',
+  budget: 'budget',
+  propertyType: 'unitType',
+  projectName: 'ignore',
+};
+
+export function verify(req, source) {
+  return sharedTokenMatches(req, source.secret);
+}
+
+export function normalize(req) {
+  return portalRecords(req, ['leadId', 'lead_id', 'id']);
+}
@@ -0,0 +1,84 @@
+// File: services/leadCapture/inbound/shared.js
+// Description: Helpers shared by the lead capture adapters. Every adapter
+//   exports:
+//     verify(req, source)     → boolean; source carries the decrypted secret
+//     normalize(req, source)  → [{ externalId, fields, receivedAt }] (may be async)
+//     FIELD_MAP               → provider field → CAPTURE_FIELDS entry
+//   `fields` is a flat object of the payload's own field names; the service maps
+//   them onto the Lead with FIELD_MAP plus the source's fieldMapping.
+
+import crypto from 'crypto';
+
+/**
+ * The request body as received. server.js keeps req.rawBody for
+ * /api/lead-capture; re-serialising the parsed body is the fallback.
+ */
+export function rawBodyOf(req) {
+  if (req.rawBody) return req.rawBody;
+  return Buffer.from(typeof req.body === 'string' ? req.body : JSON.stringify(req.body || {}));
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * True when `signature` (hex, optionally `sha256=`-prefixed) is the
+ * HMAC-SHA256 of `payload` keyed by `secret`.
+ */
+export function hmacMatches(secret, payload, signature) {
+  if (!secret || !signature) return false;
+  const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  return safeEqual(expected, String(signature).replace(/^sha256=/, ''));
+}
+
+/**
+ * Portals can't sign their pushes; they send the source secret as a token,
+ * in the X-Capture-Token header or a `token` query parameter.
+ */
+export function sharedTokenMatches(req, secret) {
+  const token = (req.get && req.get('X-Capture-Token')) || req.query?.token;
+  if (!secret || !token) return false;
+  return safeEqual(secret, token);
+}
+
+/** One lead or a batch: a bare array, or an array under `leads` / `data`. */
+export function recordsOf(body) {
+  if (!body || typeof body !== 'object') return [];
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body.leads)) return body.leads;
+  if (Array.isArray(body.data)) return body.data;
+  return [body];
+}
+
+/** Flatten nested objects into dotted keys; arrays of primitives are joined. */
+export function flattenFields(record, prefix = '') {
+  const out = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined || value === '') continue;
+    if (Array.isArray(value)) {
+      if (value.every((v) => typeof v !== 'object')) out[path] = value.join(', ');
+    } else if (typeof value === 'object') {
+      Object.assign(out, flattenFields(value, path));
+    } else {
+      out[path] = value;
+    }
+  }
+  return out;
+}
+
+/** Portal push → capture records; the first of `idFields` present is the portal's lead id. */
+export function portalRecords(req, idFields) {
+  return recordsOf(req.body).map((record) => {
+    const fields = flattenFields(record);
+    const idKey = idFields.find((k) => fields[k] !== undefined);
+    return {
+      externalId: idKey ? String(fields[idKey]) : undefined,
+      fields,
+      receivedAt: new Date(),
+    };
+  });
+}
@@ -0,0 +1,16 @@
+// File: services/leadCapture/inbound/test.js
+// Description: Test adapter. Takes CAPTURE_FIELDS names directly so a source
+//   can be exercised end-to-end without a portal account. Like the portals it
+//   requires the source secret as a token, in every environment.
+
+import { sharedTokenMatches, portalRecords } from './shared.js';
+
+export const FIELD_MAP = {};
+
+export function verify(req, source) {
+  return sharedTokenMatches(req, source.secret);
+}
+
+export function normalize(req) {
+  return portalRecords(req, ['externalId']);
+}
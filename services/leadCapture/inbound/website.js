@@ -0,0 +1,39 @@
+// File: services/leadCapture/inbound/website.js
+// Description: Website enquiry forms. The site's form handler posts the
+//   submission (JSON or form fields) server-side and signs the raw body:
+//   X-Signature: sha256=<hex HMAC-SHA256 of the body keyed by the source secret>.
+//   UTM parameters carried on the form become the lead's campaign attribution.
+
+import { rawBodyOf, hmacMatches, portalRecords } from './shared.js';
+
+export const FIELD_MAP = {
+  name: 'fullName',
+  full_name: 'fullName',
+  first_name: 'firstName',
+  last_name: 'lastName',
+  email: 'email',
+  phone: 'phone',
+  mobile: 'phone',
+  budget: 'budget',
+  configuration: 'unitType',
+  unit_type: 'unitType',
+  message: 'message',
+  comments: 'message',
+  utm_campaign: 'campaign',
+  utm_medium: 'medium',
+  utm_source: 'adSource',
+  utm_content: 'content',
+  utm_term: 'term',
+  submission_id: 'externalId',
+  page_url: 'ignore',
+};
+
+/** HMAC of the raw body with the source secret. */
+export function verify(req, source) {
+  const signature = req.get && req.get('X-Signature');
+  return hmacMatches(source.secret, rawBodyOf(req), signature);
+}
+
+export function normalize(req) {
+  return portalRecords(req, ['submission_id', 'submissionId', 'id']);
+}
@@ -0,0 +1,547 @@
+// File: services/leadCapture/leadCaptureService.js
+// Description: Turns inbound portal / ad / website enquiries into Leads. Each
+//   LeadCaptureSource points one feed at a project; a delivery is verified and
+//   normalized by the provider adapter (./inbound/*), then every record is
+//   mapped onto Lead fields, checked against the project's existing leads
+//   (phone or email), scored, and round-robined to the source's team — or,
+//   for a source without one, routed by the project's assignment rules.
+//   A repeat enquiry is logged on the existing lead instead of creating a
+//   second one; a re-delivered provider lead id is skipped. New leads are
+//   linked to the marketing campaign their source or UTM tags belong to.
+
+import crypto from 'crypto';
+import Lead from '../../models/leadModel.js';
+import Project from '../../models/projectModel.js';
+import User from '../../models/userModel.js';
+import LeadCaptureSource, { CAPTURE_FIELDS } from '../../models/leadCaptureSourceModel.js';
+import { updateLeadScore } from '../leadScoringService.js';
+import { chooseAssignee, stampAssignment, logRoutingDecision } from '../leadAssignmentService.js';
+import { findMatchingCampaign } from '../campaignService.js';
+import { createNotification, notifyUsersWithPermission } from '../notificationService.js';
+import { derivePriorityFromTimeline } from '../../utils/leadPriority.js';
+import { contactKeysOf } from '../../utils/contactNormalizer.js';
+import * as websiteAdapter from './inbound/website.js';
+import * as facebookAdapter from './inbound/facebook.js';
+import * as acresAdapter from './inbound/99acres.js';
+import * as magicbricksAdapter from './inbound/magicbricks.js';
+import * as housingAdapter from './inbound/housing.js';
+import * as testAdapter from './inbound/test.js';
+import { httpError } from '../../utils/httpError.js';
+
+const CAPTURE_ADAPTERS = {
+  website: websiteAdapter,
+  facebook: facebookAdapter,
+  '99acres': acresAdapter,
+  magicbricks: magicbricksAdapter,
+  housing: housingAdapter,
+  test: testAdapter,
+};
+
+export const PROVIDER_LABELS = {
+  website: 'Website',
+  facebook: 'Facebook Lead Ads',
+  '99acres': '99acres',
+  magicbricks: 'MagicBricks',
+  housing: 'Housing.com',
+  test: 'Test feed',
+};
+
+const PROVIDER_MEDIUM = {
+  website: 'website',
+  facebook: 'paid_social',
+  '99acres': 'property_portal',
+  magicbricks: 'property_portal',
+  housing: 'property_portal',
+  test: 'test',
+};
+
+const TIMELINES = ['immediate', '1-3_months', '3-6_months', '6-12_months', '12+_months'];
+
+export const getCaptureAdapter = (provider) => CAPTURE_ADAPTERS[provider] || null;
+
+// ─── Field mapping (pure) ─────────────────────────────────────
+
+// "utm_source", "UTM Source" and "utmSource" all compare equal
+const fieldKey = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const UNITS = { k: 1e3, thousand: 1e3, l: 1e5, lac: 1e5, lacs: 1e5, lakh: 1e5, lakhs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7 };
+
+const parseAmount = (text) => {
+  const m = String(text).toLowerCase()
+    .replace(/[,\s]/g, '')
+    .replace(/^(?:₹|rs\.?|inr)/, '')
+    .match(/^(\d+(?:\.\d+)?)([a-z]*)$/);
+  if (!m) return null;
+  const multiplier = m[2] ? UNITS[m[2]] : 1;
+  return multiplier ? Math.round(parseFloat(m[1]) * multiplier) : null;
+};
+
+/**
+ * Budget text as portals send it — "85 Lac", "1.2 Cr", "₹ 75,00,000",
+ * "50 Lac - 1 Cr", "60-70 L". A unit on the upper bound carries to the lower.
+ * @returns {{ min: number, max: number }|null}
+ */
+export const parseBudget = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return { min: value, max: value };
+  const parts = String(value).split(/\s*(?:-|–|to)\s*/i).filter(Boolean);
+  if (parts.length === 2) {
+    const unit = parts[1].toLowerCase().match(/[a-z]+$/)?.[0] || '';
+    const lower = parseAmount(/[a-z]$/i.test(parts[0]) ? parts[0] : `${parts[0]}${unit}`);
+    const upper = parseAmount(parts[1]);
+    return lower !== null && upper !== null ? { min: lower, max: upper } : null;
+  }
+  const amount = parseAmount(parts[0] || '');
+  return amount !== null ? { min: amount, max: amount } : null;
+};
+
+const splitName = (fullName) => {
+  const parts = String(fullName).trim().split(/\s+/);
+  return { firstName: parts[0], lastName: parts.slice(1).join(' ') || undefined };
+};
+
+const normalizeTimeline = (value) => {
+  const v = String(value).trim().toLowerCase().replace(/\s*months?$/, '_months').replace(/\s+/g, '');
+  return TIMELINES.includes(v) ? v : null;
+};
+
+/**
+ * Map a record's payload fields onto capture fields with the adapter's
+ * FIELD_MAP overlaid by the source's own fieldMapping. Fields that map to
+ * nothing are returned in `unmapped` so they can be kept on the lead. Pure.
+ *
+ * @param {object} fields - flat payload fields
+ * @param {object} fieldMap - adapter FIELD_MAP
+ * @param {object|Map} [customMapping] - LeadCaptureSource.fieldMapping
+ * @returns {{ mapped: object, unmapped: object }}
+ */
+export const mapCapturedFields = (fields, fieldMap, customMapping) => {
+  const lookup = {};
+  for (const [from, to] of Object.entries(fieldMap || {})) lookup[fieldKey(from)] = to;
+  const custom = customMapping instanceof Map ? Object.fromEntries(customMapping) : customMapping;
+  for (const [from, to] of Object.entries(custom || {})) lookup[fieldKey(from)] = to;
+  // A payload already using capture field names needs no mapping
+  for (const name of CAPTURE_FIELDS) lookup[fieldKey(name)] ??= name;
+
+  const mapped = {};
+  const unmapped = {};
+  for (const [name, value] of Object.entries(fields || {})) {
+    const target = lookup[fieldKey(name)];
+    if (!target) unmapped[name] = value;
+    else if (target !== 'ignore' && mapped[target] === undefined) mapped[target] = String(value).trim();
+  }
+  return { mapped, unmapped };
+};
+
+/**
+ * Lead fields from a mapped record. Pure.
+ * @returns {{ lead: object, externalId?: string, message?: string }|{ error: string }}
+ */
+export const buildCapturedLead = ({ mapped, unmapped }, source) => {
+  if (!mapped.phone || mapped.phone.replace(/\D/g, '').length < 10) {
+    return { error: 'A phone number is required' };
+  }
+
+  const name = mapped.firstName
+    ? { firstName: mapped.firstName, lastName: mapped.lastName }
+    : mapped.fullName ? splitName(mapped.fullName) : { firstName: 'Unknown' };
+
+  const budget = mapped.budgetMin || mapped.budgetMax
+    ? { min: parseBudget(mapped.budgetMin)?.min, max: parseBudget(mapped.budgetMax)?.max }
+    : parseBudget(mapped.budget);
+  const timeline = mapped.timeline ? normalizeTimeline(mapped.timeline) : null;
+  const unitType = mapped.unitType?.replace(/\s*bhk$/i, 'BHK');
+
+  const label = PROVIDER_LABELS[source.provider];
+  const extra = Object.entries(unmapped).map(([k, v]) => `${k}: ${v}`);
+  if (mapped.timeline && !timeline) extra.push(`timeline: ${mapped.timeline}`);
+  const notes = [
+    mapped.message && `Enquiry via ${label}: ${mapped.message}`,
+    extra.length && `Other details from ${label}:\n${extra.join('\n')}`,
+  ].filter(Boolean).join('\n\n');
+
+  return {
+    externalId: mapped.externalId,
+    message: mapped.message,
+    lead: {
+      ...name,
+      email: mapped.email?.toLowerCase() || undefined,
+      phone: mapped.phone,
+      source: source.defaults?.source || 'Marketing',
+      sourceDetail: { text: source.defaults?.sourceDetail || source.name },
+      attribution: {
+        campaign: mapped.campaign || source.defaults?.campaign,
+        medium: mapped.medium || source.defaults?.medium || PROVIDER_MEDIUM[source.provider],
+        source: mapped.adSource || source.provider,
+        content: mapped.content,
+        term: mapped.term,
+        firstTouchpoint: source.provider,
+        lastTouchpoint: source.provider,
+        touchpointCount: 1,
+      },
+      ...(budget && { budget: { ...budget, budgetSource: 'self_funded' } }),
+      requirements: { ...(unitType && { unitType }), ...(timeline && { timeline }) },
+      priority: derivePriorityFromTimeline(timeline),
+      notes: notes || undefined,
+    },
+  };
+};
+
+// ─── Ingestion ────────────────────────────────────────────────
+
+/**
+ * The project's existing lead for this phone or email, most recent first.
+ */
+export const findCapturedDuplicate = async ({ organization, project, phone, email }) => {
+  const keys = contactKeysOf({ phone, email });
+  const or = [];
+  if (keys.phone) or.push({ 'contactKeys.phone': keys.phone });
+  if (keys.email) or.push({ 'contactKeys.email': keys.email });
+  if (!or.length) return null;
+  return Lead.findOne({ organization, project, $or: or }).sort({ createdAt: -1 });
+};
+
+/**
+ * Next assignee in the source's rotation, skipping deactivated users.
+ * The cursor is advanced atomically so concurrent deliveries don't collide.
+ */
+export const nextRoundRobinAssignee = async (source) => {
+  const ids = source.assignment?.assignees || [];
+  if (!ids.length) return null;
+  const active = await User.find({ _id: { $in: ids }, organization: source.organization, isActive: true })
+    .select('_id')
+    .lean();
+  const activeIds = new Set(active.map((u) => String(u._id)));
+  const pool = ids.filter((id) => activeIds.has(String(id)));
+  if (!pool.length) return null;
+
+  const before = await LeadCaptureSource.findByIdAndUpdate(
+    source._id,
+    { $inc: { 'assignment.cursor': 1 } }
+  ).select('assignment.cursor');
+  return pool[(before?.assignment?.cursor || 0) % pool.length];
+};
+
+const recordRepeatEnquiry = async (lead, source, captured) => {
+  const label = PROVIDER_LABELS[source.provider];
+  lead.attribution = lead.attribution || {};
+  lead.attribution.lastTouchpoint = source.provider;
+  lead.attribution.touchpointCount = (lead.attribution.touchpointCount || 1) + 1;
+  if (captured.externalId) {
+    lead.capture = lead.capture || {};
+    lead.capture.externalIds = [...(lead.capture.externalIds || []), captured.externalId];
+  }
+  const stamp = new Date().toISOString().slice(0, 10);
+  const line = `[${stamp}] Enquired again via ${label}${captured.message ? `: ${captured.message}` : ''}`;
+  lead.notes = lead.notes ? `${lead.notes}\n\n${line}` : line;
+  await lead.save();
+
+  if (lead.assignedTo) {
+    await createNotification({
+      organization: lead.organization,
+      recipient: lead.assignedTo,
+      type: 'lead_re_enquiry',
+      title: `${lead.firstName} enquired again via ${label}`,
+      message: captured.message || `Status: ${lead.status}`,
+      actionUrl: `/leads/${lead._id}`,
+      relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: lead.firstName },
+      priority: 'high',
+    });
+  }
+};
+
+const announceNewLead = async (lead, source) => {
+  const label = PROVIDER_LABELS[source.provider];
+  const name = `${lead.firstName} ${lead.lastName || ''}`.trim();
+  const relatedEntity = { entityType: 'Lead', entityId: lead._id, displayLabel: name };
+  if (lead.assignedTo) {
+    await createNotification({
+      organization: lead.organization,
+      recipient: lead.assignedTo,
+      type: 'lead_captured',
+      title: `New ${label} lead: ${name}`,
+      message: `Assigned to you from ${source.name}`,
+      actionUrl: `/leads/${lead._id}`,
+      relatedEntity,
+      priority: 'high',
+    });
+    return;
+  }
+  await notifyUsersWithPermission({
+    organizationId: lead.organization,
+    permission: 'leads:assign',
+    type: 'lead_captured',
+    title: `Unassigned ${label} lead: ${name}`,
+    message: `Neither ${source.name} nor the project's assignment rules could assign it`,
+    actionUrl: `/leads/${lead._id}`,
+    relatedEntity,
+    priority: 'high',
+  });
+};
+
+/**
+ * Create (or match) the lead for one normalized capture record.
+ * @returns {Promise<{ outcome: 'created'|'duplicate'|'redelivered'|'rejected', lead?, reason? }>}
+ */
+export const ingestCapturedRecord = async (source, record) => {
+  const adapter = getCaptureAdapter(source.provider);
+  const captured = buildCapturedLead(
+    mapCapturedFields(record.fields, adapter.FIELD_MAP, source.fieldMapping),
+    source
+  );
+  if (captured.error) return { outcome: 'rejected', reason: captured.error };
+  const externalId = record.externalId || captured.externalId;
+
+  if (externalId) {
+    const seen = await Lead.findOne({ organization: source.organization, 'capture.externalIds': externalId })
+      .select('_id');
+    if (seen) return { outcome: 'redelivered', lead: seen };
+  }
+
+  const duplicate = await findCapturedDuplicate({
+    organization: source.organization,
+    project: source.project,
+    phone: captured.lead.phone,
+    email: captured.lead.email,
+  });
+  if (duplicate) {
+    await recordRepeatEnquiry(duplicate, source, { ...captured, externalId });
+    return { outcome: 'duplicate', lead: duplicate };
+  }
+
+  // The source's own team first; otherwise the project's assignment rules.
+  const now = new Date();
+  const fields = { ...captured.lead, organization: source.organization, project: source.project, assignedTo: null };
+  let routingDecision = null;
+  const roundRobinPick = await nextRoundRobinAssignee(source);
+  if (roundRobinPick) {
+    fields.assignedTo = roundRobinPick;
+    fields.routing = { method: 'capture', assignedAt: now };
+  } else {
+    routingDecision = await chooseAssignee(fields, { now });
+    if (routingDecision.assignee) stampAssignment(fields, routingDecision, now);
+  }
+
+  try {
+    const campaign = await findMatchingCampaign({
+      organization: source.organization,
+      project: source.project,
+      captureSource: source._id,
+      attribution: fields.attribution,
+      at: record.receivedAt || now,
+    });
+    if (campaign) fields.campaign = campaign._id;
+  } catch (err) {
+    console.warn(`[lead-capture] campaign match for ${source.name} failed: ${err.message}`);
+  }
+
+  const lead = await Lead.create({
+    ...fields,
+    status: 'New',
+    statusHistory: [{ status: 'New', changedAt: new Date(), note: `Captured from ${source.name}` }],
+    capture: {
+      source: source._id,
+      provider: source.provider,
+      externalIds: externalId ? [externalId] : [],
+      capturedAt: record.receivedAt || new Date(),
+    },
+  });
+
+  await logRoutingDecision({
+    lead,
+    action: routingDecision ? routingDecision.action : 'capture',
+    trigger: 'captured',
+    decision: routingDecision || undefined,
+    to: lead.assignedTo || null,
+    reason: routingDecision ? undefined : `Round-robin from ${source.name}`,
+  });
+
+  try {
+    await updateLeadScore(lead._id);
+  } catch (err) {
+    console.warn(`[lead-capture] scoring lead ${lead._id} failed: ${err.message}`);
+  }
+  await announceNewLead(lead, source);
+  return { outcome: 'created', lead };
+};
+
+/**
+ * Ingest every record of one delivery and roll the outcome into the source's
+ * stats. A record that fails is counted as rejected; the rest still go in.
+ * @returns {Promise<{ created, duplicates, redelivered, rejected, leads: string[] }>}
+ */
+export const ingestCapturedLeads = async (source, records) => {
+  const summary = { created: 0, duplicates: 0, redelivered: 0, rejected: 0, leads: [] };
+  let lastError;
+  for (const record of records) {
+    let result;
+    try {
+      result = await ingestCapturedRecord(source, record);
+    } catch (err) {
+      result = { outcome: 'rejected', reason: err.message };
+    }
+    if (result.outcome === 'created') summary.created += 1;
+    else if (result.outcome === 'duplicate') summary.duplicates += 1;
+    else if (result.outcome === 'redelivered') summary.redelivered += 1;
+    else {
+      summary.rejected += 1;
+      lastError = result.reason;
+    }
+    if (result.lead) summary.leads.push(String(result.lead._id));
+  }
+
+  await LeadCaptureSource.updateOne(
+    { _id: source._id },
+    {
+      $inc: {
+        'stats.received': records.length,
+        'stats.created': summary.created,
+        'stats.duplicates': summary.duplicates,
+        'stats.rejected': summary.rejected,
+      },
+      $set: { 'stats.lastReceivedAt': new Date(), ...(lastError && { 'stats.lastError': lastError }) },
+    }
+  );
+  return summary;
+};
+
+// ─── Source management ────────────────────────────────────────
+
+const randomToken = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/** Public webhook URL for a source. */
+export const captureUrl = (source) =>
+  `${process.env.LEAD_CAPTURE_BASE_URL || ''}/api/lead-capture/inbound/${source.provider}/${source.key}`;
+
+const assertAssignees = async (organization, assignees) => {
+  if (!assignees?.length) return;
+  const count = await User.countDocuments({ _id: { $in: assignees }, organization });
+  if (count !== new Set(assignees.map(String)).size) {
+    throw httpError(400, 'Every assignee must be a user in your organization');
+  }
+};
+
+const assertFieldMapping = (fieldMapping) => {
+  const bad = Object.entries(fieldMapping || {}).filter(([, to]) => !CAPTURE_FIELDS.includes(to));
+  if (bad.length) {
+    throw httpError(400, `Unknown capture field(s): ${bad.map(([, to]) => to).join(', ')}. `
+      + `Map onto one of: ${CAPTURE_FIELDS.join(', ')}`);
+  }
+};
+
+/**
+ * Create a capture source. The secret is returned once here; Facebook sources
+ * take the app secret and page token from the caller instead of a generated one.
+ * @returns {Promise<{ source, secret, webhookUrl }>}
+ */
+export const createCaptureSource = async ({
+  organization, projectId, name, provider, secret, accessToken, fieldMapping, defaults, assignees, user, verifyAccess,
+}) => {
+  if (!getCaptureAdapter(provider)) throw httpError(400, `Unknown provider "${provider}"`);
+  if (!name) throw httpError(400, 'A name is required');
+  const project = await Project.findOne({ _id: projectId, organization }).select('_id');
+  if (!project) throw httpError(404, 'Project not found.');
+  verifyAccess?.(project._id);
+  if (provider === 'facebook' && (!secret || !accessToken)) {
+    throw httpError(400, 'Facebook sources need the app secret and a page access token');
+  }
+  assertFieldMapping(fieldMapping);
+  await assertAssignees(organization, assignees);
+
+  const plainSecret = provider === 'facebook' ? secret : randomToken(32);
+  const source = await LeadCaptureSource.create({
+    organization,
+    project: project._id,
+    name,
+    provider,
+    key: randomToken(16),
+    secret: plainSecret,
+    verifyToken: provider === 'facebook' ? randomToken(12) : undefined,
+    credentials: { accessToken: provider === 'facebook' ? accessToken : undefined },
+    fieldMapping: fieldMapping || {},
+    defaults: defaults || {},
+    assignment: { assignees: assignees || [] },
+    createdBy: user._id,
+  });
+  source.secret = undefined;
+  source.credentials.accessToken = undefined;
+  return { source, secret: plainSecret, webhookUrl: captureUrl(source) };
+};
+
+const loadSource = async (sourceId, organization, verifyAccess) => {
+  const source = await LeadCaptureSource.findOne({ _id: sourceId, organization });
+  if (!source) throw httpError(404, 'Lead capture source not found.');
+  verifyAccess?.(source.project);
+  return source;
+};
+
+export const listCaptureSources = async ({ organization, projectFilter = {}, projectId }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  const sources = await LeadCaptureSource.find(query)
+    .populate('project', 'name')
+    .populate('assignment.assignees', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+  return sources.map((s) => ({ ...s, webhookUrl: captureUrl(s) }));
+};
+
+/**
+ * Update name, mapping, defaults, assignees, active flag or the Facebook page
+ * token. The provider and project of a source never change.
+ */
+export const updateCaptureSource = async (sourceId, { organization, updates, verifyAccess }) => {
+  const source = await loadSource(sourceId, organization, verifyAccess);
+  const { name, fieldMapping, defaults, assignees, active, accessToken } = updates;
+  if (fieldMapping !== undefined) {
+    assertFieldMapping(fieldMapping);
+    source.fieldMapping = fieldMapping;
+  }
+  if (assignees !== undefined) {
+    await assertAssignees(organization, assignees);
+    source.assignment.assignees = assignees;
+  }
+  if (name !== undefined) source.name = name;
+  if (defaults !== undefined) Object.assign(source.defaults, defaults);
+  if (active !== undefined) source.active = Boolean(active);
+  if (accessToken && source.provider === 'facebook') source.credentials.accessToken = accessToken;
+  await source.save();
+  const { secret, credentials, ...plain } = source.toObject();
+  return { ...plain, webhookUrl: captureUrl(source) };
+};
+
+/**
+ * Issue a new secret (Facebook: store the new app secret given). The old one
+ * stops working immediately.
+ */
+export const rotateCaptureSecret = async (sourceId, { organization, secret, verifyAccess }) => {
+  const source = await loadSource(sourceId, organization, verifyAccess);
+  if (source.provider === 'facebook' && !secret) throw httpError(400, 'Provide the new Facebook app secret');
+  const plainSecret = source.provider === 'facebook' ? secret : randomToken(32);
+  source.secret = plainSecret;
+  await source.save();
+  return { secret: plainSecret, webhookUrl: captureUrl(source) };
+};
+
+/** Resolve an active source for an inbound delivery, secrets included. */
+export const resolveInboundSource = async (provider, key) => {
+  if (!getCaptureAdapter(provider) || !key) return null;
+  return LeadCaptureSource.findOne({ key, provider, active: true }).select('+secret +credentials.accessToken');
+};
+
+export default {
+  getCaptureAdapter,
+  parseBudget,
+  mapCapturedFields,
+  buildCapturedLead,
+  findCapturedDuplicate,
+  nextRoundRobinAssignee,
+  ingestCapturedRecord,
+  ingestCapturedLeads,
+  captureUrl,
+  createCaptureSource,
+  listCaptureSources,
+  updateCaptureSource,
+  rotateCaptureSecret,
+  resolveInboundSource,
+};
@@ -0,0 +1,419 @@
+// File: services/leadDedupeService.js
+// Description: Organization-wide lead deduplication. Leads carry normalized
+//   contact keys (Lead.contactKeys, see utils/contactNormalizer.js); this
+//   service finds leads sharing a phone or email — for one contact or as
+//   clusters across every project — and merges duplicates into a survivor.
+//   A merge re-points everything that references the merged leads
+//   (interactions, tasks, files, site visits, messages, routing logs, sales
+//   and their lifecycles, document packs and home loans, holds, payments,
+//   invoices and notes, commissions, CP prospects), folds their status/score history and CP attribution into the
+//   survivor, records an audit entry on it and deletes the merged leads.
+
+import mongoose from 'mongoose';
+import Lead from '../models/leadModel.js';
+import Interaction from '../models/interactionModel.js';
+import Task from '../models/taskModel.js';
+import File from '../models/fileModel.js';
+import Sale from '../models/salesModel.js';
+import UnitHold from '../models/unitHoldModel.js';
+import PaymentPlan from '../models/paymentPlanModel.js';
+import Installment from '../models/installmentModel.js';
+import PaymentTransaction from '../models/paymentTransactionModel.js';
+import Invoice from '../models/invoiceModel.js';
+import PartnerCommission from '../models/partnerCommissionModel.js';
+import CommissionInvoice from '../models/commissionInvoiceModel.js';
+import CancellationSettlement from '../models/cancellationSettlementModel.js';
+import Prospect from '../models/prospectModel.js';
+import SiteVisit from '../models/siteVisitModel.js';
+import LeadMessage from '../models/leadMessageModel.js';
+import LeadRoutingLog from '../models/leadRoutingLogModel.js';
+import HomeLoan from '../models/homeLoanModel.js';
+import SaleLifecycle from '../models/saleLifecycleModel.js';
+import SalesDocumentPack from '../models/salesDocumentPackModel.js';
+import AdjustmentNote from '../models/adjustmentNoteModel.js';
+import { SCORE_HISTORY_LIMIT } from '../models/leadModel.js';
+import { contactKeysOf } from '../utils/contactNormalizer.js';
+import { updateLeadScore } from './leadScoringService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Most leads merged into one survivor per request.
+export const MAX_MERGE_LEADS = 20;
+
+// Duplicate groups examined per key when building clusters.
+const CLUSTER_GROUP_LIMIT = 500;
+
+// Further along the funnel wins when suggesting a survivor.
+const STATUS_RANK = {
+  Booked: 6,
+  Negotiating: 5,
+  'Site Visit Completed': 4,
+  Qualified: 3,
+  Revived: 2,
+  New: 1,
+  Lost: 0,
+  pending: 0,
+};
+
+// Every model field that points at a Lead, re-pointed to the survivor on merge.
+// `filter` narrows polymorphic references to their Lead rows.
+const LEAD_REFERENCES = [
+  { key: 'interactions', model: Interaction, field: 'lead' },
+  { key: 'tasks', model: Task, field: 'linkedEntity.entityId', filter: { 'linkedEntity.entityType': 'Lead' } },
+  { key: 'files', model: File, field: 'associatedResource', filter: { resourceType: 'Lead' } },
+  { key: 'siteVisits', model: SiteVisit, field: 'lead' },
+  { key: 'messages', model: LeadMessage, field: 'lead' },
+  { key: 'routingLogs', model: LeadRoutingLog, field: 'lead' },
+  { key: 'sales', model: Sale, field: 'lead' },
+  { key: 'saleLifecycles', model: SaleLifecycle, field: 'lead' },
+  { key: 'documentPacks', model: SalesDocumentPack, field: 'lead' },
+  { key: 'homeLoans', model: HomeLoan, field: 'lead' },
+  { key: 'unitHolds', model: UnitHold, field: 'lead' },
+  { key: 'paymentPlans', model: PaymentPlan, field: 'customer' },
+  { key: 'installments', model: Installment, field: 'customer' },
+  { key: 'paymentTransactions', model: PaymentTransaction, field: 'customer' },
+  { key: 'invoices', model: Invoice, field: 'customer' },
+  { key: 'adjustmentNotes', model: AdjustmentNote, field: 'customer' },
+  { key: 'partnerCommissions', model: PartnerCommission, field: 'saleDetails.customer' },
+  { key: 'commissionInvoices', model: CommissionInvoice, field: 'lead' },
+  { key: 'cancellationSettlements', model: CancellationSettlement, field: 'customer' },
+  { key: 'prospects', model: Prospect, field: 'pushedToLead' },
+];
+
+const LEAD_SUMMARY_FIELDS =
+  'firstName lastName phone email contactKeys project status assignedTo source score scoreGrade createdAt updatedAt';
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const fullName = (doc) =>
+  [doc?.firstName, doc?.lastName].filter(Boolean).join(' ') || 'Unnamed lead';
+
+const toObjectId = (id) => (id instanceof mongoose.Types.ObjectId ? id : new mongoose.Types.ObjectId(String(id)));
+
+/**
+ * The lead a cluster should be merged into: the one furthest along the
+ * funnel, then the oldest (it carries the longest history).
+ * @param {Array<Object>} leads
+ * @returns {Object|null}
+ */
+export const suggestSurvivor = (leads) => {
+  if (!leads?.length) return null;
+  return [...leads].sort((a, b) =>
+    (STATUS_RANK[b.status] ?? 0) - (STATUS_RANK[a.status] ?? 0)
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  )[0];
+};
+
+/**
+ * Connected components over lead ids, where each group is a set of leads that
+ * share one contact key. Two groups sharing a lead end up in one cluster, so a
+ * phone match and an email match chain together.
+ * @param {Array<Array<string>>} groups
+ * @returns {Array<Array<string>>} clusters of two or more ids
+ */
+export const clusterLeadGroups = (groups) => {
+  const parent = new Map();
+  const find = (id) => {
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    let node = id;
+    while (parent.get(node) !== root) {
+      const next = parent.get(node);
+      parent.set(node, root);
+      node = next;
+    }
+    return root;
+  };
+
+  for (const group of groups) {
+    const ids = group.map(String);
+    for (const id of ids) if (!parent.has(id)) parent.set(id, id);
+    for (let i = 1; i < ids.length; i++) {
+      const a = find(ids[0]);
+      const b = find(ids[i]);
+      if (a !== b) parent.set(b, a);
+    }
+  }
+
+  const components = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(id);
+  }
+  return [...components.values()].filter((ids) => ids.length > 1);
+};
+
+/**
+ * Fold the merged leads' history and attribution into the survivor document
+ * (mutates it; the caller saves). Blank survivor fields are filled from the
+ * merged leads, the survivor's own values always win.
+ * @param {Object} survivor - Lead document
+ * @param {Array<Object>} merged - Lead documents being merged away
+ */
+export const combineLeadRecords = (survivor, merged) => {
+  // Status history, chronologically.
+  const statusHistory = [...(survivor.statusHistory || [])];
+  for (const lead of merged) {
+    for (const entry of lead.statusHistory || []) {
+      const plain = entry.toObject ? entry.toObject() : { ...entry };
+      delete plain._id;
+      statusHistory.push({ ...plain, note: [plain.note, `from merged lead ${fullName(lead)}`].filter(Boolean).join(' — ') });
+    }
+  }
+  statusHistory.sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+  survivor.statusHistory = statusHistory;
+  survivor.revivedCount = merged.reduce((sum, l) => sum + (l.revivedCount || 0), survivor.revivedCount || 0);
+
+  // Score history, chronologically and capped like updateLeadScore does.
+  const scoreHistory = [...(survivor.scoreHistory || []), ...merged.flatMap((l) => l.scoreHistory || [])]
+    .map((s) => ({ score: s.score, grade: s.grade, modelVersion: s.modelVersion ?? null, calculatedAt: s.calculatedAt }))
+    .sort((a, b) => new Date(a.calculatedAt) - new Date(b.calculatedAt));
+  survivor.scoreHistory = scoreHistory.slice(-SCORE_HISTORY_LIMIT);
+
+  // Notes, each merged lead's under its own heading.
+  const notes = [survivor.notes, ...merged.filter((l) => l.notes).map((l) => `[Merged from ${fullName(l)}]\n${l.notes}`)]
+    .filter(Boolean);
+  if (notes.length) survivor.notes = notes.join('\n\n');
+
+  // Channel partner attribution: union of partners by channel partner.
+  const mergedCp = merged.filter((l) => l.channelPartnerAttribution?.partners?.length);
+  if (mergedCp.length) {
+    if (!survivor.channelPartnerAttribution) survivor.channelPartnerAttribution = {};
+    const cpa = survivor.channelPartnerAttribution;
+    const partners = [...(cpa.partners || [])];
+    const seen = new Set(partners.map((p) => String(p.channelPartner)));
+    for (const lead of mergedCp) {
+      for (const partner of lead.channelPartnerAttribution.partners) {
+        if (seen.has(String(partner.channelPartner))) continue;
+        seen.add(String(partner.channelPartner));
+        const plain = partner.toObject ? partner.toObject() : { ...partner };
+        delete plain._id;
+        partners.push(plain);
+      }
+    }
+    cpa.partners = partners;
+    cpa.viaChannelPartner = true;
+    if (!cpa.status || cpa.status === 'tagged') {
+      cpa.status = mergedCp.find((l) => l.channelPartnerAttribution.status !== 'tagged')
+        ?.channelPartnerAttribution.status || cpa.status || 'tagged';
+    }
+    cpa.history = [
+      ...(cpa.history || []),
+      ...mergedCp.flatMap((l) => (l.channelPartnerAttribution.history || []).map((h) => {
+        const plain = h.toObject ? h.toObject() : { ...h };
+        delete plain._id;
+        return plain;
+      })),
+    ];
+  }
+
+  // Engagement counters add up.
+  survivor.attribution = survivor.attribution || {};
+  survivor.attribution.touchpointCount = merged.reduce(
+    (sum, l) => sum + (l.attribution?.touchpointCount || 0),
+    survivor.attribution.touchpointCount || 0
+  );
+  for (const field of ['callsCount', 'emailsCount', 'meetingsCount', 'siteVisitsCount']) {
+    survivor.activitySummary = survivor.activitySummary || {};
+    survivor.activitySummary[field] = merged.reduce(
+      (sum, l) => sum + (l.activitySummary?.[field] || 0),
+      survivor.activitySummary[field] || 0
+    );
+  }
+  survivor.engagementMetrics = survivor.engagementMetrics || {};
+  survivor.engagementMetrics.totalInteractions = merged.reduce(
+    (sum, l) => sum + (l.engagementMetrics?.totalInteractions || 0),
+    survivor.engagementMetrics.totalInteractions || 0
+  );
+
+  // Captured provider ids, so re-deliveries keep resolving to the survivor.
+  const externalIds = new Set([
+    ...(survivor.capture?.externalIds || []),
+    ...merged.flatMap((l) => l.capture?.externalIds || []),
+  ]);
+  if (externalIds.size) {
+    survivor.capture = survivor.capture || {};
+    survivor.capture.externalIds = [...externalIds];
+  }
+
+  // Blank survivor fields filled from the merged leads.
+  for (const lead of merged) {
+    if (!survivor.email && lead.email) survivor.email = lead.email;
+    if (!survivor.lastName && lead.lastName) survivor.lastName = lead.lastName;
+    if (!survivor.assignedTo && lead.assignedTo) survivor.assignedTo = lead.assignedTo;
+    if (!survivor.sourceProspect && lead.sourceProspect) survivor.sourceProspect = lead.sourceProspect;
+    if (!survivor.budget?.min && !survivor.budget?.max && (lead.budget?.min || lead.budget?.max)) {
+      survivor.budget = lead.budget.toObject ? lead.budget.toObject() : lead.budget;
+    }
+    if (!survivor.requirements?.unitType && lead.requirements?.unitType) {
+      survivor.requirements = survivor.requirements || {};
+      survivor.requirements.unitType = lead.requirements.unitType;
+    }
+    if (!survivor.requirements?.timeline && lead.requirements?.timeline) {
+      survivor.requirements = survivor.requirements || {};
+      survivor.requirements.timeline = lead.requirements.timeline;
+    }
+  }
+};
+
+// ─── Lookup ────────────────────────────────────────────────────────────────
+
+/**
+ * Leads in the organization that share the given phone or email.
+ * @param {Object} params
+ * @param {string|ObjectId} params.organization
+ * @param {string} [params.phone]
+ * @param {string} [params.email]
+ * @param {string|ObjectId} [params.excludeId] - the lead being checked
+ * @param {Object} [params.projectFilter] - projectAccessFilter(req)
+ * @returns {Promise<Array<Object>>} lean summaries, newest first
+ */
+export const findDuplicateLeads = async ({ organization, phone, email, excludeId, projectFilter = {} }) => {
+  const keys = contactKeysOf({ phone, email });
+  const or = [];
+  if (keys.phone) or.push({ 'contactKeys.phone': keys.phone });
+  if (keys.email) or.push({ 'contactKeys.email': keys.email });
+  if (!or.length) return [];
+
+  const query = { organization, ...projectFilter, $or: or };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const leads = await Lead.find(query)
+    .select(LEAD_SUMMARY_FIELDS)
+    .populate('project', 'name')
+    .populate('assignedTo', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(MAX_MERGE_LEADS)
+    .lean();
+
+  return leads.map((lead) => ({
+    ...lead,
+    matchedOn: [
+      keys.phone && lead.contactKeys?.phone === keys.phone && 'phone',
+      keys.email && lead.contactKeys?.email === keys.email && 'email',
+    ].filter(Boolean),
+  }));
+};
+
+/**
+ * Every group of leads in the organization sharing a phone or email, across
+ * projects. Largest clusters first.
+ * @param {Object} params
+ * @param {string|ObjectId} params.organization
+ * @param {Object} [params.projectFilter] - projectAccessFilter(req)
+ * @param {number} [params.limit=50]
+ * @returns {Promise<{ clusters: Array<Object>, total: number }>}
+ */
+export const findDuplicateClusters = async ({ organization, projectFilter = {}, limit = 50 }) => {
+  const match = { organization: toObjectId(organization), ...projectFilter };
+
+  const groupsBy = (key) => Lead.aggregate([
+    { $match: { ...match, [`contactKeys.${key}`]: { $type: 'string' } } },
+    { $group: { _id: `$contactKeys.${key}`, ids: { $push: '$_id' }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: CLUSTER_GROUP_LIMIT },
+  ]);
+  const [phoneGroups, emailGroups] = await Promise.all([groupsBy('phone'), groupsBy('email')]);
+
+  const clusters = clusterLeadGroups([...phoneGroups, ...emailGroups].map((g) => g.ids))
+    .sort((a, b) => b.length - a.length);
+  const page = clusters.slice(0, limit);
+  if (!page.length) return { clusters: [], total: clusters.length };
+
+  const leads = await Lead.find({ _id: { $in: page.flat() } })
+    .select(LEAD_SUMMARY_FIELDS)
+    .populate('project', 'name')
+    .populate('assignedTo', 'firstName lastName')
+    .lean();
+  const byId = new Map(leads.map((l) => [String(l._id), l]));
+
+  return {
+    clusters: page.map((ids) => {
+      const members = ids.map((id) => byId.get(id)).filter(Boolean)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      const phones = new Set(members.map((l) => l.contactKeys?.phone).filter(Boolean));
+      const emails = new Set(members.map((l) => l.contactKeys?.email).filter(Boolean));
+      return {
+        leads: members,
+        size: members.length,
+        projects: new Set(members.map((l) => String(l.project?._id || l.project))).size,
+        sharedPhones: [...phones].filter((p) => members.filter((l) => l.contactKeys?.phone === p).length > 1),
+        sharedEmails: [...emails].filter((e) => members.filter((l) => l.contactKeys?.email === e).length > 1),
+        suggestedSurvivor: suggestSurvivor(members)?._id || null,
+      };
+    }),
+    total: clusters.length,
+  };
+};
+
+// ─── Merge ─────────────────────────────────────────────────────────────────
+
+/**
+ * Merge duplicate leads into a survivor.
+ * @param {string|ObjectId} survivorId
+ * @param {Object} params
+ * @param {string|ObjectId} params.organization
+ * @param {Array<string>} params.mergeLeadIds - leads to fold in and delete
+ * @param {Object} params.user - the manager performing the merge
+ * @param {Function} params.verifyAccess - throws if the user can't access a project
+ * @returns {Promise<{ lead: Object, mergedCount: number, moved: Object }>}
+ */
+export const mergeLeads = async (survivorId, { organization, mergeLeadIds, user, verifyAccess }) => {
+  const ids = [...new Set((mergeLeadIds || []).map(String))];
+  if (!ids.length) throw httpError(400, 'mergeLeadIds must list at least one lead to merge.');
+  if (ids.length > MAX_MERGE_LEADS) throw httpError(400, `At most ${MAX_MERGE_LEADS} leads can be merged at once.`);
+  if (ids.includes(String(survivorId))) throw httpError(400, 'The surviving lead cannot also be merged away.');
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) throw httpError(400, 'mergeLeadIds contains an invalid id.');
+
+  const survivor = await Lead.findOne({ _id: survivorId, organization });
+  if (!survivor) throw httpError(404, 'Lead not found.');
+  verifyAccess(survivor.project);
+
+  const merged = await Lead.find({ _id: { $in: ids }, organization });
+  if (merged.length !== ids.length) throw httpError(404, 'One or more leads to merge were not found.');
+  for (const lead of merged) verifyAccess(lead.project);
+
+  if (survivor.status === 'pending' || merged.some((l) => l.status === 'pending')) {
+    throw httpError(409, 'Accept or reject pending CP registrations before merging them.');
+  }
+
+  const now = new Date();
+  combineLeadRecords(survivor, merged);
+  for (const lead of merged) {
+    survivor.mergeHistory.push({
+      lead: lead._id,
+      name: fullName(lead),
+      phone: lead.phone,
+      email: lead.email,
+      project: lead.project,
+      status: lead.status,
+      mergedAt: now,
+      mergedBy: user._id,
+      snapshot: lead.toObject({ depopulate: true }),
+    });
+  }
+  await survivor.save();
+
+  const mergedIds = merged.map((l) => l._id);
+  const moved = {};
+  for (const ref of LEAD_REFERENCES) {
+    const result = await ref.model.updateMany(
+      { ...ref.filter, [ref.field]: { $in: mergedIds } },
+      { $set: { [ref.field]: survivor._id } }
+    );
+    moved[ref.key] = result?.modifiedCount || 0;
+  }
+
+  await Lead.deleteMany({ _id: { $in: mergedIds }, organization });
+
+  // Best-effort: interactions moved over, so the score may change.
+  try {
+    await updateLeadScore(survivor._id);
+  } catch (err) {
+    console.warn('[leadDedupe] rescore after merge failed (non-fatal):', err.message);
+  }
+
+  return { lead: survivor, mergedCount: merged.length, moved };
+};
@@ -7,18 +7,22 @@ import mongoose from 'mongoose';
 import { derivePriorityFromTimeline } from '../utils/leadPriority.js';
 
 // FIXED: Use dynamic imports to avoid circular dependency issues
-let Lead, Interaction, Sale, Unit, Project;
+let Lead, Interaction, Sale, Unit, Project, ScoringConfig;
+let SCORE_HISTORY_LIMIT = 100;
 
 const initializeModels = async () => {
   if (!Lead) {
     try {
-      const { default: LeadModel } = await import('../models/leadModel.js');
+      const { default: LeadModel, SCORE_HISTORY_LIMIT: historyLimit } = await import('../models/leadModel.js');
       const { default: InteractionModel } = await import('../models/interactionModel.js');
       const { default: UnitModel } = await import('../models/unitModel.js');
+      const { default: ScoringConfigModel } = await import('../models/scoringConfigModel.js');
       
       Lead = LeadModel;
+      SCORE_HISTORY_LIMIT = historyLimit ?? SCORE_HISTORY_LIMIT;
       Interaction = InteractionModel;
       Unit = UnitModel;
+      ScoringConfig = ScoringConfigModel;
       
       console.log('✅ Models initialized successfully');
     } catch (error) {
@@ -92,13 +96,34 @@ const DEFAULT_SCORING_CONFIG = {
   }
 };
 
+// The five factors, in the order they are scored and explained.
+const SCORING_FACTORS = ['budgetAlignment', 'engagementLevel', 'timelineUrgency', 'sourceQuality', 'recencyFactor'];
+
+/**
+ * The organization's active scoring config (models/scoringConfigModel.js), or
+ * the built-in default as version 0 when none has been activated.
+ * @returns {Promise<{ version: number, config: Object }>}
+ */
+const getActiveScoringConfig = async (organization) => {
+  await initializeModels();
+  const active = organization
+    ? await ScoringConfig.findOne({ organization, status: 'active' }).select('version factors').lean()
+    : null;
+  if (!active) return { version: 0, config: DEFAULT_SCORING_CONFIG };
+  return { version: active.version, config: active.factors };
+};
+
 /**
  * FIXED: Main scoring function with comprehensive error handling
  * @param {Object} lead - Lead object
  * @param {Object} config - Scoring configuration
+ * @param {Object} [options]
+ * @param {Date} [options.asOf] - score the lead as it stood at this moment
+ *   (engagement window and lead age); used to score closed leads for
+ *   training and back-tests
  * @returns {Object} Score calculation result
  */
-const calculateLeadScore = async (lead, config = DEFAULT_SCORING_CONFIG) => {
+const calculateLeadScore = async (lead, config = DEFAULT_SCORING_CONFIG, { asOf = new Date() } = {}) => {
   try {
     console.log(`🔄 Calculating score for lead: ${lead.firstName} ${lead.lastName || ''} (ID: ${lead._id})`);
     
@@ -167,7 +192,7 @@ const calculateLeadScore = async (lead, config = DEFAULT_SCORING_CONFIG) => {
     // 2. Engagement Level Score with error handling
     try {
       console.log('📞 Calculating engagement level...');
-      const engagementScore = await calculateEngagementScore(lead, config.engagementLevel);
+      const engagementScore = await calculateEngagementScore(lead, config.engagementLevel, asOf);
       console.log('📞 Engagement score result:', engagementScore);
       scoreBreakdown.engagementLevel = engagementScore;
       totalScore += engagementScore.weightedScore || 0;
@@ -221,7 +246,7 @@ const calculateLeadScore = async (lead, config = DEFAULT_SCORING_CONFIG) => {
     // 5. Recency Factor Score with error handling
     try {
       console.log('📅 Calculating recency factor...');
-      const recencyScore = calculateRecencyScore(lead, config.recencyFactor);
+      const recencyScore = calculateRecencyScore(lead, config.recencyFactor, asOf);
       console.log('📅 Recency score result:', recencyScore);
       scoreBreakdown.recencyFactor = recencyScore;
       totalScore += recencyScore.weightedScore || 0;
@@ -362,15 +387,15 @@ const calculateBudgetAlignmentScore = async (lead, config) => {
 /**
  * SIMPLIFIED: Engagement calculation
  */
-const calculateEngagementScore = async (lead, config) => {
+const calculateEngagementScore = async (lead, config, asOf = new Date()) => {
   try {
-    const thirtyDaysAgo = new Date();
+    const thirtyDaysAgo = new Date(asOf);
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
-    // Count interactions in last 30 days
+    // Count interactions in the 30 days up to asOf
     const interactionCount = await Interaction.countDocuments({
       lead: lead._id,
-      createdAt: { $gte: thirtyDaysAgo }
+      createdAt: { $gte: thirtyDaysAgo, $lte: asOf }
     });
     
     console.log('📞 Interaction count:', interactionCount);
@@ -503,9 +528,9 @@ const calculateSourceScore = (lead, config) => {
 /**
  * SIMPLIFIED: Recency calculation
  */
-const calculateRecencyScore = (lead, config) => {
+const calculateRecencyScore = (lead, config, asOf = new Date()) => {
   try {
-    const now = new Date();
+    const now = asOf;
     const createdAt = lead.createdAt || new Date();
     const ageInDays = Math.floor((now - createdAt) / (1000 * 60 * 60 * 24));
     
@@ -620,9 +645,12 @@ const updateLeadScore = async (leadId, config = null) => {
     
     console.log(`🎯 Starting score update for lead: ${lead.firstName} ${lead.lastName || ''}`);
     
-    // CRITICAL FIX: Ensure we never pass null config
-    const scoringConfig = config || DEFAULT_SCORING_CONFIG;
-    console.log('🔧 Using scoring config:', !!scoringConfig);
+    // No config given: the organization's active version (or the default).
+    // A config passed in is recorded with its own version, if it has one.
+    const { version: modelVersion, config: scoringConfig } = config
+      ? { version: config.version ?? null, config: config.factors || config }
+      : await getActiveScoringConfig(lead.organization);
+    console.log('🔧 Using scoring config version:', modelVersion);
     
     const scoreResult = await calculateLeadScore(lead, scoringConfig);
     
@@ -638,6 +666,17 @@ const updateLeadScore = async (leadId, config = null) => {
     lead.scoreBreakdown = scoreResult.breakdown;
     lead.scoreGrade = scoreResult.grade;
     lead.lastScoreUpdate = new Date();
+    if (Array.isArray(lead.scoreHistory)) {
+      lead.scoreHistory.push({
+        score: scoreResult.totalScore,
+        grade: scoreResult.grade,
+        modelVersion,
+        calculatedAt: lead.lastScoreUpdate,
+      });
+      if (lead.scoreHistory.length > SCORE_HISTORY_LIMIT) {
+        lead.scoreHistory.splice(0, lead.scoreHistory.length - SCORE_HISTORY_LIMIT);
+      }
+    }
     
     // 2026-06 refactor: priority is timeline-derived, not score-derived. (The
     // model pre-save hook also enforces this; we set it here so the in-memory
@@ -669,6 +708,7 @@ const updateLeadScore = async (leadId, config = null) => {
       priority: derivePriorityFromTimeline(lead.requirements?.timeline),
       confidence: scoreResult.confidence,
       breakdown: scoreResult.breakdown,
+      modelVersion,
       updatedAt: new Date()
     };
     
@@ -708,6 +748,8 @@ export {
   updateLeadScore,
   bulkUpdateLeadScores,
   DEFAULT_SCORING_CONFIG,
+  SCORING_FACTORS,
+  getActiveScoringConfig,
   getScoreGrade,
   getLeadPriority,
   calculateSourceScore,
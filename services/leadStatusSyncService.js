@@ -0,0 +1,99 @@
+// File: services/leadStatusSyncService.js
+// Description: Side effects of a developer-side Lead status change on a
+//   CP-sourced lead — the source Prospect mirrors the status and the CP agent
+//   and CP managers are notified. Shared by the lead controller (update,
+//   quick status change, registration/proposal decisions) and by flows that
+//   move a lead's status themselves (site visits).
+
+import ChannelPartner from '../models/channelPartnerModel.js';
+import Prospect from '../models/prospectModel.js';
+import { createNotification, notifyUsersWithPermission } from './notificationService.js';
+
+// ─── Cross-org status sync helper ─────────────────────────────────────────
+// When a developer updates a CP-attributed Lead.status (via proposal accept,
+// registration accept, or direct PUT), the source Prospect on the CP side
+// must mirror that change. Without this sync the CP sees a stale status
+// indefinitely (the SP4 design intends both sides to stay in lockstep).
+//
+// Lead.status enum is a strict superset of Prospect.status — we only sync
+// when the new value is in Prospect's enum. 'pending' is dev-only and
+// never propagates back.
+// Lead.status values that also exist on the CP-side Prospect enum and are safe
+// to mirror. 'Revived' is intentionally excluded (no Prospect equivalent).
+const PROSPECT_STATUS_VALUES = new Set([
+  'New', 'Qualified', 'Site Visit Completed', 'Negotiating', 'Booked', 'Lost',
+]);
+
+export async function syncProspectStatusFromLead(lead, newStatus, devUser) {
+  if (!lead?.sourceProspect || !newStatus) return;
+  if (!PROSPECT_STATUS_VALUES.has(newStatus)) return;
+  try {
+    const prospect = await Prospect.findById(lead.sourceProspect);
+    if (!prospect) return;
+    if (prospect.status === newStatus) return; // nothing to do
+    const oldStatus = prospect.status;
+    prospect.status = newStatus;
+    prospect.activities.push({
+      type: 'status_change',
+      note: `${oldStatus} → ${newStatus} (synced from developer side)`,
+      at: new Date(),
+      by: devUser?._id || null,
+    });
+    await prospect.save();
+  } catch (err) {
+    // Non-fatal — never block the dev's action because the CP-side sync hit a snag.
+    console.warn('[syncProspectStatusFromLead] failed (non-fatal):', err.message);
+  }
+}
+
+// Side-effects when a developer changes a CP-attributed lead's status: keep the
+// source Prospect in lockstep AND notify the CP agent + CP managers. Best-effort
+// and never throws — shared by updateLead and changeLeadStatus so the quick
+// status-change path stays consistent with the full update path.
+export async function handleLeadStatusChangeSideEffects(lead, previousStatus, newStatus, devUser) {
+  if (!lead || !newStatus || !previousStatus || newStatus === previousStatus) return;
+
+  // Sync prospect even when not viaCp — covers the edge case where attribution
+  // is set differently but sourceProspect still points back to a CP prospect.
+  await syncProspectStatusFromLead(lead, newStatus, devUser);
+
+  try {
+    const viaCp = lead.channelPartnerAttribution?.viaChannelPartner;
+    if (!viaCp) return;
+    const agentUserId = lead.channelPartnerAttribution?.partners?.[0]?.agentUser;
+    const cpRecordId = lead.channelPartnerAttribution?.partners?.[0]?.channelPartner;
+    const cpRecord = cpRecordId
+      ? await ChannelPartner.findById(cpRecordId).select('channelPartnerOrg').lean()
+      : null;
+    const cpOrgId = cpRecord?.channelPartnerOrg;
+    if (!cpOrgId) return;
+
+    const title = `Lead status updated: ${previousStatus} → ${newStatus}`;
+    const message = `${lead.firstName} ${lead.lastName || ''}`.trim();
+    if (agentUserId) {
+      await createNotification({
+        organization: cpOrgId,
+        recipient: agentUserId,
+        type: 'cp_lead_status_changed',
+        title,
+        message,
+        actionUrl: '/partner/prospects',
+        relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: lead.firstName },
+        actor: devUser._id,
+      });
+    }
+    await notifyUsersWithPermission({
+      organizationId: cpOrgId,
+      permission: 'cp_org:manage',
+      excludeUserIds: agentUserId ? [agentUserId] : [],
+      type: 'cp_lead_status_changed',
+      title,
+      message,
+      actionUrl: '/partner/prospects',
+      relatedEntity: { entityType: 'Lead', entityId: lead._id, displayLabel: lead.firstName },
+      actor: devUser._id,
+    });
+  } catch (notifyErr) {
+    console.error('[handleLeadStatusChangeSideEffects] cp_lead_status_changed notification failed:', notifyErr?.message);
+  }
+}
@@ -3,6 +3,7 @@
 // Provides org-wide overview KPIs and side-by-side project comparison metrics.
 
 import mongoose from 'mongoose';
+import { summarizeMarketingRoi } from './roiTrackingService.js';
 
 // ─── DYNAMIC MODEL IMPORTS ─────────────────────────────────────────────────────
 let Project, Tower, Unit, Lead, Interaction, Sale,
@@ -114,7 +115,7 @@ const buildProjectFilter = (accessibleProjectIds) => {
   };
 };
 
-// ─── OVERVIEW: 8 PARALLEL SUB-FUNCTIONS ─────────────────────────────────────────
+// ─── OVERVIEW: 9 PARALLEL SUB-FUNCTIONS ─────────────────────────────────────────
 
 /**
  * 1. Portfolio summary — current snapshot (no date filter)
@@ -745,6 +746,12 @@ const aggregateTeam = async (orgId, pf = {}) => {
   }
 };
 
+/**
+ * 9. Marketing — campaign spend, cost per lead / booking and ROI for the period
+ */
+const aggregateMarketing = (orgId, dateRange, pf = {}) =>
+  summarizeMarketingRoi(orgId, dateRange, pf);
+
 // ─── OVERVIEW ORCHESTRATOR ──────────────────────────────────────────────────────
 
 const getLeadershipOverview = async (orgId, period, startDate, endDate, accessibleProjectIds) => {
@@ -763,6 +770,7 @@ const getLeadershipOverview = async (orgId, period, startDate, endDate, accessib
     channelPartner,
     operations,
     team,
+    marketing,
   ] = await Promise.all([
     aggregatePortfolio(orgId, pidf, pf),
     aggregateRevenue(orgId, dateRange, pf),
@@ -772,6 +780,7 @@ const getLeadershipOverview = async (orgId, period, startDate, endDate, accessib
     aggregateChannelPartner(orgId, pf),
     aggregateOperations(orgId, dateRange, pf),
     aggregateTeam(orgId, pf),
+    aggregateMarketing(orgId, dateRange, pf),
   ]);
 
   console.log('✅ Leadership overview generated');
@@ -785,6 +794,7 @@ const getLeadershipOverview = async (orgId, period, startDate, endDate, accessib
     channelPartner,
     operations,
     team,
+    marketing,
     _dateRange: dateRange,
   };
 };
@@ -0,0 +1,643 @@
+// File: services/messaging/messagingService.js
+// Description: WhatsApp / SMS messaging for leads and buyers. Staff send
+//   approved templates (services pick up lead / booking variables and the
+//   caller fills the rest) or, on WhatsApp, free text inside the 24-hour window
+//   the buyer's last reply opened. Every message is stored as a LeadMessage and
+//   mirrored into the lead's Interaction timeline. Provider callbacks move
+//   outbound messages through sent → delivered → read (or failed); inbound
+//   replies are threaded onto the lead they answer, and STOP / START keywords
+//   update the number's consent. Providers live in ./providers/ and share one
+//   interface:
+//     send({ channel, to, body, template, variables, statusCallbackUrl })
+//                          → { providerMessageId, status }   (throws on rejection)
+//     verify(req)          → boolean
+//     parseEvents(req)     → [{ kind: 'status', providerMessageId, status, at, errorCode?, errorMessage? }
+//                             | { kind: 'inbound', channel, providerMessageId, from, to, body, at }]
+//     webhookReply         → optional { contentType, body } the webhook answers with
+
+import mongoose from 'mongoose';
+import LeadMessage from '../../models/leadMessageModel.js';
+import MessageTemplate, {
+  MESSAGE_CHANNELS,
+  TEMPLATE_CATEGORIES,
+  TEMPLATE_VARIABLE_PATTERN,
+} from '../../models/messageTemplateModel.js';
+import Lead from '../../models/leadModel.js';
+import Sale from '../../models/salesModel.js';
+import Organization from '../../models/organizationModel.js';
+import Interaction from '../../models/interactionModel.js';
+import { createNotification, notifyUsersWithPermission } from '../notificationService.js';
+import { normalizePhone, toE164 } from '../../utils/contactNormalizer.js';
+import * as stubProvider from './providers/stub.js';
+import * as twilioProvider from './providers/twilio.js';
+import { httpError } from '../../utils/httpError.js';
+
+const MESSAGING_PROVIDERS = {
+  stub: stubProvider,
+  twilio: twilioProvider,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// WhatsApp only allows free-form business messages this long after the
+// buyer's last message; outside it, an approved template is required.
+export const WHATSAPP_SESSION_HOURS = 24;
+
+// A reply that is exactly one of these (case-insensitive) changes consent.
+export const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'OPT OUT'];
+export const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'SUBSCRIBE', 'OPTIN', 'OPT IN'];
+
+export const CONSENT_STATUSES = ['unknown', 'opted_in', 'opted_out'];
+
+// Outbound statuses only move forward; a late 'sent' callback must not undo
+// 'read'. 'failed' is accepted until the message is known delivered.
+const STATUS_RANK = { queued: 0, sent: 1, delivered: 2, read: 3 };
+
+const INTERACTION_TYPES = { whatsapp: 'WhatsApp', sms: 'SMS' };
+const CHANNEL_LABELS = { whatsapp: 'WhatsApp', sms: 'SMS' };
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const sameId = (a, b) => Boolean(a && b) && String(a?._id || a) === String(b?._id || b);
+
+const fullName = (doc) => [doc?.firstName, doc?.lastName].filter(Boolean).join(' ');
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const assertChannel = (channel) => {
+  if (!MESSAGE_CHANNELS.includes(channel)) {
+    throw httpError(400, `channel must be one of: ${MESSAGE_CHANNELS.join(', ')}.`);
+  }
+};
+
+const keywordOf = (body) => String(body || '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+export const getMessagingProvider = (provider) => MESSAGING_PROVIDERS[provider] || null;
+
+/** The provider outbound messages go through (MESSAGING_PROVIDER, default 'stub'). */
+export const activeProviderName = () => process.env.MESSAGING_PROVIDER || 'stub';
+
+const statusCallbackUrl = (provider, organization) => {
+  const base = process.env.MESSAGING_WEBHOOK_BASE_URL;
+  if (!base) return undefined;
+  return `${base.replace(/\/$/, '')}/api/messaging/webhooks/${provider}/${organization}`;
+};
+
+// Sales Executives message only their own leads (mirrors addInteractionToLead).
+const assertCanMessage = (lead, user) => {
+  if (user.role === 'Sales Executive' && lead.assignedTo && !sameId(lead.assignedTo, user._id)) {
+    throw httpError(403, 'You can only message your assigned leads.');
+  }
+};
+
+const bumpEngagement = async (lead, channel) => {
+  lead.updateActivitySummary(channel);
+  await lead.save();
+};
+
+// ─── Templates ─────────────────────────────────────────────────────────────
+
+/**
+ * Fill a template body. Every {{variable}} must have a non-empty value.
+ * @throws 400 listing the missing variables
+ */
+export const renderTemplate = (body, values = {}) => {
+  const missing = new Set();
+  const text = String(body).replace(TEMPLATE_VARIABLE_PATTERN, (_, key) => {
+    const value = values[key];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      missing.add(key);
+      return '';
+    }
+    return String(value);
+  });
+  if (missing.size) throw httpError(400, `Missing template variables: ${[...missing].join(', ')}.`);
+  return text;
+};
+
+/**
+ * Variables every template can use without the sender typing them.
+ * Sender-supplied values win.
+ */
+export const templateContext = ({ lead, sale, project, sender } = {}) => {
+  const context = {
+    firstName: lead?.firstName,
+    lastName: lead?.lastName,
+    fullName: fullName(lead) || undefined,
+    projectName: project?.name,
+    executiveName: fullName(sender) || undefined,
+    executivePhone: sender?.phoneNumber,
+  };
+  if (sale) {
+    context.unitNumber = sale.unit?.unitNumber;
+    context.bookingDate = sale.bookingDate
+      ? new Date(sale.bookingDate).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' })
+      : undefined;
+    context.salePrice = sale.salePrice ? `₹${Number(sale.salePrice).toLocaleString('en-IN')}` : undefined;
+  }
+  return Object.fromEntries(Object.entries(context).filter(([, v]) => v !== undefined && v !== null && v !== ''));
+};
+
+const TEMPLATE_FIELDS = ['name', 'channel', 'category', 'language', 'body', 'project', 'providerTemplateId', 'dltTemplateId'];
+
+const pickTemplateFields = (fields) =>
+  Object.fromEntries(TEMPLATE_FIELDS.filter((k) => fields[k] !== undefined).map((k) => [k, fields[k]]));
+
+const assertTemplateFields = (fields) => {
+  if (fields.channel !== undefined) assertChannel(fields.channel);
+  if (fields.category !== undefined && !TEMPLATE_CATEGORIES.includes(fields.category)) {
+    throw httpError(400, `category must be one of: ${TEMPLATE_CATEGORIES.join(', ')}.`);
+  }
+};
+
+const loadTemplate = async (templateId, organization) => {
+  assertObjectId(templateId, 'template');
+  const template = await MessageTemplate.findOne({ _id: templateId, organization });
+  if (!template) throw httpError(404, 'Message template not found.');
+  return template;
+};
+
+/**
+ * Create a template; it waits for approval before it can be sent.
+ * @returns {Promise<Object>} the MessageTemplate
+ */
+export const createMessageTemplate = async ({ organization, fields = {}, user, verifyAccess }) => {
+  const data = pickTemplateFields(fields);
+  if (!data.name || !data.channel || !data.body) throw httpError(400, 'name, channel and body are required.');
+  assertTemplateFields(data);
+  if (data.project) verifyAccess?.(data.project);
+  try {
+    return await MessageTemplate.create({ ...data, organization, createdBy: user._id, status: 'pending_approval' });
+  } catch (err) {
+    if (err?.code === 11000) throw httpError(409, `A ${data.channel} template named "${data.name}" already exists in that language.`);
+    throw err;
+  }
+};
+
+/** Templates for the org, optionally filtered by channel / status / project (plus org-wide ones). */
+export const listMessageTemplates = async ({ organization, channel, status, projectId }) => {
+  const query = { organization };
+  if (channel) query.channel = channel;
+  if (status) query.status = status;
+  if (projectId) query.project = { $in: [projectId, null] };
+  return MessageTemplate.find(query).sort({ channel: 1, name: 1 }).lean();
+};
+
+/**
+ * Edit a template. Changing what the buyer would receive on an approved
+ * template sends it back for approval.
+ * @returns {Promise<Object>} the MessageTemplate
+ */
+export const updateMessageTemplate = async (templateId, { organization, fields = {}, verifyAccess }) => {
+  const template = await loadTemplate(templateId, organization);
+  if (template.project) verifyAccess?.(template.project);
+  const data = pickTemplateFields(fields);
+  assertTemplateFields(data);
+  if (data.project && !sameId(data.project, template.project)) verifyAccess?.(data.project);
+
+  const resubmit = ['body', 'channel', 'category', 'language', 'providerTemplateId', 'dltTemplateId']
+    .some((k) => data[k] !== undefined && String(data[k]) !== String(template[k] ?? ''));
+  Object.assign(template, data);
+  if (resubmit && template.status !== 'pending_approval') {
+    template.status = 'pending_approval';
+    template.reviewedBy = undefined;
+    template.reviewedAt = undefined;
+    template.rejectionReason = undefined;
+  }
+  try {
+    return await template.save();
+  } catch (err) {
+    if (err?.code === 11000) throw httpError(409, `A ${template.channel} template named "${template.name}" already exists in that language.`);
+    throw err;
+  }
+};
+
+/**
+ * Approve, reject or archive a template.
+ * @param {'approve'|'reject'|'archive'} decision
+ * @returns {Promise<Object>} the MessageTemplate
+ */
+export const reviewMessageTemplate = async (templateId, { organization, decision, reason, user, verifyAccess, now = new Date() }) => {
+  const template = await loadTemplate(templateId, organization);
+  if (template.project) verifyAccess?.(template.project);
+
+  if (decision === 'approve') {
+    if (template.status !== 'pending_approval') throw httpError(409, `This template is ${template.status.replace('_', ' ')}.`);
+    if (template.channel === 'sms' && !template.dltTemplateId) {
+      throw httpError(400, 'Add the DLT template id before approving an SMS template.');
+    }
+    template.status = 'approved';
+    template.rejectionReason = undefined;
+  } else if (decision === 'reject') {
+    if (template.status !== 'pending_approval') throw httpError(409, `This template is ${template.status.replace('_', ' ')}.`);
+    if (!reason || !String(reason).trim()) throw httpError(400, 'A reason is required to reject a template.');
+    template.status = 'rejected';
+    template.rejectionReason = String(reason).trim();
+  } else if (decision === 'archive') {
+    if (template.status === 'archived') return template;
+    template.status = 'archived';
+  } else {
+    throw httpError(400, 'decision must be approve, reject or archive.');
+  }
+  template.reviewedBy = user._id;
+  template.reviewedAt = now;
+  return template.save();
+};
+
+// ─── Consent ───────────────────────────────────────────────────────────────
+
+/**
+ * Can this lead be sent a template of `category` on `channel`?
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+export const consentAllows = (lead, channel, category) => {
+  const status = lead?.messagingConsent?.[channel]?.status || 'unknown';
+  if (status === 'opted_out') {
+    return { allowed: false, reason: `${fullName(lead) || 'This lead'} has opted out of ${CHANNEL_LABELS[channel]} messages.` };
+  }
+  if (category === 'marketing' && status !== 'opted_in') {
+    return { allowed: false, reason: `Marketing ${CHANNEL_LABELS[channel]} messages need the lead's opt-in.` };
+  }
+  return { allowed: true };
+};
+
+// Consent belongs to the phone number, so it is applied to every lead in the
+// organization with that number.
+const setNumberConsent = async ({ organization, lead, channel, status, source, now }) => {
+  const filter = lead.contactKeys?.phone
+    ? { organization, 'contactKeys.phone': lead.contactKeys.phone }
+    : { _id: lead._id };
+  await Lead.updateMany(filter, {
+    $set: {
+      [`messagingConsent.${channel}.status`]: status,
+      [`messagingConsent.${channel}.updatedAt`]: now,
+      [`messagingConsent.${channel}.source`]: source,
+    },
+  });
+};
+
+/**
+ * Record a buyer's consent for a channel on staff's say-so, and note it on
+ * the lead's timeline.
+ * @returns {Promise<Object>} the lead's messagingConsent
+ */
+export const updateMessagingConsent = async (leadId, { organization, channel, status, source = 'staff', user, verifyAccess, now = new Date() }) => {
+  assertObjectId(leadId, 'lead');
+  assertChannel(channel);
+  if (!CONSENT_STATUSES.includes(status)) throw httpError(400, `status must be one of: ${CONSENT_STATUSES.join(', ')}.`);
+  const lead = await Lead.findOne({ _id: leadId, organization }).select('firstName lastName project assignedTo contactKeys messagingConsent');
+  if (!lead) throw httpError(404, 'Lead not found.');
+  verifyAccess?.(lead.project);
+  assertCanMessage(lead, user);
+
+  await setNumberConsent({ organization, lead, channel, status, source, now });
+  await Interaction.create({
+    lead: lead._id,
+    user: user._id,
+    organization,
+    type: 'Note',
+    content: `${CHANNEL_LABELS[channel]} consent set to ${status.replace('_', ' ')} (${source}).`,
+  });
+
+  const consent = lead.messagingConsent?.toObject?.() || { ...(lead.messagingConsent || {}) };
+  consent[channel] = { status, updatedAt: now, source };
+  return consent;
+};
+
+// ─── Sending ───────────────────────────────────────────────────────────────
+
+const lastInboundAt = async (leadId, channel) => {
+  const last = await LeadMessage.findOne({ lead: leadId, channel, direction: 'inbound' })
+    .sort({ createdAt: -1 })
+    .select('createdAt')
+    .lean();
+  return last?.createdAt || null;
+};
+
+const resolveRecipient = async ({ organization, leadId, saleId, verifyAccess }) => {
+  let sale = null;
+  if (saleId) {
+    assertObjectId(saleId, 'sale');
+    sale = await Sale.findOne({ _id: saleId, organization })
+      .populate('unit', 'unitNumber')
+      .populate('project', 'name')
+      .lean();
+    if (!sale) throw httpError(404, 'Sale not found.');
+    verifyAccess?.(sale.project?._id || sale.project);
+    leadId = sale.lead;
+  }
+  assertObjectId(leadId, 'lead');
+  const lead = await Lead.findOne({ _id: leadId, organization }).populate('project', 'name');
+  if (!lead) throw httpError(404, saleId ? 'The buyer on this sale no longer exists.' : 'Lead not found.');
+  if (!sale) verifyAccess?.(lead.project?._id || lead.project);
+  return { lead, sale, project: sale?.project || lead.project };
+};
+
+/**
+ * Send a WhatsApp / SMS message to a lead, or to the buyer on a sale.
+ * Pass `templateId` (+ `variables`) for a template; free `body` is only
+ * allowed on WhatsApp within the session window.
+ *
+ * @param {Object} params
+ * @param {string} [params.leadId] - one of leadId / saleId
+ * @param {string} [params.saleId]
+ * @param {'whatsapp'|'sms'} params.channel
+ * @param {Function} [params.verifyAccess] - throws when the user can't reach the project
+ * @returns {Promise<Object>} the LeadMessage
+ * @throws 409 when consent blocks the message, 502 when the provider rejects it
+ *   (the failed LeadMessage is still stored)
+ */
+export const sendMessage = async ({
+  organization, leadId, saleId, channel, templateId, variables = {}, body, user, verifyAccess, now = new Date(),
+}) => {
+  assertChannel(channel);
+  if (!leadId && !saleId) throw httpError(400, 'leadId or saleId is required.');
+  const { lead, sale, project } = await resolveRecipient({ organization, leadId, saleId, verifyAccess });
+  assertCanMessage(lead, user);
+  if (lead.status === 'pending') {
+    throw httpError(409, 'Accept the channel partner registration before messaging this lead.');
+  }
+
+  const to = toE164(lead.phone);
+  if (!to) throw httpError(400, `${fullName(lead)}'s phone number can't receive ${CHANNEL_LABELS[channel]} messages.`);
+
+  let template = null;
+  let text;
+  if (templateId) {
+    template = await loadTemplate(templateId, organization);
+    if (template.status !== 'approved') throw httpError(409, 'Only approved templates can be sent.');
+    if (template.channel !== channel) throw httpError(400, `This is a ${CHANNEL_LABELS[template.channel]} template.`);
+    if (template.project && !sameId(template.project, project)) {
+      throw httpError(400, "This template belongs to a different project.");
+    }
+    const consent = consentAllows(lead, channel, template.category);
+    if (!consent.allowed) throw httpError(409, consent.reason);
+    variables = { ...templateContext({ lead, sale, project, sender: user }), ...variables };
+    text = renderTemplate(template.body, variables);
+  } else {
+    if (!body || !String(body).trim()) throw httpError(400, 'Choose a template or write a message.');
+    if (channel === 'sms') throw httpError(400, 'SMS can only be sent from an approved template.');
+    const consent = consentAllows(lead, channel, 'utility');
+    if (!consent.allowed) throw httpError(409, consent.reason);
+    const lastReply = await lastInboundAt(lead._id, channel);
+    if (!lastReply || now - new Date(lastReply) > WHATSAPP_SESSION_HOURS * HOUR_MS) {
+      throw httpError(409, `It's been more than ${WHATSAPP_SESSION_HOURS} hours since ${fullName(lead)} last wrote on WhatsApp — send an approved template instead.`);
+    }
+    text = String(body).trim();
+    variables = undefined;
+  }
+
+  const providerName = activeProviderName();
+  const provider = getMessagingProvider(providerName);
+  if (!provider) throw httpError(500, `Unknown messaging provider "${providerName}".`);
+
+  const message = new LeadMessage({
+    organization,
+    project: project?._id || project,
+    lead: lead._id,
+    sale: sale?._id,
+    channel,
+    direction: 'outbound',
+    to,
+    template: template?._id,
+    variables,
+    body: text,
+    status: 'queued',
+    statusHistory: [{ status: 'queued', at: now }],
+    provider: providerName,
+    sentBy: user._id,
+  });
+
+  let failure = null;
+  try {
+    const result = await provider.send({
+      channel,
+      to,
+      body: text,
+      template,
+      variables,
+      statusCallbackUrl: statusCallbackUrl(providerName, organization),
+    });
+    message.providerMessageId = result.providerMessageId;
+    if (result.status && result.status !== 'queued') {
+      message.status = result.status;
+      message.statusHistory.push({ status: result.status, at: now });
+    }
+    message.sentAt = now;
+  } catch (err) {
+    failure = err;
+    message.status = 'failed';
+    message.statusHistory.push({ status: 'failed', at: now, errorCode: err.code });
+    message.error = { code: err.code, message: err.message };
+  }
+
+  const interaction = await Interaction.create({
+    lead: lead._id,
+    user: user._id,
+    organization,
+    type: INTERACTION_TYPES[channel],
+    direction: 'Outbound',
+    content: text,
+    outcome: failure ? 'Not delivered' : undefined,
+  });
+  message.interaction = interaction._id;
+  await message.save();
+  await bumpEngagement(lead, channel);
+
+  if (failure) throw httpError(502, `${CHANNEL_LABELS[channel]} message was not sent: ${failure.message}`);
+  return message;
+};
+
+/**
+ * A lead's messages, newest first.
+ * @returns {Promise<Object[]>}
+ */
+export const listLeadMessages = async (leadId, { organization, channel, before, limit = 50, verifyAccess }) => {
+  assertObjectId(leadId, 'lead');
+  const lead = await Lead.findOne({ _id: leadId, organization }).select('project').lean();
+  if (!lead) throw httpError(404, 'Lead not found.');
+  verifyAccess?.(lead.project);
+
+  const query = { organization, lead: lead._id };
+  if (channel) query.channel = channel;
+  if (before) {
+    const date = new Date(before);
+    if (Number.isNaN(date.getTime())) throw httpError(400, 'before must be a date.');
+    query.createdAt = { $lt: date };
+  }
+  return LeadMessage.find(query)
+    .sort({ createdAt: -1 })
+    .limit(Math.min(Number(limit) || 50, 200))
+    .populate('template', 'name category')
+    .populate('sentBy', 'firstName lastName')
+    .lean();
+};
+
+// ─── Provider callbacks ────────────────────────────────────────────────────
+
+/**
+ * Apply a delivery receipt to the outbound message it refers to.
+ * @returns {Promise<'updated'|'stale'|'unknown'>}
+ */
+export const applyStatusEvent = async (provider, event) => {
+  const message = await LeadMessage.findOne({ provider, providerMessageId: event.providerMessageId, direction: 'outbound' });
+  if (!message) return 'unknown';
+
+  const current = message.status;
+  const next = event.status;
+  const forward = next === 'failed'
+    ? current !== 'failed' && STATUS_RANK[current] < STATUS_RANK.delivered
+    : STATUS_RANK[next] > (STATUS_RANK[current] ?? Infinity);
+  if (!forward) return 'stale';
+
+  const at = event.at || new Date();
+  message.status = next;
+  message.statusHistory.push({ status: next, at, errorCode: event.errorCode });
+  if (next === 'sent' && !message.sentAt) message.sentAt = at;
+  if (next === 'delivered' || next === 'read') message.deliveredAt = message.deliveredAt || at;
+  if (next === 'read') message.readAt = at;
+  if (next === 'failed') message.error = { code: event.errorCode, message: event.errorMessage };
+  await message.save();
+
+  if (next === 'failed' && message.sentBy) {
+    await createNotification({
+      organization: message.organization,
+      recipient: message.sentBy,
+      type: 'message_failed',
+      title: `${CHANNEL_LABELS[message.channel]} message to ${message.to} was not delivered`,
+      message: event.errorMessage || message.body.slice(0, 140),
+      actionUrl: message.lead ? `/leads/${message.lead}` : undefined,
+      relatedEntity: { entityType: 'LeadMessage', entityId: message._id, displayLabel: message.to },
+      priority: 'medium',
+    });
+  }
+  return 'updated';
+};
+
+// The lead a reply belongs to: whoever we last messaged at that number on
+// that channel, else the most recently active lead with the number.
+const threadFor = async ({ organization, channel, from }) => {
+  const lastOutbound = await LeadMessage.findOne({ organization, channel, direction: 'outbound', to: toE164(from) })
+    .sort({ createdAt: -1 })
+    .select('lead sentBy')
+    .lean();
+  if (lastOutbound?.lead) {
+    const lead = await Lead.findOne({ _id: lastOutbound.lead, organization });
+    if (lead) return { lead, lastSender: lastOutbound.sentBy };
+  }
+  const key = normalizePhone(from);
+  if (!key) return { lead: null, lastSender: null };
+  const lead = await Lead.findOne({ organization, 'contactKeys.phone': key }).sort({ updatedAt: -1 });
+  return { lead, lastSender: lastOutbound?.sentBy || null };
+};
+
+/**
+ * Store a buyer's reply, thread it into their lead's timeline, apply
+ * STOP / START keywords and tell the lead's owner.
+ * @returns {Promise<'received'|'duplicate'>}
+ */
+export const receiveInboundMessage = async (provider, organization, event) => {
+  if (event.providerMessageId) {
+    const seen = await LeadMessage.exists({ provider, providerMessageId: event.providerMessageId });
+    if (seen) return 'duplicate';
+  }
+  const channel = MESSAGE_CHANNELS.includes(event.channel) ? event.channel : 'sms';
+  const at = event.at || new Date();
+  const { lead, lastSender } = await threadFor({ organization, channel, from: event.from });
+
+  const keyword = keywordOf(event.body);
+  const consentChange = OPT_OUT_KEYWORDS.includes(keyword)
+    ? 'opted_out'
+    : OPT_IN_KEYWORDS.includes(keyword) ? 'opted_in' : null;
+  if (lead && consentChange) {
+    await setNumberConsent({ organization, lead, channel, status: consentChange, source: 'inbound_keyword', now: at });
+  }
+
+  const message = new LeadMessage({
+    organization,
+    project: lead?.project,
+    lead: lead?._id || null,
+    channel,
+    direction: 'inbound',
+    to: event.to || '',
+    from: toE164(event.from) || event.from,
+    body: event.body || '(empty message)',
+    status: 'received',
+    statusHistory: [{ status: 'received', at }],
+    provider,
+    providerMessageId: event.providerMessageId,
+  });
+
+  // Interaction.user is required: the lead's owner, else whoever last wrote to them.
+  const owner = lead?.assignedTo || lastSender;
+  if (lead && owner) {
+    const interaction = await Interaction.create({
+      lead: lead._id,
+      user: owner,
+      organization,
+      type: INTERACTION_TYPES[channel],
+      direction: 'Inbound',
+      content: message.body,
+      outcome: consentChange ? (consentChange === 'opted_out' ? 'Opted out' : 'Opted in') : undefined,
+    });
+    message.interaction = interaction._id;
+  }
+  try {
+    await message.save();
+  } catch (err) {
+    // A provider retry raced the first delivery past the exists() check.
+    if (err?.code === 11000) return 'duplicate';
+    throw err;
+  }
+  if (lead) await bumpEngagement(lead, channel);
+
+  const name = fullName(lead) || message.from;
+  const title = consentChange
+    ? `${name} ${consentChange === 'opted_out' ? 'opted out of' : 'opted in to'} ${CHANNEL_LABELS[channel]}`
+    : `New ${CHANNEL_LABELS[channel]} message from ${name}`;
+  const notification = {
+    type: 'message_received',
+    title,
+    message: message.body.slice(0, 140),
+    actionUrl: lead ? `/leads/${lead._id}` : undefined,
+    relatedEntity: { entityType: lead ? 'Lead' : 'LeadMessage', entityId: lead?._id || message._id, displayLabel: name },
+    priority: 'high',
+  };
+  if (owner) {
+    await createNotification({ organization, recipient: owner, ...notification });
+  } else {
+    await notifyUsersWithPermission({ organizationId: organization, permission: 'leads:assign', ...notification });
+  }
+  return 'received';
+};
+
+/**
+ * Handle a provider webhook for an organization: verify it, then apply each
+ * delivery receipt and inbound message it carries.
+ * @returns {Promise<{ summary: { received: number, updated: number, ignored: number }, reply: Object|null }>}
+ * @throws 404 for an unknown provider or organization, 401 when verification fails
+ */
+export const handleMessagingWebhook = async (providerName, organizationId, req) => {
+  const provider = getMessagingProvider(providerName);
+  if (!provider) throw httpError(404, 'Unknown messaging provider.');
+  if (!mongoose.Types.ObjectId.isValid(String(organizationId))) throw httpError(404, 'Unknown organization.');
+  if (!provider.verify(req)) throw httpError(401, 'Webhook verification failed.');
+
+  const events = await provider.parseEvents(req);
+  const summary = { received: 0, updated: 0, ignored: 0 };
+  if (events.some((e) => e.kind === 'inbound')) {
+    const exists = await Organization.exists({ _id: organizationId });
+    if (!exists) throw httpError(404, 'Unknown organization.');
+  }
+  for (const event of events) {
+    const outcome = event.kind === 'inbound'
+      ? await receiveInboundMessage(providerName, organizationId, event)
+      : await applyStatusEvent(providerName, event);
+    if (outcome === 'received') summary.received += 1;
+    else if (outcome === 'updated') summary.updated += 1;
+    else summary.ignored += 1;
+  }
+  return { summary, reply: provider.webhookReply || null };
+};
@@ -0,0 +1,49 @@
+// File: services/messaging/providers/stub.js
+// Description: Local messaging provider for development and tests. Nothing
+//   leaves the machine: send() records the message in an in-memory outbox and
+//   reports it 'sent'. Numbers ending in 0000 are rejected, to exercise the
+//   failure path. The webhook takes events already in the normalized shape
+//   (one event, or an array under `events`) so delivery receipts and replies
+//   can be simulated with curl. Webhooks must carry MESSAGING_STUB_TOKEN as
+//   an X-Stub-Token header; none is accepted in production.
+
+import crypto from 'crypto';
+
+export const name = 'stub';
+
+const outbox = [];
+
+/** Messages "sent" since start-up (or the last clearStubOutbox), oldest first. */
+export const stubOutbox = () => [...outbox];
+
+export const clearStubOutbox = () => {
+  outbox.length = 0;
+};
+
+export async function send({ channel, to, body, template }) {
+  if (/0000$/.test(to)) {
+    const err = new Error(`Stub provider rejects ${to}`);
+    err.code = 'STUB_UNDELIVERABLE';
+    throw err;
+  }
+  const providerMessageId = `stub-${crypto.randomUUID()}`;
+  outbox.push({ providerMessageId, channel, to, body, template: template?.name, at: new Date() });
+  return { providerMessageId, status: 'sent' };
+}
+
+export function verify(req) {
+  const secret = process.env.MESSAGING_STUB_TOKEN;
+  const token = req.get && req.get('X-Stub-Token');
+  if (process.env.NODE_ENV === 'production' || !secret || !token) return false;
+  const left = Buffer.from(secret);
+  const right = Buffer.from(String(token));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function parseEvents(req) {
+  const body = req.body || {};
+  const events = Array.isArray(body.events) ? body.events : [body];
+  return events
+    .filter((e) => e && (e.kind === 'status' || e.kind === 'inbound'))
+    .map((e) => ({ ...e, at: e.at ? new Date(e.at) : new Date() }));
+}
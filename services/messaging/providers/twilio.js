@@ -0,0 +1,118 @@
+// File: services/messaging/providers/twilio.js
+// Description: Twilio Programmable Messaging for SMS and WhatsApp. Approved
+//   WhatsApp templates are sent by Content SID (template.providerTemplateId)
+//   with their variables as numbered ContentVariables; everything else is sent
+//   as a plain Body. Status callbacks and inbound messages arrive as form posts
+//   signed with X-Twilio-Signature (HMAC-SHA1 of the public URL plus the sorted
+//   form fields, keyed by the auth token).
+//
+//   Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_SMS_FROM (number or
+//   Messaging Service SID), TWILIO_WHATSAPP_FROM, MESSAGING_WEBHOOK_BASE_URL
+//   (public origin Twilio posts to, used for callbacks and signature checks).
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+export const name = 'twilio';
+
+// Twilio reads the webhook response as TwiML; an empty one means "no reply".
+export const webhookReply = { contentType: 'text/xml', body: '<Response></Response>' };
+
+const API_URL = process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01';
+
+// Twilio status → Message status. accepted / scheduled / sending are all still
+// queued on our side.
+const STATUS_MAP = {
+  accepted: 'queued',
+  scheduled: 'queued',
+  queued: 'queued',
+  sending: 'queued',
+  sent: 'sent',
+  delivered: 'delivered',
+  read: 'read',
+  undelivered: 'failed',
+  failed: 'failed',
+  canceled: 'failed',
+};
+
+const webhookUrl = (req) =>
+  `${(process.env.MESSAGING_WEBHOOK_BASE_URL || '').replace(/\/$/, '')}${req.originalUrl}`;
+
+const address = (channel, number) => (channel === 'whatsapp' ? `whatsapp:${number}` : number);
+
+const stripAddress = (value) => String(value || '').replace(/^whatsapp:/, '');
+
+export async function send({ channel, to, body, template, variables, statusCallbackUrl }) {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const from = channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+  if (!sid || !process.env.TWILIO_AUTH_TOKEN || !from) {
+    const err = new Error(`Twilio is not configured for ${channel}.`);
+    err.code = 'PROVIDER_NOT_CONFIGURED';
+    throw err;
+  }
+
+  const form = new URLSearchParams({ To: address(channel, to), Body: body });
+  if (from.startsWith('MG')) form.set('MessagingServiceSid', from);
+  else form.set('From', address(channel, from));
+  if (channel === 'whatsapp' && template?.providerTemplateId) {
+    form.delete('Body');
+    form.set('ContentSid', template.providerTemplateId);
+    form.set('ContentVariables', JSON.stringify(
+      Object.fromEntries((template.variables || []).map((v, i) => [String(i + 1), String(variables?.[v] ?? '')]))
+    ));
+  }
+  if (statusCallbackUrl) form.set('StatusCallback', statusCallbackUrl);
+
+  try {
+    const { data } = await axios.post(`${API_URL}/Accounts/${sid}/Messages.json`, form.toString(), {
+      auth: { username: sid, password: process.env.TWILIO_AUTH_TOKEN },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 15000,
+    });
+    return { providerMessageId: data.sid, status: STATUS_MAP[data.status] || 'queued' };
+  } catch (error) {
+    const err = new Error(error.response?.data?.message || error.message);
+    err.code = String(error.response?.data?.code || error.code || 'PROVIDER_ERROR');
+    throw err;
+  }
+}
+
+export function verify(req) {
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.get && req.get('X-Twilio-Signature');
+  if (!token || !signature) return false;
+  const params = req.body || {};
+  const payload = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], webhookUrl(req));
+  const expected = crypto.createHmac('sha1', token).update(payload).digest('base64');
+  const left = Buffer.from(expected);
+  const right = Buffer.from(String(signature));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+export function parseEvents(req) {
+  const p = req.body || {};
+  if (!p.MessageSid) return [];
+  const channel = String(p.From || '').startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+  const twilioStatus = p.MessageStatus || p.SmsStatus;
+  if (twilioStatus === 'received') {
+    return [{
+      kind: 'inbound',
+      channel,
+      providerMessageId: p.MessageSid,
+      from: stripAddress(p.From),
+      to: stripAddress(p.To),
+      body: p.Body || '',
+      at: new Date(),
+    }];
+  }
+  const status = STATUS_MAP[twilioStatus];
+  if (!status) return [];
+  return [{
+    kind: 'status',
+    providerMessageId: p.MessageSid,
+    status,
+    errorCode: p.ErrorCode ? String(p.ErrorCode) : undefined,
+    errorMessage: p.ErrorMessage,
+    at: new Date(),
+  }];
+}
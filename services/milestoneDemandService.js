@@ -0,0 +1,247 @@
+// File: services/milestoneDemandService.js
+// Description: Construction-linked installment demands. Payment plan template
+//   entries reference ConstructionMilestone records (constructionMilestones);
+//   each buyer's installment is linked to the milestone for its unit's tower
+//   when the plan is created. When a milestone completes — and, if the
+//   milestone asks for it, every required quality check has passed — all
+//   pending installments linked to it become due:
+//
+//     - currentDueDate = completion date, grace re-derived from the plan terms
+//     - a 'Payment & Collection' task for the sale's sales person
+//     - the demand letter emailed to the buyer (logged as due_today in
+//       remindersSent, so the daily dunning sweep picks up from there)
+//     - a disbursement request letter to the buyer's home loan lender, when
+//       the installment is on a sanctioned loan's schedule (homeLoanService)
+//
+//   Raising is claimed atomically on the milestone (installmentDemand.raisedAt)
+//   so repeated progress updates never raise twice.
+
+import ConstructionMilestone from '../models/constructionMilestoneModel.js';
+import Installment from '../models/installmentModel.js';
+import Task from '../models/taskModel.js';
+import { sendInstallmentReminder } from './dunningService.js';
+import { requestDisbursementsForInstallment } from './homeLoanService.js';
+import { notifyTaskAutoGenerated } from './notificationService.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PASSING_CHECK_STATUSES = ['Passed', 'Not Applicable'];
+
+const startOfDay = (d) => {
+  const x = new Date(d);
+  x.setHours(0, 0, 0, 0);
+  return x;
+};
+
+/**
+ * Required quality checks that have not passed.
+ */
+export const pendingRequiredChecks = (milestone) => (milestone.qualityChecks || [])
+  .filter((c) => c.isRequired !== false && !PASSING_CHECK_STATUSES.includes(c.status));
+
+/**
+ * Whether a milestone's demands can be raised now. Pure.
+ * @returns {{ ready: boolean, reason?: string, pendingChecks?: string[] }}
+ */
+export const demandReadiness = (milestone) => {
+  if (milestone.status !== 'Completed') return { ready: false, reason: 'not_completed' };
+  if (milestone.installmentDemand?.raisedAt) return { ready: false, reason: 'already_raised' };
+  if (milestone.installmentDemand?.requireQualityChecks) {
+    const pending = pendingRequiredChecks(milestone);
+    if (pending.length) {
+      return { ready: false, reason: 'quality_checks_pending', pendingChecks: pending.map((c) => c.checkName) };
+    }
+  }
+  return { ready: true };
+};
+
+/**
+ * The milestone a new installment links to, from a template entry's
+ * candidates: the one for the unit's tower, else a project-wide one. Pure.
+ *
+ * @param {Array<{_id, tower}>} milestones - the entry's milestones, loaded
+ * @param {ObjectId|string|null} towerId - the booked unit's tower
+ * @returns {object|null}
+ */
+export const pickLinkedMilestone = (milestones, towerId) => {
+  const tower = towerId ? String(towerId) : null;
+  return milestones.find((m) => tower && m.tower && String(m.tower) === tower)
+    || milestones.find((m) => !m.tower)
+    || null;
+};
+
+/**
+ * Link template installments to milestones for a new payment plan. Mutates
+ * each installment; an installment whose milestone has already raised its
+ * demands is raised on the spot (due on the booking date).
+ *
+ * @param {Array<{config, installment}>} pairs - template entry + new Installment
+ * @param {{ towerId, bookingDate, session }} options
+ */
+export const linkPlanInstallments = async (pairs, { towerId, bookingDate, session = null }) => {
+  const ids = pairs.flatMap(({ config }) => config.constructionMilestones || []);
+  if (!ids.length) return;
+
+  const milestones = await ConstructionMilestone.find({ _id: { $in: ids } })
+    .select('tower installmentDemand.raisedAt')
+    .session(session)
+    .lean();
+  const byId = new Map(milestones.map((m) => [m._id.toString(), m]));
+
+  for (const { config, installment } of pairs) {
+    const candidates = (config.constructionMilestones || [])
+      .map((id) => byId.get(String(id)))
+      .filter(Boolean);
+    const milestone = pickLinkedMilestone(candidates, towerId);
+    if (!milestone) continue;
+
+    installment.constructionMilestone = milestone._id;
+    if (milestone.installmentDemand?.raisedAt) {
+      const due = startOfDay(bookingDate);
+      const graceDays = Math.round((installment.gracePeriodEndDate - installment.currentDueDate) / DAY_MS) || 0;
+      installment.currentDueDate = due;
+      installment.gracePeriodEndDate = new Date(due.getTime() + graceDays * DAY_MS);
+      installment.demandRaisedAt = new Date();
+    }
+  }
+};
+
+const createCollectionTask = async (installment, milestone, user) => {
+  const sale = installment.sale;
+  const dedupKey = `milestone_demand_${installment._id}`;
+  const exists = await Task.findOne({ 'autoGenerated.deduplicationKey': dedupKey }).select('_id');
+  if (exists) return null;
+
+  const unitLabel = sale.unit?.unitNumber ? `Unit ${sale.unit.unitNumber}` : 'Unit';
+  const buyer = [sale.lead?.firstName, sale.lead?.lastName].filter(Boolean).join(' ') || 'buyer';
+
+  const task = await Task.create({
+    organization: installment.organization,
+    title: `Collect Installment #${installment.installmentNumber}: ${unitLabel}`,
+    description: `"${milestone.name}" is complete, so installment #${installment.installmentNumber} `
+      + `(${installment.pendingAmount}) from ${buyer} is now due on `
+      + `${installment.currentDueDate.toLocaleDateString()}. The demand letter has been sent; follow up for payment.`,
+    category: 'Payment & Collection',
+    priority: 'Medium',
+    status: 'Open',
+    assignedTo: sale.salesPerson || user._id,
+    assignedBy: user._id,
+    assignmentType: 'system',
+    dueDate: installment.gracePeriodEndDate || installment.currentDueDate,
+    linkedEntity: {
+      entityType: 'Installment',
+      entityId: installment._id,
+      displayLabel: `Installment #${installment.installmentNumber} — ${unitLabel}`,
+    },
+    autoGenerated: {
+      isAutoGenerated: true,
+      triggerType: 'milestone_demand',
+      triggerEntityType: 'ConstructionMilestone',
+      triggerEntityId: milestone._id,
+      deduplicationKey: dedupKey,
+    },
+    createdBy: user._id,
+  });
+  notifyTaskAutoGenerated({ task }).catch(() => {});
+  return task;
+};
+
+/**
+ * Raise every pending installment linked to a completed milestone.
+ *
+ * @param {object} milestone - ConstructionMilestone document (post-save)
+ * @param {{ user: object, now?: Date }} options - user who completed it / passed the checks
+ * @returns {Promise<object>} { raised:false, reason, pendingChecks? } or
+ *   { raised:true, installments, tasks, buyersNotified, lenderRequests, skipped, failed }
+ */
+export const raiseMilestoneDemands = async (milestone, { user, now = new Date() }) => {
+  const readiness = demandReadiness(milestone);
+  if (!readiness.ready) return { raised: false, ...readiness };
+
+  const claim = await ConstructionMilestone.updateOne(
+    { _id: milestone._id, 'installmentDemand.raisedAt': null },
+    { $set: { 'installmentDemand.raisedAt': now, 'installmentDemand.raisedBy': user._id } }
+  );
+  if (!claim.modifiedCount) return { raised: false, reason: 'already_raised' };
+
+  const dueDate = startOfDay(milestone.completionDetails?.completedAt || now);
+  const summary = { raised: true, installments: 0, tasks: 0, buyersNotified: 0, lenderRequests: 0, skipped: 0, failed: [] };
+
+  const installments = await Installment.find({
+    constructionMilestone: milestone._id,
+    status: 'pending',
+    demandRaisedAt: null,
+  })
+    .populate({ path: 'sale', select: 'lead unit status salesPerson', populate: [
+      { path: 'lead', select: 'firstName lastName email' },
+      { path: 'unit', select: 'unitNumber tower' },
+    ] })
+    .populate('project', 'name paymentConfiguration')
+    .populate('paymentPlan', 'paymentTerms');
+
+  for (const installment of installments) {
+    const sale = installment.sale;
+    const outsideTower = milestone.tower && sale?.unit?.tower
+      && String(sale.unit.tower) !== String(milestone.tower);
+    if (!sale || sale.status === 'Cancelled' || outsideTower) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const graceDays = installment.paymentPlan?.paymentTerms?.gracePeriodDays ?? 7;
+      installment.adjustments.push({
+        adjustmentType: 'date_change',
+        originalAmount: installment.currentAmount,
+        adjustmentAmount: 0,
+        newAmount: installment.currentAmount,
+        reason: `Demand raised on completion of "${milestone.name}"`,
+        adjustedBy: user._id,
+      });
+      installment.currentDueDate = dueDate;
+      installment.gracePeriodEndDate = new Date(dueDate.getTime() + graceDays * DAY_MS);
+      installment.demandRaisedAt = now;
+      installment.updateStatus();
+      installment.lastModifiedBy = user._id;
+      await installment.save();
+      summary.installments += 1;
+    } catch (err) {
+      summary.failed.push({ installment: installment._id.toString(), error: err.message });
+      continue;
+    }
+
+    try {
+      if (await createCollectionTask(installment, milestone, user)) summary.tasks += 1;
+    } catch (err) {
+      console.error(`[milestoneDemand] task for installment ${installment._id} failed: ${err.message}`);
+    }
+
+    // A failed email is retried by the daily dunning sweep.
+    try {
+      const result = await sendInstallmentReminder(installment, 'due_today', { sentBy: user._id, now });
+      if (result.sent) summary.buyersNotified += 1;
+    } catch (err) {
+      console.error(`[milestoneDemand] demand letter for installment ${installment._id} failed: ${err.message}`);
+    }
+
+    // A failed request stays scheduled and can be sent from the loan case.
+    try {
+      summary.lenderRequests += await requestDisbursementsForInstallment(installment, { user, now });
+    } catch (err) {
+      console.error(`[milestoneDemand] disbursement request for installment ${installment._id} failed: ${err.message}`);
+    }
+  }
+
+  await ConstructionMilestone.updateOne(
+    { _id: milestone._id },
+    { $set: { 'installmentDemand.installmentsRaised': summary.installments } }
+  );
+
+  return summary;
+};
+
+export default {
+  demandReadiness,
+  pickLinkedMilestone,
+  linkPlanInstallments,
+  raiseMilestoneDemands,
+};
@@ -6,6 +6,9 @@ import Installment from '../models/installmentModel.js';
 import PaymentTransaction from '../models/paymentTransactionModel.js';
 import Project from '../models/projectModel.js';
 import Sale from '../models/salesModel.js';
+import Unit from '../models/unitModel.js';
+import { linkPlanInstallments } from './milestoneDemandService.js';
+import { accrueInstallment } from './lateFeeService.js';
 import mongoose from 'mongoose';
 
 /**
@@ -101,6 +104,7 @@ const createPaymentPlan = async (saleData, templateName, userId) => {
 
     // Create installments based on template
     const installments = [];
+    const pairs = [];
     let cumulativeDays = 0;
     
     for (const installmentConfig of template.installments) {
@@ -142,9 +146,17 @@ const createPaymentPlan = async (saleData, templateName, userId) => {
         createdBy: userId
       });
       
-      await installment.save({ session });
+      pairs.push({ config: installmentConfig, installment });
       installments.push(installment);
     }
+
+    // Link construction-linked installments to the milestone for this unit's tower
+    const unit = await Unit.findById(saleData.unit?._id || saleData.unit).select('tower').session(session);
+    await linkPlanInstallments(pairs, { towerId: unit?.tower, bookingDate: saleData.bookingDate, session });
+
+    for (const installment of installments) {
+      await installment.save({ session });
+    }
     
     console.log('✅ Created', installments.length, 'installments');
 
@@ -324,7 +336,7 @@ const recalculatePaymentPlan = async (paymentPlanId) => {
     // Recalculate installment statuses and late fees
     for (const installment of installments) {
       // Calculate late fees
-      installment.calculateLateFees();
+      accrueInstallment(installment, { paymentTerms: paymentPlan.paymentTerms, transactions });
       
       // Update status based on current amounts
       installment.updateStatus();
@@ -428,8 +440,20 @@ const processPayment = async (paymentData, allocations, userId) => {
       console.warn('[paymentService] commissionInvoiceTrigger failed (non-fatal):', triggerErr.message);
     }
 
+    // Number the receipt, file its PDF and email it to the buyer. The
+    // payment stands if this fails; the receipt can be issued again.
+    let receipt = null;
+    try {
+      const { issuePaymentReceipt } = await import('./financeDocumentService.js');
+      receipt = await issuePaymentReceipt(transaction._id, { organization: paymentData.organization, user: userId });
+    } catch (receiptErr) {
+      console.warn('[paymentService] receipt failed (non-fatal):', receiptErr.message);
+      receipt = { error: receiptErr.message };
+    }
+
     return {
       transaction,
+      receipt,
       message: 'Payment processed successfully'
     };
     
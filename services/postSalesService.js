@@ -0,0 +1,498 @@
+// File: services/postSalesService.js
+// Description: The post-booking workflow engine. Each sale runs a snapshot
+//   of its project's (or the organization's, or the default) PostSalesWorkflow
+//   as a SaleLifecycle. Stages run one at a time:
+//
+//   - starting a stage sets its SLA deadline and creates its task through
+//     taskAutoGenerationService (which also flags stages that overrun);
+//   - a stage completes once every required document is verified and, for
+//     stages that need one, an appointment is scheduled;
+//   - completing a stage moves Sale.status forward (Agreement Signed →
+//     Registered → Completed) and, for the handover stage, marks the unit's
+//     possession handed over; then the next stage starts.
+//
+//   Sale.status is therefore driven by the workflow once a sale has one;
+//   salesController refuses free-form status edits for those sales.
+
+import mongoose from 'mongoose';
+import PostSalesWorkflow, {
+  DEFAULT_POST_SALES_STAGES,
+  LIFECYCLE_SALE_STATUSES,
+} from '../models/postSalesWorkflowModel.js';
+import SaleLifecycle, { STAGE_DOCUMENT_STATUSES } from '../models/saleLifecycleModel.js';
+import Sale from '../models/salesModel.js';
+import Unit from '../models/unitModel.js';
+import Task from '../models/taskModel.js';
+import taskAutoGenerationService from './taskAutoGenerationService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_STAGES = 20;
+const KEY_PATTERN = /^[a-z0-9_]+$/;
+
+// Sale.status in workflow order; a stage can only move a sale forward.
+const SALE_STATUS_ORDER = ['Booked', ...LIFECYCLE_SALE_STATUSES];
+const LIFECYCLE_SALE_START_STATUSES = ['Booked', 'Agreement Signed', 'Registered'];
+const OPEN_TASK_FILTER = { $nin: ['Completed', 'Cancelled'] };
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const optionalDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, `${label} must be a date.`);
+  return d;
+};
+
+const saleStatusRank = (status) => SALE_STATUS_ORDER.indexOf(status);
+
+const loadLifecycle = async (lifecycleId, organization, verifyAccess) => {
+  assertObjectId(lifecycleId, 'lifecycle');
+  const lifecycle = await SaleLifecycle.findOne({ _id: lifecycleId, organization });
+  if (!lifecycle) throw httpError(404, 'Post-sales lifecycle not found.');
+  verifyAccess?.(lifecycle.project);
+  return lifecycle;
+};
+
+const findStage = (lifecycle, stageKey) => {
+  const stage = lifecycle.stages.find((s) => s.key === stageKey);
+  if (!stage) throw httpError(404, `No "${stageKey}" stage on this sale's workflow.`);
+  return stage;
+};
+
+// The sale with what stage tasks need to name the buyer and unit.
+const loadSaleForTasks = (filter) =>
+  Sale.findOne(filter)
+    .select('project unit lead salesPerson status')
+    .populate('unit', 'unitNumber')
+    .populate('lead', 'firstName lastName');
+
+// ─── Workflow configuration ────────────────────────────────────────────────
+
+/**
+ * Validate and normalize a workflow's stages.
+ * @throws 400 describing the first problem
+ */
+export const validateStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) throw httpError(400, 'stages must be a non-empty array.');
+  if (stages.length > MAX_STAGES) throw httpError(400, `A workflow can have at most ${MAX_STAGES} stages.`);
+
+  const keys = new Set();
+  let lastStatusRank = 0;
+  let handovers = 0;
+  return stages.map((raw, i) => {
+    const key = String(raw?.key || '').trim();
+    const label = String(raw?.label || '').trim();
+    if (!KEY_PATTERN.test(key)) throw httpError(400, `Stage ${i + 1}: key must be lowercase letters, digits and underscores.`);
+    if (keys.has(key)) throw httpError(400, `Stage key "${key}" is used twice.`);
+    keys.add(key);
+    if (!label) throw httpError(400, `Stage "${key}": label is required.`);
+
+    const slaDays = Number(raw.slaDays);
+    if (!Number.isInteger(slaDays) || slaDays < 1 || slaDays > 365) {
+      throw httpError(400, `Stage "${key}": slaDays must be a whole number from 1 to 365.`);
+    }
+
+    const docKeys = new Set();
+    const requiredDocuments = (raw.requiredDocuments || []).map((d) => {
+      const docKey = String(d?.key || '').trim();
+      const docLabel = String(d?.label || '').trim();
+      if (!KEY_PATTERN.test(docKey) || !docLabel) {
+        throw httpError(400, `Stage "${key}": each document needs a key (lowercase, digits, underscores) and a label.`);
+      }
+      if (docKeys.has(docKey)) throw httpError(400, `Stage "${key}": document "${docKey}" is listed twice.`);
+      docKeys.add(docKey);
+      return { key: docKey, label: docLabel };
+    });
+
+    const saleStatusOnComplete = raw.saleStatusOnComplete || null;
+    if (saleStatusOnComplete) {
+      if (!LIFECYCLE_SALE_STATUSES.includes(saleStatusOnComplete)) {
+        throw httpError(400, `Stage "${key}": saleStatusOnComplete must be one of: ${LIFECYCLE_SALE_STATUSES.join(', ')}.`);
+      }
+      const rank = saleStatusRank(saleStatusOnComplete);
+      if (rank <= lastStatusRank) {
+        throw httpError(400, `Stage "${key}": sale statuses must move forward through the workflow (${SALE_STATUS_ORDER.join(' → ')}).`);
+      }
+      lastStatusRank = rank;
+    }
+
+    if (raw.handsOverPossession) handovers += 1;
+    if (handovers > 1) throw httpError(400, 'Only one stage can hand over possession.');
+
+    if (raw.assignee) assertObjectId(raw.assignee, `stage "${key}" assignee`);
+
+    return {
+      key,
+      label,
+      slaDays,
+      requiredDocuments,
+      requiresAppointment: Boolean(raw.requiresAppointment),
+      saleStatusOnComplete,
+      handsOverPossession: Boolean(raw.handsOverPossession),
+      assignee: raw.assignee || null,
+    };
+  });
+};
+
+/**
+ * The workflow that applies to a project: its own, else the organization's,
+ * else the default stages.
+ * @returns {Promise<{ source: 'project'|'organization'|'default', stages: Array }>}
+ */
+export const getEffectiveWorkflow = async (organization, projectId = null) => {
+  const configs = await PostSalesWorkflow.find({
+    organization,
+    project: { $in: projectId ? [projectId, null] : [null] },
+  }).lean();
+  const own = projectId && configs.find((c) => String(c.project) === String(projectId));
+  if (own) return { source: 'project', stages: own.stages };
+  const orgWide = configs.find((c) => !c.project);
+  if (orgWide) return { source: 'organization', stages: orgWide.stages };
+  return { source: 'default', stages: DEFAULT_POST_SALES_STAGES };
+};
+
+/** The workflow for a project (or org-wide, without projectId). */
+export const getWorkflow = async ({ organization, projectId, verifyAccess }) => {
+  if (projectId) {
+    assertObjectId(projectId, 'project');
+    verifyAccess?.(projectId);
+  }
+  return getEffectiveWorkflow(organization, projectId || null);
+};
+
+/**
+ * Save the org-wide workflow, or a project's override with projectId. Sales
+ * already under way keep the stages they started with.
+ * @returns {Promise<Object>} the PostSalesWorkflow
+ */
+export const saveWorkflow = async ({ organization, projectId, stages, user, verifyAccess }) => {
+  if (projectId) {
+    assertObjectId(projectId, 'project');
+    verifyAccess?.(projectId);
+  }
+  const normalized = validateStages(stages);
+  return PostSalesWorkflow.findOneAndUpdate(
+    { organization, project: projectId || null },
+    { $set: { stages: normalized, updatedBy: user._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Drop a project's override so it follows the organization's workflow again.
+ * @returns {Promise<boolean>} whether there was one
+ */
+export const resetProjectWorkflow = async ({ organization, projectId, verifyAccess }) => {
+  assertObjectId(projectId, 'project');
+  verifyAccess?.(projectId);
+  const result = await PostSalesWorkflow.deleteOne({ organization, project: projectId });
+  return result.deletedCount > 0;
+};
+
+// ─── Stage engine ──────────────────────────────────────────────────────────
+
+/**
+ * Start a stage: set its SLA deadline, create its task and, for the handover
+ * stage, mark the unit ready for possession. The caller saves the lifecycle.
+ */
+const activateStage = async (lifecycle, stage, { sale, user, now }) => {
+  stage.status = 'in_progress';
+  stage.startedAt = now;
+  stage.dueAt = new Date(now.getTime() + stage.slaDays * DAY_MS);
+  lifecycle.currentStage = stage.key;
+
+  if (stage.handsOverPossession) {
+    await Unit.updateOne(
+      { _id: lifecycle.unit, 'possession.handoverStatus': 'pending' },
+      { $set: { 'possession.handoverStatus': 'ready' } }
+    );
+  }
+
+  // A missing task shouldn't hold the workflow up; the stage still shows on
+  // the lifecycle board.
+  try {
+    const task = await taskAutoGenerationService.createSaleLifecycleTask({
+      lifecycle,
+      stage,
+      sale,
+      userId: user?._id,
+    });
+    if (task) stage.task = task._id;
+  } catch (err) {
+    console.error(`⚠️ [PostSales] Task for stage ${stage.key} of sale ${lifecycle.sale} failed:`, err.message);
+  }
+};
+
+const closeStageTask = (stage, user, now) => {
+  if (!stage.task) return null;
+  return Task.updateOne(
+    { _id: stage.task, status: OPEN_TASK_FILTER },
+    {
+      $set: {
+        status: 'Completed',
+        completedAt: now,
+        'resolution.summary': `Post-sales stage "${stage.label}" completed.`,
+        'resolution.resolvedBy': user._id,
+        'resolution.resolvedAt': now,
+      },
+    }
+  );
+};
+
+/**
+ * Start a sale's post-sales lifecycle from its project's workflow. Stages a
+ * sale has already passed (by Sale.status, e.g. already Registered) are
+ * marked completed; the first remaining stage starts.
+ * @returns {Promise<Object>} the SaleLifecycle
+ * @throws 409 when the sale already has one, or isn't booked
+ */
+export const startSaleLifecycle = async ({ organization, saleId, user, verifyAccess, now = new Date() }) => {
+  assertObjectId(saleId, 'sale');
+  const sale = await loadSaleForTasks({ _id: saleId, organization });
+  if (!sale) throw httpError(404, 'Sale not found.');
+  verifyAccess?.(sale.project);
+  if (!LIFECYCLE_SALE_START_STATUSES.includes(sale.status)) {
+    throw httpError(409, `A post-sales workflow cannot be started for a ${sale.status} sale.`);
+  }
+  if (await SaleLifecycle.exists({ sale: sale._id })) {
+    throw httpError(409, 'This sale already has a post-sales workflow.');
+  }
+
+  const { stages } = await getEffectiveWorkflow(organization, sale.project);
+  const saleRank = saleStatusRank(sale.status);
+  // Everything up to the last stage whose sale status the sale already has
+  const passedUpTo = stages.reduce(
+    (last, s, i) => (s.saleStatusOnComplete && saleStatusRank(s.saleStatusOnComplete) <= saleRank ? i : last),
+    -1
+  );
+
+  const lifecycle = await SaleLifecycle.create({
+    organization,
+    project: sale.project,
+    sale: sale._id,
+    unit: sale.unit?._id || sale.unit,
+    lead: sale.lead?._id || sale.lead,
+    startedBy: user?._id || null,
+    stages: stages.map((s, i) => ({
+      key: s.key,
+      label: s.label,
+      order: i + 1,
+      slaDays: s.slaDays,
+      requiresAppointment: Boolean(s.requiresAppointment),
+      saleStatusOnComplete: s.saleStatusOnComplete || null,
+      handsOverPossession: Boolean(s.handsOverPossession),
+      assignee: s.assignee || null,
+      documents: (s.requiredDocuments || []).map((d) => ({ key: d.key, label: d.label, required: true })),
+      ...(i <= passedUpTo
+        ? { status: 'completed', completedAt: now, notes: `Already ${sale.status} when the workflow started.` }
+        : {}),
+    })),
+  });
+
+  const first = lifecycle.stages.find((s) => s.status === 'pending');
+  if (first) {
+    await activateStage(lifecycle, first, { sale, user, now });
+  } else {
+    lifecycle.status = 'completed';
+    lifecycle.completedAt = now;
+  }
+  return lifecycle.save();
+};
+
+/**
+ * Complete the in-progress stage and start the next one.
+ * @returns {Promise<Object>} the SaleLifecycle
+ * @throws 409 when the stage isn't in progress, a required document isn't
+ *   verified, or a required appointment isn't scheduled
+ */
+export const completeStage = async (lifecycleId, stageKey, { organization, note, handoverDate, user, verifyAccess, now = new Date() }) => {
+  const lifecycle = await loadLifecycle(lifecycleId, organization, verifyAccess);
+  if (lifecycle.status !== 'active') throw httpError(409, `This workflow is ${lifecycle.status}.`);
+  const stage = findStage(lifecycle, stageKey);
+  if (stage.status !== 'in_progress') {
+    throw httpError(409, `"${stage.label}" is ${stage.status.replace('_', ' ')}; only the current stage can be completed.`);
+  }
+
+  const missing = stage.documents.filter((d) => d.required && d.status !== 'verified');
+  if (missing.length) {
+    throw httpError(409, `These documents must be verified first: ${missing.map((d) => d.label).join(', ')}.`);
+  }
+  if (stage.requiresAppointment && !stage.appointment?.scheduledAt) {
+    throw httpError(409, `"${stage.label}" needs an appointment scheduled first.`);
+  }
+  const handedOverAt = optionalDate(handoverDate, 'handoverDate') || now;
+
+  stage.status = 'completed';
+  stage.completedAt = now;
+  stage.completedBy = user._id;
+  if (note) stage.notes = [stage.notes, note].filter(Boolean).join('\n');
+  await closeStageTask(stage, user, now);
+
+  const sale = await loadSaleForTasks({ _id: lifecycle.sale });
+  if (stage.saleStatusOnComplete && sale && saleStatusRank(stage.saleStatusOnComplete) > saleStatusRank(sale.status)) {
+    await Sale.updateOne({ _id: sale._id }, { $set: { status: stage.saleStatusOnComplete } });
+    sale.status = stage.saleStatusOnComplete;
+  }
+  if (stage.handsOverPossession) {
+    await Unit.updateOne(
+      { _id: lifecycle.unit },
+      { $set: { 'possession.handoverStatus': 'handed_over', 'possession.actualDate': handedOverAt } }
+    );
+  }
+
+  const next = lifecycle.stages
+    .filter((s) => s.status === 'pending')
+    .sort((a, b) => a.order - b.order)[0];
+  if (next) {
+    await activateStage(lifecycle, next, { sale, user, now });
+  } else {
+    lifecycle.status = 'completed';
+    lifecycle.currentStage = null;
+    lifecycle.completedAt = now;
+  }
+  return lifecycle.save();
+};
+
+/**
+ * Cancel a sale's lifecycle and its open stage tasks — called when the sale
+ * is cancelled.
+ * @returns {Promise<Object|null>} the SaleLifecycle, or null if it had none
+ */
+export const cancelSaleLifecycle = async (saleId, { reason, now = new Date() } = {}) => {
+  const lifecycle = await SaleLifecycle.findOne({ sale: saleId, status: 'active' });
+  if (!lifecycle) return null;
+
+  const taskIds = lifecycle.stages.filter((s) => s.status !== 'completed' && s.task).map((s) => s.task);
+  if (taskIds.length) {
+    await Task.updateMany({ _id: { $in: taskIds }, status: OPEN_TASK_FILTER }, { $set: { status: 'Cancelled' } });
+  }
+  lifecycle.status = 'cancelled';
+  lifecycle.currentStage = null;
+  lifecycle.cancelledAt = now;
+  lifecycle.cancellationReason = reason;
+  return lifecycle.save();
+};
+
+/** Whether the sale's status is driven by an active post-sales workflow. */
+export const hasActiveLifecycle = async (saleId) =>
+  Boolean(await SaleLifecycle.exists({ sale: saleId, status: 'active' }));
+
+// ─── Stage updates ─────────────────────────────────────────────────────────
+
+/**
+ * Update a stage's checklist item (status, uploaded file, note), or add one
+ * by giving a label for an unknown key.
+ * @returns {Promise<Object>} the SaleLifecycle
+ */
+export const updateStageDocument = async (lifecycleId, stageKey, docKey, { organization, fields = {}, user, verifyAccess }) => {
+  const lifecycle = await loadLifecycle(lifecycleId, organization, verifyAccess);
+  const stage = findStage(lifecycle, stageKey);
+  if (lifecycle.status !== 'active' || stage.status === 'completed') {
+    throw httpError(409, `"${stage.label}" is closed; its documents can no longer change.`);
+  }
+  if (fields.status !== undefined && !STAGE_DOCUMENT_STATUSES.includes(fields.status)) {
+    throw httpError(400, `status must be one of: ${STAGE_DOCUMENT_STATUSES.join(', ')}.`);
+  }
+  if (fields.fileId) assertObjectId(fields.fileId, 'file');
+
+  let doc = stage.documents.find((d) => d.key === docKey);
+  if (!doc) {
+    if (!fields.label) throw httpError(404, `No "${docKey}" document on this stage; give a label to add it.`);
+    stage.documents.push({ key: docKey, label: fields.label, required: fields.required !== false });
+    doc = stage.documents[stage.documents.length - 1];
+  }
+  if (fields.label !== undefined) doc.label = fields.label;
+  if (fields.required !== undefined) doc.required = Boolean(fields.required);
+  if (fields.note !== undefined) doc.note = fields.note;
+  if (fields.fileId) {
+    doc.file = fields.fileId;
+    if (fields.status === undefined && doc.status === 'pending') doc.status = 'received';
+  }
+  if (fields.status !== undefined) doc.status = fields.status;
+  doc.updatedBy = user._id;
+  doc.updatedAt = new Date();
+  return lifecycle.save();
+};
+
+/**
+ * Schedule a stage's appointment, edit its notes or reassign it (which also
+ * reassigns the open task).
+ * @returns {Promise<Object>} the SaleLifecycle
+ */
+export const updateStage = async (lifecycleId, stageKey, { organization, fields = {}, verifyAccess }) => {
+  const lifecycle = await loadLifecycle(lifecycleId, organization, verifyAccess);
+  const stage = findStage(lifecycle, stageKey);
+  if (lifecycle.status !== 'active' || stage.status === 'completed') {
+    throw httpError(409, `"${stage.label}" is closed.`);
+  }
+
+  if (fields.appointment !== undefined) {
+    if (fields.appointment === null) {
+      stage.appointment = {};
+    } else {
+      const scheduledAt = optionalDate(fields.appointment.scheduledAt, 'appointment.scheduledAt');
+      if (!scheduledAt) throw httpError(400, 'appointment.scheduledAt is required.');
+      stage.appointment = { scheduledAt, location: fields.appointment.location, note: fields.appointment.note };
+    }
+  }
+  if (fields.notes !== undefined) stage.notes = fields.notes;
+  if (fields.assignee !== undefined) {
+    assertObjectId(fields.assignee, 'assignee');
+    stage.assignee = fields.assignee;
+    if (stage.task) {
+      await Task.updateOne({ _id: stage.task, status: OPEN_TASK_FILTER }, { $set: { assignedTo: fields.assignee } });
+    }
+  }
+  return lifecycle.save();
+};
+
+// ─── Queries ───────────────────────────────────────────────────────────────
+
+/** A sale's lifecycle with its stage tasks and documents. */
+export const getSaleLifecycle = async (saleId, { organization, verifyAccess }) => {
+  assertObjectId(saleId, 'sale');
+  const lifecycle = await SaleLifecycle.findOne({ sale: saleId, organization })
+    .populate('stages.task', 'taskNumber status priority assignedTo dueDate')
+    .populate('stages.assignee', 'firstName lastName')
+    .populate('stages.documents.file', 'originalName url');
+  if (!lifecycle) throw httpError(404, 'This sale has no post-sales workflow.');
+  verifyAccess?.(lifecycle.project);
+  return lifecycle;
+};
+
+/**
+ * Lifecycles the caller can see, oldest-due current stage first.
+ * @param {{ status?: string, stage?: string, overdue?: boolean }} filters
+ */
+export const listSaleLifecycles = async ({ organization, projectFilter = {}, projectId, status = 'active', stage, overdue, now = new Date() }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  if (status) query.status = status;
+  if (stage) query.currentStage = stage;
+  if (overdue) query.stages = { $elemMatch: { status: 'in_progress', dueAt: { $lt: now } } };
+
+  const lifecycles = await SaleLifecycle.find(query)
+    .select('-stages.documents')
+    .populate('project', 'name')
+    .populate('lead', 'firstName lastName phone')
+    .populate('unit', 'unitNumber')
+    .lean();
+
+  const dueTime = (l) => (l.current ? new Date(l.current.dueAt).getTime() : Number.MAX_SAFE_INTEGER);
+  return lifecycles
+    .map((l) => {
+      const stageNow = l.stages.find((s) => s.status === 'in_progress');
+      return {
+        ...l,
+        current: stageNow
+          ? { key: stageNow.key, label: stageNow.label, dueAt: stageNow.dueAt, overdue: stageNow.dueAt < now }
+          : null,
+      };
+    })
+    .sort((a, b) => dueTime(a) - dueTime(b));
+};
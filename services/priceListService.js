@@ -0,0 +1,528 @@
+// File: services/priceListService.js
+// Description: Price escalation engine for versioned project/tower price
+//   lists. Rules are evaluated per unit in a fixed order — base, floor rise,
+//   premiums, sold-% tranches, date escalations, rounding — so a preview, the
+//   approval snapshot and the publish all produce the same numbers for the
+//   same inventory state. Publishing goes through the PRICE_OVERRIDE approval
+//   and writes Unit.currentPrice plus a UnitPriceHistory row per unit inside
+//   one transaction.
+
+import mongoose from 'mongoose';
+import PriceList from '../models/priceListModel.js';
+import UnitPriceHistory from '../models/unitPriceHistoryModel.js';
+import Unit from '../models/unitModel.js';
+import Tower from '../models/towerModel.js';
+import { createApprovalRequest } from './approvalService.js';
+import { httpError } from '../utils/httpError.js';
+
+// Unsold inventory that a price list re-prices. Booked/sold units keep the
+// price they were sold at.
+export const PRICEABLE_UNIT_STATUSES = ['available', 'blocked'];
+const SOLD_UNIT_STATUSES = ['booked', 'sold'];
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Amount contributed by one rule, given the unit's area and the running price.
+function ruleAmount(mode, amount, areaSqft, running) {
+  switch (mode) {
+    case 'per_sqft':
+      return amount * (areaSqft || 0);
+    case 'percent':
+      return (running * amount) / 100;
+    case 'lump_sum':
+    default:
+      return amount;
+  }
+}
+
+function premiumMatches(premium, unit) {
+  switch (premium.criterion) {
+    case 'facing':
+      return !!unit.facing && unit.facing === premium.value;
+    case 'feature':
+      return unit.features?.[premium.value] === true;
+    case 'unit_type':
+      return !!unit.type && unit.type.toLowerCase() === premium.value.toLowerCase();
+    default:
+      return false;
+  }
+}
+
+const scopeFilter = (priceList) => {
+  const filter = { project: priceList.project };
+  if (priceList.tower) filter.tower = priceList.tower;
+  return filter;
+};
+
+// ─── Pure engine ───────────────────────────────────────────────────────────
+
+/**
+ * Evaluate a price list's rules for one unit.
+ *
+ * @param {Object} unit - needs areaSqft, floor, basePrice, facing, type, features
+ * @param {Object} rules - PriceList.rules
+ * @param {Object} context
+ * @param {number} context.soldPercent - share of the list's inventory booked/sold
+ * @param {Date}   [context.asOf=new Date()] - date escalations effective on/before this apply
+ * @returns {{price:number, components:Array<{label:string, amount:number}>}}
+ */
+export function computeUnitPrice(unit, rules = {}, { soldPercent = 0, asOf = new Date() } = {}) {
+  const components = [];
+  const area = unit.areaSqft || 0;
+
+  const base = rules.baseRatePerSqft > 0 ? rules.baseRatePerSqft * area : unit.basePrice || 0;
+  components.push({
+    label: rules.baseRatePerSqft > 0 ? `Base (${rules.baseRatePerSqft}/sqft)` : 'Base price',
+    amount: round2(base),
+  });
+  let running = base;
+
+  const fr = rules.floorRise || {};
+  const floorsAbove = Math.max(0, (unit.floor || 0) - (fr.startsAboveFloor || 0));
+  if (floorsAbove > 0 && fr.amountPerFloor > 0) {
+    const rise = floorsAbove * ruleAmount(fr.mode || 'per_sqft', fr.amountPerFloor, area, running);
+    components.push({ label: `Floor rise (${floorsAbove} floors)`, amount: round2(rise) });
+    running += rise;
+  }
+
+  // Premiums are all priced off the pre-premium amount so their order in the
+  // list does not change the result.
+  const prePremium = running;
+  for (const p of rules.premiums || []) {
+    if (!premiumMatches(p, unit)) continue;
+    const amt = ruleAmount(p.mode, p.amount, area, prePremium);
+    components.push({ label: p.name, amount: round2(amt) });
+    running += amt;
+  }
+
+  // Tranches stack in ascending threshold order; each met tranche applies to
+  // the price after the previous one.
+  const tranches = [...(rules.tranches || [])].sort(
+    (a, b) => a.soldPercentAtLeast - b.soldPercentAtLeast
+  );
+  for (const t of tranches) {
+    if (soldPercent < t.soldPercentAtLeast) continue;
+    const amt = ruleAmount(t.mode, t.amount, area, running);
+    components.push({
+      label: t.label || `Tranche (${t.soldPercentAtLeast}% sold)`,
+      amount: round2(amt),
+    });
+    running += amt;
+  }
+
+  const when = new Date(asOf);
+  const escalations = [...(rules.dateEscalations || [])].sort(
+    (a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom)
+  );
+  for (const e of escalations) {
+    if (new Date(e.effectiveFrom) > when) continue;
+    const amt = ruleAmount(e.mode, e.amount, area, running);
+    components.push({
+      label: e.label || `Escalation from ${new Date(e.effectiveFrom).toISOString().slice(0, 10)}`,
+      amount: round2(amt),
+    });
+    running += amt;
+  }
+
+  const roundTo = rules.roundTo ?? 1000;
+  const price = roundTo > 1 ? Math.round(running / roundTo) * roundTo : Math.round(running);
+  if (price !== Math.round(running)) {
+    components.push({ label: 'Rounding', amount: round2(price - running) });
+  }
+
+  return { price, components };
+}
+
+/**
+ * Price every unit against a list and summarise the change.
+ *
+ * @param {Object} rules
+ * @param {Array} units - priceable units (with currentPrice)
+ * @param {{soldPercent:number, asOf?:Date}} context
+ * @returns {{rows:Array, summary:Object}}
+ */
+export function buildPricePreview(rules, units, context) {
+  let totalBefore = 0;
+  let totalAfter = 0;
+  let maxChangePercent = 0;
+
+  const rows = units.map((unit) => {
+    const { price, components } = computeUnitPrice(unit, rules, context);
+    const difference = price - (unit.currentPrice || 0);
+    const changePercent = unit.currentPrice > 0 ? round2((difference / unit.currentPrice) * 100) : 0;
+    totalBefore += unit.currentPrice || 0;
+    totalAfter += price;
+    maxChangePercent = Math.max(maxChangePercent, Math.abs(changePercent));
+    return {
+      unitId: unit._id,
+      unitNumber: unit.unitNumber,
+      tower: unit.tower,
+      floor: unit.floor,
+      areaSqft: unit.areaSqft,
+      status: unit.status,
+      currentPrice: unit.currentPrice,
+      newPrice: price,
+      difference,
+      changePercent,
+      components,
+    };
+  });
+
+  return {
+    rows,
+    summary: {
+      unitsPriced: rows.length,
+      unitsChanged: rows.filter((r) => r.difference !== 0).length,
+      totalBefore,
+      totalAfter,
+      totalDifference: totalAfter - totalBefore,
+      averageChangePercent: totalBefore > 0 ? round2(((totalAfter - totalBefore) / totalBefore) * 100) : 0,
+      maxChangePercent,
+      soldPercent: context.soldPercent,
+      asOf: context.asOf,
+    },
+  };
+}
+
+// ─── Inventory state ───────────────────────────────────────────────────────
+
+/**
+ * Priceable units and the sold share for a price list's scope.
+ * Honors an optional session so publish reads what it writes.
+ */
+async function loadInventory(priceList, session = null) {
+  const filter = scopeFilter(priceList);
+  const unitQuery = Unit.find({ ...filter, status: { $in: PRICEABLE_UNIT_STATUSES } })
+    .select('unitNumber tower floor areaSqft basePrice currentPrice facing type features status')
+    .sort({ floor: 1, unitNumber: 1 })
+    .lean();
+  const [units, total, sold] = await Promise.all([
+    session ? unitQuery.session(session) : unitQuery,
+    Unit.countDocuments(filter).session(session),
+    Unit.countDocuments({ ...filter, status: { $in: SOLD_UNIT_STATUSES } }).session(session),
+  ]);
+  return { units, soldPercent: total > 0 ? round2((sold / total) * 100) : 0 };
+}
+
+// ─── Price history ─────────────────────────────────────────────────────────
+
+/**
+ * Append price changes to the unit price history. Entries where the price
+ * did not move are skipped.
+ *
+ * @param {Array<Object>} entries - { unit (doc or lean), previousPrice, newPrice, source, ... }
+ * @param {ClientSession} [session]
+ */
+export async function recordUnitPriceChanges(entries, session = null) {
+  const docs = entries
+    .filter((e) => e.previousPrice !== e.newPrice)
+    .map(({ unit, ...rest }) => ({
+      organization: unit.organization,
+      project: unit.project?._id || unit.project,
+      tower: unit.tower?._id || unit.tower || undefined,
+      unit: unit._id,
+      changedAt: new Date(),
+      ...rest,
+    }));
+  if (docs.length === 0) return [];
+  return UnitPriceHistory.insertMany(docs, session ? { session } : {});
+}
+
+/** Price history for one unit, newest first. */
+export function getUnitPriceHistory(unitId, { limit = 100 } = {}) {
+  return UnitPriceHistory.find({ unit: unitId })
+    .sort({ changedAt: -1 })
+    .limit(limit)
+    .populate('changedBy', 'firstName lastName')
+    .populate('priceList', 'name version')
+    .lean();
+}
+
+// ─── Lifecycle ─────────────────────────────────────────────────────────────
+
+/**
+ * Create a draft price list. The version is the next number for the
+ * project + tower scope.
+ */
+export async function createPriceList({ projectId, towerId, name, description, rules, user }) {
+  if (!name) throw httpError(400, 'name is required');
+
+  if (towerId) {
+    const tower = await Tower.findOne({
+      _id: towerId,
+      project: projectId,
+      organization: user.organization,
+    }).select('_id');
+    if (!tower) throw httpError(404, 'Tower not found or does not belong to this project');
+  }
+
+  const latest = await PriceList.findOne({ project: projectId, tower: towerId || null })
+    .sort({ version: -1 })
+    .select('version')
+    .lean();
+
+  try {
+    return await PriceList.create({
+      organization: user.organization,
+      project: projectId,
+      tower: towerId || null,
+      name,
+      description,
+      rules,
+      version: (latest?.version || 0) + 1,
+      createdBy: user._id,
+    });
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, 'Another price list version was just created; retry');
+    throw err;
+  }
+}
+
+/**
+ * Edit a draft (or rejected) list. Editing a rejected list returns it to draft.
+ */
+export async function updatePriceList(priceList, { name, description, rules }, user) {
+  if (!priceList.isEditable) {
+    throw httpError(409, `Price list cannot be edited in status '${priceList.status}'`);
+  }
+  if (name !== undefined) priceList.name = name;
+  if (description !== undefined) priceList.description = description;
+  if (rules !== undefined) priceList.rules = rules;
+  priceList.status = 'draft';
+  priceList.updatedBy = user._id;
+  await priceList.save();
+  return priceList;
+}
+
+/**
+ * Compute the prices a list would produce right now (or as of a date)
+ * without writing anything.
+ */
+export async function previewPriceList(priceList, { asOf } = {}) {
+  const { units, soldPercent } = await loadInventory(priceList);
+  return buildPricePreview(priceList.rules, units, {
+    soldPercent,
+    asOf: asOf ? new Date(asOf) : new Date(),
+  });
+}
+
+/**
+ * Submit a draft for publication through the PRICE_OVERRIDE approval. The
+ * deviation checked against the policy threshold is the largest per-unit
+ * change from the current price. Lists under the threshold (or orgs without
+ * the policy) are approved straight away.
+ */
+export async function submitPriceList(priceList, user) {
+  if (!priceList.isEditable) {
+    throw httpError(409, `Only draft price lists can be submitted (status: ${priceList.status})`);
+  }
+
+  const { summary } = await previewPriceList(priceList);
+  if (summary.unitsPriced === 0) throw httpError(400, 'No unsold units in this price list scope');
+
+  priceList.submittedBy = user._id;
+  priceList.submittedAt = new Date();
+  priceList.approvalSummary = {
+    unitsChanged: summary.unitsChanged,
+    averageChangePercent: summary.averageChangePercent,
+    maxChangePercent: summary.maxChangePercent,
+    totalBefore: summary.totalBefore,
+    totalAfter: summary.totalAfter,
+    soldPercent: summary.soldPercent,
+  };
+
+  const approvalResult = await createApprovalRequest({
+    organizationId: priceList.organization,
+    projectId: priceList.project,
+    approvalType: 'PRICE_OVERRIDE',
+    entityType: 'PriceList',
+    entityId: priceList._id,
+    requestedBy: user._id,
+    requestData: {
+      deviationPercentage: summary.maxChangePercent,
+      priceListVersion: priceList.version,
+      unitsAffected: summary.unitsChanged,
+      averageChangePercent: summary.averageChangePercent,
+      totalBefore: summary.totalBefore,
+      totalAfter: summary.totalAfter,
+    },
+    priority: summary.maxChangePercent > 20 ? 'High' : 'Medium',
+    title: `Publish price list "${priceList.name}" v${priceList.version}`,
+    description:
+      `${summary.unitsChanged} of ${summary.unitsPriced} units change price ` +
+      `(avg ${summary.averageChangePercent}%, max ${summary.maxChangePercent}%). ` +
+      `Inventory value ₹${summary.totalBefore.toLocaleString('en-IN')} → ₹${summary.totalAfter.toLocaleString('en-IN')}.`,
+  });
+
+  if (approvalResult.approved) {
+    priceList.status = 'approved';
+    priceList.approvedAt = new Date();
+  } else {
+    priceList.status = 'pending_approval';
+    priceList.approvalRequest = approvalResult.approvalRequest?._id;
+  }
+  await priceList.save();
+
+  return {
+    priceList,
+    pendingApproval: !approvalResult.approved,
+    approvalRequest: approvalResult.approvalRequest,
+    summary,
+  };
+}
+
+/**
+ * Apply a PRICE_OVERRIDE decision to a pending list. Called from
+ * approvalService propagation; a no-op unless the list is still pending.
+ *
+ * @param {string} priceListId
+ * @param {'approved'|'rejected'} decision
+ * @param {string} resolvedBy
+ */
+export async function resolvePriceListApproval(priceListId, decision, resolvedBy) {
+  const priceList = await PriceList.findById(priceListId);
+  if (!priceList || priceList.status !== 'pending_approval') return priceList;
+
+  if (decision === 'approved') {
+    priceList.status = 'approved';
+    priceList.approvedBy = resolvedBy;
+    priceList.approvedAt = new Date();
+  } else {
+    priceList.status = 'rejected';
+  }
+  await priceList.save();
+  return priceList;
+}
+
+/**
+ * Publish an approved list: re-price the scope's unsold units, log each
+ * change, and supersede the list previously published for the same scope.
+ * All writes share one transaction; a unit whose price or status moved
+ * since it was read aborts the publish with 409. So does a largest change
+ * above the one approved (sales or date escalations since submitting); the
+ * list then goes back to draft to be re-submitted.
+ */
+export async function publishPriceList(priceList, user) {
+  if (priceList.status !== 'approved') {
+    throw httpError(409, `Only approved price lists can be published (status: ${priceList.status})`);
+  }
+
+  const session = await mongoose.startSession();
+  let exceedsApproval = false;
+  try {
+    session.startTransaction();
+
+    const asOf = new Date();
+    const { units, soldPercent } = await loadInventory(priceList, session);
+    const { rows, summary } = buildPricePreview(priceList.rules, units, { soldPercent, asOf });
+    const changed = rows.filter((r) => r.difference !== 0);
+
+    const approvedMax = priceList.approvalSummary?.maxChangePercent;
+    if (approvedMax == null || summary.maxChangePercent > approvedMax) {
+      exceedsApproval = true;
+      throw httpError(
+        409,
+        `Prices now change by up to ${summary.maxChangePercent}% but ${approvedMax ?? 0}% was approved; ` +
+        'the list is back in draft to be re-submitted'
+      );
+    }
+
+    if (changed.length > 0) {
+      const result = await Unit.bulkWrite(
+        changed.map((r) => ({
+          updateOne: {
+            filter: {
+              _id: r.unitId,
+              status: { $in: PRICEABLE_UNIT_STATUSES },
+              currentPrice: r.currentPrice,
+            },
+            update: {
+              $set: {
+                currentPrice: r.newPrice,
+                priceList: priceList._id,
+                priceListVersion: priceList.version,
+              },
+            },
+          },
+        })),
+        { session }
+      );
+      if (result.modifiedCount !== changed.length) {
+        throw httpError(409, 'Inventory changed while publishing; preview the list again and retry');
+      }
+    }
+
+    const unitsById = new Map(units.map((u) => [String(u._id), u]));
+    await recordUnitPriceChanges(
+      changed.map((r) => ({
+        unit: {
+          ...unitsById.get(String(r.unitId)),
+          organization: priceList.organization,
+          project: priceList.project,
+        },
+        previousPrice: r.currentPrice,
+        newPrice: r.newPrice,
+        source: 'price_list',
+        priceList: priceList._id,
+        priceListVersion: priceList.version,
+        approvalRequest: priceList.approvalRequest,
+        components: r.components,
+        reason: `Published price list "${priceList.name}" v${priceList.version}`,
+        changedBy: user._id,
+      })),
+      session
+    );
+
+    await PriceList.updateMany(
+      {
+        project: priceList.project,
+        tower: priceList.tower || null,
+        status: 'published',
+        _id: { $ne: priceList._id },
+      },
+      { $set: { status: 'superseded', supersededBy: priceList._id, supersededAt: asOf } },
+      { session }
+    );
+
+    priceList.status = 'published';
+    priceList.publishedBy = user._id;
+    priceList.publishedAt = asOf;
+    priceList.publishSummary = {
+      unitsRepriced: changed.length,
+      totalBefore: summary.totalBefore,
+      totalAfter: summary.totalAfter,
+      soldPercent,
+    };
+    await priceList.save({ session });
+
+    await session.commitTransaction();
+    return { priceList, summary: { ...summary, unitsRepriced: changed.length } };
+  } catch (err) {
+    await session.abortTransaction();
+    if (exceedsApproval) {
+      priceList.status = 'draft';
+      priceList.approvalRequest = undefined;
+      priceList.approvedBy = undefined;
+      priceList.approvedAt = undefined;
+      await priceList.save();
+    }
+    throw err;
+  } finally {
+    session.endSession();
+  }
+}
+
+export default {
+  computeUnitPrice,
+  buildPricePreview,
+  recordUnitPriceChanges,
+  getUnitPriceHistory,
+  createPriceList,
+  updatePriceList,
+  previewPriceList,
+  submitPriceList,
+  resolvePriceListApproval,
+  publishPriceList,
+};
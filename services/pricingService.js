@@ -5,94 +5,22 @@ import Project from '../models/projectModel.js';
 import Unit from '../models/unitModel.js';
 import Sale from '../models/salesModel.js';
 import mongoose from 'mongoose';
+import { generateCostSheet } from './costSheetService.js';
 
 /**
  * Generates a detailed, line-itemized cost sheet for a specific unit.
  * This is the core function for providing a price breakdown to a customer.
+ * The component/tax/discount rules live in services/costSheetService.js.
  * @param {string} unitId - The ID of the unit to generate the cost sheet for.
  * @param {object} [options] - Optional parameters like discounts.
  * @param {number} [options.discountPercentage=0] - A percentage discount to apply.
+ * @param {number} [options.discountAmount=0] - A flat discount to apply.
+ * @param {string[]} [options.discountSchemes] - Codes of project discount schemes to apply.
+ * @param {string[]} [options.optionalCharges] - Codes of optional charges to include.
+ * @param {Date|string} [options.asOf] - Rebuild the cost sheet as it stood on this date.
  * @returns {Promise<object>} A structured JSON object representing the cost sheet.
  */
-const generateCostSheetForUnit = async (unitId, options = {}) => {
-  const { discountPercentage = 0 } = options;
-
-  const unit = await Unit.findById(unitId);
-  if (!unit) throw new Error('Unit not found');
-
-  const project = await Project.findById(unit.project);
-  if (!project) throw new Error('Project associated with the unit not found');
-
-  // --- Start Calculation ---
-  const breakdown = [];
-  let totalCost = 0;
-
-  // 1. Base Price
-  const basePrice = unit.currentPrice;
-  breakdown.push({ item: 'Base Price', amount: basePrice });
-  totalCost += basePrice;
-
-  // 2. Floor Rise Charges (FIXED: Added optional chaining)
-  const floorRiseCharge = (unit.floor > 0 ? unit.floor : 0) * (project.pricingRules?.floorRiseCharge || 0);
-  if (floorRiseCharge > 0) {
-    breakdown.push({ item: 'Floor Rise Charges', amount: floorRiseCharge });
-    totalCost += floorRiseCharge;
-  }
-
-  // 3. Preferential Location Charges (PLC) (FIXED: Added optional chaining)
-  if (unit.features.isParkFacing && project.pricingRules?.plcCharges?.parkFacing > 0) {
-    const plc = project.pricingRules.plcCharges.parkFacing;
-    breakdown.push({ item: 'PLC (Park Facing)', amount: plc });
-    totalCost += plc;
-  }
-  if (unit.features.isCornerUnit && project.pricingRules?.plcCharges?.cornerUnit > 0) {
-    const plc = project.pricingRules.plcCharges.cornerUnit;
-    breakdown.push({ item: 'PLC (Corner Unit)', amount: plc });
-    totalCost += plc;
-  }
-
-  // 4. Additional Charges from Project
-  if (project.additionalCharges && project.additionalCharges.length > 0) {
-    project.additionalCharges.forEach(charge => {
-        breakdown.push({ item: charge.name, amount: charge.amount });
-        totalCost += charge.amount;
-    });
-  }
-
-  const subTotal = totalCost;
-  breakdown.push({ item: 'Sub-Total', amount: subTotal, isBold: true });
-
-  // 5. Apply Discounts
-  let discountAmount = 0;
-  if (discountPercentage > 0) {
-    discountAmount = (subTotal * discountPercentage) / 100;
-    breakdown.push({ item: `Discount (${discountPercentage}%)`, amount: -discountAmount });
-    totalCost -= discountAmount;
-  }
-  
-  // 6. Calculate GST (FIXED: Added optional chaining)
-  const gstRate = project.pricingRules?.gstRate || 0;
-  const gstAmount = gstRate > 0 ? (totalCost * gstRate) / 100 : 0;
-  if (gstAmount > 0) {
-    breakdown.push({ item: `GST (${gstRate}%)`, amount: gstAmount });
-    totalCost += gstAmount;
-  }
-
-  // --- Final Cost Sheet Object ---
-  return {
-    unitDetails: {
-      unitNumber: unit.unitNumber,
-      areaSqft: unit.areaSqft,
-      floor: unit.floor,
-    },
-    projectDetails: {
-      name: project.name,
-      location: project.location?.city,
-    },
-    costBreakdown: breakdown,
-    finalPayableAmount: totalCost,
-  };
-};
+const generateCostSheetForUnit = async (unitId, options = {}) => generateCostSheet(unitId, options);
 
 /**
  * Recalculates and suggests new pricing for all available units in a project.
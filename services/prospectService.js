@@ -18,16 +18,10 @@ import { reconcileChannelPartnerRecord } from './partnershipService.js';
 import { createNotification, notifyUsersWithPermission } from './notificationService.js';
 import { addLeadScoreUpdateJob } from './backgroundJobService.js';
 import { updateProspectScore } from './prospectScoringService.js';
+import { httpError } from '../utils/httpError.js';
 
 // ─── Internal helpers ──────────────────────────────────────────────────────
 
-// Build a status-aware Error. Controllers set res.status from .statusCode.
-const httpError = (status, message) => {
-  const e = new Error(message);
-  e.statusCode = status;
-  return e;
-};
-
 // Same identity check used by partnerAccessScope. CP Agent is the only CP
 // role that gets narrowed to their own assignedAgent prospects.
 const isCpAgent = (user) =>
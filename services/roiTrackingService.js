@@ -0,0 +1,304 @@
+// File: services/roiTrackingService.js
+// Description: Campaign funnel and ROI. A campaign's funnel is the cohort of
+//   leads attributed to it (created in the period, when one is given):
+//   leads → qualified → visited the site → booked, with the revenue of their
+//   live bookings. Spend is the campaign's spend entries dated in the period.
+//   From those: cost per lead / qualified lead / site visit / booking and ROI.
+//   Feeds the campaign analytics endpoints, budget-vs-actual's marketing
+//   section and the leadership dashboard.
+
+import mongoose from 'mongoose';
+import Campaign from '../models/campaignModel.js';
+import Lead from '../models/leadModel.js';
+import { withOrgWideCampaigns } from './campaignService.js';
+import { httpError } from '../utils/httpError.js';
+
+// A lead counts as qualified once it has reached any of these, even if it was
+// later lost.
+export const QUALIFIED_LEAD_STATUSES = ['Qualified', 'Site Visit Completed', 'Negotiating', 'Booked'];
+
+// Bookings that still count towards revenue.
+const EXCLUDED_SALE_STATUSES = ['Cancelled', 'Pending Approval'];
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Cost per unit of outcome; null when there were no outcomes to spread it over.
+const costPer = (spend, count) => (count > 0 ? round2(spend / count) : null);
+
+const rate = (part, whole) => (whole > 0 ? round2((part / whole) * 100) : 0);
+
+const inRange = (date, from, to) => (!from || date >= from) && (!to || date <= to);
+
+const parseRange = ({ from, to } = {}) => {
+  const range = {};
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (value === undefined || value === null || value === '') continue;
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) throw httpError(400, `${key} must be a date.`);
+    range[key] = date;
+  }
+  if (range.from && range.to && range.from > range.to) throw httpError(400, 'from must be before to.');
+  return range;
+};
+
+/** A campaign's spend dated inside [from, to]. */
+export const spendInRange = (campaign, { from, to } = {}) =>
+  round2((campaign.spendEntries || [])
+    .filter((e) => inRange(new Date(e.date), from, to))
+    .reduce((sum, e) => sum + (e.amount || 0), 0));
+
+/**
+ * Funnel counts per campaign for the leads attributed to them.
+ * @returns {Promise<Map<string, { leads, qualified, siteVisits, bookings, revenue }>>}
+ */
+export const campaignFunnels = async ({ organization, campaignIds, from, to }) => {
+  const match = {
+    organization: new mongoose.Types.ObjectId(String(organization)),
+    campaign: { $in: campaignIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+  };
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lte = to;
+  }
+
+  const rows = await Lead.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'sitevisits',
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$lead', '$$leadId'] }, status: 'completed' } },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: 'visits',
+      },
+    },
+    {
+      $lookup: {
+        from: 'sales',
+        let: { leadId: '$_id' },
+        pipeline: [
+          { $match: { $expr: { $eq: ['$lead', '$$leadId'] }, status: { $nin: EXCLUDED_SALE_STATUSES } } },
+          { $project: { salePrice: 1 } },
+        ],
+        as: 'sales',
+      },
+    },
+    {
+      $group: {
+        _id: '$campaign',
+        leads: { $sum: 1 },
+        qualified: {
+          $sum: {
+            $cond: [
+              {
+                $or: [
+                  { $in: ['$status', QUALIFIED_LEAD_STATUSES] },
+                  { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$statusHistory.status', []] }, QUALIFIED_LEAD_STATUSES] } }, 0] },
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+        siteVisits: { $sum: { $cond: [{ $gt: [{ $size: '$visits' }, 0] }, 1, 0] } },
+        bookings: { $sum: { $size: '$sales' } },
+        revenue: { $sum: { $sum: '$sales.salePrice' } },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((r) => [String(r._id), r]));
+};
+
+/**
+ * One campaign's numbers. Pure.
+ * @returns {Object} funnel counts, spend, unit costs, conversion rates and ROI
+ */
+export const campaignRoiRow = (campaign, funnel = {}, range = {}) => {
+  const leads = funnel.leads || 0;
+  const qualified = funnel.qualified || 0;
+  const siteVisits = funnel.siteVisits || 0;
+  const bookings = funnel.bookings || 0;
+  const revenue = funnel.revenue || 0;
+  const spend = spendInRange(campaign, range);
+  return {
+    campaign: {
+      _id: campaign._id,
+      name: campaign.name,
+      channel: campaign.channel,
+      status: campaign.status,
+      project: campaign.project,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      budget: campaign.budget || 0,
+    },
+    spend,
+    budgetUtilization: rate(campaign.totalSpend ?? spend, campaign.budget),
+    leads,
+    qualified,
+    siteVisits,
+    bookings,
+    revenue,
+    costPerLead: costPer(spend, leads),
+    costPerQualifiedLead: costPer(spend, qualified),
+    costPerSiteVisit: costPer(spend, siteVisits),
+    costPerBooking: costPer(spend, bookings),
+    qualificationRate: rate(qualified, leads),
+    visitRate: rate(siteVisits, leads),
+    bookingRate: rate(bookings, leads),
+    roi: spend > 0 ? round2(((revenue - spend) / spend) * 100) : null,
+  };
+};
+
+const totalsOf = (rows) => {
+  const sum = (key) => rows.reduce((acc, r) => acc + r[key], 0);
+  const spend = round2(sum('spend'));
+  const leads = sum('leads');
+  const qualified = sum('qualified');
+  const siteVisits = sum('siteVisits');
+  const bookings = sum('bookings');
+  const revenue = sum('revenue');
+  return {
+    campaigns: rows.length,
+    budget: rows.reduce((acc, r) => acc + r.campaign.budget, 0),
+    spend,
+    leads,
+    qualified,
+    siteVisits,
+    bookings,
+    revenue,
+    costPerLead: costPer(spend, leads),
+    costPerQualifiedLead: costPer(spend, qualified),
+    costPerSiteVisit: costPer(spend, siteVisits),
+    costPerBooking: costPer(spend, bookings),
+    bookingRate: rate(bookings, leads),
+    roi: spend > 0 ? round2(((revenue - spend) / spend) * 100) : null,
+  };
+};
+
+// ─── Public API ────────────────────────────────────────────────────────────
+
+/**
+ * Funnel and ROI for every campaign the caller can see, with totals and a
+ * per-channel roll-up. Campaigns are those whose flight overlaps the period.
+ *
+ * @param {Object} params
+ * @param {Object} [params.projectFilter] - projectAccessFilter(req); brand campaigns always included
+ * @param {string|Date} [params.from]
+ * @param {string|Date} [params.to]
+ * @returns {Promise<{ campaigns: Object[], totals: Object, byChannel: Object[], range: Object }>}
+ */
+export const getCampaignRoi = async ({ organization, projectFilter = {}, projectId, channel, status, from, to }) => {
+  const range = parseRange({ from, to });
+  const query = { organization, ...withOrgWideCampaigns(projectFilter) };
+  if (projectId) query.project = projectId;
+  if (channel) query.channel = channel;
+  if (status) query.status = status;
+  if (range.to) query.startDate = { $lte: range.to };
+  if (range.from) query.$or = [{ endDate: null }, { endDate: { $gte: range.from } }];
+
+  const campaigns = await Campaign.find(query)
+    .select('name channel status project startDate endDate budget totalSpend spendEntries.date spendEntries.amount')
+    .populate('project', 'name')
+    .lean();
+  if (!campaigns.length) return { campaigns: [], totals: totalsOf([]), byChannel: [], range };
+
+  const funnels = await campaignFunnels({ organization, campaignIds: campaigns.map((c) => c._id), ...range });
+  const rows = campaigns
+    .map((c) => campaignRoiRow(c, funnels.get(String(c._id)), range))
+    .sort((a, b) => b.spend - a.spend);
+
+  const channels = new Map();
+  for (const row of rows) {
+    const key = row.campaign.channel;
+    channels.set(key, [...(channels.get(key) || []), row]);
+  }
+  const byChannel = [...channels.entries()]
+    .map(([name, list]) => ({ channel: name, ...totalsOf(list) }))
+    .sort((a, b) => b.spend - a.spend);
+
+  return {
+    campaigns: rows,
+    totals: totalsOf(rows),
+    byChannel,
+    range,
+  };
+};
+
+/**
+ * One campaign's funnel as ordered stages, plus its ROI row and monthly spend.
+ * @returns {Promise<Object>}
+ */
+export const getCampaignFunnel = async (campaignId, { organization, from, to, verifyAccess }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(campaignId))) throw httpError(400, 'Invalid campaign id.');
+  const range = parseRange({ from, to });
+  const campaign = await Campaign.findOne({ _id: campaignId, organization }).populate('project', 'name').lean();
+  if (!campaign) throw httpError(404, 'Campaign not found.');
+  if (campaign.project) verifyAccess?.(campaign.project._id || campaign.project);
+
+  const funnels = await campaignFunnels({ organization, campaignIds: [campaign._id], ...range });
+  const row = campaignRoiRow(campaign, funnels.get(String(campaign._id)), range);
+
+  const monthly = new Map();
+  for (const e of campaign.spendEntries || []) {
+    const date = new Date(e.date);
+    if (!inRange(date, range.from, range.to)) continue;
+    const month = date.toISOString().slice(0, 7);
+    monthly.set(month, round2((monthly.get(month) || 0) + e.amount));
+  }
+
+  return {
+    ...row,
+    funnel: [
+      { stage: 'leads', count: row.leads, costPer: row.costPerLead },
+      { stage: 'qualified', count: row.qualified, costPer: row.costPerQualifiedLead, rate: row.qualificationRate },
+      { stage: 'site_visits', count: row.siteVisits, costPer: row.costPerSiteVisit, rate: row.visitRate },
+      { stage: 'bookings', count: row.bookings, costPer: row.costPerBooking, rate: row.bookingRate },
+    ],
+    spendByMonth: [...monthly.entries()].sort().map(([month, amount]) => ({ month, amount })),
+    range,
+  };
+};
+
+/**
+ * Marketing roll-up for dashboards: totals, per channel and the best
+ * campaigns by ROI. Never throws — dashboards show what they can.
+ * @param {Object} dateRange - { start, end }
+ * @param {Object} [pf] - { project: { $in: [...] } } scope, as the dashboards build it
+ */
+export const summarizeMarketingRoi = async (organization, dateRange, pf = {}) => {
+  try {
+    const { campaigns, totals, byChannel } = await getCampaignRoi({
+      organization,
+      projectFilter: pf,
+      from: dateRange?.start,
+      to: dateRange?.end,
+    });
+    const topCampaigns = campaigns
+      .filter((c) => c.roi !== null)
+      .sort((a, b) => b.roi - a.roi)
+      .slice(0, 5)
+      .map((c) => ({
+        campaignId: c.campaign._id,
+        name: c.campaign.name,
+        channel: c.campaign.channel,
+        spend: c.spend,
+        leads: c.leads,
+        bookings: c.bookings,
+        revenue: c.revenue,
+        costPerLead: c.costPerLead,
+        roi: c.roi,
+      }));
+    return { ...totals, byChannel, topCampaigns };
+  } catch (error) {
+    console.error('Marketing ROI aggregation error:', error.message);
+    return { campaigns: 0, spend: 0, leads: 0, bookings: 0, revenue: 0, byChannel: [], topCampaigns: [], error: error.message };
+  }
+};
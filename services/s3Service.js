@@ -76,4 +76,25 @@ const getPresignedDownloadUrl = async (s3Key, expiresInSeconds = 3600) => {
   return url;
 };
 
-export { uploadFileToS3, getPresignedDownloadUrl };
+/**
+ * Downloads a file's contents from S3.
+ *
+ * @param {string} s3Key - The S3 object key.
+ * @returns {Promise<Buffer>} The object body.
+ */
+const getFileFromS3 = async (s3Key) => {
+  const command = new GetObjectCommand({
+    Bucket: process.env.S3_BUCKET_NAME,
+    Key: s3Key,
+  });
+
+  try {
+    const response = await s3Client.send(command);
+    return Buffer.from(await response.Body.transformToByteArray());
+  } catch (error) {
+    console.error('Error downloading file from S3:', error);
+    throw new Error('File download failed.');
+  }
+};
+
+export { uploadFileToS3, getPresignedDownloadUrl, getFileFromS3 };
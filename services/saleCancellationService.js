@@ -0,0 +1,197 @@
+// File: services/saleCancellationService.js
+// Description: Cancelling a booking, shared by every path that does it: the
+//   sales controller's cancel, an approved SALE_CANCELLATION and an approved
+//   cancellation settlement (services/cancellationSettlementService.js).
+//
+//   cancelSaleRecord flips the sale, releases the unit and moves the lead out
+//   of Booked (inside the caller's transaction, if any). afterSaleCancelled
+//   then clears what hung off the booking once that is committed; each step
+//   is best-effort so a failed cleanup never undoes the cancellation.
+
+import Unit from '../models/unitModel.js';
+import Lead from '../models/leadModel.js';
+import ChannelPartner from '../models/channelPartnerModel.js';
+import CommissionInvoice from '../models/commissionInvoiceModel.js';
+import CommissionRecord from '../models/commissionRecordModel.js';
+import { createNotification, notifyUsersWithPermission } from './notificationService.js';
+import { cancelSaleLifecycle } from './postSalesService.js';
+import { voidSalesDocumentPack } from './salesDocumentPackService.js';
+import { cancelSaleSignatureRequests } from './signatureService.js';
+import { assertTransition } from '../utils/leadStatusMachine.js';
+
+const OPEN_COMMISSION_INVOICE_STATUSES = ['draft', 'submitted', 'approved'];
+
+/**
+ * Cancel the sale itself: status, reason and who cancelled it, the unit back
+ * on sale and the lead from Booked to Lost (the only way out of Booked; the
+ * team re-engages the buyer through Revived).
+ *
+ * @param {Object} sale - Sale document, not yet cancelled
+ * @param {Object} params
+ * @param {string} params.reason
+ * @param {ObjectId} params.cancelledBy
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<{ sale, cpAttribution: { viaChannelPartner: boolean, partners: Array } }>}
+ *   cpAttribution as it was before cancelling, for afterSaleCancelled
+ */
+export const cancelSaleRecord = async (sale, { reason, cancelledBy, session }) => {
+  const cpAttribution = {
+    viaChannelPartner: sale.channelPartnerAttribution?.viaChannelPartner === true,
+    partners: (sale.channelPartnerAttribution?.partners || []).slice(),
+  };
+
+  sale.status = 'Cancelled';
+  sale.cancellationReason = reason || 'No reason provided';
+  sale.cancelledBy = cancelledBy;
+  sale.cancelledAt = new Date();
+  await sale.save({ session });
+
+  await Unit.findByIdAndUpdate(sale.unit, { status: 'available' }, { session });
+
+  const lead = sale.lead ? await Lead.findById(sale.lead, null, { session }) : null;
+  if (lead?.status === 'Booked') {
+    assertTransition(lead.status, 'Lost');
+    lead.status = 'Lost';
+    lead.statusHistory.push({
+      status: 'Lost',
+      changedAt: new Date(),
+      changedBy: cancelledBy,
+      note: `Booking cancelled: ${sale.cancellationReason}`,
+    });
+    await lead.save({ session });
+  }
+
+  return { sale, cpAttribution };
+};
+
+// Drafts, submitted and approved CP invoices cannot survive a cancelled sale.
+const cancelOpenCommissionInvoices = async (sale, actor) => {
+  const openInvoices = await CommissionInvoice.find({
+    sale: sale._id,
+    status: { $in: OPEN_COMMISSION_INVOICE_STATUSES },
+  });
+  for (const inv of openInvoices) {
+    inv.status = 'cancelled';
+    inv.history.push({
+      at: new Date(),
+      by: actor,
+      byOrg: sale.organization,
+      action: 'cancelled',
+      note: 'Cancelled because the underlying sale was cancelled.',
+    });
+    await inv.save();
+  }
+};
+
+// Records with no paid payout are cancelled; one with a paid payout is left
+// for manual reconciliation and flagged.
+const cancelCommissionRecords = async (sale, actor) => {
+  const records = await CommissionRecord.find({ sale: sale._id });
+  for (const rec of records) {
+    const hasPaid = (rec.payouts || []).some((p) => p.status === 'paid');
+    if (hasPaid) {
+      rec.history.push({
+        by: actor,
+        action: 'sale_cancelled_paid_payout_warning',
+        note: 'Underlying sale was cancelled but a payout was already paid — needs manual reconciliation.',
+      });
+    } else if (rec.status !== 'cancelled') {
+      rec.status = 'cancelled';
+      rec.history.push({
+        by: actor,
+        action: 'cancelled',
+        note: 'Underlying sale was cancelled.',
+      });
+    }
+    await rec.save();
+  }
+};
+
+const notifyChannelPartner = async (sale, { partners, reason, actor }) => {
+  const cpRecordId = partners[0]?.channelPartner;
+  const cpShadow = cpRecordId
+    ? await ChannelPartner.findById(cpRecordId).select('channelPartnerOrg firmName').lean()
+    : null;
+  const cpOrgId = cpShadow?.channelPartnerOrg;
+  if (!cpOrgId) return;
+
+  const agentUserId = partners[0]?.agentUser;
+  const baseProps = {
+    organization: cpOrgId,
+    type: 'sale_cancelled',
+    title: 'Booking cancelled',
+    message: `A CP-attributed sale of ₹${Number(sale.salePrice).toLocaleString('en-IN')} ` +
+             `was cancelled by the developer. ${reason ? `Reason: ${reason}.` : ''} ` +
+             `Any open commission invoices have been cancelled.`,
+    actionUrl: '/partner/prospects',
+    relatedEntity: { type: 'Sale', id: sale._id },
+    priority: 'high',
+    actor,
+  };
+  if (agentUserId) {
+    await createNotification({ ...baseProps, recipient: agentUserId });
+  }
+  await notifyUsersWithPermission({
+    organizationId: cpOrgId,
+    permission: 'cp_commission_invoices:manage',
+    excludeUserIds: agentUserId ? [agentUserId] : [],
+    ...baseProps,
+  });
+};
+
+/**
+ * Clean up after a committed cancellation: cancel the post-sales lifecycle,
+ * void the sales document pack, cancel its open signature requests and, for
+ * a channel partner booking, cancel open commission invoices and
+ * records and tell the partner.
+ *
+ * @param {Object} sale - the cancelled sale
+ * @param {Object} params
+ * @param {string} [params.reason]
+ * @param {ObjectId} params.actor - user the history entries and notices name
+ * @param {Object} params.cpAttribution - from cancelSaleRecord
+ */
+export const afterSaleCancelled = async (sale, { reason, actor, cpAttribution }) => {
+  try {
+    await cancelSaleLifecycle(sale._id, { reason: sale.cancellationReason });
+  } catch (err) {
+    console.warn('[saleCancellation] post-sales workflow cancel failed (non-fatal):', err.message);
+  }
+
+  try {
+    await voidSalesDocumentPack(sale._id);
+  } catch (err) {
+    console.warn('[saleCancellation] document pack void failed (non-fatal):', err.message);
+  }
+
+  try {
+    await cancelSaleSignatureRequests(sale._id);
+  } catch (err) {
+    console.warn('[saleCancellation] signature request cancel failed (non-fatal):', err.message);
+  }
+
+  if (!cpAttribution?.viaChannelPartner) return;
+
+  try {
+    await cancelOpenCommissionInvoices(sale, actor);
+  } catch (err) {
+    console.warn('[saleCancellation] CommissionInvoice cleanup failed (non-fatal):', err.message);
+  }
+
+  try {
+    await cancelCommissionRecords(sale, actor);
+  } catch (err) {
+    console.warn('[saleCancellation] CommissionRecord cleanup failed (non-fatal):', err.message);
+  }
+
+  try {
+    await notifyChannelPartner(sale, { partners: cpAttribution.partners, reason, actor });
+  } catch (err) {
+    console.warn('[saleCancellation] sale_cancelled notify failed (non-fatal):', err.message);
+  }
+};
+
+export default {
+  cancelSaleRecord,
+  afterSaleCancelled,
+};
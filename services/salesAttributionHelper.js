@@ -32,12 +32,7 @@
 import mongoose from 'mongoose';
 import ChannelPartner from '../models/channelPartnerModel.js';
 import Partnership from '../models/partnershipModel.js';
-
-const httpError = (status, message) => {
-  const err = new Error(message);
-  err.statusCode = status;
-  return err;
-};
+import { httpError } from '../utils/httpError.js';
 
 /**
  * Build the channelPartnerAttribution sub-document for a new Sale.
@@ -0,0 +1,502 @@
+// File: services/salesDocumentPackService.js
+// Description: The booking document pack. When a booking is approved the
+//   booking acknowledgement, cost sheet, payment schedule, allotment letter
+//   and agreement-for-sale draft are generated together from the sale (its
+//   cost sheet, payment plan and installments), stored as File records on the
+//   Sale and tracked as a SalesDocumentPack:
+//
+//   - each document uses the organization's active DocumentTemplate for it
+//     (DocumentTemplate.salesPackDocument) or the built-in template;
+//   - documents are emailed to the buyer as attachments, or marked as handed
+//     over another way; either records them as sent;
+//   - a document is marked signed when the buyer's signed copy comes back.
+//     A signed allotment letter also fills in the allotment stage's checklist
+//     on the sale's post-sales workflow.
+//
+//   Regenerating a document stores a new version of the same File. Signed
+//   documents are never regenerated; cancelling the sale voids the pack.
+
+import mongoose from 'mongoose';
+import SalesDocumentPack, {
+  SALES_PACK_DOCUMENTS,
+  SALES_PACK_DOCUMENT_KEYS,
+  PACK_SEND_CHANNELS,
+} from '../models/salesDocumentPackModel.js';
+import DocumentTemplate from '../models/documentTemplateModel.js';
+import DocumentCategory from '../models/documentCategoryModel.js';
+import File from '../models/fileModel.js';
+import Sale from '../models/salesModel.js';
+import Lead from '../models/leadModel.js';
+import Organization from '../models/organizationModel.js';
+import SaleLifecycle from '../models/saleLifecycleModel.js';
+import SignatureRequest from '../models/signatureRequestModel.js';
+import { uploadFileToS3, getFileFromS3, getPresignedDownloadUrl } from './s3Service.js';
+import { getTemplateSource } from './documentGenerationService.js';
+import { renderDocument } from './documents/renderDocument.js';
+import { loadTemplateData } from './documents/templateData.js';
+import { SALES_PACK_TEMPLATES, SALES_PACK_CONFIGURATION } from './documents/salesPackTemplates.js';
+import { updateStageDocument } from './postSalesService.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+const PACK_SALE_STATUSES = ['Booked', 'Agreement Signed', 'Registered', 'Completed'];
+const SALES_DOCUMENTS_CATEGORY = 'Sales Documents';
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const optionalDate = (value, label) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw httpError(400, `${label} must be a date.`);
+  return d;
+};
+
+const definitionFor = (key) => {
+  const definition = SALES_PACK_DOCUMENTS.find((d) => d.key === key);
+  if (!definition) {
+    throw httpError(400, `Unknown pack document "${key}". Expected one of: ${SALES_PACK_DOCUMENT_KEYS.join(', ')}.`);
+  }
+  return definition;
+};
+
+const selectKeys = (keys) => {
+  if (keys === undefined || keys === null) return SALES_PACK_DOCUMENT_KEYS;
+  if (!Array.isArray(keys) || keys.length === 0) throw httpError(400, 'keys must be a non-empty array.');
+  keys.forEach(definitionFor);
+  // Keep pack order
+  return SALES_PACK_DOCUMENT_KEYS.filter((key) => keys.includes(key));
+};
+
+const loadPack = async (saleId, organization, verifyAccess) => {
+  assertObjectId(saleId, 'sale');
+  const pack = await SalesDocumentPack.findOne({ sale: saleId, organization });
+  if (!pack) throw httpError(404, 'No document pack has been generated for this sale.');
+  verifyAccess?.(pack.project);
+  return pack;
+};
+
+const findPackDocument = (pack, key) => {
+  definitionFor(key);
+  const doc = pack.documents.find((d) => d.key === key);
+  if (!doc) throw httpError(404, `The pack has no ${key.replace(/_/g, ' ')}.`);
+  return doc;
+};
+
+const assertActive = (pack) => {
+  if (pack.status === 'void') throw httpError(409, 'The sale was cancelled; its document pack is void.');
+};
+
+// Where generated pack files are filed, created on first use.
+const salesDocumentsCategory = async (organization, user) => {
+  const existing = await DocumentCategory.findOne({ organization, name: SALES_DOCUMENTS_CATEGORY });
+  if (existing) return existing._id;
+  const category = await DocumentCategory.create({
+    organization,
+    name: SALES_DOCUMENTS_CATEGORY,
+    description: 'Booking acknowledgements, cost sheets, schedules, allotment letters and agreements generated for sales',
+    type: 'Customer',
+    createdBy: user._id,
+  });
+  return category._id;
+};
+
+// The organization's template for a pack document, else the built-in one.
+const resolvePackTemplate = async (organization, key) => {
+  const template = await DocumentTemplate.findOne({
+    organization,
+    salesPackDocument: key,
+    isActive: true,
+  }).populate('templateFile');
+
+  const source = template ? await getTemplateSource(template) : null;
+  if (template && source !== null) {
+    return {
+      template,
+      source,
+      configuration: template.configuration,
+    };
+  }
+  return { template: null, source: SALES_PACK_TEMPLATES[key], configuration: SALES_PACK_CONFIGURATION };
+};
+
+/**
+ * Render one pack document and store it: a new File, or a new version of the
+ * document's existing File.
+ */
+const generatePackDocument = async ({ pack, definition, data, user, categoryId, now }) => {
+  const startTime = Date.now();
+  const { template, source, configuration } = await resolvePackTemplate(pack.organization, definition.key);
+  const rendered = await renderDocument({
+    source,
+    engine: configuration.engine,
+    data,
+    outputFormat: configuration.outputFormat,
+    pageSettings: configuration.pageSettings,
+    headerFooter: configuration.headerFooter,
+    title: `${definition.label} — ${data.buyer?.name || ''}`.trim(),
+  });
+
+  const fileName = `${definition.key}-${data.sale.reference}.${rendered.extension}`;
+  const { url, s3Key } = await uploadFileToS3({
+    buffer: rendered.buffer,
+    originalname: fileName,
+    mimetype: rendered.mimeType,
+  }, `generated-documents/sales/${pack.sale}`);
+  const fileData = {
+    originalName: fileName,
+    fileName,
+    mimeType: rendered.mimeType,
+    size: rendered.buffer.length,
+    url,
+    s3Key,
+  };
+
+  const existing = pack.documents.find((d) => d.key === definition.key);
+  let file = existing?.file ? await File.findOne({ _id: existing.file, organization: pack.organization }) : null;
+  if (file) {
+    file.createNewVersion(fileData, user, 'Regenerated from the sale');
+    file.fileExtension = rendered.extension;
+    await file.save();
+  } else {
+    file = await File.create({
+      ...fileData,
+      organization: pack.organization,
+      uploadedBy: user._id,
+      category: template?.category || categoryId,
+      associatedResource: pack.sale,
+      resourceType: 'Sale',
+      fileExtension: rendered.extension,
+      title: definition.label,
+      description: `${definition.label} generated for booking ${data.sale.reference}`,
+      tags: ['generated', 'sales-pack', definition.key.replace(/_/g, '-')],
+      accessLevel: 'organization',
+      customFields: new Map([
+        ['salesPackDocument', definition.key],
+        ['templateId', template ? String(template._id) : 'built-in'],
+      ]),
+      approvalStatus: 'not_required',
+    });
+  }
+
+  const fields = {
+    key: definition.key,
+    label: definition.label,
+    requiresSignature: definition.requiresSignature,
+    status: 'generated',
+    file: file._id,
+    template: template?._id || null,
+    templateVersion: template?.version ?? null,
+    generatedAt: now,
+    generatedBy: user._id,
+    error: undefined,
+    sentAt: undefined,
+    sentVia: null,
+    sentTo: undefined,
+    sentBy: null,
+  };
+  if (existing) Object.assign(existing, fields);
+  else pack.documents.push(fields);
+
+  if (template) await template.incrementUsage(Date.now() - startTime).catch(() => {});
+};
+
+const recordFailure = (pack, definition, error, now) => {
+  const existing = pack.documents.find((d) => d.key === definition.key);
+  const fields = { error: error.message, generatedAt: now };
+  if (existing) {
+    // A document that was generated before keeps its last good file
+    Object.assign(existing, existing.file ? fields : { ...fields, status: 'failed' });
+  } else {
+    pack.documents.push({
+      key: definition.key,
+      label: definition.label,
+      requiresSignature: definition.requiresSignature,
+      status: 'failed',
+      ...fields,
+    });
+  }
+};
+
+/**
+ * Where the pack stands as a whole.
+ * @returns {{ generated, failed, sent, signed, awaitingSignature, complete }}
+ */
+export const summarizePack = (pack) => {
+  const docs = pack.documents || [];
+  const count = (fn) => docs.filter(fn).length;
+  const awaitingSignature = docs
+    .filter((d) => d.requiresSignature && d.status !== 'signed' && d.status !== 'failed')
+    .map((d) => d.key);
+  return {
+    generated: count((d) => d.status !== 'failed'),
+    failed: count((d) => d.status === 'failed'),
+    sent: count((d) => d.status === 'sent' || d.status === 'signed'),
+    signed: count((d) => d.status === 'signed'),
+    awaitingSignature,
+    complete: docs.length === SALES_PACK_DOCUMENT_KEYS.length &&
+      docs.every((d) => d.status !== 'failed') &&
+      awaitingSignature.length === 0,
+  };
+};
+
+// ─── Generation ────────────────────────────────────────────────────────────
+
+/**
+ * Generate the sale's document pack, or the given documents of it. Documents
+ * already generated are left alone unless `regenerate` is set; failed ones
+ * are always retried. A document that fails to render doesn't stop the rest.
+ * @returns {Promise<Object>} the SalesDocumentPack
+ * @throws 409 when the sale isn't booked, the pack is void, or a signed
+ *   document is asked to be regenerated
+ */
+export const generateSalesDocumentPack = async ({
+  organization,
+  saleId,
+  user,
+  keys,
+  regenerate = false,
+  verifyAccess,
+  now = new Date(),
+}) => {
+  assertObjectId(saleId, 'sale');
+  const wanted = selectKeys(keys);
+  const sale = await Sale.findOne({ _id: saleId, organization }).select('project lead status');
+  if (!sale) throw httpError(404, 'Sale not found.');
+  verifyAccess?.(sale.project);
+  if (!PACK_SALE_STATUSES.includes(sale.status)) {
+    throw httpError(409, `Documents cannot be generated for a ${sale.status} sale.`);
+  }
+
+  let pack = await SalesDocumentPack.findOne({ sale: sale._id, organization });
+  if (pack) {
+    assertActive(pack);
+  } else {
+    pack = new SalesDocumentPack({ organization, project: sale.project, sale: sale._id, lead: sale.lead, documents: [] });
+  }
+
+  const targets = wanted.filter((key) => {
+    const existing = pack.documents.find((d) => d.key === key);
+    if (!existing || existing.status === 'failed') return true;
+    if (!regenerate) return false;
+    if (existing.status === 'signed') {
+      throw httpError(409, `The ${existing.label.toLowerCase()} is already signed and cannot be regenerated.`);
+    }
+    return true;
+  });
+  if (targets.length === 0) return pack;
+
+  // Signers sign the bytes they were sent; don't swap the file under them
+  const outForSignature = pack.documents.filter((d) => targets.includes(d.key) && d.file);
+  if (outForSignature.length && await SignatureRequest.exists({ file: { $in: outForSignature.map((d) => d.file) }, status: 'pending' })) {
+    throw httpError(409, 'A document being regenerated is out for signature; cancel that request first.');
+  }
+
+  const data = await loadTemplateData({ organization, resourceType: 'Sale', resourceId: sale._id, now });
+  const categoryId = await salesDocumentsCategory(organization, user);
+
+  for (const key of targets) {
+    const definition = definitionFor(key);
+    try {
+      await generatePackDocument({ pack, definition, data, user, categoryId, now });
+    } catch (err) {
+      console.error(`[SalesDocumentPack] ${key} for sale ${sale._id} failed:`, err.message);
+      recordFailure(pack, definition, err, now);
+    }
+  }
+  // Keep pack order regardless of what was (re)generated
+  pack.documents.sort((a, b) => SALES_PACK_DOCUMENT_KEYS.indexOf(a.key) - SALES_PACK_DOCUMENT_KEYS.indexOf(b.key));
+  return pack.save();
+};
+
+/**
+ * Generate the pack for a booking that was just approved. Best-effort: a
+ * failure is logged, and the pack can be generated from the sale later.
+ */
+export const generatePackForBooking = async ({ organization, saleId, user }) => {
+  try {
+    return await generateSalesDocumentPack({ organization, saleId, user });
+  } catch (err) {
+    console.warn(`[SalesDocumentPack] pack for sale ${saleId} not generated:`, err.message);
+    return null;
+  }
+};
+
+// ─── Reading ───────────────────────────────────────────────────────────────
+
+/**
+ * The sale's pack with its files and a summary.
+ * @returns {Promise<Object>} pack (lean) with `summary`
+ */
+export const getSalesDocumentPack = async (saleId, { organization, verifyAccess }) => {
+  assertObjectId(saleId, 'sale');
+  const pack = await SalesDocumentPack.findOne({ sale: saleId, organization })
+    .populate('documents.file', 'title originalName mimeType size version createdAt updatedAt')
+    .populate('documents.signedFile', 'title originalName mimeType size createdAt')
+    .populate('documents.sentBy', 'firstName lastName')
+    .populate('documents.signedRecordedBy', 'firstName lastName')
+    .lean();
+  if (!pack) throw httpError(404, 'No document pack has been generated for this sale.');
+  verifyAccess?.(pack.project);
+  return { ...pack, summary: summarizePack(pack) };
+};
+
+/**
+ * A time-limited download link for a pack document (or its signed copy).
+ * @returns {Promise<{ url: string, fileName: string }>}
+ */
+export const getPackDocumentDownload = async (saleId, key, { organization, signed = false, verifyAccess }) => {
+  const pack = await loadPack(saleId, organization, verifyAccess);
+  const doc = findPackDocument(pack, key);
+  const fileId = signed ? doc.signedFile : doc.file;
+  if (!fileId) {
+    throw httpError(404, signed ? `No signed copy of the ${doc.label.toLowerCase()} has been recorded.` : `The ${doc.label.toLowerCase()} has not been generated.`);
+  }
+  const file = await File.findOne({ _id: fileId, organization }).select('s3Key originalName');
+  if (!file) throw httpError(404, 'File not found.');
+  return { url: await getPresignedDownloadUrl(file.s3Key), fileName: file.originalName };
+};
+
+// ─── Sending and signing ───────────────────────────────────────────────────
+
+const packEmail = ({ buyerName, organizationName, documents, message }) => {
+  const list = documents.map((d) => `<li>${d.label}</li>`).join('');
+  const note = message ? `<p>${String(message).replace(/</g, '&lt;')}</p>` : '';
+  return {
+    subject: `Your booking documents from ${organizationName}`,
+    html: `<p>Dear ${buyerName || 'Customer'},</p>${note}<p>Please find attached:</p><ul>${list}</ul>` +
+      '<p>Kindly review them, sign where indicated and return the signed copies to us.</p>' +
+      `<p>Regards,<br>${organizationName}</p>`,
+    text: `Dear ${buyerName || 'Customer'},\n\n${message ? `${message}\n\n` : ''}Please find attached: ` +
+      `${documents.map((d) => d.label).join(', ')}.\n\nKindly review them, sign where indicated and return the signed copies to us.\n\nRegards,\n${organizationName}`,
+  };
+};
+
+/**
+ * Email pack documents to the buyer as attachments and mark them sent.
+ * Defaults to every generated document not yet signed.
+ * @returns {Promise<{ pack: Object, sentTo: string, sent: string[] }>}
+ * @throws 400 when there's no address to send to; 409 when nothing is sendable
+ */
+export const sendSalesDocuments = async (saleId, { organization, keys, to, message, user, verifyAccess, now = new Date() }) => {
+  const pack = await loadPack(saleId, organization, verifyAccess);
+  assertActive(pack);
+  const wanted = selectKeys(keys);
+  const documents = pack.documents.filter((d) => wanted.includes(d.key) && d.file && d.status !== 'signed');
+  if (documents.length === 0) throw httpError(409, 'There are no generated, unsigned documents to send.');
+
+  const lead = await Lead.findOne({ _id: pack.lead, organization }).select('firstName lastName email');
+  const recipient = (to || lead?.email || '').trim();
+  if (!recipient) throw httpError(400, "The buyer has no email address; give one to send to.");
+
+  const files = await File.find({ _id: { $in: documents.map((d) => d.file) }, organization }).select('s3Key originalName mimeType');
+  const attachments = await Promise.all(documents.map(async (d) => {
+    const file = files.find((f) => String(f._id) === String(d.file));
+    if (!file) throw httpError(404, `The ${d.label.toLowerCase()} file is missing.`);
+    return { filename: file.originalName, content: await getFileFromS3(file.s3Key), contentType: file.mimeType };
+  }));
+
+  const org = await Organization.findById(organization).select('name').lean();
+  await sendEmail({
+    to: recipient,
+    ...packEmail({
+      buyerName: lead ? `${lead.firstName || ''} ${lead.lastName || ''}`.trim() : '',
+      organizationName: org?.name || 'our team',
+      documents,
+      message,
+    }),
+    attachments,
+  });
+
+  for (const d of documents) {
+    Object.assign(d, { status: 'sent', sentAt: now, sentVia: 'email', sentTo: recipient, sentBy: user._id });
+  }
+  await pack.save();
+  return { pack, sentTo: recipient, sent: documents.map((d) => d.key) };
+};
+
+/**
+ * Record a pack document as sent by other means, or as signed by the buyer.
+ *   { status: 'sent', sentVia, sentTo?, sentAt?, note? }
+ *   { status: 'signed', signedAt?, signedFileId?, note? }
+ * signedFileId is a File already uploaded on this sale.
+ * @returns {Promise<Object>} the SalesDocumentPack
+ */
+export const updatePackDocument = async (saleId, key, { organization, fields = {}, user, verifyAccess, now = new Date() }) => {
+  const pack = await loadPack(saleId, organization, verifyAccess);
+  assertActive(pack);
+  const doc = findPackDocument(pack, key);
+  if (doc.status === 'failed' || !doc.file) {
+    throw httpError(409, `The ${doc.label.toLowerCase()} has not been generated yet.`);
+  }
+  if (fields.note !== undefined) doc.note = fields.note;
+
+  if (fields.status === 'sent') {
+    if (doc.status === 'signed') throw httpError(409, `The ${doc.label.toLowerCase()} is already signed.`);
+    if (!PACK_SEND_CHANNELS.includes(fields.sentVia)) {
+      throw httpError(400, `sentVia must be one of: ${PACK_SEND_CHANNELS.join(', ')}.`);
+    }
+    Object.assign(doc, {
+      status: 'sent',
+      sentVia: fields.sentVia,
+      sentTo: fields.sentTo,
+      sentAt: optionalDate(fields.sentAt, 'sentAt') || now,
+      sentBy: user._id,
+    });
+  } else if (fields.status === 'signed') {
+    let signedFile = null;
+    if (fields.signedFileId) {
+      assertObjectId(fields.signedFileId, 'signed file');
+      signedFile = await File.findOne({ _id: fields.signedFileId, organization, associatedResource: pack.sale });
+      if (!signedFile) throw httpError(400, 'The signed copy must be a document uploaded on this sale.');
+    }
+    Object.assign(doc, {
+      status: 'signed',
+      // Signing implies it reached the buyer
+      sentAt: doc.sentAt || now,
+      sentVia: doc.sentVia || 'in_person',
+      signedAt: optionalDate(fields.signedAt, 'signedAt') || now,
+      signedFile: signedFile?._id || null,
+      signedRecordedBy: user._id,
+    });
+    await pack.save();
+    await recordOnLifecycle(pack, doc, { organization, user });
+    return pack;
+  } else if (fields.status !== undefined) {
+    throw httpError(400, "status must be 'sent' or 'signed'.");
+  }
+
+  return pack.save();
+};
+
+// A signed copy fills in the matching post-sales checklist entry, if the
+// stage is still open. Best-effort: the checklist can be updated by hand.
+const recordOnLifecycle = async (pack, doc, { organization, user }) => {
+  const target = SALES_PACK_DOCUMENTS.find((d) => d.key === doc.key)?.lifecycleDocument;
+  if (!target || !doc.signedFile) return;
+  try {
+    const lifecycle = await SaleLifecycle.findOne({ sale: pack.sale, organization, status: 'active' }).select('_id stages.key stages.status');
+    const stage = lifecycle?.stages.find((s) => s.key === target.stage);
+    if (!stage || stage.status === 'completed') return;
+    await updateStageDocument(lifecycle._id, target.stage, target.key, {
+      organization,
+      fields: { fileId: doc.signedFile },
+      user,
+    });
+  } catch (err) {
+    console.warn(`[SalesDocumentPack] could not update the post-sales checklist for sale ${pack.sale}:`, err.message);
+  }
+};
+
+/**
+ * Void a cancelled sale's pack. No-op when the sale has none.
+ */
+export const voidSalesDocumentPack = async (saleId, { now = new Date() } = {}) => {
+  await SalesDocumentPack.updateOne(
+    { sale: saleId, status: 'active' },
+    { $set: { status: 'void', voidedAt: now } }
+  );
+};
@@ -0,0 +1,482 @@
+// File: services/scoringModelService.js
+// Description: Versioned lead scoring models. A version is the weight + rule
+//   table leadScoringService applies (models/scoringConfigModel.js). Versions
+//   are written by hand or trained — each factor's weight fitted from how well
+//   it separated the organization's Booked leads from its Lost ones — then
+//   back-tested against closed leads and activated. Also explains a lead's
+//   score factor by factor.
+//
+//   Closed leads are scored as they stood when they closed (engagement in the
+//   30 days before, age at that point), not as they are today.
+
+import Lead from '../models/leadModel.js';
+import ScoringConfig from '../models/scoringConfigModel.js';
+import {
+  calculateLeadScore,
+  getActiveScoringConfig,
+  getScoreGrade,
+  DEFAULT_SCORING_CONFIG,
+  SCORING_FACTORS,
+} from './leadScoringService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OUTCOME_STATUSES = ['Booked', 'Lost'];
+
+// Training needs at least this many Booked and this many Lost leads.
+export const MIN_OUTCOMES_PER_CLASS = 10;
+
+// Newest closed leads scored per training run or back-test.
+export const OUTCOME_SAMPLE_LIMIT = 1000;
+
+// Fitted weights are blended with the base version's, trusting the fit more
+// as the sample grows: blend = n / (n + PRIOR_STRENGTH).
+export const PRIOR_STRENGTH = 100;
+
+const DEFAULT_LOOKBACK_DAYS = 365;
+
+const FACTOR_LABELS = {
+  budgetAlignment: 'Budget alignment',
+  engagementLevel: 'Engagement',
+  timelineUrgency: 'Purchase timeline',
+  sourceQuality: 'Lead source',
+  recencyFactor: 'Lead age',
+};
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+const parseRange = ({ from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_LOOKBACK_DAYS * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) throw httpError(400, 'from and to must be dates.');
+  if (start > end) throw httpError(400, 'from cannot be after to.');
+  return { from: start, to: end };
+};
+
+const cloneFactors = (factors) => JSON.parse(JSON.stringify(factors));
+
+/**
+ * Merge a partial factor table ({ timelineUrgency: { weight: 0.3 } }) onto a
+ * base one and check the result: known factors and rules only, weights
+ * between 0 and 1 that add up to 1, rule scores between 0 and 100.
+ */
+const mergeFactors = (base, changes = {}) => {
+  if (typeof changes !== 'object' || Array.isArray(changes)) throw httpError(400, 'factors must be an object.');
+  const merged = cloneFactors(base);
+  for (const [factor, change] of Object.entries(changes)) {
+    if (!SCORING_FACTORS.includes(factor)) {
+      throw httpError(400, `Unknown scoring factor "${factor}". Factors: ${SCORING_FACTORS.join(', ')}.`);
+    }
+    if (change.weight !== undefined) {
+      const weight = Number(change.weight);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 1) throw httpError(400, `${factor}.weight must be between 0 and 1.`);
+      merged[factor].weight = weight;
+    }
+    for (const [rule, value] of Object.entries(change.rules || {})) {
+      if (!(rule in DEFAULT_SCORING_CONFIG[factor].rules)) {
+        throw httpError(400, `Unknown rule "${rule}" for ${factor}.`);
+      }
+      const score = Number(value);
+      if (!Number.isFinite(score) || score < 0 || score > 100) throw httpError(400, `${factor}.rules.${rule} must be between 0 and 100.`);
+      merged[factor].rules[rule] = score;
+    }
+  }
+  const total = SCORING_FACTORS.reduce((sum, f) => sum + merged[f].weight, 0);
+  if (Math.abs(total - 1) > 0.001) throw httpError(400, `Factor weights must add up to 1 (they add up to ${round(total, 4)}).`);
+  return merged;
+};
+
+const parseVersion = (version) => {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 0) throw httpError(400, 'Invalid scoring model version.');
+  return n;
+};
+
+// The built-in default, shaped like a ScoringConfig document.
+const defaultVersion = () => ({
+  version: 0,
+  name: 'Built-in default',
+  status: 'default',
+  origin: 'manual',
+  factors: DEFAULT_SCORING_CONFIG,
+});
+
+const loadVersion = async (organization, version) => {
+  const config = await ScoringConfig.findOne({ organization, version });
+  if (!config) throw httpError(404, `Scoring model version ${version} not found.`);
+  return config;
+};
+
+// Factors of a version, 0 = built-in default.
+const factorsOf = async (organization, version) =>
+  (version === 0 ? DEFAULT_SCORING_CONFIG : (await loadVersion(organization, version)).factors);
+
+const nextVersion = async (organization) => {
+  const latest = await ScoringConfig.findOne({ organization }).sort({ version: -1 }).select('version').lean();
+  return (latest?.version || 0) + 1;
+};
+
+// When a lead reached Booked / Lost: the latest such status change, else its
+// last update.
+const closedAt = (lead) => {
+  const change = [...(lead.statusHistory || [])].reverse().find((h) => h.status === lead.status);
+  return new Date(change?.changedAt || lead.updatedAt || lead.createdAt);
+};
+
+/** The organization's newest Booked / Lost leads that closed in the range. */
+const closedLeads = async (organization, { from, to }) => {
+  const inRange = { $gte: from, $lte: to };
+  return Lead.find({
+    organization,
+    status: { $in: OUTCOME_STATUSES },
+    $or: [
+      { statusHistory: { $elemMatch: { status: { $in: OUTCOME_STATUSES }, changedAt: inRange } } },
+      { 'statusHistory.status': { $nin: OUTCOME_STATUSES }, updatedAt: inRange },
+    ],
+  })
+    .select('organization project status statusHistory source budget requirements createdAt updatedAt')
+    .sort({ updatedAt: -1 })
+    .limit(OUTCOME_SAMPLE_LIMIT)
+    .lean();
+};
+
+/**
+ * Score closed leads under a factor table, as of when each closed.
+ * @returns {Promise<Array<{ booked: boolean, total: number, raw: Object }>>}
+ */
+const scoreOutcomes = async (leads, factors) => {
+  const samples = [];
+  for (const lead of leads) {
+    const result = await calculateLeadScore(lead, cloneFactors(factors), { asOf: closedAt(lead) });
+    if (result.error) continue;
+    samples.push({
+      booked: lead.status === 'Booked',
+      total: result.totalScore,
+      raw: Object.fromEntries(SCORING_FACTORS.map((f) => [f, result.breakdown[f]?.rawScore ?? 0])),
+    });
+  }
+  return samples;
+};
+
+// Re-weight scored samples without re-scoring: raw factor scores depend only
+// on the rules, so a weights-only change just recombines them.
+const reweight = (samples, factors) =>
+  samples.map((s) => ({ ...s, total: round(SCORING_FACTORS.reduce((sum, f) => sum + s.raw[f] * factors[f].weight, 0)) }));
+
+const sameRules = (a, b) => SCORING_FACTORS.every((f) => JSON.stringify(a[f].rules) === JSON.stringify(b[f].rules));
+
+/**
+ * Chance that a random Booked lead out-scores a random Lost one (ties count
+ * half) — the area under the ROC curve. null without both outcomes.
+ */
+export const rankAuc = (samples, scoreOf = (s) => s.total) => {
+  const booked = samples.filter((s) => s.booked).length;
+  const lost = samples.length - booked;
+  if (!booked || !lost) return null;
+
+  const sorted = [...samples].sort((a, b) => scoreOf(a) - scoreOf(b));
+  let rankSumBooked = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && scoreOf(sorted[j + 1]) === scoreOf(sorted[i])) j++;
+    const averageRank = (i + j + 2) / 2;
+    for (let k = i; k <= j; k++) if (sorted[k].booked) rankSumBooked += averageRank;
+    i = j + 1;
+  }
+  return round((rankSumBooked - (booked * (booked + 1)) / 2) / (booked * lost), 4);
+};
+
+/**
+ * Fit factor weights from scored outcomes. Each factor's fitted weight is its
+ * share of the signal (AUC above 0.5) across all factors; factors that don't
+ * favour Booked leads get none. The fit is blended with the base weights by
+ * sample size so a small history nudges rather than replaces them.
+ * @returns {{ factors: Object, factorStats: Array, blend: number }}
+ * @throws 400 when no factor separates Booked from Lost leads
+ */
+export const fitWeights = (samples, baseFactors) => {
+  const mean = (rows, f) => (rows.length ? round(rows.reduce((sum, s) => sum + s.raw[f], 0) / rows.length) : null);
+  const booked = samples.filter((s) => s.booked);
+  const lost = samples.filter((s) => !s.booked);
+
+  const factorStats = SCORING_FACTORS.map((factor) => {
+    const auc = rankAuc(samples, (s) => s.raw[factor]);
+    return { factor, bookedMean: mean(booked, factor), lostMean: mean(lost, factor), auc, signal: Math.max(0, (auc ?? 0.5) - 0.5) };
+  });
+  const totalSignal = factorStats.reduce((sum, s) => sum + s.signal, 0);
+  if (!totalSignal) throw httpError(400, 'None of the scoring factors separates Booked from Lost leads in this period.');
+
+  const blend = round(samples.length / (samples.length + PRIOR_STRENGTH), 4);
+  const factors = cloneFactors(baseFactors);
+  for (const stat of factorStats) {
+    stat.fittedWeight = round(stat.signal / totalSignal, 4);
+    factors[stat.factor].weight = round(blend * stat.fittedWeight + (1 - blend) * baseFactors[stat.factor].weight, 4);
+    delete stat.signal;
+  }
+  // Absorb rounding in the heaviest factor so the weights add up to exactly 1.
+  const drift = round(1 - SCORING_FACTORS.reduce((sum, f) => sum + factors[f].weight, 0), 4);
+  const heaviest = SCORING_FACTORS.reduce((a, b) => (factors[b].weight > factors[a].weight ? b : a));
+  factors[heaviest].weight = round(factors[heaviest].weight + drift, 4);
+
+  return { factors, factorStats, blend };
+};
+
+/** AUC, average scores and booking rate per grade for scored outcomes. */
+const summarizeBacktest = (samples) => {
+  const average = (rows) => (rows.length ? round(rows.reduce((sum, s) => sum + s.total, 0) / rows.length) : null);
+  const grades = new Map();
+  for (const s of samples) {
+    const grade = getScoreGrade(s.total);
+    const band = grades.get(grade) || { grade, leads: 0, booked: 0 };
+    band.leads += 1;
+    if (s.booked) band.booked += 1;
+    grades.set(grade, band);
+  }
+  const order = ['A+', 'A', 'B+', 'B', 'C+', 'C', 'D'];
+  return {
+    sampleSize: samples.length,
+    booked: samples.filter((s) => s.booked).length,
+    lost: samples.filter((s) => !s.booked).length,
+    auc: rankAuc(samples),
+    averageScoreBooked: average(samples.filter((s) => s.booked)),
+    averageScoreLost: average(samples.filter((s) => !s.booked)),
+    byGrade: order
+      .filter((g) => grades.has(g))
+      .map((g) => ({ ...grades.get(g), bookingRate: round((grades.get(g).booked / grades.get(g).leads) * 100) })),
+  };
+};
+
+// ─── Versions ──────────────────────────────────────────────────────────────
+
+/**
+ * Every version, newest first, plus which one is scoring leads now.
+ * @returns {Promise<{ activeVersion: number, versions: Array }>}
+ */
+export const listScoringConfigs = async ({ organization }) => {
+  const versions = await ScoringConfig.find({ organization })
+    .sort({ version: -1 })
+    .select('-training.factorStats')
+    .populate('createdBy activatedBy', 'firstName lastName')
+    .lean();
+  const active = versions.find((v) => v.status === 'active');
+  return { activeVersion: active?.version ?? 0, versions: [...versions, defaultVersion()] };
+};
+
+/** One version; 0 is the built-in default. */
+export const getScoringConfigVersion = async ({ organization, version }) => {
+  const n = parseVersion(version);
+  if (n === 0) return defaultVersion();
+  return loadVersion(organization, n);
+};
+
+/**
+ * A new draft version: the base version's factors (default: the active one)
+ * with the given changes applied.
+ * @param {Object} [params.factors] partial factor table, e.g. { sourceQuality: { weight: 0.15 } }
+ * @returns {Promise<Object>} the ScoringConfig
+ */
+export const createScoringConfig = async ({ organization, user, factors, basedOnVersion, name, notes }) => {
+  const base = basedOnVersion !== undefined && basedOnVersion !== null
+    ? { version: parseVersion(basedOnVersion), config: await factorsOf(organization, parseVersion(basedOnVersion)) }
+    : await getActiveScoringConfig(organization);
+  return ScoringConfig.create({
+    organization,
+    version: await nextVersion(organization),
+    name,
+    notes,
+    origin: 'manual',
+    basedOnVersion: base.version,
+    factors: mergeFactors(base.config, factors),
+    createdBy: user._id,
+  });
+};
+
+/**
+ * Edit a draft. Changing its factors clears its back-test.
+ * @returns {Promise<Object>} the ScoringConfig
+ * @throws 409 for a version that has been activated
+ */
+export const updateScoringConfig = async ({ organization, version, factors, name, notes }) => {
+  const n = parseVersion(version);
+  if (n === 0) throw httpError(409, 'The built-in default cannot be changed; create a new version instead.');
+  const config = await loadVersion(organization, n);
+  if (config.status !== 'draft') throw httpError(409, 'Only draft versions can be changed; create a new version instead.');
+  if (factors !== undefined) {
+    config.factors = mergeFactors(config.factors, factors);
+    config.markModified('factors');
+    config.backtest = undefined;
+  }
+  if (name !== undefined) config.name = name;
+  if (notes !== undefined) config.notes = notes;
+  return config.save();
+};
+
+// ─── Training + back-testing ───────────────────────────────────────────────
+
+/**
+ * Fit a new draft version from the organization's leads that closed (Booked
+ * or Lost) in the range, starting from the active version's rules and weights.
+ * @returns {Promise<Object>} the ScoringConfig
+ * @throws 400 with too few outcomes, or when no factor has any signal
+ */
+export const trainScoringConfig = async ({ organization, user, from, to, name, notes }) => {
+  const range = parseRange({ from, to });
+  const base = await getActiveScoringConfig(organization);
+  const samples = await scoreOutcomes(await closedLeads(organization, range), base.config);
+
+  const booked = samples.filter((s) => s.booked).length;
+  const lost = samples.length - booked;
+  if (booked < MIN_OUTCOMES_PER_CLASS || lost < MIN_OUTCOMES_PER_CLASS) {
+    throw httpError(
+      400,
+      `Training needs at least ${MIN_OUTCOMES_PER_CLASS} Booked and ${MIN_OUTCOMES_PER_CLASS} Lost leads in the period (found ${booked} Booked, ${lost} Lost).`
+    );
+  }
+
+  const fit = fitWeights(samples, base.config);
+  return ScoringConfig.create({
+    organization,
+    version: await nextVersion(organization),
+    name: name || `Trained ${range.to.toISOString().slice(0, 10)}`,
+    notes,
+    origin: 'trained',
+    basedOnVersion: base.version,
+    factors: fit.factors,
+    training: { trainedAt: new Date(), ...range, booked, lost, blend: fit.blend, factorStats: fit.factorStats },
+    createdBy: user._id,
+  });
+};
+
+/**
+ * Score the leads that closed in the range under a version and under the
+ * active one, and report how well each ranked Booked above Lost. The result
+ * is saved on the version (not for the built-in default).
+ * @returns {Promise<Object>} the back-test
+ */
+export const backtestScoringConfig = async ({ organization, version, from, to }) => {
+  const n = parseVersion(version);
+  const config = n === 0 ? null : await loadVersion(organization, n);
+  const factors = config ? config.factors : DEFAULT_SCORING_CONFIG;
+  const range = parseRange({ from, to });
+  const leads = await closedLeads(organization, range);
+
+  const samples = await scoreOutcomes(leads, factors);
+  const active = await getActiveScoringConfig(organization);
+  let baselineSamples = samples;
+  if (active.version !== n) {
+    baselineSamples = sameRules(active.config, factors)
+      ? reweight(samples, active.config)
+      : await scoreOutcomes(leads, active.config);
+  }
+
+  const backtest = {
+    ranAt: new Date(),
+    ...range,
+    ...summarizeBacktest(samples),
+    baseline: { version: active.version, auc: rankAuc(baselineSamples) },
+  };
+  if (config) {
+    config.backtest = backtest;
+    await config.save();
+  }
+  return { version: n, ...backtest };
+};
+
+/**
+ * Make a version the one that scores leads; the previously active version is
+ * retired. Drafts must have been back-tested first. Version 0 goes back to
+ * the built-in default. Existing scores are left as they are until each lead
+ * is next re-scored.
+ * @returns {Promise<Object>} the now-active version
+ */
+export const activateScoringConfig = async ({ organization, version, user }) => {
+  const n = parseVersion(version);
+  const config = n === 0 ? null : await loadVersion(organization, n);
+  if (config?.status === 'active') return config;
+  if (config?.status === 'draft' && !config.backtest?.ranAt) {
+    throw httpError(409, 'Back-test this version before activating it.');
+  }
+
+  await ScoringConfig.updateMany(
+    { organization, status: 'active' },
+    { $set: { status: 'retired', retiredAt: new Date() } }
+  );
+  if (!config) return defaultVersion();
+
+  config.status = 'active';
+  config.activatedAt = new Date();
+  config.activatedBy = user._id;
+  config.retiredAt = undefined;
+  return config.save();
+};
+
+// ─── Explanations ──────────────────────────────────────────────────────────
+
+/**
+ * A score broken down by factor: what each contributed, how far it pulled the
+ * score above or below a neutral 50, and how many points it could still add.
+ * @param {Object} breakdown lead.scoreBreakdown
+ * @param {Object} factors the factor table that produced it
+ */
+export const explainScore = (breakdown = {}, factors = DEFAULT_SCORING_CONFIG) => {
+  const contributions = SCORING_FACTORS.map((factor) => {
+    const part = breakdown?.[factor] || {};
+    const { weight } = factors[factor];
+    const rawScore = part.rawScore ?? 0;
+    const best = Math.max(...Object.values(factors[factor].rules));
+    return {
+      factor,
+      label: FACTOR_LABELS[factor],
+      rawScore,
+      weight,
+      points: round(rawScore * weight),
+      impact: round((rawScore - 50) * weight),
+      headroom: round(Math.max(0, best - rawScore) * weight),
+      reasoning: part.reasoning || '',
+    };
+  });
+  const total = round(contributions.reduce((sum, c) => sum + c.points, 0));
+  for (const c of contributions) c.share = total ? round((c.points / total) * 100) : 0;
+
+  return {
+    total,
+    contributions: [...contributions].sort((a, b) => b.points - a.points),
+    raisedBy: contributions.filter((c) => c.impact > 0).sort((a, b) => b.impact - a.impact).map((c) => c.factor),
+    loweredBy: contributions.filter((c) => c.impact < 0).sort((a, b) => a.impact - b.impact).map((c) => c.factor),
+  };
+};
+
+/**
+ * Explain a lead's current score under the version that produced it (its
+ * latest score-history entry), falling back to the active version.
+ * @param {Object} lead the Lead
+ */
+export const explainLeadScore = async (lead) => {
+  const latest = lead.scoreHistory?.length ? lead.scoreHistory[lead.scoreHistory.length - 1] : null;
+  let modelVersion = latest?.modelVersion ?? null;
+  let factors;
+  if (modelVersion === null) {
+    const active = await getActiveScoringConfig(lead.organization);
+    factors = active.config;
+  } else if (modelVersion === 0) {
+    factors = DEFAULT_SCORING_CONFIG;
+  } else {
+    const config = await ScoringConfig.findOne({ organization: lead.organization, version: modelVersion })
+      .select('factors')
+      .lean();
+    factors = config?.factors || DEFAULT_SCORING_CONFIG;
+    if (!config) modelVersion = null;
+  }
+  const breakdown = lead.scoreBreakdown?.toObject ? lead.scoreBreakdown.toObject() : lead.scoreBreakdown;
+  return {
+    leadId: lead._id,
+    score: lead.score,
+    grade: lead.scoreGrade,
+    modelVersion,
+    calculatedAt: lead.lastScoreUpdate,
+    ...explainScore(breakdown, factors),
+  };
+};
@@ -0,0 +1,767 @@
+// File: services/signatureService.js
+// Description: E-signature for generated documents.
+//
+//   Staff send a PDF File (typically a booking pack document) to one or more
+//   signers — buyer, co-applicant, authorised signatory, witness. Each signer
+//   is emailed a tokenized link; on it they review the document, request a
+//   one-time code to their email and sign with it (typed name, optionally a
+//   drawn signature). Signers sign the exact bytes that were sent: their
+//   SHA-256 is taken when the request is created and checked again before
+//   sealing.
+//
+//   When the last signer signs, the sealed PDF (./documents/signedPdf.js)
+//   becomes a new version of the File and is emailed to every signer. A sale
+//   document then counts as signed in the booking pack, and the post-sales
+//   checklist entry it satisfies is marked verified — completing that stage
+//   when it was the last thing the stage was waiting for.
+//
+//   Link tokens and codes are stored only as hashes. Reminders issue new
+//   links, which retires the old ones.
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import SignatureRequest, { SIGNER_ROLES } from '../models/signatureRequestModel.js';
+import SalesDocumentPack, { SALES_PACK_DOCUMENTS } from '../models/salesDocumentPackModel.js';
+import File from '../models/fileModel.js';
+import Sale from '../models/salesModel.js';
+import Lead from '../models/leadModel.js';
+import Organization from '../models/organizationModel.js';
+import SaleLifecycle from '../models/saleLifecycleModel.js';
+import { uploadFileToS3, getFileFromS3, getPresignedDownloadUrl } from './s3Service.js';
+import { sealSignedPdf } from './documents/signedPdf.js';
+import { generateOtp, hashOtp, verifyOtp } from './reports/otp.js';
+import { updatePackDocument } from './salesDocumentPackService.js';
+import { updateStageDocument, completeStage } from './postSalesService.js';
+import { createNotification } from './notificationService.js';
+import { sendEmail } from '../utils/emailService.js';
+import { httpError } from '../utils/httpError.js';
+
+const DEFAULT_EXPIRY_DAYS = 14;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_SIGNERS = 10;
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 6;
+const DOCUMENT_URL_TTL_SECONDS = 15 * 60;
+const MAX_SIGNATURE_IMAGE_BYTES = 200 * 1024;
+const SEALING_TIMEOUT_MS = 10 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PNG_DATA_URL_RE = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(String(id))) throw httpError(400, `Invalid ${label} id.`);
+};
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/** SHA-256 of a signing link token — the only form it is stored in. */
+export const hashSigningToken = (token) => sha256(String(token));
+
+const newSigningToken = () => crypto.randomBytes(32).toString('base64url');
+
+const signingUrl = (token) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}/sign/${token}`;
+
+const sealSecret = () => {
+  const secret = process.env.DOCUMENT_SEAL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('DOCUMENT_SEAL_SECRET (or JWT_SECRET) must be set to seal signed documents.');
+  return secret;
+};
+
+const escapeHtml = (text) =>
+  String(text ?? '').replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+
+const audit = (request, event, { signer, actor, ip, userAgent, detail, now }) => {
+  request.audit.push({ event, at: now, signer: signer?._id || null, actor: actor?._id || null, ip, userAgent, detail });
+};
+
+/**
+ * A signer's signature hash: the document hash bound to who signed, how and
+ * when.
+ */
+export const signatureHash = (documentHash, signer) => sha256([
+  documentHash,
+  String(signer._id),
+  signer.email,
+  signer.signature.typedName,
+  new Date(signer.signedAt).toISOString(),
+  signer.signature.ip || '',
+  signer.signature.image ? sha256(signer.signature.image) : '',
+].join('|'));
+
+/**
+ * The seal printed on the audit certificate: an HMAC over the document hash,
+ * every signature and the completion time.
+ */
+export const computeSeal = (request, completedAt) => crypto
+  .createHmac('sha256', sealSecret())
+  .update(JSON.stringify({
+    envelope: String(request._id),
+    documentHash: request.documentHash,
+    signatures: request.signers.map((s) => ({
+      email: s.email,
+      signedAt: new Date(s.signedAt).toISOString(),
+      hash: s.signature?.hash,
+    })),
+    completedAt: new Date(completedAt).toISOString(),
+  }))
+  .digest('hex');
+
+// What staff see: no token or code hashes, no signature images.
+const toStaffView = (request) => {
+  const plain = typeof request.toObject === 'function' ? request.toObject() : request;
+  return {
+    ...plain,
+    signers: plain.signers.map(({ tokenHash, otp, signature, ...signer }) => ({
+      ...signer,
+      signature: signature && {
+        typedName: signature.typedName,
+        ip: signature.ip,
+        userAgent: signature.userAgent,
+        hash: signature.hash,
+        hasImage: Boolean(signature.image),
+      },
+    })),
+  };
+};
+
+const normalizeSigners = (signers) => {
+  if (!Array.isArray(signers) || signers.length === 0) throw httpError(400, 'At least one signer is required.');
+  if (signers.length > MAX_SIGNERS) throw httpError(400, `At most ${MAX_SIGNERS} signers can sign one document.`);
+  const seen = new Set();
+  return signers.map((s, i) => {
+    const name = String(s?.name || '').trim();
+    const email = String(s?.email || '').toLowerCase().trim();
+    if (!SIGNER_ROLES.includes(s?.role)) {
+      throw httpError(400, `Signer ${i + 1}: role must be one of ${SIGNER_ROLES.join(', ')}.`);
+    }
+    if (!name) throw httpError(400, `Signer ${i + 1}: name is required.`);
+    if (!EMAIL_RE.test(email)) throw httpError(400, `Signer ${i + 1}: a valid email is required.`);
+    if (seen.has(email)) throw httpError(400, `${email} is listed as a signer more than once.`);
+    seen.add(email);
+    return { role: s.role, name, email, phone: s.phone ? String(s.phone).trim() : undefined };
+  });
+};
+
+// The buyer, when staff send a sale document without naming signers.
+const defaultSigners = async (sale, organization) => {
+  const lead = await Lead.findOne({ _id: sale.lead, organization }).select('firstName lastName email phone');
+  if (!lead?.email) throw httpError(400, 'The buyer has no email address; name the signers.');
+  return [{
+    role: 'buyer',
+    name: `${lead.firstName || ''} ${lead.lastName || ''}`.trim() || lead.email,
+    email: lead.email,
+    phone: lead.phone,
+  }];
+};
+
+const expiryFrom = (expiresInDays, now) => {
+  const days = expiresInDays === undefined || expiresInDays === null ? DEFAULT_EXPIRY_DAYS : Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw httpError(400, `expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}.`);
+  }
+  return new Date(now.getTime() + days * DAY_MS);
+};
+
+// The File to sign: a booking pack document, or any PDF File by id.
+const resolveDocument = async ({ organization, fileId, saleId, packDocument }) => {
+  if (packDocument) {
+    if (!saleId) throw httpError(400, 'saleId is required with packDocument.');
+    assertObjectId(saleId, 'sale');
+    const pack = await SalesDocumentPack.findOne({ sale: saleId, organization });
+    if (!pack) throw httpError(404, 'No document pack has been generated for this sale.');
+    if (pack.status === 'void') throw httpError(409, 'The sale was cancelled; its document pack is void.');
+    const doc = pack.documents.find((d) => d.key === packDocument);
+    if (!doc?.file || doc.status === 'failed') throw httpError(404, `The pack has no generated ${packDocument.replace(/_/g, ' ')}.`);
+    if (doc.status === 'signed') throw httpError(409, `The ${doc.label.toLowerCase()} is already signed.`);
+    fileId = doc.file;
+  }
+  if (!fileId) throw httpError(400, 'fileId, or saleId with packDocument, is required.');
+  assertObjectId(fileId, 'file');
+
+  const file = await File.findOne({ _id: fileId, organization });
+  if (!file) throw httpError(404, 'File not found.');
+  if (file.mimeType !== 'application/pdf') throw httpError(400, 'Only PDF documents can be sent for signature.');
+  return file;
+};
+
+const resolveSale = async (organization, saleId, file) => {
+  const id = saleId || (file.resourceType === 'Sale' ? file.associatedResource : null);
+  if (!id) return null;
+  assertObjectId(id, 'sale');
+  const sale = await Sale.findOne({ _id: id, organization }).select('project lead status');
+  if (!sale) throw httpError(404, 'Sale not found.');
+  if (sale.status === 'Cancelled') throw httpError(409, 'Documents of a cancelled sale cannot be sent for signature.');
+  return sale;
+};
+
+const sendSigningLink = async ({ request, signer, token, organizationName, reminder }) => {
+  const url = signingUrl(token);
+  const intro = reminder
+    ? `This is a reminder that <b>${escapeHtml(request.title)}</b> is waiting for your signature.`
+    : `${escapeHtml(organizationName)} has sent you <b>${escapeHtml(request.title)}</b> to review and sign.`;
+  const message = request.message ? `<p>${escapeHtml(request.message)}</p>` : '';
+  await sendEmail({
+    to: signer.email,
+    subject: `${reminder ? 'Reminder: ' : ''}Please sign: ${request.title}`,
+    html: `<p>Dear ${escapeHtml(signer.name)},</p><p>${intro}</p>${message}` +
+      `<p><a href="${url}">Review and sign the document</a></p>` +
+      `<p>You will be asked for a one-time code, which we will email to this address. The link expires on ${request.expiresAt.toDateString()}.</p>` +
+      `<p>Regards,<br>${escapeHtml(organizationName)}</p>`,
+    text: `Dear ${signer.name},\n\n${reminder ? 'Reminder: ' : ''}${request.title} is waiting for your signature.\n\n` +
+      `${request.message ? `${request.message}\n\n` : ''}Review and sign: ${url}\n\nThe link expires on ${request.expiresAt.toDateString()}.\n\nRegards,\n${organizationName}`,
+  });
+};
+
+// Email new links to the given signers. A failed email is reported, not thrown:
+// the request stands and the link can be re-sent with a reminder.
+const issueLinks = async (request, signers, { organizationName, reminder, actor, now }) => {
+  const delivery = [];
+  for (const signer of signers) {
+    const token = newSigningToken();
+    signer.tokenHash = hashSigningToken(token);
+    try {
+      await sendSigningLink({ request, signer, token, organizationName, reminder });
+      audit(request, reminder ? 'reminded' : 'sent', { signer, actor, now, detail: signer.email });
+      delivery.push({ signer: signer._id, email: signer.email, sent: true });
+    } catch (err) {
+      console.warn(`[Signature] link to ${signer.email} not sent:`, err.message);
+      delivery.push({ signer: signer._id, email: signer.email, sent: false, error: err.message });
+    }
+  }
+  return delivery;
+};
+
+const organizationName = async (organization) =>
+  (await Organization.findById(organization).select('name').lean())?.name || 'Our team';
+
+const loadRequest = async (id, organization, verifyAccess) => {
+  assertObjectId(id, 'signature request');
+  const request = await SignatureRequest.findOne({ _id: id, organization });
+  if (!request) throw httpError(404, 'Signature request not found.');
+  if (request.project) verifyAccess?.(request.project);
+  return request;
+};
+
+// A pending request past its expiry is expired from then on.
+const expireIfDue = async (request, now) => {
+  if (request.status !== 'pending' || request.expiresAt > now) return false;
+  request.status = 'expired';
+  audit(request, 'expired', { now });
+  await request.save();
+  return true;
+};
+
+// ─── Staff ─────────────────────────────────────────────────────────────────
+
+/**
+ * Send a PDF for signature: `fileId`, or `saleId` + `packDocument` for a
+ * booking pack document. Signers default to the sale's buyer.
+ * @param {Object} params
+ * @param {Array<{role, name, email, phone?}>} [params.signers]
+ * @param {{stage, key}} [params.lifecycleDocument] - Post-sales checklist entry
+ *   the signed copy satisfies; pack documents bring their own
+ * @returns {Promise<{ request: Object, delivery: Array }>}
+ * @throws 409 when the document already has a pending request
+ */
+export const createSignatureRequest = async ({
+  organization,
+  fileId,
+  saleId,
+  packDocument,
+  title,
+  message,
+  signers,
+  lifecycleDocument,
+  expiresInDays,
+  user,
+  verifyAccess,
+  now = new Date(),
+}) => {
+  if (packDocument && !SALES_PACK_DOCUMENTS.some((d) => d.key === packDocument)) {
+    throw httpError(400, `Unknown pack document "${packDocument}".`);
+  }
+  if (lifecycleDocument && (!lifecycleDocument.stage || !lifecycleDocument.key)) {
+    throw httpError(400, 'lifecycleDocument needs a stage and a key.');
+  }
+  const expiresAt = expiryFrom(expiresInDays, now);
+  const file = await resolveDocument({ organization, fileId, saleId, packDocument });
+  const sale = await resolveSale(organization, saleId, file);
+  const project = sale?.project || (file.resourceType === 'Project' ? file.associatedResource : null);
+  if (project) verifyAccess?.(project);
+
+  const signerList = normalizeSigners(signers ?? (sale ? await defaultSigners(sale, organization) : undefined));
+  if (await SignatureRequest.exists({ file: file._id, status: 'pending' })) {
+    throw httpError(409, 'This document is already out for signature; cancel that request first.');
+  }
+
+  const original = await getFileFromS3(file.s3Key);
+  const packDefinition = SALES_PACK_DOCUMENTS.find((d) => d.key === packDocument);
+  const request = new SignatureRequest({
+    organization,
+    project,
+    sale: sale?._id || null,
+    title: String(title || '').trim() || packDefinition?.label || file.title || file.originalName,
+    message,
+    file: file._id,
+    fileVersion: file.version,
+    documentS3Key: file.s3Key,
+    documentHash: sha256(original),
+    packDocument: packDocument || null,
+    lifecycleDocument: lifecycleDocument || packDefinition?.lifecycleDocument,
+    // Real tokens are issued below, once the signers have ids
+    signers: signerList.map((s) => ({ ...s, tokenHash: 'unissued' })),
+    expiresAt,
+    createdBy: user._id,
+    audit: [],
+  });
+  audit(request, 'created', { actor: user, now, detail: `${file.originalName} v${file.version}` });
+
+  const delivery = await issueLinks(request, request.signers, {
+    organizationName: await organizationName(organization),
+    actor: user,
+    now,
+  });
+  await request.save();
+
+  if (packDocument && delivery.some((d) => d.sent)) {
+    try {
+      await updatePackDocument(sale._id, packDocument, {
+        organization,
+        fields: { status: 'sent', sentVia: 'email', sentTo: delivery.filter((d) => d.sent).map((d) => d.email).join(', ') },
+        user,
+        now,
+      });
+    } catch (err) {
+      console.warn(`[Signature] pack document ${packDocument} not marked sent:`, err.message);
+    }
+  }
+  return { request: toStaffView(request), delivery };
+};
+
+/**
+ * Signature requests, newest first.
+ * @returns {Promise<Object[]>}
+ */
+export const listSignatureRequests = async ({ organization, projectFilter = {}, saleId, fileId, status }) => {
+  const query = { organization, ...projectFilter };
+  if (saleId) { assertObjectId(saleId, 'sale'); query.sale = saleId; }
+  if (fileId) { assertObjectId(fileId, 'file'); query.file = fileId; }
+  if (status) query.status = status;
+  const requests = await SignatureRequest.find(query)
+    .select('-audit -signers.tokenHash -signers.otp -signers.signature.image')
+    .populate('createdBy', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .lean();
+  return requests.map((r) => ({
+    ...r,
+    signed: r.signers.filter((s) => s.status === 'signed').length,
+  }));
+};
+
+/**
+ * One request with its signers and audit trail.
+ */
+export const getSignatureRequest = async (id, { organization, verifyAccess, now = new Date() }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  await expireIfDue(request, now);
+  return toStaffView(request);
+};
+
+/**
+ * Email fresh links to everyone who hasn't signed yet. The previous links
+ * stop working.
+ * @returns {Promise<{ request: Object, delivery: Array }>}
+ */
+export const remindSigners = async (id, { organization, user, verifyAccess, now = new Date() }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  if (await expireIfDue(request, now)) throw httpError(409, 'The signature request has expired.');
+  if (request.status !== 'pending') throw httpError(409, `The signature request is ${request.status}.`);
+  const waiting = request.signers.filter((s) => s.status === 'pending' || s.status === 'viewed');
+  if (!waiting.length) throw httpError(409, 'Everyone has signed.');
+
+  const delivery = await issueLinks(request, waiting, {
+    organizationName: await organizationName(organization),
+    reminder: true,
+    actor: user,
+    now,
+  });
+  await request.save();
+  return { request: toStaffView(request), delivery };
+};
+
+/**
+ * Withdraw a pending request; its links stop working.
+ */
+export const cancelSignatureRequest = async (id, { organization, reason, user, verifyAccess, now = new Date() }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  if (request.status !== 'pending') throw httpError(409, `The signature request is ${request.status}.`);
+  request.status = 'cancelled';
+  request.cancelledAt = now;
+  request.cancelReason = reason;
+  audit(request, 'cancelled', { actor: user, now, detail: reason });
+  await request.save();
+  return toStaffView(request);
+};
+
+/**
+ * Withdraw every pending request for a cancelled sale.
+ */
+export const cancelSaleSignatureRequests = async (saleId, { now = new Date() } = {}) => {
+  await SignatureRequest.updateMany(
+    { sale: saleId, status: 'pending' },
+    {
+      $set: { status: 'cancelled', cancelledAt: now, cancelReason: 'Sale cancelled' },
+      $push: { audit: { event: 'cancelled', at: now, detail: 'Sale cancelled' } },
+    }
+  );
+};
+
+/**
+ * Check the stored signed document against the hash taken when it was sealed.
+ * @returns {Promise<{ intact: boolean, signedHash: string, currentHash: string }>}
+ */
+export const verifySignedDocument = async (id, { organization, verifyAccess }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  if (request.status !== 'completed' || !request.signedS3Key) {
+    throw httpError(409, 'The document has not been signed by everyone yet.');
+  }
+  const currentHash = sha256(await getFileFromS3(request.signedS3Key));
+  return { intact: currentHash === request.signedHash, signedHash: request.signedHash, currentHash };
+};
+
+/**
+ * Download links for the document as sent and, once sealed, as signed.
+ */
+export const getSignatureDocumentLinks = async (id, { organization, verifyAccess }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  return {
+    original: await getPresignedDownloadUrl(request.documentS3Key, DOCUMENT_URL_TTL_SECONDS),
+    signed: request.signedS3Key ? await getPresignedDownloadUrl(request.signedS3Key, DOCUMENT_URL_TTL_SECONDS) : null,
+  };
+};
+
+// ─── Sealing ───────────────────────────────────────────────────────────────
+
+// The signed copy satisfies a post-sales checklist entry: record it as
+// verified (the signatures were verified here) and complete the stage when
+// nothing else holds it up. Best-effort — staff can do both by hand.
+const advanceLifecycle = async (request, file, user) => {
+  const target = request.lifecycleDocument;
+  if (!request.sale || !target?.stage || !target?.key) return;
+  try {
+    const lifecycle = await SaleLifecycle.findOne({ sale: request.sale, organization: request.organization, status: 'active' })
+      .select('_id stages.key stages.status');
+    const stage = lifecycle?.stages.find((s) => s.key === target.stage);
+    if (!stage || stage.status === 'completed') return;
+    await updateStageDocument(lifecycle._id, target.stage, target.key, {
+      organization: request.organization,
+      fields: { fileId: file._id, status: 'verified', note: `E-signed (envelope ${request._id})` },
+      user,
+    });
+    if (stage.status === 'in_progress') {
+      await completeStage(lifecycle._id, target.stage, {
+        organization: request.organization,
+        note: `All signatures collected for ${request.title}`,
+        user,
+      });
+    }
+  } catch (err) {
+    console.warn(`[Signature] post-sales workflow for sale ${request.sale} not advanced:`, err.message);
+  }
+};
+
+const sendSignedCopies = async (request, buffer, fileName, orgName) => {
+  for (const signer of request.signers) {
+    try {
+      await sendEmail({
+        to: signer.email,
+        subject: `Signed: ${request.title}`,
+        html: `<p>Dear ${escapeHtml(signer.name)},</p><p>Everyone has signed <b>${escapeHtml(request.title)}</b>. ` +
+          'The signed document, with its audit certificate, is attached for your records.</p>' +
+          `<p>Regards,<br>${escapeHtml(orgName)}</p>`,
+        text: `Dear ${signer.name},\n\nEveryone has signed ${request.title}. The signed document, with its audit certificate, is attached.\n\nRegards,\n${orgName}`,
+        attachments: [{ filename: fileName, content: buffer, contentType: 'application/pdf' }],
+      });
+    } catch (err) {
+      console.warn(`[Signature] signed copy to ${signer.email} not sent:`, err.message);
+    }
+  }
+};
+
+/**
+ * Seal a request everyone has signed: build the signed PDF, store it as a new
+ * version of the File, then update the pack and the post-sales workflow.
+ * Called when the last signer signs; staff can retry it if sealing failed.
+ * @throws 409 when not everyone has signed, or the document sent for
+ *   signature no longer matches its hash
+ */
+export const sealSignatureRequest = async (request, { now = new Date() } = {}) => {
+  if (request.status !== 'pending' || request.signers.some((s) => s.status !== 'signed')) {
+    throw httpError(409, 'The document can be sealed once everyone has signed.');
+  }
+  // Only one caller seals — concurrent last signers, or a staff retry. A claim
+  // older than SEALING_TIMEOUT_MS was abandoned and can be taken over.
+  const claimed = await SignatureRequest.updateOne(
+    {
+      _id: request._id,
+      status: 'pending',
+      $or: [{ sealingStartedAt: null }, { sealingStartedAt: { $lt: new Date(now.getTime() - SEALING_TIMEOUT_MS) } }],
+    },
+    { $set: { sealingStartedAt: now } }
+  );
+  if (!claimed.modifiedCount) throw httpError(409, 'The document is already being sealed.');
+  request.sealingStartedAt = now;
+
+  try {
+    return await sealClaimed(request, now);
+  } catch (err) {
+    await SignatureRequest.updateOne(
+      { _id: request._id },
+      {
+        $set: { sealingError: err.message },
+        $unset: { sealingStartedAt: 1 },
+        $push: { audit: { event: 'sealing_failed', at: now, detail: err.message } },
+      }
+    );
+    throw err;
+  }
+};
+
+const sealClaimed = async (request, now) => {
+  const original = await getFileFromS3(request.documentS3Key);
+  if (sha256(original) !== request.documentHash) {
+    throw httpError(409, 'The document changed after it was sent for signature; it cannot be sealed.');
+  }
+
+  const orgName = await organizationName(request.organization);
+  const seal = computeSeal(request, now);
+  const sealed = await sealSignedPdf({ original, request, seal, organizationName: orgName, completedAt: now });
+  const signedHash = sha256(sealed);
+
+  const file = await File.findOne({ _id: request.file, organization: request.organization });
+  if (!file) throw httpError(404, 'The document sent for signature no longer exists.');
+  const fileName = `${file.originalName.replace(/(-signed)?\.pdf$/i, '')}-signed.pdf`;
+  const { url, s3Key } = await uploadFileToS3({
+    buffer: sealed,
+    originalname: fileName,
+    mimetype: 'application/pdf',
+  }, `signed-documents/${request.sale || request.organization}`);
+
+  const sender = { _id: request.createdBy };
+  file.createNewVersion({
+    originalName: fileName,
+    fileName,
+    mimeType: 'application/pdf',
+    size: sealed.length,
+    url,
+    s3Key,
+  }, sender, `Signed by ${request.signers.map((s) => s.name).join(', ')} (envelope ${request._id})`);
+  file.fileExtension = 'pdf';
+  file.customFields?.set?.('signatureRequest', String(request._id));
+  file.customFields?.set?.('signedHash', signedHash);
+  await file.save();
+
+  Object.assign(request, {
+    status: 'completed',
+    completedAt: now,
+    signedFileVersion: file.version,
+    signedS3Key: s3Key,
+    signedHash,
+    seal,
+    sealingError: undefined,
+  });
+  audit(request, 'completed', { now, detail: `sha256 ${signedHash}` });
+  await request.save();
+
+  if (request.packDocument && request.sale) {
+    try {
+      await updatePackDocument(request.sale, request.packDocument, {
+        organization: request.organization,
+        fields: { status: 'signed', signedFileId: file._id, signedAt: now },
+        user: sender,
+        now,
+      });
+    } catch (err) {
+      console.warn(`[Signature] pack document ${request.packDocument} not marked signed:`, err.message);
+    }
+  }
+  await advanceLifecycle(request, file, sender);
+  await sendSignedCopies(request, sealed, fileName, orgName);
+  await createNotification({
+    organization: request.organization,
+    recipient: request.createdBy,
+    type: 'signature_completed',
+    title: `Signed: ${request.title}`,
+    message: `${request.signers.map((s) => s.name).join(', ')} signed. The sealed copy is saved as version ${file.version}.`,
+    relatedEntity: { entityType: 'SignatureRequest', entityId: request._id, displayLabel: request.title },
+  });
+  return request;
+};
+
+/**
+ * Staff retry of a seal that failed after the last signature.
+ */
+export const retrySealing = async (id, { organization, verifyAccess, now = new Date() }) => {
+  const request = await loadRequest(id, organization, verifyAccess);
+  try {
+    return toStaffView(await sealSignatureRequest(request, { now }));
+  } catch (err) {
+    if (err.statusCode) throw err;
+    throw httpError(502, `Sealing failed: ${err.message}`);
+  }
+};
+
+// ─── Signers (public, by link token) ───────────────────────────────────────
+
+// The request and signer a link belongs to. Links of closed requests say why.
+const loadByToken = async (token, now) => {
+  if (!token || typeof token !== 'string') throw httpError(404, 'This signing link is not valid.');
+  const request = await SignatureRequest.findOne({ 'signers.tokenHash': hashSigningToken(token) });
+  const signer = request?.signers.find((s) => s.tokenHash === hashSigningToken(token));
+  if (!signer) throw httpError(404, 'This signing link is not valid.');
+  await expireIfDue(request, now);
+  return { request, signer };
+};
+
+const assertCanSign = (request, signer) => {
+  if (request.status === 'expired') throw httpError(410, 'This signing link has expired.');
+  if (request.status !== 'pending') throw httpError(410, `This document is no longer open for signature (${request.status}).`);
+  if (signer.status === 'signed') throw httpError(409, 'You have already signed this document.');
+  if (signer.status === 'declined') throw httpError(409, 'You declined to sign this document.');
+};
+
+/**
+ * What a signer sees on opening their link: the document (a short-lived
+ * download link), who is signing and where each stands. The first open is
+ * recorded as viewed.
+ */
+export const getSigningSession = async (token, { ip, userAgent, now = new Date() }) => {
+  const { request, signer } = await loadByToken(token, now);
+  if (signer.status === 'pending' && request.status === 'pending') {
+    signer.status = 'viewed';
+    signer.viewedAt = now;
+    audit(request, 'viewed', { signer, ip, userAgent, now });
+    await request.save();
+  }
+  return {
+    title: request.title,
+    message: request.message,
+    organization: await organizationName(request.organization),
+    status: request.status,
+    expiresAt: request.expiresAt,
+    signer: { name: signer.name, role: signer.role, email: signer.email, status: signer.status, signedAt: signer.signedAt },
+    signers: request.signers.map((s) => ({ name: s.name, role: s.role, status: s.status })),
+    document: {
+      url: await getPresignedDownloadUrl(
+        request.status === 'completed' ? request.signedS3Key : request.documentS3Key,
+        DOCUMENT_URL_TTL_SECONDS
+      ),
+      sha256: request.status === 'completed' ? request.signedHash : request.documentHash,
+    },
+  };
+};
+
+/**
+ * Email the signer a one-time code to sign with.
+ */
+export const requestSigningOtp = async (token, { ip, userAgent, now = new Date() }) => {
+  const { request, signer } = await loadByToken(token, now);
+  assertCanSign(request, signer);
+
+  const code = generateOtp();
+  signer.otp = { codeHash: hashOtp(code), expiresAt: new Date(now.getTime() + OTP_TTL_MS), attempts: 0 };
+  audit(request, 'otp_sent', { signer, ip, userAgent, now, detail: signer.email });
+  await request.save();
+  await sendEmail({
+    to: signer.email,
+    subject: `Your code to sign "${request.title}"`,
+    html: `<p>Your one-time code is <b style="font-size:20px;letter-spacing:2px">${code}</b>.</p><p>It expires in 10 minutes. If you did not request it, ignore this email.</p>`,
+    text: `Your one-time code is ${code}. It expires in 10 minutes.`,
+  });
+  return { sent: true, email: signer.email };
+};
+
+const validSignatureImage = (image) => {
+  if (image === undefined || image === null || image === '') return undefined;
+  const match = PNG_DATA_URL_RE.exec(String(image));
+  if (!match) throw httpError(400, 'signatureImage must be a PNG data URL.');
+  if (Buffer.byteLength(match[1], 'base64') > MAX_SIGNATURE_IMAGE_BYTES) {
+    throw httpError(400, 'signatureImage is too large.');
+  }
+  return String(image);
+};
+
+/**
+ * Sign with the emailed code. The last signature seals the document; if
+ * sealing fails the signature still stands and staff can retry the seal.
+ * @returns {Promise<{ signed: true, completed: boolean }>}
+ */
+export const signDocument = async (token, { otp, typedName, signatureImage, consent, ip, userAgent, now = new Date() }) => {
+  const { request, signer } = await loadByToken(token, now);
+  assertCanSign(request, signer);
+  if (consent !== true) throw httpError(400, 'Confirm that you agree to sign electronically.');
+  const name = String(typedName || '').trim();
+  if (!name) throw httpError(400, 'Type your full name to sign.');
+  const image = validSignatureImage(signatureImage);
+
+  const ok = signer.otp?.codeHash
+    && signer.otp.expiresAt > now
+    && (signer.otp.attempts || 0) < MAX_OTP_ATTEMPTS
+    && verifyOtp(otp, signer.otp.codeHash);
+  if (!ok) {
+    if (signer.otp?.codeHash) signer.otp.attempts = (signer.otp.attempts || 0) + 1;
+    audit(request, 'otp_failed', { signer, ip, userAgent, now });
+    await request.save();
+    throw httpError(401, 'Invalid or expired code');
+  }
+
+  signer.otp = undefined;
+  signer.status = 'signed';
+  signer.signedAt = now;
+  if (!signer.viewedAt) signer.viewedAt = now;
+  signer.signature = { typedName: name, image, ip, userAgent };
+  signer.signature.hash = signatureHash(request.documentHash, signer);
+  audit(request, 'signed', { signer, ip, userAgent, now, detail: `as "${name}"` });
+  await request.save();
+
+  // Another signer may have signed at the same moment; re-read before sealing
+  const current = await SignatureRequest.findById(request._id);
+  if (!current || current.status !== 'pending' || current.signers.some((s) => s.status !== 'signed')) {
+    return { signed: true, completed: false };
+  }
+  try {
+    await sealSignatureRequest(current, { now });
+    return { signed: true, completed: true };
+  } catch (err) {
+    console.error(`[Signature] sealing ${current._id} failed:`, err.message);
+    return { signed: true, completed: false };
+  }
+};
+
+/**
+ * Decline to sign. The request closes and the sender is notified.
+ */
+export const declineSigning = async (token, { reason, ip, userAgent, now = new Date() }) => {
+  const { request, signer } = await loadByToken(token, now);
+  assertCanSign(request, signer);
+  signer.status = 'declined';
+  signer.declinedAt = now;
+  signer.declineReason = reason ? String(reason).slice(0, 1000) : undefined;
+  request.status = 'declined';
+  audit(request, 'declined', { signer, ip, userAgent, now, detail: signer.declineReason });
+  await request.save();
+  await createNotification({
+    organization: request.organization,
+    recipient: request.createdBy,
+    type: 'signature_declined',
+    title: `${signer.name} declined to sign ${request.title}`,
+    message: signer.declineReason || 'No reason given.',
+    priority: 'high',
+    relatedEntity: { entityType: 'SignatureRequest', entityId: request._id, displayLabel: request.title },
+  });
+  return { declined: true };
+};
@@ -0,0 +1,968 @@
+// File: services/siteVisitService.js
+// Description: Site visit scheduling. A visit books a lead into a slot at the
+//   project's sales office with a sales executive (no double-booking, inside
+//   office hours), emails the client a confirmation and reminders
+//   (jobs/sendSiteVisitReminders.js), captures the on-site check-in — tagging
+//   the channel partner who brought the client — and records the outcome,
+//   which logs a 'Site Visit' interaction and walks the lead through
+//   utils/leadStatusMachine.js to 'Site Visit Completed'. Managers read a
+//   daily roster per project. Emails and notifications are best-effort.
+
+import mongoose from 'mongoose';
+import SiteVisit, { ACTIVE_VISIT_STATUSES } from '../models/siteVisitModel.js';
+import Lead from '../models/leadModel.js';
+import Project from '../models/projectModel.js';
+import User from '../models/userModel.js';
+import ChannelPartner from '../models/channelPartnerModel.js';
+import Interaction from '../models/interactionModel.js';
+import { createNotification } from './notificationService.js';
+import { handleLeadStatusChangeSideEffects } from './leadStatusSyncService.js';
+import { localClock } from './leadAssignmentService.js';
+import { LEAD_STATUS_TRANSITIONS } from '../utils/leadStatusMachine.js';
+import { sendEmail } from '../utils/emailService.js';
+import { buildIcsCalendar, icsAttachment, icsUid } from '../utils/icsCalendar.js';
+import { httpError } from '../utils/httpError.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// The status a completed visit moves the lead to.
+export const VISITED_STATUS = 'Site Visit Completed';
+
+// Only leads still ahead of the visit stage are advanced; a lead already past
+// it (Negotiating, Booked) or closed as Lost keeps its status.
+const PRE_VISIT_STATUSES = ['New', 'Qualified', 'Revived'];
+
+// Reminder windows: 'upcoming' goes out this many minutes before the slot,
+// 'day_before' once the visit is within a day.
+export const UPCOMING_REMINDER_MINUTES = Number(process.env.SITE_VISIT_UPCOMING_REMINDER_MINUTES) || 120;
+const REMINDER_SWEEP_BATCH = 500;
+
+export const DEFAULT_SALES_OFFICE = Object.freeze({
+  timezone: 'Asia/Kolkata',
+  openingTime: '10:00',
+  closingTime: '19:00',
+  visitSlotMinutes: 60,
+  closedDays: [],
+});
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const fullName = (doc) =>
+  [doc?.firstName, doc?.lastName].filter(Boolean).join(' ') || 'the lead';
+
+const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+const appUrl = (path) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '')}${path}`;
+
+const describe = (pairs) => pairs.filter(([, v]) => v).map(([k, v]) => `${k}: ${v}`).join('\n');
+
+const sameId = (a, b) => Boolean(a && b) && String(a?._id || a) === String(b?._id || b);
+
+const escapeHtml = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatVisitTime = (date, timezone) => new Date(date).toLocaleString('en-IN', {
+  timeZone: timezone,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+});
+
+async function logLeadNote(visit, userId, content) {
+  try {
+    await Interaction.create({
+      lead: visit.lead?._id || visit.lead,
+      user: userId,
+      organization: visit.organization,
+      type: 'Note',
+      content,
+    });
+  } catch (err) {
+    console.warn('[siteVisitService] interaction log failed (non-fatal):', err.message);
+  }
+}
+
+async function notifyExecutive(visit, { type, title, message, actor = null, priority = 'medium' }) {
+  const recipient = visit.salesExecutive?._id || visit.salesExecutive;
+  if (!recipient || sameId(recipient, actor)) return;
+  try {
+    await createNotification({
+      organization: visit.organization,
+      recipient,
+      type,
+      title,
+      message,
+      actionUrl: `/leads/${visit.lead?._id || visit.lead}`,
+      relatedEntity: { entityType: 'SiteVisit', entityId: visit._id, displayLabel: title },
+      priority,
+    });
+  } catch (err) {
+    console.warn(`[siteVisitService] ${type} notification failed (non-fatal):`, err.message);
+  }
+}
+
+// ─── Time helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Calendar date ('YYYY-MM-DD') of `date` in `timezone`.
+ * @param {Date} date
+ * @param {string} [timezone='Asia/Kolkata']
+ * @returns {string}
+ */
+export const localDateKey = (date, timezone = 'Asia/Kolkata') =>
+  new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(date);
+
+/**
+ * The instant at `minutes` past local midnight of `dateKey` in `timezone`.
+ * @param {string} dateKey - 'YYYY-MM-DD'
+ * @param {number} minutes - minutes past local midnight
+ * @param {string} [timezone='Asia/Kolkata']
+ * @returns {Date}
+ */
+export const zonedDateTime = (dateKey, minutes, timezone = 'Asia/Kolkata') => {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d) + minutes * MINUTE_MS;
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(new Date(guess)).map((p) => [p.type, p.value])
+  );
+  const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+  return new Date(guess - (wall - guess));
+};
+
+/**
+ * Project sales office hours merged over the defaults.
+ * @param {Object} project
+ * @returns {{timezone:string, openingTime:string, closingTime:string, visitSlotMinutes:number, closedDays:number[]}}
+ */
+export const officeHours = (project) => {
+  const office = project?.salesOffice || {};
+  return {
+    timezone: office.timezone || DEFAULT_SALES_OFFICE.timezone,
+    openingTime: office.openingTime || DEFAULT_SALES_OFFICE.openingTime,
+    closingTime: office.closingTime || DEFAULT_SALES_OFFICE.closingTime,
+    visitSlotMinutes: office.visitSlotMinutes || DEFAULT_SALES_OFFICE.visitSlotMinutes,
+    closedDays: office.closedDays || DEFAULT_SALES_OFFICE.closedDays,
+  };
+};
+
+/**
+ * Whether a visit starting at `start` for `durationMinutes` fits inside the
+ * sales office's opening hours on an open day.
+ * @param {Date} start
+ * @param {number} durationMinutes
+ * @param {Object} hours - officeHours(project)
+ * @returns {boolean}
+ */
+export const isWithinOfficeHours = (start, durationMinutes, hours) => {
+  const { day, minutes } = localClock(start, hours.timezone);
+  if (hours.closedDays.includes(day)) return false;
+  return minutes >= toMinutes(hours.openingTime)
+    && minutes + durationMinutes <= toMinutes(hours.closingTime);
+};
+
+/**
+ * The day's visit slots with how many busy intervals overlap each; a slot is
+ * available when nothing overlaps it and it has not started yet.
+ *
+ * @param {Object} params
+ * @param {string} params.date - 'YYYY-MM-DD' in the office timezone
+ * @param {Object} params.hours - officeHours(project)
+ * @param {Array<{scheduledAt: Date, endsAt: Date}>} [params.busy]
+ * @param {Date} [params.now=new Date()]
+ * @returns {Array<{start: Date, end: Date, booked: number, available: boolean}>}
+ */
+export const buildVisitSlots = ({ date, hours, busy = [], now = new Date() }) => {
+  const open = zonedDateTime(date, toMinutes(hours.openingTime), hours.timezone);
+  if (hours.closedDays.includes(localClock(open, hours.timezone).day)) return [];
+  const length = hours.visitSlotMinutes;
+  const slots = [];
+  for (let m = toMinutes(hours.openingTime); m + length <= toMinutes(hours.closingTime); m += length) {
+    const start = zonedDateTime(date, m, hours.timezone);
+    const end = new Date(start.getTime() + length * MINUTE_MS);
+    const booked = busy.filter((b) => new Date(b.scheduledAt) < end && new Date(b.endsAt) > start).length;
+    slots.push({ start, end, booked, available: booked === 0 && start > now });
+  }
+  return slots;
+};
+
+/**
+ * Statuses a completed visit walks the lead through, in order, to reach
+ * 'Site Visit Completed' — shortest path through the status machine that
+ * never passes Lost or Booked. Empty when the lead should keep its status.
+ * @param {string} from - current Lead.status
+ * @returns {string[]}
+ */
+export const visitStatusPath = (from) => {
+  if (!PRE_VISIT_STATUSES.includes(from)) return [];
+  const avoid = new Set(['Lost', 'Booked', 'pending']);
+  const queue = [[from]];
+  const seen = new Set([from]);
+  while (queue.length) {
+    const path = queue.shift();
+    for (const next of LEAD_STATUS_TRANSITIONS[path[path.length - 1]] || []) {
+      if (seen.has(next) || avoid.has(next)) continue;
+      if (next === VISITED_STATUS) return [...path.slice(1), next];
+      seen.add(next);
+      queue.push([...path, next]);
+    }
+  }
+  return [];
+};
+
+// ─── Calendar ──────────────────────────────────────────────────────────────
+
+/**
+ * A site visit as a calendar event, for the executive's feed
+ * (services/calendarService.js) and the client's invite. `lead` and
+ * `project` default to the visit's populated refs.
+ * @returns {Object} event for utils/icsCalendar.js
+ */
+export const siteVisitEvent = (visit, { lead, project } = {}) => {
+  const visitLead = lead || visit.lead;
+  const visitProject = project || visit.project;
+  const office = visitProject?.salesOffice || {};
+  return {
+    uid: visit.invite?.uid || icsUid('site-visit', visit._id),
+    start: visit.scheduledAt,
+    end: visit.endsAt || new Date(new Date(visit.scheduledAt).getTime() + (visit.durationMinutes || 60) * MINUTE_MS),
+    summary: `Site visit: ${fullName(visitLead)}${visitProject?.name ? ` — ${visitProject.name}` : ''}`,
+    description: describe([
+      ['Visitors', visit.visitors],
+      ['Phone', visitLead?.phone],
+      ['Channel partner', visit.channelPartner?.channelPartner?.firmName || visit.channelPartner?.agentName],
+      ['Notes', visit.notes],
+      ['Map', office.mapUrl],
+    ]),
+    location: office.address,
+    url: visitLead?._id ? appUrl(`/leads/${visitLead._id}`) : undefined,
+    status: visit.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED',
+    sequence: visit.invite?.sequence || 0,
+    alarmMinutes: 60,
+  };
+};
+
+/**
+ * The client's calendar invite: REQUEST for a booking or reschedule, CANCEL
+ * when the visit is called off. Internal details (phone, CP, notes) stay out.
+ * @returns {string} ICS text
+ */
+export const buildSiteVisitInvite = ({ visit, lead, project, executive, method = 'REQUEST', now = new Date() }) => {
+  const event = siteVisitEvent(visit, { lead, project });
+  const office = project?.salesOffice || {};
+  return buildIcsCalendar({
+    method,
+    now,
+    events: [{
+      ...event,
+      summary: `Site visit — ${project?.name || 'Sales office'}`,
+      description: describe([
+        ['Your host', executive ? [executive.firstName, executive.lastName].filter(Boolean).join(' ') : null],
+        ['Contact', office.phone],
+        ['Map', office.mapUrl],
+      ]),
+      url: undefined,
+      status: method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED',
+      sequence: event.sequence + (method === 'CANCEL' ? 1 : 0),
+      organizer: {
+        name: project?.name || 'Sales',
+        email: process.env.EMAIL_FROM_EMAIL || process.env.EMAIL_USER || 'no-reply@propvantage.ai',
+      },
+      attendees: lead?.email ? [{ name: fullName(lead), email: lead.email }] : [],
+    }],
+  });
+};
+
+// ─── Emails ────────────────────────────────────────────────────────────────
+
+const EMAIL_HEADINGS = {
+  confirmation: 'Your site visit is confirmed',
+  rescheduled: 'Your site visit has been rescheduled',
+  day_before: 'Reminder: your site visit is tomorrow',
+  upcoming: 'Reminder: your site visit is coming up',
+  cancelled: 'Your site visit has been cancelled',
+};
+
+/**
+ * Subject, HTML and text for a visit email to the client. Pure.
+ * @param {Object} params
+ * @param {string} params.kind - confirmation | rescheduled | day_before | upcoming | cancelled
+ * @param {Object} params.visit
+ * @param {Object} params.lead
+ * @param {Object} params.project - with salesOffice
+ * @param {Object} [params.executive] - sales executive user
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildVisitEmail = ({ kind, visit, lead, project, executive }) => {
+  const heading = EMAIL_HEADINGS[kind];
+  const hours = officeHours(project);
+  const office = project?.salesOffice || {};
+  const name = [lead?.firstName, lead?.lastName].filter(Boolean).join(' ') || 'Customer';
+  const when = formatVisitTime(visit.scheduledAt, hours.timezone);
+
+  const rows = [
+    ['Project', project?.name],
+    ['When', when],
+    ['Address', office.address || [project?.location?.area, project?.location?.city].filter(Boolean).join(', ')],
+    ['Map', office.mapUrl],
+    ['Your host', executive ? [executive.firstName, executive.lastName].filter(Boolean).join(' ') : null],
+    ['Contact', office.phone || executive?.phoneNumber],
+  ].filter(([, v]) => v);
+
+  const body = kind === 'cancelled'
+    ? `Your visit to ${project?.name || 'our project'} on ${when} has been cancelled. Reply to this email or call us to book a new time.`
+    : `We look forward to welcoming you${visit.visitors > 1 ? ` and your party of ${visit.visitors}` : ''} at our sales office.`;
+
+  const html = [
+    `<p>Dear ${escapeHtml(name)},</p>`,
+    `<p>${escapeHtml(body)}</p>`,
+    kind === 'cancelled' ? '' : `<table cellpadding="6" style="border-collapse:collapse">${rows
+      .map(([k, v]) => `<tr><td style="color:#555">${escapeHtml(k)}</td><td><b>${escapeHtml(v)}</b></td></tr>`)
+      .join('')}</table>`,
+    `<p>Regards,<br/>${escapeHtml(project?.name || 'Sales')} — Sales</p>`,
+  ].join('\n');
+
+  const text = [
+    `Dear ${name},`,
+    '',
+    body,
+    ...(kind === 'cancelled' ? [] : ['', ...rows.map(([k, v]) => `${k}: ${v}`)]),
+  ].join('\n');
+
+  return { subject: `${heading}${project?.name ? ` | ${project.name}` : ''}`, html, text };
+};
+
+// Email kinds that carry a calendar invite, and its METHOD.
+const INVITE_METHODS = { confirmation: 'REQUEST', rescheduled: 'REQUEST', cancelled: 'CANCEL' };
+
+// Email the client; never throws. Returns whether an email went out.
+async function emailClient(kind, visit, { lead, project, executive }) {
+  if (!lead?.email) return false;
+  try {
+    const method = INVITE_METHODS[kind];
+    const attachments = method
+      ? [icsAttachment(buildSiteVisitInvite({ visit, lead, project, executive, method }), method, 'site-visit.ics')]
+      : undefined;
+    await sendEmail({ to: lead.email, ...buildVisitEmail({ kind, visit, lead, project, executive }), attachments });
+    return true;
+  } catch (err) {
+    console.warn(`[siteVisitService] ${kind} email failed (non-fatal):`, err.message);
+    return false;
+  }
+}
+
+// ─── Validation ────────────────────────────────────────────────────────────
+
+const parseScheduledAt = (value, now) => {
+  const at = value ? new Date(value) : null;
+  if (!at || Number.isNaN(at.getTime())) throw httpError(400, 'scheduledAt must be a valid date-time.');
+  if (at <= now) throw httpError(400, 'A site visit must be scheduled in the future.');
+  return at;
+};
+
+const parseDuration = (value, hours) => {
+  if (value === undefined || value === null || value === '') return hours.visitSlotMinutes;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 15 || n > 240) {
+    throw httpError(400, 'durationMinutes must be a whole number between 15 and 240.');
+  }
+  return n;
+};
+
+const loadExecutive = async (organization, userId) => {
+  if (!userId) throw httpError(400, 'Choose a sales executive for the visit — the lead has no owner.');
+  if (!mongoose.Types.ObjectId.isValid(String(userId))) throw httpError(400, 'Invalid sales executive.');
+  const user = await User.findOne({ _id: userId, organization, isActive: true })
+    .select('firstName lastName email phoneNumber')
+    .lean();
+  if (!user) throw httpError(400, 'Sales executive not found or inactive.');
+  return user;
+};
+
+// Resolve a { channelPartner, agentUser, agentName } payload against the
+// organisation's active channel partners. Returns null when nothing was sent.
+const resolveChannelPartner = async (organization, payload) => {
+  if (!payload?.channelPartner) return null;
+  if (!mongoose.Types.ObjectId.isValid(String(payload.channelPartner))) {
+    throw httpError(400, 'Invalid channel partner.');
+  }
+  const cp = await ChannelPartner.findOne({ _id: payload.channelPartner, organization })
+    .select('firmName status')
+    .lean();
+  if (!cp) throw httpError(400, 'Channel partner not found.');
+  if (cp.status !== 'active') throw httpError(400, `Channel partner ${cp.firmName} is ${cp.status}.`);
+  return {
+    channelPartner: cp._id,
+    agentUser: payload.agentUser || null,
+    agentName: payload.agentName ? String(payload.agentName).trim() : undefined,
+  };
+};
+
+const assertExecutiveFree = async ({ salesExecutive, start, durationMinutes, excludeId = null }) => {
+  const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+  const query = {
+    salesExecutive,
+    status: { $in: ACTIVE_VISIT_STATUSES },
+    scheduledAt: { $lt: end },
+    endsAt: { $gt: start },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  const clash = await SiteVisit.findOne(query).select('scheduledAt').lean();
+  if (clash) {
+    throw httpError(409, 'The sales executive already has a site visit booked in that slot.');
+  }
+};
+
+const assertSlot = async ({ project, salesExecutive, start, durationMinutes, excludeId }) => {
+  const hours = officeHours(project);
+  if (!isWithinOfficeHours(start, durationMinutes, hours)) {
+    throw httpError(
+      400,
+      `The sales office is open ${hours.openingTime}–${hours.closingTime} (${hours.timezone}); pick a slot inside those hours.`
+    );
+  }
+  await assertExecutiveFree({ salesExecutive, start, durationMinutes, excludeId });
+};
+
+const loadVisit = async (visitId, organization, verifyAccess) => {
+  if (!mongoose.Types.ObjectId.isValid(String(visitId))) throw httpError(400, 'Invalid site visit id.');
+  const visit = await SiteVisit.findOne({ _id: visitId, organization });
+  if (!visit) throw httpError(404, 'Site visit not found.');
+  verifyAccess?.(visit.project);
+  return visit;
+};
+
+// Lead, project and executive for emails and notifications.
+const loadVisitContext = async (visit) => {
+  const [lead, project, executive] = await Promise.all([
+    Lead.findById(visit.lead).select('firstName lastName email phone'),
+    Project.findById(visit.project).select('name location salesOffice').lean(),
+    User.findById(visit.salesExecutive).select('firstName lastName phoneNumber').lean(),
+  ]);
+  return { lead, project, executive };
+};
+
+// ─── Booking ───────────────────────────────────────────────────────────────
+
+/**
+ * Book a lead into a site visit slot.
+ *
+ * @param {Object} params
+ * @param {Object} params.organization
+ * @param {string} params.leadId
+ * @param {Object} params.fields - { project, salesExecutive, scheduledAt, durationMinutes, visitors, notes, channelPartner }
+ * @param {Object} params.user - booking user
+ * @param {Function} [params.verifyAccess] - throws when the user can't reach the project
+ * @param {Date} [params.now=new Date()]
+ * @returns {Promise<Object>} the SiteVisit
+ */
+export const bookSiteVisit = async ({ organization, leadId, fields = {}, user, verifyAccess, now = new Date() }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(leadId))) throw httpError(400, 'Invalid lead id.');
+  const lead = await Lead.findOne({ _id: leadId, organization })
+    .select('firstName lastName email phone project status assignedTo channelPartnerAttribution');
+  if (!lead) throw httpError(404, 'Lead not found.');
+  verifyAccess?.(lead.project);
+  if (lead.status === 'pending') {
+    throw httpError(409, 'Accept the channel partner registration before booking a site visit.');
+  }
+
+  const projectId = fields.project || lead.project;
+  if (!sameId(projectId, lead.project)) verifyAccess?.(projectId);
+  const project = await Project.findOne({ _id: projectId, organization }).select('name location salesOffice').lean();
+  if (!project) throw httpError(404, 'Project not found.');
+
+  const existing = await SiteVisit.findOne({ lead: lead._id, status: { $in: ACTIVE_VISIT_STATUSES } })
+    .select('scheduledAt')
+    .lean();
+  if (existing) {
+    throw httpError(409, 'This lead already has an upcoming site visit — reschedule it instead.');
+  }
+
+  const executive = await loadExecutive(organization, fields.salesExecutive || lead.assignedTo);
+  const scheduledAt = parseScheduledAt(fields.scheduledAt, now);
+  const durationMinutes = parseDuration(fields.durationMinutes, officeHours(project));
+  await assertSlot({ project, salesExecutive: executive._id, start: scheduledAt, durationMinutes });
+
+  // Default the visit's CP to the one already attributed on the lead.
+  const attributed = lead.channelPartnerAttribution?.partners?.[0];
+  const channelPartner = await resolveChannelPartner(organization, fields.channelPartner)
+    || (attributed?.channelPartner
+      ? { channelPartner: attributed.channelPartner, agentUser: attributed.agentUser || null }
+      : undefined);
+
+  const visit = await SiteVisit.create({
+    organization,
+    project: project._id,
+    lead: lead._id,
+    salesExecutive: executive._id,
+    scheduledAt,
+    durationMinutes,
+    visitors: fields.visitors || 1,
+    notes: fields.notes,
+    bookedBy: user._id,
+    channelPartner,
+  });
+
+  const when = formatVisitTime(scheduledAt, officeHours(project).timezone);
+  await emailClient('confirmation', visit, { lead, project, executive });
+  await notifyExecutive(visit, {
+    type: 'site_visit_scheduled',
+    title: `Site visit: ${fullName(lead)}`,
+    message: `${project.name} — ${when}`,
+    actor: user._id,
+  });
+  await logLeadNote(visit, user._id, `Site visit scheduled at ${project.name} for ${when}.`);
+
+  return visit;
+};
+
+/**
+ * Move a scheduled visit to a new slot (and optionally a new executive). The
+ * old visit is cancelled and a new one points back at it via rescheduledFrom.
+ * @returns {Promise<Object>} the new SiteVisit
+ */
+export const rescheduleSiteVisit = async (visitId, { organization, fields = {}, user, verifyAccess, now = new Date() }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  if (visit.status !== 'scheduled') {
+    throw httpError(409, `Only scheduled visits can be rescheduled (this one is ${visit.status}).`);
+  }
+  const project = await Project.findById(visit.project).select('name location salesOffice').lean();
+  const executive = await loadExecutive(organization, fields.salesExecutive || visit.salesExecutive);
+  const scheduledAt = parseScheduledAt(fields.scheduledAt, now);
+  const durationMinutes = fields.durationMinutes === undefined
+    ? visit.durationMinutes
+    : parseDuration(fields.durationMinutes, officeHours(project));
+  await assertSlot({
+    project,
+    salesExecutive: executive._id,
+    start: scheduledAt,
+    durationMinutes,
+    excludeId: visit._id,
+  });
+
+  visit.status = 'cancelled';
+  visit.cancellation = { at: now, by: user._id, reason: fields.reason ? `Rescheduled: ${fields.reason}` : 'Rescheduled' };
+  await visit.save();
+
+  const next = await SiteVisit.create({
+    organization,
+    project: visit.project,
+    lead: visit.lead,
+    salesExecutive: executive._id,
+    scheduledAt,
+    durationMinutes,
+    visitors: fields.visitors || visit.visitors,
+    notes: fields.notes ?? visit.notes,
+    bookedBy: user._id,
+    channelPartner: visit.channelPartner?.channelPartner ? visit.channelPartner : undefined,
+    rescheduledFrom: visit._id,
+    invite: {
+      uid: visit.invite?.uid || icsUid('site-visit', visit._id),
+      sequence: (visit.invite?.sequence || 0) + 1,
+    },
+  });
+
+  const { lead } = await loadVisitContext(next);
+  const when = formatVisitTime(scheduledAt, officeHours(project).timezone);
+  await emailClient('rescheduled', next, { lead, project, executive });
+  if (!sameId(executive._id, visit.salesExecutive)) {
+    await notifyExecutive(visit, {
+      type: 'site_visit_cancelled',
+      title: `Site visit moved: ${fullName(lead)}`,
+      message: `Reassigned to another executive for ${when}.`,
+      actor: user._id,
+    });
+  }
+  await notifyExecutive(next, {
+    type: 'site_visit_scheduled',
+    title: `Site visit rescheduled: ${fullName(lead)}`,
+    message: `${project?.name || 'Project'} — ${when}`,
+    actor: user._id,
+  });
+  await logLeadNote(next, user._id, `Site visit rescheduled to ${when}.`);
+
+  return next;
+};
+
+/**
+ * Cancel a scheduled visit and tell the client and the executive.
+ * @returns {Promise<Object>} the SiteVisit
+ */
+export const cancelSiteVisit = async (visitId, { organization, reason, user, verifyAccess, now = new Date() }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  if (visit.status !== 'scheduled') {
+    throw httpError(409, `Only scheduled visits can be cancelled (this one is ${visit.status}).`);
+  }
+  visit.status = 'cancelled';
+  visit.cancellation = { at: now, by: user._id, reason };
+  await visit.save();
+
+  const { lead, project, executive } = await loadVisitContext(visit);
+  await emailClient('cancelled', visit, { lead, project, executive });
+  await notifyExecutive(visit, {
+    type: 'site_visit_cancelled',
+    title: `Site visit cancelled: ${fullName(lead)}`,
+    message: reason || formatVisitTime(visit.scheduledAt, officeHours(project).timezone),
+    actor: user._id,
+  });
+  await logLeadNote(visit, user._id, `Site visit cancelled${reason ? `: ${reason}` : '.'}`);
+  return visit;
+};
+
+// ─── On the day ────────────────────────────────────────────────────────────
+
+/**
+ * Tag the visit's channel partner on the lead. An untagged lead gets the CP
+ * as its sole partner; the same CP is a no-op; a different CP is left as-is,
+ * noted in the attribution history and returned as a conflict for a manager.
+ *
+ * @param {Object} lead - Lead document (mutated, not saved)
+ * @param {Object} cp - { channelPartner, agentUser }
+ * @param {Object} user
+ * @param {Date} now
+ * @returns {'tagged'|'unchanged'|'conflict'}
+ */
+export const applyVisitAttribution = (lead, cp, user, now) => {
+  const attribution = lead.channelPartnerAttribution;
+  const partners = attribution.partners || [];
+  if (partners.some((p) => sameId(p.channelPartner, cp.channelPartner))) return 'unchanged';
+
+  if (!partners.length) {
+    attribution.viaChannelPartner = true;
+    attribution.partners = [{ channelPartner: cp.channelPartner, agentUser: cp.agentUser || null, sharePct: 100 }];
+    attribution.status = 'tagged';
+    attribution.taggedBy = user._id;
+    attribution.taggedAt = now;
+    attribution.history.push({
+      at: now,
+      by: user._id,
+      action: 'tagged_at_site_visit',
+      note: 'Channel partner accompanied the client at check-in.',
+    });
+    return 'tagged';
+  }
+
+  attribution.history.push({
+    at: now,
+    by: user._id,
+    action: 'site_visit_conflict',
+    note: `A different channel partner (${cp.channelPartner}) accompanied the client at check-in; attribution left unchanged.`,
+  });
+  return 'conflict';
+};
+
+/**
+ * Check the visitor in at the sales office. A channel partner sent here (or
+ * declared at booking) is tagged on the lead — see applyVisitAttribution.
+ * @returns {Promise<{visit: Object, attribution: string|null}>}
+ */
+export const checkInSiteVisit = async (visitId, { organization, visitors, channelPartner, user, verifyAccess, now = new Date() }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  if (visit.status !== 'scheduled') {
+    throw httpError(409, `Only scheduled visits can be checked in (this one is ${visit.status}).`);
+  }
+
+  const cp = await resolveChannelPartner(organization, channelPartner)
+    || (visit.channelPartner?.channelPartner ? visit.channelPartner : null);
+
+  let attribution = null;
+  const lead = await Lead.findById(visit.lead);
+  if (cp && lead) {
+    attribution = applyVisitAttribution(lead, cp, user, now);
+    if (attribution !== 'unchanged') await lead.save();
+  }
+
+  visit.status = 'checked_in';
+  if (cp) visit.channelPartner = cp;
+  visit.checkIn = {
+    at: now,
+    by: user._id,
+    visitors: visitors || visit.visitors,
+    attributionConflict: attribution === 'conflict',
+  };
+  await visit.save();
+
+  await notifyExecutive(visit, {
+    type: 'site_visit_checked_in',
+    title: `${fullName(lead)} has arrived`,
+    message: `Checked in at the sales office${visitors > 1 ? ` with ${visitors} visitors` : ''}.`,
+    actor: user._id,
+    priority: 'high',
+  });
+
+  return { visit, attribution };
+};
+
+/**
+ * Record the visit's outcome: completes the visit, logs a 'Site Visit'
+ * interaction, bumps the lead's activity summary and advances the lead to
+ * 'Site Visit Completed' through the status machine.
+ * @returns {Promise<{visit: Object, lead: Object, previousStatus: string}>}
+ */
+export const recordSiteVisitOutcome = async (visitId, { organization, outcome = {}, user, verifyAccess, now = new Date() }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  if (visit.status !== 'checked_in') {
+    throw httpError(409, visit.status === 'scheduled'
+      ? 'Check the visitor in before recording the outcome.'
+      : `This visit is already ${visit.status}.`);
+  }
+  const rating = outcome.rating === undefined || outcome.rating === null ? undefined : Number(outcome.rating);
+  if (rating !== undefined && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+    throw httpError(400, 'rating must be a whole number from 1 to 5.');
+  }
+
+  const lead = await Lead.findById(visit.lead);
+  if (!lead) throw httpError(404, 'Lead not found.');
+
+  const interaction = await Interaction.create({
+    lead: lead._id,
+    user: user._id,
+    organization,
+    type: 'Site Visit',
+    direction: 'Inbound',
+    content: outcome.feedback || 'Site visit completed.',
+    outcome: outcome.interestLevel,
+    nextAction: outcome.nextStep,
+  });
+
+  visit.status = 'completed';
+  visit.outcome = {
+    rating,
+    interestLevel: outcome.interestLevel,
+    unitsShown: outcome.unitsShown,
+    feedback: outcome.feedback,
+    nextStep: outcome.nextStep,
+    recordedAt: now,
+    recordedBy: user._id,
+  };
+  visit.interaction = interaction._id;
+  await visit.save();
+
+  const previousStatus = lead.status;
+  for (const status of visitStatusPath(previousStatus)) {
+    lead.status = status;
+    lead.statusHistory.push({ status, changedAt: now, changedBy: user._id, note: 'Site visit completed' });
+  }
+  lead.updateActivitySummary('site_visit');
+  await lead.save();
+
+  await handleLeadStatusChangeSideEffects(lead, previousStatus, lead.status, user);
+
+  return { visit, lead, previousStatus };
+};
+
+/**
+ * Mark a scheduled visit whose slot has passed as a no-show.
+ * @returns {Promise<Object>} the SiteVisit
+ */
+export const markSiteVisitNoShow = async (visitId, { organization, note, user, verifyAccess, now = new Date() }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  if (visit.status !== 'scheduled') {
+    throw httpError(409, `Only scheduled visits can be marked no-show (this one is ${visit.status}).`);
+  }
+  if (visit.scheduledAt > now) throw httpError(409, 'This visit has not started yet.');
+  visit.status = 'no_show';
+  if (note) visit.notes = [visit.notes, note].filter(Boolean).join('\n');
+  await visit.save();
+  await logLeadNote(visit, user._id, `Client did not show up for the site visit${note ? `: ${note}` : '.'}`);
+  return visit;
+};
+
+// ─── Reads ─────────────────────────────────────────────────────────────────
+
+/**
+ * Slots at a project's sales office on one date. With an executive, a slot is
+ * available only when their calendar is free; without one, every future slot
+ * is open and `booked` shows how many visits the office already has in it.
+ * @returns {Promise<{date: string, timezone: string, slots: Array}>}
+ */
+export const getSiteVisitAvailability = async ({ organization, projectId, date, salesExecutive, verifyAccess, now = new Date() }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(projectId))) throw httpError(400, 'Invalid project id.');
+  verifyAccess?.(projectId);
+  const project = await Project.findOne({ _id: projectId, organization }).select('salesOffice').lean();
+  if (!project) throw httpError(404, 'Project not found.');
+
+  const hours = officeHours(project);
+  const day = date || localDateKey(now, hours.timezone);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw httpError(400, 'date must be YYYY-MM-DD.');
+  const dayStart = zonedDateTime(day, 0, hours.timezone);
+
+  const query = {
+    organization,
+    status: { $in: ACTIVE_VISIT_STATUSES },
+    scheduledAt: { $lt: new Date(dayStart.getTime() + DAY_MS) },
+    endsAt: { $gt: dayStart },
+  };
+  if (salesExecutive) query.salesExecutive = salesExecutive;
+  else query.project = project._id;
+  const busy = await SiteVisit.find(query).select('scheduledAt endsAt').lean();
+
+  let slots = buildVisitSlots({ date: day, hours, busy, now });
+  if (!salesExecutive) slots = slots.map((slot) => ({ ...slot, available: slot.start > now }));
+  return { date: day, timezone: hours.timezone, slots };
+};
+
+/**
+ * Site visits matching the filters, soonest first.
+ */
+export const listSiteVisits = async ({ organization, projectFilter = {}, projectId, leadId, salesExecutive, status, from, to, limit = 100 }) => {
+  const query = { organization, ...projectFilter };
+  if (projectId) query.project = projectId;
+  if (leadId) query.lead = leadId;
+  if (salesExecutive) query.salesExecutive = salesExecutive;
+  if (status) query.status = status;
+  if (from || to) {
+    query.scheduledAt = {};
+    if (from) query.scheduledAt.$gte = new Date(from);
+    if (to) query.scheduledAt.$lte = new Date(to);
+  }
+  return SiteVisit.find(query)
+    .sort({ scheduledAt: 1 })
+    .limit(limit)
+    .populate('lead', 'firstName lastName phone email status')
+    .populate('salesExecutive', 'firstName lastName')
+    .populate('channelPartner.channelPartner', 'firmName')
+    .lean();
+};
+
+export const getSiteVisit = async (visitId, { organization, verifyAccess }) => {
+  const visit = await loadVisit(visitId, organization, verifyAccess);
+  return visit.populate([
+    { path: 'lead', select: 'firstName lastName phone email status' },
+    { path: 'project', select: 'name salesOffice' },
+    { path: 'salesExecutive', select: 'firstName lastName' },
+    { path: 'channelPartner.channelPartner', select: 'firmName' },
+    { path: 'rescheduledFrom', select: 'scheduledAt cancellation' },
+  ]);
+};
+
+/**
+ * A project's visits for one local date, grouped by sales executive, with
+ * per-status counts — the manager's daily roster.
+ * @returns {Promise<{date: string, timezone: string, summary: Object, executives: Array}>}
+ */
+export const getDailyRoster = async ({ organization, projectId, date, verifyAccess, now = new Date() }) => {
+  if (!mongoose.Types.ObjectId.isValid(String(projectId))) throw httpError(400, 'Invalid project id.');
+  verifyAccess?.(projectId);
+  const project = await Project.findOne({ _id: projectId, organization }).select('name salesOffice').lean();
+  if (!project) throw httpError(404, 'Project not found.');
+
+  const hours = officeHours(project);
+  const day = date || localDateKey(now, hours.timezone);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) throw httpError(400, 'date must be YYYY-MM-DD.');
+  const dayStart = zonedDateTime(day, 0, hours.timezone);
+
+  const visits = await SiteVisit.find({
+    organization,
+    project: project._id,
+    scheduledAt: { $gte: dayStart, $lt: new Date(dayStart.getTime() + DAY_MS) },
+  })
+    .sort({ scheduledAt: 1 })
+    .populate('lead', 'firstName lastName phone status')
+    .populate('salesExecutive', 'firstName lastName')
+    .populate('channelPartner.channelPartner', 'firmName')
+    .lean();
+
+  const summary = { total: visits.length, scheduled: 0, checked_in: 0, completed: 0, cancelled: 0, no_show: 0 };
+  const byExecutive = new Map();
+  for (const visit of visits) {
+    summary[visit.status] += 1;
+    const key = String(visit.salesExecutive?._id || visit.salesExecutive);
+    if (!byExecutive.has(key)) byExecutive.set(key, { salesExecutive: visit.salesExecutive, visits: [] });
+    byExecutive.get(key).visits.push(visit);
+  }
+
+  return {
+    project: { _id: project._id, name: project.name },
+    date: day,
+    timezone: hours.timezone,
+    summary,
+    executives: [...byExecutive.values()],
+  };
+};
+
+// ─── Reminders ─────────────────────────────────────────────────────────────
+
+/**
+ * Which reminder (if any) a scheduled visit is due at `now`. Each type goes
+ * out once; a visit booked inside the upcoming window only gets 'upcoming'.
+ * @param {Object} visit
+ * @param {Date} [now=new Date()]
+ * @returns {'day_before'|'upcoming'|null}
+ */
+export const dueVisitReminder = (visit, now = new Date()) => {
+  const until = new Date(visit.scheduledAt) - now;
+  if (until <= 0) return null;
+  const sent = new Set((visit.reminders || []).map((r) => r.type));
+  if (until <= UPCOMING_REMINDER_MINUTES * MINUTE_MS) return sent.has('upcoming') ? null : 'upcoming';
+  if (until <= DAY_MS) return sent.has('day_before') ? null : 'day_before';
+  return null;
+};
+
+/**
+ * Send due reminders for scheduled visits in the next day: email to the
+ * client and an in-app nudge to the sales executive.
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{reminded: number, failed: Array}>}
+ */
+export const sendSiteVisitReminders = async (now = new Date()) => {
+  const visits = await SiteVisit.find({
+    status: 'scheduled',
+    scheduledAt: { $gt: now, $lte: new Date(now.getTime() + DAY_MS) },
+  }).limit(REMINDER_SWEEP_BATCH);
+
+  const summary = { reminded: 0, failed: [] };
+  for (const visit of visits) {
+    const type = dueVisitReminder(visit, now);
+    if (!type) continue;
+    try {
+      const { lead, project, executive } = await loadVisitContext(visit);
+      const emailed = await emailClient(type, visit, { lead, project, executive });
+      await notifyExecutive(visit, {
+        type: 'site_visit_reminder',
+        title: `${type === 'upcoming' ? 'Starting soon' : 'Tomorrow'}: site visit with ${fullName(lead)}`,
+        message: `${project?.name || 'Project'} — ${formatVisitTime(visit.scheduledAt, officeHours(project).timezone)}`,
+      });
+      visit.reminders.push({ type, channel: 'in_app', sentAt: now });
+      if (emailed) visit.reminders.push({ type, channel: 'email', sentAt: now });
+      await visit.save();
+      summary.reminded += 1;
+    } catch (err) {
+      summary.failed.push({ visit: String(visit._id), error: err.message });
+    }
+  }
+  return summary;
+};
+
+export default {
+  bookSiteVisit,
+  rescheduleSiteVisit,
+  cancelSiteVisit,
+  checkInSiteVisit,
+  recordSiteVisitOutcome,
+  markSiteVisitNoShow,
+  getSiteVisitAvailability,
+  listSiteVisits,
+  getSiteVisit,
+  getDailyRoster,
+  sendSiteVisitReminders,
+};
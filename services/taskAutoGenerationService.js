@@ -90,6 +90,7 @@ class TaskAutoGenerationService {
           await this.checkMissedFollowUps(org._id);
           await this.checkDelayedMilestones(org._id);
           await this.checkNewSaleOnboarding(org._id);
+          await this.checkSaleLifecycleSlas(org._id);
         } catch (err) {
           console.error(
             `❌ [TaskAutoGen] Error for org ${org._id}: ${err.message}`
@@ -385,6 +386,102 @@ class TaskAutoGenerationService {
     }
   }
 
+  /**
+   * Create the task that works one post-sales workflow stage. Called by
+   * postSalesService when the stage starts; the task is due when the stage's
+   * SLA runs out, so overdue stages escalate like any other task.
+   *
+   * @param {{ lifecycle: object, stage: object, sale: object, userId: ObjectId }} args
+   * @returns {Promise<object|null>} the Task, or null if it already exists
+   */
+  async createSaleLifecycleTask({ lifecycle, stage, sale, userId }) {
+    const dedupKey = `sale_lifecycle_${lifecycle._id}_${stage.key}`;
+    const exists = await Task.findOne({
+      'autoGenerated.deduplicationKey': dedupKey,
+    }).select('_id');
+    if (exists) return null;
+
+    const unitLabel = sale.unit?.unitNumber ? `Unit ${sale.unit.unitNumber}` : 'Unit';
+    const buyer =
+      [sale.lead?.firstName, sale.lead?.lastName].filter(Boolean).join(' ') || 'Buyer';
+    const documents = (stage.documents || []).filter((d) => d.required);
+
+    const newTask = await Task.create({
+      organization: lifecycle.organization,
+      title: `${stage.label}: ${buyer} — ${unitLabel}`,
+      description:
+        `Post-sales stage "${stage.label}" has started for ${buyer} (${unitLabel}). ` +
+        `Complete it by ${stage.dueAt?.toLocaleDateString()}` +
+        (documents.length ? ', collecting and verifying the documents on the checklist.' : '.') +
+        (stage.requiresAppointment ? ' An appointment must be scheduled before it can be completed.' : ''),
+      category: 'Document & Compliance',
+      priority: 'Medium',
+      status: 'Open',
+      assignedTo: stage.assignee || sale.salesPerson || userId,
+      assignedBy: userId,
+      assignmentType: 'system',
+      dueDate: stage.dueAt,
+      sla: { targetResolutionHours: stage.slaDays * 24 },
+      linkedEntity: {
+        entityType: 'Sale',
+        entityId: sale._id,
+        displayLabel: `Sale - ${buyer} (${unitLabel})`,
+      },
+      checklist: documents.map((d, i) => ({ text: d.label, order: i + 1 })),
+      autoGenerated: {
+        isAutoGenerated: true,
+        triggerType: 'sale_lifecycle_stage',
+        triggerEntityType: 'Sale',
+        triggerEntityId: sale._id,
+        deduplicationKey: dedupKey,
+      },
+      createdBy: userId,
+    });
+    notifyTaskAutoGenerated({ task: newTask }).catch(() => {});
+    return newTask;
+  }
+
+  /**
+   * Flag post-sales stages that have run past their SLA and raise the
+   * priority of the task working them (Critical after a week).
+   */
+  async checkSaleLifecycleSlas(organizationId) {
+    try {
+      const { default: SaleLifecycle } = await import(
+        '../models/saleLifecycleModel.js'
+      );
+
+      const now = new Date();
+      const lifecycles = await SaleLifecycle.find({
+        organization: organizationId,
+        status: 'active',
+        stages: {
+          $elemMatch: { status: 'in_progress', dueAt: { $lt: now } },
+        },
+      }).limit(100);
+
+      for (const lifecycle of lifecycles) {
+        const stage = lifecycle.stages.find(
+          (s) => s.status === 'in_progress' && s.dueAt < now
+        );
+        if (!stage.slaBreachedAt) {
+          stage.slaBreachedAt = now;
+          await lifecycle.save();
+        }
+        if (stage.task) {
+          await Task.updateOne(
+            { _id: stage.task, status: { $nin: ['Completed', 'Cancelled'] } },
+            { $set: { priority: daysAgo(stage.dueAt) > 7 ? 'Critical' : 'High' } }
+          );
+        }
+      }
+    } catch (err) {
+      console.error(
+        `❌ [TaskAutoGen] checkSaleLifecycleSlas error: ${err.message}`
+      );
+    }
+  }
+
   /**
    * Generate tasks from recurring task definitions
    */
@@ -2,6 +2,13 @@
 // Description: Email notifications for task events (assignments, overdue, mentions, escalations)
 
 import { sendEmail } from '../utils/emailService.js';
+import { buildTaskInvite } from './calendarService.js';
+import { icsAttachment } from '../utils/icsCalendar.js';
+
+// All-day calendar entry for the task's due date, so the assignee can drop it
+// into their calendar straight from the email.
+const dueDateAttachments = (task) =>
+  (task?.dueDate ? [icsAttachment(buildTaskInvite(task), 'PUBLISH', `${task.taskNumber || 'task'}.ics`)] : undefined);
 
 /**
  * Build a simple HTML email body for task notifications
@@ -44,6 +51,7 @@ export async function notifyTaskAssigned({ assignee, assigner, task }) {
           <strong>Due:</strong> ${task.dueDate ? new Date(task.dueDate).toLocaleDateString() : 'No due date'}<br/>
           <strong>Category:</strong> ${task.category}`,
       }),
+      attachments: dueDateAttachments(task),
     });
   } catch (err) {
     console.error(`❌ [TaskNotify] notifyTaskAssigned failed: ${err.message}`);
@@ -144,6 +152,7 @@ export async function notifyTaskDueSoon({ assignee, task }) {
           <strong>Due Date:</strong> ${new Date(task.dueDate).toLocaleDateString()}<br/>
           <strong>Priority:</strong> ${task.priority}`,
       }),
+      attachments: dueDateAttachments(task),
     });
   } catch (err) {
     console.error(
@@ -0,0 +1,441 @@
+// File: services/unitHoldService.js
+// Description: Time-boxed unit holds. Placing a hold flips the unit to
+//   'blocked' and records who holds it, for which lead and until when.
+//   Extensions beyond the policy threshold go through the UNIT_HOLD_EXTENSION
+//   approval; createSale converts the hold when the same lead books; the
+//   release job (jobs/releaseExpiredUnitHolds.js) expires lapsed holds and
+//   puts the unit back on the market. Notifications are best-effort.
+
+import UnitHold, { DEFAULT_HOLD_HOURS, MAX_HOLD_HOURS } from '../models/unitHoldModel.js';
+import Unit from '../models/unitModel.js';
+import Lead from '../models/leadModel.js';
+import Interaction from '../models/interactionModel.js';
+import { createApprovalRequest } from './approvalService.js';
+import { createNotification } from './notificationService.js';
+import { httpError } from '../utils/httpError.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Holds expiring within this window get a one-time heads-up to the holder.
+export const EXPIRY_REMINDER_HOURS = Number(process.env.UNIT_HOLD_REMINDER_HOURS) || 6;
+
+// Ageing buckets reported by the inventory endpoints, in hours held.
+export const HOLD_AGEING_BUCKETS = [
+  { key: 'under24h', label: '< 24 hours', maxHours: 24 },
+  { key: 'oneToThreeDays', label: '1–3 days', maxHours: 72 },
+  { key: 'threeToSevenDays', label: '3–7 days', maxHours: 168 },
+  { key: 'overSevenDays', label: '7+ days', maxHours: Infinity },
+];
+
+// ─── Internal helpers ──────────────────────────────────────────────────────
+
+const fullName = (doc) =>
+  [doc?.firstName, doc?.lastName].filter(Boolean).join(' ') || 'the lead';
+
+async function logLeadNote(hold, userId, content) {
+  try {
+    await Interaction.create({
+      lead: hold.lead,
+      user: userId,
+      organization: hold.organization,
+      type: 'Note',
+      content,
+    });
+  } catch (err) {
+    console.warn('[unitHoldService] interaction log failed (non-fatal):', err.message);
+  }
+}
+
+// Put the unit back on the market — only if it is still blocked, so a unit
+// that was meanwhile booked or sold is never flipped back to available.
+async function reopenUnit(unitId) {
+  await Unit.updateOne({ _id: unitId, status: 'blocked' }, { $set: { status: 'available' } });
+}
+
+// ─── Pure helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Clamp a requested hold duration to [1, MAX_HOLD_HOURS], falling back to
+ * DEFAULT_HOLD_HOURS when nothing usable was sent.
+ * @param {*} hours
+ * @returns {number}
+ */
+export function normalizeHoldHours(hours) {
+  const n = Number(hours);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_HOLD_HOURS;
+  return Math.min(Math.ceil(n), MAX_HOLD_HOURS);
+}
+
+/**
+ * Summarise a set of active holds for inventory reporting: counts, expiring
+ * soon, average/oldest age and the ageing-bucket histogram.
+ *
+ * @param {Array<{heldAt: Date, expiresAt: Date}>} holds - active holds
+ * @param {Date} [now=new Date()]
+ * @returns {{activeHolds:number, expiringWithin24h:number, pastExpiry:number,
+ *   averageAgeHours:number, oldestAgeHours:number, ageing:Object<string,number>}}
+ */
+export function summarizeHoldAgeing(holds = [], now = new Date()) {
+  const ageing = Object.fromEntries(HOLD_AGEING_BUCKETS.map((b) => [b.key, 0]));
+  let totalAge = 0;
+  let oldest = 0;
+  let expiringWithin24h = 0;
+  let pastExpiry = 0;
+
+  for (const h of holds) {
+    const ageHours = Math.max(0, (now - new Date(h.heldAt)) / HOUR_MS);
+    totalAge += ageHours;
+    oldest = Math.max(oldest, ageHours);
+
+    const bucket = HOLD_AGEING_BUCKETS.find((b) => ageHours < b.maxHours);
+    ageing[bucket.key] += 1;
+
+    const hoursLeft = (new Date(h.expiresAt) - now) / HOUR_MS;
+    if (hoursLeft <= 0) pastExpiry += 1;
+    else if (hoursLeft <= 24) expiringWithin24h += 1;
+  }
+
+  return {
+    activeHolds: holds.length,
+    expiringWithin24h,
+    pastExpiry,
+    averageAgeHours: holds.length ? Math.round(totalAge / holds.length) : 0,
+    oldestAgeHours: Math.round(oldest),
+    ageing,
+  };
+}
+
+// ─── Queries ───────────────────────────────────────────────────────────────
+
+/**
+ * Active-hold summary for an inventory filter. `match` uses the same
+ * organization/project/tower keys as the Unit statistics query.
+ */
+export async function getActiveHoldSummary(match, now = new Date()) {
+  const holds = await UnitHold.find({ ...match, status: 'active' })
+    .select('heldAt expiresAt')
+    .lean();
+  return summarizeHoldAgeing(holds, now);
+}
+
+/** The active hold on a unit, or null. Honors an optional session. */
+export function findActiveHold(unitId, session = null) {
+  const q = UnitHold.findOne({ unit: unitId, status: 'active' });
+  return session ? q.session(session) : q;
+}
+
+// ─── Lifecycle ─────────────────────────────────────────────────────────────
+
+/**
+ * Place a hold on an available unit for a lead.
+ *
+ * @param {Object} params
+ * @param {Object} params.unit - Unit document (already org/project-checked)
+ * @param {string} params.leadId
+ * @param {number} [params.hours] - defaults to DEFAULT_HOLD_HOURS
+ * @param {string} [params.reason]
+ * @param {Object} params.user - req.user
+ * @returns {Promise<Object>} the created UnitHold
+ */
+export async function placeHold({ unit, leadId, hours, reason, user }) {
+  if (!leadId) throw httpError(400, 'leadId is required to hold a unit');
+  if (unit.status !== 'available') {
+    throw httpError(409, `Unit is not available. Current status: ${unit.status}`);
+  }
+
+  const lead = await Lead.findOne({ _id: leadId, organization: user.organization })
+    .select('firstName lastName project')
+    .lean();
+  if (!lead) throw httpError(404, 'Lead not found or not accessible');
+
+  // Claim the unit atomically — a concurrent hold or booking loses here.
+  const claimed = await Unit.findOneAndUpdate(
+    { _id: unit._id, status: 'available' },
+    { $set: { status: 'blocked' } },
+    { new: true }
+  );
+  if (!claimed) throw httpError(409, 'Unit was just taken by another hold or booking');
+
+  const heldAt = new Date();
+  let hold;
+  try {
+    hold = await UnitHold.create({
+      organization: user.organization,
+      project: unit.project?._id || unit.project,
+      tower: unit.tower?._id || unit.tower || undefined,
+      unit: unit._id,
+      lead: lead._id,
+      heldBy: user._id,
+      reason,
+      priceAtHold: unit.currentPrice,
+      heldAt,
+      expiresAt: new Date(heldAt.getTime() + normalizeHoldHours(hours) * HOUR_MS),
+    });
+  } catch (err) {
+    await reopenUnit(unit._id);
+    if (err.code === 11000) throw httpError(409, 'Unit already has an active hold');
+    throw err;
+  }
+
+  await logLeadNote(
+    hold,
+    user._id,
+    `Unit ${unit.unitNumber} held for ${fullName(lead)} until ${hold.expiresAt.toISOString()}.`
+  );
+
+  return hold;
+}
+
+/**
+ * Extend an active hold. Extensions within the UNIT_HOLD_EXTENSION policy
+ * threshold apply immediately; longer ones wait for approval (resolved via
+ * resolveHoldExtension from approvalService propagation).
+ *
+ * @returns {Promise<{hold: Object, pendingApproval: boolean, approvalRequest?: Object}>}
+ */
+export async function extendHold({ hold, hours, reason, user }) {
+  if (hold.status !== 'active') {
+    throw httpError(409, `Only active holds can be extended (status: ${hold.status})`);
+  }
+  if (hold.hasPendingExtension) {
+    throw httpError(409, 'An extension for this hold is already awaiting approval');
+  }
+  const extensionHours = Number(hours);
+  if (!Number.isFinite(extensionHours) || extensionHours <= 0) {
+    throw httpError(400, 'hours must be a positive number');
+  }
+
+  const newExpiresAt = new Date(hold.expiresAt.getTime() + Math.ceil(extensionHours) * HOUR_MS);
+  if (newExpiresAt - Date.now() > MAX_HOLD_HOURS * HOUR_MS) {
+    throw httpError(400, `A hold cannot run more than ${MAX_HOLD_HOURS} hours from now`);
+  }
+
+  hold.extensions.push({
+    previousExpiresAt: hold.expiresAt,
+    newExpiresAt,
+    reason,
+    requestedBy: user._id,
+    status: 'pending',
+  });
+  await hold.save();
+  const extension = hold.extensions[hold.extensions.length - 1];
+
+  let approvalResult;
+  try {
+    const unit = await Unit.findById(hold.unit).select('unitNumber').lean();
+    approvalResult = await createApprovalRequest({
+      organizationId: hold.organization,
+      projectId: hold.project,
+      approvalType: 'UNIT_HOLD_EXTENSION',
+      entityType: 'UnitHold',
+      entityId: hold._id,
+      requestedBy: user._id,
+      requestData: {
+        extensionHours: Math.ceil(extensionHours),
+        currentExpiresAt: hold.expiresAt,
+        requestedExpiresAt: newExpiresAt,
+        unitId: hold.unit,
+        leadId: hold.lead,
+      },
+      priority: extensionHours > 72 ? 'High' : 'Medium',
+      title: `Extend hold on ${unit?.unitNumber || 'unit'} by ${Math.ceil(extensionHours)}h`,
+      description: `Hold extension requested until ${newExpiresAt.toISOString()}. Reason: ${reason || 'No reason provided'}`,
+    });
+  } catch (err) {
+    // Without an approval request the extension would stay pending forever
+    // and block every later one.
+    hold.extensions.splice(hold.extensions.indexOf(extension), 1);
+    await hold.save();
+    throw err;
+  }
+
+  if (approvalResult.approved) {
+    extension.status = 'applied';
+    extension.resolvedAt = new Date();
+    hold.expiresAt = newExpiresAt;
+    hold.expiryReminderSentAt = null;
+    await hold.save();
+    return { hold, pendingApproval: false };
+  }
+
+  extension.approvalRequest = approvalResult.approvalRequest?._id;
+  await hold.save();
+  return { hold, pendingApproval: true, approvalRequest: approvalResult.approvalRequest };
+}
+
+/**
+ * Close out the pending extension on a hold after its approval is decided.
+ * Called from approvalService propagation; a no-op when nothing is pending.
+ *
+ * @param {string} holdId
+ * @param {'approved'|'rejected'} decision
+ * @param {string} resolvedBy
+ */
+export async function resolveHoldExtension(holdId, decision, resolvedBy) {
+  const hold = await UnitHold.findById(holdId);
+  if (!hold) return null;
+  const extension = hold.extensions.find((e) => e.status === 'pending');
+  if (!extension) return hold;
+
+  extension.resolvedBy = resolvedBy;
+  extension.resolvedAt = new Date();
+
+  // An approval that lands after the hold ended cannot revive it.
+  if (decision === 'approved' && hold.status === 'active') {
+    extension.status = 'applied';
+    hold.expiresAt = extension.newExpiresAt;
+    hold.expiryReminderSentAt = null;
+  } else {
+    extension.status = 'rejected';
+  }
+
+  await hold.save();
+  return hold;
+}
+
+/**
+ * Release an active hold by hand and return the unit to inventory.
+ */
+export async function releaseHold({ hold, reason, user }) {
+  if (hold.status !== 'active') {
+    throw httpError(409, `Hold is not active (status: ${hold.status})`);
+  }
+
+  hold.status = 'released';
+  hold.releasedAt = new Date();
+  hold.releasedBy = user._id;
+  hold.releaseReason = reason || 'Released manually';
+  closePendingExtensions(hold);
+  await hold.save();
+  await reopenUnit(hold.unit);
+
+  if (String(hold.heldBy) !== String(user._id)) {
+    const unit = await Unit.findById(hold.unit).select('unitNumber').lean();
+    await createNotification({
+      organization: hold.organization,
+      recipient: hold.heldBy,
+      type: 'unit_hold_released',
+      title: `Hold on ${unit?.unitNumber || 'unit'} was released`,
+      message: `Your hold was released by a colleague. Reason: ${hold.releaseReason}`,
+      actionUrl: `/units/${hold.unit}`,
+      relatedEntity: { entityType: 'UnitHold', entityId: hold._id, displayLabel: unit?.unitNumber },
+      priority: 'medium',
+      actor: user._id,
+    });
+  }
+
+  await logLeadNote(hold, user._id, `Unit hold released. Reason: ${hold.releaseReason}`);
+  return hold;
+}
+
+/**
+ * Mark a hold as converted into a Sale. Runs inside createSale's transaction.
+ */
+export async function markHoldConverted(hold, saleId, session = null) {
+  hold.status = 'converted';
+  hold.convertedSale = saleId;
+  hold.releasedAt = new Date();
+  hold.releaseReason = 'Converted to sale';
+  closePendingExtensions(hold);
+  await hold.save(session ? { session } : {});
+  return hold;
+}
+
+function closePendingExtensions(hold) {
+  for (const ext of hold.extensions || []) {
+    if (ext.status === 'pending') {
+      ext.status = 'rejected';
+      ext.resolvedAt = new Date();
+    }
+  }
+}
+
+// ─── Background job ────────────────────────────────────────────────────────
+
+/**
+ * Expire every active hold past its expiry, return the units to inventory
+ * and notify the holders; then send a one-time reminder for holds about to
+ * lapse. Idempotent — a re-run finds nothing left to do.
+ *
+ * @param {Date} [now=new Date()]
+ * @returns {Promise<{expired:number, reminded:number, failed:Array}>}
+ */
+export async function releaseExpiredHolds(now = new Date()) {
+  const summary = { expired: 0, reminded: 0, failed: [] };
+
+  const lapsed = await UnitHold.find({ status: 'active', expiresAt: { $lte: now } })
+    .populate('unit', 'unitNumber')
+    .populate('lead', 'firstName lastName');
+
+  for (const hold of lapsed) {
+    try {
+      hold.status = 'expired';
+      hold.releasedAt = now;
+      hold.releaseReason = 'Hold expired';
+      closePendingExtensions(hold);
+      await hold.save();
+      await reopenUnit(hold.unit?._id || hold.unit);
+      summary.expired++;
+
+      const unitLabel = hold.unit?.unitNumber || 'unit';
+      await createNotification({
+        organization: hold.organization,
+        recipient: hold.heldBy,
+        type: 'unit_hold_released',
+        title: `Hold on ${unitLabel} expired`,
+        message: `Your hold for ${fullName(hold.lead)} lapsed and ${unitLabel} is back in inventory.`,
+        actionUrl: `/units/${hold.unit?._id || hold.unit}`,
+        relatedEntity: { entityType: 'UnitHold', entityId: hold._id, displayLabel: unitLabel },
+        priority: 'high',
+      });
+    } catch (err) {
+      summary.failed.push({ hold: String(hold._id), step: 'expire', error: err.message });
+    }
+  }
+
+  const reminderCutoff = new Date(now.getTime() + EXPIRY_REMINDER_HOURS * HOUR_MS);
+  const expiringSoon = await UnitHold.find({
+    status: 'active',
+    expiresAt: { $gt: now, $lte: reminderCutoff },
+    expiryReminderSentAt: null,
+  })
+    .populate('unit', 'unitNumber')
+    .populate('lead', 'firstName lastName');
+
+  for (const hold of expiringSoon) {
+    try {
+      const unitLabel = hold.unit?.unitNumber || 'unit';
+      const hoursLeft = Math.max(1, Math.round((hold.expiresAt - now) / HOUR_MS));
+      await createNotification({
+        organization: hold.organization,
+        recipient: hold.heldBy,
+        type: 'unit_hold_expiring',
+        title: `Hold on ${unitLabel} expires in ${hoursLeft}h`,
+        message: `Book, extend or release the hold for ${fullName(hold.lead)} before it lapses.`,
+        actionUrl: `/units/${hold.unit?._id || hold.unit}`,
+        relatedEntity: { entityType: 'UnitHold', entityId: hold._id, displayLabel: unitLabel },
+        priority: 'medium',
+      });
+      hold.expiryReminderSentAt = now;
+      await hold.save();
+      summary.reminded++;
+    } catch (err) {
+      summary.failed.push({ hold: String(hold._id), step: 'remind', error: err.message });
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  normalizeHoldHours,
+  summarizeHoldAgeing,
+  getActiveHoldSummary,
+  findActiveHold,
+  placeHold,
+  extendHold,
+  resolveHoldExtension,
+  releaseHold,
+  markHoldConverted,
+  releaseExpiredHolds,
+};
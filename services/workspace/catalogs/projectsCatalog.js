@@ -21,6 +21,31 @@ export const PROJECT_TYPE_VALUES = [
 
 const toObjectId = (v) => (v instanceof ObjectId ? v : new ObjectId(String(v)));
 
+// Active unit holds for the row's project, pulled into a temporary array so a
+// derived field can count or age them. The array is dropped again so rows do
+// not carry hold documents.
+const activeHoldStages = (alias, addFields) => [
+  {
+    $lookup: {
+      from: 'unitholds',
+      let: { projectId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [{ $eq: ['$project', '$$projectId'] }, { $eq: ['$status', 'active'] }],
+            },
+          },
+        },
+        { $project: { heldAt: 1 } },
+      ],
+      as: alias,
+    },
+  },
+  { $addFields: addFields },
+  { $unset: alias },
+];
+
 /** @type {import('../catalogs/index.js').FieldDescriptor[]} */
 const fields = [
   {
@@ -99,6 +124,46 @@ const fields = [
     displayable: true,
     toMatch: (op, value) => buildMatch('expectedCompletionDate', op, value),
   },
+  {
+    key: 'activeHolds',
+    label: 'Active Unit Holds',
+    type: 'number',
+    operators: [OPERATORS.GT, OPERATORS.LT, OPERATORS.GTE, OPERATORS.LTE, OPERATORS.BETWEEN],
+    displayable: true,
+    derived: true,
+    addFields: () =>
+      activeHoldStages('_activeHoldsForCount', {
+        activeHolds: { $size: '$_activeHoldsForCount' },
+      }),
+    toMatch: (op, value) => buildMatch('activeHolds', op, value),
+  },
+  {
+    key: 'oldestHoldAgeDays',
+    label: 'Oldest Hold (days)',
+    type: 'number',
+    operators: [OPERATORS.GT, OPERATORS.LT, OPERATORS.GTE, OPERATORS.LTE, OPERATORS.BETWEEN],
+    displayable: true,
+    derived: true,
+    // Hold ageing: days since the longest-standing active hold was placed
+    // (0 when the project has no active holds).
+    addFields: () =>
+      activeHoldStages('_activeHoldsForAge', {
+        oldestHoldAgeDays: {
+          $cond: [
+            { $gt: [{ $size: '$_activeHoldsForAge' }, 0] },
+            {
+              $dateDiff: {
+                startDate: { $min: '$_activeHoldsForAge.heldAt' },
+                endDate: '$$NOW',
+                unit: 'day',
+              },
+            },
+            0,
+          ],
+        },
+      }),
+    toMatch: (op, value) => buildMatch('oldestHoldAgeDays', op, value),
+  },
   {
     key: 'createdAt',
     label: 'Created',
@@ -0,0 +1,375 @@
+// tests/unit/bankReconciliation.test.js
+// Unit tests for services/bankStatementParser.js (CSV, MT940, CAMT.053) and
+// services/bankReconciliationService.js — scoring, line ↔ transaction
+// assignment, the finance review actions and the statement view. All I/O is
+// mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockStatementFindOne = jest.fn();
+jest.unstable_mockModule('../../models/bankStatementModel.js', () => ({
+  default: { create: jest.fn(), find: jest.fn(), findOne: mockStatementFindOne },
+}));
+
+const mockLineFindOne = jest.fn();
+const mockLineFind = jest.fn();
+jest.unstable_mockModule('../../models/bankStatementLineModel.js', () => ({
+  default: { findOne: mockLineFindOne, find: mockLineFind, insertMany: jest.fn() },
+}));
+
+const mockTxnFindOne = jest.fn();
+const mockTxnFind = jest.fn();
+const mockTxnUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentTransactionModel.js', () => ({
+  default: { findOne: mockTxnFindOne, find: mockTxnFind, updateOne: mockTxnUpdateOne },
+}));
+
+jest.unstable_mockModule('../../services/chequeService.js', () => ({
+  refreshDepositBatch: jest.fn(),
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const { parseBankStatement, detectStatementFormat, parseStatementAmount } =
+  await import('../../services/bankStatementParser.js');
+const { scoreMatch, matchStatementLines, confirmLineMatch, ignoreLine, getStatement } =
+  await import('../../services/bankReconciliationService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const day = (s) => new Date(`${s}T00:00:00Z`);
+
+const CSV = `Date,Narration,Chq./Ref.No.,Value Dt,Withdrawal Amt.,Deposit Amt.,Closing Balance
+02/01/26,NEFT CR-HDFC0001-ASHA RAO-UTR998877,UTR998877,02/01/26,,"1,50,000.00","2,50,000.00"
+03/01/26,CHQ DEP 000123,000123,04/01/26,,75000.00,
+05/01/26,BANK CHARGES,,05/01/26,118.00,,
+`;
+
+const MT940 = `{1:F01HDFCINBBAXXX}{4:
+:20:STMT0001
+:25:HDFC/50200012345678
+:28C:1/1
+:60F:C260101INR100000,00
+:61:2601020102C150000,00NTRFUTR998877//HDFC123
+NEFT CREDIT
+:86:NEFT CR ASHA RAO UTR998877
+:61:2601040104C75000,00NCHK000123//HDFC124
+:86:CHQ DEP 000123
+:61:2601050105D118,00NCHGNONREF
+:86:BANK CHARGES
+:62F:C260105INR324882,00
+-}`;
+
+const CAMT = `<?xml version="1.0"?><Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02"><BkToCstmrStmt><Stmt><Id>1</Id>
+<Acct><Id><Othr><Id>50200012345678</Id></Othr></Id><Ccy>INR</Ccy><Svcr><FinInstnId><Nm>HDFC Bank</Nm></FinInstnId></Svcr></Acct>
+<Bal><Tp><CdOrPrtry><Cd>OPBD</Cd></CdOrPrtry></Tp><Amt Ccy="INR">100000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-01-01</Dt></Dt></Bal>
+<Bal><Tp><CdOrPrtry><Cd>CLBD</Cd></CdOrPrtry></Tp><Amt Ccy="INR">250000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Dt><Dt>2026-01-05</Dt></Dt></Bal>
+<Ntry><Amt Ccy="INR">150000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><Dt>2026-01-02</Dt></BookgDt><ValDt><Dt>2026-01-02</Dt></ValDt><AcctSvcrRef>HDFC123</AcctSvcrRef>
+<NtryDtls><TxDtls><Refs><EndToEndId>UTR998877</EndToEndId></Refs><RmtInf><Ustrd>Booking A-501</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="INR">75000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><BookgDt><DtTm>2026-01-04T10:00:00</DtTm></BookgDt><NtryDtls><TxDtls><Refs><ChqNb>000123</ChqNb></Refs></TxDtls></NtryDtls></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+const line = (overrides = {}) => ({
+  lineNumber: 1,
+  valueDate: day('2026-01-02'),
+  amount: 150000,
+  direction: 'credit',
+  description: 'NEFT CR ASHA RAO',
+  reference: null,
+  chequeNumber: null,
+  bankReference: null,
+  ...overrides,
+});
+
+const txn = (overrides = {}) => ({
+  _id: oid(),
+  amount: 150000,
+  netAmount: 150000,
+  paymentDate: day('2026-01-02'),
+  paymentMethod: 'bank_transfer',
+  paymentMethodDetails: {},
+  status: 'pending',
+  verification: {},
+  ...overrides,
+});
+
+// =============================================================================
+// PARSERS
+// =============================================================================
+
+describe('parseBankStatement', () => {
+  test('CSV with bank-style headers, Indian grouping and separate debit/credit columns', () => {
+    const result = parseBankStatement(CSV, { fileName: 'hdfc.csv' });
+    expect(result.format).toBe('csv');
+    expect(result.lines).toHaveLength(3);
+    const [neft, cheque, charges] = result.lines;
+    expect(neft).toMatchObject({ amount: 150000, direction: 'credit', reference: 'UTR998877' });
+    expect(neft.valueDate.toISOString().slice(0, 10)).toBe('2026-01-02');
+    expect(cheque).toMatchObject({ amount: 75000, direction: 'credit', chequeNumber: '000123' });
+    expect(cheque.valueDate.toISOString().slice(0, 10)).toBe('2026-01-04');
+    expect(charges).toMatchObject({ amount: 118, direction: 'debit' });
+  });
+
+  test('MT940 statement lines, narratives, balances and cheque numbers', () => {
+    const result = parseBankStatement(MT940);
+    expect(result.format).toBe('mt940');
+    expect(result.account.accountNumber).toBe('50200012345678');
+    expect(result.openingBalance).toBe(100000);
+    expect(result.closingBalance).toBe(324882);
+    expect(result.lines).toHaveLength(3);
+    expect(result.lines[0]).toMatchObject({ amount: 150000, direction: 'credit', bankReference: 'HDFC123' });
+    expect(result.lines[0].description).toContain('UTR998877');
+    expect(result.lines[1].chequeNumber).toBe('000123');
+    expect(result.lines[2].direction).toBe('debit');
+  });
+
+  test('CAMT.053 entries with references and balances', () => {
+    const result = parseBankStatement(CAMT);
+    expect(result.format).toBe('camt053');
+    expect(result.account).toMatchObject({ accountNumber: '50200012345678', currency: 'INR' });
+    expect(result.openingBalance).toBe(100000);
+    expect(result.closingBalance).toBe(250000);
+    expect(result.lines).toHaveLength(2);
+    expect(result.lines[0]).toMatchObject({ amount: 150000, reference: 'UTR998877', bankReference: 'HDFC123' });
+    expect(result.lines[1]).toMatchObject({ amount: 75000, chequeNumber: '000123' });
+    expect(result.lines[1].valueDate.toISOString().slice(0, 10)).toBe('2026-01-04');
+  });
+
+  test('detects the format from content', () => {
+    expect(detectStatementFormat(MT940)).toBe('mt940');
+    expect(detectStatementFormat(CAMT)).toBe('camt053');
+    expect(detectStatementFormat(CSV)).toBe('csv');
+  });
+
+  test('parses amounts with grouping, currency symbols and bracketed negatives', () => {
+    expect(parseStatementAmount('1,50,000.00')).toBe(150000);
+    expect(parseStatementAmount('₹ 2,500.50')).toBe(2500.5);
+    expect(parseStatementAmount('(118.00)')).toBe(-118);
+    expect(parseStatementAmount('')).toBeNull();
+  });
+});
+
+// =============================================================================
+// SCORING AND MATCHING
+// =============================================================================
+
+describe('scoreMatch', () => {
+  test('exact amount, same day and reference in the narration', () => {
+    const result = scoreMatch(
+      line({ description: 'NEFT CR ASHA RAO UTR998877' }),
+      txn({ paymentMethodDetails: { referenceNumber: 'UTR998877' } })
+    );
+    expect(result.reasons).toEqual(['amount', 'reference', 'same_day']);
+    expect(result.score).toBe(100);
+    expect(result.amountMatches).toBe(true);
+    expect(result.strongId).toBe(true);
+  });
+
+  test('net of processing fee counts as an amount match', () => {
+    const result = scoreMatch(line({ amount: 147000 }), txn({ netAmount: 147000, processingFee: 3000 }));
+    expect(result.reasons).toContain('net_amount');
+    expect(result.amountMatches).toBe(true);
+    expect(result.amountDiff).toBe(0);
+  });
+
+  test('cheque number matches ignoring leading zeros', () => {
+    const result = scoreMatch(
+      line({ amount: 74000, chequeNumber: '000123', valueDate: day('2026-01-06') }),
+      txn({ amount: 75000, netAmount: 75000, paymentMethod: 'cheque', paymentMethodDetails: { chequeNumber: '123' } })
+    );
+    expect(result.reasons).toEqual(['cheque_number', 'date_window']);
+    expect(result.amountMatches).toBe(false);
+    expect(result.amountDiff).toBe(-1000);
+    expect(result.strongId).toBe(true);
+  });
+});
+
+describe('matchStatementLines', () => {
+  test('auto-verifies a confident, unambiguous exact match', () => {
+    const t = txn({ paymentMethodDetails: { referenceNumber: 'UTR998877' } });
+    const [result] = matchStatementLines([line({ reference: 'UTR998877' })], [t]);
+    expect(result.decision).toBe('auto');
+    expect(result.transaction).toBe(t);
+  });
+
+  test('flags a discrepancy when the cheque matches but the amount does not', () => {
+    const t = txn({ amount: 75000, netAmount: 75000, paymentMethodDetails: { chequeNumber: '000123' } });
+    const [result] = matchStatementLines([line({ amount: 70000, chequeNumber: '000123' })], [t]);
+    expect(result.decision).toBe('discrepancy');
+    expect(result.amountDiff).toBe(-5000);
+  });
+
+  test('two equal-amount receipts on the same day only produce suggestions', () => {
+    const a = txn();
+    const b = txn();
+    const [result] = matchStatementLines([line()], [a, b]);
+    expect(result.decision).toBe('suggested');
+    expect(result.candidates).toHaveLength(2);
+  });
+
+  test('amount and date alone stay below the auto-verify threshold', () => {
+    const [result] = matchStatementLines([line()], [txn()]);
+    expect(result.decision).toBe('suggested');
+    expect(result.score).toBe(65);
+  });
+
+  test('each transaction is assigned to one line only', () => {
+    const t = txn({ paymentMethodDetails: { referenceNumber: 'UTR998877' } });
+    const results = matchStatementLines(
+      [line({ reference: 'UTR998877' }), line({ lineNumber: 2 })],
+      [t]
+    );
+    expect(results[0].transaction).toBe(t);
+    expect(results[1].decision).toBe('unmatched');
+  });
+
+  test('ignores debits and transactions outside the date window', () => {
+    const results = matchStatementLines(
+      [line({ direction: 'debit' }), line({ lineNumber: 2, valueDate: day('2026-02-01') })],
+      [txn()]
+    );
+    expect(results.map((r) => r.decision)).toEqual(['unmatched', 'unmatched']);
+    expect(results[1].candidates).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// REVIEW ACTIONS
+// =============================================================================
+
+describe('review queue actions', () => {
+  const organization = oid();
+  const user = { _id: oid() };
+
+  const lineDoc = (overrides = {}) => ({
+    _id: oid(),
+    ...line(),
+    status: 'suggested',
+    matchedTransaction: null,
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides,
+  });
+
+  const txnDoc = (overrides = {}) => {
+    const doc = {
+      ...txn(),
+      project: oid(),
+      set: jest.fn(function set(paths) { Object.assign(this, paths); }),
+      save: jest.fn().mockResolvedValue(undefined),
+      recalculatePaymentPlan: jest.fn().mockResolvedValue(undefined),
+      ...overrides,
+    };
+    return doc;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockTxnUpdateOne.mockResolvedValue({});
+  });
+
+  test('confirming an exact match verifies and clears the transaction', async () => {
+    const l = lineDoc();
+    const t = txnDoc();
+    mockLineFindOne.mockResolvedValue(l);
+    mockTxnFindOne.mockResolvedValue(t);
+    const verifyAccess = jest.fn();
+
+    await confirmLineMatch(l._id, { transactionId: t._id, organization, user, verifyAccess });
+
+    expect(verifyAccess).toHaveBeenCalledWith(t.project);
+    expect(t.status).toBe('cleared');
+    expect(t['verification.verificationStatus']).toBe('verified');
+    expect(t['verification.bankStatementMatched']).toBe(true);
+    expect(t.recalculatePaymentPlan).toHaveBeenCalled();
+    expect(l.status).toBe('matched');
+    expect(l.matchedTransaction).toBe(t._id);
+  });
+
+  test('a differing amount needs acceptDiscrepancy', async () => {
+    const l = lineDoc({ amount: 149000 });
+    const t = txnDoc();
+    mockLineFindOne.mockResolvedValue(l);
+    mockTxnFindOne.mockResolvedValue(t);
+
+    await expect(confirmLineMatch(l._id, { transactionId: t._id, organization, user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(t.save).not.toHaveBeenCalled();
+
+    await confirmLineMatch(l._id, { transactionId: t._id, acceptDiscrepancy: true, organization, user });
+    expect(t['verification.discrepancyAmount']).toBe(-1000);
+    expect(l.discrepancyAmount).toBe(-1000);
+  });
+
+  test('refuses a transaction already matched to another line', async () => {
+    mockLineFindOne.mockResolvedValue(lineDoc());
+    mockTxnFindOne.mockResolvedValue(txnDoc({ verification: { bankStatementMatched: true } }));
+
+    await expect(confirmLineMatch(oid(), { transactionId: oid(), organization, user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('ignoring a discrepancy line releases its flagged transaction', async () => {
+    const flagged = oid();
+    const l = lineDoc({ status: 'discrepancy', matchedTransaction: flagged });
+    mockLineFindOne.mockResolvedValue(l);
+
+    await ignoreLine(l._id, { reason: 'Internal transfer', organization, user });
+
+    expect(mockTxnUpdateOne).toHaveBeenCalledWith(
+      { _id: flagged, 'verification.verificationStatus': 'discrepancy' },
+      expect.objectContaining({ $set: expect.objectContaining({ 'verification.verificationStatus': 'pending' }) })
+    );
+    expect(l.status).toBe('ignored');
+    expect(l.matchedTransaction).toBeNull();
+  });
+
+  test('ignoring requires a reason', async () => {
+    mockLineFindOne.mockResolvedValue(lineDoc());
+    await expect(ignoreLine(oid(), { reason: '  ', organization, user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('getStatement', () => {
+  const organization = oid();
+  const mine = { _id: oid(), transactionNumber: 'TXN-MINE' };
+  const theirs = oid();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockStatementFindOne.mockReturnValue(chain({ _id: oid(), organization, project: null }));
+    mockLineFind.mockReturnValue(chain([
+      { lineNumber: 1, status: 'matched', matchedTransaction: mine._id, candidates: [] },
+      { lineNumber: 2, status: 'matched', matchedTransaction: theirs, candidates: [] },
+      { lineNumber: 3, status: 'suggested', matchedTransaction: null, candidates: [{ transaction: mine._id }, { transaction: theirs }] },
+    ]));
+  });
+
+  test('shows a project-limited caller only lines and candidates in their projects', async () => {
+    mockTxnFind.mockReturnValue(chain([mine]));
+    const accessFilter = { project: { $in: [oid()] } };
+
+    const { lines } = await getStatement(oid(), { organization, accessFilter });
+
+    expect(mockTxnFind).toHaveBeenCalledWith(expect.objectContaining(accessFilter));
+    expect(lines.map((l) => l.lineNumber)).toEqual([1, 3]);
+    expect(lines[0].matchedTransaction).toBe(mine);
+    expect(lines[1].candidates).toEqual([{ transaction: mine._id }]);
+  });
+
+  test('rejects a malformed id before querying', async () => {
+    await expect(getStatement('not-an-id', { organization })).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockStatementFindOne).not.toHaveBeenCalled();
+  });
+});
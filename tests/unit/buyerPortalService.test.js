@@ -0,0 +1,302 @@
+// tests/unit/buyerPortalService.test.js
+// Unit tests for services/buyerPortalService.js — identifier normalisation,
+// OTP sign-in, buyer token audience and per-booking scoping. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLeadFind = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { find: mockLeadFind },
+}));
+
+const mockSaleFind = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { find: mockSaleFind, findById: jest.fn(), hydrate: jest.fn() },
+}));
+
+const mockInstallmentFind = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind },
+}));
+
+const mockFileFind = jest.fn();
+jest.unstable_mockModule('../../models/fileModel.js', () => ({
+  default: { find: mockFileFind },
+}));
+
+for (const model of ['paymentPlanModel', 'paymentTransactionModel', 'invoiceModel', 'constructionMilestoneModel']) {
+  jest.unstable_mockModule(`../../models/${model}.js`, () => ({
+    default: { find: jest.fn(), findOne: jest.fn() },
+  }));
+}
+
+const mockOtpFindOneAndUpdate = jest.fn();
+const mockOtpFindOne = jest.fn();
+const mockOtpDeleteOne = jest.fn();
+jest.unstable_mockModule('../../models/buyerOtpModel.js', () => ({
+  default: { findOneAndUpdate: mockOtpFindOneAndUpdate, findOne: mockOtpFindOne, deleteOne: mockOtpDeleteOne },
+}));
+
+jest.unstable_mockModule('../../services/s3Service.js', () => ({
+  getPresignedDownloadUrl: jest.fn(async (key) => `https://signed/${key}`),
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  parseBuyerIdentifier,
+  phoneMatcher,
+  requestBuyerOtp,
+  verifyBuyerOtp,
+  verifyBuyerToken,
+  resolveBuyer,
+  scopeSaleIds,
+  getInstallments,
+  getDocuments,
+} = await import('../../services/buyerPortalService.js');
+const { hashOtp } = await import('../../services/reports/otp.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+
+const LEAD = { _id: oid(), firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com', phone: '+91 98450-12345' };
+const SALE = { _id: oid(), lead: LEAD._id, project: oid(), status: 'Booked' };
+
+const buyerFixture = () => ({
+  channel: 'email',
+  identifier: LEAD.email,
+  leads: [LEAD],
+  leadIds: [LEAD._id],
+  saleIds: [SALE._id],
+  projectIds: [SALE.project.toString()],
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// =============================================================================
+// parseBuyerIdentifier / phoneMatcher
+// =============================================================================
+
+describe('parseBuyerIdentifier', () => {
+  test('lower-cases and trims email', () => {
+    expect(parseBuyerIdentifier({ email: '  Asha@Example.COM ' }))
+      .toEqual({ channel: 'email', identifier: 'asha@example.com' });
+  });
+
+  test('keeps the last 10 digits of a phone number', () => {
+    expect(parseBuyerIdentifier({ phone: '+91 98450-12345' }))
+      .toEqual({ channel: 'phone', identifier: '9845012345' });
+  });
+
+  test('rejects malformed input', () => {
+    expect(parseBuyerIdentifier({ email: 'not-an-email' })).toBeNull();
+    expect(parseBuyerIdentifier({ phone: '12345' })).toBeNull();
+    expect(parseBuyerIdentifier({})).toBeNull();
+  });
+});
+
+describe('phoneMatcher', () => {
+  test('matches stored numbers with separators and country code', () => {
+    const re = phoneMatcher('9845012345');
+    expect(re.test('+91 98450-12345')).toBe(true);
+    expect(re.test('9845012345')).toBe(true);
+    expect(re.test('09845012345')).toBe(true);
+  });
+
+  test('does not match a different trailing number', () => {
+    expect(phoneMatcher('9845012345').test('98450123456')).toBe(false);
+  });
+});
+
+// =============================================================================
+// OTP sign-in
+// =============================================================================
+
+describe('requestBuyerOtp', () => {
+  test('issues and emails a code when the identifier has a live booking', async () => {
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([SALE]));
+
+    await expect(requestBuyerOtp({ email: LEAD.email })).resolves.toEqual({ sent: true });
+
+    expect(mockOtpFindOneAndUpdate).toHaveBeenCalledWith(
+      { channel: 'email', identifier: LEAD.email },
+      expect.objectContaining({ $set: expect.objectContaining({ attempts: 0 }) }),
+      expect.anything()
+    );
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: LEAD.email }));
+  });
+
+  test('phone sign-in falls back to the booking email', async () => {
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([SALE]));
+
+    await requestBuyerOtp({ phone: '9845012345' });
+
+    expect(mockLeadFind.mock.calls[0][0].phone).toBeInstanceOf(RegExp);
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: LEAD.email }));
+  });
+
+  test('answers identically but issues nothing without a live booking', async () => {
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([]));
+
+    await expect(requestBuyerOtp({ email: LEAD.email })).resolves.toEqual({ sent: true });
+    expect(mockOtpFindOneAndUpdate).not.toHaveBeenCalled();
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('400 for an invalid identifier', async () => {
+    await expect(requestBuyerOtp({ email: 'nope' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('verifyBuyerOtp', () => {
+  const otpDoc = (overrides = {}) => ({
+    _id: oid(),
+    codeHash: hashOtp('123456'),
+    expiresAt: new Date(Date.now() + 60_000),
+    attempts: 0,
+    save: jest.fn(),
+    ...overrides,
+  });
+
+  test('consumes a valid code and returns a buyer token carrying the lead ids', async () => {
+    mockOtpFindOne.mockResolvedValue(otpDoc());
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([SALE]));
+
+    const { token, buyer } = await verifyBuyerOtp({ email: LEAD.email, otp: '123456' });
+
+    expect(mockOtpDeleteOne).toHaveBeenCalled();
+    expect(buyer).toEqual({ name: 'Asha Rao', email: LEAD.email, phone: LEAD.phone, bookings: 1 });
+    const decoded = jwt.decode(token);
+    expect(decoded.aud).toBe('buyer-portal');
+    expect(decoded.leads).toEqual([LEAD._id.toString()]);
+  });
+
+  test('counts a wrong code as an attempt', async () => {
+    const doc = otpDoc();
+    mockOtpFindOne.mockResolvedValue(doc);
+
+    await expect(verifyBuyerOtp({ email: LEAD.email, otp: '000000' })).rejects.toMatchObject({ statusCode: 401 });
+    expect(doc.attempts).toBe(1);
+    expect(doc.save).toHaveBeenCalled();
+  });
+
+  test('rejects a correct code once attempts are exhausted', async () => {
+    mockOtpFindOne.mockResolvedValue(otpDoc({ attempts: 6 }));
+    await expect(verifyBuyerOtp({ email: LEAD.email, otp: '123456' })).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('rejects an expired code', async () => {
+    mockOtpFindOne.mockResolvedValue(otpDoc({ expiresAt: new Date(Date.now() - 1000) }));
+    await expect(verifyBuyerOtp({ email: LEAD.email, otp: '123456' })).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+// =============================================================================
+// Session
+// =============================================================================
+
+describe('verifyBuyerToken', () => {
+  test('rejects a staff token', () => {
+    const staff = jwt.sign({ userId: oid().toString() }, process.env.JWT_SECRET, { algorithm: 'HS256', expiresIn: '15m' });
+    expect(() => verifyBuyerToken(staff)).toThrow();
+  });
+
+  test('returns the identifier and lead ids of a buyer token', () => {
+    const token = jwt.sign(
+      { channel: 'phone', identifier: '9845012345', leads: [LEAD._id.toString()] },
+      process.env.JWT_SECRET,
+      { algorithm: 'HS256', expiresIn: '1h', audience: 'buyer-portal' }
+    );
+    expect(verifyBuyerToken(token)).toEqual({
+      channel: 'phone', identifier: '9845012345', leadIds: [LEAD._id.toString()],
+    });
+  });
+});
+
+describe('resolveBuyer', () => {
+  test('re-reads sales for the session leads without re-matching the identifier', async () => {
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([SALE]));
+
+    const buyer = await resolveBuyer({ channel: 'email', identifier: LEAD.email, leadIds: [LEAD._id.toString()] });
+
+    expect(mockLeadFind).toHaveBeenCalledWith({ _id: { $in: [LEAD._id.toString()] } });
+    expect(mockSaleFind.mock.calls[0][0].status).toEqual({ $ne: 'Cancelled' });
+    expect(buyer.saleIds).toEqual([SALE._id]);
+  });
+
+  test('401 once every booking is cancelled', async () => {
+    mockLeadFind.mockReturnValue(chain([LEAD]));
+    mockSaleFind.mockReturnValue(chain([]));
+    await expect(resolveBuyer({ channel: 'email', identifier: LEAD.email, leadIds: [] }))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+// =============================================================================
+// Scoping
+// =============================================================================
+
+describe('scopeSaleIds', () => {
+  test('defaults to every booking of the buyer', () => {
+    expect(scopeSaleIds(buyerFixture())).toEqual([SALE._id]);
+  });
+
+  test('404 for a sale outside the buyer bookings', () => {
+    expect(() => scopeSaleIds(buyerFixture(), oid().toString())).toThrow('Booking not found');
+  });
+});
+
+describe('reads', () => {
+  test('installments are filtered to the buyer sales', async () => {
+    mockInstallmentFind.mockReturnValue(chain([]));
+    await getInstallments(buyerFixture());
+    expect(mockInstallmentFind.mock.calls[0][0].sale).toEqual({ $in: [SALE._id] });
+  });
+
+  test('another buyer\'s sale cannot be requested', async () => {
+    await expect(getInstallments(buyerFixture(), { saleId: oid().toString() }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(mockInstallmentFind).not.toHaveBeenCalled();
+  });
+
+  test('documents must be flagged for the buyer and get signed urls', async () => {
+    mockFileFind.mockReturnValue(chain([{ _id: oid(), title: 'Allotment letter', s3Key: 'sales/x/allotment.pdf' }]));
+
+    const docs = await getDocuments(buyerFixture());
+
+    const query = mockFileFind.mock.calls[0][0];
+    expect(query.sharedWithBuyer).toBe(true);
+    expect(query.$or).toEqual([
+      { resourceType: 'Sale', associatedResource: { $in: [SALE._id] } },
+      { resourceType: 'Lead', associatedResource: { $in: [LEAD._id] } },
+    ]);
+    expect(docs[0].url).toBe('https://signed/sales/x/allotment.pdf');
+    expect(docs[0].s3Key).toBeUndefined();
+  });
+});
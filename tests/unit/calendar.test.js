@@ -0,0 +1,261 @@
+// tests/unit/calendar.test.js
+// Calendar sync: ICS text rendering (escaping, folding, all-day events),
+// tokenized feed lifecycle (hash-only storage, cap, revocation, 404s that
+// don't leak), the events a feed collects and export range guards.
+// All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockFeedCount = jest.fn();
+const mockFeedCreate = jest.fn();
+const mockFeedFindOne = jest.fn();
+const mockFeedUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/calendarFeedModel.js', () => ({
+  default: {
+    countDocuments: mockFeedCount,
+    create: mockFeedCreate,
+    findOne: mockFeedFindOne,
+    updateOne: mockFeedUpdateOne,
+    find: jest.fn(),
+  },
+  CALENDAR_FEED_SOURCES: ['followUps', 'meetings', 'siteVisits', 'tasks'],
+  MAX_ACTIVE_FEEDS_PER_USER: 5,
+}));
+
+const mockLeadFind = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { find: mockLeadFind },
+}));
+
+const mockInteractionFind = jest.fn();
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { find: mockInteractionFind },
+}));
+
+const mockVisitFind = jest.fn();
+jest.unstable_mockModule('../../models/siteVisitModel.js', () => ({
+  default: { find: mockVisitFind },
+  ACTIVE_VISIT_STATUSES: ['scheduled', 'checked_in'],
+}));
+
+const mockTaskFind = jest.fn();
+jest.unstable_mockModule('../../models/taskModel.js', () => ({
+  default: { find: mockTaskFind },
+}));
+
+const mockUserFindOne = jest.fn();
+jest.unstable_mockModule('../../models/userModel.js', () => ({
+  default: { findOne: mockUserFindOne },
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { escapeIcsText, foldIcsLine, buildIcsCalendar } = await import('../../utils/icsCalendar.js');
+const {
+  createCalendarFeed,
+  revokeCalendarFeed,
+  renderCalendarFeed,
+  exportCalendar,
+  collectCalendarEvents,
+  taskEvent,
+} = await import('../../services/calendarService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const USER = { _id: oid(), organization: ORG };
+const NOW = new Date('2026-10-20T03:30:00Z');
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+const emptySources = () => {
+  mockLeadFind.mockReturnValue(chain([]));
+  mockInteractionFind.mockReturnValue(chain([]));
+  mockVisitFind.mockReturnValue(chain([]));
+  mockTaskFind.mockReturnValue(chain([]));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  emptySources();
+  mockFeedUpdateOne.mockResolvedValue({});
+});
+
+// =============================================================================
+// ICS RENDERING
+// =============================================================================
+
+describe('ICS rendering', () => {
+  test('escapes TEXT values', () => {
+    expect(escapeIcsText('Rao, Asha; 3BHK\nnotes \\ more')).toBe('Rao\\, Asha\\; 3BHK\\nnotes \\\\ more');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const line = `SUMMARY:${'₹'.repeat(40)}`;
+    const folded = foldIcsLine(line);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    expect(parts.slice(1).every((p) => p.startsWith(' '))).toBe(true);
+    expect(parts.map((p, i) => (i ? p.slice(1) : p)).join('')).toBe(line);
+  });
+
+  test('renders timed and all-day events with CRLF line endings', () => {
+    const ics = buildIcsCalendar({
+      name: 'My schedule',
+      now: NOW,
+      events: [
+        { uid: 'a@x', start: new Date('2026-10-21T05:30:00Z'), summary: 'Call Asha', alarmMinutes: 15 },
+        { uid: 'b@x', date: '2026-10-31', summary: 'Task due' },
+      ],
+    });
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics).not.toMatch(/[^\r]\n/);
+    expect(ics).toContain('DTSTART:20261021T053000Z\r\nDTEND:20261021T060000Z');
+    expect(ics).toContain('TRIGGER:-PT15M');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20261031\r\nDTEND;VALUE=DATE:20261101');
+    expect(ics).toContain('X-WR-CALNAME:My schedule');
+  });
+
+  test('task due dates land on the local calendar day', () => {
+    // 20:00 UTC on the 30th is already the 31st in India
+    expect(taskEvent({ _id: oid(), title: 'Agreement', dueDate: new Date('2026-10-30T20:00:00Z') }).date)
+      .toBe('2026-10-31');
+  });
+});
+
+// =============================================================================
+// FEEDS
+// =============================================================================
+
+describe('calendar feeds', () => {
+  test('stores only the token hash and returns the token once', async () => {
+    mockFeedCount.mockResolvedValue(0);
+    mockFeedCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+
+    const result = await createCalendarFeed({ user: USER, name: 'Phone', include: { tasks: false } });
+
+    const stored = mockFeedCreate.mock.calls[0][0];
+    expect(stored.tokenHash).toBe(sha256(result.token));
+    expect(stored.tokenPrefix).toBe(result.token.slice(0, 6));
+    expect(stored.include).toEqual({ followUps: true, meetings: true, siteVisits: true, tasks: false });
+    expect(result.feed.tokenHash).toBeUndefined();
+    expect(result.url).toBe(`/api/public/calendar/${result.token}.ics`);
+  });
+
+  test('caps active feeds per user', async () => {
+    mockFeedCount.mockResolvedValue(5);
+    await expect(createCalendarFeed({ user: USER })).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockFeedCreate).not.toHaveBeenCalled();
+  });
+
+  test('revoking is idempotent', async () => {
+    const feed = { _id: oid(), revokedAt: null, save: jest.fn() };
+    mockFeedFindOne.mockResolvedValue(feed);
+    await revokeCalendarFeed(feed._id, { user: USER, now: NOW });
+    await revokeCalendarFeed(feed._id, { user: USER, now: new Date() });
+    expect(feed.revokedAt).toBe(NOW);
+    expect(feed.save).toHaveBeenCalledTimes(1);
+  });
+
+  test('unknown or revoked tokens and deactivated users are a plain 404', async () => {
+    mockFeedFindOne.mockReturnValueOnce(chain(null));
+    await expect(renderCalendarFeed('nope', NOW)).rejects.toMatchObject({ statusCode: 404 });
+    expect(mockFeedFindOne.mock.calls[0][0]).toEqual({ tokenHash: sha256('nope'), revokedAt: null });
+
+    mockFeedFindOne.mockReturnValueOnce(chain({ _id: oid(), user: USER._id, organization: ORG }));
+    mockUserFindOne.mockReturnValueOnce(chain(null));
+    await expect(renderCalendarFeed('tok', NOW)).rejects.toMatchObject({ statusCode: 404 });
+    expect(mockLeadFind).not.toHaveBeenCalled();
+  });
+
+  test('renders the owner’s schedule and stamps the access', async () => {
+    const feed = { _id: oid(), user: USER._id, organization: ORG, name: 'Phone', include: { followUps: true, meetings: false, siteVisits: true, tasks: true } };
+    mockFeedFindOne.mockReturnValue(chain(feed));
+    mockUserFindOne.mockReturnValue(chain(USER));
+    mockLeadFind.mockReturnValue(chain([{
+      _id: oid(),
+      firstName: 'Asha',
+      phone: '9820012345',
+      followUpSchedule: { nextFollowUpDate: new Date('2026-10-21T06:00:00Z'), followUpType: 'call' },
+    }]));
+
+    const ics = await renderCalendarFeed('tok', NOW);
+
+    expect(ics).toContain('SUMMARY:Follow-up (call): Asha');
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT15M');
+    expect(mockInteractionFind).not.toHaveBeenCalled();
+    expect(mockLeadFind.mock.calls[0][0]).toEqual(expect.objectContaining({
+      organization: ORG,
+      assignedTo: USER._id,
+      'followUpSchedule.nextFollowUpDate': {
+        $gte: new Date(NOW.getTime() - 30 * 24 * 60 * 60 * 1000),
+        $lt: new Date(NOW.getTime() + 180 * 24 * 60 * 60 * 1000),
+      },
+    }));
+    expect(mockFeedUpdateOne).toHaveBeenCalledWith(
+      { _id: feed._id },
+      { $set: { lastAccessedAt: NOW }, $inc: { accessCount: 1 } }
+    );
+  });
+});
+
+// =============================================================================
+// COLLECTING + EXPORT
+// =============================================================================
+
+describe('collectCalendarEvents', () => {
+  test('merges follow-ups, meetings, visits and tasks in start order', async () => {
+    const leadId = oid();
+    mockLeadFind.mockReturnValue(chain([{
+      _id: leadId, firstName: 'Asha', followUpSchedule: { nextFollowUpDate: new Date('2026-10-22T05:00:00Z') },
+    }]));
+    mockInteractionFind.mockReturnValue(chain([{
+      _id: oid(), type: 'Meeting', nextAction: 'Price discussion', scheduledAt: new Date('2026-10-21T09:00:00Z'),
+      lead: { _id: leadId, firstName: 'Asha' },
+    }]));
+    mockVisitFind.mockReturnValue(chain([{
+      _id: oid(), scheduledAt: new Date('2026-10-21T05:30:00Z'), endsAt: new Date('2026-10-21T06:30:00Z'),
+      status: 'scheduled', lead: { _id: leadId, firstName: 'Asha' }, project: { name: 'Skyline', salesOffice: { address: 'Baner' } },
+    }]));
+    mockTaskFind.mockReturnValue(chain([{ _id: oid(), taskNumber: 'TSK-7', title: 'Collect KYC', dueDate: new Date('2026-10-20T10:00:00Z') }]));
+
+    const events = await collectCalendarEvents({ user: USER, from: NOW, to: new Date('2026-11-20T00:00:00Z') });
+
+    expect(events.map((e) => e.summary)).toEqual([
+      'Task TSK-7: Collect KYC',
+      'Site visit: Asha — Skyline',
+      'Price discussion: Asha',
+      'Follow-up (call): Asha',
+    ]);
+    expect(events[1]).toEqual(expect.objectContaining({ location: 'Baner', status: 'CONFIRMED' }));
+    expect(events[2].end).toEqual(new Date('2026-10-21T10:00:00Z'));
+  });
+});
+
+describe('exportCalendar', () => {
+  test('rejects inverted, invalid and over-long ranges', async () => {
+    await expect(exportCalendar({ user: USER, from: '2026-10-20', to: '2026-10-01' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(exportCalendar({ user: USER, from: 'soon' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(exportCalendar({ user: USER, from: '2026-01-01', to: '2027-06-01' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('returns a calendar with the event count', async () => {
+    mockTaskFind.mockReturnValue(chain([{ _id: oid(), title: 'Follow up bank', dueDate: new Date('2026-10-25T05:00:00Z') }]));
+    const { ics, count } = await exportCalendar({ user: USER, from: '2026-10-20', to: '2026-10-30' });
+    expect(count).toBe(1);
+    expect(ics).toContain('SUMMARY:Task Follow up bank');
+  });
+});
@@ -0,0 +1,270 @@
+// tests/unit/campaign.test.js
+// Marketing campaigns: campaign validation and spend, linking leads to a
+// campaign (capture source vs UTM match, project vs brand campaigns), and the
+// funnel / cost-per-X / ROI maths in roiTrackingService. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockCampaignFind = jest.fn();
+const mockCampaignFindOne = jest.fn();
+const mockCampaignCreate = jest.fn();
+jest.unstable_mockModule('../../models/campaignModel.js', () => ({
+  default: { find: mockCampaignFind, findOne: mockCampaignFindOne, create: mockCampaignCreate },
+  CAMPAIGN_CHANNELS: ['google_ads', 'facebook', 'property_portal', 'print', 'other'],
+  CAMPAIGN_STATUSES: ['draft', 'active', 'paused', 'completed'],
+}));
+
+const mockSourceCount = jest.fn();
+jest.unstable_mockModule('../../models/leadCaptureSourceModel.js', () => ({
+  default: { countDocuments: mockSourceCount },
+}));
+
+const mockLeadAggregate = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { aggregate: mockLeadAggregate },
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  createCampaign,
+  addCampaignSpend,
+  findMatchingCampaign,
+  resolveLeadCampaign,
+  ATTRIBUTION_GRACE_DAYS,
+} = await import('../../services/campaignService.js');
+const {
+  campaignRoiRow,
+  spendInRange,
+  getCampaignRoi,
+  summarizeMarketingRoi,
+} = await import('../../services/roiTrackingService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const USER = { _id: oid() };
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+const spend = (date, amount) => ({ date: new Date(date), amount });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCampaignCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+});
+
+// =============================================================================
+// CAMPAIGNS + SPEND
+// =============================================================================
+
+describe('campaigns', () => {
+  test('normalizes UTM tags and checks capture sources belong to the org', async () => {
+    const sourceId = oid();
+    mockSourceCount.mockResolvedValue(1);
+
+    await createCampaign({
+      organization: ORG,
+      user: USER,
+      fields: {
+        name: 'Diwali launch', channel: 'google_ads', budget: '500000', startDate: '2026-10-01',
+        utm: { source: ' Google ', campaign: 'Diwali-Launch', medium: '' }, captureSources: [sourceId, sourceId],
+      },
+    });
+
+    const created = mockCampaignCreate.mock.calls[0][0];
+    expect(created).toMatchObject({
+      organization: ORG, createdBy: USER._id, budget: 500000,
+      utm: { source: 'google', campaign: 'diwali-launch' }, captureSources: [String(sourceId)],
+    });
+    expect(created.utm).not.toHaveProperty('medium');
+
+    mockSourceCount.mockResolvedValue(0);
+    await expect(createCampaign({
+      organization: ORG, user: USER, fields: { name: 'x', channel: 'print', startDate: '2026-10-01', captureSources: [oid()] },
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejects a flight that ends before it starts, and unknown channels', async () => {
+    await expect(createCampaign({
+      organization: ORG, user: USER, fields: { name: 'x', channel: 'print', startDate: '2026-10-10', endDate: '2026-10-01' },
+    })).rejects.toThrow('endDate cannot be before startDate.');
+    await expect(createCampaign({
+      organization: ORG, user: USER, fields: { name: 'x', channel: 'carrier_pigeon', startDate: '2026-10-10' },
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockCampaignCreate).not.toHaveBeenCalled();
+  });
+
+  test('spend must be a positive amount on a real date', async () => {
+    const campaign = { _id: oid(), project: PROJECT, spendEntries: [], save: jest.fn(function save() { return this; }) };
+    mockCampaignFindOne.mockResolvedValue(campaign);
+    const verifyAccess = jest.fn();
+
+    await expect(addCampaignSpend(campaign._id, { organization: ORG, entry: { amount: 0, date: '2026-10-05' }, user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(addCampaignSpend(campaign._id, { organization: ORG, entry: { amount: 100, date: 'soon' }, user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    await addCampaignSpend(campaign._id, {
+      organization: ORG, entry: { amount: '125000', date: '2026-10-05', reference: 'GADS-OCT' }, user: USER, verifyAccess,
+    });
+    expect(verifyAccess).toHaveBeenCalledWith(PROJECT);
+    expect(campaign.spendEntries).toEqual([expect.objectContaining({ amount: 125000, reference: 'GADS-OCT', recordedBy: USER._id })]);
+  });
+});
+
+// =============================================================================
+// LEAD ATTRIBUTION
+// =============================================================================
+
+describe('findMatchingCampaign', () => {
+  const source = oid();
+
+  test('looks nothing up without a capture source or UTM campaign', async () => {
+    expect(await findMatchingCampaign({ organization: ORG, project: PROJECT, attribution: { source: 'google' } })).toBeNull();
+    expect(mockCampaignFind).not.toHaveBeenCalled();
+  });
+
+  test('queries running campaigns on the project or brand-wide, with the grace window', async () => {
+    mockCampaignFind.mockReturnValue(chain([]));
+    await findMatchingCampaign({ organization: ORG, project: PROJECT, captureSource: source, attribution: { campaign: 'Diwali' }, at: NOW });
+
+    const query = mockCampaignFind.mock.calls[0][0];
+    expect(query).toMatchObject({
+      organization: ORG,
+      project: { $in: [PROJECT, null] },
+      status: { $ne: 'draft' },
+      startDate: { $lte: NOW },
+    });
+    expect(query.$and[0].$or[1].endDate.$gte).toEqual(new Date(NOW.getTime() - ATTRIBUTION_GRACE_DAYS * 24 * 60 * 60 * 1000));
+    expect(query.$and[1].$or).toEqual([{ captureSources: source }, { 'utm.campaign': 'diwali' }]);
+  });
+
+  test('a capture-source link beats a UTM match; extra UTM tags must all agree', async () => {
+    const viaSource = { _id: oid(), project: null, captureSources: [source], utm: {}, startDate: new Date('2026-09-01') };
+    const viaUtm = { _id: oid(), project: PROJECT, captureSources: [], utm: { campaign: 'diwali' }, startDate: new Date('2026-10-01') };
+    mockCampaignFind.mockReturnValue(chain([viaUtm, viaSource]));
+    const found = await findMatchingCampaign({ organization: ORG, project: PROJECT, captureSource: source, attribution: { campaign: 'DIWALI' }, at: NOW });
+    expect(found).toBe(viaSource);
+
+    const fbOnly = { ...viaUtm, _id: oid(), utm: { campaign: 'diwali', source: 'facebook' } };
+    mockCampaignFind.mockReturnValue(chain([fbOnly]));
+    expect(await findMatchingCampaign({ organization: ORG, project: PROJECT, attribution: { campaign: 'diwali', source: 'google' }, at: NOW }))
+      .toBeNull();
+  });
+
+  test('a tighter UTM match wins, then a project campaign over a brand one', async () => {
+    const brand = { _id: oid(), project: null, utm: { campaign: 'diwali' }, startDate: new Date('2026-10-01') };
+    const project = { _id: oid(), project: PROJECT, utm: { campaign: 'diwali' }, startDate: new Date('2026-09-01') };
+    const tight = { _id: oid(), project: null, utm: { campaign: 'diwali', medium: 'cpc' }, startDate: new Date('2026-08-01') };
+
+    mockCampaignFind.mockReturnValue(chain([brand, project]));
+    expect(await findMatchingCampaign({ organization: ORG, project: PROJECT, attribution: { campaign: 'diwali', medium: 'cpc' }, at: NOW }))
+      .toBe(project);
+
+    mockCampaignFind.mockReturnValue(chain([brand, project, tight]));
+    expect(await findMatchingCampaign({ organization: ORG, project: PROJECT, attribution: { campaign: 'diwali', medium: 'CPC' }, at: NOW }))
+      .toBe(tight);
+  });
+
+  test('a campaign named on a hand-made lead must fit its project', async () => {
+    mockCampaignFindOne.mockReturnValue(chain({ _id: oid(), project: oid() }));
+    await expect(resolveLeadCampaign({ organization: ORG, project: PROJECT, campaignId: oid() }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const brand = { _id: oid(), project: null };
+    mockCampaignFindOne.mockReturnValue(chain(brand));
+    expect(await resolveLeadCampaign({ organization: ORG, project: PROJECT, campaignId: brand._id })).toBe(brand._id);
+  });
+});
+
+// =============================================================================
+// ROI
+// =============================================================================
+
+describe('ROI maths', () => {
+  const campaign = {
+    _id: oid(), name: 'Portal boost', channel: 'property_portal', status: 'active', budget: 400000, totalSpend: 300000,
+    spendEntries: [spend('2026-09-20', 100000), spend('2026-10-05', 200000)],
+  };
+
+  test('spend is filtered to the period', () => {
+    expect(spendInRange(campaign)).toBe(300000);
+    expect(spendInRange(campaign, { from: new Date('2026-10-01') })).toBe(200000);
+  });
+
+  test('unit costs, rates and ROI for one campaign', () => {
+    const row = campaignRoiRow(campaign, { leads: 150, qualified: 60, siteVisits: 20, bookings: 2, revenue: 18000000 });
+    expect(row).toMatchObject({
+      spend: 300000,
+      budgetUtilization: 75,
+      costPerLead: 2000,
+      costPerQualifiedLead: 5000,
+      costPerSiteVisit: 15000,
+      costPerBooking: 150000,
+      qualificationRate: 40,
+      bookingRate: 1.33,
+      roi: 5900,
+    });
+  });
+
+  test('no outcomes means no unit cost, and no spend means no ROI', () => {
+    const row = campaignRoiRow({ ...campaign, spendEntries: [] }, { leads: 3 });
+    expect(row).toMatchObject({ costPerLead: 0, costPerBooking: null, roi: null });
+  });
+
+  test('getCampaignRoi joins funnels to campaigns and rolls up by channel', async () => {
+    const portal2 = { ...campaign, _id: oid(), name: 'Portal retarget', spendEntries: [spend('2026-10-10', 50000)] };
+    const print = { _id: oid(), name: 'Hoardings', channel: 'print', budget: 0, spendEntries: [spend('2026-10-02', 500000)] };
+    mockCampaignFind.mockReturnValue(chain([campaign, portal2, print]));
+    mockLeadAggregate.mockResolvedValue([
+      { _id: campaign._id, leads: 100, qualified: 40, siteVisits: 10, bookings: 1, revenue: 9000000 },
+      { _id: portal2._id, leads: 25, qualified: 5, siteVisits: 0, bookings: 0, revenue: 0 },
+    ]);
+
+    const report = await getCampaignRoi({
+      organization: ORG, projectFilter: { project: { $in: [PROJECT] } }, from: '2026-10-01', to: '2026-10-31',
+    });
+
+    expect(mockCampaignFind.mock.calls[0][0]).toMatchObject({ project: { $in: [PROJECT, null] } });
+    const match = mockLeadAggregate.mock.calls[0][0][0].$match;
+    expect(match.createdAt).toEqual({ $gte: new Date('2026-10-01'), $lte: new Date('2026-10-31') });
+    expect(report.campaigns.map((c) => c.campaign.name)).toEqual(['Hoardings', 'Portal boost', 'Portal retarget']);
+    expect(report.campaigns[0]).toMatchObject({ leads: 0, costPerLead: null, roi: -100 });
+    expect(report.totals).toMatchObject({ campaigns: 3, spend: 750000, leads: 125, bookings: 1, costPerLead: 6000, costPerBooking: 750000 });
+    expect(report.byChannel).toEqual([
+      expect.objectContaining({ channel: 'print', spend: 500000 }),
+      expect.objectContaining({ channel: 'property_portal', spend: 250000, leads: 125, costPerLead: 2000 }),
+    ]);
+  });
+
+  test('getCampaignRoi rejects an inverted range', async () => {
+    await expect(getCampaignRoi({ organization: ORG, from: '2026-10-31', to: '2026-10-01' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('the dashboard summary ranks campaigns by ROI and never throws', async () => {
+    const loser = { ...campaign, _id: oid(), name: 'Flop', spendEntries: [spend('2026-10-05', 100000)] };
+    mockCampaignFind.mockReturnValue(chain([campaign, loser]));
+    mockLeadAggregate.mockResolvedValue([{ _id: campaign._id, leads: 10, bookings: 1, revenue: 9000000 }]);
+
+    const summary = await summarizeMarketingRoi(String(ORG), { start: new Date('2026-09-01'), end: new Date('2026-10-31') });
+    expect(summary.topCampaigns.map((c) => c.name)).toEqual(['Portal boost', 'Flop']);
+    expect(summary.spend).toBe(400000);
+
+    mockCampaignFind.mockImplementation(() => { throw new Error('db down'); });
+    expect(await summarizeMarketingRoi(String(ORG), { start: new Date(), end: new Date() }))
+      .toMatchObject({ spend: 0, topCampaigns: [], error: 'db down' });
+  });
+});
@@ -0,0 +1,500 @@
+// tests/unit/cancellationSettlementService.test.js
+// Unit tests for services/cancellationSettlementService.js — the settlement
+// maths under different project policies, the REFUND_APPROVAL round trip (which
+// cancels the sale through services/saleCancellationService.js) and the refund
+// payout. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockSettlementCreate = jest.fn();
+const mockSettlementFindOne = jest.fn();
+const mockSettlementFindById = jest.fn();
+const mockSettlementCount = jest.fn();
+const mockSettlementUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/cancellationSettlementModel.js', () => ({
+  default: {
+    create: mockSettlementCreate,
+    findOne: mockSettlementFindOne,
+    findById: mockSettlementFindById,
+    countDocuments: mockSettlementCount,
+    updateOne: mockSettlementUpdateOne,
+    find: jest.fn(),
+  },
+}));
+
+const mockSaleFindOne = jest.fn();
+const mockSaleFindById = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne, findById: mockSaleFindById },
+}));
+
+const mockUnitUpdate = jest.fn();
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { findByIdAndUpdate: mockUnitUpdate },
+}));
+
+const mockLeadFindById = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findById: mockLeadFindById },
+}));
+
+const mockProjectFindById = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findById: mockProjectFindById },
+}));
+
+const mockPlanFindOne = jest.fn();
+const mockPlanUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { findOne: mockPlanFindOne, updateOne: mockPlanUpdateOne },
+}));
+
+const mockInstallmentUpdateMany = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { updateMany: mockInstallmentUpdateMany },
+}));
+
+const mockTxnFind = jest.fn();
+jest.unstable_mockModule('../../models/paymentTransactionModel.js', () => ({
+  default: { find: mockTxnFind },
+}));
+
+const mockCommissionFind = jest.fn();
+const mockCommissionExists = jest.fn();
+jest.unstable_mockModule('../../models/partnerCommissionModel.js', () => ({
+  default: { find: mockCommissionFind, exists: mockCommissionExists },
+}));
+
+const mockRecordFind = jest.fn();
+jest.unstable_mockModule('../../models/commissionRecordModel.js', () => ({
+  default: { find: mockRecordFind },
+}));
+
+const mockInvoiceFind = jest.fn();
+jest.unstable_mockModule('../../models/commissionInvoiceModel.js', () => ({
+  default: { find: mockInvoiceFind },
+}));
+
+const mockChannelPartnerFindById = jest.fn();
+jest.unstable_mockModule('../../models/channelPartnerModel.js', () => ({
+  default: { findById: mockChannelPartnerFindById },
+}));
+
+const mockCreateNotification = jest.fn();
+const mockNotifyUsersWithPermission = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyUsersWithPermission: mockNotifyUsersWithPermission,
+}));
+
+const mockCreateApprovalRequest = jest.fn();
+jest.unstable_mockModule('../../services/approvalService.js', () => ({
+  createApprovalRequest: mockCreateApprovalRequest,
+}));
+
+const mockCancelSaleLifecycle = jest.fn();
+jest.unstable_mockModule('../../services/postSalesService.js', () => ({
+  cancelSaleLifecycle: mockCancelSaleLifecycle,
+}));
+
+const mockVoidSalesDocumentPack = jest.fn();
+jest.unstable_mockModule('../../services/salesDocumentPackService.js', () => ({
+  voidSalesDocumentPack: mockVoidSalesDocumentPack,
+}));
+
+const mockCancelSaleSignatureRequests = jest.fn();
+jest.unstable_mockModule('../../services/signatureService.js', () => ({
+  cancelSaleSignatureRequests: mockCancelSaleSignatureRequests,
+}));
+
+const mockAdjustCommission = jest.fn();
+jest.unstable_mockModule('../../services/commissionService.js', () => ({
+  adjustCommissionForSaleChange: mockAdjustCommission,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  DEFAULT_CANCELLATION_POLICY,
+  summariseReceipts,
+  computeSettlement,
+  requestCancellationSettlement,
+  resolveCancellationSettlement,
+  recordSettlementRefund,
+} = await import('../../services/cancellationSettlementService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const organization = oid();
+const user = { _id: oid() };
+
+const doc = (fields) => ({ ...fields, save: jest.fn().mockResolvedValue(undefined) });
+
+const policy = (overrides = {}) => ({ ...DEFAULT_CANCELLATION_POLICY, ...overrides });
+
+// 50L agreement, 5% GST on a 52.5L payable total
+const sale = (overrides = {}) => doc({
+  _id: oid(),
+  organization,
+  project: oid(),
+  unit: oid(),
+  lead: oid(),
+  salePrice: 5250000,
+  status: 'Booked',
+  costSheetSnapshot: { totals: { agreementValue: 5000000, gstTotal: 250000, developerTotal: 5250000 } },
+  ...overrides,
+});
+
+const receipt = (amount, overrides = {}) => doc({
+  _id: oid(),
+  amount,
+  status: 'cleared',
+  paymentAllocations: [],
+  modifications: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSettlementFindOne.mockReturnValue(chain(null));
+  mockSettlementCount.mockResolvedValue(0);
+  mockSettlementUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+  mockSettlementCreate.mockImplementation(async (fields) => doc({ _id: oid(), status: 'pending_approval', ...fields }));
+  mockProjectFindById.mockReturnValue(chain({ paymentConfiguration: {} }));
+  mockPlanFindOne.mockReturnValue(chain({ _id: oid() }));
+  mockCommissionFind.mockReturnValue(chain([]));
+  mockRecordFind.mockReturnValue(chain([]));
+  mockCommissionExists.mockResolvedValue(null);
+  mockUnitUpdate.mockResolvedValue({});
+  mockPlanUpdateOne.mockResolvedValue({});
+  mockInstallmentUpdateMany.mockResolvedValue({});
+  mockLeadFindById.mockResolvedValue(doc({ status: 'Booked', statusHistory: [] }));
+  mockInvoiceFind.mockResolvedValue([]);
+  mockChannelPartnerFindById.mockReturnValue(chain(null));
+});
+
+// =============================================================================
+// SETTLEMENT MATHS
+// =============================================================================
+
+describe('summariseReceipts', () => {
+  test('counts received payments net of refunds and splits out late fees', () => {
+    const result = summariseReceipts([
+      receipt(1000000, { paymentAllocations: [{ allocationType: 'principal', allocatedAmount: 990000 }, { allocationType: 'late_fee', allocatedAmount: 10000 }] }),
+      receipt(500000, { refundDetails: { refundAmount: 100000 } }),
+      receipt(200000, { status: 'bounced' }),
+      receipt(300000, { paymentAllocations: [{ allocationType: 'interest', allocatedAmount: 5000, reversedAt: new Date() }] }),
+    ]);
+    expect(result).toEqual({ received: 1700000, charges: 10000, principal: 1690000 });
+  });
+});
+
+describe('computeSettlement', () => {
+  const receipts = { received: 1050000, charges: 0, principal: 1050000 };
+
+  test('default policy: 10% of agreement value forfeited, GST kept', () => {
+    const result = computeSettlement({
+      agreementValue: 5000000, receipts, gstShare: 250000 / 5250000, brokeragePaid: 0, policy: policy(),
+    });
+    expect(result.deductions.map((d) => [d.code, d.amount])).toEqual([
+      ['forfeiture', 500000],
+      ['gst', 50000],
+    ]);
+    expect(result.totalDeductions).toBe(550000);
+    expect(result.refundAmount).toBe(500000);
+    expect(result.uncoveredDeductions).toBe(0);
+  });
+
+  test('brokerage and interest paid are recovered when the policy says so', () => {
+    const result = computeSettlement({
+      agreementValue: 5000000,
+      receipts: { received: 1060000, charges: 10000, principal: 1050000 },
+      gstShare: 0,
+      brokeragePaid: 100000,
+      policy: policy({ forfeiturePercent: 5 }),
+    });
+    expect(result.deductions.map((d) => d.code)).toEqual(['forfeiture', 'brokerage', 'interest']);
+    expect(result.refundAmount).toBe(1060000 - 250000 - 100000 - 10000);
+  });
+
+  test('forfeiture on amount received with a minimum, refundable GST', () => {
+    const result = computeSettlement({
+      agreementValue: 5000000,
+      receipts,
+      gstShare: 0.05,
+      policy: policy({ forfeitureBasis: 'amount_received', forfeiturePercent: 2, minimumForfeiture: 25000, gstRefundable: true }),
+    });
+    expect(result.deductions).toEqual([expect.objectContaining({ code: 'forfeiture', amount: 25000 })]);
+    expect(result.refundAmount).toBe(1025000);
+  });
+
+  test('deductions larger than the money received leave nothing to refund', () => {
+    const result = computeSettlement({
+      agreementValue: 5000000,
+      receipts: { received: 200000, charges: 0, principal: 200000 },
+      policy: policy({ gstRefundable: true }),
+    });
+    expect(result.refundAmount).toBe(0);
+    expect(result.uncoveredDeductions).toBe(300000);
+  });
+});
+
+// =============================================================================
+// REQUEST AND APPROVAL
+// =============================================================================
+
+describe('requestCancellationSettlement', () => {
+  const setup = (overrides) => {
+    const s = sale(overrides);
+    mockSaleFindOne.mockResolvedValue(s);
+    mockSaleFindById.mockResolvedValue(s);
+    mockTxnFind.mockReturnValue(chain([receipt(1050000)]));
+    return s;
+  };
+
+  test('auto-approved: cancels the sale, releases the unit and zeroes commission', async () => {
+    const s = setup();
+    mockCreateApprovalRequest.mockResolvedValue({ approved: true, autoApproved: true });
+    mockCommissionExists.mockResolvedValue({ _id: oid() });
+    mockAdjustCommission.mockResolvedValue([{ oldAmount: 100000, newAmount: 0 }]);
+    const verifyAccess = jest.fn();
+
+    const { settlement, pendingApproval } = await requestCancellationSettlement(s._id, {
+      organization, reason: 'Buyer relocating', user, verifyAccess,
+    });
+
+    expect(verifyAccess).toHaveBeenCalledWith(s.project);
+    expect(pendingApproval).toBe(false);
+    expect(settlement).toMatchObject({
+      statementNumber: 'CS-00001',
+      amountReceived: 1050000,
+      refundAmount: 500000,
+      status: 'approved',
+      approvedBy: user._id,
+    });
+    expect(mockCreateApprovalRequest).toHaveBeenCalledWith(expect.objectContaining({
+      approvalType: 'REFUND_APPROVAL',
+      entityType: 'CancellationSettlement',
+      entityId: settlement._id,
+      requestData: expect.objectContaining({ refundAmount: 500000, originalPaymentAmount: 1050000 }),
+    }));
+    expect(s.status).toBe('Cancelled');
+    expect(s.cancellationReason).toBe('Buyer relocating');
+    expect(mockUnitUpdate).toHaveBeenCalledWith(s.unit, { status: 'available' }, { session: undefined });
+    expect(mockCancelSaleLifecycle).toHaveBeenCalledWith(s._id, { reason: 'Buyer relocating' });
+    expect(mockVoidSalesDocumentPack).toHaveBeenCalledWith(s._id);
+    expect(mockCancelSaleSignatureRequests).toHaveBeenCalledWith(s._id);
+    expect(mockPlanUpdateOne).toHaveBeenCalledWith(expect.anything(), { $set: { status: 'cancelled' } });
+    expect(mockAdjustCommission).toHaveBeenCalledWith(s._id, { cancelled: true, reason: 'Buyer relocating' }, user._id);
+    expect(settlement.commissionAdjustments).toHaveLength(1);
+  });
+
+  test('auto-approved: moves the lead out of Booked and clears channel partner commission like any cancellation', async () => {
+    const cpOrg = oid();
+    const agent = oid();
+    const s = setup({
+      channelPartnerAttribution: { viaChannelPartner: true, partners: [{ channelPartner: oid(), agentUser: agent }] },
+    });
+    const lead = doc({ status: 'Booked', statusHistory: [] });
+    mockLeadFindById.mockResolvedValue(lead);
+    const openInvoice = doc({ status: 'submitted', history: [] });
+    mockInvoiceFind.mockResolvedValue([openInvoice]);
+    const record = doc({ status: 'pending', payouts: [], history: [] });
+    mockRecordFind.mockReturnValue(chain([record]));
+    mockChannelPartnerFindById.mockReturnValue(chain({ channelPartnerOrg: cpOrg }));
+    mockCreateApprovalRequest.mockResolvedValue({ approved: true, autoApproved: true });
+    mockCommissionExists.mockResolvedValue(null);
+
+    await requestCancellationSettlement(s._id, { organization, reason: 'Buyer relocating', user });
+
+    expect(lead.status).toBe('Lost');
+    expect(lead.statusHistory).toEqual([expect.objectContaining({ status: 'Lost', note: 'Booking cancelled: Buyer relocating' })]);
+    expect(openInvoice.status).toBe('cancelled');
+    expect(record.status).toBe('cancelled');
+    expect(mockInvoiceFind).toHaveBeenCalledWith({ sale: s._id, status: { $in: ['draft', 'submitted', 'approved'] } });
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      organization: cpOrg, recipient: agent, type: 'sale_cancelled',
+    }));
+  });
+
+  test('pending approval leaves the sale alone', async () => {
+    const s = setup();
+    const approvalRequest = { _id: oid() };
+    mockCreateApprovalRequest.mockResolvedValue({ approved: false, approvalRequest });
+
+    const result = await requestCancellationSettlement(s._id, { organization, reason: 'Loan rejected', user });
+
+    expect(result.pendingApproval).toBe(true);
+    expect(result.settlement.approvalRequest).toBe(approvalRequest._id);
+    expect(result.settlement.status).toBe('pending_approval');
+    expect(s.status).toBe('Booked');
+    expect(mockUnitUpdate).not.toHaveBeenCalled();
+  });
+
+  test('a statement number taken concurrently moves on to the next one', async () => {
+    const s = setup();
+    mockCreateApprovalRequest.mockResolvedValue({ approved: false, approvalRequest: { _id: oid() } });
+    mockSettlementCreate.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const { settlement } = await requestCancellationSettlement(s._id, { organization, reason: 'x', user });
+
+    expect(mockSettlementCreate.mock.calls.map(([fields]) => fields.statementNumber)).toEqual(['CS-00001', 'CS-00002']);
+    expect(settlement.statementNumber).toBe('CS-00002');
+  });
+
+  test('gives up with a 409 when every statement number is taken', async () => {
+    const s = setup();
+    mockSettlementCreate.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    await expect(requestCancellationSettlement(s._id, { organization, reason: 'x', user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockSettlementCreate).toHaveBeenCalledTimes(5);
+    expect(mockCreateApprovalRequest).not.toHaveBeenCalled();
+  });
+
+  test('one settlement at a time per sale', async () => {
+    setup();
+    mockSettlementFindOne.mockReturnValue(chain({ _id: oid(), statementNumber: 'CS-00007' }));
+
+    await expect(requestCancellationSettlement(oid(), { organization, reason: 'x', user }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('CS-00007') });
+    expect(mockSettlementCreate).not.toHaveBeenCalled();
+  });
+
+  test('a cancelled sale cannot be settled again', async () => {
+    setup({ status: 'Cancelled' });
+    await expect(requestCancellationSettlement(oid(), { organization, reason: 'x', user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a reason is required', async () => {
+    await expect(requestCancellationSettlement(oid(), { organization, reason: '', user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('resolveCancellationSettlement', () => {
+  test('rejection closes the settlement without cancelling the sale', async () => {
+    const settlement = doc({ _id: oid(), status: 'pending_approval', sale: oid() });
+    mockSettlementFindById.mockResolvedValue(settlement);
+
+    await resolveCancellationSettlement(settlement._id, 'rejected', user._id);
+
+    expect(settlement.status).toBe('rejected');
+    expect(mockSaleFindById).not.toHaveBeenCalled();
+    expect(mockCancelSaleLifecycle).not.toHaveBeenCalled();
+    expect(mockVoidSalesDocumentPack).not.toHaveBeenCalled();
+    expect(mockCancelSaleSignatureRequests).not.toHaveBeenCalled();
+  });
+
+  test('approval with nothing to refund closes the settlement', async () => {
+    const s = sale();
+    mockSaleFindById.mockResolvedValue(s);
+    const settlement = doc({ _id: oid(), status: 'pending_approval', sale: s._id, unit: s.unit, refundAmount: 0, reason: 'r' });
+    mockSettlementFindById.mockResolvedValue(settlement);
+
+    await resolveCancellationSettlement(settlement._id, 'approved', user._id);
+
+    expect(settlement.status).toBe('closed');
+    expect(s.status).toBe('Cancelled');
+  });
+
+  test('ignores settlements that are no longer pending', async () => {
+    const settlement = doc({ status: 'refunded' });
+    mockSettlementFindById.mockResolvedValue(settlement);
+    await resolveCancellationSettlement(oid(), 'approved', user._id);
+    expect(settlement.save).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// REFUND PAYOUT
+// =============================================================================
+
+describe('recordSettlementRefund', () => {
+  const approved = (overrides = {}) => doc({
+    _id: oid(),
+    project: oid(),
+    paymentPlan: oid(),
+    statementNumber: 'CS-00001',
+    status: 'approved',
+    refundAmount: 500000,
+    ...overrides,
+  });
+
+  test('spreads the refund over the latest payments first', async () => {
+    const settlement = approved();
+    mockSettlementFindOne.mockResolvedValue(settlement);
+    const latest = receipt(300000);
+    const earlier = receipt(750000);
+    mockTxnFind.mockReturnValue(chain([latest, earlier]));
+
+    await recordSettlementRefund(settlement._id, {
+      organization, refundMethod: 'bank_transfer', refundReference: 'UTR123', refundDate: '2026-02-01', user,
+    });
+
+    expect(latest.refundDetails).toMatchObject({ refundAmount: 300000, refundMethod: 'bank_transfer', refundReference: 'UTR123' });
+    expect(earlier.refundDetails.refundAmount).toBe(200000);
+    expect(latest.status).toBe('refunded');
+    expect(settlement.status).toBe('refunded');
+    expect(settlement.refund.transactions).toEqual([
+      { transaction: latest._id, amount: 300000 },
+      { transaction: earlier._id, amount: 200000 },
+    ]);
+    expect(mockSettlementUpdateOne).toHaveBeenCalledWith(
+      { _id: settlement._id, organization, status: 'approved' },
+      { $set: { status: 'refunding' } }
+    );
+  });
+
+  test('a settlement already claimed by another submit is not refunded again', async () => {
+    const settlement = approved();
+    mockSettlementFindOne.mockResolvedValue(settlement);
+    mockSettlementUpdateOne.mockResolvedValue({ modifiedCount: 0 });
+    const only = receipt(750000);
+    mockTxnFind.mockReturnValue(chain([only]));
+
+    await expect(recordSettlementRefund(settlement._id, { organization, refundMethod: 'cheque', user }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(/already being refunded/) });
+    expect(only.save).not.toHaveBeenCalled();
+    expect(settlement.save).not.toHaveBeenCalled();
+  });
+
+  test('nothing is written when payments cannot cover the refund', async () => {
+    mockSettlementFindOne.mockResolvedValue(approved());
+    const only = receipt(100000);
+    mockTxnFind.mockReturnValue(chain([only]));
+
+    await expect(recordSettlementRefund(oid(), { organization, refundMethod: 'cheque', user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(only.save).not.toHaveBeenCalled();
+    // The claim is released so the refund can be retried
+    expect(mockSettlementUpdateOne).toHaveBeenLastCalledWith(
+      expect.objectContaining({ status: 'refunding' }),
+      { $set: { status: 'approved' } }
+    );
+  });
+
+  test('only approved settlements can be paid out', async () => {
+    mockSettlementFindOne.mockResolvedValue(approved({ status: 'pending_approval' }));
+    await expect(recordSettlementRefund(oid(), { organization, refundMethod: 'cheque', user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('validates the refund method', async () => {
+    mockSettlementFindOne.mockResolvedValue(approved());
+    await expect(recordSettlementRefund(oid(), { organization, refundMethod: 'upi', user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
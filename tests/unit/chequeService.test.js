@@ -0,0 +1,436 @@
+// tests/unit/chequeService.test.js
+// Unit tests for services/chequeService.js — register stages, deposit
+// batches, clearing and the bounce flow (allocation reversal, bounce charge,
+// buyer / salesperson follow-up). All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockBatchCreate = jest.fn();
+const mockBatchCount = jest.fn();
+const mockBatchUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/chequeDepositBatchModel.js', () => ({
+  default: {
+    create: mockBatchCreate,
+    countDocuments: mockBatchCount,
+    updateOne: mockBatchUpdateOne,
+    find: jest.fn(),
+    findOne: jest.fn(),
+  },
+}));
+
+const mockTxnFind = jest.fn();
+const mockTxnFindOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentTransactionModel.js', () => ({
+  default: { find: mockTxnFind, findOne: mockTxnFindOne },
+}));
+
+const mockPlanFindById = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { findById: mockPlanFindById },
+}));
+
+const mockInstallmentFindById = jest.fn();
+const mockInstallmentFindOne = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { findById: mockInstallmentFindById, findOne: mockInstallmentFindOne },
+}));
+
+const mockProjectFindOne = jest.fn();
+const mockProjectFindById = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findOne: mockProjectFindOne, findById: mockProjectFindById },
+}));
+
+const mockTaskFindOne = jest.fn();
+const mockTaskCreate = jest.fn();
+jest.unstable_mockModule('../../models/taskModel.js', () => ({
+  default: { findOne: mockTaskFindOne, create: mockTaskCreate },
+}));
+
+const mockCreateNotification = jest.fn();
+const mockNotifyTaskAutoGenerated = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyTaskAutoGenerated: mockNotifyTaskAutoGenerated,
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  addWorkingDays,
+  chequeStage,
+  createDepositBatch,
+  refreshDepositBatch,
+  clearCheque,
+  bounceCheque,
+} = await import('../../services/chequeService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const organization = oid();
+const projectId = oid();
+const user = { _id: oid() };
+
+// Minimal stand-in for a mongoose document: set() understands dotted paths
+const withSet = (doc) => Object.assign(doc, {
+  set(paths) {
+    for (const [path, value] of Object.entries(paths)) {
+      const keys = path.split('.');
+      let target = this;
+      for (const key of keys.slice(0, -1)) {
+        target[key] = target[key] || {};
+        target = target[key];
+      }
+      target[keys.at(-1)] = value;
+    }
+  },
+  save: jest.fn().mockResolvedValue(undefined),
+});
+
+const cheque = (overrides = {}) => withSet({
+  _id: oid(),
+  organization,
+  project: projectId,
+  paymentPlan: oid(),
+  transactionNumber: 'TXN-0001',
+  paymentMethod: 'cheque',
+  amount: 500000,
+  status: 'completed',
+  paymentMethodDetails: { chequeNumber: '000123', bankName: 'HDFC Bank', chequeStatus: 'pending' },
+  paymentAllocations: [],
+  modifications: [],
+  recalculatePaymentPlan: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+const installment = (overrides = {}) => {
+  const doc = {
+    _id: oid(),
+    installmentNumber: 2,
+    currentAmount: 500000,
+    paidAmount: 500000,
+    pendingAmount: 0,
+    currentDueDate: new Date('2026-03-01'),
+    status: 'paid',
+    additionalCharges: [],
+    save: jest.fn().mockResolvedValue(undefined),
+    updateStatus: jest.fn(function updateStatus() {
+      this.status = this.paidAmount >= this.currentAmount ? 'paid' : this.paidAmount > 0 ? 'partially_paid' : 'overdue';
+    }),
+    addAdditionalCharge: jest.fn(async function addAdditionalCharge(chargeName, chargeAmount, chargeType) {
+      this.additionalCharges.push({ chargeName, chargeAmount, chargeType });
+      this.pendingAmount += chargeAmount;
+    }),
+    ...overrides,
+  };
+  doc.linkedTransactions = Object.assign([...(overrides.linkedTransactions || [])], {
+    pull: jest.fn(function pull(id) {
+      const i = this.findIndex((x) => String(x) === String(id));
+      if (i >= 0) this.splice(i, 1);
+    }),
+  });
+  return doc;
+};
+
+const project = (chequeHandling = {}) => ({
+  name: 'Skyline Heights',
+  paymentConfiguration: { chequeHandling },
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockBatchUpdateOne.mockResolvedValue({});
+  mockBatchCount.mockResolvedValue(0);
+  mockBatchCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockTxnFind.mockReturnValue(chain([]));
+  mockTaskFindOne.mockReturnValue(chain(null));
+  mockTaskCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockNotifyTaskAutoGenerated.mockResolvedValue(undefined);
+  mockCreateNotification.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockSendEmail.mockResolvedValue(undefined);
+});
+
+// =============================================================================
+// PURE HELPERS
+// =============================================================================
+
+describe('addWorkingDays', () => {
+  test('skips the weekend', () => {
+    // Friday 2026-01-02 + 2 working days = Tuesday 2026-01-06
+    const result = addWorkingDays(new Date(2026, 0, 2), 2);
+    expect(result.getDay()).toBe(2);
+    expect(result.getDate()).toBe(6);
+  });
+
+  test('zero days returns the same date', () => {
+    expect(addWorkingDays(new Date(2026, 0, 2), 0).getDate()).toBe(2);
+  });
+});
+
+describe('chequeStage', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+
+  test('pending cheques are in hand until deposited', () => {
+    expect(chequeStage({ paymentMethodDetails: { chequeStatus: 'pending' } }, now)).toBe('in_hand');
+    expect(chequeStage({}, now)).toBe('in_hand');
+  });
+
+  test('deposited cheques turn overdue after the expected clearing date', () => {
+    const deposited = (date) => ({
+      paymentMethodDetails: { chequeStatus: 'pending', depositBatch: { expectedClearingDate: new Date(date) } },
+    });
+    expect(chequeStage(deposited('2026-01-12'), now)).toBe('deposited');
+    expect(chequeStage(deposited('2026-01-08'), now)).toBe('overdue_clearing');
+  });
+
+  test('settled cheques report their cheque status', () => {
+    expect(chequeStage({ paymentMethodDetails: { chequeStatus: 'bounced' } }, now)).toBe('bounced');
+  });
+});
+
+// =============================================================================
+// DEPOSIT BATCHES
+// =============================================================================
+
+describe('createDepositBatch', () => {
+  test('creates a numbered batch and stamps each cheque', async () => {
+    const a = cheque({ amount: 100000 });
+    const b = cheque({ amount: 250000 });
+    mockProjectFindOne.mockReturnValue(chain(project({ clearingDays: 1 })));
+    mockTxnFind.mockResolvedValue([a, b]);
+    mockBatchCount.mockResolvedValue(2);
+
+    const batch = await createDepositBatch({
+      organization,
+      projectId,
+      transactionIds: [a._id, b._id, a._id],
+      depositDate: '2026-01-02',
+      user,
+    });
+
+    expect(batch.batchNumber).toBe('CHQ-20260102-003');
+    expect(batch.totalAmount).toBe(350000);
+    expect(batch.cheques).toEqual([a._id, b._id]);
+    // Friday + 1 working day = Monday
+    expect(batch.expectedClearingDate.getDay()).toBe(1);
+    expect(a.paymentMethodDetails.depositBatch).toBe(batch._id);
+    expect(b.paymentMethodDetails.depositDate).toEqual(new Date('2026-01-02'));
+    expect(a.save).toHaveBeenCalled();
+  });
+
+  test('refuses cheques already on a batch', async () => {
+    const a = cheque({ transactionNumber: 'TXN-9', paymentMethodDetails: { chequeStatus: 'pending', depositBatch: oid() } });
+    mockProjectFindOne.mockReturnValue(chain(project()));
+    mockTxnFind.mockResolvedValue([a]);
+
+    await expect(createDepositBatch({ organization, projectId, transactionIds: [a._id], user }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('TXN-9') });
+    expect(mockBatchCreate).not.toHaveBeenCalled();
+  });
+
+  test('refuses ids outside the project', async () => {
+    mockProjectFindOne.mockReturnValue(chain(project()));
+    mockTxnFind.mockResolvedValue([]);
+
+    await expect(createDepositBatch({ organization, projectId, transactionIds: [oid()], user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('refreshDepositBatch', () => {
+  test('closes a batch once every cheque is cleared or bounced', async () => {
+    const batchId = oid();
+    mockTxnFind.mockReturnValue(chain([
+      { amount: 100, paymentMethodDetails: { chequeStatus: 'cleared' } },
+      { amount: 50, paymentMethodDetails: { chequeStatus: 'bounced' } },
+    ]));
+
+    const result = await refreshDepositBatch(batchId);
+
+    expect(result).toMatchObject({ status: 'closed', clearedAmount: 100, bouncedCount: 1 });
+    expect(mockBatchUpdateOne).toHaveBeenCalledWith(
+      { _id: batchId },
+      { $set: expect.objectContaining({ status: 'closed', closedAt: expect.any(Date) }) }
+    );
+  });
+
+  test('partially cleared while some cheques are pending', async () => {
+    mockTxnFind.mockReturnValue(chain([
+      { amount: 100, paymentMethodDetails: { chequeStatus: 'cleared' } },
+      { amount: 50, paymentMethodDetails: { chequeStatus: 'pending' } },
+    ]));
+    expect((await refreshDepositBatch(oid())).status).toBe('partially_cleared');
+  });
+});
+
+// =============================================================================
+// CLEARING
+// =============================================================================
+
+describe('clearCheque', () => {
+  test('marks the cheque and transaction cleared and refreshes the batch', async () => {
+    const batchId = oid();
+    const txn = cheque({ paymentMethodDetails: { chequeStatus: 'pending', depositBatch: batchId, depositDate: new Date('2026-01-02') } });
+    mockTxnFindOne.mockResolvedValue(txn);
+    mockTxnFind.mockReturnValue(chain([{ amount: txn.amount, paymentMethodDetails: { chequeStatus: 'cleared' } }]));
+
+    await clearCheque(txn._id, { organization, clearingDate: '2026-01-05', user });
+
+    expect(txn.status).toBe('cleared');
+    expect(txn.paymentMethodDetails.chequeStatus).toBe('cleared');
+    expect(txn.paymentMethodDetails.clearingDate).toEqual(new Date('2026-01-05'));
+    expect(txn.recalculatePaymentPlan).toHaveBeenCalled();
+    expect(mockBatchUpdateOne).toHaveBeenCalledWith({ _id: batchId }, expect.anything());
+  });
+
+  test('rejects a clearing date before the deposit', async () => {
+    mockTxnFindOne.mockResolvedValue(cheque({
+      paymentMethodDetails: { chequeStatus: 'pending', depositDate: new Date('2026-01-05') },
+    }));
+    await expect(clearCheque(oid(), { organization, clearingDate: '2026-01-02', user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('only cheque payments have a cheque lifecycle', async () => {
+    mockTxnFindOne.mockResolvedValue(cheque({ paymentMethod: 'bank_transfer' }));
+    await expect(clearCheque(oid(), { organization, user })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+// =============================================================================
+// BOUNCE
+// =============================================================================
+
+describe('bounceCheque', () => {
+  const salesPerson = oid();
+  const planWithSale = () => chain({
+    sale: {
+      salesPerson,
+      lead: { firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com' },
+      unit: { unitNumber: 'A-501' },
+    },
+  });
+
+  test('reverses allocations, applies the bounce charge and starts follow-up', async () => {
+    const later = installment({ installmentNumber: 3, currentDueDate: new Date('2026-04-01'), paidAmount: 200000, currentAmount: 400000, pendingAmount: 200000, status: 'partially_paid' });
+    const earlier = installment();
+    const txn = cheque({
+      paymentAllocations: [
+        { installment: later._id, allocatedAmount: 200000 },
+        { installment: earlier._id, allocatedAmount: 300000 },
+      ],
+    });
+    later.linkedTransactions.push(txn._id);
+    earlier.linkedTransactions.push(txn._id);
+    mockTxnFindOne.mockResolvedValue(txn);
+    mockProjectFindById.mockReturnValue(chain(project({ bounceCharge: 590 })));
+    mockInstallmentFindById.mockImplementation(async (id) => [later, earlier].find((i) => String(i._id) === String(id)));
+    mockPlanFindById.mockReturnValue(planWithSale());
+
+    const result = await bounceCheque(txn._id, { organization, reason: 'Funds insufficient', bounceDate: '2026-01-06', user });
+
+    expect(later).toMatchObject({ paidAmount: 0, pendingAmount: 400000, status: 'overdue' });
+    expect(earlier).toMatchObject({ paidAmount: 200000, status: 'partially_paid' });
+    expect(earlier.linkedTransactions).toHaveLength(0);
+    expect(txn.paymentAllocations.every((a) => a.reversedAt)).toBe(true);
+
+    // Charge lands on the earliest-due installment the cheque had paid
+    expect(earlier.addAdditionalCharge).toHaveBeenCalledWith('Cheque bounce charge (000123)', 590, 'penalty', user._id);
+    expect(result.bounceCharge).toMatchObject({ installment: earlier._id, amount: 590 });
+
+    expect(txn.status).toBe('bounced');
+    expect(txn.paymentMethodDetails).toMatchObject({ chequeStatus: 'bounced', bounceReason: 'Funds insufficient', bounceCharge: 590 });
+    expect(txn.modifications[0]).toMatchObject({ modificationType: 'status_change' });
+    expect(txn.recalculatePaymentPlan).toHaveBeenCalled();
+
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'asha@example.com',
+      subject: expect.stringContaining('Cheque returned unpaid'),
+    }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: salesPerson,
+      type: 'cheque_bounced',
+    }));
+    expect(mockTaskCreate).toHaveBeenCalledWith(expect.objectContaining({
+      assignedTo: salesPerson,
+      priority: 'High',
+      category: 'Payment & Collection',
+      autoGenerated: expect.objectContaining({
+        triggerType: 'cheque_bounce',
+        deduplicationKey: `cheque_bounce_${txn._id}`,
+      }),
+    }));
+    expect(result).toMatchObject({ customerNotified: true, salespersonNotified: true });
+  });
+
+  test('an unallocated cheque charges the next open installment', async () => {
+    const open = installment({ paidAmount: 0, pendingAmount: 100000, status: 'due' });
+    mockTxnFindOne.mockResolvedValue(cheque());
+    mockProjectFindById.mockReturnValue(chain(project({ bounceCharge: 500 })));
+    mockInstallmentFindOne.mockReturnValue(chain(open));
+    mockPlanFindById.mockReturnValue(planWithSale());
+
+    const result = await bounceCheque(oid(), { organization, reason: 'Signature mismatch', user });
+
+    expect(open.addAdditionalCharge).toHaveBeenCalled();
+    expect(result.reversedInstallments).toEqual([]);
+  });
+
+  test('no charge configured means no additional charge', async () => {
+    const inst = installment();
+    const txn = cheque({ paymentAllocations: [{ installment: inst._id, allocatedAmount: 500000 }] });
+    mockTxnFindOne.mockResolvedValue(txn);
+    mockProjectFindById.mockReturnValue(chain(project()));
+    mockInstallmentFindById.mockResolvedValue(inst);
+    mockPlanFindById.mockReturnValue(planWithSale());
+
+    const result = await bounceCheque(txn._id, { organization, reason: 'Stale cheque', user });
+
+    expect(inst.addAdditionalCharge).not.toHaveBeenCalled();
+    expect(result.bounceCharge).toBeNull();
+    expect(txn.paymentMethodDetails.bounceCharge).toBe(0);
+  });
+
+  test('follow-up failures do not undo the bounce', async () => {
+    mockTxnFindOne.mockResolvedValue(cheque());
+    mockProjectFindById.mockReturnValue(chain(project()));
+    mockPlanFindById.mockReturnValue(planWithSale());
+    mockSendEmail.mockRejectedValue(new Error('SMTP down'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await bounceCheque(oid(), { organization, reason: 'Funds insufficient', user });
+
+    expect(result.transaction.status).toBe('bounced');
+    expect(result.customerNotified).toBe(false);
+    expect(result.task).not.toBeNull();
+    spy.mockRestore();
+  });
+
+  test('a bounced cheque cannot bounce again', async () => {
+    mockTxnFindOne.mockResolvedValue(cheque({ paymentMethodDetails: { chequeStatus: 'bounced' } }));
+    await expect(bounceCheque(oid(), { organization, reason: 'x', user }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a reason is required', async () => {
+    mockTxnFindOne.mockResolvedValue(cheque());
+    await expect(bounceCheque(oid(), { organization, reason: ' ', user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
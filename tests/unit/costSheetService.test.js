@@ -0,0 +1,183 @@
+// tests/unit/costSheetService.test.js
+// Unit tests for the pure cost sheet builder in services/costSheetService.js:
+// components, GST slabs, discount schemes, stamp duty/registration and
+// as-of-date behaviour. No database access.
+
+import { describe, test, expect } from '@jest/globals';
+import { buildCostSheet, COST_SHEET_VERSION } from '../../services/costSheetService.js';
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const unit = (overrides = {}) => ({
+  _id: 'unit-1',
+  unitNumber: 'A-0701',
+  type: '3BHK',
+  areaSqft: 1200,
+  floor: 7,
+  features: { isParkFacing: true, isCornerUnit: false, hasParkingSlot: true },
+  parking: { covered: 1 },
+  ...overrides,
+});
+
+const project = (overrides = {}) => ({
+  _id: 'project-1',
+  name: 'Skyline',
+  location: { city: 'Pune', state: 'Maharashtra' },
+  pricingRules: { gstRate: 5, floorRiseCharge: 20000, plcCharges: { parkFacing: 300000 } },
+  paymentConfiguration: {
+    defaultCharges: { parkingCharges: 500000, clubMembership: 200000, maintenanceDeposit: 100000 },
+    taxConfiguration: { gstApplicable: true, gstRate: 5, stampDutyRate: 6, registrationFeeRate: 1 },
+  },
+  additionalCharges: [],
+  discountSchemes: [],
+  ...overrides,
+});
+
+const component = (sheet, code) => sheet.components.find((c) => c.code === code);
+
+// =============================================================================
+// Components
+// =============================================================================
+
+describe('buildCostSheet — components', () => {
+  test('base, floor rise, PLC and default charges with their own GST treatment', () => {
+    const sheet = buildCostSheet({ unit: unit(), project: project(), basePrice: 10000000 });
+
+    expect(sheet.version).toBe(COST_SHEET_VERSION);
+    expect(sheet.components.map((c) => c.code)).toEqual([
+      'BASE', 'FLOOR_RISE', 'PLC_PARK', 'PARKING', 'CLUB', 'MAINT_DEPOSIT',
+    ]);
+    expect(component(sheet, 'FLOOR_RISE').total).toBe(140000);
+    expect(component(sheet, 'CLUB').gstRate).toBe(18);
+    expect(component(sheet, 'MAINT_DEPOSIT')).toMatchObject({ taxable: false, gstRate: 0 });
+    // Agreement value = base + floor rise + PLC + parking
+    expect(sheet.totals.agreementValue).toBe(10940000);
+  });
+
+  test('a price-list price skips project floor rise and PLC', () => {
+    const sheet = buildCostSheet({
+      unit: unit(), project: project(), basePrice: 10000000, priceIncludesPremiums: true,
+    });
+    expect(component(sheet, 'FLOOR_RISE')).toBeUndefined();
+    expect(component(sheet, 'PLC_PARK')).toBeUndefined();
+  });
+
+  test('no parking slot → no parking charge', () => {
+    const sheet = buildCostSheet({
+      unit: unit({ parking: { covered: 0 }, features: {} }), project: project(), basePrice: 10000000,
+    });
+    expect(component(sheet, 'PARKING')).toBeUndefined();
+  });
+
+  test('additional charges: per-sqft, recurring, optional, unit-type and date filters', () => {
+    const p = project({
+      additionalCharges: [
+        { name: 'Development Charges', code: 'DEV', amount: 150, basis: 'per_sqft', gstRate: 18 },
+        { name: 'Maintenance', code: 'MAINT', amount: 3000, type: 'monthly', billingPeriods: 24, gstRate: 18 },
+        { name: 'Modular Kitchen', code: 'KITCHEN', amount: 250000, isOptional: true },
+        { name: 'Villa Garden', code: 'GARDEN', amount: 90000, appliesToUnitTypes: ['Villa'] },
+        { name: 'Old Fee', code: 'OLD', amount: 5000, effectiveTo: new Date('2026-01-01') },
+      ],
+    });
+
+    const sheet = buildCostSheet({
+      unit: unit(), project: p, basePrice: 10000000,
+      asOf: new Date('2026-06-01'), optionalCharges: ['kitchen'],
+    });
+
+    expect(component(sheet, 'DEV').total).toBe(180000);
+    expect(component(sheet, 'MAINT')).toMatchObject({ frequency: 'monthly', periods: 24, total: 72000 });
+    expect(component(sheet, 'KITCHEN').gstRate).toBe(5);
+    expect(component(sheet, 'GARDEN')).toBeUndefined();
+    expect(component(sheet, 'OLD')).toBeUndefined();
+    expect(sheet.totals.recurringCharges).toBe(72000);
+
+    const earlier = buildCostSheet({ unit: unit(), project: p, basePrice: 10000000, asOf: new Date('2025-06-01') });
+    expect(component(earlier, 'OLD').total).toBe(5000);
+  });
+});
+
+// =============================================================================
+// Discounts and taxes
+// =============================================================================
+
+describe('buildCostSheet — discounts and taxes', () => {
+  const schemes = [
+    { code: 'FESTIVE', name: 'Festive Offer', type: 'percent', value: 2, maxAmount: 150000, isActive: true },
+    { code: 'EARLY', name: 'Early Bird', type: 'per_sqft', value: 100, validUntil: new Date('2026-03-31'), isActive: true },
+  ];
+
+  test('schemes reduce the agreement value and GST on it, capped by maxAmount', () => {
+    const p = project({
+      pricingRules: { gstRate: 5 },
+      paymentConfiguration: { defaultCharges: {}, taxConfiguration: { stampDutyRate: 6, registrationFeeRate: 1 } },
+      discountSchemes: schemes,
+    });
+    const sheet = buildCostSheet({
+      unit: unit({ features: {} }), project: p, basePrice: 10000000,
+      asOf: new Date('2026-03-01'), discountSchemes: ['festive', 'EARLY'],
+    });
+
+    expect(sheet.discounts.map((d) => d.amount)).toEqual([150000, 120000]);
+    expect(sheet.totals.discountTotal).toBe(270000);
+    expect(sheet.totals.agreementValue).toBe(9730000);
+    expect(sheet.totals.gstTotal).toBe(486500);
+    expect(sheet.taxes.stampDuty.amount).toBe(583800);
+    expect(sheet.taxes.registration.amount).toBe(97300);
+    expect(sheet.totals.developerTotal).toBe(10216500);
+    expect(sheet.finalPayableAmount).toBe(sheet.totals.developerTotal);
+    expect(sheet.totals.grandTotal).toBe(10216500 + 583800 + 97300);
+  });
+
+  test('expired or unknown schemes are rejected with 400', () => {
+    const p = project({ discountSchemes: schemes });
+    expect(() => buildCostSheet({
+      unit: unit(), project: p, basePrice: 1, asOf: new Date('2026-05-01'), discountSchemes: ['EARLY'],
+    })).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => buildCostSheet({
+      unit: unit(), project: p, basePrice: 1, discountSchemes: ['NOPE'],
+    })).toThrow(/Unknown or inactive/);
+  });
+
+  test('a project with no tax configuration is charged no GST, stamp duty or registration', () => {
+    const p = project({ pricingRules: {}, paymentConfiguration: undefined });
+    const sheet = buildCostSheet({ unit: unit({ features: {} }), project: p, basePrice: 10000000 });
+
+    expect(sheet.taxes.gst).toMatchObject({ baseRate: 0, total: 0 });
+    expect(sheet.taxes.stampDuty).toMatchObject({ rate: 0, amount: 0 });
+    expect(sheet.taxes.registration).toMatchObject({ rate: 0, amount: 0 });
+    expect(sheet.totals.grandTotal).toBe(sheet.totals.chargesTotal);
+    expect(sheet.costBreakdown.map((row) => row.item)).not.toEqual(
+      expect.arrayContaining([expect.stringMatching(/Stamp Duty|Registration|GST/)])
+    );
+  });
+
+  test('state rule overrides project rates and caps registration', () => {
+    const sheet = buildCostSheet({
+      unit: unit({ features: {}, parking: {} }),
+      project: project({ pricingRules: {}, paymentConfiguration: { defaultCharges: {}, taxConfiguration: {} } }),
+      basePrice: 10000000,
+      stampDutyRule: {
+        _id: 'rule-1', state: 'Maharashtra', stampDutyPercent: 5, cessPercent: 1,
+        registrationPercent: 1, registrationMaxAmount: 30000,
+      },
+    });
+    expect(sheet.taxes.stampDuty).toMatchObject({ rate: 6, amount: 600000, ruleId: 'rule-1' });
+    expect(sheet.taxes.registration).toMatchObject({ amount: 30000, maxAmount: 30000 });
+  });
+
+  test('GST not applicable → base components carry no GST', () => {
+    const sheet = buildCostSheet({
+      unit: unit({ features: {}, parking: {} }),
+      project: project({
+        pricingRules: {},
+        paymentConfiguration: { defaultCharges: {}, taxConfiguration: { gstApplicable: false } },
+      }),
+      basePrice: 5000000,
+    });
+    expect(sheet.totals.gstTotal).toBe(0);
+    expect(sheet.taxes.gst.bySlab).toEqual([]);
+  });
+});
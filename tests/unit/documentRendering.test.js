@@ -0,0 +1,411 @@
+// tests/unit/documentRendering.test.js
+// Document templates: the three engines with their formatting helpers and
+// loops, the EJS sandbox, HTML → blocks, page setup, real PDF / DOCX / HTML
+// output, the template context built from a sale, and generating a stored
+// document from a DocumentTemplate. Models and S3 are mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockTemplateFindOne = jest.fn();
+jest.unstable_mockModule('../../models/documentTemplateModel.js', () => ({
+  default: { findOne: mockTemplateFindOne },
+}));
+
+const mockFileCreate = jest.fn();
+jest.unstable_mockModule('../../models/fileModel.js', () => ({
+  default: { create: mockFileCreate },
+}));
+
+const mockUpload = jest.fn();
+const mockGetFile = jest.fn();
+jest.unstable_mockModule('../../services/s3Service.js', () => ({
+  uploadFileToS3: mockUpload,
+  getFileFromS3: mockGetFile,
+}));
+
+const mockOrgFindById = jest.fn();
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  default: { findById: mockOrgFindById },
+}));
+
+const mockSaleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne },
+}));
+
+const mockPlanFindOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { findOne: mockPlanFindOne },
+}));
+
+const mockInstallmentFind = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind },
+}));
+
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: jest.fn() },
+}));
+
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { findOne: jest.fn() },
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { renderTemplate, formatCurrency } = await import('../../services/documents/templateEngines.js');
+const { htmlToBlocks } = await import('../../services/documents/htmlBlocks.js');
+const { resolvePageSetup } = await import('../../services/documents/pageSetup.js');
+const { toStandardFontText } = await import('../../services/documents/pdfRenderer.js');
+const { renderDocument } = await import('../../services/documents/renderDocument.js');
+const { loadTemplateData, buildTemplateContext } = await import('../../services/documents/templateData.js');
+const { generateDocumentFromTemplate, previewTemplateDocument } = await import('../../services/documentGenerationService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const SALE = oid();
+const USER = { _id: oid(), organization: ORG, firstName: 'Neha', lastName: 'Kapoor', role: 'Sales Head' };
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+const INSTALLMENTS = [
+  { installmentNumber: 1, description: 'Booking amount', currentAmount: 500000, paidAmount: 500000, pendingAmount: 0, currentDueDate: new Date('2026-10-01'), status: 'paid' },
+  { installmentNumber: 2, description: 'On plinth', currentAmount: 1000000, paidAmount: 0, pendingAmount: 1000000, currentDueDate: new Date('2027-01-15'), status: 'pending' },
+];
+
+const SALE_DOC = {
+  _id: SALE,
+  project: { _id: PROJECT, name: 'Skyline Residences', location: { city: 'Pune', area: 'Baner', state: 'Maharashtra' } },
+  lead: { firstName: 'Asha', lastName: 'Menon', email: 'asha@example.com', phone: '9876543210' },
+  unit: { unitNumber: 'B-1204', type: '3BHK', floor: 12, areaSqft: 1450, tower: { towerName: 'Tower B' } },
+  salesPerson: { firstName: 'Ravi', lastName: 'Shah' },
+  salePrice: 1500000,
+  bookingDate: new Date('2026-10-01'),
+  status: 'Booked',
+  costSheetSnapshot: { totals: { agreementValue: 1400000, grandTotal: 1600000 } },
+};
+
+const SCHEDULE_SOURCE = `
+<h1 style="text-align:center">Payment Schedule — {{project.name}}</h1>
+<p>Dear {{buyer.name}}, unit {{unit.number}} ({{unit.tower}}).</p>
+<table>
+  <tr><th>#</th><th>Milestone</th><th>Due</th><th>Amount</th></tr>
+  {{#each installments}}
+  <tr><td>{{number}}</td><td>{{description}}</td><td>{{formatDate dueDate}}</td><td align="right">{{formatCurrency amount}}</td></tr>
+  {{/each}}
+</table>
+<p>Total: {{installmentTotals.amountFormatted}}</p>`;
+
+const pdfPageCount = (buffer) => Number(/\/Count (\d+)/.exec(buffer.toString('latin1'))?.[1]);
+const pdfMediaBox = (buffer) => /\/MediaBox \[([^\]]+)\]/.exec(buffer.toString('latin1'))?.[1].trim().split(/\s+/).map(Number);
+
+const makeTemplate = (overrides = {}) => {
+  const template = {
+    _id: oid(),
+    name: 'Payment Schedule',
+    type: 'Letter',
+    version: 3,
+    content: SCHEDULE_SOURCE,
+    templateFile: null,
+    category: { _id: oid() },
+    fields: [],
+    sections: [],
+    usage: { requiresApproval: false },
+    configuration: {
+      outputFormat: 'pdf',
+      engine: 'handlebars',
+      pageSettings: { format: 'A4', orientation: 'portrait', margins: { top: 20, right: 20, bottom: 20, left: 20 } },
+      headerFooter: { includeHeader: false, includeFooter: true, footerTemplate: '{{project.name}} · Page [[page]] of [[pages]]' },
+    },
+    canUserUse: jest.fn(() => true),
+    validateTemplateData: jest.fn(() => ({ isValid: true, errors: [] })),
+    incrementUsage: jest.fn(async () => {}),
+    ...overrides,
+  };
+  return template;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockSaleFindOne.mockReturnValue(chain(SALE_DOC));
+  mockPlanFindOne.mockReturnValue(chain({ planType: 'construction_linked', totalAmount: 1500000, status: 'active' }));
+  mockInstallmentFind.mockReturnValue(chain(INSTALLMENTS));
+  mockOrgFindById.mockReturnValue(chain({ name: 'Acme Developers', city: 'Pune' }));
+  mockUpload.mockResolvedValue({ url: 'https://s3/doc.pdf', s3Key: 'generated/doc.pdf' });
+  mockFileCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+});
+
+// =============================================================================
+// ENGINES
+// =============================================================================
+
+describe('renderTemplate', () => {
+  const data = {
+    buyer: { name: 'Asha <Menon>' },
+    installments: [
+      { number: 1, amount: 500000, dueDate: '2026-10-01' },
+      { number: 2, amount: 1000000.5, dueDate: '2027-01-15' },
+    ],
+  };
+
+  test('handlebars loops with the formatting helpers and escapes values', () => {
+    const html = renderTemplate(
+      '<p>{{buyer.name}}</p>{{#each installments}}<li>{{number}}: {{formatCurrency amount}} on {{formatDate dueDate}}</li>{{/each}}',
+      'handlebars',
+      data
+    );
+    expect(html).toContain('<p>Asha &lt;Menon&gt;</p>');
+    expect(html).toContain(`<li>1: ${formatCurrency(500000)} on 01 Oct 2026</li>`);
+    expect(html).toContain('₹10,00,000.5');
+  });
+
+  test('mustache sections loop and lambdas format', () => {
+    const html = renderTemplate(
+      '{{#installments}}<li>{{number}}: {{#currency}}{{amount}}{{/currency}} {{#date}}{{dueDate}}{{/date}}</li>{{/installments}}',
+      'mustache',
+      data
+    );
+    expect(html).toBe(`<li>1: ${formatCurrency(500000)} 01 Oct 2026</li><li>2: ${formatCurrency(1000000.5)} 15 Jan 2027</li>`);
+  });
+
+  test('ejs loops with the helpers inside the sandbox', () => {
+    const html = renderTemplate(
+      '<p><%= buyer.name %></p><% installments.forEach(function (i) { %><li><%= formatCurrency(i.amount) %></li><% }) %>',
+      'ejs',
+      data
+    );
+    expect(html).toBe(`<p>Asha &lt;Menon&gt;</p><li>${formatCurrency(500000)}</li><li>${formatCurrency(1000000.5)}</li>`);
+  });
+
+  test('ejs templates cannot reach Node', () => {
+    expect(renderTemplate('<%= typeof process %>/<%= typeof require %>', 'ejs', {})).toBe('undefined/undefined');
+    expect(() => renderTemplate('<%= this.constructor.constructor("return process")().pid %>', 'ejs', {}))
+      .toThrow(/ejs template failed to render/);
+    expect(() => renderTemplate('<%- include("other") %>', 'ejs', {})).toThrow(/include is not supported/);
+  });
+
+  test('runaway ejs templates are stopped', () => {
+    expect(() => renderTemplate('<% while (true) {} %>', 'ejs', {})).toThrow(/timed out/);
+  });
+
+  test('unknown engines are refused', () => {
+    expect(() => renderTemplate('x', 'pug', {})).toThrow(/Unsupported template engine/);
+  });
+});
+
+// =============================================================================
+// HTML → BLOCKS, PAGE SETUP
+// =============================================================================
+
+describe('htmlToBlocks', () => {
+  test('keeps headings, alignment, formatting, tables, lists and page breaks', () => {
+    const blocks = htmlToBlocks(`
+      <style>p { color: red }</style>
+      <h2 align="center">Allotment  Letter</h2>
+      <p>Dear <b>Asha &amp; Ravi</b>,<br>welcome.</p>
+      <div style="page-break-before: always"></div>
+      <table><thead><tr><th>#</th><th>Amount</th></tr></thead>
+        <tbody><tr><td>1</td><td colspan="1" style="text-align: right">₹5,00,000</td></tr></tbody></table>
+      <ol><li>First</li><li><u>Second</u></li></ol>
+      <hr>`);
+
+    expect(blocks.map((b) => b.type)).toEqual(['heading', 'paragraph', 'pageBreak', 'table', 'list', 'rule']);
+    expect(blocks[0]).toMatchObject({ level: 2, align: 'center', runs: [{ text: 'Allotment Letter', bold: true }] });
+    expect(blocks[1].runs).toEqual([
+      { text: 'Dear ', bold: false, italic: false, underline: false },
+      { text: 'Asha & Ravi', bold: true, italic: false, underline: false },
+      { text: ',\nwelcome.', bold: false, italic: false, underline: false },
+    ]);
+    expect(blocks[3].rows[0].header).toBe(true);
+    expect(blocks[3].rows[1]).toMatchObject({ header: false, cells: [{ runs: [{ text: '1' }] }, { align: 'right', span: 1 }] });
+    expect(blocks[4]).toMatchObject({ ordered: true, items: [[{ text: 'First' }], [{ text: 'Second', underline: true }]] });
+  });
+
+  test('drops leading, trailing and repeated page breaks', () => {
+    const blocks = htmlToBlocks('<div class="page-break"></div><p>A</p><div class="page-break"></div><div class="page-break"></div><p>B</p><div class="page-break"></div>');
+    expect(blocks.map((b) => b.type)).toEqual(['paragraph', 'pageBreak', 'paragraph']);
+  });
+});
+
+describe('resolvePageSetup', () => {
+  test('landscape swaps the page and margins default to 20mm', () => {
+    expect(resolvePageSetup({ format: 'Letter', orientation: 'landscape', margins: { top: 10 } })).toEqual({
+      format: 'Letter',
+      orientation: 'landscape',
+      widthMm: 279.4,
+      heightMm: 215.9,
+      margins: { top: 10, right: 20, bottom: 20, left: 20 },
+    });
+    expect(resolvePageSetup({ format: 'B5' }).format).toBe('A4');
+  });
+});
+
+// =============================================================================
+// OUTPUT
+// =============================================================================
+
+describe('renderDocument', () => {
+  const data = buildTemplateContext({
+    project: SALE_DOC.project,
+    lead: SALE_DOC.lead,
+    unit: SALE_DOC.unit,
+    installments: INSTALLMENTS,
+    now: NOW,
+  });
+
+  test('writes a real PDF at the configured page size', async () => {
+    const result = await renderDocument({
+      source: SCHEDULE_SOURCE,
+      data,
+      outputFormat: 'pdf',
+      pageSettings: { format: 'A4', orientation: 'landscape' },
+      headerFooter: { includeFooter: true, footerTemplate: 'Page [[page]] of [[pages]]' },
+    });
+
+    expect(result.mimeType).toBe('application/pdf');
+    expect(result.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(pdfPageCount(result.buffer)).toBe(1);
+    const [, , width, height] = pdfMediaBox(result.buffer);
+    expect(width).toBeCloseTo(841.89, 1);
+    expect(height).toBeCloseTo(595.28, 1);
+    expect(result.html).toContain('Asha Menon');
+  });
+
+  test('long installment tables flow onto more pages', async () => {
+    const many = Array.from({ length: 120 }, (_, i) => ({ number: i + 1, description: `Slab ${i + 1}`, amount: 1000 }));
+    const result = await renderDocument({ source: SCHEDULE_SOURCE, data: { ...data, installments: many } });
+    expect(pdfPageCount(result.buffer)).toBeGreaterThan(2);
+  });
+
+  test('page breaks in the template start new pages', async () => {
+    const result = await renderDocument({ source: '<p>One</p><div class="page-break"></div><p>Two</p>', pageSettings: { format: 'Legal' } });
+    expect(pdfPageCount(result.buffer)).toBe(2);
+    expect(pdfMediaBox(result.buffer).slice(2)).toEqual([612, 1008]);
+  });
+
+  test('writes a Word document', async () => {
+    const result = await renderDocument({
+      source: SCHEDULE_SOURCE,
+      data,
+      outputFormat: 'docx',
+      headerFooter: { includeHeader: true, headerTemplate: '{{project.name}}' },
+    });
+    expect(result.mimeType).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    expect(result.buffer.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  test('HTML output wraps fragments with @page rules', async () => {
+    const result = await renderDocument({
+      source: '<p>{{buyer.name}}</p>',
+      data,
+      outputFormat: 'html',
+      pageSettings: { format: 'A3', orientation: 'landscape', margins: { top: 15, right: 15, bottom: 15, left: 15 } },
+    });
+    const html = result.buffer.toString();
+    expect(html).toContain('@page { size: A3 landscape; margin: 15mm 15mm 15mm 15mm; }');
+    expect(html).toContain('<p>Asha Menon</p>');
+  });
+
+  test('the built-in PDF fonts get printable text', () => {
+    expect(toStandardFontText('₹5,00,000 – paid ✓')).toBe('Rs. 5,00,000 – paid ?');
+  });
+});
+
+// =============================================================================
+// TEMPLATE DATA
+// =============================================================================
+
+describe('loadTemplateData', () => {
+  test('binds the sale, buyer, unit, plan and installments', async () => {
+    const verifyAccess = jest.fn();
+    const data = await loadTemplateData({ organization: ORG, resourceType: 'Sale', resourceId: SALE, verifyAccess, now: NOW });
+
+    expect(verifyAccess).toHaveBeenCalledWith(PROJECT);
+    expect(data.buyer).toMatchObject({ name: 'Asha Menon', email: 'asha@example.com' });
+    expect(data.unit).toMatchObject({ number: 'B-1204', tower: 'Tower B' });
+    expect(data.sale).toMatchObject({ salePrice: 1500000, salesPerson: 'Ravi Shah', bookingDateFormatted: '01 Oct 2026' });
+    expect(data.sale.costSheet.grandTotalFormatted).toBe(formatCurrency(1600000));
+    expect(data.organization.name).toBe('Acme Developers');
+    expect(data.installments.map((i) => [i.number, i.isFirst, i.isLast])).toEqual([[1, true, false], [2, false, true]]);
+    expect(data.installments[1]).toMatchObject({ amountFormatted: formatCurrency(1000000), dueDateFormatted: '15 Jan 2027' });
+    expect(data.installmentTotals).toMatchObject({ count: 2, amount: 1500000, paid: 500000, pending: 1000000 });
+    expect(mockInstallmentFind).toHaveBeenCalledWith({ sale: SALE, organization: ORG, status: { $ne: 'cancelled' } });
+  });
+
+  test('missing records and unsupported types are refused', async () => {
+    mockSaleFindOne.mockReturnValue(chain(null));
+    await expect(loadTemplateData({ organization: ORG, resourceType: 'Sale', resourceId: SALE }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    await expect(loadTemplateData({ organization: ORG, resourceType: 'Commission', resourceId: SALE }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+// =============================================================================
+// DOCUMENT GENERATION
+// =============================================================================
+
+describe('generateDocumentFromTemplate', () => {
+  test('renders the template from the sale and stores the PDF', async () => {
+    const template = makeTemplate();
+    mockTemplateFindOne.mockReturnValue(chain(template));
+
+    const result = await generateDocumentFromTemplate(template._id, { note: 'x' }, USER, SALE, 'Sale');
+
+    const [upload, folder] = mockUpload.mock.calls[0];
+    expect(folder).toBe(`generated-documents/sales/${SALE}`);
+    expect(upload.mimetype).toBe('application/pdf');
+    expect(upload.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(upload.originalname).toMatch(/^Payment Schedule-\d+\.pdf$/);
+    expect(mockFileCreate).toHaveBeenCalledWith(expect.objectContaining({
+      associatedResource: SALE,
+      resourceType: 'Sale',
+      mimeType: 'application/pdf',
+      size: upload.buffer.length,
+    }));
+    expect(mockFileCreate.mock.calls[0][0].customFields.get('templateVersion')).toBe('3');
+    expect(template.incrementUsage).toHaveBeenCalled();
+    expect(result.success).toBe(true);
+  });
+
+  test('falls back to the uploaded template file and the template output format', async () => {
+    const template = makeTemplate({
+      content: undefined,
+      templateFile: { s3Key: 'templates/letter.html', mimeType: 'text/html' },
+      configuration: { ...makeTemplate().configuration, outputFormat: 'docx', engine: 'mustache' },
+    });
+    mockTemplateFindOne.mockReturnValue(chain(template));
+    mockGetFile.mockResolvedValue(Buffer.from('<p>Dear {{buyer.name}}</p>'));
+
+    const preview = await previewTemplateDocument(template._id, {}, USER, SALE, 'Sale');
+
+    expect(mockGetFile).toHaveBeenCalledWith('templates/letter.html');
+    expect(preview.extension).toBe('docx');
+    expect(preview.html).toBe('<p>Dear Asha Menon</p>');
+    expect(mockUpload).not.toHaveBeenCalled();
+    expect(mockFileCreate).not.toHaveBeenCalled();
+  });
+
+  test('keeps the status code of refusals', async () => {
+    mockTemplateFindOne.mockReturnValue(chain(null));
+    await expect(generateDocumentFromTemplate(oid(), {}, USER, SALE, 'Sale'))
+      .rejects.toMatchObject({ statusCode: 404, message: 'Document generation failed: Template not found' });
+
+    const template = makeTemplate({ validateTemplateData: jest.fn(() => ({ isValid: false, errors: ['Name is required'] })) });
+    mockTemplateFindOne.mockReturnValue(chain(template));
+    await expect(previewTemplateDocument(template._id, {}, USER, SALE, 'Sale'))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,290 @@
+// tests/unit/dunningService.test.js
+// Unit tests for services/dunningService.js — reminder escalation, demand
+// letter content and the daily sweep. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockInstallmentFind = jest.fn();
+const mockInstallmentFindOne = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind, findOne: mockInstallmentFindOne },
+}));
+
+const mockProjectFind = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { find: mockProjectFind },
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  DEFAULT_REMINDER_CADENCE,
+  resolveCadence,
+  nextReminderType,
+  buildDemandLetter,
+  runDunningCycle,
+  logManualReminder,
+} = await import('../../services/dunningService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-07-01T04:00:00Z');
+const daysFrom = (d) => new Date(NOW.getTime() + d * DAY);
+const cadence = { ...DEFAULT_REMINDER_CADENCE };
+
+const sent = (reminderType, daysAgo) => ({ reminderType, sentDate: daysFrom(-daysAgo), method: 'email' });
+
+const makeInstallment = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  installmentNumber: 3,
+  description: 'On completion of plinth',
+  milestoneType: 'time_based',
+  status: 'pending',
+  pendingAmount: 500000,
+  currentDueDate: daysFrom(10),
+  gracePeriodEndDate: daysFrom(17),
+  remindersSent: [],
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// =============================================================================
+// resolveCadence
+// =============================================================================
+
+describe('resolveCadence', () => {
+  test('falls back to defaults', () => {
+    expect(resolveCadence({})).toEqual(DEFAULT_REMINDER_CADENCE);
+  });
+
+  test('project settings override defaults', () => {
+    const result = resolveCadence({ paymentConfiguration: { reminderCadence: { preDueDays: 3, enabled: false } } });
+    expect(result.preDueDays).toBe(3);
+    expect(result.enabled).toBe(false);
+    expect(result.overdueIntervalDays).toBe(DEFAULT_REMINDER_CADENCE.overdueIntervalDays);
+  });
+});
+
+// =============================================================================
+// nextReminderType
+// =============================================================================
+
+describe('nextReminderType', () => {
+  test('nothing while the due date is beyond the pre-due window', () => {
+    expect(nextReminderType(makeInstallment({ currentDueDate: daysFrom(10) }), cadence, NOW)).toBeNull();
+  });
+
+  test('pre_due inside the window, once', () => {
+    const inst = makeInstallment({ currentDueDate: daysFrom(5) });
+    expect(nextReminderType(inst, cadence, NOW)).toBe('pre_due');
+    inst.remindersSent.push(sent('pre_due', 2));
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+  });
+
+  test('preDueDays 0 disables the courtesy reminder', () => {
+    expect(nextReminderType(makeInstallment({ currentDueDate: daysFrom(1) }), { ...cadence, preDueDays: 0 }, NOW))
+      .toBeNull();
+  });
+
+  test('demand letter on the due date', () => {
+    const inst = makeInstallment({ currentDueDate: NOW, gracePeriodEndDate: daysFrom(7), remindersSent: [sent('pre_due', 5)] });
+    expect(nextReminderType(inst, cadence, NOW)).toBe('due_today');
+  });
+
+  test('demand letter first even when already overdue', () => {
+    const inst = makeInstallment({ status: 'overdue', currentDueDate: daysFrom(-30), gracePeriodEndDate: daysFrom(-23) });
+    expect(nextReminderType(inst, cadence, NOW)).toBe('due_today');
+  });
+
+  test('quiet during grace after the demand', () => {
+    const inst = makeInstallment({
+      status: 'due', currentDueDate: daysFrom(-3), gracePeriodEndDate: daysFrom(4), remindersSent: [sent('due_today', 3)],
+    });
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+  });
+
+  test('overdue reminders repeat on the interval up to the cap', () => {
+    const inst = makeInstallment({
+      status: 'overdue', currentDueDate: daysFrom(-20), gracePeriodEndDate: daysFrom(-13),
+      remindersSent: [sent('due_today', 20)],
+    });
+    expect(nextReminderType(inst, cadence, NOW)).toBe('overdue');
+
+    inst.remindersSent.push(sent('overdue', 3));
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+
+    inst.remindersSent = [sent('due_today', 20), sent('overdue', 14), sent('overdue', 7)];
+    expect(nextReminderType(inst, cadence, NOW)).toBe('overdue');
+
+    inst.remindersSent.push(sent('overdue', 7));
+    expect(nextReminderType(inst, { ...cadence, maxOverdueReminders: 3 }, NOW)).toBeNull();
+  });
+
+  test('final notice once past the threshold, then nothing', () => {
+    const inst = makeInstallment({
+      status: 'overdue', currentDueDate: daysFrom(-60), gracePeriodEndDate: daysFrom(-53),
+      remindersSent: [sent('due_today', 60), sent('overdue', 40)],
+    });
+    expect(nextReminderType(inst, cadence, NOW)).toBe('final_notice');
+    inst.remindersSent.push(sent('final_notice', 1));
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+  });
+
+  test('at most one reminder a day', () => {
+    const inst = makeInstallment({ status: 'overdue', currentDueDate: daysFrom(-30), gracePeriodEndDate: daysFrom(-23),
+      remindersSent: [{ reminderType: 'pre_due', sentDate: NOW, method: 'call' }] });
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+  });
+
+  test('construction installments wait for the milestone, then are demanded at once', () => {
+    const inst = makeInstallment({ milestoneType: 'construction', status: 'pending', currentDueDate: daysFrom(-100) });
+    expect(nextReminderType(inst, cadence, NOW)).toBeNull();
+
+    inst.status = 'due';
+    inst.currentDueDate = daysFrom(3);
+    inst.gracePeriodEndDate = daysFrom(10);
+    expect(nextReminderType(inst, cadence, NOW)).toBe('due_today');
+  });
+
+  test('closed, fully paid or disabled → nothing', () => {
+    const due = { currentDueDate: NOW };
+    expect(nextReminderType(makeInstallment({ ...due, status: 'paid' }), cadence, NOW)).toBeNull();
+    expect(nextReminderType(makeInstallment({ ...due, pendingAmount: 0 }), cadence, NOW)).toBeNull();
+    expect(nextReminderType(makeInstallment(due), { ...cadence, enabled: false }, NOW)).toBeNull();
+  });
+});
+
+// =============================================================================
+// buildDemandLetter
+// =============================================================================
+
+describe('buildDemandLetter', () => {
+  const base = {
+    installment: makeInstallment({ currentDueDate: NOW, lateFeeAccrued: 1200 }),
+    lead: { firstName: 'Asha', lastName: '<Rao>' },
+    project: { name: 'Skyline Heights' },
+    unit: { unitNumber: 'B-1204' },
+    bankAccount: { bankName: 'HDFC Bank', accountHolderName: 'Skyline Escrow', accountNumber: '50200012345678', ifscCode: 'HDFC0001234' },
+    now: NOW,
+  };
+
+  test('demand letter carries amount, property and bank details', () => {
+    const letter = buildDemandLetter({ ...base, reminderType: 'due_today' });
+    expect(letter.subject).toBe('Demand letter — installment 3 | Skyline Heights, Unit B-1204');
+    expect(letter.text).toContain('Amount due: ₹5,00,000');
+    expect(letter.text).toContain('Late fee accrued: ₹1,200');
+    expect(letter.text).toContain('IFSC: HDFC0001234');
+  });
+
+  test('escapes buyer-controlled text in HTML', () => {
+    const { html } = buildDemandLetter({ ...base, reminderType: 'pre_due' });
+    expect(html).toContain('Asha &lt;Rao&gt;');
+    expect(html).not.toContain('<Rao>');
+  });
+
+  test('final notice subject', () => {
+    expect(buildDemandLetter({ ...base, reminderType: 'final_notice' }).subject).toMatch(/^Final notice — installment 3/);
+  });
+});
+
+// =============================================================================
+// runDunningCycle
+// =============================================================================
+
+describe('runDunningCycle', () => {
+  const withContext = (inst, { email = 'asha@example.com', saleStatus = 'Booked' } = {}) => ({
+    ...inst,
+    sale: { status: saleStatus, lead: { firstName: 'Asha', email }, unit: { unitNumber: 'B-1204' } },
+    project: { name: 'Skyline Heights', primaryBankAccount: null },
+    save: jest.fn().mockResolvedValue(undefined),
+  });
+
+  test('sends and logs the next reminder per installment', async () => {
+    const due = withContext(makeInstallment({ currentDueDate: NOW, gracePeriodEndDate: daysFrom(7) }));
+    const later = withContext(makeInstallment({ currentDueDate: daysFrom(20), gracePeriodEndDate: daysFrom(27) }));
+    mockProjectFind.mockReturnValue(chain([{ _id: new mongoose.Types.ObjectId() }]));
+    mockInstallmentFind.mockReturnValue(chain([due, later]));
+
+    const summary = await runDunningCycle(NOW);
+
+    expect(summary.scanned).toBe(2);
+    expect(summary.sent.due_today).toBe(1);
+    expect(mockSendEmail).toHaveBeenCalledTimes(1);
+    expect(due.remindersSent).toEqual([
+      expect.objectContaining({ reminderType: 'due_today', method: 'email', sentDate: NOW }),
+    ]);
+    expect(due.save).toHaveBeenCalled();
+    expect(later.save).not.toHaveBeenCalled();
+  });
+
+  test('skips buyers without email and cancelled sales', async () => {
+    const noEmail = withContext(makeInstallment({ currentDueDate: NOW }), { email: null });
+    const cancelled = withContext(makeInstallment({ currentDueDate: NOW }), { saleStatus: 'Cancelled' });
+    mockProjectFind.mockReturnValue(chain([{ _id: new mongoose.Types.ObjectId() }]));
+    mockInstallmentFind.mockReturnValue(chain([noEmail, cancelled]));
+
+    const summary = await runDunningCycle(NOW);
+
+    expect(summary.skipped).toBe(2);
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('a failed send is reported and not logged', async () => {
+    const due = withContext(makeInstallment({ currentDueDate: NOW }));
+    mockProjectFind.mockReturnValue(chain([{ _id: new mongoose.Types.ObjectId() }]));
+    mockInstallmentFind.mockReturnValue(chain([due]));
+    mockSendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const summary = await runDunningCycle(NOW);
+
+    expect(summary.failed).toEqual([expect.objectContaining({ reminderType: 'due_today', error: 'SMTP down' })]);
+    expect(due.remindersSent).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// logManualReminder
+// =============================================================================
+
+describe('logManualReminder', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  test('appends an offline reminder with the response', async () => {
+    const inst = { remindersSent: [], save: jest.fn() };
+    mockInstallmentFindOne.mockResolvedValue(inst);
+
+    await logManualReminder('id', {
+      organization: 'org', reminderType: 'overdue', method: 'call', response: 'Promised to pay Friday', user,
+    });
+
+    expect(inst.remindersSent[0]).toEqual(expect.objectContaining({
+      reminderType: 'overdue', method: 'call', response: 'Promised to pay Friday', sentBy: user._id,
+    }));
+  });
+
+  test('rejects unknown methods and future dates', async () => {
+    await expect(logManualReminder('id', { reminderType: 'overdue', method: 'fax', user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(logManualReminder('id', { reminderType: 'overdue', method: 'call', sentDate: new Date(Date.now() + 2 * DAY), user }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
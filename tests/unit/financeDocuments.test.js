@@ -0,0 +1,674 @@
+// tests/unit/financeDocuments.test.js
+// Tax invoices and payment receipts: numbering series (allocation, carrying a
+// format into a new financial year, rolling back an unstamped number,
+// validating configuration), issuing an invoice with its GST split, PDF and
+// email, numbering, filing and emailing payment receipts, and credit and
+// debit notes against issued invoices. Rendering and the Invoice / series /
+// note models are real; storage, email and the other models are mocked, and
+// the series lives in memory.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+jest.unstable_mockModule('../../models/documentTemplateModel.js', () => ({
+  default: { findOne: jest.fn(() => chain(null)) },
+}));
+
+const mockCategoryFindOne = jest.fn();
+jest.unstable_mockModule('../../models/documentCategoryModel.js', () => ({
+  default: { findOne: mockCategoryFindOne, create: jest.fn() },
+}));
+
+const mockFileCreate = jest.fn();
+jest.unstable_mockModule('../../models/fileModel.js', () => ({
+  default: { create: mockFileCreate, findOne: jest.fn(async () => null) },
+}));
+
+const mockProjectFindById = jest.fn();
+const mockProjectFindOne = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findById: mockProjectFindById, findOne: mockProjectFindOne },
+}));
+
+const mockLeadFindById = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findById: mockLeadFindById },
+}));
+
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  default: { findById: jest.fn(() => chain({ name: 'Skyline Developers' })) },
+}));
+
+const mockSaleFindById = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findById: mockSaleFindById },
+}));
+
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { findById: jest.fn(() => chain({ unitNumber: 'A-701', tower: { towerName: 'Tower A' } })) },
+}));
+
+const mockPlanFindById = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { findById: mockPlanFindById },
+}));
+
+const mockInstallmentFind = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind },
+}));
+
+const mockUpload = jest.fn();
+jest.unstable_mockModule('../../services/s3Service.js', () => ({
+  uploadFileToS3: mockUpload,
+  getFileFromS3: jest.fn(async () => Buffer.from('%PDF-stored')),
+  getPresignedDownloadUrl: jest.fn(async (key) => `https://signed.example/${key}`),
+}));
+
+jest.unstable_mockModule('../../services/documentGenerationService.js', () => ({
+  getTemplateSource: jest.fn(async () => null),
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { default: Invoice } = await import('../../models/invoiceModel.js');
+const { default: PaymentTransaction } = await import('../../models/paymentTransactionModel.js');
+const { default: DocumentSeries } = await import('../../models/documentSeriesModel.js');
+const { default: AdjustmentNote } = await import('../../models/adjustmentNoteModel.js');
+const { allocateNumber, issueNumber, configureSeries } = await import('../../services/documentSeriesService.js');
+const {
+  issueInvoice,
+  issuePaymentReceipt,
+  createAdjustmentNote,
+  cancelAdjustmentNote,
+} = await import('../../services/financeDocumentService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const LEAD = oid();
+const USER = { _id: oid() };
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+const PROJECT_DOC = {
+  _id: PROJECT,
+  name: 'Skyline Heights',
+  type: 'residential',
+  gstNumber: '27AAPFU0939F1ZV',
+  location: { city: 'Pune', state: 'Maharashtra' },
+  invoicing: { legalName: 'Skyline Developers LLP', address: 'Baner, Pune' },
+};
+
+// In-memory DocumentSeries collection
+let seriesStore;
+const sameProject = (a, b) => String(a ?? null) === String(b ?? null);
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => (
+  key === 'project' ? sameProject(doc.project, value) : String(doc[key]) === String(value)
+));
+
+let session;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+  seriesStore = [];
+  session = { withTransaction: jest.fn(async (fn) => fn()), abortTransaction: jest.fn(), endSession: jest.fn() };
+  jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+  jest.spyOn(DocumentSeries, 'findOne').mockImplementation((filter) => chain(
+    seriesStore
+      .filter((s) => matches(s, filter))
+      .sort((a, b) => b.financialYear.localeCompare(a.financialYear))[0] || null
+  ));
+  jest.spyOn(DocumentSeries, 'find').mockImplementation(() => chain([]));
+  jest.spyOn(DocumentSeries, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    let series = seriesStore.find((s) => matches(s, filter));
+    if (!series) {
+      series = { _id: oid(), ...filter, ...update.$setOnInsert, lastNumber: 0 };
+      seriesStore.push(series);
+    }
+    series.lastNumber += update.$inc.lastNumber;
+    return { ...series };
+  });
+
+  mockProjectFindById.mockImplementation(() => chain(PROJECT_DOC));
+  mockProjectFindOne.mockImplementation(() => chain({ _id: PROJECT }));
+  mockLeadFindById.mockImplementation(() => chain({ firstName: 'Ravi', lastName: 'Kumar', email: 'ravi@example.com', phone: '9800000000' }));
+  mockSaleFindById.mockImplementation(() => chain({ _id: oid(), unit: oid() }));
+  mockCategoryFindOne.mockResolvedValue({ _id: oid() });
+  mockUpload.mockImplementation(async (file, folder) => ({ url: `https://s3/${folder}/${file.originalname}`, s3Key: `${folder}/${file.originalname}` }));
+  mockFileCreate.mockImplementation(async (data) => ({ _id: oid(), ...data }));
+  mockSendEmail.mockResolvedValue({ messageId: 'm1' });
+});
+
+// =============================================================================
+// NUMBERING SERIES
+// =============================================================================
+
+describe('allocateNumber', () => {
+  test('starts the organization-wide series at 1 and counts up', async () => {
+    const first = await allocateNumber({ organization: ORG, project: PROJECT, documentType: 'tax_invoice', date: NOW });
+    const second = await allocateNumber({ organization: ORG, project: PROJECT, documentType: 'tax_invoice', date: NOW });
+
+    expect(first).toMatchObject({ number: 'INV/2627/00001', sequence: 1, financialYear: '2026-27' });
+    expect(second.number).toBe('INV/2627/00002');
+    expect(seriesStore).toHaveLength(1);
+    expect(seriesStore[0].project).toBeNull();
+  });
+
+  test("uses the project's own series and carries its format into a new year", async () => {
+    seriesStore.push({
+      _id: oid(), organization: ORG, project: PROJECT, documentType: 'receipt', financialYear: '2026-27',
+      prefix: 'SKY', format: '{PREFIX}-{FY_SHORT}-{SEQ}', padding: 4, startNumber: 1, lastNumber: 57,
+    });
+
+    const thisYear = await allocateNumber({ organization: ORG, project: PROJECT, documentType: 'receipt', date: NOW });
+    const nextYear = await allocateNumber({ organization: ORG, project: PROJECT, documentType: 'receipt', date: new Date('2027-04-02T06:00:00Z') });
+
+    expect(thisYear.number).toBe('SKY-2627-0058');
+    expect(nextYear.number).toBe('SKY-2728-0001');
+  });
+});
+
+describe('issueNumber', () => {
+  test('aborts the transaction when the document was already numbered', async () => {
+    const stamp = jest.fn(async () => false);
+
+    const issued = await issueNumber({ organization: ORG, project: PROJECT, documentType: 'receipt', date: NOW }, stamp);
+
+    expect(issued).toBeNull();
+    expect(stamp).toHaveBeenCalledWith(expect.objectContaining({ number: 'RCT/2627/00001' }), session);
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(session.endSession).toHaveBeenCalled();
+  });
+});
+
+describe('configureSeries', () => {
+  const base = { organization: ORG, documentType: 'tax_invoice', financialYear: '2026-27', user: USER };
+
+  beforeEach(() => {
+    jest.spyOn(DocumentSeries.prototype, 'save').mockImplementation(async function save() { return this; });
+  });
+
+  test('rejects formats without the year or longer than GST allows', async () => {
+    await expect(configureSeries({ ...base, format: '{PREFIX}/{SEQ}' })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(configureSeries({ ...base, prefix: 'SKYLINEHTS', padding: 6 })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/at most 16/),
+    });
+    await expect(configureSeries({ ...base, format: '{PREFIX}_{FY_SHORT}_{SEQ}' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('starts a new series where the book kept elsewhere left off', async () => {
+    const series = await configureSeries({ ...base, project: PROJECT, prefix: 'sky', startNumber: 120 });
+
+    expect(series).toMatchObject({ prefix: 'SKY', startNumber: 120, lastNumber: 119, nextNumber: 'SKY/2627/00120' });
+  });
+
+  test('refuses to change a year that has issued numbers', async () => {
+    jest.spyOn(DocumentSeries, 'findOne').mockResolvedValueOnce(new DocumentSeries({
+      organization: ORG, project: null, documentType: 'tax_invoice', financialYear: '2026-27',
+      prefix: 'INV', startNumber: 1, lastNumber: 3,
+    }));
+
+    await expect(configureSeries({ ...base, prefix: 'TAX' })).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test("refuses a project series that would print the organization's numbers", async () => {
+    await expect(configureSeries({ ...base, project: PROJECT, prefix: 'INV' })).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/organization-wide/),
+    });
+  });
+});
+
+// =============================================================================
+// TAX INVOICES
+// =============================================================================
+
+const makeInvoice = (overrides = {}) => new Invoice({
+  organization: ORG,
+  sale: oid(),
+  project: PROJECT,
+  unit: oid(),
+  customer: LEAD,
+  generatedBy: USER._id,
+  type: 'booking_invoice',
+  status: 'draft',
+  invoiceNumber: 'DRAFT-2026-27-000007',
+  sequenceNumber: 7,
+  financialYear: '2026-27',
+  invoiceDate: new Date('2026-10-18T06:00:00Z'),
+  dueDate: new Date('2026-12-31T06:00:00Z'),
+  lineItems: [
+    { description: 'Base price', category: 'base_price', unitPrice: 8000000, totalPrice: 8000000, gstRate: 5 },
+    { description: 'Club membership', category: 'club_membership', unitPrice: 200000, totalPrice: 200000, gstRate: 18 },
+  ],
+  financialSummary: { subtotal: 8200000, taxableAmount: 8200000, totalAmount: 8200000 },
+  paymentDetails: { totalPaid: 0, pendingAmount: 8200000 },
+  ...overrides,
+});
+
+let invoice;
+let invoiceUpdates;
+
+const spyOnInvoice = () => {
+  invoiceUpdates = [];
+  jest.spyOn(Invoice, 'findOne').mockImplementation(async () => invoice);
+  jest.spyOn(Invoice, 'findById').mockImplementation(async () => invoice);
+  jest.spyOn(Invoice.prototype, 'save').mockImplementation(async function save() { return this; });
+  jest.spyOn(Invoice, 'updateOne').mockImplementation(async (filter, update) => {
+    invoiceUpdates.push([filter, update]);
+    if (filter.issuedAt === null && invoice.issuedAt) return { modifiedCount: 0 };
+    // Remaining-balance predicate on credit notes: { $gte: [net payable, amount] }
+    if (filter.$expr && invoice.netPayableAmount() < filter.$expr.$gte[1]) return { modifiedCount: 0 };
+    if (update.$set) invoice.set(update.$set);
+    Object.entries(update.$inc || {}).forEach(([path, by]) => invoice.set(path, (invoice.get(path) || 0) + by));
+    return { modifiedCount: 1 };
+  });
+};
+
+describe('issueInvoice', () => {
+  beforeEach(() => {
+    invoice = makeInvoice();
+    spyOnInvoice();
+  });
+
+  test('numbers the invoice, splits GST within the state, files the PDF and emails it', async () => {
+    const result = await issueInvoice(invoice._id, { organization: ORG, user: USER, now: NOW });
+
+    const [filter, update] = invoiceUpdates[0];
+    expect(filter).toMatchObject({ _id: invoice._id, issuedAt: null });
+    expect(update.$set).toMatchObject({
+      invoiceNumber: 'INV/2627/00001',
+      draftNumber: 'DRAFT-2026-27-000007',
+      seriesSequence: 1,
+      issuedAt: NOW,
+      status: 'generated',
+    });
+
+    expect(invoice.taxType).toBe('intra_state');
+    expect(invoice.placeOfSupply).toMatchObject({ code: '27', name: 'Maharashtra' });
+    expect(invoice.lineItems[0]).toMatchObject({ hsnSacCode: '995411', cgstAmount: 200000, sgstAmount: 200000, igstAmount: 0 });
+    expect(invoice.financialSummary).toMatchObject({
+      cgstAmount: 218000,
+      sgstAmount: 218000,
+      totalGstAmount: 436000,
+      totalAmount: 8636000,
+      amountInWords: 'Eighty Six Lakh Thirty Six Thousand Rupees Only',
+    });
+    expect(invoice.supplier).toMatchObject({ name: 'Skyline Developers LLP', gstin: '27AAPFU0939F1ZV', stateCode: '27' });
+    expect(invoice.recipient.name).toBe('Ravi Kumar');
+
+    const [uploaded, folder] = mockUpload.mock.calls[0];
+    expect(folder).toBe(`invoices/${PROJECT}`);
+    expect(uploaded.originalname).toBe('INV-2627-00001.pdf');
+    expect(uploaded.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(mockFileCreate.mock.calls[0][0]).toMatchObject({ resourceType: 'Invoice', associatedResource: invoice._id, uploadedBy: USER._id });
+    expect(invoice.pdfFile).toMatchObject({ s3Key: `invoices/${PROJECT}/INV-2627-00001.pdf` });
+
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ravi@example.com',
+      subject: 'Tax invoice INV/2627/00001 from Skyline Developers',
+      attachments: [expect.objectContaining({ filename: 'INV-2627-00001.pdf' })],
+    }));
+    expect(result.delivery).toMatchObject({ sent: true, to: 'ravi@example.com' });
+    expect(invoice.status).toBe('sent');
+  });
+
+  test('charges IGST when the place of supply is another state', async () => {
+    await issueInvoice(invoice._id, { organization: ORG, user: USER, placeOfSupply: 'Karnataka', send: false, now: NOW });
+
+    expect(invoice.taxType).toBe('inter_state');
+    expect(invoice.placeOfSupply.code).toBe('29');
+    expect(invoice.financialSummary).toMatchObject({ igstAmount: 436000, cgstAmount: 0, sgstAmount: 0 });
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('keeps the number when the PDF fails and reports it', async () => {
+    mockUpload.mockRejectedValueOnce(new Error('S3 unavailable'));
+
+    const result = await issueInvoice(invoice._id, { organization: ORG, user: USER, now: NOW });
+
+    expect(invoice.invoiceNumber).toBe('INV/2627/00001');
+    expect(result.pdf).toEqual({ generated: false, error: 'S3 unavailable' });
+    expect(result.delivery.sent).toBe(false);
+    expect(invoiceUpdates.at(-1)[1]).toEqual({ $set: { 'pdfFile.error': 'S3 unavailable' } });
+  });
+
+  test('refuses issued invoices, tax invoices without a GSTIN and bad places of supply', async () => {
+    invoice = makeInvoice({ status: 'generated', issuedAt: NOW });
+    await expect(issueInvoice(invoice._id, { organization: ORG, user: USER })).rejects.toMatchObject({ statusCode: 409 });
+
+    invoice = makeInvoice();
+    mockProjectFindById.mockImplementation(() => chain({ ...PROJECT_DOC, gstNumber: null }));
+    await expect(issueInvoice(invoice._id, { organization: ORG, user: USER })).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/GSTIN/),
+    });
+
+    await expect(issueInvoice(invoice._id, { organization: ORG, user: USER, placeOfSupply: 'Atlantis' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(seriesStore).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// PAYMENT RECEIPTS
+// =============================================================================
+
+describe('issuePaymentReceipt', () => {
+  let transaction;
+  let transactionUpdates;
+
+  beforeEach(() => {
+    const installment = oid();
+    transaction = {
+      _id: oid(),
+      organization: ORG,
+      project: PROJECT,
+      customer: LEAD,
+      paymentPlan: oid(),
+      transactionNumber: 'TXN1',
+      amount: 850000,
+      paymentDate: NOW,
+      paymentMethod: 'cheque',
+      paymentMethodDetails: { chequeNumber: '004512', chequeStatus: 'deposited' },
+      status: 'completed',
+      recordedBy: USER._id,
+      receiptGenerated: false,
+      paymentAllocations: [{ installment, allocatedAmount: 850000 }],
+    };
+    transactionUpdates = [];
+    jest.spyOn(PaymentTransaction, 'findOne').mockImplementation(async () => transaction);
+    jest.spyOn(PaymentTransaction, 'updateOne').mockImplementation(async (filter, update) => {
+      transactionUpdates.push([filter, update]);
+      return { modifiedCount: 1 };
+    });
+    mockPlanFindById.mockImplementation(() => chain({ sale: oid() }));
+    mockInstallmentFind.mockImplementation(() => chain([{ _id: installment, installmentNumber: 1, description: 'Booking amount' }]));
+  });
+
+  test("numbers the receipt from the project's series, files it and emails the buyer", async () => {
+    const result = await issuePaymentReceipt(transaction._id, { organization: ORG, user: USER, now: NOW });
+
+    expect(result).toMatchObject({ receiptNumber: 'RCT/2627/00001', pdf: { generated: true }, delivery: { sent: true } });
+    expect(transactionUpdates[0]).toEqual([
+      { _id: transaction._id, receiptGenerated: { $ne: true } },
+      { $set: expect.objectContaining({ receiptGenerated: true, receiptNumber: 'RCT/2627/00001', receiptDate: NOW }) },
+    ]);
+    expect(mockUpload.mock.calls[0][1]).toBe(`receipts/${PROJECT}`);
+    expect(mockFileCreate.mock.calls[0][0]).toMatchObject({ resourceType: 'Payment', associatedResource: transaction._id });
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'ravi@example.com',
+      subject: 'Payment receipt RCT/2627/00001 from Skyline Developers',
+    }));
+    expect(transactionUpdates.at(-1)[1]).toEqual({ $set: { receiptEmailedTo: 'ravi@example.com', receiptEmailedAt: NOW } });
+  });
+
+  test('keeps the number of an issued receipt when resending', async () => {
+    Object.assign(transaction, { receiptGenerated: true, receiptNumber: 'RCT/2627/00009', receiptDate: NOW });
+
+    const result = await issuePaymentReceipt(transaction._id, { organization: ORG, user: USER, send: false, now: NOW });
+
+    expect(result.receiptNumber).toBe('RCT/2627/00009');
+    expect(DocumentSeries.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('refuses bounced payments', async () => {
+    transaction.status = 'bounced';
+
+    await expect(issuePaymentReceipt(transaction._id, { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(seriesStore).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// CREDIT AND DEBIT NOTES
+// =============================================================================
+
+describe('credit and debit notes', () => {
+  let notes;
+
+  const issuedInvoice = (overrides = {}) => {
+    const issued = makeInvoice({
+      status: 'sent',
+      issuedAt: NOW,
+      invoiceNumber: 'INV/2627/00001',
+      taxType: 'intra_state',
+      placeOfSupply: { code: '27', name: 'Maharashtra' },
+      supplier: { name: 'Skyline Developers LLP', gstin: '27AAPFU0939F1ZV', stateCode: '27', stateName: 'Maharashtra' },
+      recipient: { name: 'Ravi Kumar', stateCode: '27' },
+      financialSummary: { subtotal: 8200000, taxableAmount: 8200000, totalGstAmount: 436000, totalAmount: 8636000 },
+      paymentDetails: { totalPaid: 0, pendingAmount: 8636000 },
+      ...overrides,
+    });
+    issued.lineItems[0].hsnSacCode = '995411';
+    issued.lineItems[1].hsnSacCode = '999599';
+    return issued;
+  };
+
+  beforeEach(() => {
+    invoice = issuedInvoice();
+    spyOnInvoice();
+    // Stands in for the pre-save hook
+    Invoice.prototype.save.mockImplementation(async function save() {
+      this.updateStatusBasedOnPayment();
+      return this;
+    });
+    notes = [];
+    jest.spyOn(AdjustmentNote, 'find').mockImplementation((filter) => chain(
+      notes.filter((note) => note.status === filter.status).map((note) => note.toObject())
+    ));
+    jest.spyOn(AdjustmentNote, 'create').mockImplementation(async ([data]) => {
+      const note = new AdjustmentNote(data);
+      await note.validate();
+      notes.push(note);
+      return [note];
+    });
+    jest.spyOn(AdjustmentNote, 'findById').mockImplementation(async (id) => notes.find((note) => note._id.equals(id)));
+    jest.spyOn(AdjustmentNote, 'findOne').mockImplementation((filter) => {
+      const note = notes.find((n) => n._id.equals(filter._id));
+      return Object.assign(Promise.resolve(note), { lean: async () => note?.toObject() });
+    });
+    jest.spyOn(AdjustmentNote, 'updateOne').mockImplementation(async (filter, update) => {
+      const note = notes.find((n) => n._id.equals(filter._id));
+      if (filter.status && note.status !== filter.status) return { modifiedCount: 0 };
+      note.set(update.$set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  const creditBasePrice = (amount, extra = {}) => createAdjustmentNote(invoice._id, {
+    organization: ORG,
+    user: USER,
+    noteType: 'credit_note',
+    reason: 'price_revision',
+    lines: [{ lineItemId: invoice.lineItems[0]._id, amount }],
+    now: NOW,
+    ...extra,
+  });
+
+  test("credits part of a line at its rate, from the credit note series, and reduces what is owed", async () => {
+    const { note, invoice: updated, pdf, delivery } = await creditBasePrice(100000);
+
+    expect(note).toMatchObject({ noteType: 'credit_note', noteNumber: 'CN/2627/00001', invoice: invoice._id, taxType: 'intra_state' });
+    expect(note.lineItems[0]).toMatchObject({
+      invoiceLineItem: invoice.lineItems[0]._id,
+      hsnSacCode: '995411',
+      amount: 100000,
+      gstRate: 5,
+      cgstAmount: 2500,
+      sgstAmount: 2500,
+      igstAmount: 0,
+    });
+    expect(note.totals).toMatchObject({ subtotal: 100000, totalGstAmount: 5000, totalAmount: 105000 });
+
+    expect(invoiceUpdates[0][1]).toEqual({ $inc: { 'adjustments.creditNoteAmount': 105000 } });
+    expect(updated.netPayableAmount()).toBe(8531000);
+    expect(updated.paymentDetails.pendingAmount).toBe(8531000);
+
+    expect(pdf.generated).toBe(true);
+    expect(mockUpload.mock.calls[0][0].originalname).toBe('CN-2627-00001.pdf');
+    expect(mockFileCreate.mock.calls[0][0]).toMatchObject({ resourceType: 'Invoice', associatedResource: invoice._id });
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      subject: 'Credit note CN/2627/00001 from Skyline Developers',
+    }));
+    expect(delivery.sent).toBe(true);
+    expect(note.emailedTo).toBe('ravi@example.com');
+  });
+
+  test('leaves a refund due when the customer has paid more than the credited invoice', async () => {
+    invoice = issuedInvoice({ paymentDetails: { totalPaid: 8636000, pendingAmount: 0 }, status: 'paid' });
+
+    const { invoice: updated } = await creditBasePrice(200000, { send: false });
+
+    expect(updated.status).toBe('paid');
+    expect(updated.paymentDetails).toMatchObject({ pendingAmount: 0, refundDue: 210000 });
+  });
+
+  test('refuses to credit more than is left of a line', async () => {
+    await creditBasePrice(7000000, { send: false });
+
+    await expect(creditBasePrice(1000001)).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/left to credit/),
+    });
+    expect(seriesStore[0].lastNumber).toBe(1);
+  });
+
+  test('re-checks the balance when issuing, so a credit issued meanwhile is not overshot', async () => {
+    const allocate = DocumentSeries.findOneAndUpdate.getMockImplementation();
+    DocumentSeries.findOneAndUpdate.mockImplementationOnce(async (...args) => {
+      invoice.set('adjustments.creditNoteAmount', 8600000); // another note commits first
+      return allocate(...args);
+    });
+
+    await expect(creditBasePrice(100000, { send: false })).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/Other notes/),
+    });
+    expect(notes).toHaveLength(0);
+    expect(invoice.adjustments.creditNoteAmount).toBe(8600000);
+  });
+
+  test('re-checks what is left of each line when issuing', async () => {
+    await creditBasePrice(7000000, { send: false });
+    // The first read misses the note above, as a read before it committed would
+    AdjustmentNote.find.mockImplementationOnce(() => chain([]));
+
+    await expect(creditBasePrice(1000001, { send: false })).rejects.toMatchObject({
+      statusCode: 400,
+      message: expect.stringMatching(/left to credit/),
+    });
+    expect(notes).toHaveLength(1);
+  });
+
+  test('adds a new charge with a debit note and raises what is owed', async () => {
+    const { note, invoice: updated } = await createAdjustmentNote(invoice._id, {
+      organization: ORG,
+      user: USER,
+      noteType: 'debit_note',
+      reason: 'additional_charge',
+      lines: [{ description: 'Additional car parking', category: 'parking_charges', amount: 300000, gstRate: 18 }],
+      send: false,
+      now: NOW,
+    });
+
+    expect(note.noteNumber).toBe('DN/2627/00001');
+    expect(note.lineItems[0]).toMatchObject({ invoiceLineItem: null, cgstAmount: 27000, sgstAmount: 27000 });
+    expect(note.totals.totalAmount).toBe(354000);
+    expect(updated.netPayableAmount()).toBe(8990000);
+    expect(updated.paymentDetails.pendingAmount).toBe(8990000);
+  });
+
+  test('marks an invoice credited in full and restores it when the note is cancelled', async () => {
+    const { note } = await createAdjustmentNote(invoice._id, {
+      organization: ORG,
+      user: USER,
+      noteType: 'credit_note',
+      reason: 'component_withdrawn',
+      lines: invoice.lineItems.map((line) => ({ lineItemId: line._id, amount: line.totalPrice })),
+      send: false,
+      now: NOW,
+    });
+    expect(invoice.status).toBe('credited');
+
+    await expect(cancelAdjustmentNote(invoice._id, note._id, { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const result = await cancelAdjustmentNote(invoice._id, note._id, { organization: ORG, user: USER, reason: 'Raised in error', now: NOW });
+
+    expect(result.note).toMatchObject({ status: 'cancelled', cancellation: { reason: 'Raised in error' } });
+    expect(invoiceUpdates.at(-1)[1]).toEqual({ $inc: { 'adjustments.creditNoteAmount': -8636000 } });
+    expect(result.invoice.status).toBe('sent');
+    expect(result.invoice.paymentDetails.pendingAmount).toBe(8636000);
+
+    await expect(cancelAdjustmentNote(invoice._id, note._id, { organization: ORG, user: USER, reason: 'Again' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a debit note the credits rely on cannot be cancelled', async () => {
+    const { note: debit } = await createAdjustmentNote(invoice._id, {
+      organization: ORG,
+      user: USER,
+      noteType: 'debit_note',
+      reason: 'price_revision',
+      lines: [{ lineItemId: invoice.lineItems[0]._id, amount: 100000 }],
+      send: false,
+      now: NOW,
+    });
+    await createAdjustmentNote(invoice._id, {
+      organization: ORG,
+      user: USER,
+      noteType: 'credit_note',
+      reason: 'component_withdrawn',
+      lines: invoice.lineItems.map((line, i) => ({ lineItemId: line._id, amount: line.totalPrice + (i === 0 ? 100000 : 0) })),
+      send: false,
+      now: NOW,
+    });
+    expect(invoice.netPayableAmount()).toBe(0);
+
+    await expect(cancelAdjustmentNote(invoice._id, debit._id, { organization: ORG, user: USER, reason: 'Raised in error' }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringMatching(/rely on debit note/) });
+    expect(invoice.netPayableAmount()).toBe(0);
+  });
+
+  test('refuses drafts, cancelled invoices, unknown lines and credit lines without one', async () => {
+    invoice = makeInvoice();
+    await expect(creditBasePrice(1000)).rejects.toMatchObject({ statusCode: 409 });
+
+    invoice = issuedInvoice({ status: 'cancelled' });
+    await expect(creditBasePrice(1000)).rejects.toMatchObject({ statusCode: 409 });
+
+    invoice = issuedInvoice();
+    await expect(createAdjustmentNote(invoice._id, {
+      organization: ORG, user: USER, noteType: 'credit_note', reason: 'discount', lines: [{ lineItemId: oid(), amount: 10 }],
+    })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(createAdjustmentNote(invoice._id, {
+      organization: ORG, user: USER, noteType: 'credit_note', reason: 'discount', lines: [{ description: 'Goodwill', amount: 10 }],
+    })).rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/lineItemId/) });
+    await expect(createAdjustmentNote(invoice._id, {
+      organization: ORG, user: USER, noteType: 'refund_note', reason: 'discount', lines: [],
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(seriesStore).toHaveLength(0);
+  });
+});
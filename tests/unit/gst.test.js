@@ -0,0 +1,130 @@
+// tests/unit/gst.test.js
+// GST helpers behind tax invoices: state lookup, GSTIN checks, financial
+// years, SAC codes, the CGST/SGST vs IGST split by place of supply, series
+// number formats and amounts in words. All pure.
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  gstStateFor,
+  isValidGstin,
+  stateFromGstin,
+  financialYearOf,
+  resolveSacCode,
+  splitGst,
+} from '../../utils/gst.js';
+import { amountInWords } from '../../utils/amountInWords.js';
+import { formatSeriesNumber } from '../../models/documentSeriesModel.js';
+
+describe('gstStateFor', () => {
+  test('finds a state by GST code, number, name or alias', () => {
+    expect(gstStateFor('27')).toEqual({ code: '27', name: 'Maharashtra' });
+    expect(gstStateFor(7)).toEqual({ code: '07', name: 'Delhi' });
+    expect(gstStateFor('karnataka')).toEqual({ code: '29', name: 'Karnataka' });
+    expect(gstStateFor({ code: '33' })?.name).toBe('Tamil Nadu');
+  });
+
+  test('returns null for anything else', () => {
+    expect(gstStateFor('Atlantis')).toBeNull();
+    expect(gstStateFor('99')).toBeNull();
+    expect(gstStateFor(null)).toBeNull();
+  });
+});
+
+describe('GSTIN', () => {
+  test('validates the 15-character format and reads the state', () => {
+    expect(isValidGstin('27AAPFU0939F1ZV')).toBe(true);
+    expect(isValidGstin('27aapfu0939f1zv')).toBe(true);
+    expect(isValidGstin('27AAPFU0939F1Z')).toBe(false);
+    expect(isValidGstin('')).toBe(false);
+    expect(stateFromGstin('29AAPFU0939F1ZV')).toEqual({ code: '29', name: 'Karnataka' });
+    expect(stateFromGstin('bogus')).toBeNull();
+  });
+});
+
+describe('financialYearOf', () => {
+  test('runs April to March', () => {
+    expect(financialYearOf(new Date(2026, 3, 1))).toBe('2026-27');
+    expect(financialYearOf(new Date(2027, 2, 31))).toBe('2026-27');
+    expect(financialYearOf(new Date(2099, 11, 1))).toBe('2099-00');
+  });
+});
+
+describe('resolveSacCode', () => {
+  test('keeps a code on the line, then the project map, then the defaults', () => {
+    expect(resolveSacCode({ category: 'base_price', hsnSacCode: '995412' })).toBe('995412');
+    expect(resolveSacCode({ category: 'parking_charges' }, { sacCodes: new Map([['parking_charges', '997312']]) })).toBe('997312');
+    expect(resolveSacCode({ category: 'base_price' })).toBe('995411');
+    expect(resolveSacCode({ category: 'base_price' }, { projectType: 'commercial' })).toBe('995415');
+    expect(resolveSacCode({ category: 'maintenance_charges' })).toBe('997221');
+  });
+});
+
+describe('splitGst', () => {
+  const lines = [
+    { description: 'Base price', category: 'base_price', totalPrice: 1000000, gstRate: 5 },
+    { description: 'Club membership', category: 'club_membership', totalPrice: 100001, gstRate: 18 },
+    { description: 'Discount', category: 'discounts', totalPrice: -5000, taxable: false, gstRate: 0 },
+  ];
+
+  test('charges CGST + SGST at half the rate within the state', () => {
+    const split = splitGst(lines, { supplierState: 'Maharashtra', placeOfSupply: '27' });
+
+    expect(split.taxType).toBe('intra_state');
+    expect(split.placeOfSupply).toEqual({ code: '27', name: 'Maharashtra' });
+    const [base, club, discount] = split.lineItems;
+    expect(base).toMatchObject({ hsnSacCode: '995411', taxableValue: 1000000, gstAmount: 50000, cgstRate: 2.5, cgstAmount: 25000, sgstRate: 2.5, sgstAmount: 25000, igstAmount: 0 });
+    // 18% of 100001 = 18000.18: the odd paisa goes to SGST
+    expect(club).toMatchObject({ hsnSacCode: '999599', gstAmount: 18000.18, cgstAmount: 9000.09, sgstAmount: 9000.09 });
+    expect(discount).toMatchObject({ taxableValue: 0, gstAmount: 0 });
+    expect(split.totals).toEqual({
+      taxableAmount: 1100001,
+      cgstAmount: 34000.09,
+      sgstAmount: 34000.09,
+      igstAmount: 0,
+      totalGstAmount: 68000.18,
+    });
+  });
+
+  test('charges IGST when the place of supply is another state', () => {
+    const split = splitGst(lines, { supplierState: '29', placeOfSupply: 'Maharashtra' });
+
+    expect(split.taxType).toBe('inter_state');
+    expect(split.lineItems[0]).toMatchObject({ igstRate: 5, igstAmount: 50000, cgstAmount: 0, sgstAmount: 0 });
+    expect(split.totals.igstAmount).toBe(68000.18);
+  });
+
+  test('summarises tax by SAC code and rate', () => {
+    const split = splitGst([...lines, { description: 'Floor rise', category: 'base_price', totalPrice: 20000, gstRate: 5 }], {
+      supplierState: '27',
+      placeOfSupply: '27',
+    });
+
+    expect(split.hsnSummary).toEqual([
+      { hsnSacCode: '995411', gstRate: 5, taxableValue: 1020000, cgstAmount: 25500, sgstAmount: 25500, igstAmount: 0, totalTax: 51000 },
+      { hsnSacCode: '999599', gstRate: 18, taxableValue: 100001, cgstAmount: 9000.09, sgstAmount: 9000.09, igstAmount: 0, totalTax: 18000.18 },
+    ]);
+  });
+
+  test('treats an unknown state as a supply within the state', () => {
+    const split = splitGst(lines, { supplierState: undefined, placeOfSupply: 'Maharashtra' });
+    expect(split.taxType).toBe('intra_state');
+  });
+});
+
+describe('formatSeriesNumber', () => {
+  test('fills prefix, financial year and padded sequence', () => {
+    const series = { prefix: 'INV', format: '{PREFIX}/{FY_SHORT}/{SEQ}', padding: 5, financialYear: '2026-27' };
+    expect(formatSeriesNumber(series, 42)).toBe('INV/2627/00042');
+    expect(formatSeriesNumber({ ...series, format: '{PREFIX}-{FY}-{SEQ}', padding: 3 }, 7)).toBe('INV-2026-27-007');
+  });
+});
+
+describe('amountInWords', () => {
+  test('uses Indian grouping with paise', () => {
+    expect(amountInWords(0)).toBe('Zero Rupees Only');
+    expect(amountInWords(125000.5)).toBe('One Lakh Twenty Five Thousand Rupees and Fifty Paise Only');
+    expect(amountInWords(8500000)).toBe('Eighty Five Lakh Rupees Only');
+    expect(amountInWords(0.29)).toBe('Zero Rupees and Twenty Nine Paise Only');
+    expect(amountInWords(12345678901)).toBe('One Thousand Two Hundred Thirty Four Crore Fifty Six Lakh Seventy Eight Thousand Nine Hundred One Rupees Only');
+  });
+});
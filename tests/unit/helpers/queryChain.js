@@ -0,0 +1,18 @@
+// tests/unit/helpers/queryChain.js
+// Stand-in for a Mongoose query in unit tests: the builder methods chain,
+// and awaiting it (or .exec()) resolves to `value`.
+//
+//   Lead.find.mockReturnValue(chain([lead]));
+//   await Lead.find(filter).select('name').sort({ createdAt: -1 }).lean();  // → [lead]
+
+export const chain = (value) => ({
+  select() { return this; },
+  sort() { return this; },
+  skip() { return this; },
+  limit() { return this; },
+  populate() { return this; },
+  session() { return this; },
+  lean() { return this; },
+  exec() { return Promise.resolve(value); },
+  then(resolve, reject) { return Promise.resolve(value).then(resolve, reject); },
+});
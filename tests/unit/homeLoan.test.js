@@ -0,0 +1,429 @@
+// tests/unit/homeLoan.test.js
+// Home loan cases: planning the lender's share of each installment, opening a
+// case (tie-up lenders, one open case per sale), sanction and status changes,
+// the document checklist, disbursement request letters when an installment
+// falls due, and recording disbursements. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLoanFind = jest.fn();
+const mockLoanFindOne = jest.fn();
+const mockLoanExists = jest.fn();
+const mockLoanCreate = jest.fn();
+jest.unstable_mockModule('../../models/homeLoanModel.js', () => ({
+  default: { find: mockLoanFind, findOne: mockLoanFindOne, exists: mockLoanExists, create: mockLoanCreate },
+  HOME_LOAN_STATUSES: ['applied', 'under_process', 'sanctioned', 'rejected', 'partially_disbursed', 'fully_disbursed', 'cancelled'],
+  LOAN_DOCUMENT_STATUSES: ['pending', 'submitted', 'verified', 'rejected'],
+  DEFAULT_LOAN_DOCUMENTS: [
+    { key: 'pan', label: 'PAN card' },
+    { key: 'tripartite_agreement', label: 'Tripartite agreement', required: false },
+  ],
+}));
+
+const mockSaleFindOne = jest.fn();
+const mockSaleFindById = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne, findById: mockSaleFindById },
+}));
+
+const mockProjectFindOne = jest.fn();
+const mockProjectFindById = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findOne: mockProjectFindOne, findById: mockProjectFindById },
+}));
+
+const mockInstallmentFind = jest.fn();
+const mockInstallmentFindById = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind, findById: mockInstallmentFindById },
+}));
+
+const mockTxnFindOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentTransactionModel.js', () => ({
+  default: { findOne: mockTxnFindOne },
+}));
+
+const mockPlanFindOne = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { findOne: mockPlanFindOne },
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  planDisbursements,
+  createHomeLoan,
+  changeHomeLoanStatus,
+  updateLoanDocument,
+  requestDisbursementsForInstallment,
+  recordDisbursement,
+} = await import('../../services/homeLoanService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const SALE = oid();
+const USER = { _id: oid() };
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+// A Mongoose-like array with .id() lookup.
+const subdocs = (items) => {
+  const arr = items.map((i) => ({ _id: oid(), ...i }));
+  arr.id = (id) => arr.find((i) => String(i._id) === String(id)) || null;
+  return arr;
+};
+
+const makeLoan = (overrides = {}) => {
+  const loan = {
+    _id: oid(),
+    organization: ORG,
+    project: PROJECT,
+    sale: SALE,
+    lender: { name: 'HDFC Bank', branch: 'Baner', contactName: 'Ms Rao', contactEmail: 'rao@hdfc.example' },
+    loanAccountNumber: 'HL-778',
+    sanctionReference: 'SAN-1',
+    sanctionedAmount: 0,
+    totalDisbursed: 0,
+    status: 'applied',
+    statusHistory: [],
+    documents: [],
+    ...overrides,
+    disbursements: subdocs(overrides.disbursements || []),
+  };
+  loan.save = jest.fn(async () => loan);
+  return loan;
+};
+
+const installment = (n, pendingAmount, extra = {}) => ({
+  _id: oid(),
+  installmentNumber: n,
+  description: `Installment ${n}`,
+  status: 'pending',
+  pendingAmount,
+  currentDueDate: new Date(`2027-0${n}-01`),
+  ...extra,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockLoanExists.mockResolvedValue(null);
+  mockLoanCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockSendEmail.mockResolvedValue({});
+  mockInstallmentFindById.mockReturnValue(chain({ milestoneDescription: 'Slab 3 complete' }));
+  mockSaleFindById.mockReturnValue(chain({ lead: { firstName: 'Asha', lastName: 'Menon' }, unit: { unitNumber: 'B-1204' } }));
+  mockProjectFindById.mockReturnValue(chain({
+    name: 'Skyline',
+    primaryBankAccount: { accountHolderName: 'Skyline Collections', bankName: 'ICICI', accountNumber: '001122', ifscCode: 'ICIC0000001' },
+  }));
+});
+
+// =============================================================================
+// SCHEDULE PLANNING
+// =============================================================================
+
+describe('planDisbursements', () => {
+  test("the buyer's own contribution pays the earliest installments, the lender the rest", () => {
+    const plan = planDisbursements(
+      [installment(3, 300000), installment(1, 200000), installment(2, 300000)],
+      600000
+    );
+
+    // 800k unpaid, 600k loan → buyer pays the first 200k
+    expect(plan.map((p) => [p.installmentNumber, p.expectedAmount])).toEqual([[2, 300000], [3, 300000]]);
+  });
+
+  test('splits the installment where the own contribution runs out and skips paid ones', () => {
+    const plan = planDisbursements(
+      [
+        installment(1, 0, { status: 'paid' }),
+        installment(2, 300000),
+        installment(3, 300000),
+      ],
+      400000
+    );
+
+    expect(plan.map((p) => [p.installmentNumber, p.expectedAmount])).toEqual([[2, 100000], [3, 300000]]);
+  });
+
+  test('a loan larger than what is unpaid is capped at the unpaid total', () => {
+    const plan = planDisbursements([installment(1, 100000), installment(2, 100000)], 500000);
+    expect(plan.reduce((s, p) => s + p.expectedAmount, 0)).toBe(200000);
+  });
+});
+
+// =============================================================================
+// CASES
+// =============================================================================
+
+describe('createHomeLoan', () => {
+  const sale = { _id: SALE, project: PROJECT, lead: oid(), status: 'Booked', salePrice: 9000000 };
+
+  test('copies the lender from an active tie-up bank and seeds the checklist', async () => {
+    const tieUp = { _id: oid(), bankName: 'SBI', branch: 'Aundh', contactEmail: 'hl@sbi.example', isActive: true };
+    const tieUps = subdocs([]);
+    tieUps.push(tieUp);
+    mockSaleFindOne.mockReturnValue(chain(sale));
+    mockProjectFindOne.mockReturnValue(chain({ paymentConfiguration: { homeLoanTieUps: tieUps } }));
+    const verifyAccess = jest.fn();
+
+    const loan = await createHomeLoan({
+      organization: ORG,
+      fields: { saleId: String(SALE), tieUpId: String(tieUp._id), lender: { contactName: 'Mr Iyer' }, appliedAmount: 6000000 },
+      user: USER,
+      verifyAccess,
+    });
+
+    expect(verifyAccess).toHaveBeenCalledWith(PROJECT);
+    expect(loan.lender).toEqual(expect.objectContaining({
+      name: 'SBI', branch: 'Aundh', contactEmail: 'hl@sbi.example', contactName: 'Mr Iyer', tieUp: tieUp._id,
+    }));
+    expect(loan.status).toBe('applied');
+    expect(loan.documents).toEqual([
+      { key: 'pan', label: 'PAN card', required: true },
+      { key: 'tripartite_agreement', label: 'Tripartite agreement', required: false },
+    ]);
+  });
+
+  test('refuses a second open case for the sale', async () => {
+    mockSaleFindOne.mockReturnValue(chain(sale));
+    mockLoanExists.mockResolvedValue({ _id: oid() });
+
+    await expect(createHomeLoan({
+      organization: ORG, fields: { saleId: String(SALE), lender: { name: 'Axis' } }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockLoanCreate).not.toHaveBeenCalled();
+  });
+
+  test('refuses a cancelled sale', async () => {
+    mockSaleFindOne.mockReturnValue(chain({ ...sale, status: 'Cancelled' }));
+
+    await expect(createHomeLoan({
+      organization: ORG, fields: { saleId: String(SALE), lender: { name: 'Axis' } }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('changeHomeLoanStatus', () => {
+  test('sanctioning builds the schedule from the unpaid installments', async () => {
+    const loan = makeLoan({ status: 'under_process' });
+    mockLoanFindOne.mockResolvedValue(loan);
+    mockSaleFindById.mockReturnValue(chain({ salePrice: 9000000 }));
+    mockInstallmentFind.mockReturnValue(chain([installment(1, 1000000), installment(2, 3000000), installment(3, 3000000)]));
+
+    await changeHomeLoanStatus(String(loan._id), {
+      organization: ORG, status: 'sanctioned', details: { sanctionedAmount: 5000000, sanctionReference: 'SAN-9' }, user: USER,
+    });
+
+    expect(loan.status).toBe('sanctioned');
+    expect(loan.sanctionedAmount).toBe(5000000);
+    expect(loan.sanctionReference).toBe('SAN-9');
+    expect(loan.disbursements.map((d) => [d.installmentNumber, d.expectedAmount])).toEqual([[2, 2000000], [3, 3000000]]);
+    expect(loan.statusHistory).toEqual([expect.objectContaining({ status: 'sanctioned', by: USER._id })]);
+  });
+
+  test('a sanction above the sale price is rejected', async () => {
+    mockLoanFindOne.mockResolvedValue(makeLoan({ status: 'applied' }));
+    mockSaleFindById.mockReturnValue(chain({ salePrice: 1000000 }));
+
+    await expect(changeHomeLoanStatus(String(oid()), {
+      organization: ORG, status: 'sanctioned', details: { sanctionedAmount: 2000000 }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('rejection needs a reason and rejected cases are final', async () => {
+    mockLoanFindOne.mockResolvedValue(makeLoan({ status: 'under_process' }));
+    await expect(changeHomeLoanStatus(String(oid()), { organization: ORG, status: 'rejected', user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    mockLoanFindOne.mockResolvedValue(makeLoan({ status: 'rejected' }));
+    await expect(changeHomeLoanStatus(String(oid()), { organization: ORG, status: 'under_process', user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('cancelling cancels the entries not yet requested', async () => {
+    const loan = makeLoan({
+      status: 'sanctioned',
+      disbursements: [
+        { installment: oid(), expectedAmount: 100, status: 'requested' },
+        { installment: oid(), expectedAmount: 100, status: 'scheduled' },
+      ],
+    });
+    mockLoanFindOne.mockResolvedValue(loan);
+
+    await changeHomeLoanStatus(String(loan._id), { organization: ORG, status: 'cancelled', note: 'Buyer paying cash', user: USER });
+
+    expect(loan.disbursements.map((d) => d.status)).toEqual(['requested', 'cancelled']);
+  });
+});
+
+describe('updateLoanDocument', () => {
+  test('attaching a file marks a pending document submitted', async () => {
+    const loan = makeLoan({ documents: [{ key: 'pan', label: 'PAN card', required: true, status: 'pending' }] });
+    mockLoanFindOne.mockResolvedValue(loan);
+    const fileId = String(oid());
+
+    await updateLoanDocument(String(loan._id), 'pan', { organization: ORG, fields: { fileId }, user: USER });
+
+    expect(loan.documents[0]).toEqual(expect.objectContaining({ file: fileId, status: 'submitted', updatedBy: USER._id }));
+  });
+
+  test('an unknown key needs a label to be added', async () => {
+    const loan = makeLoan();
+    mockLoanFindOne.mockResolvedValue(loan);
+
+    await expect(updateLoanDocument(String(loan._id), 'form16', { organization: ORG, fields: {}, user: USER }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    await updateLoanDocument(String(loan._id), 'form16', {
+      organization: ORG, fields: { label: 'Form 16', required: false }, user: USER,
+    });
+    expect(loan.documents[0]).toEqual(expect.objectContaining({ key: 'form16', label: 'Form 16', required: false }));
+  });
+});
+
+// =============================================================================
+// DISBURSEMENTS
+// =============================================================================
+
+describe('requestDisbursementsForInstallment', () => {
+  test('emails the lender a request letter for the scheduled entry and marks it requested', async () => {
+    const due = installment(2, 2000000, { organization: ORG, currentDueDate: new Date('2026-11-03') });
+    const loan = makeLoan({
+      status: 'sanctioned',
+      sanctionedAmount: 5000000,
+      disbursements: [{ installment: due._id, installmentNumber: 2, description: 'Slab 3', expectedAmount: 2000000, status: 'scheduled' }],
+    });
+    mockLoanFind.mockResolvedValue([loan]);
+
+    const count = await requestDisbursementsForInstallment(due, { user: USER, now: NOW });
+
+    expect(count).toBe(1);
+    const entry = loan.disbursements[0];
+    expect(entry.status).toBe('requested');
+    expect(entry.expectedDate).toEqual(new Date('2026-11-03'));
+    expect(entry.requestLetter.reference).toBe(`DR-${String(loan._id).slice(-6).toUpperCase()}-2`);
+    expect(entry.requestLetter.emailedTo).toBe('rao@hdfc.example');
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'rao@hdfc.example',
+      subject: expect.stringContaining('Asha Menon'),
+    }));
+    const { html } = entry.requestLetter;
+    expect(html).toContain('Slab 3 complete');
+    expect(html).toContain('HL-778');
+    expect(html).toContain('₹20,00,000');
+    expect(html).toContain('ICIC0000001');
+    expect(loan.save).toHaveBeenCalled();
+  });
+
+  test('without a lender email the letter is kept for download', async () => {
+    const due = installment(1, 100, { organization: ORG });
+    const loan = makeLoan({
+      status: 'sanctioned',
+      lender: { name: 'Local Co-op Bank' },
+      disbursements: [{ installment: due._id, installmentNumber: 1, expectedAmount: 100, status: 'scheduled' }],
+    });
+    mockLoanFind.mockResolvedValue([loan]);
+
+    await requestDisbursementsForInstallment(due, { now: NOW });
+
+    expect(mockSendEmail).not.toHaveBeenCalled();
+    expect(loan.disbursements[0].status).toBe('requested');
+    expect(loan.disbursements[0].requestLetter.html).toContain('Local Co-op Bank');
+  });
+});
+
+describe('recordDisbursement', () => {
+  const sanctionedLoan = () => makeLoan({
+    status: 'sanctioned',
+    sanctionedAmount: 500,
+    disbursements: [
+      { installment: oid(), installmentNumber: 2, expectedAmount: 200, status: 'requested' },
+      { installment: oid(), installmentNumber: 3, expectedAmount: 300, status: 'scheduled' },
+    ],
+  });
+
+  test('a partial disbursement moves the loan to partially_disbursed', async () => {
+    const loan = sanctionedLoan();
+    mockLoanFindOne.mockResolvedValue(loan);
+
+    await recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { reference: 'UTR1' }, user: USER,
+    });
+
+    expect(loan.disbursements[0]).toEqual(expect.objectContaining({ status: 'disbursed', disbursedAmount: 200, reference: 'UTR1' }));
+    expect(loan.status).toBe('partially_disbursed');
+  });
+
+  test('the whole sanction out moves the loan to fully_disbursed and cancels the rest', async () => {
+    const loan = sanctionedLoan();
+    mockLoanFindOne.mockResolvedValue(loan);
+
+    await recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { amount: 500 }, user: USER,
+    });
+
+    expect(loan.status).toBe('fully_disbursed');
+    expect(loan.disbursements[1].status).toBe('cancelled');
+  });
+
+  test('more than what is left of the sanction is rejected', async () => {
+    const loan = sanctionedLoan();
+    loan.totalDisbursed = 400;
+    mockLoanFindOne.mockResolvedValue(loan);
+
+    await expect(recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { amount: 200 }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test("links a home loan payment found through the sale's payment plan", async () => {
+    const loan = sanctionedLoan();
+    mockLoanFindOne.mockResolvedValue(loan);
+    const plan = oid();
+    const txnId = oid();
+    mockPlanFindOne.mockReturnValue(chain({ _id: plan }));
+    mockTxnFindOne.mockReturnValue(chain({ _id: txnId, paymentMethod: 'home_loan' }));
+
+    await recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { transactionId: String(txnId) }, user: USER,
+    });
+
+    expect(mockPlanFindOne).toHaveBeenCalledWith({ sale: SALE, organization: ORG });
+    // PaymentTransaction has no sale path; it is reached through paymentPlan
+    expect(mockTxnFindOne).toHaveBeenCalledWith({ _id: String(txnId), organization: ORG, paymentPlan: plan });
+    expect(loan.disbursements[0].transaction).toBe(txnId);
+  });
+
+  test('a linked transaction must be a home loan payment for the sale', async () => {
+    const loan = sanctionedLoan();
+    mockLoanFindOne.mockResolvedValue(loan);
+    mockPlanFindOne.mockReturnValue(chain({ _id: oid() }));
+    mockTxnFindOne.mockReturnValue(chain({ _id: oid(), paymentMethod: 'cheque' }));
+
+    await expect(recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { transactionId: String(oid()) }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    mockPlanFindOne.mockReturnValue(chain(null));
+    await expect(recordDisbursement(String(loan._id), String(loan.disbursements[0]._id), {
+      organization: ORG, fields: { transactionId: String(oid()) }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Payment transaction not found for this sale.' });
+  });
+});
@@ -0,0 +1,348 @@
+// tests/unit/lateFeeService.test.js
+// Unit tests for services/lateFeeService.js — interest maths (simple,
+// compound, partial payments, grace), waivers and the nightly accrual.
+// All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockInstallmentFind = jest.fn();
+const mockInstallmentFindOne = jest.fn();
+const mockInstallmentFindById = jest.fn();
+const mockInstallmentAggregate = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: {
+    find: mockInstallmentFind,
+    findOne: mockInstallmentFindOne,
+    findById: mockInstallmentFindById,
+    aggregate: mockInstallmentAggregate,
+  },
+}));
+
+const mockPlanFind = jest.fn();
+const mockPlanBulkWrite = jest.fn();
+jest.unstable_mockModule('../../models/paymentPlanModel.js', () => ({
+  default: { find: mockPlanFind, bulkWrite: mockPlanBulkWrite },
+}));
+
+const mockTransactionFind = jest.fn();
+jest.unstable_mockModule('../../models/paymentTransactionModel.js', () => ({
+  default: { find: mockTransactionFind },
+}));
+
+const mockCreateApprovalRequest = jest.fn();
+jest.unstable_mockModule('../../services/approvalService.js', () => ({
+  createApprovalRequest: mockCreateApprovalRequest,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  resolveAccrualTerms,
+  installmentPayments,
+  computeAccrual,
+  calculateInstallmentCharges,
+  runLateFeeAccrual,
+  requestLateFeeWaiver,
+  resolveLateFeeWaiver,
+} = await import('../../services/lateFeeService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const day = (m, d) => new Date(2026, m - 1, d);
+const GRACE_END = day(1, 10);
+const user = { _id: oid() };
+
+const base = { principal: 100000, accrualStart: GRACE_END, annualRate: 18, compound: false };
+
+const waiver = (amount, approvalStatus, isActive) => ({
+  adjustmentType: 'late_fee_waiver',
+  adjustmentAmount: -amount,
+  approvalStatus,
+  isActive,
+});
+
+const makeInstallment = (overrides = {}) => ({
+  _id: oid(),
+  organization: oid(),
+  project: oid(),
+  paymentPlan: oid(),
+  installmentNumber: 2,
+  status: 'overdue',
+  lateFeeApplicable: true,
+  lateFeeRate: 1.5,
+  lateFeeAccrued: 0,
+  currentAmount: 100000,
+  paidAmount: 0,
+  currentDueDate: day(1, 3),
+  gracePeriodEndDate: GRACE_END,
+  adjustments: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// =============================================================================
+// resolveAccrualTerms
+// =============================================================================
+
+describe('resolveAccrualTerms', () => {
+  test("uses the plan's annual interest rate when set", () => {
+    expect(resolveAccrualTerms({ lateFeeRate: 2 }, { interestRate: 10.5, compoundInterest: true }))
+      .toEqual({ annualRate: 10.5, compound: true });
+  });
+
+  test('falls back to the monthly late fee rate, annualised', () => {
+    expect(resolveAccrualTerms({ lateFeeRate: 1.5 }, { interestRate: 0 }))
+      .toEqual({ annualRate: 18, compound: false });
+  });
+});
+
+// =============================================================================
+// computeAccrual
+// =============================================================================
+
+describe('computeAccrual', () => {
+  test('accrues simple interest day by day after grace', () => {
+    const result = computeAccrual({ ...base, asOf: day(2, 9) });
+    expect(result.days).toBe(30);
+    expect(result.gross).toBe(1479.45);
+  });
+
+  test('nothing accrues within grace', () => {
+    expect(computeAccrual({ ...base, asOf: GRACE_END }).gross).toBe(0);
+    expect(computeAccrual({ ...base, asOf: day(1, 5) }).gross).toBe(0);
+  });
+
+  test('a partial payment reduces the balance from its date', () => {
+    const result = computeAccrual({ ...base, asOf: day(2, 9), payments: [{ date: day(1, 20), amount: 40000 }] });
+    expect(result.periods.map((p) => [p.days, p.balance])).toEqual([[10, 100000], [20, 60000]]);
+    expect(result.gross).toBe(1084.93);
+  });
+
+  test('payments made before grace ended reduce the opening balance', () => {
+    const result = computeAccrual({ ...base, asOf: day(2, 9), payments: [{ date: day(1, 5), amount: 50000 }] });
+    expect(result.gross).toBe(739.73);
+  });
+
+  test('accrual stops once principal is cleared', () => {
+    const result = computeAccrual({ ...base, asOf: day(6, 1), payments: [{ date: day(1, 20), amount: 100000 }] });
+    expect(result.days).toBe(10);
+    expect(result.gross).toBe(493.15);
+  });
+
+  test('compound interest capitalises at monthly rests', () => {
+    const params = { ...base, annualRate: 12, asOf: day(3, 10) };
+    const simple = computeAccrual(params);
+    const compound = computeAccrual({ ...params, compound: true });
+
+    expect(simple.gross).toBe(1939.73);
+    expect(compound.gross).toBe(1949.11);
+    expect(compound.periods[1].balance).toBe(101019.18);
+  });
+
+  test('no rate, no interest', () => {
+    expect(computeAccrual({ ...base, annualRate: 0, asOf: day(3, 1) }).gross).toBe(0);
+  });
+});
+
+// =============================================================================
+// installmentPayments / calculateInstallmentCharges
+// =============================================================================
+
+describe('installmentPayments', () => {
+  test('splits principal and fee allocations from counted transactions only', () => {
+    const inst = makeInstallment({ paidAmount: 30000 });
+    const other = oid();
+    const transactions = [
+      { status: 'cleared', paymentDate: day(1, 20), paymentAllocations: [
+        { installment: inst._id, allocatedAmount: 30000, allocationType: 'principal' },
+        { installment: inst._id, allocatedAmount: 200, allocationType: 'late_fee' },
+        { installment: other, allocatedAmount: 5000, allocationType: 'principal' },
+      ] },
+      { status: 'bounced', paymentDate: day(1, 25), paymentAllocations: [
+        { installment: inst._id, allocatedAmount: 70000, allocationType: 'principal' },
+      ] },
+    ];
+
+    const { principal, charges } = installmentPayments(inst, transactions);
+
+    expect(principal).toEqual([{ date: day(1, 20), amount: 30000 }]);
+    expect(charges).toEqual([{ date: day(1, 20), amount: 200 }]);
+  });
+
+  test('dates unallocated paid amounts at the last payment', () => {
+    const inst = makeInstallment({ paidAmount: 25000, lastPaymentDate: day(1, 15) });
+    expect(installmentPayments(inst, []).principal).toEqual([{ date: day(1, 15), amount: 25000 }]);
+  });
+});
+
+describe('calculateInstallmentCharges', () => {
+  const paymentTerms = { interestRate: 18 };
+
+  test('deducts approved waivers but not pending or rejected ones', () => {
+    const inst = makeInstallment({
+      adjustments: [waiver(400, 'approved', true), waiver(300, 'pending', false), waiver(200, 'rejected', false)],
+    });
+    const result = calculateInstallmentCharges(inst, { paymentTerms, now: day(2, 9) });
+
+    expect(result.gross).toBe(1479.45);
+    expect(result.waived).toBe(400);
+    expect(result.net).toBe(1079.45);
+  });
+
+  test('fee payments reduce what is outstanding', () => {
+    const inst = makeInstallment();
+    const transactions = [{ status: 'completed', paymentDate: day(2, 1), paymentAllocations: [
+      { installment: inst._id, allocatedAmount: 479.45, allocationType: 'interest' },
+    ] }];
+    const result = calculateInstallmentCharges(inst, { paymentTerms, transactions, now: day(2, 9) });
+
+    expect(result.chargesPaid).toBe(479.45);
+    expect(result.outstanding).toBe(1000);
+  });
+
+  test('skips exempt, waived and unraised milestone installments', () => {
+    const opts = { paymentTerms, now: day(2, 9) };
+    expect(calculateInstallmentCharges(makeInstallment({ lateFeeApplicable: false }), opts)).toBeNull();
+    expect(calculateInstallmentCharges(makeInstallment({ status: 'waived' }), opts)).toBeNull();
+    expect(calculateInstallmentCharges(makeInstallment({ constructionMilestone: oid(), demandRaisedAt: null }), opts)).toBeNull();
+  });
+});
+
+// =============================================================================
+// runLateFeeAccrual
+// =============================================================================
+
+describe('runLateFeeAccrual', () => {
+  test('recomputes accrual per plan and refreshes plan totals', async () => {
+    const plan = { _id: oid(), paymentTerms: { interestRate: 18 } };
+    const overdue = makeInstallment({ paymentPlan: plan._id });
+    const unchanged = makeInstallment({ paymentPlan: plan._id, status: 'paid', paidAmount: 100000, lastPaymentDate: GRACE_END });
+    mockInstallmentFind.mockResolvedValue([overdue, unchanged]);
+    mockPlanFind.mockReturnValue(chain([plan]));
+    mockTransactionFind.mockReturnValue(chain([]));
+    mockInstallmentAggregate.mockResolvedValue([{ _id: plan._id, total: 1479.45 }]);
+    mockPlanBulkWrite.mockResolvedValue({});
+
+    const summary = await runLateFeeAccrual(day(2, 9));
+
+    expect(summary).toEqual({ scanned: 2, updated: 1, plans: 1, failed: [] });
+    expect(overdue.lateFeeAccrued).toBe(1479.45);
+    expect(overdue.lateFeeLastCalculated).toEqual(day(2, 9));
+    expect(unchanged.save).toHaveBeenCalled();
+    expect(mockPlanBulkWrite).toHaveBeenCalledWith([{
+      updateOne: { filter: { _id: plan._id }, update: { $set: { 'financialSummary.totalLateFees': 1479.45 } } },
+    }]);
+  });
+
+  test('selects installments the way accrues() does, falling back to the due date without a grace date', async () => {
+    mockInstallmentFind.mockResolvedValue([]);
+    const now = day(2, 9);
+
+    await runLateFeeAccrual(now);
+
+    const [filter] = mockInstallmentFind.mock.calls[0];
+    expect(filter.lateFeeApplicable).toEqual({ $ne: false });
+    expect(filter.$or).toEqual(expect.arrayContaining([
+      expect.objectContaining({ gracePeriodEndDate: { $lt: now } }),
+      expect.objectContaining({ gracePeriodEndDate: { $exists: false }, currentDueDate: { $lt: now } }),
+    ]));
+  });
+
+  test('returns early when nothing is past grace', async () => {
+    mockInstallmentFind.mockResolvedValue([]);
+    expect(await runLateFeeAccrual(day(2, 9))).toEqual({ scanned: 0, updated: 0, plans: 0, failed: [] });
+    expect(mockPlanFind).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// Waivers
+// =============================================================================
+
+describe('requestLateFeeWaiver', () => {
+  const request = (inst, amount = 500) => {
+    mockInstallmentFindOne.mockResolvedValue(inst);
+    return requestLateFeeWaiver(inst._id, { organization: inst.organization, amount, reason: 'Goodwill', user });
+  };
+
+  test('applies immediately when no approval policy covers it', async () => {
+    mockCreateApprovalRequest.mockResolvedValue({ approved: true, autoApproved: true });
+    const inst = makeInstallment({ lateFeeAccrued: 1200 });
+
+    const result = await request(inst);
+
+    expect(result.pendingApproval).toBe(false);
+    expect(inst.lateFeeAccrued).toBe(700);
+    expect(result.adjustment).toMatchObject({
+      adjustmentType: 'late_fee_waiver',
+      adjustmentAmount: -500,
+      isActive: true,
+      approvalStatus: 'not_required',
+    });
+  });
+
+  test('waits for INSTALLMENT_MODIFICATION approval when required', async () => {
+    const approvalRequest = { _id: oid() };
+    mockCreateApprovalRequest.mockResolvedValue({ approved: false, approvalRequest });
+    const inst = makeInstallment({ lateFeeAccrued: 1200 });
+
+    const result = await request(inst);
+
+    expect(result.pendingApproval).toBe(true);
+    expect(inst.lateFeeAccrued).toBe(1200);
+    expect(result.adjustment).toMatchObject({ isActive: false, approvalStatus: 'pending', approvalRequest: approvalRequest._id });
+    expect(mockCreateApprovalRequest).toHaveBeenCalledWith(expect.objectContaining({
+      approvalType: 'INSTALLMENT_MODIFICATION',
+      entityType: 'Installment',
+      requestData: { modificationType: 'late_fee_waiver', originalValue: 1200, proposedValue: 700 },
+    }));
+  });
+
+  test('rejects a waiver larger than the accrued fee', async () => {
+    await expect(request(makeInstallment({ lateFeeAccrued: 100 }))).rejects.toMatchObject({ statusCode: 400 });
+    expect(mockCreateApprovalRequest).not.toHaveBeenCalled();
+  });
+
+  test('allows one pending waiver at a time', async () => {
+    const inst = makeInstallment({ lateFeeAccrued: 1200, adjustments: [waiver(100, 'pending', false)] });
+    await expect(request(inst)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('resolveLateFeeWaiver', () => {
+  test('approval activates the waiver and reduces the accrual', async () => {
+    const inst = makeInstallment({ lateFeeAccrued: 1200, adjustments: [waiver(500, 'pending', false)] });
+    mockInstallmentFindById.mockResolvedValue(inst);
+
+    await resolveLateFeeWaiver(inst._id, 'approved', user._id);
+
+    expect(inst.adjustments[0]).toMatchObject({ isActive: true, approvalStatus: 'approved', approvedBy: user._id });
+    expect(inst.lateFeeAccrued).toBe(700);
+    expect(inst.save).toHaveBeenCalled();
+  });
+
+  test('rejection leaves the accrual untouched', async () => {
+    const inst = makeInstallment({ lateFeeAccrued: 1200, adjustments: [waiver(500, 'pending', false)] });
+    mockInstallmentFindById.mockResolvedValue(inst);
+
+    await resolveLateFeeWaiver(inst._id, 'rejected', user._id);
+
+    expect(inst.adjustments[0]).toMatchObject({ isActive: false, approvalStatus: 'rejected' });
+    expect(inst.lateFeeAccrued).toBe(1200);
+  });
+});
@@ -0,0 +1,414 @@
+// tests/unit/leadAssignment.test.js
+// Rule-based lead routing: working-hours arithmetic, rule matching, load caps,
+// round-robin vs weighted picks, the SLA sweep (touched / re-assigned /
+// escalated) and rule validation. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLeadFind = jest.fn();
+const mockLeadAggregate = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { find: mockLeadFind, aggregate: mockLeadAggregate, updateMany: jest.fn(), findOne: jest.fn() },
+}));
+
+const mockRuleFind = jest.fn();
+const mockRuleFindById = jest.fn();
+const mockRuleFindByIdAndUpdate = jest.fn();
+const mockRuleUpdateOne = jest.fn();
+const mockRuleCreate = jest.fn();
+jest.unstable_mockModule('../../models/leadAssignmentRuleModel.js', () => ({
+  default: {
+    find: mockRuleFind,
+    findById: mockRuleFindById,
+    findByIdAndUpdate: mockRuleFindByIdAndUpdate,
+    updateOne: mockRuleUpdateOne,
+    create: mockRuleCreate,
+  },
+  ASSIGNMENT_STRATEGIES: ['round_robin', 'weighted'],
+  OUTSIDE_HOURS_ACTIONS: ['assign', 'next_rule'],
+}));
+
+const mockLogCreate = jest.fn();
+jest.unstable_mockModule('../../models/leadRoutingLogModel.js', () => ({
+  default: { create: mockLogCreate },
+}));
+
+const mockInteractionFindOne = jest.fn();
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { findOne: mockInteractionFindOne },
+}));
+
+const mockTaskAggregate = jest.fn();
+jest.unstable_mockModule('../../models/taskModel.js', () => ({
+  default: { aggregate: mockTaskAggregate },
+}));
+
+const mockUserFind = jest.fn();
+const mockUserCount = jest.fn();
+jest.unstable_mockModule('../../models/userModel.js', () => ({
+  default: { find: mockUserFind, countDocuments: mockUserCount },
+}));
+
+const mockProjectFindOne = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findOne: mockProjectFindOne },
+}));
+
+const mockCreateNotification = jest.fn();
+const mockNotifyUsersWithPermission = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyUsersWithPermission: mockNotifyUsersWithPermission,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  isWithinWorkingHours,
+  addWorkingMinutes,
+  ruleMatchesLead,
+  evaluateMembers,
+  pickWeighted,
+  chooseAssignee,
+  sweepAssignmentSlas,
+  createAssignmentRule,
+} = await import('../../services/leadAssignmentService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+
+// Mon–Sat 09:30–19:00 IST
+const OFFICE_HOURS = {
+  enabled: true,
+  timezone: 'Asia/Kolkata',
+  days: [1, 2, 3, 4, 5, 6],
+  start: '09:30',
+  end: '19:00',
+  outsideHours: 'assign',
+};
+
+const makeRule = (overrides = {}) => ({
+  _id: oid(),
+  name: 'Skyline sales',
+  priority: 1,
+  strategy: 'round_robin',
+  conditions: {},
+  members: [],
+  loadCaps: {},
+  workingHours: { enabled: false },
+  sla: { enabled: true, minutes: 30, maxReassignments: 1 },
+  cursor: 0,
+  ...overrides,
+});
+
+const makeLead = (overrides = {}) => ({
+  _id: oid(),
+  organization: ORG,
+  project: PROJECT,
+  firstName: 'Asha',
+  source: 'Marketing',
+  budget: { min: 9000000, max: 12000000 },
+  status: 'New',
+  routing: {},
+  save: jest.fn(async function save() { return this; }),
+  ...overrides,
+});
+
+// Every user in `ids` is active; loads come from `leadLoads` / `taskLoads`.
+const withTeam = (ids, { leadLoads = {}, taskLoads = {} } = {}) => {
+  mockUserFind.mockReturnValue(chain(ids.map((_id) => ({ _id }))));
+  mockLeadAggregate.mockResolvedValue(Object.entries(leadLoads).map(([_id, count]) => ({ _id, count })));
+  mockTaskAggregate.mockResolvedValue(Object.entries(taskLoads).map(([_id, count]) => ({ _id, count })));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockLogCreate.mockResolvedValue({});
+  mockRuleUpdateOne.mockResolvedValue({});
+  mockLeadAggregate.mockResolvedValue([]);
+  mockTaskAggregate.mockResolvedValue([]);
+});
+
+// =============================================================================
+// WORKING HOURS
+// =============================================================================
+
+describe('working hours', () => {
+  test('open inside the window, closed before it and on Sunday', () => {
+    expect(isWithinWorkingHours(new Date('2026-10-19T06:00:00Z'), OFFICE_HOURS)).toBe(true);  // Mon 11:30 IST
+    expect(isWithinWorkingHours(new Date('2026-10-19T03:00:00Z'), OFFICE_HOURS)).toBe(false); // Mon 08:30 IST
+    expect(isWithinWorkingHours(new Date('2026-10-18T06:00:00Z'), OFFICE_HOURS)).toBe(false); // Sun
+    expect(isWithinWorkingHours(new Date('2026-10-18T06:00:00Z'), { enabled: false })).toBe(true);
+  });
+
+  test('SLA minutes only run inside working hours', () => {
+    // Mon 11:30 IST + 30 min → Mon 12:00 IST
+    expect(addWorkingMinutes(new Date('2026-10-19T06:00:00Z'), 30, OFFICE_HOURS).toISOString())
+      .toBe('2026-10-19T06:30:00.000Z');
+    // Mon 18:45 IST + 30 min → 15 min today, 15 min after Tue 09:30 → Tue 09:45 IST
+    expect(addWorkingMinutes(new Date('2026-10-19T13:15:00Z'), 30, OFFICE_HOURS).toISOString())
+      .toBe('2026-10-20T04:15:00.000Z');
+    // Sat 22:00 IST → Sunday closed → Mon 09:30 + 60 → Mon 10:30 IST
+    expect(addWorkingMinutes(new Date('2026-10-24T16:30:00Z'), 60, OFFICE_HOURS).toISOString())
+      .toBe('2026-10-26T05:00:00.000Z');
+  });
+
+  test('without working hours the SLA is wall-clock', () => {
+    expect(addWorkingMinutes(new Date('2026-10-18T06:00:00Z'), 45).toISOString()).toBe('2026-10-18T06:45:00.000Z');
+  });
+});
+
+// =============================================================================
+// MATCHING
+// =============================================================================
+
+describe('ruleMatchesLead', () => {
+  test('empty conditions match anything', () => {
+    expect(ruleMatchesLead(makeRule(), makeLead())).toBe(true);
+  });
+
+  test('source, budget band, language and channel partner', () => {
+    const cp = oid();
+    const rule = makeRule({
+      conditions: {
+        sources: ['Marketing', 'Channel Partner'],
+        budgetMin: 10000000,
+        budgetMax: 20000000,
+        languages: ['mr'],
+        channelPartners: [cp],
+      },
+    });
+    const lead = makeLead({
+      preferredLanguage: 'MR',
+      channelPartnerAttribution: { partners: [{ channelPartner: cp }] },
+    });
+    expect(ruleMatchesLead(rule, lead)).toBe(true);
+    expect(ruleMatchesLead(rule, { ...lead, source: 'Direct' })).toBe(false);
+    expect(ruleMatchesLead(rule, { ...lead, budget: { min: 5000000, max: 8000000 } })).toBe(false);
+    expect(ruleMatchesLead(rule, { ...lead, budget: {} })).toBe(false);
+    expect(ruleMatchesLead(rule, { ...lead, preferredLanguage: 'hi' })).toBe(false);
+    expect(ruleMatchesLead(rule, { ...lead, channelPartnerAttribution: { partners: [{ channelPartner: oid() }] } })).toBe(false);
+  });
+});
+
+describe('evaluateMembers / pickWeighted', () => {
+  test('inactive, excluded and capped members are passed over with a reason', () => {
+    const [a, b, c, d, e] = [oid(), oid(), oid(), oid(), oid()];
+    const rule = makeRule({
+      members: [{ user: a }, { user: b }, { user: c, maxOpenTasks: 5 }, { user: d }, { user: e }],
+      loadCaps: { maxOpenLeads: 10 },
+    });
+    const loads = new Map([
+      [String(a), { openLeads: 2, openTasks: 0 }],
+      [String(b), { openLeads: 10, openTasks: 0 }],
+      [String(c), { openLeads: 1, openTasks: 5 }],
+      [String(d), { openLeads: 0, openTasks: 0 }],
+      [String(e), { openLeads: 0, openTasks: 0 }],
+    ]);
+    const result = evaluateMembers(rule, {
+      loads,
+      activeIds: new Set([a, b, c, e].map(String)),
+      excludeUserIds: [e],
+    });
+    expect(result.map((m) => m.skipped)).toEqual([undefined, 'lead_cap', 'task_cap', 'inactive', 'excluded']);
+  });
+
+  test('weighted pick favours spare capacity, then the longest wait', () => {
+    const heavy = { user: 'heavy', weight: 3, openLeads: 6, lastAssignedAt: new Date('2026-10-01') };
+    const light = { user: 'light', weight: 1, openLeads: 3, lastAssignedAt: new Date('2026-10-01') };
+    const waiting = { user: 'waiting', weight: 2, openLeads: 4, lastAssignedAt: new Date('2026-09-01') };
+    expect(pickWeighted([light, heavy, waiting]).user).toBe('waiting');
+  });
+});
+
+// =============================================================================
+// CHOOSING AN ASSIGNEE
+// =============================================================================
+
+describe('chooseAssignee', () => {
+  test('round-robin over eligible members with an SLA deadline', async () => {
+    const [a, b] = [oid(), oid()];
+    const rule = makeRule({ members: [{ user: a }, { user: b }] });
+    mockRuleFind.mockReturnValue(chain([rule]));
+    mockRuleFindByIdAndUpdate.mockReturnValue(chain({ cursor: 3 }));
+    withTeam([a, b]);
+    const now = new Date('2026-10-19T06:00:00Z');
+
+    const decision = await chooseAssignee(makeLead(), { now });
+
+    expect(decision).toMatchObject({ action: 'assigned', assignee: b, rule });
+    expect(decision.slaDueAt.toISOString()).toBe('2026-10-19T06:30:00.000Z');
+    expect(mockRuleFindByIdAndUpdate).toHaveBeenCalledWith(rule._id, { $inc: { cursor: 1 } });
+    expect(mockRuleUpdateOne).toHaveBeenCalledWith(
+      { _id: rule._id, 'members.user': b },
+      { $set: { 'members.$.lastAssignedAt': now } }
+    );
+  });
+
+  test('overflows to the next rule when the first team is at capacity', async () => {
+    const [a, b] = [oid(), oid()];
+    const full = makeRule({ name: 'Closers', members: [{ user: a, maxOpenLeads: 1 }] });
+    const overflow = makeRule({ name: 'Overflow', strategy: 'weighted', members: [{ user: b }] });
+    mockRuleFind.mockReturnValue(chain([full, overflow]));
+    withTeam([a, b], { leadLoads: { [a]: 1 } });
+
+    const decision = await chooseAssignee(makeLead());
+
+    expect(decision).toMatchObject({ action: 'assigned', assignee: b, rule: overflow });
+    expect(mockRuleFindByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  test('a rule closed for the night defers to the next rule', async () => {
+    const [day, night] = [oid(), oid()];
+    const office = makeRule({ members: [{ user: day }], workingHours: { ...OFFICE_HOURS, outsideHours: 'next_rule' } });
+    const nightShift = makeRule({ name: 'Night desk', members: [{ user: night }], sla: { enabled: false } });
+    mockRuleFind.mockReturnValue(chain([office, nightShift]));
+    mockRuleFindByIdAndUpdate.mockReturnValue(chain({ cursor: 0 }));
+    withTeam([day, night]);
+
+    const decision = await chooseAssignee(makeLead(), { now: new Date('2026-10-19T18:00:00Z') }); // 23:30 IST
+
+    expect(decision).toMatchObject({ assignee: night, slaDueAt: null });
+  });
+
+  test('reports why nobody was picked', async () => {
+    const a = oid();
+    mockRuleFind.mockReturnValue(chain([makeRule({ members: [{ user: a }] })]));
+    withTeam([]);
+    const decision = await chooseAssignee(makeLead());
+    expect(decision).toMatchObject({ action: 'no_eligible_member', assignee: null });
+    expect(decision.candidates[0].skipped).toBe('inactive');
+
+    mockRuleFind.mockReturnValue(chain([makeRule({ conditions: { sources: ['Referral'] } })]));
+    expect(await chooseAssignee(makeLead())).toMatchObject({ action: 'no_match', assignee: null });
+  });
+});
+
+// =============================================================================
+// SLA SWEEP
+// =============================================================================
+
+describe('sweepAssignmentSlas', () => {
+  const now = new Date('2026-10-19T08:00:00Z');
+
+  test('a lead contacted since assignment leaves the sweep', async () => {
+    const touchedAt = new Date('2026-10-19T07:10:00Z');
+    const lead = makeLead({ routing: { rule: oid(), assignedAt: new Date('2026-10-19T07:00:00Z'), slaDueAt: now } });
+    mockLeadFind.mockReturnValue(chain([lead]));
+    mockInteractionFindOne.mockReturnValue(chain({ createdAt: touchedAt }));
+
+    const summary = await sweepAssignmentSlas(now);
+
+    expect(summary).toMatchObject({ checked: 1, touched: 1, reassigned: 0 });
+    expect(lead.routing).toMatchObject({ touchedAt, slaDueAt: null });
+    expect(lead.save).toHaveBeenCalled();
+  });
+
+  test('an untouched lead moves to someone else and both sides are told', async () => {
+    const [owner, next] = [oid(), oid()];
+    const rule = makeRule({ members: [{ user: owner }, { user: next }] });
+    const lead = makeLead({
+      assignedTo: owner,
+      routing: { rule: rule._id, assignedAt: new Date('2026-10-19T07:00:00Z'), slaDueAt: now, reassignments: 0 },
+    });
+    mockLeadFind.mockReturnValue(chain([lead]));
+    mockInteractionFindOne.mockReturnValue(chain(null));
+    mockRuleFindById.mockResolvedValue({ ...rule, active: true });
+    mockRuleFind.mockReturnValue(chain([rule]));
+    mockRuleFindByIdAndUpdate.mockReturnValue(chain({ cursor: 0 }));
+    withTeam([owner, next]);
+
+    const summary = await sweepAssignmentSlas(now);
+
+    expect(summary.reassigned).toBe(1);
+    expect(lead.assignedTo).toBe(next);
+    expect(lead.routing.reassignments).toBe(1);
+    expect(lead.routing.slaDueAt.toISOString()).toBe('2026-10-19T08:30:00.000Z');
+    expect(mockLogCreate).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'sla_reassigned', trigger: 'sla', from: owner, to: next,
+    }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: next, type: 'lead_assigned' }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: owner, type: 'lead_sla_breached' }));
+  });
+
+  test('escalates once the rule’s re-assignments are used up', async () => {
+    const rule = makeRule({ active: true, sla: { enabled: true, minutes: 30, maxReassignments: 1 } });
+    const lead = makeLead({
+      assignedTo: oid(),
+      routing: { rule: rule._id, assignedAt: new Date('2026-10-19T07:00:00Z'), slaDueAt: now, reassignments: 1 },
+    });
+    mockLeadFind.mockReturnValue(chain([lead]));
+    mockInteractionFindOne.mockReturnValue(chain(null));
+    mockRuleFindById.mockResolvedValue(rule);
+
+    const summary = await sweepAssignmentSlas(now);
+
+    expect(summary.escalated).toBe(1);
+    expect(lead.routing).toMatchObject({ slaDueAt: null, escalatedAt: now });
+    expect(mockNotifyUsersWithPermission).toHaveBeenCalledWith(expect.objectContaining({
+      permission: 'leads:assign', type: 'lead_sla_breached', priority: 'urgent',
+    }));
+    expect(mockLogCreate).toHaveBeenCalledWith(expect.objectContaining({ action: 'sla_escalated' }));
+    expect(mockRuleFind).not.toHaveBeenCalled();
+  });
+
+  test('one failing lead does not stop the sweep', async () => {
+    const bad = makeLead({ routing: { assignedAt: now, slaDueAt: now } });
+    mockLeadFind.mockReturnValue(chain([bad]));
+    mockInteractionFindOne.mockImplementation(() => { throw new Error('db down'); });
+
+    const summary = await sweepAssignmentSlas(now);
+
+    expect(summary.failed).toEqual([{ lead: String(bad._id), error: 'db down' }]);
+  });
+});
+
+// =============================================================================
+// RULE VALIDATION
+// =============================================================================
+
+describe('createAssignmentRule', () => {
+  const user = { _id: oid() };
+  const base = { organization: ORG, projectId: PROJECT, user, verifyAccess: () => {} };
+
+  beforeEach(() => {
+    mockProjectFindOne.mockReturnValue(chain({ _id: PROJECT }));
+    mockUserCount.mockResolvedValue(1);
+    mockRuleCreate.mockImplementation(async (doc) => doc);
+  });
+
+  test('creates a rule from the known fields only', async () => {
+    const member = oid();
+    const rule = await createAssignmentRule({
+      ...base,
+      fields: { name: 'Hindi desk', members: [{ user: member }], conditions: { languages: ['hi'] }, cursor: 99 },
+    });
+    expect(rule).toMatchObject({ name: 'Hindi desk', organization: ORG, project: PROJECT, createdBy: user._id });
+    expect(rule.cursor).toBeUndefined();
+  });
+
+  test.each([
+    [{ name: 'x', members: [] }, /at least one member/],
+    [{ name: 'x', members: [{ user: 'a' }, { user: 'a' }] }, /only be listed once/],
+    [{ name: 'x', members: [{ user: 'a' }], strategy: 'random' }, /strategy must be/],
+    [{ name: 'x', members: [{ user: 'a' }], conditions: { budgetMin: 2, budgetMax: 1 } }, /budgetMin/],
+    [{ name: 'x', members: [{ user: 'a' }], workingHours: { start: '19:00', end: '09:00' } }, /start must be before/],
+    [{ name: 'x', members: [{ user: 'a' }], workingHours: { timezone: 'Mars/Olympus' } }, /Unknown timezone/],
+  ])('rejects an invalid rule %#', async (fields, message) => {
+    await expect(createAssignmentRule({ ...base, fields }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(message) });
+  });
+});
@@ -0,0 +1,456 @@
+// tests/unit/leadCapture.test.js
+// Inbound lead capture: the provider adapters (signatures, payload shapes),
+// field mapping onto Lead, and the ingest flow — round-robin assignment,
+// repeat enquiries on an existing lead, re-delivery skips — plus the public
+// webhook's 404 / 401 / 200 answers. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLeadFindOne = jest.fn();
+const mockLeadCreate = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: mockLeadFindOne, create: mockLeadCreate },
+}));
+
+const mockUserFind = jest.fn();
+jest.unstable_mockModule('../../models/userModel.js', () => ({
+  default: { find: mockUserFind, countDocuments: jest.fn() },
+}));
+
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findOne: jest.fn() },
+}));
+
+const mockSourceFindOne = jest.fn();
+const mockSourceFindByIdAndUpdate = jest.fn();
+const mockSourceUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/leadCaptureSourceModel.js', () => ({
+  default: {
+    findOne: mockSourceFindOne,
+    findByIdAndUpdate: mockSourceFindByIdAndUpdate,
+    updateOne: mockSourceUpdateOne,
+  },
+  CAPTURE_FIELDS: [
+    'fullName', 'firstName', 'lastName', 'email', 'phone',
+    'budget', 'budgetMin', 'budgetMax', 'unitType', 'timeline', 'message',
+    'campaign', 'medium', 'adSource', 'content', 'term', 'externalId', 'ignore',
+  ],
+}));
+
+const mockUpdateLeadScore = jest.fn();
+jest.unstable_mockModule('../../services/leadScoringService.js', () => ({
+  updateLeadScore: mockUpdateLeadScore,
+}));
+
+const mockCreateNotification = jest.fn();
+const mockNotifyUsersWithPermission = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyUsersWithPermission: mockNotifyUsersWithPermission,
+}));
+
+const mockChooseAssignee = jest.fn();
+const mockLogRoutingDecision = jest.fn();
+jest.unstable_mockModule('../../services/leadAssignmentService.js', () => ({
+  chooseAssignee: mockChooseAssignee,
+  stampAssignment: (lead, decision, now) => {
+    lead.assignedTo = decision.assignee;
+    lead.routing = { method: 'rule', rule: decision.rule._id, assignedAt: now, slaDueAt: decision.slaDueAt };
+  },
+  logRoutingDecision: mockLogRoutingDecision,
+}));
+
+const mockFindMatchingCampaign = jest.fn();
+jest.unstable_mockModule('../../services/campaignService.js', () => ({
+  findMatchingCampaign: mockFindMatchingCampaign,
+}));
+
+const mockAxiosGet = jest.fn();
+jest.unstable_mockModule('axios', () => ({ default: { get: mockAxiosGet } }));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  parseBudget,
+  mapCapturedFields,
+  buildCapturedLead,
+  ingestCapturedRecord,
+} = await import('../../services/leadCapture/leadCaptureService.js');
+const websiteAdapter = await import('../../services/leadCapture/inbound/website.js');
+const facebookAdapter = await import('../../services/leadCapture/inbound/facebook.js');
+const acresAdapter = await import('../../services/leadCapture/inbound/99acres.js');
+const testAdapter = await import('../../services/leadCapture/inbound/test.js');
+const { receiveCapturedLeads } = await import('../../controllers/leadCaptureController.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const SECRET = 'a'.repeat(64);
+
+const makeSource = (overrides = {}) => ({
+  _id: oid(),
+  organization: oid(),
+  project: oid(),
+  name: '99acres — Skyline Towers',
+  provider: '99acres',
+  key: 'k1',
+  secret: SECRET,
+  fieldMapping: new Map(),
+  defaults: { source: 'Marketing' },
+  assignment: { assignees: [], cursor: 0 },
+  ...overrides,
+});
+
+const sign = (body) => `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+
+const makeReq = ({ body, headers = {}, query = {}, params = {}, rawBody } = {}) => ({
+  body,
+  query,
+  params,
+  rawBody,
+  get: (name) => headers[name],
+});
+
+const makeRes = () => {
+  const res = { statusCode: 200 };
+  res.status = jest.fn((c) => { res.statusCode = c; return res; });
+  res.json = jest.fn((b) => { res.body = b; return res; });
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockLeadFindOne.mockReturnValue(chain(null));
+  mockLeadCreate.mockImplementation(async (fields) => ({ _id: oid(), ...fields }));
+  mockUserFind.mockReturnValue(chain([]));
+  mockSourceUpdateOne.mockResolvedValue({});
+  mockUpdateLeadScore.mockResolvedValue({});
+  mockChooseAssignee.mockResolvedValue({ action: 'no_match', assignee: null, rule: null, candidates: [], reason: 'No rule' });
+  mockFindMatchingCampaign.mockResolvedValue(null);
+  delete process.env.NODE_ENV;
+});
+
+// =============================================================================
+// MAPPING
+// =============================================================================
+
+describe('parseBudget', () => {
+  test.each([
+    ['85 Lac', { min: 8500000, max: 8500000 }],
+    ['1.2 Cr', { min: 12000000, max: 12000000 }],
+    ['₹ 75,00,000', { min: 7500000, max: 7500000 }],
+    ['50 Lac - 1 Cr', { min: 5000000, max: 10000000 }],
+    ['60-70 L', { min: 6000000, max: 7000000 }],
+    ['2 crores', { min: 20000000, max: 20000000 }],
+  ])('%s', (text, expected) => {
+    expect(parseBudget(text)).toEqual(expected);
+  });
+
+  test('unreadable text gives no budget', () => {
+    expect(parseBudget('call me')).toBeNull();
+  });
+});
+
+describe('mapCapturedFields', () => {
+  test('matches field names loosely, lets the source override, keeps the rest', () => {
+    const { mapped, unmapped } = mapCapturedFields(
+      { SenderName: 'Asha Rao', SENDER_MOBILE: '98200 12345', Locality: 'Baner', ProjectName: 'Skyline' },
+      acresAdapter.FIELD_MAP,
+      new Map([['Locality', 'message']])
+    );
+    expect(mapped).toEqual({ fullName: 'Asha Rao', phone: '98200 12345', message: 'Baner' });
+    expect(unmapped).toEqual({});
+  });
+
+  test('unknown fields come back unmapped', () => {
+    const { unmapped } = mapCapturedFields({ name: 'A', preferred_time: 'evening' }, websiteAdapter.FIELD_MAP);
+    expect(unmapped).toEqual({ preferred_time: 'evening' });
+  });
+});
+
+describe('buildCapturedLead', () => {
+  const source = makeSource({ defaults: { source: 'Marketing', campaign: 'Diwali launch' } });
+
+  test('builds the lead with attribution and keeps unmapped details in notes', () => {
+    const { lead, externalId } = buildCapturedLead({
+      mapped: {
+        fullName: 'Asha Mehta Rao', phone: '+91 98200 12345', email: 'ASHA@X.COM',
+        budget: '80 Lac - 1 Cr', unitType: '3 bhk', timeline: '1-3 months',
+        message: 'Need east facing', externalId: 'Q-1',
+      },
+      unmapped: { Locality: 'Baner' },
+    }, source);
+
+    expect(externalId).toBe('Q-1');
+    expect(lead).toMatchObject({
+      firstName: 'Asha',
+      lastName: 'Mehta Rao',
+      email: 'asha@x.com',
+      source: 'Marketing',
+      sourceDetail: { text: source.name },
+      attribution: { campaign: 'Diwali launch', medium: 'property_portal', source: '99acres', touchpointCount: 1 },
+      budget: { min: 8000000, max: 10000000 },
+      requirements: { unitType: '3BHK', timeline: '1-3_months' },
+      priority: 'High',
+    });
+    expect(lead.notes).toContain('Enquiry via 99acres: Need east facing');
+    expect(lead.notes).toContain('Locality: Baner');
+  });
+
+  test('a record without a usable phone is rejected', () => {
+    expect(buildCapturedLead({ mapped: { fullName: 'A', phone: '123' }, unmapped: {} }, source))
+      .toEqual({ error: 'A phone number is required' });
+  });
+});
+
+// =============================================================================
+// ADAPTERS
+// =============================================================================
+
+describe('website adapter', () => {
+  const raw = Buffer.from(JSON.stringify({ name: 'A', phone: '9820012345', submission_id: 's-9' }));
+
+  test('verifies the HMAC of the raw body', () => {
+    const source = makeSource();
+    expect(websiteAdapter.verify(makeReq({ rawBody: raw, headers: { 'X-Signature': sign(raw) } }), source)).toBe(true);
+    expect(websiteAdapter.verify(makeReq({ rawBody: raw, headers: { 'X-Signature': sign('tampered') } }), source)).toBe(false);
+    expect(websiteAdapter.verify(makeReq({ rawBody: raw }), source)).toBe(false);
+  });
+
+  test('normalizes one submission with its id', () => {
+    const [record] = websiteAdapter.normalize(makeReq({ body: JSON.parse(raw) }));
+    expect(record.externalId).toBe('s-9');
+    expect(record.fields).toMatchObject({ name: 'A', phone: '9820012345' });
+  });
+});
+
+describe('portal adapter (99acres)', () => {
+  test('accepts the source secret as a token and reads a batch', () => {
+    const source = makeSource();
+    expect(acresAdapter.verify(makeReq({ query: { token: SECRET } }), source)).toBe(true);
+    expect(acresAdapter.verify(makeReq({ query: { token: 'nope' } }), source)).toBe(false);
+
+    const records = acresAdapter.normalize(makeReq({
+      body: { leads: [{ QueryId: 11, SenderMobile: '1' }, { QueryId: 12, SenderMobile: '2' }] },
+    }));
+    expect(records.map((r) => r.externalId)).toEqual(['11', '12']);
+  });
+});
+
+describe('test adapter', () => {
+  test('needs the source secret outside production too', () => {
+    const source = makeSource({ provider: 'test' });
+    expect(process.env.NODE_ENV).not.toBe('production');
+    expect(testAdapter.verify(makeReq({}), source)).toBe(false);
+    expect(testAdapter.verify(makeReq({ query: { token: 'nope' } }), source)).toBe(false);
+    expect(testAdapter.verify(makeReq({ headers: { 'X-Capture-Token': SECRET } }), source)).toBe(true);
+  });
+});
+
+describe('facebook adapter', () => {
+  const source = makeSource({ provider: 'facebook', verifyToken: 'vt', credentials: { accessToken: 'page-token' } });
+
+  test('answers the subscription challenge only with the right verify token', () => {
+    const query = { 'hub.mode': 'subscribe', 'hub.verify_token': 'vt', 'hub.challenge': '1234' };
+    expect(facebookAdapter.handshake(makeReq({ query }), source)).toBe('1234');
+    expect(facebookAdapter.handshake(makeReq({ query: { ...query, 'hub.verify_token': 'x' } }), source)).toBeNull();
+  });
+
+  test('checks X-Hub-Signature-256 against the app secret', () => {
+    const raw = Buffer.from('{"object":"page"}');
+    expect(facebookAdapter.verify(makeReq({ rawBody: raw, headers: { 'X-Hub-Signature-256': sign(raw) } }), source)).toBe(true);
+  });
+
+  test('fetches lead details from the Graph API', async () => {
+    mockAxiosGet.mockResolvedValue({
+      data: {
+        id: 'L1',
+        created_time: '2026-10-01T10:00:00+0000',
+        campaign_name: 'Skyline leadgen',
+        field_data: [
+          { name: 'full_name', values: ['Ravi Kumar'] },
+          { name: 'phone_number', values: ['+919820012345'] },
+        ],
+      },
+    });
+    const body = { object: 'page', entry: [{ changes: [{ field: 'leadgen', value: { leadgen_id: 'L1', form_id: 'F' } }] }] };
+
+    const [record] = await facebookAdapter.normalize(makeReq({ body }), source);
+
+    expect(mockAxiosGet).toHaveBeenCalledWith(
+      expect.stringContaining('/L1'),
+      expect.objectContaining({ params: expect.objectContaining({ access_token: 'page-token' }) })
+    );
+    expect(record.externalId).toBe('L1');
+    expect(record.fields).toMatchObject({ full_name: 'Ravi Kumar', phone_number: '+919820012345', campaign_name: 'Skyline leadgen' });
+    expect(mapCapturedFields(record.fields, facebookAdapter.FIELD_MAP).unmapped).toEqual({});
+  });
+});
+
+// =============================================================================
+// INGEST
+// =============================================================================
+
+describe('ingestCapturedRecord', () => {
+  const record = (fields) => ({ fields: { SenderName: 'Asha Rao', SenderMobile: '98200 12345', ...fields } });
+
+  test('creates, scores and round-robins a new lead', async () => {
+    const [u1, u2] = [oid(), oid()];
+    const source = makeSource({ assignment: { assignees: [u1, u2], cursor: 3 } });
+    mockUserFind.mockReturnValue(chain([{ _id: u1 }, { _id: u2 }]));
+    mockSourceFindByIdAndUpdate.mockReturnValue(chain({ assignment: { cursor: 3 } }));
+
+    const result = await ingestCapturedRecord(source, record({ QueryId: 'Q-7' }));
+
+    expect(result.outcome).toBe('created');
+    expect(mockSourceFindByIdAndUpdate).toHaveBeenCalledWith(source._id, { $inc: { 'assignment.cursor': 1 } });
+    expect(mockLeadCreate).toHaveBeenCalledWith(expect.objectContaining({
+      organization: source.organization,
+      project: source.project,
+      assignedTo: u2,
+      status: 'New',
+      capture: expect.objectContaining({ source: source._id, provider: '99acres', externalIds: ['Q-7'] }),
+    }));
+    expect(mockUpdateLeadScore).toHaveBeenCalledWith(result.lead._id);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: u2, type: 'lead_captured' }));
+  });
+
+  test('links the new lead to the campaign its source or UTM tags belong to', async () => {
+    const campaign = { _id: oid() };
+    mockFindMatchingCampaign.mockResolvedValue(campaign);
+    const source = makeSource();
+
+    await ingestCapturedRecord(source, record());
+
+    expect(mockFindMatchingCampaign).toHaveBeenCalledWith(expect.objectContaining({
+      organization: source.organization,
+      project: source.project,
+      captureSource: source._id,
+      attribution: expect.objectContaining({ source: '99acres' }),
+    }));
+    expect(mockLeadCreate).toHaveBeenCalledWith(expect.objectContaining({ campaign: campaign._id }));
+  });
+
+  test('a source without a team routes through the project assignment rules', async () => {
+    const rep = oid();
+    const rule = { _id: oid(), name: 'Portal leads' };
+    const slaDueAt = new Date('2026-10-20T05:00:00Z');
+    mockChooseAssignee.mockResolvedValue({ action: 'assigned', assignee: rep, rule, candidates: [], slaDueAt });
+
+    const result = await ingestCapturedRecord(makeSource(), record());
+
+    expect(mockChooseAssignee).toHaveBeenCalledWith(
+      expect.objectContaining({ phone: '98200 12345', source: 'Marketing' }),
+      expect.any(Object)
+    );
+    expect(mockLeadCreate).toHaveBeenCalledWith(expect.objectContaining({
+      assignedTo: rep,
+      routing: expect.objectContaining({ method: 'rule', rule: rule._id, slaDueAt }),
+    }));
+    expect(mockLogRoutingDecision).toHaveBeenCalledWith(expect.objectContaining({
+      lead: result.lead, action: 'assigned', trigger: 'captured', to: rep,
+    }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: rep, type: 'lead_captured' }));
+  });
+
+  test('skips deactivated assignees and flags unassigned leads to assigners', async () => {
+    const source = makeSource({ assignment: { assignees: [oid()], cursor: 0 } });
+
+    const result = await ingestCapturedRecord(source, record());
+
+    expect(result.lead.assignedTo).toBeNull();
+    expect(mockNotifyUsersWithPermission).toHaveBeenCalledWith(expect.objectContaining({
+      permission: 'leads:assign',
+      type: 'lead_captured',
+    }));
+  });
+
+  test('a repeat enquiry is logged on the existing lead', async () => {
+    const owner = oid();
+    const existing = {
+      _id: oid(), organization: oid(), firstName: 'Asha', status: 'Negotiating', assignedTo: owner,
+      attribution: { touchpointCount: 1 }, notes: 'Met at expo', save: jest.fn(),
+    };
+    mockLeadFindOne
+      .mockReturnValueOnce(chain(null)) // re-delivery check
+      .mockReturnValueOnce(chain(existing));
+
+    const result = await ingestCapturedRecord(makeSource(), record({ QueryId: 'Q-8', Message: 'Any offers?' }));
+
+    expect(result.outcome).toBe('duplicate');
+    expect(mockLeadCreate).not.toHaveBeenCalled();
+    expect(existing.attribution).toMatchObject({ touchpointCount: 2, lastTouchpoint: '99acres' });
+    expect(existing.capture.externalIds).toEqual(['Q-8']);
+    expect(existing.notes).toMatch(/Met at expo\n\n\[\d{4}-\d{2}-\d{2}\] Enquired again via 99acres: Any offers\?/);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: owner, type: 'lead_re_enquiry' }));
+  });
+
+  test('a provider lead id already seen is skipped', async () => {
+    mockLeadFindOne.mockReturnValueOnce(chain({ _id: oid() }));
+    const result = await ingestCapturedRecord(makeSource(), record({ QueryId: 'Q-7' }));
+    expect(result.outcome).toBe('redelivered');
+    expect(mockLeadCreate).not.toHaveBeenCalled();
+  });
+
+  test('a record without a phone is rejected', async () => {
+    const result = await ingestCapturedRecord(makeSource(), { fields: { SenderName: 'No Phone' } });
+    expect(result).toEqual({ outcome: 'rejected', reason: 'A phone number is required' });
+  });
+});
+
+// =============================================================================
+// WEBHOOK
+// =============================================================================
+
+describe('receiveCapturedLeads', () => {
+  const run = (req, res) => receiveCapturedLeads(req, res, (err) => { if (err) throw err; });
+  const withSecrets = (source) => ({ select: () => Promise.resolve(source) });
+
+  test('unknown key → 404', async () => {
+    mockSourceFindOne.mockReturnValue(withSecrets(null));
+    const res = makeRes();
+    await expect(run(makeReq({ params: { provider: '99acres', key: 'nope' }, body: {} }), res)).rejects.toThrow();
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('bad token → 401, nothing ingested', async () => {
+    mockSourceFindOne.mockReturnValue(withSecrets(makeSource()));
+    const res = makeRes();
+    await expect(run(makeReq({ params: { provider: '99acres', key: 'k1' }, query: { token: 'x' }, body: {} }), res))
+      .rejects.toThrow('verification failed');
+    expect(res.statusCode).toBe(401);
+    expect(mockLeadCreate).not.toHaveBeenCalled();
+  });
+
+  test('verified batch → 200 with the ingest summary and stats rolled up', async () => {
+    const source = makeSource();
+    mockSourceFindOne.mockReturnValue(withSecrets(source));
+    const res = makeRes();
+
+    await run(makeReq({
+      params: { provider: '99acres', key: 'k1' },
+      query: { token: SECRET },
+      body: { leads: [{ QueryId: 1, SenderName: 'A', SenderMobile: '9820012345' }, { QueryId: 2, SenderName: 'B' }] },
+    }), res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ success: true, received: 2, created: 1, rejected: 1 });
+    expect(mockSourceUpdateOne).toHaveBeenCalledWith(
+      { _id: source._id },
+      expect.objectContaining({
+        $inc: expect.objectContaining({ 'stats.received': 2, 'stats.created': 1, 'stats.rejected': 1 }),
+      })
+    );
+  });
+});
@@ -0,0 +1,386 @@
+// tests/unit/leadDedupe.test.js
+// Lead dedupe: contact normalization, duplicate lookup and clustering across
+// projects, and merging duplicates into a survivor — history/attribution
+// folding, reference re-pointing and the guards around it. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLeadFind = jest.fn();
+const mockLeadFindOne = jest.fn();
+const mockLeadAggregate = jest.fn();
+const mockLeadDeleteMany = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: {
+    find: mockLeadFind,
+    findOne: mockLeadFindOne,
+    aggregate: mockLeadAggregate,
+    deleteMany: mockLeadDeleteMany,
+  },
+  SCORE_HISTORY_LIMIT: 3,
+}));
+
+// Every referencing model only needs updateMany; remember which was called how.
+const updateManyCalls = {};
+const referencingModel = (name) => () => ({
+  default: {
+    updateMany: jest.fn(async (filter, update) => {
+      updateManyCalls[name] = { filter, update };
+      return { modifiedCount: 1 };
+    }),
+  },
+});
+for (const [path, name] of [
+  ['../../models/interactionModel.js', 'Interaction'],
+  ['../../models/taskModel.js', 'Task'],
+  ['../../models/fileModel.js', 'File'],
+  ['../../models/salesModel.js', 'Sale'],
+  ['../../models/unitHoldModel.js', 'UnitHold'],
+  ['../../models/paymentPlanModel.js', 'PaymentPlan'],
+  ['../../models/installmentModel.js', 'Installment'],
+  ['../../models/paymentTransactionModel.js', 'PaymentTransaction'],
+  ['../../models/invoiceModel.js', 'Invoice'],
+  ['../../models/partnerCommissionModel.js', 'PartnerCommission'],
+  ['../../models/commissionInvoiceModel.js', 'CommissionInvoice'],
+  ['../../models/cancellationSettlementModel.js', 'CancellationSettlement'],
+  ['../../models/prospectModel.js', 'Prospect'],
+  ['../../models/siteVisitModel.js', 'SiteVisit'],
+  ['../../models/leadMessageModel.js', 'LeadMessage'],
+  ['../../models/leadRoutingLogModel.js', 'LeadRoutingLog'],
+  ['../../models/homeLoanModel.js', 'HomeLoan'],
+  ['../../models/saleLifecycleModel.js', 'SaleLifecycle'],
+  ['../../models/salesDocumentPackModel.js', 'SalesDocumentPack'],
+  ['../../models/adjustmentNoteModel.js', 'AdjustmentNote'],
+]) {
+  jest.unstable_mockModule(path, referencingModel(name));
+}
+
+const mockUpdateLeadScore = jest.fn();
+jest.unstable_mockModule('../../services/leadScoringService.js', () => ({
+  updateLeadScore: mockUpdateLeadScore,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { normalizePhone, normalizeEmail, contactKeysOf } = await import('../../utils/contactNormalizer.js');
+const {
+  suggestSurvivor,
+  clusterLeadGroups,
+  combineLeadRecords,
+  findDuplicateLeads,
+  findDuplicateClusters,
+  mergeLeads,
+} = await import('../../services/leadDedupeService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT_A = oid();
+const PROJECT_B = oid();
+
+const makeLead = (overrides = {}) => {
+  const lead = {
+    _id: oid(),
+    organization: ORG,
+    project: PROJECT_A,
+    firstName: 'Asha',
+    lastName: 'Rao',
+    phone: '9820012345',
+    status: 'New',
+    createdAt: new Date('2026-01-01'),
+    statusHistory: [],
+    scoreHistory: [],
+    mergeHistory: [],
+    attribution: { touchpointCount: 1 },
+    activitySummary: {},
+    engagementMetrics: { totalInteractions: 0 },
+    capture: { externalIds: [] },
+    channelPartnerAttribution: { viaChannelPartner: false, partners: [], status: 'tagged', history: [] },
+    requirements: {},
+    budget: {},
+    save: jest.fn(async function save() { return this; }),
+    toObject: jest.fn(function toObject() { return { _id: this._id, firstName: this.firstName }; }),
+    ...overrides,
+  };
+  return lead;
+};
+
+const allowAll = () => {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of Object.keys(updateManyCalls)) delete updateManyCalls[key];
+  mockLeadDeleteMany.mockResolvedValue({ deletedCount: 1 });
+  mockUpdateLeadScore.mockResolvedValue({});
+});
+
+// =============================================================================
+// NORMALIZATION
+// =============================================================================
+
+describe('contact normalization', () => {
+  test.each([
+    ['+91 98200-12345', '9820012345'],
+    ['098200 12345', '9820012345'],
+    ['9820012345', '9820012345'],
+    ['12345', null],
+    [undefined, null],
+  ])('normalizePhone(%p) → %p', (input, expected) => {
+    expect(normalizePhone(input)).toBe(expected);
+  });
+
+  test.each([
+    [' Asha.Rao+portal@GMail.com ', 'asharao@gmail.com'],
+    ['asha.rao@googlemail.com', 'asharao@gmail.com'],
+    ['Asha.Rao+x@Example.in', 'asha.rao@example.in'],
+    ['not-an-email', null],
+    ['@example.com', null],
+    ['', null],
+  ])('normalizeEmail(%p) → %p', (input, expected) => {
+    expect(normalizeEmail(input)).toBe(expected);
+  });
+
+  test('contactKeysOf keys both fields', () => {
+    expect(contactKeysOf({ phone: '+91 98200 12345', email: 'A@B.CO' }))
+      .toEqual({ phone: '9820012345', email: 'a@b.co' });
+  });
+});
+
+// =============================================================================
+// CLUSTERING
+// =============================================================================
+
+describe('clusterLeadGroups', () => {
+  test('phone and email matches chain into one cluster', () => {
+    const clusters = clusterLeadGroups([['a', 'b'], ['b', 'c'], ['d', 'e']]);
+    expect(clusters.map((c) => c.sort())).toEqual(expect.arrayContaining([['a', 'b', 'c'], ['d', 'e']]));
+    expect(clusters).toHaveLength(2);
+  });
+
+  test('singleton groups produce no cluster', () => {
+    expect(clusterLeadGroups([['a'], ['b']])).toEqual([]);
+  });
+});
+
+describe('suggestSurvivor', () => {
+  test('prefers the lead furthest along, then the oldest', () => {
+    const newer = { _id: 1, status: 'Negotiating', createdAt: new Date('2026-03-01') };
+    const older = { _id: 2, status: 'Negotiating', createdAt: new Date('2026-01-01') };
+    const fresh = { _id: 3, status: 'New', createdAt: new Date('2025-01-01') };
+    expect(suggestSurvivor([fresh, newer, older])._id).toBe(2);
+  });
+});
+
+describe('findDuplicateClusters', () => {
+  test('groups on both keys across projects and suggests a survivor', async () => {
+    const a = makeLead({ status: 'Qualified', contactKeys: { phone: '9820012345', email: 'a@x.com' } });
+    const b = makeLead({ project: PROJECT_B, contactKeys: { phone: '9820012345', email: 'b@x.com' } });
+    const c = makeLead({ project: PROJECT_B, contactKeys: { phone: '9999999999', email: 'b@x.com' } });
+    mockLeadAggregate
+      .mockResolvedValueOnce([{ _id: '9820012345', ids: [a._id, b._id], count: 2 }])
+      .mockResolvedValueOnce([{ _id: 'b@x.com', ids: [b._id, c._id], count: 2 }]);
+    mockLeadFind.mockReturnValue(chain([a, b, c]));
+
+    const result = await findDuplicateClusters({ organization: String(ORG) });
+
+    expect(result.total).toBe(1);
+    const [cluster] = result.clusters;
+    expect(cluster.size).toBe(3);
+    expect(cluster.projects).toBe(2);
+    expect(cluster.sharedPhones).toEqual(['9820012345']);
+    expect(cluster.sharedEmails).toEqual(['b@x.com']);
+    expect(cluster.suggestedSurvivor).toBe(a._id);
+    expect(mockLeadAggregate.mock.calls[0][0][0].$match.organization).toBeInstanceOf(mongoose.Types.ObjectId);
+  });
+});
+
+describe('findDuplicateLeads', () => {
+  test('queries normalized keys and reports what matched', async () => {
+    const match = makeLead({ contactKeys: { phone: '9820012345', email: 'other@x.com' } });
+    mockLeadFind.mockReturnValue(chain([match]));
+
+    const result = await findDuplicateLeads({ organization: ORG, phone: '+91 98200 12345', email: 'asha@x.com' });
+
+    expect(mockLeadFind.mock.calls[0][0].$or).toEqual([
+      { 'contactKeys.phone': '9820012345' },
+      { 'contactKeys.email': 'asha@x.com' },
+    ]);
+    expect(result[0].matchedOn).toEqual(['phone']);
+  });
+
+  test('nothing usable to match on → no query', async () => {
+    expect(await findDuplicateLeads({ organization: ORG, phone: '123' })).toEqual([]);
+    expect(mockLeadFind).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// MERGE
+// =============================================================================
+
+describe('combineLeadRecords', () => {
+  test('folds history, CP attribution and counters into the survivor', () => {
+    const cp1 = oid();
+    const cp2 = oid();
+    const survivor = makeLead({
+      notes: 'Wants sea view',
+      statusHistory: [{ status: 'New', changedAt: new Date('2026-02-01') }],
+      scoreHistory: [{ score: 40, grade: 'C', calculatedAt: new Date('2026-02-02') }],
+      channelPartnerAttribution: { viaChannelPartner: true, partners: [{ channelPartner: cp1 }], status: 'approved', history: [] },
+      capture: { externalIds: ['fb-1'] },
+    });
+    const dup = makeLead({
+      email: 'asha@x.com',
+      notes: 'Called from portal',
+      requirements: { unitType: '3BHK' },
+      statusHistory: [{ status: 'New', changedAt: new Date('2026-01-01') }],
+      scoreHistory: [
+        { score: 10, grade: 'D', calculatedAt: new Date('2026-01-02') },
+        { score: 20, grade: 'D', calculatedAt: new Date('2026-01-03') },
+        { score: 30, grade: 'D', calculatedAt: new Date('2026-01-04') },
+      ],
+      channelPartnerAttribution: { viaChannelPartner: true, partners: [{ channelPartner: cp1 }, { channelPartner: cp2 }], status: 'approved', history: [] },
+      attribution: { touchpointCount: 2 },
+      engagementMetrics: { totalInteractions: 4 },
+      capture: { externalIds: ['99a-7'] },
+    });
+
+    combineLeadRecords(survivor, [dup]);
+
+    expect(survivor.statusHistory.map((h) => h.changedAt)).toEqual([new Date('2026-01-01'), new Date('2026-02-01')]);
+    expect(survivor.statusHistory[0].note).toMatch(/merged lead Asha Rao/);
+    // capped at SCORE_HISTORY_LIMIT (3), keeping the newest
+    expect(survivor.scoreHistory.map((s) => s.score)).toEqual([20, 30, 40]);
+    expect(survivor.channelPartnerAttribution.partners.map((p) => String(p.channelPartner))).toEqual([String(cp1), String(cp2)]);
+    expect(survivor.notes).toBe('Wants sea view\n\n[Merged from Asha Rao]\nCalled from portal');
+    expect(survivor.attribution.touchpointCount).toBe(3);
+    expect(survivor.engagementMetrics.totalInteractions).toBe(4);
+    expect(survivor.capture.externalIds).toEqual(['fb-1', '99a-7']);
+    expect(survivor.email).toBe('asha@x.com');
+    expect(survivor.requirements.unitType).toBe('3BHK');
+  });
+});
+
+describe('mergeLeads', () => {
+  const user = { _id: oid() };
+
+  test('re-points references, records the merge and deletes the duplicates', async () => {
+    const survivor = makeLead({ status: 'Qualified' });
+    const dup = makeLead({ project: PROJECT_B, email: 'asha@x.com' });
+    mockLeadFindOne.mockResolvedValue(survivor);
+    mockLeadFind.mockResolvedValue([dup]);
+    const verifyAccess = jest.fn();
+
+    const result = await mergeLeads(survivor._id, {
+      organization: ORG, mergeLeadIds: [String(dup._id)], user, verifyAccess,
+    });
+
+    expect(verifyAccess.mock.calls.map((c) => c[0])).toEqual([PROJECT_A, PROJECT_B]);
+    expect(survivor.save).toHaveBeenCalled();
+    expect(survivor.mergeHistory[0]).toMatchObject({
+      lead: dup._id, name: 'Asha Rao', project: PROJECT_B, mergedBy: user._id,
+    });
+    expect(updateManyCalls.Interaction).toEqual({
+      filter: { lead: { $in: [dup._id] } },
+      update: { $set: { lead: survivor._id } },
+    });
+    expect(updateManyCalls.Task.filter).toEqual({
+      'linkedEntity.entityType': 'Lead', 'linkedEntity.entityId': { $in: [dup._id] },
+    });
+    expect(updateManyCalls.File.filter).toEqual({ resourceType: 'Lead', associatedResource: { $in: [dup._id] } });
+    expect(updateManyCalls.PartnerCommission.update).toEqual({ $set: { 'saleDetails.customer': survivor._id } });
+    expect(updateManyCalls.Prospect.update).toEqual({ $set: { pushedToLead: survivor._id } });
+    expect(mockLeadDeleteMany).toHaveBeenCalledWith({ _id: { $in: [dup._id] }, organization: ORG });
+    expect(mockUpdateLeadScore).toHaveBeenCalledWith(survivor._id);
+    expect(result).toMatchObject({ mergedCount: 1, moved: expect.objectContaining({ interactions: 1, tasks: 1 }) });
+  });
+
+  test.each([
+    ['SiteVisit', 'lead', 'siteVisits'],
+    ['LeadMessage', 'lead', 'messages'],
+    ['LeadRoutingLog', 'lead', 'routingLogs'],
+    ['HomeLoan', 'lead', 'homeLoans'],
+    ['SaleLifecycle', 'lead', 'saleLifecycles'],
+    ['SalesDocumentPack', 'lead', 'documentPacks'],
+    ['AdjustmentNote', 'customer', 'adjustmentNotes'],
+  ])('re-points %s.%s to the survivor', async (model, field, key) => {
+    const survivor = makeLead();
+    const dup = makeLead();
+    mockLeadFindOne.mockResolvedValue(survivor);
+    mockLeadFind.mockResolvedValue([dup]);
+
+    const result = await mergeLeads(survivor._id, {
+      organization: ORG, mergeLeadIds: [String(dup._id)], user, verifyAccess: allowAll,
+    });
+
+    expect(updateManyCalls[model]).toEqual({
+      filter: { [field]: { $in: [dup._id] } },
+      update: { $set: { [field]: survivor._id } },
+    });
+    expect(result.moved[key]).toBe(1);
+  });
+
+  test('a failing rescore does not fail the merge', async () => {
+    const survivor = makeLead();
+    const dup = makeLead();
+    mockLeadFindOne.mockResolvedValue(survivor);
+    mockLeadFind.mockResolvedValue([dup]);
+    mockUpdateLeadScore.mockRejectedValue(new Error('boom'));
+
+    await expect(mergeLeads(survivor._id, {
+      organization: ORG, mergeLeadIds: [String(dup._id)], user, verifyAccess: allowAll,
+    })).resolves.toMatchObject({ mergedCount: 1 });
+  });
+
+  test.each([
+    [[], 400, /at least one/],
+    [['not-an-id'], 400, /invalid id/],
+    [Array.from({ length: 21 }, () => String(oid())), 400, /At most 20/],
+  ])('rejects mergeLeadIds %#', async (ids, status, message) => {
+    await expect(mergeLeads(oid(), { organization: ORG, mergeLeadIds: ids, user, verifyAccess: allowAll }))
+      .rejects.toMatchObject({ statusCode: status, message: expect.stringMatching(message) });
+  });
+
+  test('the survivor cannot be merged into itself', async () => {
+    const id = oid();
+    await expect(mergeLeads(id, { organization: ORG, mergeLeadIds: [String(id)], user, verifyAccess: allowAll }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('missing leads → 404 and nothing is touched', async () => {
+    mockLeadFindOne.mockResolvedValue(makeLead());
+    mockLeadFind.mockResolvedValue([]);
+    await expect(mergeLeads(oid(), { organization: ORG, mergeLeadIds: [String(oid())], user, verifyAccess: allowAll }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(mockLeadDeleteMany).not.toHaveBeenCalled();
+  });
+
+  test('pending CP registrations cannot be merged', async () => {
+    const dup = makeLead({ status: 'pending' });
+    mockLeadFindOne.mockResolvedValue(makeLead());
+    mockLeadFind.mockResolvedValue([dup]);
+    await expect(mergeLeads(oid(), { organization: ORG, mergeLeadIds: [String(dup._id)], user, verifyAccess: allowAll }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(Object.keys(updateManyCalls)).toHaveLength(0);
+  });
+
+  test('no access to a duplicate’s project stops the merge', async () => {
+    const dup = makeLead({ project: PROJECT_B });
+    mockLeadFindOne.mockResolvedValue(makeLead());
+    mockLeadFind.mockResolvedValue([dup]);
+    const verifyAccess = (p) => { if (p === PROJECT_B) throw new Error('You do not have access to this project'); };
+    await expect(mergeLeads(oid(), { organization: ORG, mergeLeadIds: [String(dup._id)], user, verifyAccess }))
+      .rejects.toThrow(/access/);
+    expect(mockLeadDeleteMany).not.toHaveBeenCalled();
+  });
+});
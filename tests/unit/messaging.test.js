@@ -0,0 +1,449 @@
+// tests/unit/messaging.test.js
+// WhatsApp / SMS messaging: template rendering and approval, consent and the
+// WhatsApp session window on send, provider failures, monotonic delivery
+// receipts, inbound replies threaded onto the lead with STOP / START, and
+// webhook verification. Models and notifications are mocked; the stub
+// provider is real.
+
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockMessageFindOne = jest.fn();
+const mockMessageExists = jest.fn();
+const mockMessageSave = jest.fn();
+const savedMessages = [];
+class MockLeadMessage {
+  constructor(doc) {
+    Object.assign(this, { _id: new mongoose.Types.ObjectId(), statusHistory: [] }, doc);
+    savedMessages.push(this);
+  }
+  save() { return mockMessageSave(this); }
+}
+MockLeadMessage.findOne = mockMessageFindOne;
+MockLeadMessage.exists = mockMessageExists;
+MockLeadMessage.find = jest.fn();
+jest.unstable_mockModule('../../models/leadMessageModel.js', () => ({
+  default: MockLeadMessage,
+  MESSAGE_STATUSES: ['queued', 'sent', 'delivered', 'read', 'failed', 'received'],
+}));
+
+const mockTemplateFindOne = jest.fn();
+jest.unstable_mockModule('../../models/messageTemplateModel.js', () => ({
+  default: { findOne: mockTemplateFindOne, find: jest.fn(), create: jest.fn() },
+  MESSAGE_CHANNELS: ['whatsapp', 'sms'],
+  TEMPLATE_CATEGORIES: ['marketing', 'utility', 'transactional'],
+  TEMPLATE_VARIABLE_PATTERN: /\{\{\s*([A-Za-z][\w.]*)\s*\}\}/g,
+}));
+
+const mockLeadFindOne = jest.fn();
+const mockLeadUpdateMany = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: mockLeadFindOne, updateMany: mockLeadUpdateMany },
+}));
+
+const mockSaleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne },
+}));
+
+const mockOrgExists = jest.fn();
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  default: { exists: mockOrgExists },
+}));
+
+const mockInteractionCreate = jest.fn();
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { create: mockInteractionCreate },
+}));
+
+const mockCreateNotification = jest.fn();
+const mockNotifyUsersWithPermission = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyUsersWithPermission: mockNotifyUsersWithPermission,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  renderTemplate,
+  sendMessage,
+  reviewMessageTemplate,
+  updateMessageTemplate,
+  applyStatusEvent,
+  receiveInboundMessage,
+  handleMessagingWebhook,
+} = await import('../../services/messaging/messagingService.js');
+const { stubOutbox, clearStubOutbox } = await import('../../services/messaging/providers/stub.js');
+const { toE164 } = await import('../../utils/contactNormalizer.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = { _id: oid(), name: 'Skyline' };
+const EXEC = { _id: oid(), firstName: 'Ravi', lastName: 'Kumar', role: 'Sales Executive', phoneNumber: '9800000001' };
+const MANAGER = { _id: oid(), firstName: 'Meera', role: 'Sales Manager' };
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+const makeLead = (overrides = {}) => ({
+  _id: oid(),
+  organization: ORG,
+  firstName: 'Asha',
+  lastName: 'Rao',
+  phone: '98200 12345',
+  contactKeys: { phone: '9820012345' },
+  project: PROJECT,
+  status: 'Qualified',
+  assignedTo: EXEC._id,
+  messagingConsent: { whatsapp: { status: 'unknown' }, sms: { status: 'unknown' } },
+  updateActivitySummary: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+const makeTemplate = (overrides = {}) => ({
+  _id: oid(),
+  name: 'visit_followup',
+  channel: 'whatsapp',
+  category: 'utility',
+  status: 'approved',
+  project: null,
+  body: 'Hi {{firstName}}, thanks for visiting {{projectName}}. {{executiveName}} will call you {{when}}.',
+  save: jest.fn(function save() { return Promise.resolve(this); }),
+  ...overrides,
+});
+
+const send = (overrides = {}) => sendMessage({
+  organization: ORG,
+  leadId: overrides.lead?._id || oid(),
+  channel: 'whatsapp',
+  user: EXEC,
+  now: NOW,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  savedMessages.length = 0;
+  clearStubOutbox();
+  mockMessageSave.mockImplementation(async (m) => m);
+  mockInteractionCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockMessageFindOne.mockReturnValue(chain(null));
+  mockMessageExists.mockResolvedValue(null);
+  mockLeadUpdateMany.mockResolvedValue({});
+});
+
+// =============================================================================
+// TEMPLATES
+// =============================================================================
+
+describe('templates', () => {
+  test('renders variables and lists every missing one', () => {
+    expect(renderTemplate('Hi {{ firstName }}, unit {{unitNumber}}', { firstName: 'Asha', unitNumber: 'A-1204' }))
+      .toBe('Hi Asha, unit A-1204');
+    expect(() => renderTemplate('{{a}} {{b}} {{a}} {{c}}', { b: 'x', c: ' ' }))
+      .toThrow('Missing template variables: a, c.');
+  });
+
+  test('SMS templates need a DLT id before approval', async () => {
+    const template = makeTemplate({ channel: 'sms', status: 'pending_approval' });
+    mockTemplateFindOne.mockResolvedValue(template);
+    await expect(reviewMessageTemplate(template._id, { organization: ORG, decision: 'approve', user: MANAGER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    template.dltTemplateId = '1107160000000012345';
+    await reviewMessageTemplate(template._id, { organization: ORG, decision: 'approve', user: MANAGER, now: NOW });
+    expect(template).toMatchObject({ status: 'approved', reviewedBy: MANAGER._id, reviewedAt: NOW });
+  });
+
+  test('rejecting needs a reason', async () => {
+    mockTemplateFindOne.mockResolvedValue(makeTemplate({ status: 'pending_approval' }));
+    await expect(reviewMessageTemplate(oid(), { organization: ORG, decision: 'reject', user: MANAGER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('editing an approved template body sends it back for approval', async () => {
+    const template = makeTemplate({ reviewedBy: MANAGER._id });
+    mockTemplateFindOne.mockResolvedValue(template);
+
+    await updateMessageTemplate(template._id, { organization: ORG, fields: { name: 'visit_thanks' } });
+    expect(template.status).toBe('approved');
+
+    await updateMessageTemplate(template._id, { organization: ORG, fields: { body: 'Hi {{firstName}}!' } });
+    expect(template.status).toBe('pending_approval');
+    expect(template.reviewedBy).toBeUndefined();
+  });
+});
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+describe('sendMessage', () => {
+  test('sends an approved template with lead and sender context through the stub provider', async () => {
+    const lead = makeLead();
+    mockLeadFindOne.mockReturnValue(chain(lead));
+    mockTemplateFindOne.mockResolvedValue(makeTemplate());
+
+    const message = await send({ lead, templateId: oid(), variables: { when: 'tomorrow' } });
+
+    const text = 'Hi Asha, thanks for visiting Skyline. Ravi Kumar will call you tomorrow.';
+    expect(message).toMatchObject({ status: 'sent', to: '+919820012345', body: text, direction: 'outbound' });
+    expect(message.providerMessageId).toMatch(/^stub-/);
+    expect(message.statusHistory.map((h) => h.status)).toEqual(['queued', 'sent']);
+    expect(stubOutbox()).toEqual([expect.objectContaining({ to: '+919820012345', body: text })]);
+    expect(mockInteractionCreate).toHaveBeenCalledWith(expect.objectContaining({
+      lead: lead._id, user: EXEC._id, type: 'WhatsApp', direction: 'Outbound', content: text,
+    }));
+    expect(lead.updateActivitySummary).toHaveBeenCalledWith('whatsapp');
+  });
+
+  test('only approved templates on the same channel can be sent', async () => {
+    mockLeadFindOne.mockReturnValue(chain(makeLead()));
+    mockTemplateFindOne.mockResolvedValueOnce(makeTemplate({ status: 'pending_approval' }));
+    await expect(send({ templateId: oid() })).rejects.toMatchObject({ statusCode: 409 });
+
+    mockTemplateFindOne.mockResolvedValueOnce(makeTemplate({ channel: 'sms' }));
+    await expect(send({ templateId: oid() })).rejects.toMatchObject({ statusCode: 400 });
+    expect(stubOutbox()).toHaveLength(0);
+  });
+
+  test('respects opt-out, and marketing needs an explicit opt-in', async () => {
+    mockLeadFindOne.mockReturnValue(chain(makeLead({ messagingConsent: { whatsapp: { status: 'opted_out' } } })));
+    mockTemplateFindOne.mockResolvedValue(makeTemplate({ body: 'Hi {{firstName}}' }));
+    await expect(send({ templateId: oid() })).rejects.toMatchObject({ statusCode: 409 });
+
+    mockLeadFindOne.mockReturnValue(chain(makeLead()));
+    mockTemplateFindOne.mockResolvedValue(makeTemplate({ category: 'marketing', body: 'Hi {{firstName}}' }));
+    await expect(send({ templateId: oid() })).rejects.toThrow(/opt-in/);
+
+    mockLeadFindOne.mockReturnValue(chain(makeLead({ messagingConsent: { whatsapp: { status: 'opted_in' } } })));
+    await expect(send({ templateId: oid() })).resolves.toMatchObject({ status: 'sent' });
+    expect(mockInteractionCreate).toHaveBeenCalledTimes(1);
+  });
+
+  test('free text is WhatsApp-only and only inside the 24-hour window', async () => {
+    mockLeadFindOne.mockReturnValue(chain(makeLead()));
+    await expect(send({ channel: 'sms', body: 'Hello' })).rejects.toMatchObject({ statusCode: 400 });
+
+    mockMessageFindOne.mockReturnValueOnce(chain({ createdAt: new Date(NOW.getTime() - 25 * 60 * 60 * 1000) }));
+    await expect(send({ body: 'Hello' })).rejects.toMatchObject({ statusCode: 409 });
+
+    mockMessageFindOne.mockReturnValueOnce(chain({ createdAt: new Date(NOW.getTime() - 2 * 60 * 60 * 1000) }));
+    await expect(send({ body: ' Sure, 4pm works ' })).resolves.toMatchObject({ body: 'Sure, 4pm works', status: 'sent' });
+  });
+
+  test('stores a provider rejection as failed and answers 502', async () => {
+    const lead = makeLead({ phone: '9820010000' });
+    mockLeadFindOne.mockReturnValue(chain(lead));
+    mockTemplateFindOne.mockResolvedValue(makeTemplate({ body: 'Hi {{firstName}}' }));
+
+    await expect(send({ lead, templateId: oid() })).rejects.toMatchObject({ statusCode: 502 });
+
+    const [message] = savedMessages;
+    expect(message).toMatchObject({ status: 'failed', error: { code: 'STUB_UNDELIVERABLE' } });
+    expect(mockMessageSave).toHaveBeenCalledWith(message);
+    expect(mockInteractionCreate).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'Not delivered' }));
+  });
+
+  test('sales executives can only message their own leads', async () => {
+    mockLeadFindOne.mockReturnValue(chain(makeLead({ assignedTo: oid() })));
+    await expect(send({ body: 'Hi' })).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  test('a sale resolves to its buyer, checks the sale project and fills booking variables', async () => {
+    const lead = makeLead();
+    const sale = {
+      _id: oid(), lead: lead._id, project: PROJECT, unit: { unitNumber: 'B-803' },
+      bookingDate: new Date('2026-10-02T00:00:00Z'), salePrice: 8500000,
+    };
+    mockSaleFindOne.mockReturnValue(chain(sale));
+    mockLeadFindOne.mockReturnValue(chain(lead));
+    mockTemplateFindOne.mockResolvedValue(makeTemplate({ body: '{{firstName}}, unit {{unitNumber}} at {{salePrice}} is booked.' }));
+    const verifyAccess = jest.fn();
+
+    const message = await sendMessage({
+      organization: ORG, saleId: sale._id, channel: 'whatsapp', templateId: oid(), user: MANAGER, verifyAccess, now: NOW,
+    });
+
+    expect(verifyAccess).toHaveBeenCalledTimes(1);
+    expect(verifyAccess).toHaveBeenCalledWith(PROJECT._id);
+    expect(message).toMatchObject({ sale: sale._id, lead: lead._id, body: 'Asha, unit B-803 at ₹85,00,000 is booked.' });
+  });
+});
+
+// =============================================================================
+// DELIVERY RECEIPTS
+// =============================================================================
+
+describe('applyStatusEvent', () => {
+  const outbound = (status) => ({
+    _id: oid(), organization: ORG, lead: oid(), channel: 'whatsapp', to: '+919820012345', body: 'Hi',
+    status, statusHistory: [], sentBy: EXEC._id, save: jest.fn(),
+  });
+
+  test('moves forward only', async () => {
+    const message = outbound('sent');
+    mockMessageFindOne.mockReturnValue(chain(message));
+
+    expect(await applyStatusEvent('stub', { providerMessageId: 'x', status: 'read', at: NOW })).toBe('updated');
+    expect(message).toMatchObject({ status: 'read', deliveredAt: NOW, readAt: NOW });
+    expect(await applyStatusEvent('stub', { providerMessageId: 'x', status: 'delivered' })).toBe('stale');
+    expect(await applyStatusEvent('stub', { providerMessageId: 'x', status: 'failed' })).toBe('stale');
+    expect(message.status).toBe('read');
+  });
+
+  test('a failure before delivery is recorded and tells the sender', async () => {
+    const message = outbound('sent');
+    mockMessageFindOne.mockReturnValue(chain(message));
+
+    await applyStatusEvent('stub', { providerMessageId: 'x', status: 'failed', errorCode: '63016', errorMessage: 'Outside window' });
+
+    expect(message).toMatchObject({ status: 'failed', error: { code: '63016', message: 'Outside window' } });
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: EXEC._id, type: 'message_failed',
+    }));
+  });
+
+  test('unknown message ids are ignored', async () => {
+    expect(await applyStatusEvent('stub', { providerMessageId: 'nope', status: 'read' })).toBe('unknown');
+  });
+});
+
+// =============================================================================
+// INBOUND
+// =============================================================================
+
+describe('receiveInboundMessage', () => {
+  const inbound = (body, extra = {}) => ({
+    kind: 'inbound', channel: 'whatsapp', providerMessageId: `in-${body}`, from: '+919820012345', to: '+911234567890', body, at: NOW, ...extra,
+  });
+
+  test('threads a reply onto the lead last messaged at that number', async () => {
+    const lead = makeLead();
+    mockMessageFindOne.mockReturnValue(chain({ lead: lead._id, sentBy: MANAGER._id }));
+    mockLeadFindOne.mockReturnValue(chain(lead));
+
+    expect(await receiveInboundMessage('stub', ORG, inbound('Can we do Sunday?'))).toBe('received');
+
+    expect(mockMessageFindOne.mock.calls[0][0]).toEqual({
+      organization: ORG, channel: 'whatsapp', direction: 'outbound', to: '+919820012345',
+    });
+    const [message] = savedMessages;
+    expect(message).toMatchObject({ lead: lead._id, direction: 'inbound', status: 'received', body: 'Can we do Sunday?' });
+    expect(mockInteractionCreate).toHaveBeenCalledWith(expect.objectContaining({
+      lead: lead._id, user: EXEC._id, type: 'WhatsApp', direction: 'Inbound',
+    }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: EXEC._id, type: 'message_received', title: 'New WhatsApp message from Asha Rao',
+    }));
+    expect(mockLeadUpdateMany).not.toHaveBeenCalled();
+  });
+
+  test('STOP opts the number out on every lead that has it', async () => {
+    const lead = makeLead();
+    mockLeadFindOne.mockReturnValue(chain(lead));
+
+    await receiveInboundMessage('stub', ORG, inbound(' stop '));
+
+    expect(mockLeadUpdateMany).toHaveBeenCalledWith(
+      { organization: ORG, 'contactKeys.phone': '9820012345' },
+      { $set: {
+        'messagingConsent.whatsapp.status': 'opted_out',
+        'messagingConsent.whatsapp.updatedAt': NOW,
+        'messagingConsent.whatsapp.source': 'inbound_keyword',
+      } }
+    );
+    expect(mockInteractionCreate).toHaveBeenCalledWith(expect.objectContaining({ outcome: 'Opted out' }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ title: 'Asha Rao opted out of WhatsApp' }));
+  });
+
+  test('an unknown number is stored unthreaded and goes to lead assigners', async () => {
+    mockLeadFindOne.mockReturnValue(chain(null));
+
+    await receiveInboundMessage('stub', ORG, inbound('Is the 3BHK still available?'));
+
+    expect(savedMessages[0].lead).toBeNull();
+    expect(mockInteractionCreate).not.toHaveBeenCalled();
+    expect(mockNotifyUsersWithPermission).toHaveBeenCalledWith(expect.objectContaining({
+      organizationId: ORG, permission: 'leads:assign', type: 'message_received',
+    }));
+  });
+
+  test('a redelivered message is not stored twice', async () => {
+    mockMessageExists.mockResolvedValue({ _id: oid() });
+    expect(await receiveInboundMessage('stub', ORG, inbound('Hi'))).toBe('duplicate');
+    expect(savedMessages).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// WEBHOOK
+// =============================================================================
+
+describe('handleMessagingWebhook', () => {
+  afterEach(() => {
+    delete process.env.MESSAGING_STUB_TOKEN;
+  });
+
+  test('rejects unknown providers, and the stub refuses webhooks in production', async () => {
+    await expect(handleMessagingWebhook('carrier-pigeon', String(ORG), { body: {} }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    const env = process.env.NODE_ENV;
+    process.env.NODE_ENV = 'production';
+    try {
+      await expect(handleMessagingWebhook('stub', String(ORG), { body: {} }))
+        .rejects.toMatchObject({ statusCode: 401 });
+    } finally {
+      process.env.NODE_ENV = env;
+    }
+  });
+
+  test('the stub needs its shared token outside production too', async () => {
+    const stubReq = (token) => ({ body: {}, get: (name) => (name === 'X-Stub-Token' ? token : undefined) });
+    await expect(handleMessagingWebhook('stub', String(ORG), stubReq('anything')))
+      .rejects.toMatchObject({ statusCode: 401 });
+
+    process.env.MESSAGING_STUB_TOKEN = 'stub-secret';
+    await expect(handleMessagingWebhook('stub', String(ORG), { body: {} }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    await expect(handleMessagingWebhook('stub', String(ORG), stubReq('wrong')))
+      .rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  test('applies every event and summarises the outcome', async () => {
+    mockOrgExists.mockResolvedValue({ _id: ORG });
+    mockLeadFindOne.mockReturnValue(chain(null));
+    process.env.MESSAGING_STUB_TOKEN = 'stub-secret';
+    const req = { get: (name) => (name === 'X-Stub-Token' ? 'stub-secret' : undefined), body: { events: [
+      { kind: 'status', providerMessageId: 'unknown-1', status: 'delivered' },
+      { kind: 'inbound', channel: 'sms', providerMessageId: 'in-1', from: '9820012345', body: 'Call me' },
+      { kind: 'bogus' },
+    ] } };
+
+    const { summary, reply } = await handleMessagingWebhook('stub', String(ORG), req);
+
+    expect(summary).toEqual({ received: 1, updated: 0, ignored: 1 });
+    expect(reply).toBeNull();
+  });
+});
+
+describe('toE164', () => {
+  test('adds the default country code only to national numbers', () => {
+    expect(toE164('98200 12345')).toBe('+919820012345');
+    expect(toE164('098200-12345')).toBe('+919820012345');
+    expect(toE164('+1 415 555 0100')).toBe('+14155550100');
+    expect(toE164('12345')).toBeNull();
+  });
+});
@@ -0,0 +1,335 @@
+// tests/unit/milestoneDemandService.test.js
+// Unit tests for services/milestoneDemandService.js — readiness rules, tower
+// matching, plan linking and raising demands on completion. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockMilestoneFind = jest.fn();
+const mockMilestoneUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/constructionMilestoneModel.js', () => ({
+  default: { find: mockMilestoneFind, updateOne: mockMilestoneUpdateOne },
+}));
+
+const mockInstallmentFind = jest.fn();
+jest.unstable_mockModule('../../models/installmentModel.js', () => ({
+  default: { find: mockInstallmentFind },
+}));
+
+const mockTaskFindOne = jest.fn();
+const mockTaskCreate = jest.fn();
+jest.unstable_mockModule('../../models/taskModel.js', () => ({
+  default: { findOne: mockTaskFindOne, create: mockTaskCreate },
+}));
+
+const mockSendInstallmentReminder = jest.fn();
+jest.unstable_mockModule('../../services/dunningService.js', () => ({
+  sendInstallmentReminder: mockSendInstallmentReminder,
+}));
+
+const mockRequestDisbursements = jest.fn();
+jest.unstable_mockModule('../../services/homeLoanService.js', () => ({
+  requestDisbursementsForInstallment: mockRequestDisbursements,
+}));
+
+const mockNotifyTaskAutoGenerated = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  notifyTaskAutoGenerated: mockNotifyTaskAutoGenerated,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  demandReadiness,
+  pickLinkedMilestone,
+  linkPlanInstallments,
+  raiseMilestoneDemands,
+} = await import('../../services/milestoneDemandService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-07-01T10:00:00');
+const oid = () => new mongoose.Types.ObjectId();
+const TOWER_A = oid();
+const TOWER_B = oid();
+const user = { _id: oid() };
+
+const makeMilestone = (overrides = {}) => ({
+  _id: oid(),
+  name: 'Slab 5',
+  status: 'Completed',
+  tower: null,
+  qualityChecks: [],
+  installmentDemand: { requireQualityChecks: false, raisedAt: null },
+  completionDetails: { completedAt: NOW },
+  ...overrides,
+});
+
+const makeInstallment = (overrides = {}) => ({
+  _id: oid(),
+  organization: oid(),
+  installmentNumber: 4,
+  currentAmount: 500000,
+  pendingAmount: 500000,
+  currentDueDate: new Date('2027-01-01'),
+  gracePeriodEndDate: new Date('2027-01-08'),
+  adjustments: [],
+  sale: {
+    status: 'Booked',
+    salesPerson: oid(),
+    lead: { firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com' },
+    unit: { unitNumber: 'A-501', tower: TOWER_A },
+  },
+  paymentPlan: { paymentTerms: { gracePeriodDays: 10 } },
+  updateStatus: jest.fn(),
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockMilestoneUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+  mockTaskFindOne.mockReturnValue(chain(null));
+  mockTaskCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockNotifyTaskAutoGenerated.mockResolvedValue(undefined);
+  mockRequestDisbursements.mockResolvedValue(0);
+  mockSendInstallmentReminder.mockResolvedValue({ sent: true });
+});
+
+// =============================================================================
+// demandReadiness
+// =============================================================================
+
+describe('demandReadiness', () => {
+  test('is ready once the milestone is completed', () => {
+    expect(demandReadiness(makeMilestone())).toEqual({ ready: true });
+  });
+
+  test('waits for completion', () => {
+    expect(demandReadiness(makeMilestone({ status: 'In Progress' })).reason).toBe('not_completed');
+  });
+
+  test('never raises twice', () => {
+    const milestone = makeMilestone({ installmentDemand: { raisedAt: NOW } });
+    expect(demandReadiness(milestone).reason).toBe('already_raised');
+  });
+
+  test('holds for required quality checks when the milestone asks for it', () => {
+    const milestone = makeMilestone({
+      installmentDemand: { requireQualityChecks: true },
+      qualityChecks: [
+        { checkName: 'Concrete cube test', isRequired: true, status: 'Pending' },
+        { checkName: 'Shuttering', isRequired: true, status: 'Passed' },
+        { checkName: 'Photos', isRequired: false, status: 'Pending' },
+      ],
+    });
+    expect(demandReadiness(milestone)).toEqual({
+      ready: false,
+      reason: 'quality_checks_pending',
+      pendingChecks: ['Concrete cube test'],
+    });
+  });
+
+  test('ignores quality checks unless required', () => {
+    const milestone = makeMilestone({
+      qualityChecks: [{ checkName: 'Concrete cube test', isRequired: true, status: 'Failed' }],
+    });
+    expect(demandReadiness(milestone).ready).toBe(true);
+  });
+});
+
+// =============================================================================
+// pickLinkedMilestone
+// =============================================================================
+
+describe('pickLinkedMilestone', () => {
+  const towerA = { _id: oid(), tower: TOWER_A };
+  const towerB = { _id: oid(), tower: TOWER_B };
+  const projectWide = { _id: oid(), tower: null };
+
+  test("prefers the unit's tower", () => {
+    expect(pickLinkedMilestone([projectWide, towerB, towerA], TOWER_A)).toBe(towerA);
+  });
+
+  test('falls back to a project-wide milestone', () => {
+    expect(pickLinkedMilestone([towerB, projectWide], TOWER_A)).toBe(projectWide);
+    expect(pickLinkedMilestone([towerA, projectWide], null)).toBe(projectWide);
+  });
+
+  test("returns null when only other towers' milestones exist", () => {
+    expect(pickLinkedMilestone([towerB], TOWER_A)).toBeNull();
+  });
+});
+
+// =============================================================================
+// linkPlanInstallments
+// =============================================================================
+
+describe('linkPlanInstallments', () => {
+  test('links each installment to its tower milestone', async () => {
+    const a = { _id: oid(), tower: TOWER_A, installmentDemand: {} };
+    const b = { _id: oid(), tower: TOWER_B, installmentDemand: {} };
+    mockMilestoneFind.mockReturnValue(chain([a, b]));
+    const installment = makeInstallment({ constructionMilestone: null });
+
+    await linkPlanInstallments(
+      [{ config: { constructionMilestones: [a._id, b._id] }, installment }],
+      { towerId: TOWER_B, bookingDate: NOW }
+    );
+
+    expect(installment.constructionMilestone).toBe(b._id);
+    expect(installment.currentDueDate).toEqual(new Date('2027-01-01'));
+  });
+
+  test('an already-raised milestone makes the installment due on booking', async () => {
+    const raised = { _id: oid(), tower: null, installmentDemand: { raisedAt: new Date('2026-05-01') } };
+    mockMilestoneFind.mockReturnValue(chain([raised]));
+    const installment = makeInstallment();
+
+    await linkPlanInstallments(
+      [{ config: { constructionMilestones: [raised._id] }, installment }],
+      { towerId: TOWER_A, bookingDate: NOW }
+    );
+
+    const bookingDay = new Date(NOW);
+    bookingDay.setHours(0, 0, 0, 0);
+    expect(installment.currentDueDate).toEqual(bookingDay);
+    expect(installment.gracePeriodEndDate).toEqual(new Date(bookingDay.getTime() + 7 * DAY));
+    expect(installment.demandRaisedAt).toBeInstanceOf(Date);
+  });
+
+  test('skips the lookup when no entry is milestone-linked', async () => {
+    await linkPlanInstallments([{ config: {}, installment: makeInstallment() }], { towerId: TOWER_A, bookingDate: NOW });
+    expect(mockMilestoneFind).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// raiseMilestoneDemands
+// =============================================================================
+
+describe('raiseMilestoneDemands', () => {
+  test('makes linked installments due, creates tasks and notifies buyers', async () => {
+    const milestone = makeMilestone({ tower: TOWER_A });
+    const installment = makeInstallment();
+    mockInstallmentFind.mockReturnValue(chain([installment]));
+
+    const result = await raiseMilestoneDemands(milestone, { user, now: NOW });
+
+    expect(result).toEqual({ raised: true, installments: 1, tasks: 1, buyersNotified: 1, lenderRequests: 0, skipped: 0, failed: [] });
+    expect(mockMilestoneUpdateOne).toHaveBeenCalledWith(
+      { _id: milestone._id, 'installmentDemand.raisedAt': null },
+      { $set: { 'installmentDemand.raisedAt': NOW, 'installmentDemand.raisedBy': user._id } }
+    );
+
+    const completionDay = new Date(NOW);
+    completionDay.setHours(0, 0, 0, 0);
+    expect(installment.currentDueDate).toEqual(completionDay);
+    expect(installment.gracePeriodEndDate).toEqual(new Date(completionDay.getTime() + 10 * DAY));
+    expect(installment.demandRaisedAt).toBe(NOW);
+    expect(installment.adjustments[0].adjustmentType).toBe('date_change');
+    expect(installment.updateStatus).toHaveBeenCalled();
+    expect(installment.save).toHaveBeenCalled();
+
+    const task = mockTaskCreate.mock.calls[0][0];
+    expect(task.assignedTo).toBe(installment.sale.salesPerson);
+    expect(task.autoGenerated).toMatchObject({
+      triggerType: 'milestone_demand',
+      triggerEntityId: milestone._id,
+      deduplicationKey: `milestone_demand_${installment._id}`,
+    });
+    expect(mockSendInstallmentReminder).toHaveBeenCalledWith(installment, 'due_today', { sentBy: user._id, now: NOW });
+    expect(mockMilestoneUpdateOne).toHaveBeenLastCalledWith(
+      { _id: milestone._id },
+      { $set: { 'installmentDemand.installmentsRaised': 1 } }
+    );
+  });
+
+  test('does nothing when another request already claimed the milestone', async () => {
+    mockMilestoneUpdateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    const result = await raiseMilestoneDemands(makeMilestone(), { user, now: NOW });
+
+    expect(result).toEqual({ raised: false, reason: 'already_raised' });
+    expect(mockInstallmentFind).not.toHaveBeenCalled();
+  });
+
+  test('reports pending quality checks without claiming', async () => {
+    const milestone = makeMilestone({
+      installmentDemand: { requireQualityChecks: true },
+      qualityChecks: [{ checkName: 'Cube test', isRequired: true, status: 'In Progress' }],
+    });
+
+    const result = await raiseMilestoneDemands(milestone, { user, now: NOW });
+
+    expect(result.reason).toBe('quality_checks_pending');
+    expect(mockMilestoneUpdateOne).not.toHaveBeenCalled();
+  });
+
+  test('skips cancelled sales and units in other towers', async () => {
+    const cancelled = makeInstallment({ sale: { ...makeInstallment().sale, status: 'Cancelled' } });
+    const otherTower = makeInstallment({
+      sale: { ...makeInstallment().sale, unit: { unitNumber: 'B-101', tower: TOWER_B } },
+    });
+    mockInstallmentFind.mockReturnValue(chain([cancelled, otherTower]));
+
+    const result = await raiseMilestoneDemands(makeMilestone({ tower: TOWER_A }), { user, now: NOW });
+
+    expect(result).toMatchObject({ installments: 0, skipped: 2 });
+    expect(cancelled.save).not.toHaveBeenCalled();
+    expect(otherTower.save).not.toHaveBeenCalled();
+  });
+
+  test('does not duplicate an existing collection task', async () => {
+    mockTaskFindOne.mockReturnValue(chain({ _id: oid() }));
+    mockInstallmentFind.mockReturnValue(chain([makeInstallment()]));
+
+    const result = await raiseMilestoneDemands(makeMilestone(), { user, now: NOW });
+
+    expect(result).toMatchObject({ installments: 1, tasks: 0 });
+    expect(mockTaskCreate).not.toHaveBeenCalled();
+  });
+
+  test('asks the home loan lender for its share of each raised installment', async () => {
+    const installment = makeInstallment();
+    mockInstallmentFind.mockReturnValue(chain([installment]));
+    mockRequestDisbursements.mockResolvedValue(1);
+
+    const result = await raiseMilestoneDemands(makeMilestone(), { user, now: NOW });
+
+    expect(mockRequestDisbursements).toHaveBeenCalledWith(installment, { user, now: NOW });
+    expect(result).toMatchObject({ installments: 1, lenderRequests: 1 });
+  });
+
+  test('a failed email still counts the installment as raised', async () => {
+    mockSendInstallmentReminder.mockRejectedValue(new Error('SMTP down'));
+    mockInstallmentFind.mockReturnValue(chain([makeInstallment()]));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await raiseMilestoneDemands(makeMilestone(), { user, now: NOW });
+
+    expect(result).toMatchObject({ installments: 1, buyersNotified: 0, failed: [] });
+    spy.mockRestore();
+  });
+
+  test('collects per-installment save failures', async () => {
+    const broken = makeInstallment({ save: jest.fn().mockRejectedValue(new Error('validation failed')) });
+    mockInstallmentFind.mockReturnValue(chain([broken]));
+
+    const result = await raiseMilestoneDemands(makeMilestone(), { user, now: NOW });
+
+    expect(result.installments).toBe(0);
+    expect(result.failed).toEqual([{ installment: broken._id.toString(), error: 'validation failed' }]);
+    expect(mockTaskCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,384 @@
+// tests/unit/postSales.test.js
+// Post-booking workflow: validating configured stages, which workflow a
+// project follows, starting a sale's lifecycle (including sales already past
+// some stages), the document / appointment gates on completing a stage, the
+// Sale.status and Unit.possession updates it makes, and cancellation. All I/O
+// is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const STAGES = [
+  { key: 'kyc', label: 'KYC', slaDays: 7, requiredDocuments: [{ key: 'pan', label: 'PAN card' }] },
+  { key: 'agreement', label: 'Agreement for sale', slaDays: 30, requiredDocuments: [], saleStatusOnComplete: 'Agreement Signed' },
+  { key: 'registration', label: 'Registration', slaDays: 30, requiredDocuments: [], requiresAppointment: true, saleStatusOnComplete: 'Registered' },
+  { key: 'handover', label: 'Possession handover', slaDays: 15, requiredDocuments: [], handsOverPossession: true },
+  { key: 'snags', label: 'Snag closure', slaDays: 30, requiredDocuments: [], saleStatusOnComplete: 'Completed' },
+];
+
+const mockWorkflowFind = jest.fn();
+const mockWorkflowUpsert = jest.fn();
+jest.unstable_mockModule('../../models/postSalesWorkflowModel.js', () => ({
+  default: { find: mockWorkflowFind, findOneAndUpdate: mockWorkflowUpsert, deleteOne: jest.fn() },
+  DEFAULT_POST_SALES_STAGES: STAGES,
+  LIFECYCLE_SALE_STATUSES: ['Agreement Signed', 'Registered', 'Completed'],
+}));
+
+const mockLifecycleFindOne = jest.fn();
+const mockLifecycleExists = jest.fn();
+const mockLifecycleCreate = jest.fn();
+jest.unstable_mockModule('../../models/saleLifecycleModel.js', () => ({
+  default: { findOne: mockLifecycleFindOne, exists: mockLifecycleExists, create: mockLifecycleCreate, find: jest.fn() },
+  STAGE_DOCUMENT_STATUSES: ['pending', 'received', 'verified', 'rejected'],
+}));
+
+const mockSaleFindOne = jest.fn();
+const mockSaleUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne, updateOne: mockSaleUpdateOne },
+}));
+
+const mockUnitUpdateOne = jest.fn();
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { updateOne: mockUnitUpdateOne },
+}));
+
+const mockTaskUpdateOne = jest.fn();
+const mockTaskUpdateMany = jest.fn();
+jest.unstable_mockModule('../../models/taskModel.js', () => ({
+  default: { updateOne: mockTaskUpdateOne, updateMany: mockTaskUpdateMany },
+}));
+
+const mockCreateStageTask = jest.fn();
+jest.unstable_mockModule('../../services/taskAutoGenerationService.js', () => ({
+  default: { createSaleLifecycleTask: mockCreateStageTask },
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  validateStages,
+  getEffectiveWorkflow,
+  startSaleLifecycle,
+  completeStage,
+  updateStageDocument,
+  updateStage,
+  cancelSaleLifecycle,
+} = await import('../../services/postSalesService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const UNIT = oid();
+const USER = { _id: oid() };
+const NOW = new Date('2026-10-20T06:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeSale = (status = 'Booked') => ({
+  _id: oid(),
+  project: PROJECT,
+  unit: { _id: UNIT, unitNumber: 'A-701' },
+  lead: { _id: oid(), firstName: 'Ravi', lastName: 'Kumar' },
+  salesPerson: oid(),
+  status,
+});
+
+const withSave = (doc) => {
+  doc.save = jest.fn(async () => doc);
+  return doc;
+};
+
+// A lifecycle as startSaleLifecycle would leave it, on the given stage.
+const makeLifecycle = (currentKey, overrides = {}) => {
+  const current = STAGES.findIndex((s) => s.key === currentKey);
+  return withSave({
+    _id: oid(),
+    organization: ORG,
+    project: PROJECT,
+    sale: oid(),
+    unit: UNIT,
+    status: 'active',
+    currentStage: currentKey,
+    stages: STAGES.map((s, i) => ({
+      key: s.key,
+      label: s.label,
+      order: i + 1,
+      slaDays: s.slaDays,
+      requiresAppointment: Boolean(s.requiresAppointment),
+      saleStatusOnComplete: s.saleStatusOnComplete || null,
+      handsOverPossession: Boolean(s.handsOverPossession),
+      status: i < current ? 'completed' : i === current ? 'in_progress' : 'pending',
+      task: i === current ? oid() : null,
+      documents: s.requiredDocuments.map((d) => ({ ...d, required: true, status: 'pending' })),
+      appointment: {},
+    })),
+    ...overrides,
+  });
+};
+
+const stage = (lifecycle, key) => lifecycle.stages.find((s) => s.key === key);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockWorkflowFind.mockReturnValue(chain([]));
+  mockLifecycleExists.mockResolvedValue(null);
+  mockLifecycleCreate.mockImplementation(async (doc) => withSave({ _id: oid(), status: 'active', currentStage: null, ...doc, stages: doc.stages.map((s) => ({ status: 'pending', ...s })) }));
+  mockCreateStageTask.mockImplementation(async () => ({ _id: oid() }));
+  mockSaleUpdateOne.mockResolvedValue({});
+  mockUnitUpdateOne.mockResolvedValue({});
+  mockTaskUpdateOne.mockResolvedValue({});
+  mockTaskUpdateMany.mockResolvedValue({});
+});
+
+// =============================================================================
+// CONFIGURATION
+// =============================================================================
+
+describe('validateStages', () => {
+  test('normalizes a valid workflow', () => {
+    const [first] = validateStages([
+      { key: 'kyc', label: ' KYC ', slaDays: '5', requiredDocuments: [{ key: 'pan', label: 'PAN' }] },
+    ]);
+    expect(first).toEqual({
+      key: 'kyc',
+      label: 'KYC',
+      slaDays: 5,
+      requiredDocuments: [{ key: 'pan', label: 'PAN' }],
+      requiresAppointment: false,
+      saleStatusOnComplete: null,
+      handsOverPossession: false,
+      assignee: null,
+    });
+  });
+
+  test.each([
+    ['duplicate keys', [{ key: 'a', label: 'A', slaDays: 1 }, { key: 'a', label: 'B', slaDays: 1 }], /used twice/],
+    ['a bad SLA', [{ key: 'a', label: 'A', slaDays: 0 }], /slaDays/],
+    ['sale statuses going backwards', [
+      { key: 'reg', label: 'Reg', slaDays: 1, saleStatusOnComplete: 'Registered' },
+      { key: 'agr', label: 'Agr', slaDays: 1, saleStatusOnComplete: 'Agreement Signed' },
+    ], /move forward/],
+    ['two handover stages', [
+      { key: 'a', label: 'A', slaDays: 1, handsOverPossession: true },
+      { key: 'b', label: 'B', slaDays: 1, handsOverPossession: true },
+    ], /Only one stage/],
+    ['duplicate document keys', [{ key: 'a', label: 'A', slaDays: 1, requiredDocuments: [{ key: 'x', label: 'X' }, { key: 'x', label: 'Y' }] }], /listed twice/],
+  ])('rejects %s', (_name, stages, message) => {
+    expect(() => validateStages(stages)).toThrow(message);
+  });
+});
+
+describe('getEffectiveWorkflow', () => {
+  test("a project's own workflow wins over the organization's", async () => {
+    const orgStages = [{ key: 'org' }];
+    const projectStages = [{ key: 'proj' }];
+    mockWorkflowFind.mockReturnValue(chain([{ project: null, stages: orgStages }, { project: PROJECT, stages: projectStages }]));
+
+    expect(await getEffectiveWorkflow(ORG, PROJECT)).toEqual({ source: 'project', stages: projectStages });
+  });
+
+  test("falls back to the organization's, then to the default stages", async () => {
+    const orgStages = [{ key: 'org' }];
+    mockWorkflowFind.mockReturnValue(chain([{ project: null, stages: orgStages }]));
+    expect(await getEffectiveWorkflow(ORG, PROJECT)).toEqual({ source: 'organization', stages: orgStages });
+
+    mockWorkflowFind.mockReturnValue(chain([]));
+    expect(await getEffectiveWorkflow(ORG, PROJECT)).toEqual({ source: 'default', stages: STAGES });
+  });
+});
+
+// =============================================================================
+// LIFECYCLE
+// =============================================================================
+
+describe('startSaleLifecycle', () => {
+  test('snapshots the workflow and starts the first stage with its SLA and task', async () => {
+    const sale = makeSale();
+    mockSaleFindOne.mockReturnValue(chain(sale));
+
+    const lifecycle = await startSaleLifecycle({ organization: ORG, saleId: String(sale._id), user: USER, now: NOW });
+
+    expect(lifecycle.stages.map((s) => s.key)).toEqual(['kyc', 'agreement', 'registration', 'handover', 'snags']);
+    expect(lifecycle.unit).toBe(UNIT);
+    const kyc = stage(lifecycle, 'kyc');
+    expect(kyc.status).toBe('in_progress');
+    expect(kyc.dueAt).toEqual(new Date(NOW.getTime() + 7 * DAY_MS));
+    expect(kyc.documents).toEqual([{ key: 'pan', label: 'PAN card', required: true }]);
+    expect(lifecycle.currentStage).toBe('kyc');
+    expect(mockCreateStageTask).toHaveBeenCalledWith(expect.objectContaining({ stage: kyc, sale, userId: USER._id }));
+    expect(kyc.task).toBeDefined();
+    expect(lifecycle.save).toHaveBeenCalled();
+  });
+
+  test('stages a sale has already passed are completed up front', async () => {
+    const sale = makeSale('Agreement Signed');
+    mockSaleFindOne.mockReturnValue(chain(sale));
+
+    const lifecycle = await startSaleLifecycle({ organization: ORG, saleId: String(sale._id), user: USER, now: NOW });
+
+    expect(lifecycle.stages.map((s) => s.status)).toEqual(['completed', 'completed', 'in_progress', 'pending', 'pending']);
+    expect(lifecycle.currentStage).toBe('registration');
+  });
+
+  test('refuses a second lifecycle and unbooked sales', async () => {
+    mockSaleFindOne.mockReturnValue(chain(makeSale()));
+    mockLifecycleExists.mockResolvedValue({ _id: oid() });
+    await expect(startSaleLifecycle({ organization: ORG, saleId: String(oid()), user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    mockLifecycleExists.mockResolvedValue(null);
+    mockSaleFindOne.mockReturnValue(chain(makeSale('Pending Approval')));
+    await expect(startSaleLifecycle({ organization: ORG, saleId: String(oid()), user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockLifecycleCreate).not.toHaveBeenCalled();
+  });
+
+  test('a failed task does not stop the stage starting', async () => {
+    mockSaleFindOne.mockReturnValue(chain(makeSale()));
+    mockCreateStageTask.mockRejectedValue(new Error('no assignee'));
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const lifecycle = await startSaleLifecycle({ organization: ORG, saleId: String(oid()), user: USER, now: NOW });
+
+    expect(stage(lifecycle, 'kyc').status).toBe('in_progress');
+    spy.mockRestore();
+  });
+});
+
+describe('completeStage', () => {
+  test('required documents must be verified first', async () => {
+    const lifecycle = makeLifecycle('kyc');
+    stage(lifecycle, 'kyc').documents[0].status = 'received';
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+
+    await expect(completeStage(String(lifecycle._id), 'kyc', { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('PAN card') });
+    expect(lifecycle.save).not.toHaveBeenCalled();
+  });
+
+  test('only the current stage can be completed', async () => {
+    const lifecycle = makeLifecycle('kyc');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+
+    await expect(completeStage(String(lifecycle._id), 'agreement', { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('a stage that needs an appointment cannot complete without one', async () => {
+    const lifecycle = makeLifecycle('registration');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+
+    await expect(completeStage(String(lifecycle._id), 'registration', { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('appointment') });
+  });
+
+  test('completing moves the sale forward, closes the task and starts the next stage', async () => {
+    const lifecycle = makeLifecycle('registration');
+    const registration = stage(lifecycle, 'registration');
+    const taskId = registration.task;
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+    const sale = makeSale('Agreement Signed');
+    mockSaleFindOne.mockReturnValue(chain(sale));
+
+    await updateStage(String(lifecycle._id), 'registration', {
+      organization: ORG, fields: { appointment: { scheduledAt: '2026-11-02T05:30:00Z', location: 'SRO Haveli 3' } },
+    });
+    await completeStage(String(lifecycle._id), 'registration', { organization: ORG, user: USER, now: NOW });
+
+    expect(registration).toEqual(expect.objectContaining({ status: 'completed', completedBy: USER._id }));
+    expect(mockTaskUpdateOne).toHaveBeenCalledWith(
+      { _id: taskId, status: { $nin: ['Completed', 'Cancelled'] } },
+      { $set: expect.objectContaining({ status: 'Completed' }) }
+    );
+    expect(mockSaleUpdateOne).toHaveBeenCalledWith({ _id: sale._id }, { $set: { status: 'Registered' } });
+
+    // The handover stage starts, so the unit is ready for possession
+    expect(lifecycle.currentStage).toBe('handover');
+    expect(stage(lifecycle, 'handover').status).toBe('in_progress');
+    expect(mockUnitUpdateOne).toHaveBeenCalledWith(
+      { _id: UNIT, 'possession.handoverStatus': 'pending' },
+      { $set: { 'possession.handoverStatus': 'ready' } }
+    );
+  });
+
+  test('the handover stage marks the unit handed over', async () => {
+    const lifecycle = makeLifecycle('handover');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+    mockSaleFindOne.mockReturnValue(chain(makeSale('Registered')));
+
+    await completeStage(String(lifecycle._id), 'handover', {
+      organization: ORG, handoverDate: '2026-10-18', user: USER, now: NOW,
+    });
+
+    expect(mockUnitUpdateOne).toHaveBeenCalledWith(
+      { _id: UNIT },
+      { $set: { 'possession.handoverStatus': 'handed_over', 'possession.actualDate': new Date('2026-10-18') } }
+    );
+    expect(mockSaleUpdateOne).not.toHaveBeenCalled();
+    expect(lifecycle.currentStage).toBe('snags');
+  });
+
+  test('the last stage completes the lifecycle and the sale', async () => {
+    const lifecycle = makeLifecycle('snags');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+    mockSaleFindOne.mockReturnValue(chain(makeSale('Registered')));
+
+    await completeStage(String(lifecycle._id), 'snags', { organization: ORG, user: USER, now: NOW });
+
+    expect(lifecycle).toEqual(expect.objectContaining({ status: 'completed', currentStage: null, completedAt: NOW }));
+    expect(mockSaleUpdateOne).toHaveBeenCalledWith(expect.anything(), { $set: { status: 'Completed' } });
+    expect(mockCreateStageTask).not.toHaveBeenCalled();
+  });
+});
+
+describe('stage documents', () => {
+  test('attaching a file marks a pending document received', async () => {
+    const lifecycle = makeLifecycle('kyc');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+    const fileId = String(oid());
+
+    await updateStageDocument(String(lifecycle._id), 'kyc', 'pan', { organization: ORG, fields: { fileId }, user: USER });
+
+    expect(stage(lifecycle, 'kyc').documents[0]).toEqual(expect.objectContaining({ file: fileId, status: 'received', updatedBy: USER._id }));
+  });
+
+  test("a completed stage's documents are locked", async () => {
+    const lifecycle = makeLifecycle('agreement');
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+
+    await expect(updateStageDocument(String(lifecycle._id), 'kyc', 'pan', { organization: ORG, fields: { status: 'rejected' }, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('cancelSaleLifecycle', () => {
+  test('cancels the lifecycle and its open stage tasks', async () => {
+    const lifecycle = makeLifecycle('agreement');
+    const openTask = stage(lifecycle, 'agreement').task;
+    mockLifecycleFindOne.mockResolvedValue(lifecycle);
+
+    await cancelSaleLifecycle(lifecycle.sale, { reason: 'Buyer withdrew', now: NOW });
+
+    expect(mockTaskUpdateMany).toHaveBeenCalledWith(
+      { _id: { $in: [openTask] }, status: { $nin: ['Completed', 'Cancelled'] } },
+      { $set: { status: 'Cancelled' } }
+    );
+    expect(lifecycle).toEqual(expect.objectContaining({ status: 'cancelled', currentStage: null, cancellationReason: 'Buyer withdrew' }));
+  });
+
+  test('a sale without a lifecycle is left alone', async () => {
+    mockLifecycleFindOne.mockResolvedValue(null);
+    expect(await cancelSaleLifecycle(oid())).toBeNull();
+  });
+});
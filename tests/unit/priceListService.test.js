@@ -0,0 +1,308 @@
+// tests/unit/priceListService.test.js
+// Unit tests for services/priceListService.js — the per-unit escalation
+// engine, preview summary, PRICE_OVERRIDE resolution and publishing against
+// the approved summary. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockPriceListFindById = jest.fn();
+const mockPriceListUpdateMany = jest.fn();
+jest.unstable_mockModule('../../models/priceListModel.js', () => ({
+  default: { findById: mockPriceListFindById, findOne: jest.fn(), create: jest.fn(), updateMany: mockPriceListUpdateMany },
+}));
+
+jest.unstable_mockModule('../../models/unitPriceHistoryModel.js', () => ({
+  default: { insertMany: jest.fn(), find: jest.fn() },
+}));
+
+const mockUnitFind = jest.fn();
+const mockUnitCount = jest.fn();
+const mockUnitBulkWrite = jest.fn();
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { find: mockUnitFind, countDocuments: mockUnitCount, bulkWrite: mockUnitBulkWrite },
+}));
+
+jest.unstable_mockModule('../../models/towerModel.js', () => ({
+  default: { findOne: jest.fn() },
+}));
+
+const mockCreateApprovalRequest = jest.fn();
+jest.unstable_mockModule('../../services/approvalService.js', () => ({
+  createApprovalRequest: mockCreateApprovalRequest,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  computeUnitPrice,
+  buildPricePreview,
+  resolvePriceListApproval,
+  recordUnitPriceChanges,
+  submitPriceList,
+  publishPriceList,
+} = await import('../../services/priceListService.js');
+const { default: UnitPriceHistory } = await import('../../models/unitPriceHistoryModel.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const unit = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  unitNumber: 'B-0502',
+  floor: 5,
+  areaSqft: 1000,
+  basePrice: 5000000,
+  currentPrice: 5000000,
+  facing: 'North-East',
+  type: '2BHK',
+  features: { isParkFacing: true, isCornerUnit: false },
+  status: 'available',
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// =============================================================================
+// computeUnitPrice
+// =============================================================================
+
+describe('computeUnitPrice', () => {
+  test('no rules → unit base price, rounded', () => {
+    const { price, components } = computeUnitPrice(unit({ basePrice: 5000400 }), {});
+    expect(price).toBe(5000000);
+    expect(components.map((c) => c.label)).toEqual(['Base price', 'Rounding']);
+  });
+
+  test('baseRatePerSqft replaces the unit base price', () => {
+    const { price } = computeUnitPrice(unit(), { baseRatePerSqft: 6000 });
+    expect(price).toBe(6000000);
+  });
+
+  test('floor rise counts floors above the start floor', () => {
+    const rules = { floorRise: { startsAboveFloor: 2, mode: 'per_sqft', amountPerFloor: 50 } };
+    // 3 floors × 50/sqft × 1000 sqft
+    expect(computeUnitPrice(unit(), rules).price).toBe(5150000);
+    expect(computeUnitPrice(unit({ floor: 2 }), rules).price).toBe(5000000);
+  });
+
+  test('premiums match facing, feature and unit type and price off the pre-premium amount', () => {
+    const rules = {
+      premiums: [
+        { name: 'NE facing', criterion: 'facing', value: 'North-East', mode: 'percent', amount: 2 },
+        { name: 'Park facing', criterion: 'feature', value: 'isParkFacing', mode: 'lump_sum', amount: 150000 },
+        { name: 'Corner', criterion: 'feature', value: 'isCornerUnit', mode: 'lump_sum', amount: 99000 },
+        { name: '2BHK', criterion: 'unit_type', value: '2bhk', mode: 'per_sqft', amount: 10 },
+      ],
+    };
+    const { price, components } = computeUnitPrice(unit(), rules);
+    // 5,000,000 + 100,000 + 150,000 + 10,000
+    expect(price).toBe(5260000);
+    expect(components.map((c) => c.label)).not.toContain('Corner');
+  });
+
+  test('tranches stack in threshold order once the sold share is reached', () => {
+    const rules = {
+      tranches: [
+        { soldPercentAtLeast: 50, mode: 'percent', amount: 10 },
+        { soldPercentAtLeast: 25, mode: 'percent', amount: 5 },
+      ],
+    };
+    expect(computeUnitPrice(unit(), rules, { soldPercent: 10 }).price).toBe(5000000);
+    expect(computeUnitPrice(unit(), rules, { soldPercent: 30 }).price).toBe(5250000);
+    // 5,000,000 × 1.05 × 1.10
+    expect(computeUnitPrice(unit(), rules, { soldPercent: 60 }).price).toBe(5775000);
+  });
+
+  test('date escalations apply from their effective date', () => {
+    const rules = {
+      dateEscalations: [{ effectiveFrom: new Date('2026-07-01'), mode: 'per_sqft', amount: 100, label: 'Q3 revision' }],
+    };
+    expect(computeUnitPrice(unit(), rules, { asOf: new Date('2026-06-30') }).price).toBe(5000000);
+    const after = computeUnitPrice(unit(), rules, { asOf: new Date('2026-07-01') });
+    expect(after.price).toBe(5100000);
+    expect(after.components.at(-1)).toEqual({ label: 'Q3 revision', amount: 100000 });
+  });
+
+  test('roundTo 0 keeps rupee precision', () => {
+    const { price } = computeUnitPrice(unit({ basePrice: 5000400.4 }), { roundTo: 0 });
+    expect(price).toBe(5000400);
+  });
+});
+
+// =============================================================================
+// buildPricePreview
+// =============================================================================
+
+describe('buildPricePreview', () => {
+  test('summarises totals, changed units and the largest change', () => {
+    const units = [
+      unit({ currentPrice: 5000000 }),
+      unit({ unitNumber: 'B-0101', floor: 1, features: {}, facing: 'South', currentPrice: 4800000 }),
+    ];
+    const rules = { premiums: [{ name: 'Park', criterion: 'feature', value: 'isParkFacing', mode: 'lump_sum', amount: 500000 }] };
+
+    const { rows, summary } = buildPricePreview(rules, units, { soldPercent: 40, asOf: new Date() });
+
+    expect(rows[0]).toMatchObject({ newPrice: 5500000, difference: 500000, changePercent: 10 });
+    expect(rows[1]).toMatchObject({ newPrice: 5000000, difference: 200000 });
+    expect(summary).toMatchObject({
+      unitsPriced: 2,
+      unitsChanged: 2,
+      totalBefore: 9800000,
+      totalAfter: 10500000,
+      totalDifference: 700000,
+      maxChangePercent: 10,
+      soldPercent: 40,
+    });
+  });
+});
+
+// =============================================================================
+// resolvePriceListApproval
+// =============================================================================
+
+describe('resolvePriceListApproval', () => {
+  const pendingList = () => ({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'pending_approval',
+    save: jest.fn().mockResolvedValue(undefined),
+  });
+
+  test('approval marks the list approved with the approver', async () => {
+    const list = pendingList();
+    mockPriceListFindById.mockResolvedValue(list);
+    await resolvePriceListApproval(list._id, 'approved', 'approver-1');
+    expect(list.status).toBe('approved');
+    expect(list.approvedBy).toBe('approver-1');
+    expect(list.save).toHaveBeenCalled();
+  });
+
+  test('rejection returns the list to an editable state', async () => {
+    const list = pendingList();
+    mockPriceListFindById.mockResolvedValue(list);
+    await resolvePriceListApproval(list._id, 'rejected', 'approver-1');
+    expect(list.status).toBe('rejected');
+  });
+
+  test('lists no longer pending are left alone', async () => {
+    const list = { ...pendingList(), status: 'published' };
+    mockPriceListFindById.mockResolvedValue(list);
+    await resolvePriceListApproval(list._id, 'approved', 'approver-1');
+    expect(list.status).toBe('published');
+    expect(list.save).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// recordUnitPriceChanges
+// =============================================================================
+
+describe('recordUnitPriceChanges', () => {
+  test('skips unchanged prices and copies unit scope onto each entry', async () => {
+    UnitPriceHistory.insertMany.mockResolvedValue([]);
+    const org = new mongoose.Types.ObjectId();
+    const project = new mongoose.Types.ObjectId();
+    const u = { ...unit(), organization: org, project };
+
+    await recordUnitPriceChanges([
+      { unit: u, previousPrice: 100, newPrice: 100, source: 'manual' },
+      { unit: u, previousPrice: 100, newPrice: 120, source: 'manual' },
+    ]);
+
+    const [docs] = UnitPriceHistory.insertMany.mock.calls[0];
+    expect(docs).toHaveLength(1);
+    expect(docs[0]).toMatchObject({ organization: org, project, unit: u._id, newPrice: 120, source: 'manual' });
+  });
+
+  test('nothing to record → no insert', async () => {
+    await recordUnitPriceChanges([]);
+    expect(UnitPriceHistory.insertMany).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// publishPriceList
+// =============================================================================
+
+describe('publishPriceList', () => {
+  let session;
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  // Re-prices one unit from 50L to 55L (10%)
+  const approvedList = (approvalSummary) => ({
+    _id: new mongoose.Types.ObjectId(),
+    project: new mongoose.Types.ObjectId(),
+    tower: null,
+    name: 'Q3',
+    version: 2,
+    status: 'approved',
+    rules: { baseRatePerSqft: 5500 },
+    approvalRequest: new mongoose.Types.ObjectId(),
+    approvedAt: new Date(),
+    approvalSummary,
+    save: jest.fn().mockResolvedValue(undefined),
+  });
+
+  beforeEach(() => {
+    session = { startTransaction: jest.fn(), commitTransaction: jest.fn(), abortTransaction: jest.fn(), endSession: jest.fn() };
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+    mockUnitFind.mockReturnValue(chain([unit()]));
+    mockUnitCount.mockReturnValue(chain(0));
+    mockUnitBulkWrite.mockResolvedValue({ modifiedCount: 1 });
+    UnitPriceHistory.insertMany.mockResolvedValue([]);
+  });
+
+  test('submitting stores the summary the approval is raised with', async () => {
+    const list = { ...approvedList(undefined), status: 'draft', isEditable: true };
+    mockCreateApprovalRequest.mockResolvedValue({ approved: true });
+
+    await submitPriceList(list, user);
+
+    expect(list.approvalSummary).toMatchObject({ maxChangePercent: 10, unitsChanged: 1, totalAfter: 5500000 });
+    expect(mockCreateApprovalRequest.mock.calls[0][0].requestData.deviationPercentage).toBe(10);
+    expect(list.status).toBe('approved');
+  });
+
+  test('publishes changes within the approved summary', async () => {
+    const list = approvedList({ maxChangePercent: 10 });
+
+    const { summary } = await publishPriceList(list, user);
+
+    expect(summary).toMatchObject({ maxChangePercent: 10, unitsRepriced: 1 });
+    expect(list.status).toBe('published');
+    expect(session.commitTransaction).toHaveBeenCalled();
+  });
+
+  test('a larger change than approved sends the list back to draft', async () => {
+    const list = approvedList({ maxChangePercent: 4 });
+
+    await expect(publishPriceList(list, user)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringMatching(/up to 10% but 4% was approved/),
+    });
+
+    expect(mockUnitBulkWrite).not.toHaveBeenCalled();
+    expect(session.abortTransaction).toHaveBeenCalled();
+    expect(list.status).toBe('draft');
+    expect(list.approvalRequest).toBeUndefined();
+    expect(list.save).toHaveBeenCalledWith();
+  });
+
+  test('a list approved without a summary must be re-submitted', async () => {
+    const list = approvedList(undefined);
+
+    await expect(publishPriceList(list, user)).rejects.toMatchObject({ statusCode: 409 });
+    expect(list.status).toBe('draft');
+  });
+});
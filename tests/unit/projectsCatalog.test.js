@@ -160,3 +160,27 @@ describe('projectsCatalog — scope()', () => {
     expect(match._id).toEqual({ $in: [] });
   });
 });
+
+describe('projectsCatalog — unit hold derived fields', () => {
+  it('activeHolds looks up active unitholds, counts them and drops the temp array', () => {
+    const f = field('activeHolds');
+    expect(f.derived).toBe(true);
+    const stages = f.addFields();
+    expect(stages[0].$lookup.from).toBe('unitholds');
+    expect(JSON.stringify(stages[0].$lookup.pipeline)).toContain('"active"');
+    expect(stages[1]).toEqual({ $addFields: { activeHolds: { $size: '$_activeHoldsForCount' } } });
+    expect(stages[2]).toEqual({ $unset: '_activeHoldsForCount' });
+  });
+
+  it('oldestHoldAgeDays computes a day difference from the oldest heldAt', () => {
+    const stages = field('oldestHoldAgeDays').addFields();
+    const expr = stages[1].$addFields.oldestHoldAgeDays;
+    expect(expr.$cond[1].$dateDiff.startDate).toEqual({ $min: '$_activeHoldsForAge.heldAt' });
+    expect(expr.$cond[2]).toBe(0);
+  });
+
+  it('hold fields filter on their materialised keys', () => {
+    expect(field('activeHolds').toMatch('gte', 1)).toEqual({ activeHolds: { $gte: 1 } });
+    expect(field('oldestHoldAgeDays').toMatch('gt', 7)).toEqual({ oldestHoldAgeDays: { $gt: 7 } });
+  });
+});
@@ -0,0 +1,373 @@
+// tests/unit/salesDocumentPack.test.js
+// Booking document pack: generating the five documents from the built-in or
+// the organization's templates, per-document failures, regenerating as a new
+// File version, emailing to the buyer, recording signed copies (and the
+// post-sales checklist entry a signed allotment letter fills in) and voiding.
+// Rendering is real; storage, email and other models are mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockTemplateFindOne = jest.fn();
+jest.unstable_mockModule('../../models/documentTemplateModel.js', () => ({
+  default: { findOne: mockTemplateFindOne },
+}));
+
+const mockCategoryFindOne = jest.fn();
+const mockCategoryCreate = jest.fn();
+jest.unstable_mockModule('../../models/documentCategoryModel.js', () => ({
+  default: { findOne: mockCategoryFindOne, create: mockCategoryCreate },
+}));
+
+const mockFileCreate = jest.fn();
+const mockFileFindOne = jest.fn();
+const mockFileFind = jest.fn();
+jest.unstable_mockModule('../../models/fileModel.js', () => ({
+  default: { create: mockFileCreate, findOne: mockFileFindOne, find: mockFileFind },
+}));
+
+const mockSaleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne },
+}));
+
+const mockLeadFindOne = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: mockLeadFindOne },
+}));
+
+const mockOrgFindById = jest.fn();
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  default: { findById: mockOrgFindById },
+}));
+
+const mockLifecycleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/saleLifecycleModel.js', () => ({
+  default: { findOne: mockLifecycleFindOne },
+}));
+
+const mockSignatureExists = jest.fn();
+jest.unstable_mockModule('../../models/signatureRequestModel.js', () => ({
+  default: { exists: mockSignatureExists },
+}));
+
+const mockUpload = jest.fn();
+const mockGetFile = jest.fn();
+jest.unstable_mockModule('../../services/s3Service.js', () => ({
+  uploadFileToS3: mockUpload,
+  getFileFromS3: mockGetFile,
+  getPresignedDownloadUrl: jest.fn(async (key) => `https://signed.example/${key}`),
+}));
+
+jest.unstable_mockModule('../../services/documentGenerationService.js', () => ({
+  getTemplateSource: jest.fn(async (template) => template.content || null),
+}));
+
+const mockLoadTemplateData = jest.fn();
+jest.unstable_mockModule('../../services/documents/templateData.js', () => ({
+  loadTemplateData: mockLoadTemplateData,
+}));
+
+const mockUpdateStageDocument = jest.fn();
+jest.unstable_mockModule('../../services/postSalesService.js', () => ({
+  updateStageDocument: mockUpdateStageDocument,
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { default: SalesDocumentPack, SALES_PACK_DOCUMENT_KEYS } = await import('../../models/salesDocumentPackModel.js');
+const {
+  generateSalesDocumentPack,
+  sendSalesDocuments,
+  updatePackDocument,
+  summarizePack,
+} = await import('../../services/salesDocumentPackService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const LEAD = oid();
+const USER = { _id: oid() };
+const CATEGORY = oid();
+const NOW = new Date('2026-10-20T06:00:00Z');
+
+const CONTEXT = {
+  todayFormatted: '20 Oct 2026',
+  organization: { name: 'Skyline Developers' },
+  project: { name: 'Skyline Heights', city: 'Pune', reraNumber: 'P52100012345' },
+  buyer: { name: 'Ravi Kumar', email: 'ravi@example.com', phone: '9800000000' },
+  unit: { number: 'A-701', type: '2BHK', floor: 7, areaSqft: 980, tower: 'Tower A' },
+  sale: {
+    reference: 'AB12CD34',
+    bookingDateFormatted: '18 Oct 2026',
+    salePriceFormatted: '₹85,00,000.00',
+    paymentPlanName: 'Construction linked',
+    costSheet: { lines: [{ item: 'Base price', amountFormatted: '₹80,00,000.00' }, { item: 'Total', amountFormatted: '₹85,00,000.00', isBold: true }] },
+  },
+  paymentPlan: {},
+  installments: [
+    { number: 1, description: 'Booking amount', dueDateFormatted: '18 Oct 2026', dueDate: NOW, amountFormatted: '₹8,50,000.00', paidAmountFormatted: '₹8,50,000.00', pendingAmountFormatted: '₹0.00' },
+  ],
+  installmentTotals: { amountFormatted: '₹8,50,000.00', paidFormatted: '₹8,50,000.00', pendingFormatted: '₹0.00' },
+};
+
+let saved;
+let sale;
+
+const makeFile = (overrides = {}) => ({
+  _id: oid(),
+  version: 1,
+  createNewVersion: jest.fn(function createNewVersion(data) { this.version += 1; this.s3Key = data.s3Key; return this; }),
+  save: jest.fn(async function save() { return this; }),
+  ...overrides,
+});
+
+const makePack = (documents = []) => new SalesDocumentPack({
+  organization: ORG,
+  project: PROJECT,
+  sale: sale._id,
+  lead: LEAD,
+  documents,
+});
+
+const generatedDocs = (statuses = {}) => SALES_PACK_DOCUMENT_KEYS.map((key) => ({
+  key,
+  label: key,
+  requiresSignature: key !== 'booking_acknowledgement',
+  status: statuses[key] || 'generated',
+  file: oid(),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sale = { _id: oid(), project: PROJECT, lead: LEAD, status: 'Booked' };
+  saved = [];
+  jest.spyOn(SalesDocumentPack.prototype, 'save').mockImplementation(async function save() {
+    saved.push(this);
+    return this;
+  });
+  jest.spyOn(SalesDocumentPack, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  mockSaleFindOne.mockImplementation(() => chain(sale));
+  mockTemplateFindOne.mockImplementation(() => chain(null));
+  mockCategoryFindOne.mockResolvedValue({ _id: CATEGORY });
+  mockLoadTemplateData.mockResolvedValue(CONTEXT);
+  mockUpload.mockImplementation(async (file, folder) => ({ url: `https://s3/${folder}/${file.originalname}`, s3Key: `${folder}/${file.originalname}` }));
+  mockFileCreate.mockImplementation(async (data) => ({ _id: oid(), ...data }));
+  mockOrgFindById.mockImplementation(() => chain({ name: 'Skyline Developers' }));
+  mockSignatureExists.mockResolvedValue(null);
+});
+
+// =============================================================================
+// GENERATION
+// =============================================================================
+
+describe('generateSalesDocumentPack', () => {
+  test('renders all five documents as PDFs filed on the sale', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(null);
+
+    const pack = await generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, now: NOW });
+
+    expect(pack.documents.map((d) => d.key)).toEqual(SALES_PACK_DOCUMENT_KEYS);
+    expect(pack.documents.every((d) => d.status === 'generated' && d.file)).toBe(true);
+    expect(mockUpload).toHaveBeenCalledTimes(5);
+    const [uploaded, folder] = mockUpload.mock.calls[0];
+    expect(folder).toBe(`generated-documents/sales/${sale._id}`);
+    expect(uploaded.buffer.subarray(0, 5).toString()).toBe('%PDF-');
+
+    const created = mockFileCreate.mock.calls.map(([data]) => data);
+    expect(created.every((f) => f.fileExtension === 'pdf' && f.resourceType === 'Sale' && String(f.associatedResource) === String(sale._id))).toBe(true);
+    expect(created.every((f) => f.category === CATEGORY)).toBe(true);
+    expect(created[3].originalName).toBe('allotment_letter-AB12CD34.pdf');
+    expect(saved).toHaveLength(1);
+  });
+
+  test("uses the organization's template for a document when it has one", async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(null);
+    const template = {
+      _id: oid(),
+      version: 3,
+      category: oid(),
+      content: '<p>Cost sheet for {{buyer.name}}</p>',
+      configuration: { outputFormat: 'docx', engine: 'handlebars', pageSettings: {}, headerFooter: {} },
+      incrementUsage: jest.fn(async () => {}),
+    };
+    mockTemplateFindOne.mockImplementation((filter) => chain(filter.salesPackDocument === 'cost_sheet' ? template : null));
+
+    const pack = await generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, keys: ['cost_sheet'], now: NOW });
+
+    const [doc] = pack.documents;
+    expect(String(doc.template)).toBe(String(template._id));
+    expect(doc.templateVersion).toBe(3);
+    const [data] = mockFileCreate.mock.calls[0];
+    expect(data.fileExtension).toBe('docx');
+    expect(data.category).toBe(template.category);
+    expect(template.incrementUsage).toHaveBeenCalled();
+  });
+
+  test('records a failed document and still generates the rest', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(null);
+    mockUpload.mockRejectedValueOnce(new Error('S3 unavailable'));
+
+    const pack = await generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, now: NOW });
+
+    const [first, ...rest] = pack.documents;
+    expect(first).toMatchObject({ key: 'booking_acknowledgement', status: 'failed', error: 'S3 unavailable' });
+    expect(rest.every((d) => d.status === 'generated')).toBe(true);
+    expect(summarizePack(pack)).toMatchObject({ generated: 4, failed: 1, complete: false });
+  });
+
+  test('refuses sales that are not booked', async () => {
+    sale.status = 'Pending Approval';
+    await expect(generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockUpload).not.toHaveBeenCalled();
+  });
+
+  test('regenerating stores a new version of the same File, never of a signed document', async () => {
+    const pack = makePack(generatedDocs({ agreement_draft: 'signed' }));
+    const existing = pack.documents.find((d) => d.key === 'payment_schedule');
+    const file = makeFile({ _id: existing.file });
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(pack);
+    mockFileFindOne.mockResolvedValue(file);
+
+    await expect(generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, keys: ['agreement_draft'], regenerate: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    await generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, keys: ['payment_schedule'], regenerate: true, now: NOW });
+    expect(file.createNewVersion).toHaveBeenCalledTimes(1);
+    expect(file.fileExtension).toBe('pdf');
+    expect(file.save).toHaveBeenCalled();
+    expect(mockFileCreate).not.toHaveBeenCalled();
+    expect(existing.status).toBe('generated');
+  });
+
+  test('does not regenerate a document that is out for signature', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(makePack(generatedDocs()));
+    mockSignatureExists.mockResolvedValue({ _id: oid() });
+    await expect(generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER, keys: ['allotment_letter'], regenerate: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(mockUpload).not.toHaveBeenCalled();
+  });
+
+  test('skips documents already generated unless asked to regenerate', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(makePack(generatedDocs()));
+    await generateSalesDocumentPack({ organization: ORG, saleId: sale._id, user: USER });
+    expect(mockUpload).not.toHaveBeenCalled();
+    expect(saved).toHaveLength(0);
+  });
+});
+
+// =============================================================================
+// SENDING AND SIGNING
+// =============================================================================
+
+describe('sendSalesDocuments', () => {
+  test('emails unsigned documents to the buyer and marks them sent', async () => {
+    const pack = makePack(generatedDocs({ cost_sheet: 'signed' }));
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(pack);
+    mockLeadFindOne.mockImplementation(() => chain({ firstName: 'Ravi', lastName: 'Kumar', email: 'ravi@example.com' }));
+    mockFileFind.mockImplementation(() => chain(pack.documents.map((d) => ({
+      _id: d.file, s3Key: `k/${d.key}`, originalName: `${d.key}.pdf`, mimeType: 'application/pdf',
+    }))));
+    mockGetFile.mockResolvedValue(Buffer.from('%PDF-'));
+
+    const result = await sendSalesDocuments(sale._id, { organization: ORG, user: USER, now: NOW });
+
+    expect(result.sentTo).toBe('ravi@example.com');
+    expect(result.sent).toEqual(SALES_PACK_DOCUMENT_KEYS.filter((k) => k !== 'cost_sheet'));
+    const [email] = mockSendEmail.mock.calls[0];
+    expect(email.to).toBe('ravi@example.com');
+    expect(email.attachments).toHaveLength(4);
+    expect(email.attachments[0]).toMatchObject({ filename: 'booking_acknowledgement.pdf', contentType: 'application/pdf' });
+    const sent = pack.documents.find((d) => d.key === 'allotment_letter');
+    expect(sent).toMatchObject({ status: 'sent', sentVia: 'email', sentTo: 'ravi@example.com' });
+    expect(pack.documents.find((d) => d.key === 'cost_sheet').status).toBe('signed');
+  });
+
+  test('needs an address when the buyer has no email', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(makePack(generatedDocs()));
+    mockLeadFindOne.mockImplementation(() => chain({ firstName: 'Ravi' }));
+    await expect(sendSalesDocuments(sale._id, { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('a void pack cannot be sent', async () => {
+    const pack = makePack(generatedDocs());
+    pack.status = 'void';
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(pack);
+    await expect(sendSalesDocuments(sale._id, { organization: ORG, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('updatePackDocument', () => {
+  test('a signed allotment letter fills in the post-sales checklist', async () => {
+    const pack = makePack(generatedDocs({ allotment_letter: 'sent' }));
+    const signedFile = { _id: oid() };
+    const lifecycle = { _id: oid(), stages: [{ key: 'allotment_letter', status: 'in_progress' }] };
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(pack);
+    mockFileFindOne.mockResolvedValue(signedFile);
+    mockLifecycleFindOne.mockImplementation(() => chain(lifecycle));
+
+    await updatePackDocument(sale._id, 'allotment_letter', {
+      organization: ORG,
+      fields: { status: 'signed', signedFileId: String(signedFile._id), signedAt: '2026-10-19' },
+      user: USER,
+      now: NOW,
+    });
+
+    const doc = pack.documents.find((d) => d.key === 'allotment_letter');
+    expect(doc.status).toBe('signed');
+    expect(doc.signedAt.toISOString()).toBe('2026-10-19T00:00:00.000Z');
+    expect(String(doc.signedFile)).toBe(String(signedFile._id));
+    expect(mockFileFindOne).toHaveBeenCalledWith(expect.objectContaining({ associatedResource: pack.sale }));
+    expect(mockUpdateStageDocument).toHaveBeenCalledWith(lifecycle._id, 'allotment_letter', 'signed_allotment_letter', expect.objectContaining({
+      fields: { fileId: signedFile._id },
+    }));
+  });
+
+  test('a signed copy must be a file on the sale', async () => {
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(makePack(generatedDocs()));
+    mockFileFindOne.mockResolvedValue(null);
+    await expect(updatePackDocument(sale._id, 'cost_sheet', {
+      organization: ORG, fields: { status: 'signed', signedFileId: String(oid()) }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('records hand delivery and completes the pack once everything is signed', async () => {
+    const pack = makePack(generatedDocs({ cost_sheet: 'signed', payment_schedule: 'signed', allotment_letter: 'signed' }));
+    jest.spyOn(SalesDocumentPack, 'findOne').mockResolvedValue(pack);
+
+    await expect(updatePackDocument(sale._id, 'agreement_draft', {
+      organization: ORG, fields: { status: 'sent', sentVia: 'fax' }, user: USER,
+    })).rejects.toMatchObject({ statusCode: 400 });
+
+    await updatePackDocument(sale._id, 'agreement_draft', {
+      organization: ORG, fields: { status: 'sent', sentVia: 'courier', sentTo: 'Blue Dart 12345' }, user: USER, now: NOW,
+    });
+    expect(summarizePack(pack)).toMatchObject({ awaitingSignature: ['agreement_draft'], complete: false });
+
+    await updatePackDocument(sale._id, 'agreement_draft', { organization: ORG, fields: { status: 'signed' }, user: USER, now: NOW });
+    const doc = pack.documents.find((d) => d.key === 'agreement_draft');
+    expect(doc).toMatchObject({ status: 'signed', sentVia: 'courier' });
+    expect(mockUpdateStageDocument).not.toHaveBeenCalled();
+    expect(summarizePack(pack)).toMatchObject({ signed: 4, awaitingSignature: [], complete: true });
+  });
+});
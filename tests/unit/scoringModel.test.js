@@ -0,0 +1,329 @@
+// tests/unit/scoringModel.test.js
+// Versioned lead scoring models: ranking metric, weight fitting from Booked vs
+// Lost leads, draft / back-test / activate lifecycle, per-lead explanations,
+// and score history recording the version that produced each score.
+// Models are mocked; leadScoringService runs for real on top of them.
+
+import { jest, describe, test, expect, beforeEach, beforeAll } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockLeadFind = jest.fn();
+const mockLeadFindById = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { find: mockLeadFind, findById: mockLeadFindById },
+  SCORE_HISTORY_LIMIT: 100,
+}));
+
+const mockConfigFind = jest.fn();
+const mockConfigFindOne = jest.fn();
+const mockConfigCreate = jest.fn();
+const mockConfigUpdateMany = jest.fn();
+jest.unstable_mockModule('../../models/scoringConfigModel.js', () => ({
+  default: {
+    find: mockConfigFind,
+    findOne: mockConfigFindOne,
+    create: mockConfigCreate,
+    updateMany: mockConfigUpdateMany,
+  },
+}));
+
+const mockInteractionCount = jest.fn();
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { countDocuments: mockInteractionCount },
+}));
+
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { aggregate: jest.fn().mockResolvedValue([]) },
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  rankAuc,
+  fitWeights,
+  createScoringConfig,
+  updateScoringConfig,
+  trainScoringConfig,
+  backtestScoringConfig,
+  activateScoringConfig,
+  explainScore,
+  explainLeadScore,
+  MIN_OUTCOMES_PER_CLASS,
+  PRIOR_STRENGTH,
+} = await import('../../services/scoringModelService.js');
+const { updateLeadScore, DEFAULT_SCORING_CONFIG, SCORING_FACTORS } = await import('../../services/leadScoringService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const USER = { _id: oid() };
+
+const clone = (v) => JSON.parse(JSON.stringify(v));
+const weightSum = (factors) => Math.round(SCORING_FACTORS.reduce((s, f) => s + factors[f].weight, 0) * 10000) / 10000;
+
+const configDoc = (fields) => ({
+  organization: ORG,
+  factors: clone(DEFAULT_SCORING_CONFIG),
+  markModified: jest.fn(),
+  save: jest.fn(function save() { return Promise.resolve(this); }),
+  ...fields,
+});
+
+// A closed lead; Booked leads wanted to move in now, Lost ones in a year+.
+const closedLead = (status, closed = '2026-09-15') => ({
+  _id: oid(),
+  organization: ORG,
+  status,
+  source: 'Direct',
+  requirements: { timeline: status === 'Booked' ? 'immediate' : '12+_months' },
+  createdAt: new Date('2026-08-01'),
+  statusHistory: [{ status: 'Qualified', changedAt: new Date('2026-08-10') }, { status, changedAt: new Date(closed) }],
+});
+
+const outcomes = (booked, lost) => [
+  ...Array.from({ length: booked }, () => closedLead('Booked')),
+  ...Array.from({ length: lost }, () => closedLead('Lost')),
+];
+
+beforeAll(() => {
+  // leadScoringService narrates every step
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockInteractionCount.mockResolvedValue(0);
+  mockConfigFindOne.mockReturnValue(chain(null));
+  mockConfigCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockConfigUpdateMany.mockResolvedValue({ modifiedCount: 1 });
+});
+
+// =============================================================================
+// FITTING
+// =============================================================================
+
+describe('rankAuc', () => {
+  test('1 when every Booked lead out-scores every Lost one, 0.5 for no signal', () => {
+    expect(rankAuc([{ booked: true, total: 80 }, { booked: false, total: 20 }, { booked: true, total: 60 }])).toBe(1);
+    expect(rankAuc([{ booked: true, total: 50 }, { booked: false, total: 50 }])).toBe(0.5);
+    expect(rankAuc([{ booked: true, total: 20 }, { booked: false, total: 30 }, { booked: false, total: 10 }])).toBe(0.5);
+    expect(rankAuc([{ booked: true, total: 80 }])).toBeNull();
+  });
+});
+
+describe('fitWeights', () => {
+  const sample = (booked, timeline, source) => ({
+    booked,
+    raw: { budgetAlignment: 40, engagementLevel: 10, timelineUrgency: timeline, sourceQuality: source, recencyFactor: 70 },
+  });
+
+  test('moves weight to the factors that separate Booked from Lost, blended by sample size', () => {
+    const samples = [
+      ...Array.from({ length: 20 }, () => sample(true, 100, 70)),
+      ...Array.from({ length: 20 }, () => sample(false, 25, 70)),
+    ];
+    const { factors, factorStats, blend } = fitWeights(samples, DEFAULT_SCORING_CONFIG);
+
+    expect(blend).toBeCloseTo(40 / (40 + PRIOR_STRENGTH), 4);
+    expect(factorStats.find((s) => s.factor === 'timelineUrgency')).toMatchObject({ auc: 1, fittedWeight: 1, bookedMean: 100, lostMean: 25 });
+    expect(factorStats.find((s) => s.factor === 'sourceQuality')).toMatchObject({ auc: 0.5, fittedWeight: 0 });
+    expect(factors.timelineUrgency.weight).toBeCloseTo(blend + (1 - blend) * 0.4, 3);
+    expect(factors.sourceQuality.weight).toBeCloseTo((1 - blend) * 0.1, 3);
+    expect(weightSum(factors)).toBe(1);
+    // rules are kept
+    expect(factors.timelineUrgency.rules).toEqual(DEFAULT_SCORING_CONFIG.timelineUrgency.rules);
+  });
+
+  test('refuses to fit when no factor has any signal', () => {
+    const samples = [sample(true, 50, 70), sample(false, 50, 70)];
+    expect(() => fitWeights(samples, DEFAULT_SCORING_CONFIG)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+// =============================================================================
+// VERSIONS
+// =============================================================================
+
+describe('scoring model versions', () => {
+  test('a new draft starts from the active version and takes the next number', async () => {
+    const activeFactors = clone(DEFAULT_SCORING_CONFIG);
+    mockConfigFindOne
+      .mockReturnValueOnce(chain({ version: 3, factors: activeFactors })) // active
+      .mockReturnValueOnce(chain({ version: 4 })); // latest
+
+    await createScoringConfig({
+      organization: ORG,
+      user: USER,
+      factors: { timelineUrgency: { weight: 0.3 }, sourceQuality: { weight: 0.2, rules: { referral: 90 } } },
+    });
+
+    const created = mockConfigCreate.mock.calls[0][0];
+    expect(created).toMatchObject({ version: 5, basedOnVersion: 3, origin: 'manual', createdBy: USER._id });
+    expect(created.factors.timelineUrgency.weight).toBe(0.3);
+    expect(created.factors.sourceQuality.rules.referral).toBe(90);
+    expect(DEFAULT_SCORING_CONFIG.sourceQuality.rules.referral).toBe(100);
+  });
+
+  test('weights must add up to 1 and factors / rules must be known', async () => {
+    await expect(createScoringConfig({ organization: ORG, user: USER, factors: { timelineUrgency: { weight: 0.5 } } }))
+      .rejects.toThrow('Factor weights must add up to 1 (they add up to 1.1).');
+    await expect(createScoringConfig({ organization: ORG, user: USER, factors: { gutFeel: { weight: 0.1 } } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(createScoringConfig({ organization: ORG, user: USER, factors: { sourceQuality: { rules: { billboard: 50 } } } }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(mockConfigCreate).not.toHaveBeenCalled();
+  });
+
+  test('only drafts can be edited, and editing factors clears the back-test', async () => {
+    mockConfigFindOne.mockResolvedValueOnce(configDoc({ version: 2, status: 'active' }));
+    await expect(updateScoringConfig({ organization: ORG, version: 2, factors: {} })).rejects.toMatchObject({ statusCode: 409 });
+
+    const draft = configDoc({ version: 3, status: 'draft', backtest: { ranAt: new Date(), auc: 0.7 } });
+    mockConfigFindOne.mockResolvedValueOnce(draft);
+    await updateScoringConfig({
+      organization: ORG, version: 3, factors: { recencyFactor: { weight: 0 }, sourceQuality: { weight: 0.15 } },
+    });
+    expect(draft.factors.recencyFactor.weight).toBe(0);
+    expect(draft.backtest).toBeUndefined();
+    expect(draft.save).toHaveBeenCalled();
+  });
+
+  test('a draft must be back-tested before it is activated; activating retires the old one', async () => {
+    mockConfigFindOne.mockResolvedValueOnce(configDoc({ version: 3, status: 'draft' }));
+    await expect(activateScoringConfig({ organization: ORG, version: 3, user: USER })).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockConfigUpdateMany).not.toHaveBeenCalled();
+
+    const draft = configDoc({ version: 3, status: 'draft', backtest: { ranAt: new Date() } });
+    mockConfigFindOne.mockResolvedValueOnce(draft);
+    await activateScoringConfig({ organization: ORG, version: 3, user: USER });
+    expect(mockConfigUpdateMany).toHaveBeenCalledWith(
+      { organization: ORG, status: 'active' },
+      { $set: { status: 'retired', retiredAt: expect.any(Date) } }
+    );
+    expect(draft).toMatchObject({ status: 'active', activatedBy: USER._id });
+  });
+
+  test('version 0 goes back to the built-in default', async () => {
+    const result = await activateScoringConfig({ organization: ORG, version: 0, user: USER });
+    expect(result).toMatchObject({ version: 0, factors: DEFAULT_SCORING_CONFIG });
+    expect(mockConfigUpdateMany).toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// TRAINING + BACK-TEST
+// =============================================================================
+
+describe('training and back-testing', () => {
+  test('needs enough Booked and Lost leads', async () => {
+    mockLeadFind.mockReturnValue(chain(outcomes(MIN_OUTCOMES_PER_CLASS, 3)));
+    await expect(trainScoringConfig({ organization: ORG, user: USER, from: '2026-01-01', to: '2026-10-01' }))
+      .rejects.toThrow(`found ${MIN_OUTCOMES_PER_CLASS} Booked, 3 Lost`);
+  });
+
+  test('fits a trained draft from closed leads scored as of when they closed', async () => {
+    mockLeadFind.mockReturnValue(chain(outcomes(10, 10)));
+    mockConfigFindOne
+      .mockReturnValueOnce(chain(null)) // no active version: default
+      .mockReturnValueOnce(chain({ version: 1 })); // latest
+
+    const config = await trainScoringConfig({ organization: ORG, user: USER, from: '2026-01-01', to: '2026-10-01' });
+
+    const query = mockLeadFind.mock.calls[0][0];
+    expect(query).toMatchObject({ organization: ORG, status: { $in: ['Booked', 'Lost'] } });
+    expect(mockInteractionCount).toHaveBeenCalledWith({
+      lead: expect.anything(),
+      createdAt: { $gte: new Date('2026-08-16'), $lte: new Date('2026-09-15') },
+    });
+    expect(config).toMatchObject({ version: 2, origin: 'trained', basedOnVersion: 0, training: { booked: 10, lost: 10 } });
+    expect(config.factors.timelineUrgency.weight).toBeGreaterThan(DEFAULT_SCORING_CONFIG.timelineUrgency.weight);
+    expect(weightSum(config.factors)).toBe(1);
+  });
+
+  test('a back-test ranks closed leads under the version and the active one, and is saved', async () => {
+    mockLeadFind.mockReturnValue(chain(outcomes(4, 6)));
+    const flat = clone(DEFAULT_SCORING_CONFIG);
+    SCORING_FACTORS.forEach((f) => { flat[f].weight = f === 'sourceQuality' ? 1 : 0; });
+    const draft = configDoc({ version: 2, status: 'draft' });
+    mockConfigFindOne
+      .mockResolvedValueOnce(draft) // the version
+      .mockReturnValueOnce(chain({ version: 1, factors: flat })); // active: source only
+
+    const backtest = await backtestScoringConfig({ organization: ORG, version: 2, from: '2026-01-01', to: '2026-10-01' });
+
+    expect(backtest).toMatchObject({ version: 2, sampleSize: 10, booked: 4, lost: 6, auc: 1, baseline: { version: 1, auc: 0.5 } });
+    expect(backtest.averageScoreBooked).toBeGreaterThan(backtest.averageScoreLost);
+    expect(backtest.byGrade.reduce((n, b) => n + b.leads, 0)).toBe(10);
+    expect(draft.backtest).toMatchObject({ auc: 1 });
+    expect(draft.save).toHaveBeenCalled();
+  });
+
+  test('rejects an inverted range', async () => {
+    await expect(backtestScoringConfig({ organization: ORG, version: 0, from: '2026-10-01', to: '2026-01-01' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+// =============================================================================
+// EXPLANATIONS + HISTORY
+// =============================================================================
+
+describe('explanations', () => {
+  const breakdown = {
+    budgetAlignment: { rawScore: 40, reasoning: 'No budget specified' },
+    engagementLevel: { rawScore: 75, reasoning: 'Medium engagement: 3 interactions' },
+    timelineUrgency: { rawScore: 100, reasoning: 'Immediate purchase intent' },
+    sourceQuality: { rawScore: 30, reasoning: 'Source: Cold Calling' },
+    recencyFactor: { rawScore: 85, reasoning: 'Recent lead (within 7 days)' },
+  };
+
+  test('breaks a score into factor contributions, drivers and headroom', () => {
+    const result = explainScore(breakdown);
+    expect(result.total).toBe(72.25);
+    expect(result.contributions[0]).toMatchObject({ factor: 'timelineUrgency', points: 40, impact: 20, headroom: 0, share: 55.36 });
+    expect(result.contributions.find((c) => c.factor === 'sourceQuality')).toMatchObject({ points: 3, impact: -2, headroom: 7 });
+    expect(result.raisedBy).toEqual(['timelineUrgency', 'engagementLevel', 'recencyFactor']);
+    expect(result.loweredBy).toEqual(['budgetAlignment', 'sourceQuality']);
+  });
+
+  test('a lead is explained with the version that scored it', async () => {
+    const v2 = clone(DEFAULT_SCORING_CONFIG);
+    v2.timelineUrgency.weight = 0.5;
+    v2.recencyFactor.weight = 0.0;
+    v2.engagementLevel.weight = 0.15;
+    mockConfigFindOne.mockReturnValue(chain({ factors: v2 }));
+
+    const result = await explainLeadScore({
+      _id: oid(), organization: ORG, score: 73, scoreGrade: 'B+', scoreBreakdown: breakdown,
+      scoreHistory: [{ score: 60, modelVersion: 0 }, { score: 73, modelVersion: 2 }],
+    });
+    expect(mockConfigFindOne).toHaveBeenCalledWith({ organization: ORG, version: 2 });
+    expect(result).toMatchObject({ modelVersion: 2, score: 73 });
+    expect(result.contributions[0]).toMatchObject({ factor: 'timelineUrgency', weight: 0.5, points: 50 });
+  });
+
+  test('score history records the active version', async () => {
+    const active = clone(DEFAULT_SCORING_CONFIG);
+    mockConfigFindOne.mockReturnValue(chain({ version: 4, factors: active }));
+    const lead = {
+      _id: oid(), organization: ORG, firstName: 'Asha', source: 'Referral', requirements: { timeline: 'immediate' },
+      createdAt: new Date(), scoreHistory: [], schema: { paths: {} }, save: jest.fn(),
+    };
+    mockLeadFindById.mockResolvedValue(lead);
+
+    const result = await updateLeadScore(lead._id);
+    expect(mockConfigFindOne).toHaveBeenCalledWith({ organization: ORG, status: 'active' });
+    expect(result.modelVersion).toBe(4);
+    expect(lead.scoreHistory).toEqual([expect.objectContaining({ score: lead.score, modelVersion: 4 })]);
+  });
+});
@@ -0,0 +1,398 @@
+// tests/unit/signature.test.js
+// Document e-signature: sending a pack document to its signers, the signer
+// flow behind a link token (view, one-time code, sign, decline), sealing
+// once everyone has signed — the signed PDF with its audit certificate as a
+// new File version, the pack and post-sales checklist updates — and the
+// tamper checks on the document before and after sealing. PDF rendering and
+// sealing are real; storage, email and other models are mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { PDFDocument } from 'pdf-lib';
+import { chain } from './helpers/queryChain.js';
+
+process.env.DOCUMENT_SEAL_SECRET = process.env.DOCUMENT_SEAL_SECRET || 'test-seal-secret';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockFileFindOne = jest.fn();
+jest.unstable_mockModule('../../models/fileModel.js', () => ({
+  default: { findOne: mockFileFindOne },
+}));
+
+const mockSaleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/salesModel.js', () => ({
+  default: { findOne: mockSaleFindOne },
+}));
+
+const mockLeadFindOne = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: mockLeadFindOne },
+}));
+
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  default: { findById: jest.fn(() => chain({ name: 'Skyline Developers' })) },
+}));
+
+const mockLifecycleFindOne = jest.fn();
+jest.unstable_mockModule('../../models/saleLifecycleModel.js', () => ({
+  default: { findOne: mockLifecycleFindOne },
+}));
+
+const mockUpload = jest.fn();
+const mockGetFile = jest.fn();
+jest.unstable_mockModule('../../services/s3Service.js', () => ({
+  uploadFileToS3: mockUpload,
+  getFileFromS3: mockGetFile,
+  getPresignedDownloadUrl: jest.fn(async (key) => `https://signed.example/${key}`),
+}));
+
+const mockUpdatePackDocument = jest.fn();
+jest.unstable_mockModule('../../services/salesDocumentPackService.js', () => ({
+  updatePackDocument: mockUpdatePackDocument,
+}));
+
+const mockUpdateStageDocument = jest.fn();
+const mockCompleteStage = jest.fn();
+jest.unstable_mockModule('../../services/postSalesService.js', () => ({
+  updateStageDocument: mockUpdateStageDocument,
+  completeStage: mockCompleteStage,
+}));
+
+const mockCreateNotification = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const { default: SignatureRequest } = await import('../../models/signatureRequestModel.js');
+const { default: SalesDocumentPack } = await import('../../models/salesDocumentPackModel.js');
+const { renderPdf } = await import('../../services/documents/pdfRenderer.js');
+const { htmlToBlocks } = await import('../../services/documents/htmlBlocks.js');
+const {
+  createSignatureRequest,
+  getSigningSession,
+  requestSigningOtp,
+  signDocument,
+  declineSigning,
+  verifySignedDocument,
+  cancelSaleSignatureRequests,
+} = await import('../../services/signatureService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const LEAD = oid();
+const USER = { _id: oid() };
+const NOW = new Date('2026-10-20T06:00:00Z');
+const LATER = new Date('2026-10-21T09:30:00Z');
+const CLIENT = { ip: '203.0.113.7', userAgent: 'Mozilla/5.0 (test)' };
+// 1x1 transparent PNG
+const SIGNATURE_PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+const sha256 = (buf) => crypto.createHash('sha256').update(buf).digest('hex');
+
+const ORIGINAL = await renderPdf(htmlToBlocks('<h1>Allotment Letter</h1><p>Unit A-701 is allotted to Ravi Kumar.</p>'), { title: 'Allotment letter' });
+
+let sale;
+let file;
+let pack;
+let stored; // what S3 holds, by key
+let request; // the SignatureRequest "in the database"
+
+const makeFile = () => ({
+  _id: oid(),
+  organization: ORG,
+  resourceType: 'Sale',
+  associatedResource: sale._id,
+  mimeType: 'application/pdf',
+  originalName: 'allotment_letter-AB12CD34.pdf',
+  title: 'Allotment letter',
+  s3Key: 'generated-documents/sales/x/allotment_letter-AB12CD34.pdf',
+  version: 1,
+  customFields: new Map(),
+  createNewVersion: jest.fn(function createNewVersion(data) {
+    this.version += 1;
+    Object.assign(this, data);
+    return this;
+  }),
+  save: jest.fn(async function save() { return this; }),
+});
+
+// The link token each signer was emailed, by address
+const linkTokens = () => {
+  const tokens = {};
+  for (const [email] of mockSendEmail.mock.calls) {
+    const match = /\/sign\/([A-Za-z0-9_-]+)/.exec(email.html);
+    if (match) tokens[email.to] = match[1];
+  }
+  return tokens;
+};
+
+const lastOtpFor = (address) => {
+  const email = mockSendEmail.mock.calls.map(([e]) => e).filter((e) => e.to === address && /one-time code/.test(e.text)).pop();
+  return /code is (\d{6})/.exec(email.text)[1];
+};
+
+const send = (overrides = {}) => createSignatureRequest({
+  organization: ORG,
+  saleId: sale._id,
+  packDocument: 'allotment_letter',
+  user: USER,
+  now: NOW,
+  ...overrides,
+});
+
+const signAs = async (address, token, fields = {}) => {
+  await requestSigningOtp(token, { ...CLIENT, now: LATER });
+  return signDocument(token, {
+    otp: lastOtpFor(address),
+    typedName: fields.typedName || 'Ravi Kumar',
+    signatureImage: fields.signatureImage,
+    consent: true,
+    ...CLIENT,
+    now: LATER,
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sale = { _id: oid(), project: PROJECT, lead: LEAD, status: 'Booked' };
+  file = makeFile();
+  stored = { [file.s3Key]: ORIGINAL };
+  request = null;
+  pack = new SalesDocumentPack({
+    organization: ORG,
+    project: PROJECT,
+    sale: sale._id,
+    lead: LEAD,
+    documents: [{ key: 'allotment_letter', label: 'Allotment letter', requiresSignature: true, status: 'generated', file: file._id }],
+  });
+
+  jest.spyOn(SalesDocumentPack, 'findOne').mockImplementation(async () => pack);
+  jest.spyOn(SignatureRequest, 'exists').mockImplementation(async () => (request?.status === 'pending' ? { _id: request._id } : null));
+  jest.spyOn(SignatureRequest.prototype, 'save').mockImplementation(async function save() {
+    await this.validate();
+    request = this;
+    return this;
+  });
+  jest.spyOn(SignatureRequest, 'findOne').mockImplementation(async (filter) => {
+    const tokenHash = filter['signers.tokenHash'];
+    if (tokenHash) return request?.signers.some((s) => s.tokenHash === tokenHash) ? request : null;
+    return request && String(request._id) === String(filter._id) ? request : null;
+  });
+  jest.spyOn(SignatureRequest, 'findById').mockImplementation(async () => request);
+  jest.spyOn(SignatureRequest, 'updateOne').mockImplementation(async (filter, update) => {
+    if (update.$set?.sealingError) request.sealingError = update.$set.sealingError;
+    return { modifiedCount: 1 };
+  });
+  jest.spyOn(SignatureRequest, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+  mockFileFindOne.mockImplementation(async () => file);
+  mockSaleFindOne.mockImplementation(() => chain(sale));
+  mockLeadFindOne.mockImplementation(() => chain({ firstName: 'Ravi', lastName: 'Kumar', email: 'ravi@example.com' }));
+  mockGetFile.mockImplementation(async (key) => stored[key]);
+  mockUpload.mockImplementation(async (upload, folder) => {
+    const s3Key = `${folder}/${upload.originalname}`;
+    stored[s3Key] = upload.buffer;
+    return { url: `https://s3/${s3Key}`, s3Key };
+  });
+  mockLifecycleFindOne.mockImplementation(() => chain({
+    _id: oid(),
+    stages: [{ key: 'kyc', status: 'completed' }, { key: 'allotment_letter', status: 'in_progress' }],
+  }));
+});
+
+// =============================================================================
+// SENDING
+// =============================================================================
+
+describe('createSignatureRequest', () => {
+  test('sends a pack document to the buyer with a link only they hold', async () => {
+    const { request: created, delivery } = await send();
+
+    expect(delivery).toEqual([expect.objectContaining({ email: 'ravi@example.com', sent: true })]);
+    expect(created.documentHash).toBe(sha256(ORIGINAL));
+    expect(created.fileVersion).toBe(1);
+    expect(created.lifecycleDocument).toEqual({ stage: 'allotment_letter', key: 'signed_allotment_letter' });
+    expect(created.signers[0]).toMatchObject({ role: 'buyer', name: 'Ravi Kumar', email: 'ravi@example.com', status: 'pending' });
+    expect(created.signers[0].tokenHash).toBeUndefined();
+
+    const token = linkTokens()['ravi@example.com'];
+    expect(request.signers[0].tokenHash).toBe(sha256(token));
+    expect(JSON.stringify(request.toObject())).not.toContain(token);
+    expect(mockUpdatePackDocument).toHaveBeenCalledWith(sale._id, 'allotment_letter', expect.objectContaining({
+      fields: { status: 'sent', sentVia: 'email', sentTo: 'ravi@example.com' },
+    }));
+  });
+
+  test('refuses documents that are not PDFs or already out for signature', async () => {
+    file.mimeType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    await expect(send()).rejects.toMatchObject({ statusCode: 400 });
+
+    file.mimeType = 'application/pdf';
+    await send();
+    await expect(send()).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('validates signers', async () => {
+    await expect(send({ signers: [{ role: 'buyer', name: 'Ravi', email: 'not-an-email' }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(send({ signers: [{ role: 'guarantor', name: 'Ravi', email: 'ravi@example.com' }] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(send({
+      signers: [
+        { role: 'buyer', name: 'Ravi', email: 'ravi@example.com' },
+        { role: 'co_applicant', name: 'Ravi again', email: 'RAVI@example.com' },
+      ],
+    })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+// =============================================================================
+// SIGNING
+// =============================================================================
+
+describe('signing', () => {
+  const twoSigners = [
+    { role: 'buyer', name: 'Ravi Kumar', email: 'ravi@example.com' },
+    { role: 'authorised_signatory', name: 'Meera Shah', email: 'meera@skyline.example' },
+  ];
+
+  test('a signer views, confirms a code and signs; the request waits for the others', async () => {
+    await send({ signers: twoSigners });
+    const tokens = linkTokens();
+
+    const session = await getSigningSession(tokens['ravi@example.com'], { ...CLIENT, now: LATER });
+    expect(session).toMatchObject({ title: 'Allotment letter', organization: 'Skyline Developers', signer: { name: 'Ravi Kumar', status: 'viewed' } });
+    expect(session.document.sha256).toBe(sha256(ORIGINAL));
+
+    await requestSigningOtp(tokens['ravi@example.com'], { ...CLIENT, now: LATER });
+    await expect(signDocument(tokens['ravi@example.com'], { otp: '000000', typedName: 'Ravi Kumar', consent: true, ...CLIENT, now: LATER }))
+      .rejects.toMatchObject({ statusCode: 401 });
+    expect(request.signers[0].otp.attempts).toBe(1);
+    await expect(signDocument(tokens['ravi@example.com'], { otp: lastOtpFor('ravi@example.com'), typedName: 'Ravi Kumar', ...CLIENT, now: LATER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const result = await signDocument(tokens['ravi@example.com'], {
+      otp: lastOtpFor('ravi@example.com'), typedName: 'Ravi Kumar', consent: true, ...CLIENT, now: LATER,
+    });
+    expect(result).toEqual({ signed: true, completed: false });
+    const [ravi, meera] = request.signers;
+    expect(ravi).toMatchObject({ status: 'signed', signature: { typedName: 'Ravi Kumar', ip: CLIENT.ip, userAgent: CLIENT.userAgent } });
+    expect(ravi.signature.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(ravi.otp?.codeHash).toBeUndefined();
+    expect(meera.status).toBe('pending');
+    expect(request.status).toBe('pending');
+    expect(request.audit.map((a) => a.event)).toEqual(['created', 'sent', 'sent', 'viewed', 'otp_sent', 'otp_failed', 'signed']);
+    expect(mockUpload).not.toHaveBeenCalled();
+
+    await expect(signAs('ravi@example.com', tokens['ravi@example.com'])).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('the last signature seals the document as a new File version and advances the sale', async () => {
+    await send({ signers: twoSigners });
+    const tokens = linkTokens();
+    await signAs('ravi@example.com', tokens['ravi@example.com'], { signatureImage: SIGNATURE_PNG });
+    const result = await signAs('meera@skyline.example', tokens['meera@skyline.example'], { typedName: 'Meera Shah' });
+
+    expect(result).toEqual({ signed: true, completed: true });
+    expect(request.status).toBe('completed');
+
+    // The sealed PDF: original pages plus the certificate, hash kept for later checks
+    const [upload, folder] = mockUpload.mock.calls[0];
+    expect(folder).toBe(`signed-documents/${sale._id}`);
+    expect(request.signedHash).toBe(sha256(upload.buffer));
+    const sealed = await PDFDocument.load(upload.buffer);
+    const original = await PDFDocument.load(ORIGINAL);
+    expect(sealed.getPageCount()).toBeGreaterThan(original.getPageCount());
+    expect(sealed.getKeywords()).toContain(`document-sha256:${sha256(ORIGINAL)}`);
+    expect(sealed.getKeywords()).toContain(`seal:${request.seal}`);
+
+    expect(file.createNewVersion).toHaveBeenCalledWith(
+      expect.objectContaining({ originalName: 'allotment_letter-AB12CD34-signed.pdf', mimeType: 'application/pdf' }),
+      { _id: USER._id },
+      expect.stringContaining('Ravi Kumar, Meera Shah')
+    );
+    expect(file.version).toBe(2);
+    expect(request.signedFileVersion).toBe(2);
+    expect(file.customFields.get('signedHash')).toBe(request.signedHash);
+
+    expect(mockUpdatePackDocument).toHaveBeenLastCalledWith(sale._id, 'allotment_letter', expect.objectContaining({
+      fields: { status: 'signed', signedFileId: file._id, signedAt: LATER },
+    }));
+    expect(mockUpdateStageDocument).toHaveBeenCalledWith(expect.anything(), 'allotment_letter', 'signed_allotment_letter', expect.objectContaining({
+      fields: expect.objectContaining({ fileId: file._id, status: 'verified' }),
+    }));
+    expect(mockCompleteStage).toHaveBeenCalledWith(expect.anything(), 'allotment_letter', expect.any(Object));
+
+    const signedCopies = mockSendEmail.mock.calls.map(([e]) => e).filter((e) => e.subject === 'Signed: Allotment letter');
+    expect(signedCopies.map((e) => e.to)).toEqual(['ravi@example.com', 'meera@skyline.example']);
+    expect(signedCopies[0].attachments[0].content).toBe(upload.buffer);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ recipient: USER._id, type: 'signature_completed' }));
+
+    await expect(verifySignedDocument(request._id, { organization: ORG })).resolves.toMatchObject({ intact: true });
+    stored[request.signedS3Key] = Buffer.concat([upload.buffer, Buffer.from('%% edited')]);
+    await expect(verifySignedDocument(request._id, { organization: ORG })).resolves.toMatchObject({ intact: false });
+  });
+
+  test('a document changed after sending is not sealed, but the signature stands', async () => {
+    await send();
+    const token = linkTokens()['ravi@example.com'];
+    stored[file.s3Key] = Buffer.concat([ORIGINAL, Buffer.from('%% edited')]);
+
+    const result = await signAs('ravi@example.com', token);
+
+    expect(result).toEqual({ signed: true, completed: false });
+    expect(request.signers[0].status).toBe('signed');
+    expect(request.status).toBe('pending');
+    expect(request.sealingError).toMatch(/changed after it was sent/);
+    expect(mockUpload).not.toHaveBeenCalled();
+    expect(file.createNewVersion).not.toHaveBeenCalled();
+  });
+
+  test('links stop working once the request expires or the sale is cancelled', async () => {
+    await send({ expiresInDays: 1 });
+    const token = linkTokens()['ravi@example.com'];
+    await expect(requestSigningOtp(token, { ...CLIENT, now: new Date('2026-10-22T00:00:00Z') }))
+      .rejects.toMatchObject({ statusCode: 410 });
+    expect(request.status).toBe('expired');
+
+    await cancelSaleSignatureRequests(sale._id, { now: NOW });
+    expect(SignatureRequest.updateMany).toHaveBeenCalledWith(
+      { sale: sale._id, status: 'pending' },
+      expect.objectContaining({ $set: expect.objectContaining({ status: 'cancelled' }) })
+    );
+  });
+
+  test('declining closes the request and tells the sender', async () => {
+    await send();
+    const token = linkTokens()['ravi@example.com'];
+
+    await declineSigning(token, { reason: 'Unit number is wrong', ...CLIENT, now: LATER });
+
+    expect(request.status).toBe('declined');
+    expect(request.signers[0]).toMatchObject({ status: 'declined', declineReason: 'Unit number is wrong' });
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'signature_declined', priority: 'high' }));
+    await expect(requestSigningOtp(token, { ...CLIENT, now: LATER })).rejects.toMatchObject({ statusCode: 410 });
+  });
+
+  test('an unknown link is a 404', async () => {
+    await expect(getSigningSession('not-a-real-token', { ...CLIENT, now: LATER })).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
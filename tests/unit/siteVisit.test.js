@@ -0,0 +1,512 @@
+// tests/unit/siteVisit.test.js
+// Site visit scheduling: office-hours slot arithmetic, the status path a
+// completed visit walks, booking guards (pending leads, office hours,
+// double-booking), check-in CP attribution, outcome capture, reminders and
+// the daily roster. All I/O is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockVisitFindOne = jest.fn();
+const mockVisitFind = jest.fn();
+const mockVisitCreate = jest.fn();
+jest.unstable_mockModule('../../models/siteVisitModel.js', () => ({
+  default: { findOne: mockVisitFindOne, find: mockVisitFind, create: mockVisitCreate },
+  ACTIVE_VISIT_STATUSES: ['scheduled', 'checked_in'],
+}));
+
+const mockLeadFindOne = jest.fn();
+const mockLeadFindById = jest.fn();
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: mockLeadFindOne, findById: mockLeadFindById },
+}));
+
+const mockProjectFindOne = jest.fn();
+const mockProjectFindById = jest.fn();
+jest.unstable_mockModule('../../models/projectModel.js', () => ({
+  default: { findOne: mockProjectFindOne, findById: mockProjectFindById },
+}));
+
+const mockUserFindOne = jest.fn();
+const mockUserFindById = jest.fn();
+jest.unstable_mockModule('../../models/userModel.js', () => ({
+  default: { findOne: mockUserFindOne, findById: mockUserFindById },
+}));
+
+const mockCpFindOne = jest.fn();
+jest.unstable_mockModule('../../models/channelPartnerModel.js', () => ({
+  default: { findOne: mockCpFindOne },
+}));
+
+const mockInteractionCreate = jest.fn();
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { create: mockInteractionCreate },
+}));
+
+const mockCreateNotification = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+  notifyUsersWithPermission: jest.fn(),
+}));
+
+const mockStatusSideEffects = jest.fn();
+jest.unstable_mockModule('../../services/leadStatusSyncService.js', () => ({
+  handleLeadStatusChangeSideEffects: mockStatusSideEffects,
+  syncProspectStatusFromLead: jest.fn(),
+}));
+
+const mockSendEmail = jest.fn();
+jest.unstable_mockModule('../../utils/emailService.js', () => ({
+  sendEmail: mockSendEmail,
+}));
+
+// =============================================================================
+// IMPORTS UNDER TEST
+// =============================================================================
+
+const {
+  zonedDateTime,
+  officeHours,
+  isWithinOfficeHours,
+  buildVisitSlots,
+  visitStatusPath,
+  dueVisitReminder,
+  applyVisitAttribution,
+  bookSiteVisit,
+  rescheduleSiteVisit,
+  checkInSiteVisit,
+  recordSiteVisitOutcome,
+  sendSiteVisitReminders,
+  getDailyRoster,
+} = await import('../../services/siteVisitService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const oid = () => new mongoose.Types.ObjectId();
+const ORG = oid();
+const PROJECT = oid();
+const EXEC = oid();
+const USER = { _id: oid() };
+
+// Tue 2026-10-20, 09:00 IST
+const NOW = new Date('2026-10-20T03:30:00Z');
+// Wed 2026-10-21, 11:00 IST
+const WED_11AM = new Date('2026-10-21T05:30:00Z');
+
+const PROJECT_DOC = {
+  _id: PROJECT,
+  name: 'Skyline Towers',
+  location: { city: 'Pune', area: 'Baner' },
+  salesOffice: { address: 'Baner Road', openingTime: '10:00', closingTime: '19:00', visitSlotMinutes: 60, closedDays: [0] },
+};
+
+const makeLead = (overrides = {}) => {
+  const lead = {
+    _id: oid(),
+    organization: ORG,
+    project: PROJECT,
+    firstName: 'Asha',
+    lastName: 'Rao',
+    email: 'asha@example.com',
+    status: 'New',
+    assignedTo: EXEC,
+    statusHistory: [],
+    channelPartnerAttribution: { viaChannelPartner: false, partners: [], history: [] },
+    updateActivitySummary: jest.fn(),
+    save: jest.fn().mockResolvedValue(undefined),
+    ...overrides,
+  };
+  return lead;
+};
+
+const makeVisit = (overrides = {}) => ({
+  _id: oid(),
+  organization: ORG,
+  project: PROJECT,
+  lead: oid(),
+  salesExecutive: EXEC,
+  scheduledAt: WED_11AM,
+  durationMinutes: 60,
+  visitors: 2,
+  status: 'scheduled',
+  channelPartner: {},
+  reminders: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockProjectFindOne.mockReturnValue(chain(PROJECT_DOC));
+  mockProjectFindById.mockReturnValue(chain(PROJECT_DOC));
+  mockUserFindOne.mockReturnValue(chain({ _id: EXEC, firstName: 'Ravi', lastName: 'Shah' }));
+  mockUserFindById.mockReturnValue(chain({ _id: EXEC, firstName: 'Ravi', lastName: 'Shah' }));
+  mockVisitFindOne.mockReturnValue(chain(null));
+  mockVisitCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockInteractionCreate.mockImplementation(async (doc) => ({ _id: oid(), ...doc }));
+  mockSendEmail.mockResolvedValue(undefined);
+  mockCreateNotification.mockResolvedValue(undefined);
+});
+
+// =============================================================================
+// TIME + SLOT HELPERS
+// =============================================================================
+
+describe('office hours and slots', () => {
+  const hours = officeHours(PROJECT_DOC);
+
+  test('zonedDateTime converts a local wall-clock time to the instant', () => {
+    expect(zonedDateTime('2026-10-21', 11 * 60, 'Asia/Kolkata').toISOString()).toBe('2026-10-21T05:30:00.000Z');
+  });
+
+  test('officeHours falls back to defaults when the project has no sales office', () => {
+    expect(officeHours({})).toEqual(expect.objectContaining({
+      timezone: 'Asia/Kolkata', openingTime: '10:00', closingTime: '19:00', visitSlotMinutes: 60,
+    }));
+  });
+
+  test('a visit must start after opening and end by closing on an open day', () => {
+    expect(isWithinOfficeHours(WED_11AM, 60, hours)).toBe(true);
+    // 18:30 IST + 60 minutes runs past 19:00
+    expect(isWithinOfficeHours(new Date('2026-10-21T13:00:00Z'), 60, hours)).toBe(false);
+    // 09:00 IST is before opening
+    expect(isWithinOfficeHours(new Date('2026-10-21T03:30:00Z'), 60, hours)).toBe(false);
+    // Sunday is closed
+    expect(isWithinOfficeHours(new Date('2026-10-25T05:30:00Z'), 60, hours)).toBe(false);
+  });
+
+  test('buildVisitSlots marks overlapping and past slots unavailable', () => {
+    const slots = buildVisitSlots({
+      date: '2026-10-21',
+      hours,
+      busy: [{ scheduledAt: WED_11AM, endsAt: new Date(WED_11AM.getTime() + 30 * 60 * 1000) }],
+      now: NOW,
+    });
+    expect(slots).toHaveLength(9);
+    expect(slots[0].start.toISOString()).toBe('2026-10-21T04:30:00.000Z');
+    expect(slots[1]).toEqual(expect.objectContaining({ booked: 1, available: false }));
+    expect(slots[2].available).toBe(true);
+
+    // 11:30 IST — the 10:00 and 11:00 slots have started
+    const today = buildVisitSlots({ date: '2026-10-20', hours, now: new Date('2026-10-20T06:00:00Z') });
+    expect(today.filter((s) => s.available)).toHaveLength(7);
+  });
+
+  test('buildVisitSlots returns nothing on a closed day', () => {
+    expect(buildVisitSlots({ date: '2026-10-25', hours, now: NOW })).toEqual([]);
+  });
+});
+
+describe('visitStatusPath', () => {
+  test('walks pre-visit leads through the status machine', () => {
+    expect(visitStatusPath('New')).toEqual(['Qualified', 'Site Visit Completed']);
+    expect(visitStatusPath('Qualified')).toEqual(['Site Visit Completed']);
+    expect(visitStatusPath('Revived')).toEqual(['Site Visit Completed']);
+  });
+
+  test('leaves leads at or past the visit stage, or closed, alone', () => {
+    for (const status of ['Site Visit Completed', 'Negotiating', 'Booked', 'Lost', 'pending']) {
+      expect(visitStatusPath(status)).toEqual([]);
+    }
+  });
+});
+
+describe('dueVisitReminder', () => {
+  test('sends day_before inside a day and upcoming inside the short window, once each', () => {
+    const visit = makeVisit({ scheduledAt: new Date(NOW.getTime() + 20 * 60 * 60 * 1000) });
+    expect(dueVisitReminder(visit, NOW)).toBe('day_before');
+    visit.reminders = [{ type: 'day_before' }];
+    expect(dueVisitReminder(visit, NOW)).toBeNull();
+
+    visit.scheduledAt = new Date(NOW.getTime() + 60 * 60 * 1000);
+    expect(dueVisitReminder(visit, NOW)).toBe('upcoming');
+    visit.reminders.push({ type: 'upcoming' });
+    expect(dueVisitReminder(visit, NOW)).toBeNull();
+  });
+
+  test('nothing for visits more than a day out or already started', () => {
+    expect(dueVisitReminder(makeVisit({ scheduledAt: new Date(NOW.getTime() + 30 * 60 * 60 * 1000) }), NOW)).toBeNull();
+    expect(dueVisitReminder(makeVisit({ scheduledAt: new Date(NOW.getTime() - 1000) }), NOW)).toBeNull();
+  });
+});
+
+// =============================================================================
+// BOOKING
+// =============================================================================
+
+describe('bookSiteVisit', () => {
+  const book = (lead, fields = {}) => {
+    mockLeadFindOne.mockReturnValue(chain(lead));
+    return bookSiteVisit({
+      organization: ORG,
+      leadId: lead._id,
+      fields: { scheduledAt: WED_11AM.toISOString(), ...fields },
+      user: USER,
+      now: NOW,
+    });
+  };
+
+  test('refuses leads still in the CP intake queue', async () => {
+    await expect(book(makeLead({ status: 'pending' }))).rejects.toMatchObject({ statusCode: 409 });
+    expect(mockVisitCreate).not.toHaveBeenCalled();
+  });
+
+  test('refuses slots outside sales office hours', async () => {
+    await expect(book(makeLead(), { scheduledAt: '2026-10-21T13:00:00Z' })).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('refuses a slot that clashes with the executive’s calendar', async () => {
+    mockVisitFindOne
+      .mockReturnValueOnce(chain(null)) // no active visit for the lead
+      .mockReturnValueOnce(chain({ _id: oid(), scheduledAt: WED_11AM })); // executive clash
+    await expect(book(makeLead())).rejects.toMatchObject({ statusCode: 409 });
+    const clashQuery = mockVisitFindOne.mock.calls[1][0];
+    expect(clashQuery).toEqual(expect.objectContaining({ salesExecutive: EXEC }));
+    expect(clashQuery.scheduledAt.$lt).toEqual(new Date(WED_11AM.getTime() + 60 * 60 * 1000));
+  });
+
+  test('refuses a second upcoming visit for the same lead', async () => {
+    mockVisitFindOne.mockReturnValueOnce(chain({ _id: oid(), scheduledAt: WED_11AM }));
+    await expect(book(makeLead())).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('books with the lead owner, carries the attributed CP and confirms by email', async () => {
+    const cpId = oid();
+    const agentUser = oid();
+    const lead = makeLead({
+      channelPartnerAttribution: { viaChannelPartner: true, partners: [{ channelPartner: cpId, agentUser }], history: [] },
+    });
+    const visit = await book(lead, { visitors: 3 });
+
+    expect(mockVisitCreate).toHaveBeenCalledWith(expect.objectContaining({
+      organization: ORG,
+      project: PROJECT,
+      lead: lead._id,
+      salesExecutive: EXEC,
+      scheduledAt: WED_11AM,
+      durationMinutes: 60,
+      visitors: 3,
+      bookedBy: USER._id,
+      channelPartner: { channelPartner: cpId, agentUser },
+    }));
+    expect(mockSendEmail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'asha@example.com',
+      subject: 'Your site visit is confirmed | Skyline Towers',
+    }));
+    expect(mockSendEmail.mock.calls[0][0].text).toContain('Baner Road');
+    const [invite] = mockSendEmail.mock.calls[0][0].attachments;
+    expect(invite.contentType).toBe('text/calendar; charset=utf-8; method=REQUEST');
+    expect(invite.content).toContain(`UID:site-visit-${visit._id}@`);
+    expect(invite.content).toContain('ATTENDEE;CN="Asha Rao"');
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: EXEC,
+      type: 'site_visit_scheduled',
+      relatedEntity: expect.objectContaining({ entityType: 'SiteVisit', entityId: visit._id }),
+    }));
+  });
+
+  test('a failed confirmation email does not undo the booking', async () => {
+    mockSendEmail.mockRejectedValue(new Error('SMTP down'));
+    await expect(book(makeLead())).resolves.toEqual(expect.objectContaining({ salesExecutive: EXEC }));
+  });
+
+  test('rejects a suspended channel partner', async () => {
+    mockCpFindOne.mockReturnValue(chain({ _id: oid(), firmName: 'Acme Realty', status: 'suspended' }));
+    await expect(book(makeLead(), { channelPartner: { channelPartner: oid() } })).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('rescheduleSiteVisit', () => {
+  test('cancels the old visit and keeps the invite UID so calendars move the event', async () => {
+    const old = makeVisit();
+    mockVisitFindOne
+      .mockResolvedValueOnce(old) // loadVisit
+      .mockReturnValueOnce(chain(null)); // executive is free
+    mockLeadFindById.mockReturnValue(chain(makeLead()));
+
+    const next = await rescheduleSiteVisit(old._id, {
+      organization: ORG,
+      fields: { scheduledAt: '2026-10-22T08:30:00Z', reason: 'Client travelling' },
+      user: USER,
+      now: NOW,
+    });
+
+    expect(old.status).toBe('cancelled');
+    expect(old.cancellation.reason).toBe('Rescheduled: Client travelling');
+    expect(next).toEqual(expect.objectContaining({
+      rescheduledFrom: old._id,
+      invite: { uid: `site-visit-${old._id}@propvantage.ai`, sequence: 1 },
+    }));
+    const { content } = mockSendEmail.mock.calls[0][0].attachments[0];
+    expect(content).toContain(`UID:site-visit-${old._id}@propvantage.ai`);
+    expect(content).toContain('SEQUENCE:1');
+  });
+});
+
+// =============================================================================
+// CHECK-IN + ATTRIBUTION
+// =============================================================================
+
+describe('check-in', () => {
+  test('tags an untagged lead with the CP who brought the client', async () => {
+    const cpId = oid();
+    const lead = makeLead();
+    const visit = makeVisit({ lead: lead._id });
+    mockVisitFindOne.mockResolvedValueOnce(visit);
+    mockLeadFindById.mockResolvedValue(lead);
+    mockCpFindOne.mockReturnValue(chain({ _id: cpId, firmName: 'Acme Realty', status: 'active' }));
+
+    const result = await checkInSiteVisit(visit._id, {
+      organization: ORG,
+      visitors: 3,
+      channelPartner: { channelPartner: cpId, agentName: 'Vikram' },
+      user: USER,
+      now: NOW,
+    });
+
+    expect(result.attribution).toBe('tagged');
+    expect(lead.channelPartnerAttribution).toEqual(expect.objectContaining({
+      viaChannelPartner: true,
+      status: 'tagged',
+      taggedBy: USER._id,
+      partners: [expect.objectContaining({ channelPartner: cpId, sharePct: 100 })],
+    }));
+    expect(lead.save).toHaveBeenCalled();
+    expect(visit.status).toBe('checked_in');
+    expect(visit.checkIn).toEqual(expect.objectContaining({ at: NOW, visitors: 3, attributionConflict: false }));
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'site_visit_checked_in' }));
+  });
+
+  test('a different CP than the attributed one is flagged, not overwritten', () => {
+    const existing = oid();
+    const lead = makeLead({
+      channelPartnerAttribution: { viaChannelPartner: true, partners: [{ channelPartner: existing }], history: [] },
+    });
+    expect(applyVisitAttribution(lead, { channelPartner: oid() }, USER, NOW)).toBe('conflict');
+    expect(lead.channelPartnerAttribution.partners).toEqual([{ channelPartner: existing }]);
+    expect(lead.channelPartnerAttribution.history[0].action).toBe('site_visit_conflict');
+
+    expect(applyVisitAttribution(lead, { channelPartner: existing }, USER, NOW)).toBe('unchanged');
+  });
+
+  test('only scheduled visits can be checked in', async () => {
+    mockVisitFindOne.mockResolvedValueOnce(makeVisit({ status: 'cancelled' }));
+    await expect(checkInSiteVisit(oid(), { organization: ORG, user: USER, now: NOW }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+// =============================================================================
+// OUTCOME
+// =============================================================================
+
+describe('recordSiteVisitOutcome', () => {
+  test('completes the visit, logs the interaction and advances a New lead to Site Visit Completed', async () => {
+    const lead = makeLead();
+    const visit = makeVisit({ lead: lead._id, status: 'checked_in' });
+    mockVisitFindOne.mockResolvedValueOnce(visit);
+    mockLeadFindById.mockResolvedValue(lead);
+
+    const result = await recordSiteVisitOutcome(visit._id, {
+      organization: ORG,
+      outcome: { rating: 4, interestLevel: 'hot', feedback: 'Loved the 3BHK', nextStep: 'Share cost sheet' },
+      user: USER,
+      now: NOW,
+    });
+
+    expect(mockInteractionCreate).toHaveBeenCalledWith(expect.objectContaining({
+      lead: lead._id,
+      type: 'Site Visit',
+      content: 'Loved the 3BHK',
+      outcome: 'hot',
+      nextAction: 'Share cost sheet',
+    }));
+    expect(visit.status).toBe('completed');
+    expect(visit.outcome).toEqual(expect.objectContaining({ rating: 4, recordedBy: USER._id }));
+    expect(lead.status).toBe('Site Visit Completed');
+    expect(lead.statusHistory.map((h) => h.status)).toEqual(['Qualified', 'Site Visit Completed']);
+    expect(lead.updateActivitySummary).toHaveBeenCalledWith('site_visit');
+    expect(mockStatusSideEffects).toHaveBeenCalledWith(lead, 'New', 'Site Visit Completed', USER);
+    expect(result.previousStatus).toBe('New');
+  });
+
+  test('a lead already negotiating keeps its status', async () => {
+    const lead = makeLead({ status: 'Negotiating' });
+    mockVisitFindOne.mockResolvedValueOnce(makeVisit({ lead: lead._id, status: 'checked_in' }));
+    mockLeadFindById.mockResolvedValue(lead);
+
+    await recordSiteVisitOutcome(oid(), { organization: ORG, outcome: {}, user: USER, now: NOW });
+    expect(lead.status).toBe('Negotiating');
+    expect(lead.statusHistory).toEqual([]);
+    expect(lead.updateActivitySummary).toHaveBeenCalledWith('site_visit');
+  });
+
+  test('requires a check-in first and a 1–5 rating', async () => {
+    mockVisitFindOne.mockResolvedValueOnce(makeVisit({ status: 'scheduled' }));
+    await expect(recordSiteVisitOutcome(oid(), { organization: ORG, outcome: {}, user: USER }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    mockVisitFindOne.mockResolvedValueOnce(makeVisit({ status: 'checked_in' }));
+    await expect(recordSiteVisitOutcome(oid(), { organization: ORG, outcome: { rating: 9 }, user: USER }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(mockInteractionCreate).not.toHaveBeenCalled();
+  });
+});
+
+// =============================================================================
+// REMINDERS + ROSTER
+// =============================================================================
+
+describe('sendSiteVisitReminders', () => {
+  test('emails the client, nudges the executive and records each reminder once', async () => {
+    const soon = makeVisit({ scheduledAt: new Date(NOW.getTime() + 90 * 60 * 1000) });
+    const done = makeVisit({
+      scheduledAt: new Date(NOW.getTime() + 90 * 60 * 1000),
+      reminders: [{ type: 'upcoming', channel: 'email' }],
+    });
+    mockVisitFind.mockReturnValue(chain([soon, done]));
+    mockLeadFindById.mockReturnValue(chain({ firstName: 'Asha', email: 'asha@example.com' }));
+
+    const summary = await sendSiteVisitReminders(NOW);
+
+    expect(summary).toEqual({ reminded: 1, failed: [] });
+    expect(mockSendEmail).toHaveBeenCalledTimes(1);
+    expect(mockSendEmail.mock.calls[0][0].subject).toContain('coming up');
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'site_visit_reminder' }));
+    expect(soon.reminders.map((r) => r.channel)).toEqual(['in_app', 'email']);
+    expect(done.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('getDailyRoster', () => {
+  test('groups the day’s visits by executive with status counts', async () => {
+    const other = oid();
+    mockVisitFind.mockReturnValue(chain([
+      { status: 'completed', salesExecutive: { _id: EXEC } },
+      { status: 'scheduled', salesExecutive: { _id: other } },
+      { status: 'checked_in', salesExecutive: { _id: EXEC } },
+    ]));
+
+    const roster = await getDailyRoster({ organization: ORG, projectId: PROJECT, date: '2026-10-21', now: NOW });
+
+    expect(mockVisitFind.mock.calls[0][0].scheduledAt).toEqual({
+      $gte: new Date('2026-10-20T18:30:00Z'),
+      $lt: new Date('2026-10-21T18:30:00Z'),
+    });
+    expect(roster.summary).toEqual({ total: 3, scheduled: 1, checked_in: 1, completed: 1, cancelled: 0, no_show: 0 });
+    expect(roster.executives).toHaveLength(2);
+    expect(roster.executives[0].visits).toHaveLength(2);
+  });
+
+  test('rejects a malformed date', async () => {
+    await expect(getDailyRoster({ organization: ORG, projectId: PROJECT, date: '21/10/2026' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,272 @@
+// tests/unit/unitHoldService.test.js
+// Unit tests for services/unitHoldService.js — duration clamping, hold ageing
+// summary, extension requests and resolution, and the expiry sweep. All I/O
+// is mocked.
+
+import { jest, describe, test, expect, beforeEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import { chain } from './helpers/queryChain.js';
+
+// =============================================================================
+// MOCKS
+// =============================================================================
+
+const mockHoldFind = jest.fn();
+const mockHoldFindById = jest.fn();
+jest.unstable_mockModule('../../models/unitHoldModel.js', () => ({
+  default: { find: mockHoldFind, findById: mockHoldFindById, findOne: jest.fn(), create: jest.fn() },
+  DEFAULT_HOLD_HOURS: 48,
+  MAX_HOLD_HOURS: 336,
+}));
+
+const mockUnitUpdateOne = jest.fn();
+const mockUnitFindById = jest.fn();
+jest.unstable_mockModule('../../models/unitModel.js', () => ({
+  default: { updateOne: mockUnitUpdateOne, findOneAndUpdate: jest.fn(), findById: mockUnitFindById },
+}));
+
+jest.unstable_mockModule('../../models/leadModel.js', () => ({
+  default: { findOne: jest.fn() },
+}));
+
+jest.unstable_mockModule('../../models/interactionModel.js', () => ({
+  default: { create: jest.fn() },
+}));
+
+const mockCreateApprovalRequest = jest.fn();
+jest.unstable_mockModule('../../services/approvalService.js', () => ({
+  createApprovalRequest: mockCreateApprovalRequest,
+}));
+
+const mockCreateNotification = jest.fn();
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  createNotification: mockCreateNotification,
+}));
+
+// =============================================================================
+// IMPORT UNDER TEST
+// =============================================================================
+
+const {
+  normalizeHoldHours,
+  summarizeHoldAgeing,
+  extendHold,
+  resolveHoldExtension,
+  releaseExpiredHolds,
+} = await import('../../services/unitHoldService.js');
+
+// =============================================================================
+// FIXTURES
+// =============================================================================
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2026-06-15T10:00:00Z');
+const hoursAgo = (h) => new Date(NOW.getTime() - h * HOUR);
+const hoursAhead = (h) => new Date(NOW.getTime() + h * HOUR);
+
+const makeHold = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  organization: new mongoose.Types.ObjectId(),
+  heldBy: new mongoose.Types.ObjectId(),
+  unit: { _id: new mongoose.Types.ObjectId(), unitNumber: 'A-1203' },
+  lead: { firstName: 'Asha', lastName: 'Rao' },
+  status: 'active',
+  extensions: [],
+  expiryReminderSentAt: null,
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockCreateNotification.mockResolvedValue({});
+  mockUnitUpdateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+// =============================================================================
+// normalizeHoldHours
+// =============================================================================
+
+describe('normalizeHoldHours', () => {
+  test('falls back to the default for missing or invalid input', () => {
+    expect(normalizeHoldHours(undefined)).toBe(48);
+    expect(normalizeHoldHours('abc')).toBe(48);
+    expect(normalizeHoldHours(0)).toBe(48);
+    expect(normalizeHoldHours(-5)).toBe(48);
+  });
+
+  test('rounds partial hours up and caps at the maximum', () => {
+    expect(normalizeHoldHours('12.2')).toBe(13);
+    expect(normalizeHoldHours(1000)).toBe(336);
+  });
+});
+
+// =============================================================================
+// summarizeHoldAgeing
+// =============================================================================
+
+describe('summarizeHoldAgeing', () => {
+  test('empty input → zeroed summary with every bucket present', () => {
+    expect(summarizeHoldAgeing([], NOW)).toEqual({
+      activeHolds: 0,
+      expiringWithin24h: 0,
+      pastExpiry: 0,
+      averageAgeHours: 0,
+      oldestAgeHours: 0,
+      ageing: { under24h: 0, oneToThreeDays: 0, threeToSevenDays: 0, overSevenDays: 0 },
+    });
+  });
+
+  test('buckets by age and counts holds close to or past expiry', () => {
+    const summary = summarizeHoldAgeing([
+      { heldAt: hoursAgo(10), expiresAt: hoursAhead(38) },
+      { heldAt: hoursAgo(30), expiresAt: hoursAhead(6) },
+      { heldAt: hoursAgo(100), expiresAt: hoursAgo(1) },
+      { heldAt: hoursAgo(200), expiresAt: hoursAhead(100) },
+    ], NOW);
+
+    expect(summary.activeHolds).toBe(4);
+    expect(summary.ageing).toEqual({
+      under24h: 1, oneToThreeDays: 1, threeToSevenDays: 1, overSevenDays: 1,
+    });
+    expect(summary.expiringWithin24h).toBe(1);
+    expect(summary.pastExpiry).toBe(1);
+    expect(summary.averageAgeHours).toBe(85);
+    expect(summary.oldestAgeHours).toBe(200);
+  });
+});
+
+// =============================================================================
+// resolveHoldExtension
+// =============================================================================
+
+describe('extendHold', () => {
+  beforeEach(() => {
+    mockUnitFindById.mockReturnValue({ select: () => ({ lean: async () => ({ unitNumber: 'A-1203' }) }) });
+  });
+
+  test('waits for approval with the extension marked pending', async () => {
+    const hold = makeHold({ expiresAt: hoursAhead(4) });
+    mockCreateApprovalRequest.mockResolvedValue({ approved: false, approvalRequest: { _id: 'req-1' } });
+
+    const result = await extendHold({ hold, hours: 24, reason: 'Loan sanction awaited', user: { _id: 'u1' } });
+
+    expect(result.pendingApproval).toBe(true);
+    expect(hold.extensions).toEqual([expect.objectContaining({ status: 'pending', approvalRequest: 'req-1' })]);
+  });
+
+  test('drops the pending extension when the approval request fails', async () => {
+    const hold = makeHold({ expiresAt: hoursAhead(4) });
+    mockCreateApprovalRequest.mockRejectedValue(new Error('approval store down'));
+
+    await expect(extendHold({ hold, hours: 24, user: { _id: 'u1' } })).rejects.toThrow('approval store down');
+
+    expect(hold.extensions).toEqual([]);
+    expect(hold.save).toHaveBeenCalledTimes(2);
+    expect(hold.expiresAt).toEqual(hoursAhead(4));
+  });
+});
+
+describe('resolveHoldExtension', () => {
+  const pendingExtension = () => ({
+    previousExpiresAt: hoursAhead(4),
+    newExpiresAt: hoursAhead(52),
+    status: 'pending',
+  });
+
+  test('approval applies the pending extension and re-arms the reminder', async () => {
+    const hold = makeHold({ expiresAt: hoursAhead(4), expiryReminderSentAt: NOW, extensions: [pendingExtension()] });
+    mockHoldFindById.mockResolvedValue(hold);
+
+    await resolveHoldExtension(hold._id, 'approved', 'approver-1');
+
+    expect(hold.extensions[0].status).toBe('applied');
+    expect(hold.extensions[0].resolvedBy).toBe('approver-1');
+    expect(hold.expiresAt).toEqual(hoursAhead(52));
+    expect(hold.expiryReminderSentAt).toBeNull();
+    expect(hold.save).toHaveBeenCalled();
+  });
+
+  test('rejection leaves the expiry untouched', async () => {
+    const hold = makeHold({ expiresAt: hoursAhead(4), extensions: [pendingExtension()] });
+    mockHoldFindById.mockResolvedValue(hold);
+
+    await resolveHoldExtension(hold._id, 'rejected', 'approver-1');
+
+    expect(hold.extensions[0].status).toBe('rejected');
+    expect(hold.expiresAt).toEqual(hoursAhead(4));
+  });
+
+  test('a late approval does not revive an expired hold', async () => {
+    const hold = makeHold({ status: 'expired', expiresAt: hoursAgo(1), extensions: [pendingExtension()] });
+    mockHoldFindById.mockResolvedValue(hold);
+
+    await resolveHoldExtension(hold._id, 'approved', 'approver-1');
+
+    expect(hold.extensions[0].status).toBe('rejected');
+    expect(hold.expiresAt).toEqual(hoursAgo(1));
+  });
+
+  test('missing hold → null', async () => {
+    mockHoldFindById.mockResolvedValue(null);
+    await expect(resolveHoldExtension('nope', 'approved', 'x')).resolves.toBeNull();
+  });
+});
+
+// =============================================================================
+// releaseExpiredHolds
+// =============================================================================
+
+describe('releaseExpiredHolds', () => {
+  test('expires lapsed holds, reopens only still-blocked units and notifies the holder', async () => {
+    const lapsed = makeHold({
+      expiresAt: hoursAgo(2),
+      extensions: [{ status: 'pending' }],
+    });
+    mockHoldFind.mockReturnValueOnce(chain([lapsed])).mockReturnValueOnce(chain([]));
+
+    const summary = await releaseExpiredHolds(NOW);
+
+    expect(summary).toEqual({ expired: 1, reminded: 0, failed: [] });
+    expect(lapsed.status).toBe('expired');
+    expect(lapsed.releasedAt).toBe(NOW);
+    expect(lapsed.extensions[0].status).toBe('rejected');
+    expect(mockUnitUpdateOne).toHaveBeenCalledWith(
+      { _id: lapsed.unit._id, status: 'blocked' },
+      { $set: { status: 'available' } }
+    );
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      recipient: lapsed.heldBy,
+      type: 'unit_hold_released',
+    }));
+  });
+
+  test('sends one expiry reminder and stamps the hold', async () => {
+    const soon = makeHold({ expiresAt: hoursAhead(3) });
+    mockHoldFind.mockReturnValueOnce(chain([])).mockReturnValueOnce(chain([soon]));
+
+    const summary = await releaseExpiredHolds(NOW);
+
+    expect(summary).toEqual({ expired: 0, reminded: 1, failed: [] });
+    expect(soon.expiryReminderSentAt).toBe(NOW);
+    expect(mockCreateNotification).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'unit_hold_expiring',
+      title: 'Hold on A-1203 expires in 3h',
+    }));
+    const reminderQuery = mockHoldFind.mock.calls[1][0];
+    expect(reminderQuery.expiryReminderSentAt).toBeNull();
+  });
+
+  test('a failing hold is reported and does not stop the sweep', async () => {
+    const broken = makeHold({ expiresAt: hoursAgo(1), save: jest.fn().mockRejectedValue(new Error('write conflict')) });
+    const ok = makeHold({ expiresAt: hoursAgo(1) });
+    mockHoldFind.mockReturnValueOnce(chain([broken, ok])).mockReturnValueOnce(chain([]));
+
+    const summary = await releaseExpiredHolds(NOW);
+
+    expect(summary.expired).toBe(1);
+    expect(summary.failed).toEqual([
+      { hold: String(broken._id), step: 'expire', error: 'write conflict' },
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+// File: utils/amountInWords.js
+// Rupee amounts in words with Indian grouping (thousand, lakh, crore), as
+// printed on invoices and receipts: 125000.5 → "One Lakh Twenty Five
+// Thousand Rupees and Fifty Paise Only".
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine'];
+const TEENS = ['Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// 0–999 in words, with a trailing space
+const convertHundreds = (value) => {
+  let n = value;
+  let result = '';
+  if (n >= 100) {
+    result += ONES[Math.floor(n / 100)] + ' Hundred ';
+    n %= 100;
+  }
+  if (n >= 20) {
+    result += TENS[Math.floor(n / 10)] + ' ';
+    n %= 10;
+  } else if (n >= 10) {
+    result += TEENS[n - 10] + ' ';
+    n = 0;
+  }
+  if (n > 0) {
+    result += ONES[n] + ' ';
+  }
+  return result;
+};
+
+/**
+ * @param {number} num - amount in rupees; negative amounts use their absolute value
+ * @returns {string}
+ */
+export function amountInWords(num) {
+  const value = Math.abs(Number(num) || 0);
+  // Work in paise so 0.29 doesn't round to 28
+  const totalPaise = Math.round(value * 100);
+  const integerPart = Math.floor(totalPaise / 100);
+  const decimalPart = totalPaise % 100;
+
+  if (integerPart === 0 && decimalPart === 0) return 'Zero Rupees Only';
+
+  const crores = Math.floor(integerPart / 10000000);
+  const lakhs = Math.floor((integerPart % 10000000) / 100000);
+  const thousands = Math.floor((integerPart % 100000) / 1000);
+  const hundreds = integerPart % 1000;
+
+  let result = '';
+  if (crores > 0) {
+    // Above 999 crore the crore count itself is grouped
+    result += (crores > 999 ? amountInWords(crores).replace(/ Rupees Only$/, ' ') : convertHundreds(crores)) + 'Crore ';
+  }
+  if (lakhs > 0) {
+    result += convertHundreds(lakhs) + 'Lakh ';
+  }
+  if (thousands > 0) {
+    result += convertHundreds(thousands) + 'Thousand ';
+  }
+  if (hundreds > 0) {
+    result += convertHundreds(hundreds);
+  }
+
+  result += integerPart > 0 ? 'Rupees' : 'Zero Rupees';
+
+  if (decimalPart > 0) {
+    result += ' and ' + convertHundreds(decimalPart) + 'Paise';
+  }
+
+  return result.replace(/\s+/g, ' ').trim() + ' Only';
+}
@@ -0,0 +1,63 @@
+// File: utils/contactNormalizer.js
+// Canonical forms of a lead's phone and email, used as dedupe keys
+// (Lead.contactKeys). Pure + DB-free so the model hook, the dedupe service,
+// lead capture and the backfill script all agree on what "the same contact" is.
+
+// Providers where dots in the local part are ignored by the mailbox
+const DOT_INSENSITIVE_DOMAINS = new Set(['gmail.com', 'googlemail.com']);
+
+/**
+ * Phone → its last 10 digits, so "+91 98200-12345", "098200 12345" and
+ * "9820012345" compare equal. Fewer than 10 digits → null.
+ * @param {string|undefined} phone
+ * @returns {string|null}
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone ?? '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+/**
+ * Email → lowercase with any "+tag" dropped from the local part; Gmail dots
+ * are dropped too and googlemail.com folds into gmail.com. Not an email → null.
+ * @param {string|undefined} email
+ * @returns {string|null}
+ */
+export function normalizeEmail(email) {
+  const value = String(email ?? '').trim().toLowerCase();
+  const at = value.lastIndexOf('@');
+  if (at < 1 || at === value.length - 1) return null;
+  let local = value.slice(0, at).split('+')[0];
+  let domain = value.slice(at + 1);
+  if (DOT_INSENSITIVE_DOMAINS.has(domain)) {
+    local = local.replace(/\./g, '');
+    domain = 'gmail.com';
+  }
+  return local ? `${local}@${domain}` : null;
+}
+
+/**
+ * Both keys for a lead-shaped object.
+ * @returns {{ phone: string|null, email: string|null }}
+ */
+export function contactKeysOf({ phone, email } = {}) {
+  return { phone: normalizePhone(phone), email: normalizeEmail(email) };
+}
+
+/**
+ * Phone → E.164 for messaging providers. Numbers written with a leading "+"
+ * keep their country code; bare 10-digit (or 0-prefixed) numbers get the
+ * default one. Fewer than 10 digits → null.
+ * @param {string|undefined} phone
+ * @param {string} [countryCode] digits only, e.g. '91'
+ * @returns {string|null}
+ */
+export function toE164(phone, countryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '91') {
+  const raw = String(phone ?? '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (digits.length < 10) return null;
+  if (raw.startsWith('+') || raw.startsWith('00')) return `+${digits.replace(/^00/, '')}`;
+  if (digits.length === 10) return `+${countryCode}${digits}`;
+  if (digits.length === 11 && digits.startsWith('0')) return `+${countryCode}${digits.slice(1)}`;
+  return `+${digits}`;
+}
@@ -705,10 +705,11 @@ export const sendTestEmail = async (toEmail) => {
 
 /**
  * Generic email send with retry. Used by the report delivery service.
- * @param {{ to: string, subject: string, html: string, text?: string }} opts
+ * @param {{ to: string, subject: string, html: string, text?: string, replyTo?: string, attachments?: Array }} opts
+ *   attachments use nodemailer's shape ({ filename, content, contentType }).
  * @returns {Promise<{ success: boolean, messageId?: string }>}
  */
-export const sendEmail = async ({ to, subject, html, text, replyTo }) => {
+export const sendEmail = async ({ to, subject, html, text, replyTo, attachments }) => {
   if (!to || !subject || !html) throw new Error('sendEmail requires to, subject, and html');
   if (!transporter) transporter = createTransporter();
   if (!transporter) throw new Error('Email service not available');
@@ -720,6 +721,7 @@ export const sendEmail = async ({ to, subject, html, text, replyTo }) => {
   // Route client replies to a designated address (e.g. the helpdesk inbox) so
   // replying to the email threads back into the system instead of the sender.
   if (replyTo) emailOptions.replyTo = replyTo;
+  if (attachments?.length) emailOptions.attachments = attachments;
 
   let lastError = null;
   for (let attempt = 1; attempt <= EMAIL_CONFIG.maxRetries; attempt++) {
@@ -0,0 +1,218 @@
+// File: utils/gst.js
+// Indian GST helpers for tax invoices and receipts: state codes, GSTIN
+// checks, SAC codes for invoice lines and the CGST/SGST/IGST split.
+// Pure + DB-free so the invoice controller, the finance document service and
+// the templates all compute tax the same way.
+//
+// Real estate is a supply "in relation to immovable property", so its place
+// of supply is where the property is (IGST Act s.12(3)): the project's state.
+// Supplier and place of supply in the same state → CGST + SGST, half the rate
+// each; different states → IGST at the full rate.
+
+// GST state codes (the first two digits of a GSTIN)
+export const GST_STATES = [
+  { code: '01', name: 'Jammu and Kashmir' },
+  { code: '02', name: 'Himachal Pradesh' },
+  { code: '03', name: 'Punjab' },
+  { code: '04', name: 'Chandigarh' },
+  { code: '05', name: 'Uttarakhand' },
+  { code: '06', name: 'Haryana' },
+  { code: '07', name: 'Delhi' },
+  { code: '08', name: 'Rajasthan' },
+  { code: '09', name: 'Uttar Pradesh' },
+  { code: '10', name: 'Bihar' },
+  { code: '11', name: 'Sikkim' },
+  { code: '12', name: 'Arunachal Pradesh' },
+  { code: '13', name: 'Nagaland' },
+  { code: '14', name: 'Manipur' },
+  { code: '15', name: 'Mizoram' },
+  { code: '16', name: 'Tripura' },
+  { code: '17', name: 'Meghalaya' },
+  { code: '18', name: 'Assam' },
+  { code: '19', name: 'West Bengal' },
+  { code: '20', name: 'Jharkhand' },
+  { code: '21', name: 'Odisha' },
+  { code: '22', name: 'Chhattisgarh' },
+  { code: '23', name: 'Madhya Pradesh' },
+  { code: '24', name: 'Gujarat' },
+  { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' },
+  { code: '27', name: 'Maharashtra' },
+  { code: '29', name: 'Karnataka' },
+  { code: '30', name: 'Goa' },
+  { code: '31', name: 'Lakshadweep' },
+  { code: '32', name: 'Kerala' },
+  { code: '33', name: 'Tamil Nadu' },
+  { code: '34', name: 'Puducherry' },
+  { code: '35', name: 'Andaman and Nicobar Islands' },
+  { code: '36', name: 'Telangana' },
+  { code: '37', name: 'Andhra Pradesh' },
+  { code: '38', name: 'Ladakh' },
+  { code: '97', name: 'Other Territory' },
+];
+
+// Older and informal spellings seen in addresses
+const STATE_ALIASES = {
+  orissa: '21',
+  pondicherry: '34',
+  newdelhi: '07',
+  nctofdelhi: '07',
+  jandk: '01',
+  jk: '01',
+  damananddiu: '26',
+  dadraandnagarhaveli: '26',
+  andamanandnicobar: '35',
+};
+
+const stateKey = (name) => String(name).toLowerCase().replace(/&/g, 'and').replace(/[^a-z]/g, '');
+
+const STATES_BY_CODE = new Map(GST_STATES.map((s) => [s.code, s]));
+const STATES_BY_NAME = new Map([
+  ...GST_STATES.map((s) => [stateKey(s.name), s]),
+  ...Object.entries(STATE_ALIASES).map(([alias, code]) => [alias, STATES_BY_CODE.get(code)]),
+]);
+
+const GSTIN_RE = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// GST invoice and receipt numbers: at most 16 characters of letters, digits,
+// '-' and '/' (CGST Rules, rule 46(b)).
+export const DOCUMENT_NUMBER_MAX_LENGTH = 16;
+export const DOCUMENT_NUMBER_RE = /^[A-Za-z0-9/-]+$/;
+
+// SAC codes by invoice line category. Construction of a residential unit is
+// 995411 (commercial 995415); maintenance collected upfront is a property
+// management service. Projects override these per category.
+export const DEFAULT_SAC_CODES = {
+  base_price: '995411',
+  development_charges: '995411',
+  amenity_charges: '995411',
+  parking_charges: '995411',
+  club_membership: '999599',
+  maintenance_charges: '997221',
+  legal_charges: '998216',
+  other_charges: '995411',
+};
+const COMMERCIAL_CONSTRUCTION_SAC = '995415';
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * A state by GST code ('27', 27) or name ('Maharashtra', 'orissa').
+ * @returns {{ code: string, name: string } | null}
+ */
+export function gstStateFor(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'object') return gstStateFor(value.code || value.name);
+  const text = String(value).trim();
+  if (/^\d{1,2}$/.test(text)) return STATES_BY_CODE.get(text.padStart(2, '0')) || null;
+  return STATES_BY_NAME.get(stateKey(text)) || null;
+}
+
+/** A well-formed 15-character GSTIN with a known state code. */
+export function isValidGstin(gstin) {
+  const value = String(gstin ?? '').trim().toUpperCase();
+  return GSTIN_RE.test(value) && STATES_BY_CODE.has(value.slice(0, 2));
+}
+
+/** The state a GSTIN is registered in, or null. */
+export function stateFromGstin(gstin) {
+  return isValidGstin(gstin) ? STATES_BY_CODE.get(String(gstin).trim().slice(0, 2)) : null;
+}
+
+/**
+ * Indian financial year (April–March) a date falls in, e.g. May 2026 → '2026-27'.
+ */
+export function financialYearOf(date = new Date()) {
+  const d = new Date(date);
+  const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * SAC code for an invoice line: the line's own, else the project's code for
+ * the line's category, else the default for the category.
+ * @param {Object} line - { hsnSacCode?, category }
+ * @param {Object} [options]
+ * @param {Object|Map} [options.sacCodes] - project overrides by category
+ * @param {string} [options.projectType] - 'commercial' switches construction lines to 995415
+ */
+export function resolveSacCode(line, { sacCodes, projectType } = {}) {
+  if (line.hsnSacCode) return String(line.hsnSacCode).trim();
+  const override = sacCodes instanceof Map ? sacCodes.get(line.category) : sacCodes?.[line.category];
+  if (override) return String(override).trim();
+  const code = DEFAULT_SAC_CODES[line.category] || DEFAULT_SAC_CODES.other_charges;
+  return projectType === 'commercial' && code === DEFAULT_SAC_CODES.base_price ? COMMERCIAL_CONSTRUCTION_SAC : code;
+}
+
+/**
+ * Split GST on invoice lines by place of supply.
+ * Each taxable line is taxed at its gstRate on its totalPrice; intra-state
+ * tax is halved into CGST and SGST (SGST takes the odd paisa), inter-state
+ * tax is all IGST. An unknown state on either side counts as intra-state —
+ * a developer is registered where it builds.
+ * @param {Object[]} lineItems - invoice lines { category, totalPrice, taxable, gstRate, hsnSacCode? }
+ * @param {Object} params
+ * @param {Object|string} [params.supplierState] - state or code the supplier is registered in
+ * @param {Object|string} [params.placeOfSupply] - state or code of the place of supply
+ * @param {Object|Map} [params.sacCodes]
+ * @param {string} [params.projectType]
+ * @returns {{ taxType: 'intra_state'|'inter_state', lineItems: Object[], totals: Object, hsnSummary: Object[] }}
+ */
+export function splitGst(lineItems, { supplierState, placeOfSupply, sacCodes, projectType } = {}) {
+  const supplier = gstStateFor(supplierState);
+  const place = gstStateFor(placeOfSupply);
+  const interState = Boolean(supplier && place && supplier.code !== place.code);
+
+  const lines = (lineItems || []).map((item) => {
+    const line = typeof item?.toObject === 'function' ? item.toObject() : { ...item };
+    const rate = line.taxable === false ? 0 : Number(line.gstRate) || 0;
+    const taxableValue = line.taxable === false ? 0 : round2(line.totalPrice);
+    const gstAmount = round2((taxableValue * rate) / 100);
+    const cgstAmount = interState ? 0 : round2(gstAmount / 2);
+    return {
+      ...line,
+      hsnSacCode: resolveSacCode(line, { sacCodes, projectType }),
+      taxableValue,
+      gstAmount,
+      cgstRate: interState ? 0 : rate / 2,
+      cgstAmount,
+      sgstRate: interState ? 0 : rate / 2,
+      sgstAmount: interState ? 0 : round2(gstAmount - cgstAmount),
+      igstRate: interState ? rate : 0,
+      igstAmount: interState ? gstAmount : 0,
+    };
+  });
+
+  const sum = (rows, key) => round2(rows.reduce((total, row) => total + (row[key] || 0), 0));
+
+  // One row per SAC code and rate, as the invoice's tax summary prints it
+  const groups = new Map();
+  for (const line of lines.filter((l) => l.taxableValue > 0)) {
+    const key = `${line.hsnSacCode}|${line.gstRate || 0}`;
+    const group = groups.get(key) || { hsnSacCode: line.hsnSacCode, gstRate: Number(line.gstRate) || 0, lines: [] };
+    group.lines.push(line);
+    groups.set(key, group);
+  }
+  const hsnSummary = [...groups.values()].map(({ lines: rows, ...group }) => ({
+    ...group,
+    taxableValue: sum(rows, 'taxableValue'),
+    cgstAmount: sum(rows, 'cgstAmount'),
+    sgstAmount: sum(rows, 'sgstAmount'),
+    igstAmount: sum(rows, 'igstAmount'),
+    totalTax: sum(rows, 'gstAmount'),
+  }));
+
+  return {
+    taxType: interState ? 'inter_state' : 'intra_state',
+    supplierState: supplier,
+    placeOfSupply: place || supplier,
+    lineItems: lines,
+    totals: {
+      taxableAmount: sum(lines, 'taxableValue'),
+      cgstAmount: sum(lines, 'cgstAmount'),
+      sgstAmount: sum(lines, 'sgstAmount'),
+      igstAmount: sum(lines, 'igstAmount'),
+      totalGstAmount: sum(lines, 'gstAmount'),
+    },
+    hsnSummary,
+  };
+}
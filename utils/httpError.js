@@ -0,0 +1,33 @@
+// File: utils/httpError.js
+// Description: Status-aware errors shared by services and controllers.
+//   Services throw httpError(status, message); controllers run them through
+//   callService so errorMiddleware reports that status instead of a 500.
+
+/**
+ * An Error carrying the HTTP status to answer with.
+ *
+ * @param {number} status - HTTP status code
+ * @param {string} message
+ * @returns {Error} with .statusCode set
+ */
+export const httpError = (status, message) => {
+  const err = new Error(message);
+  err.statusCode = status;
+  return err;
+};
+
+/**
+ * Run a service call from a controller. A thrown error with .statusCode sets
+ * res.status before it is re-thrown to express-async-handler.
+ *
+ * @param {Function} fn - async service call
+ * @param {Object} res - Express response
+ */
+export const callService = async (fn, res) => {
+  try {
+    return await fn();
+  } catch (err) {
+    if (err?.statusCode) res.status(err.statusCode);
+    throw err;
+  }
+};
@@ -0,0 +1,149 @@
+// File: utils/icsCalendar.js
+// Description: iCalendar (RFC 5545) text builder for calendar feeds, exports
+//   and invite attachments. Pure and DB-free: callers map their documents to
+//   plain event objects and get back a CRLF-delimited VCALENDAR string.
+
+const PRODID = '-//PropVantage AI//Schedule//EN';
+const UID_DOMAIN = process.env.CALENDAR_UID_DOMAIN || 'propvantage.ai';
+const MAX_LINE_OCTETS = 75;
+
+export const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+/** Escape a TEXT value: backslash, semicolon, comma and newlines. */
+export const escapeIcsText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets; continuation lines start with a space.
+ * Never splits a multi-byte UTF-8 character.
+ * @param {string} line
+ * @returns {string}
+ */
+export const foldIcsLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > limit) {
+      parts.push(current);
+      current = ch;
+      limit = MAX_LINE_OCTETS - 1; // room for the leading space
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/** UTC DATE-TIME value, e.g. 20261021T053000Z. */
+export const formatIcsDateTime = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/** DATE value from 'YYYY-MM-DD', e.g. 20261021. */
+export const formatIcsDate = (dateKey) => String(dateKey).replace(/-/g, '');
+
+const nextDateKey = (dateKey) => {
+  const d = new Date(`${dateKey}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+};
+
+/** Stable UID for a record, e.g. site-visit-<id>@propvantage.ai. */
+export const icsUid = (kind, id) => `${kind}-${id}@${UID_DOMAIN}`;
+
+const person = (prop, { name, email }, params = '') =>
+  `${prop}${name ? `;CN="${String(name).replace(/"/g, '')}"` : ''}${params}:mailto:${email}`;
+
+/**
+ * VEVENT lines for one event.
+ *
+ * @param {Object} event
+ * @param {string} event.uid
+ * @param {Date} [event.start] - timed events
+ * @param {Date} [event.end] - defaults to start + 30 minutes
+ * @param {string} [event.date] - all-day events, 'YYYY-MM-DD'
+ * @param {string} event.summary
+ * @param {string} [event.description]
+ * @param {string} [event.location]
+ * @param {string} [event.url]
+ * @param {string} [event.status] - CONFIRMED | TENTATIVE | CANCELLED
+ * @param {number} [event.sequence] - bump on every change to an invite
+ * @param {number} [event.alarmMinutes] - display alarm this long before start
+ * @param {{name?: string, email: string}} [event.organizer]
+ * @param {Array<{name?: string, email: string}>} [event.attendees]
+ * @param {Date} [stamp=new Date()] - DTSTAMP
+ * @returns {string[]}
+ */
+export const buildIcsEvent = (event, stamp = new Date()) => {
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${formatIcsDateTime(stamp)}`];
+  if (event.date) {
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(event.date)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatIcsDate(nextDateKey(event.date))}`);
+  } else {
+    const end = event.end || new Date(new Date(event.start).getTime() + 30 * 60 * 1000);
+    lines.push(`DTSTART:${formatIcsDateTime(event.start)}`);
+    lines.push(`DTEND:${formatIcsDateTime(end)}`);
+  }
+  lines.push(`SUMMARY:${escapeIcsText(event.summary)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.status) lines.push(`STATUS:${event.status}`);
+  if (event.sequence !== undefined) lines.push(`SEQUENCE:${event.sequence}`);
+  if (event.organizer?.email) lines.push(person('ORGANIZER', event.organizer));
+  for (const attendee of event.attendees || []) {
+    if (attendee?.email) lines.push(person('ATTENDEE', attendee, ';ROLE=REQ-PARTICIPANT;RSVP=FALSE'));
+  }
+  if (event.alarmMinutes && !event.date) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeIcsText(event.summary)}`,
+      `TRIGGER:-PT${event.alarmMinutes}M`,
+      'END:VALARM'
+    );
+  }
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * A complete VCALENDAR.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.events - see buildIcsEvent
+ * @param {string} [params.name] - calendar display name (X-WR-CALNAME)
+ * @param {string} [params.method='PUBLISH'] - PUBLISH for feeds, REQUEST / CANCEL for invites
+ * @param {number} [params.refreshMinutes] - suggested poll interval for feeds
+ * @param {Date} [params.now=new Date()]
+ * @returns {string}
+ */
+export const buildIcsCalendar = ({ events, name, method = 'PUBLISH', refreshMinutes, now = new Date() }) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', `METHOD:${method}`];
+  if (name) lines.push(`X-WR-CALNAME:${escapeIcsText(name)}`);
+  if (refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+  for (const event of events) lines.push(...buildIcsEvent(event, now));
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldIcsLine).join('\r\n')}\r\n`;
+};
+
+/**
+ * A nodemailer attachment carrying a calendar invite, so mail clients offer
+ * "Add to calendar".
+ * @param {string} ics - buildIcsCalendar output
+ * @param {string} [method='REQUEST']
+ * @param {string} [filename='invite.ics']
+ * @returns {Object}
+ */
+export const icsAttachment = (ics, method = 'REQUEST', filename = 'invite.ics') => ({
+  filename,
+  content: ics,
+  contentType: `text/calendar; charset=utf-8; method=${method}`,
+});